@@ -14,10 +14,13 @@
 // @grant        GM_deleteValue
 // @grant        GM_addStyle
 // @grant        GM_xmlhttpRequest
+// @grant        unsafeWindow
 // @connect      api.anthropic.com
 // @connect      api.moonshot.ai
+// @connect      www.linkedin.com
 // @require      https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js
 // @require      https://cdn.jsdelivr.net/npm/turndown@7.2.0/dist/turndown.js
+// @require      https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js
 // @run-at       document-idle
 // ==/UserScript==
 
@@ -35,6 +38,36 @@
         MAX_JOB_REVIEW_TIME: 8,  // Maximum seconds to spend "reviewing" each job detail
         MIN_JOB_PAUSE: 1,       // Minimum seconds to pause between jobs
         MAX_JOB_PAUSE: 3,       // Maximum seconds to pause between jobs
+        MIN_PROFILE_VISIT_TIME: 8,   // Minimum seconds to spend on each visited profile
+        MAX_PROFILE_VISIT_TIME: 20,  // Maximum seconds to spend on each visited profile
+        MIN_COMPANY_VISIT_TIME: 5,   // Minimum seconds to spend on each visited company About page
+        MAX_COMPANY_VISIT_TIME: 15,  // Maximum seconds to spend on each visited company About page
+
+        // Export options
+        CSV_BOM: false,              // Prefix CSV files with a UTF-8 BOM (helps Excel detect encoding)
+        CSV_LONG_FIELDS: 'include',  // Long job text fields in CSV: 'include', 'truncate' or 'sidecar'
+        XLSX_EXTRA_SHEETS: true,     // Add Rejected, Summary and Run Metadata sheets to XLSX
+        FILENAME_PATTERN: '{date}_{time}_{mode}_{tag}_LinkedIn',  // Export file names, see Filename
+        APPLY_URL_MODE: 'off',       // Resolve external apply URLs: 'off', 'data' or 'click', see ApplyLinkResolver
+
+        // User-defined Markdown export templates per mode (stored separately).
+        // An empty template means the built-in layout is used.
+        MARKDOWN_TEMPLATES: {
+            people: '',
+            jobs: '',
+            companies: ''
+        },
+
+        // Named XLSX/CSV column profiles per mode (stored separately), see ExportProfiles
+        EXPORT_PROFILES: {
+            people: { active: '', profiles: {} },
+            jobs: { active: '', profiles: {} },
+            companies: { active: '', profiles: {} }
+        },
+
+        // User-edited skills dictionary (stored separately), see SkillExtractor.
+        // Empty means the built-in dictionary is used.
+        SKILLS_DICTIONARY: '',
 
         // AI filtering configuration (stored separately)
         ANTHROPIC_API_KEY: '',  // User's Anthropic API key
@@ -76,6 +109,33 @@
                     if (parsed.MAX_JOB_PAUSE !== undefined) {
                         this.MAX_JOB_PAUSE = parsed.MAX_JOB_PAUSE;
                     }
+                    if (parsed.MIN_PROFILE_VISIT_TIME !== undefined) {
+                        this.MIN_PROFILE_VISIT_TIME = parsed.MIN_PROFILE_VISIT_TIME;
+                    }
+                    if (parsed.MAX_PROFILE_VISIT_TIME !== undefined) {
+                        this.MAX_PROFILE_VISIT_TIME = parsed.MAX_PROFILE_VISIT_TIME;
+                    }
+                    if (parsed.MIN_COMPANY_VISIT_TIME !== undefined) {
+                        this.MIN_COMPANY_VISIT_TIME = parsed.MIN_COMPANY_VISIT_TIME;
+                    }
+                    if (parsed.MAX_COMPANY_VISIT_TIME !== undefined) {
+                        this.MAX_COMPANY_VISIT_TIME = parsed.MAX_COMPANY_VISIT_TIME;
+                    }
+                    if (parsed.CSV_BOM !== undefined) {
+                        this.CSV_BOM = parsed.CSV_BOM;
+                    }
+                    if (parsed.CSV_LONG_FIELDS !== undefined) {
+                        this.CSV_LONG_FIELDS = parsed.CSV_LONG_FIELDS;
+                    }
+                    if (parsed.XLSX_EXTRA_SHEETS !== undefined) {
+                        this.XLSX_EXTRA_SHEETS = parsed.XLSX_EXTRA_SHEETS;
+                    }
+                    if (parsed.FILENAME_PATTERN) {
+                        this.FILENAME_PATTERN = parsed.FILENAME_PATTERN;
+                    }
+                    if (parsed.APPLY_URL_MODE !== undefined) {
+                        this.APPLY_URL_MODE = parsed.APPLY_URL_MODE;
+                    }
                 } catch (error) {
                     console.warn('[LiSeSca] Failed to parse saved config, using defaults:', error);
                 }
@@ -109,6 +169,50 @@
                 }
             }
 
+            // Load Markdown templates (separate storage key)
+            var templatesSaved = GM_getValue('lisesca_templates', null);
+            if (templatesSaved) {
+                try {
+                    var templatesParsed = JSON.parse(templatesSaved);
+                    if (templatesParsed.people !== undefined) {
+                        this.MARKDOWN_TEMPLATES.people = templatesParsed.people;
+                    }
+                    if (templatesParsed.jobs !== undefined) {
+                        this.MARKDOWN_TEMPLATES.jobs = templatesParsed.jobs;
+                    }
+                    if (templatesParsed.companies !== undefined) {
+                        this.MARKDOWN_TEMPLATES.companies = templatesParsed.companies;
+                    }
+                } catch (error) {
+                    console.warn('[LiSeSca] Failed to parse saved Markdown templates:', error);
+                }
+            }
+
+            // Load export column profiles (separate storage key)
+            var profilesSaved = GM_getValue('lisesca_export_profiles', null);
+            if (profilesSaved) {
+                try {
+                    var profilesParsed = JSON.parse(profilesSaved);
+                    if (profilesParsed.people !== undefined) {
+                        this.EXPORT_PROFILES.people = profilesParsed.people;
+                    }
+                    if (profilesParsed.jobs !== undefined) {
+                        this.EXPORT_PROFILES.jobs = profilesParsed.jobs;
+                    }
+                    if (profilesParsed.companies !== undefined) {
+                        this.EXPORT_PROFILES.companies = profilesParsed.companies;
+                    }
+                } catch (error) {
+                    console.warn('[LiSeSca] Failed to parse saved export profiles:', error);
+                }
+            }
+
+            // Load skills dictionary (separate storage key)
+            var skillsSaved = GM_getValue('lisesca_skills', null);
+            if (skillsSaved !== null) {
+                this.SKILLS_DICTIONARY = skillsSaved;
+            }
+
             console.log('[LiSeSca] Config loaded:', {
                 MIN_PAGE_TIME: this.MIN_PAGE_TIME,
                 MAX_PAGE_TIME: this.MAX_PAGE_TIME,
@@ -116,6 +220,10 @@
                 MAX_JOB_REVIEW_TIME: this.MAX_JOB_REVIEW_TIME,
                 MIN_JOB_PAUSE: this.MIN_JOB_PAUSE,
                 MAX_JOB_PAUSE: this.MAX_JOB_PAUSE,
+                MIN_PROFILE_VISIT_TIME: this.MIN_PROFILE_VISIT_TIME,
+                MAX_PROFILE_VISIT_TIME: this.MAX_PROFILE_VISIT_TIME,
+                MIN_COMPANY_VISIT_TIME: this.MIN_COMPANY_VISIT_TIME,
+                MAX_COMPANY_VISIT_TIME: this.MAX_COMPANY_VISIT_TIME,
                 AI_MODEL: this.AI_MODEL,
                 AI_CONFIGURED: this.isAIConfigured(),
                 PEOPLE_AI_CONFIGURED: this.isPeopleAIConfigured()
@@ -123,7 +231,7 @@
         },
 
         /**
-         * Save the current timing configuration to persistent storage.
+         * Save the current timing and export configuration to persistent storage.
          */
         save: function() {
             var configData = JSON.stringify({
@@ -132,7 +240,16 @@
                 MIN_JOB_REVIEW_TIME: this.MIN_JOB_REVIEW_TIME,
                 MAX_JOB_REVIEW_TIME: this.MAX_JOB_REVIEW_TIME,
                 MIN_JOB_PAUSE: this.MIN_JOB_PAUSE,
-                MAX_JOB_PAUSE: this.MAX_JOB_PAUSE
+                MAX_JOB_PAUSE: this.MAX_JOB_PAUSE,
+                MIN_PROFILE_VISIT_TIME: this.MIN_PROFILE_VISIT_TIME,
+                MAX_PROFILE_VISIT_TIME: this.MAX_PROFILE_VISIT_TIME,
+                MIN_COMPANY_VISIT_TIME: this.MIN_COMPANY_VISIT_TIME,
+                MAX_COMPANY_VISIT_TIME: this.MAX_COMPANY_VISIT_TIME,
+                CSV_BOM: this.CSV_BOM,
+                CSV_LONG_FIELDS: this.CSV_LONG_FIELDS,
+                XLSX_EXTRA_SHEETS: this.XLSX_EXTRA_SHEETS,
+                FILENAME_PATTERN: this.FILENAME_PATTERN,
+                APPLY_URL_MODE: this.APPLY_URL_MODE
             });
             GM_setValue('lisesca_config', configData);
             console.log('[LiSeSca] Config saved.');
@@ -154,6 +271,30 @@
             console.log('[LiSeSca] AI config saved.');
         },
 
+        /**
+         * Save the Markdown export templates to persistent storage.
+         */
+        saveTemplates: function() {
+            GM_setValue('lisesca_templates', JSON.stringify(this.MARKDOWN_TEMPLATES));
+            console.log('[LiSeSca] Markdown templates saved.');
+        },
+
+        /**
+         * Save the export column profiles to persistent storage.
+         */
+        saveExportProfiles: function() {
+            GM_setValue('lisesca_export_profiles', JSON.stringify(this.EXPORT_PROFILES));
+            console.log('[LiSeSca] Export profiles saved.');
+        },
+
+        /**
+         * Save the skills dictionary to persistent storage.
+         */
+        saveSkillsDictionary: function() {
+            GM_setValue('lisesca_skills', this.SKILLS_DICTIONARY);
+            console.log('[LiSeSca] Skills dictionary saved.');
+        },
+
         /**
          * Determine the provider for a given model ID based on its prefix.
          * @param {string} modelId - The model identifier.
@@ -257,18 +398,28 @@
             TARGET_PAGE_COUNT: 'lisesca_targetPageCount',
             START_PAGE: 'lisesca_startPage',
             SCRAPED_BUFFER: 'lisesca_scrapedBuffer',
+            REJECTED_BUFFER: 'lisesca_rejectedBuffer',  // items rejected by AI (audit trail)
             SEARCH_URL: 'lisesca_searchUrl',
+            SESSION_STARTED_AT: 'lisesca_sessionStartedAt', // ISO timestamp of the GO click
+            RUN_STATS: 'lisesca_runStats',                  // JSON of the final summary stats
             FORMATS: 'lisesca_formats',
             INCLUDE_VIEWED: 'lisesca_includeViewed',
             AI_ENABLED: 'lisesca_aiEnabled',          // AI job filtering toggle
             INCLUDE_FIRST_ON_PAGE: 'lisesca_includeFirstOnPage', // Include first job card on each page
             FULL_AI_ENABLED: 'lisesca_fullAIEnabled', // Full AI evaluation toggle (three-tier)
             PEOPLE_AI_ENABLED: 'lisesca_peopleAIEnabled',          // AI people scoring toggle
+            VISIT_PROFILES: 'lisesca_visitProfiles',               // Profile deep-visit toggle
+            VISIT_COMPANIES: 'lisesca_visitCompanies',             // Company About page visit toggle
+            VISIT_JOBS: 'lisesca_visitJobs',                       // My Jobs: open each job for full details
             // Job-specific state keys
-            SCRAPE_MODE: 'lisesca_scrapeMode',       // 'people' or 'jobs'
+            SCRAPE_MODE: 'lisesca_scrapeMode',       // 'people', 'jobs', 'companies' or 'myJobs'
             JOB_INDEX: 'lisesca_jobIndex',            // current job index on page (0-based)
             JOB_IDS_ON_PAGE: 'lisesca_jobIdsOnPage',  // JSON array of job IDs for current page
             JOB_TOTAL: 'lisesca_jobTotal',            // total jobs count for "All" mode
+            // Deep-visit state keys (member profiles in people mode, About pages in companies mode,
+            // job pages in myJobs mode; see Session)
+            VISIT_PHASE: 'lisesca_visitPhase', // '', 'visiting' or 'done'
+            VISIT_INDEX: 'lisesca_visitIndex', // buffer index of the record being visited
             // AI evaluation statistics
             JOBS_PROCESSED: 'lisesca_jobsProcessed',        // count of all jobs processed (saved + skipped)
             AI_JOBS_EVALUATED: 'lisesca_aiJobsEvaluated',  // count of jobs evaluated by AI
@@ -276,7 +427,10 @@
             AI_JOBS_FULL_EVALUATED: 'lisesca_aiJobsFullEvaluated', // count of jobs fully evaluated by AI
             AI_JOBS_ACCEPTED: 'lisesca_aiJobsAccepted',    // count of jobs accepted by AI
             AI_PEOPLE_EVALUATED: 'lisesca_aiPeopleEvaluated', // count of people evaluated by AI
-            AI_PEOPLE_ACCEPTED: 'lisesca_aiPeopleAccepted'    // count of people accepted by AI
+            AI_PEOPLE_ACCEPTED: 'lisesca_aiPeopleAccepted',   // count of people accepted by AI
+            // Kept across sessions (not removed by clear)
+            LAST_ITEMS: 'lisesca_lastItems',  // last scraped item per mode, for template preview
+            JOB_CLIPBOARD: 'lisesca_jobClipboard' // jobs captured one by one on job pages
         },
 
         /**
@@ -307,7 +461,7 @@
         },
 
         /**
-         * Get the current scrape mode ('people' or 'jobs').
+         * Get the current scrape mode ('people', 'jobs', 'companies' or 'myJobs').
          * @returns {string} The scrape mode, or 'people' as default.
          */
         getScrapeMode: function() {
@@ -339,7 +493,7 @@
          * @param {number} targetPageCount - How many pages to scrape (9999 for "all").
          * @param {number} startPage - The page number where scraping begins.
          * @param {string} searchUrl - The base search URL (without page parameter).
-         * @param {string} scrapeMode - 'people' or 'jobs'.
+         * @param {string} scrapeMode - 'people', 'jobs', 'companies' or 'myJobs'.
          */
         startSession: function(targetPageCount, startPage, searchUrl, scrapeMode) {
             this.set(this.KEYS.IS_SCRAPING, true);
@@ -347,12 +501,18 @@
             this.set(this.KEYS.TARGET_PAGE_COUNT, targetPageCount);
             this.set(this.KEYS.START_PAGE, startPage);
             this.set(this.KEYS.SEARCH_URL, searchUrl);
+            this.set(this.KEYS.SESSION_STARTED_AT, new Date().toISOString());
+            GM_deleteValue(this.KEYS.RUN_STATS);
             this.set(this.KEYS.SCRAPED_BUFFER, JSON.stringify([]));
+            this.set(this.KEYS.REJECTED_BUFFER, JSON.stringify([]));
             this.set(this.KEYS.SCRAPE_MODE, scrapeMode || 'people');
             // Reset job-specific state
             this.set(this.KEYS.JOB_INDEX, 0);
             this.set(this.KEYS.JOB_IDS_ON_PAGE, JSON.stringify([]));
             this.set(this.KEYS.JOB_TOTAL, 0);
+            // Reset deep-visit state
+            this.set(this.KEYS.VISIT_PHASE, '');
+            this.set(this.KEYS.VISIT_INDEX, 0);
             // Reset processing and AI evaluation counters
             this.set(this.KEYS.JOBS_PROCESSED, 0);
             this.set(this.KEYS.AI_JOBS_EVALUATED, 0);
@@ -376,27 +536,156 @@
             const updated = buffer.concat(newItems);
             this.set(this.KEYS.SCRAPED_BUFFER, JSON.stringify(updated));
             console.log('[LiSeSca] Buffer updated: ' + updated.length + ' total items.');
+            if (newItems.length > 0) {
+                // My Jobs records are jobs, previewed with the job template
+                var mode = this.getScrapeMode();
+                this.saveLastItem(mode === 'myJobs' ? 'jobs' : mode, newItems[newItems.length - 1]);
+            }
         },
 
         /**
-         * Read selected export formats from the UI checkboxes.
-         * @returns {Array<string>} Array of format identifiers (e.g. ['xlsx', 'csv']).
+         * Replace one item of the persistent buffer, e.g. with its enriched version.
+         * @param {number} index - The item's position in the buffer.
+         * @param {Object} item - The new data object.
          */
-        readFormatsFromUI: function() {
-            var formats = [];
-            var xlsxCheck = document.getElementById('lisesca-fmt-xlsx');
-            var csvCheck = document.getElementById('lisesca-fmt-csv');
-            var mdCheck = document.getElementById('lisesca-fmt-md');
+        updateBufferItem: function(index, item) {
+            var buffer = this.getBuffer();
+            if (index < 0 || index >= buffer.length) {
+                return;
+            }
+            buffer[index] = item;
+            this.set(this.KEYS.SCRAPED_BUFFER, JSON.stringify(buffer));
+        },
+
+        /**
+         * Save the final statistics of the session (as shown in the summary panel).
+         * @param {Object} stats - The summary stats, plus interrupted and finishedAt.
+         */
+        saveRunStats: function(stats) {
+            this.set(this.KEYS.RUN_STATS, JSON.stringify(stats));
+        },
+
+        /**
+         * Retrieve the final statistics of the session.
+         * @returns {Object|null} The stats, or null if the session has not finished.
+         */
+        getRunStats: function() {
+            try {
+                return JSON.parse(this.get(this.KEYS.RUN_STATS, 'null'));
+            } catch (error) {
+                console.error('[LiSeSca] Failed to parse run stats:', error);
+                return null;
+            }
+        },
 
-            if (xlsxCheck && xlsxCheck.checked) {
-                formats.push('xlsx');
+        /**
+         * Remember the most recently scraped item of a mode.
+         * Used as sample data for the Markdown template preview.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {Object} item - The scraped data object.
+         */
+        saveLastItem: function(mode, item) {
+            var items = {};
+            try {
+                items = JSON.parse(this.get(this.KEYS.LAST_ITEMS, '{}'));
+            } catch (error) {
+                items = {};
+            }
+            items[mode] = item;
+            this.set(this.KEYS.LAST_ITEMS, JSON.stringify(items));
+        },
+
+        /**
+         * Retrieve the most recently scraped item of a mode.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @returns {Object|null} The item, or null if none was scraped yet.
+         */
+        getLastItem: function(mode) {
+            try {
+                var items = JSON.parse(this.get(this.KEYS.LAST_ITEMS, '{}'));
+                return items[mode] || null;
+            } catch (error) {
+                console.error('[LiSeSca] Failed to parse last items:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Get the jobs captured on standalone job pages.
+         * @returns {Array} Array of job data objects, oldest first.
+         */
+        getJobClipboard: function() {
+            var raw = this.get(this.KEYS.JOB_CLIPBOARD, '[]');
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                console.warn('[LiSeSca] Failed to parse job clipboard, resetting:', error);
+                return [];
             }
-            if (csvCheck && csvCheck.checked) {
-                formats.push('csv');
+        },
+
+        /**
+         * Add a captured job to the clipboard.
+         * A job captured again replaces its earlier copy in place.
+         * @param {Object} job - The job data object.
+         * @returns {boolean} True if the job was new, false if it replaced an earlier copy.
+         */
+        addToJobClipboard: function(job) {
+            var clipboard = this.getJobClipboard();
+            var index = -1;
+            for (var i = 0; i < clipboard.length; i++) {
+                if (clipboard[i].jobId === job.jobId) {
+                    index = i;
+                    break;
+                }
             }
-            if (mdCheck && mdCheck.checked) {
-                formats.push('md');
+            if (index === -1) {
+                clipboard.push(job);
+            } else {
+                clipboard[index] = job;
             }
+            this.set(this.KEYS.JOB_CLIPBOARD, JSON.stringify(clipboard));
+            this.saveLastItem('jobs', job);
+            console.log('[LiSeSca] Job clipboard updated: ' + clipboard.length + ' total jobs.');
+            return index === -1;
+        },
+
+        /**
+         * Remove all jobs from the clipboard.
+         */
+        clearJobClipboard: function() {
+            GM_deleteValue(this.KEYS.JOB_CLIPBOARD);
+            console.log('[LiSeSca] Job clipboard cleared.');
+        },
+
+        /**
+         * Append AI-rejected items to the persistent rejected buffer.
+         * Kept separately from the main buffer so false negatives can be audited.
+         * @param {Array} newItems - Array of rejected data objects (profiles or job basics).
+         */
+        appendRejected: function(newItems) {
+            var rejected = this.getRejected();
+            var updated = rejected.concat(newItems);
+            this.set(this.KEYS.REJECTED_BUFFER, JSON.stringify(updated));
+            console.log('[LiSeSca] Rejected buffer updated: ' + updated.length + ' total items.');
+        },
+
+        /** Export format identifiers, in download order. Each has a 'lisesca-fmt-<id>' checkbox. */
+        EXPORT_FORMATS: ['xlsx', 'csv', 'md', 'mdzip', 'html', 'json', 'jsonl', 'vcf'],
+
+        /**
+         * Read selected export formats from the UI checkboxes.
+         * Formats without a checkbox on the current page are skipped.
+         * @returns {Array<string>} Array of format identifiers (e.g. ['xlsx', 'csv']).
+         */
+        readFormatsFromUI: function() {
+            var formats = [];
+            this.EXPORT_FORMATS.forEach(function(format) {
+                var check = document.getElementById('lisesca-fmt-' + format);
+                if (check && check.checked) {
+                    formats.push(format);
+                }
+            });
             return formats;
         },
 
@@ -510,6 +799,101 @@
             return this.get(this.KEYS.PEOPLE_AI_ENABLED, false);
         },
 
+        /**
+         * Read the "Visit profiles" preference from the UI checkbox.
+         * @returns {boolean} True if profiles should be visited after the search pages.
+         */
+        readVisitProfilesFromUI: function() {
+            var visitCheck = document.getElementById('lisesca-visit-profiles');
+            if (!visitCheck) {
+                return false;
+            }
+            return visitCheck.checked;
+        },
+
+        /**
+         * Save the "Visit profiles" preference to persistent storage.
+         * @param {boolean} visitProfiles - True to visit each saved profile.
+         */
+        saveVisitProfiles: function(visitProfiles) {
+            this.set(this.KEYS.VISIT_PROFILES, visitProfiles === true);
+        },
+
+        /**
+         * Retrieve the saved "Visit profiles" preference.
+         * Defaults to false if not set.
+         * @returns {boolean}
+         */
+        getVisitProfiles: function() {
+            return this.get(this.KEYS.VISIT_PROFILES, false);
+        },
+
+        /**
+         * Read the "Visit company pages" preference from the UI checkbox.
+         * @returns {boolean} True if each saved company's About page should be visited.
+         */
+        readVisitCompaniesFromUI: function() {
+            var visitCheck = document.getElementById('lisesca-visit-companies');
+            if (!visitCheck) {
+                return false;
+            }
+            return visitCheck.checked;
+        },
+
+        /**
+         * Save the "Visit company pages" preference to persistent storage.
+         * @param {boolean} visitCompanies - True to visit each saved company's About page.
+         */
+        saveVisitCompanies: function(visitCompanies) {
+            this.set(this.KEYS.VISIT_COMPANIES, visitCompanies === true);
+        },
+
+        /**
+         * Retrieve the saved "Visit company pages" preference.
+         * Defaults to false if not set.
+         * @returns {boolean}
+         */
+        getVisitCompanies: function() {
+            return this.get(this.KEYS.VISIT_COMPANIES, false);
+        },
+
+        /**
+         * Read the "Open each job" preference (My Jobs pages) from the UI checkbox.
+         * @returns {boolean} True if each saved job's page should be opened for its full details.
+         */
+        readVisitJobsFromUI: function() {
+            var visitCheck = document.getElementById('lisesca-visit-jobs');
+            if (!visitCheck) {
+                return false;
+            }
+            return visitCheck.checked;
+        },
+
+        /**
+         * Save the "Open each job" preference to persistent storage.
+         * @param {boolean} visitJobs - True to open each saved job's page.
+         */
+        saveVisitJobs: function(visitJobs) {
+            this.set(this.KEYS.VISIT_JOBS, visitJobs === true);
+        },
+
+        /**
+         * Retrieve the saved "Open each job" preference.
+         * Defaults to false if not set.
+         * @returns {boolean}
+         */
+        getVisitJobs: function() {
+            return this.get(this.KEYS.VISIT_JOBS, false);
+        },
+
+        /**
+         * Get the deep-visit phase of the session (profile, About page or job page visits).
+         * @returns {string} '' (not started), 'visiting' or 'done'.
+         */
+        getVisitPhase: function() {
+            return this.get(this.KEYS.VISIT_PHASE, '');
+        },
+
         /**
          * Read the "AI job selection" preference from the UI checkbox.
          * @returns {boolean} True if AI filtering is enabled.
@@ -694,6 +1078,20 @@
             }
         },
 
+        /**
+         * Get the items rejected by AI in this session.
+         * @returns {Array} Array of rejected data objects.
+         */
+        getRejected: function() {
+            var raw = this.get(this.KEYS.REJECTED_BUFFER, '[]');
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                console.warn('[LiSeSca] Failed to parse rejected buffer, resetting:', error);
+                return [];
+            }
+        },
+
         /**
          * Get the stored job IDs for the current page.
          * @returns {Array<string>} Array of job ID strings.
@@ -725,12 +1123,17 @@
             GM_deleteValue(this.KEYS.TARGET_PAGE_COUNT);
             GM_deleteValue(this.KEYS.START_PAGE);
             GM_deleteValue(this.KEYS.SCRAPED_BUFFER);
+            GM_deleteValue(this.KEYS.REJECTED_BUFFER);
             GM_deleteValue(this.KEYS.SEARCH_URL);
+            GM_deleteValue(this.KEYS.SESSION_STARTED_AT);
+            GM_deleteValue(this.KEYS.RUN_STATS);
             GM_deleteValue(this.KEYS.FORMATS);
             GM_deleteValue(this.KEYS.SCRAPE_MODE);
             GM_deleteValue(this.KEYS.JOB_INDEX);
             GM_deleteValue(this.KEYS.JOB_IDS_ON_PAGE);
             GM_deleteValue(this.KEYS.JOB_TOTAL);
+            GM_deleteValue(this.KEYS.VISIT_PHASE);
+            GM_deleteValue(this.KEYS.VISIT_INDEX);
             GM_deleteValue(this.KEYS.JOBS_PROCESSED);
             GM_deleteValue(this.KEYS.AI_JOBS_EVALUATED);
             GM_deleteValue(this.KEYS.AI_JOBS_TRIAGED);
@@ -743,26 +1146,72 @@
     };
 
     // ===== PAGE DETECTION =====
-    // Detects whether we are on a people search page, a jobs page, or neither.
+    // Detects whether we are on a people search page, a company's People tab,
+    // the own connections list, a company search page, a jobs page, a single
+    // job view page, the My Jobs tracker, or none of these.
     // Used to adapt the UI and dispatch to the correct controller.
     const PageDetector = {
 
+        /** Standalone job page, e.g. https://www.linkedin.com/jobs/view/4012345678/ */
+        JOB_VIEW_PATTERN: /linkedin\.com\/jobs\/view\/(\d+)/,
+
+        /** Company People tab, e.g. https://www.linkedin.com/company/acme/people/?keywords=engineer */
+        COMPANY_PEOPLE_PATTERN: /linkedin\.com\/company\/[^/?#]+\/people/,
+
+        /** Own connections list, e.g. https://www.linkedin.com/mynetwork/invite-connect/connections/ */
+        CONNECTIONS_PATTERN: /linkedin\.com\/mynetwork\/invite-connect\/connections/,
+
+        /** Member profile page, e.g. https://www.linkedin.com/in/jane-doe/ (profile visits only, no panel) */
+        PROFILE_PATTERN: /linkedin\.com\/in\/[^/?#]+/,
+
         /**
-         * Determine the current page type based on the URL.
-         * @returns {string} 'people', 'jobs', or 'unknown'.
+         * Determine the page type of a URL.
+         * @param {string} url - The URL to analyze.
+         * @returns {string} 'people', 'companyPeople', 'connections', 'companies', 'jobs', 'jobview', 'myJobs', or 'unknown'.
          */
-        getPageType: function() {
-            var href = window.location.href;
-            if (href.indexOf('linkedin.com/search/results/people') !== -1) {
+        getPageTypeFromUrl: function(url) {
+            if (url.indexOf('linkedin.com/search/results/people') !== -1) {
                 return 'people';
             }
-            if (href.indexOf('linkedin.com/jobs/search') !== -1 ||
-                href.indexOf('linkedin.com/jobs/collections') !== -1) {
+            if (this.COMPANY_PEOPLE_PATTERN.test(url)) {
+                return 'companyPeople';
+            }
+            if (this.CONNECTIONS_PATTERN.test(url)) {
+                return 'connections';
+            }
+            if (url.indexOf('linkedin.com/search/results/companies') !== -1) {
+                return 'companies';
+            }
+            if (url.indexOf('linkedin.com/jobs/search') !== -1 ||
+                url.indexOf('linkedin.com/jobs/collections') !== -1) {
                 return 'jobs';
             }
+            if (this.JOB_VIEW_PATTERN.test(url)) {
+                return 'jobview';
+            }
+            if (url.indexOf('linkedin.com/my-items/saved-jobs') !== -1) {
+                return 'myJobs';
+            }
             return 'unknown';
         },
 
+        /**
+         * Determine the current page type based on the URL.
+         * @returns {string} 'people', 'companyPeople', 'connections', 'companies', 'jobs', 'jobview', 'myJobs', or 'unknown'.
+         */
+        getPageType: function() {
+            return this.getPageTypeFromUrl(window.location.href);
+        },
+
+        /**
+         * Get the job ID of the standalone job page being viewed.
+         * @returns {string} The job ID, or '' if not on a job view page.
+         */
+        getJobViewId: function() {
+            var match = window.location.href.match(this.JOB_VIEW_PATTERN);
+            return match ? match[1] : '';
+        },
+
         /**
          * Check if we are on a LinkedIn people search page.
          * @returns {boolean}
@@ -771,12 +1220,80 @@
             return this.getPageType() === 'people';
         },
 
+        /**
+         * Check if we are on a company's People tab.
+         * @returns {boolean}
+         */
+        isOnCompanyPeoplePage: function() {
+            return this.getPageType() === 'companyPeople';
+        },
+
+        /**
+         * Check if we are on the own connections list in My Network.
+         * @returns {boolean}
+         */
+        isOnConnectionsPage: function() {
+            return this.getPageType() === 'connections';
+        },
+
+        /**
+         * Check if we are on a people list that grows in place (a company's
+         * People tab or the connections list) instead of paginating.
+         * @returns {boolean}
+         */
+        isOnPeopleGridPage: function() {
+            var pageType = this.getPageType();
+            return pageType === 'companyPeople' || pageType === 'connections';
+        },
+
+        /**
+         * Check if we are on a page listing people (people search, a company's
+         * People tab or the connections list).
+         * @returns {boolean}
+         */
+        isOnPeoplePage: function() {
+            var pageType = this.getPageType();
+            return pageType === 'people' || pageType === 'companyPeople' || pageType === 'connections';
+        },
+
+        /**
+         * Check if we are on a LinkedIn company search page.
+         * @returns {boolean}
+         */
+        isOnCompanySearchPage: function() {
+            return this.getPageType() === 'companies';
+        },
+
         /**
          * Check if we are on a LinkedIn jobs page.
          * @returns {boolean}
          */
         isOnJobsPage: function() {
             return this.getPageType() === 'jobs';
+        },
+
+        /**
+         * Check if we are on a standalone LinkedIn job page.
+         * @returns {boolean}
+         */
+        isOnJobViewPage: function() {
+            return this.getPageType() === 'jobview';
+        },
+
+        /**
+         * Check if we are on the My Jobs tracker (any of its tabs).
+         * @returns {boolean}
+         */
+        isOnMyJobsPage: function() {
+            return this.getPageType() === 'myJobs';
+        },
+
+        /**
+         * Check if we are on a member's profile page.
+         * @returns {boolean}
+         */
+        isOnProfilePage: function() {
+            return this.PROFILE_PATTERN.test(window.location.href);
         }
     };
 
@@ -864,17 +1381,10 @@
         /**
          * Determine page type from a URL string (for analyzing old URL).
          * @param {string} url - The URL to analyze.
-         * @returns {string} 'people', 'jobs', or 'unknown'.
+         * @returns {string} 'people', 'companyPeople', 'connections', 'companies', 'jobs', 'jobview', 'myJobs', or 'unknown'.
          */
         getPageTypeFromUrl: function(url) {
-            if (url.indexOf('linkedin.com/search/results/people') !== -1) {
-                return 'people';
-            }
-            if (url.indexOf('linkedin.com/jobs/search') !== -1 ||
-                url.indexOf('linkedin.com/jobs/collections') !== -1) {
-                return 'jobs';
-            }
-            return 'unknown';
+            return PageDetector.getPageTypeFromUrl(url);
         }
     };
 
@@ -910,6 +1420,7 @@ ALWAYS provide a brief reason explaining your decision. For rejections, explain
 
 STAGE 2 - FULL EVALUATION (complete job description):
 When you receive full job details after a "maybe" decision, use the full_evaluation tool to make a final accept/reject based on comprehensive analysis of requirements, responsibilities, qualifications, and company info.
+If the job has a "How You Match" section, it lists which of the job's skills the user's LinkedIn profile has and which it lacks — use it when judging fit.
 
 ALWAYS provide a reason for your decision, especially for rejections. Be specific about what criteria the job fails to meet.
 
@@ -2226,7 +2737,9 @@ USER'S CRITERIA:
         DETAIL_COMPANY_NAME: '.job-details-jobs-unified-top-card__company-name a',
         DETAIL_TERTIARY_DESC: '.job-details-jobs-unified-top-card__tertiary-description-container',
         DETAIL_FIT_PREFS: '.job-details-fit-level-preferences button',
+        DETAIL_TOP_CARD_INSIGHT: '.job-details-jobs-unified-top-card__job-insight',
         DETAIL_APPLY_BUTTON: '.jobs-apply-button',
+        MODAL_DISMISS: '.artdeco-modal__dismiss',
         DETAIL_JOB_DESCRIPTION: '#job-details',
         DETAIL_SHOW_MORE: '.inline-show-more-text__button',
 
@@ -2240,8 +2753,27 @@ USER'S CRITERIA:
         // People connections
         DETAIL_CONNECTIONS: '.job-details-people-who-can-help__connections-card-summary',
 
+        // "How you match" — skills on / missing from the member's profile
+        DETAIL_SKILLS_MATCH: '.job-details-how-you-match-card__container',
+        DETAIL_SKILLS_MATCH_ITEM: '.job-details-how-you-match-card__skills-item-wrapper',
+        DETAIL_SKILLS_MATCH_ITEM_LIST: '.job-details-how-you-match-card__skills-item-subtitle',
+
+        // "Meet the hiring team" — one entry per recruiter or hiring manager
+        DETAIL_HIRING_TEAM_MEMBER: '.hirer-card__hirer-information',
+        DETAIL_HIRING_TEAM_NAME: '.jobs-poster__name',
+        DETAIL_HIRING_TEAM_DEGREE: '.hirer-card__connection-degree',
+        DETAIL_HIRING_TEAM_HEADLINE: '.text-body-small',
+
         // Pagination (jobs uses different classes than people search)
-        PAGINATION: '.jobs-search-pagination__pages'};
+        PAGINATION: '.jobs-search-pagination__pages',
+        // My Jobs (/my-items/saved-jobs/) — one card per saved, in-progress, applied or archived job
+        MY_JOBS_CARD: 'li.reusable-search__result-container',
+        MY_JOBS_TITLE_LINK: 'a[href*="/jobs/view/"]',
+        MY_JOBS_COMPANY: '.entity-result__primary-subtitle',
+        MY_JOBS_LOCATION: '.entity-result__secondary-subtitle',
+        MY_JOBS_INSIGHT: '.entity-result__simple-insight-text',
+        MY_JOBS_NEXT_BUTTON: 'button.artdeco-pagination__button--next'
+    };
 
     // ===== PAGINATION (JOBS) =====
     // Handles navigation between job search result pages.
@@ -2339,4254 +2871,12128 @@ USER'S CRITERIA:
         }
     };
 
-    // ===== USER INTERFACE =====
-    // Creates and manages the floating overlay panel with scrape controls.
-    // Adapts to the current page type: green SCRAPE button for people search,
-    // blue SCRAPE button for jobs search, with different page count options.
-
-    // Controller and JobController are used in event handlers (runtime calls, not import-time)
-    // They will be available in the bundled IIFE scope when Rollup bundles the code.
-    // We import them here to satisfy the ES module system.
-    // Note: This creates a circular dependency which Rollup handles correctly for IIFE output.
-    let Controller$1, JobController$1;
+    // ===== TEMPLATE ENGINE =====
+    // Minimal Mustache/Handlebars-style renderer for user-defined Markdown
+    // export templates. Supported syntax:
+    //   {{field}}  {{a.b}}                 value (empty when missing)
+    //   {{#if field}}...{{else}}...{{/if}}  conditional (empty string/array = false)
+    //   {{#unless field}}...{{/unless}}     inverted conditional
+    //   {{#each list}}...{{/each}}          loop; inside, {{this}} is the item,
+    //                                       {{@index}} its 0-based position and
+    //                                       {{@number}} its 1-based position
+    // Output is not escaped: templates produce Markdown, not HTML.
+    // A block tag alone on its line removes that whole line from the output,
+    // so templates can be laid out readably without leaving blank lines.
+    const Template = {
 
-    function setControllers(ctrl, jobCtrl) {
-        Controller$1 = ctrl;
-        JobController$1 = jobCtrl;
-    }
-
-    const UI = {
-        /** References to key DOM elements */
-        panel: null,
-        menu: null,
-        statusArea: null,
-        noResultsArea: null,
-        isMenuOpen: false,
+        /**
+         * Split a template into a tree of nodes.
+         * @param {string} source - The template text.
+         * @returns {Array<Object>} The node tree.
+         * @throws {Error} When block tags are unbalanced or malformed.
+         */
+        parse: function(source) {
+            // Standalone block tags swallow their line's indentation and newline
+            var text = String(source || '').replace(
+                /^[ \t]*(\{\{\s*(?:#|\/|else\b)[^}]*\}\})[ \t]*(?:\r?\n|(?![\s\S]))/gm, '$1');
+
+            var root = { children: [] };
+            var stack = [root];
+            var current = root.children;
+            var tagRegex = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+            var lastIndex = 0;
+            var match;
+
+            while ((match = tagRegex.exec(text)) !== null) {
+                if (match.index > lastIndex) {
+                    current.push({ type: 'text', value: text.substring(lastIndex, match.index) });
+                }
+                lastIndex = tagRegex.lastIndex;
+
+                var tag = match[1];
+                var block = tag.match(/^#(if|unless|each)\s+(\S+)$/);
+                var parent = stack[stack.length - 1];
+
+                if (block) {
+                    var node = { type: block[1], path: block[2], children: [], elseChildren: [] };
+                    current.push(node);
+                    stack.push(node);
+                    current = node.children;
+                } else if (tag === 'else') {
+                    if (parent === root || parent.type === 'each' || parent.inElse) {
+                        throw new Error('Unexpected {{else}}.');
+                    }
+                    parent.inElse = true;
+                    current = parent.elseChildren;
+                } else if (tag.charAt(0) === '/') {
+                    var closing = tag.substring(1).trim();
+                    if (parent === root) {
+                        throw new Error('Unexpected {{/' + closing + '}}.');
+                    }
+                    if (closing !== parent.type) {
+                        throw new Error('Expected {{/' + parent.type + '}} but found {{/' + closing + '}}.');
+                    }
+                    delete parent.inElse;
+                    stack.pop();
+                    var outer = stack[stack.length - 1];
+                    current = outer.inElse ? outer.elseChildren : outer.children;
+                } else if (/^[@\w.]+$/.test(tag)) {
+                    current.push({ type: 'var', path: tag });
+                } else {
+                    throw new Error('Invalid tag {{' + tag + '}}.');
+                }
+            }
 
-        /** Flag to prevent duplicate style injection (styles persist across SPA navigation) */
-        stylesInjected: false,
+            if (stack.length > 1) {
+                throw new Error('Unclosed {{#' + stack[stack.length - 1].type + '}}.');
+            }
+            if (lastIndex < text.length) {
+                current.push({ type: 'text', value: text.substring(lastIndex) });
+            }
+            return root.children;
+        },
 
         /**
-         * Inject all LiSeSca styles into the page.
-         * Skips if already injected (styles persist across SPA navigation).
+         * Look up a dotted path, searching the scopes from innermost outwards.
+         * @param {string} path - e.g. 'company', 'this', '@index', 'a.b'.
+         * @param {Array<Object>} scopes - Scope chain, innermost last.
+         * @returns {*} The value, or undefined.
          */
-        injectStyles: function() {
-            if (this.stylesInjected) {
-                console.log('[LiSeSca] Styles already injected, skipping.');
-                return;
+        lookup: function(path, scopes) {
+            var scope = scopes[scopes.length - 1];
+            if (path === 'this' || path === '.') {
+                return scope.item;
             }
-            this.stylesInjected = true;
-            GM_addStyle(`
-            /* ---- LiSeSca floating panel ---- */
-            .lisesca-panel {
-                position: fixed;
-                top: 10px;
-                right: 10px;
-                z-index: 10000;
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                font-size: 13px;
-                background: #1b1f23;
-                color: #e1e4e8;
-                border-radius: 8px;
-                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
-                padding: 0;
-                min-width: 180px;
-                user-select: none;
+            if (path.charAt(0) === '@') {
+                return scope.meta[path];
             }
 
-            /* Top bar with SCRAPE button and gear icon */
-            .lisesca-topbar {
-                display: flex;
-                align-items: center;
-                padding: 8px 10px;
-                gap: 8px;
+            var parts = path.split('.');
+            for (var i = scopes.length - 1; i >= 0; i--) {
+                var value = scopes[i].item;
+                if (value === null || typeof value !== 'object' || !(parts[0] in value)) {
+                    continue;
+                }
+                for (var j = 0; j < parts.length; j++) {
+                    if (value === null || value === undefined) {
+                        return undefined;
+                    }
+                    value = value[parts[j]];
+                }
+                return value;
             }
+            return undefined;
+        },
 
-            /* The main SCRAPE button — green for people, blue for jobs */
-            .lisesca-scrape-btn {
-                flex: 1;
-                background: #2ea44f;
-                color: #ffffff;
-                border: none;
-                border-radius: 5px;
-                padding: 6px 14px;
-                font-size: 13px;
-                font-weight: 600;
-                cursor: pointer;
-                letter-spacing: 0.5px;
-                transition: background 0.15s;
-            }
-            .lisesca-scrape-btn:hover {
-                background: #3fb950;
+        /**
+         * Decide whether a value counts as present for {{#if}}.
+         * @param {*} value - The value.
+         * @returns {boolean}
+         */
+        isTruthy: function(value) {
+            if (Array.isArray(value)) {
+                return value.length > 0;
             }
+            return !!value;
+        },
 
-            /* Blue variant for jobs pages */
-            .lisesca-scrape-btn--jobs {
-                background: #1f6feb;
+        /**
+         * Convert a value to output text.
+         * Arrays are joined with ', ' so simple lists work without a loop.
+         * @param {*} value - The value.
+         * @returns {string}
+         */
+        stringify: function(value) {
+            if (value === null || value === undefined) {
+                return '';
             }
-            .lisesca-scrape-btn--jobs:hover {
-                background: #388bfd;
+            if (Array.isArray(value)) {
+                return value.map(this.stringify, this).join(', ');
+            }
+            if (typeof value === 'object') {
+                return JSON.stringify(value);
             }
+            return String(value);
+        },
 
-            /* Gear (config) icon button */
-            .lisesca-gear-btn {
-                background: none;
-                border: none;
-                color: #8b949e;
-                cursor: pointer;
-                font-size: 16px;
-                padding: 4px;
-                line-height: 1;
-                transition: color 0.15s;
+        /**
+         * Render a node list against a scope chain.
+         * @param {Array<Object>} nodes - Parsed nodes.
+         * @param {Array<Object>} scopes - Scope chain, innermost last.
+         * @returns {string}
+         */
+        renderNodes: function(nodes, scopes) {
+            var self = this;
+            return nodes.map(function(node) {
+                if (node.type === 'text') {
+                    return node.value;
+                }
+                var value = self.lookup(node.path, scopes);
+                if (node.type === 'var') {
+                    return self.stringify(value);
+                }
+                if (node.type === 'if' || node.type === 'unless') {
+                    var condition = self.isTruthy(value);
+                    if (node.type === 'unless') {
+                        condition = !condition;
+                    }
+                    return self.renderNodes(condition ? node.children : node.elseChildren, scopes);
+                }
+                // each
+                if (!Array.isArray(value)) {
+                    return '';
+                }
+                return value.map(function(item, index) {
+                    var scope = { item: item, meta: { '@index': index, '@number': index + 1 } };
+                    return self.renderNodes(node.children, scopes.concat([scope]));
+                }).join('');
+            }).join('');
+        },
+
+        /**
+         * Render a template with the given data.
+         * @param {string} source - The template text.
+         * @param {Object} data - The record to render.
+         * @returns {string} The rendered text.
+         * @throws {Error} When the template is malformed.
+         */
+        render: function(source, data) {
+            return this.renderNodes(this.parse(source), [{ item: data || {}, meta: {} }]);
+        },
+
+        /**
+         * Check a template for syntax errors.
+         * @param {string} source - The template text.
+         * @returns {string|null} The error message, or null if the template is valid.
+         */
+        validate: function(source) {
+            try {
+                this.parse(source);
+                return null;
+            } catch (error) {
+                return error.message;
             }
-            .lisesca-gear-btn:hover {
-                color: #e1e4e8;
+        }
+    };
+
+    // ===== XLSX WORKBOOK =====
+    // Helpers for building formatted XLSX workbooks with SheetJS: sized columns,
+    // autofilter, clickable hyperlinks, key/value sheets and a frozen header row.
+    // SheetJS community edition cannot write frozen panes, so write() patches the
+    // sheet XML of the generated file with JSZip. If that fails, the unpatched
+    // (still valid) workbook is returned.
+    // SheetJS and JSZip are loaded via @require from CDN.
+    const XlsxWorkbook = {
+        /** Column width bounds, in characters */
+        MIN_COLUMN_WIDTH: 8,
+        MAX_COLUMN_WIDTH: 60,
+
+        /** Rows sampled when measuring column widths */
+        WIDTH_SAMPLE_ROWS: 200,
+
+        /**
+         * Compute column widths from the header and a sample of rows.
+         * Multi-line cells are measured by their longest line.
+         * @param {Array<string>} headers - Header cells.
+         * @param {Array<Array>} rows - Data rows.
+         * @returns {Array<Object>} SheetJS '!cols' entries ({ wch }).
+         */
+        measureColumns: function(headers, rows) {
+            var self = this;
+            var sample = rows.slice(0, this.WIDTH_SAMPLE_ROWS);
+            return headers.map(function(header, col) {
+                var width = String(header).length + 2;  // room for the autofilter button
+                sample.forEach(function(row) {
+                    var value = row[col];
+                    if (value === null || value === undefined) {
+                        return;
+                    }
+                    String(value).split('\n').forEach(function(line) {
+                        width = Math.max(width, line.length);
+                    });
+                });
+                return { wch: Math.min(self.MAX_COLUMN_WIDTH, Math.max(self.MIN_COLUMN_WIDTH, width)) };
+            });
+        },
+
+        /**
+         * Build a table worksheet with a header row, column widths, autofilter
+         * and hyperlinks.
+         * @param {Array<string>} headers - Header cells.
+         * @param {Array<Array>} rows - Data rows.
+         * @param {Array<number>} linkColumns - Indexes of columns holding URLs to make clickable.
+         * @returns {Object} The SheetJS worksheet.
+         */
+        buildTableSheet: function(headers, rows, linkColumns) {
+            var worksheet = XLSX.utils.aoa_to_sheet([headers].concat(rows));
+            worksheet['!cols'] = this.measureColumns(headers, rows);
+            worksheet['!autofilter'] = {
+                ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: headers.length - 1 } })
+            };
+
+            (linkColumns || []).forEach(function(col) {
+                rows.forEach(function(row, index) {
+                    var cell = worksheet[XLSX.utils.encode_cell({ r: index + 1, c: col })];
+                    if (cell && /^https?:\/\//.test(String(cell.v))) {
+                        cell.l = { Target: String(cell.v) };
+                    }
+                });
+            });
+
+            return worksheet;
+        },
+
+        /**
+         * Build a two-column "Field / Value" worksheet.
+         * @param {Array<Array>} pairs - [label, value] rows.
+         * @returns {Object} The SheetJS worksheet.
+         */
+        buildKeyValueSheet: function(pairs) {
+            var worksheet = XLSX.utils.aoa_to_sheet([['Field', 'Value']].concat(pairs));
+            worksheet['!cols'] = [{ wch: 28 }, { wch: 80 }];
+            return worksheet;
+        },
+
+        /**
+         * Freeze the first row in a worksheet's XML.
+         * Adds a frozen pane to the existing <sheetView>, or inserts a
+         * <sheetViews> block where the schema expects it.
+         * @param {string} xml - The sheet XML.
+         * @returns {string} The patched XML (unchanged if it already has a pane).
+         */
+        freezeHeaderRowXml: function(xml) {
+            if (/<pane\b/.test(xml)) {
+                return xml;
             }
+            var pane = '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+                + '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>';
 
-            /* Dropdown menu (hidden by default) */
-            .lisesca-menu {
-                display: none;
-                padding: 8px 10px 10px;
-                border-top: 1px solid #30363d;
+            if (/<sheetView\b[^>]*\/>/.test(xml)) {
+                return xml.replace(/<sheetView\b([^>]*?)\s*\/>/, '<sheetView$1>' + pane + '</sheetView>');
             }
-            .lisesca-menu.lisesca-open {
-                display: block;
+            if (/<sheetView\b[^>]*>/.test(xml)) {
+                return xml.replace(/(<sheetView\b[^>]*>)/, '$1' + pane);
             }
+            var views = '<sheetViews><sheetView workbookViewId="0">' + pane + '</sheetView></sheetViews>';
+            return xml.replace(/(<sheetFormatPr\b|<cols\b|<sheetData\b)/, views + '$1');
+        },
 
-            /* Label text above the dropdown */
-            .lisesca-menu-label {
-                font-size: 11px;
-                color: #8b949e;
-                margin-bottom: 5px;
+        /**
+         * Write a workbook to binary XLSX with the header row of every sheet frozen.
+         * @param {Object} workbook - The SheetJS workbook.
+         * @returns {Promise<Uint8Array>} The binary XLSX file content.
+         */
+        write: function(workbook) {
+            var self = this;
+            var xlsxData = new Uint8Array(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+
+            if (typeof JSZip === 'undefined') {
+                console.warn('[LiSeSca] JSZip not available, header rows not frozen.');
+                return Promise.resolve(xlsxData);
             }
 
-            /* Page count selector dropdown */
-            .lisesca-select {
-                width: 100%;
-                background: #0d1117;
-                color: #e1e4e8;
-                border: 1px solid #30363d;
-                border-radius: 4px;
-                padding: 5px 8px;
-                font-size: 13px;
-                margin-bottom: 8px;
-                cursor: pointer;
+            return JSZip.loadAsync(xlsxData).then(function(zip) {
+                var sheets = zip.file(/^xl\/worksheets\/sheet\d+\.xml$/);
+                return Promise.all(sheets.map(function(sheet) {
+                    return sheet.async('string').then(function(xml) {
+                        zip.file(sheet.name, self.freezeHeaderRowXml(xml));
+                    });
+                })).then(function() {
+                    return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+                });
+            }).catch(function(error) {
+                console.warn('[LiSeSca] Could not freeze header rows, using plain workbook:', error);
+                return xlsxData;
+            });
+        }
+    };
+
+    // ===== RESULT MERGE =====
+    // Merges newly scraped records into a previous LiSeSca export (XLSX, JSON or
+    // JSON Lines) so a cumulative tracker file can be kept up to date.
+    // Records are matched by jobId (jobs), cleaned profile URL (people) or
+    // cleaned company URL (companies) and flagged in a mergeStatus field:
+    //   new       - only in the new results
+    //   updated   - in both, and an exported field changed
+    //   unchanged - in both without changes, or only in the existing file
+    // Existing rows keep their order; new rows are appended.
+    // SheetJS is loaded via @require from CDN (only needed by readFile).
+    const ResultMerge = {
+        /** Record field and column header holding the merge status */
+        STATUS_FIELD: 'mergeStatus',
+        STATUS_HEADER: 'Merge Status',
+
+        /** Fields that change between runs without the record changing */
+        VOLATILE_FIELDS: ['postedDate', 'postedAt', 'aiEvaluatedAt', 'profileVisitedAt', 'aboutVisitedAt', 'mergeStatus'],
+
+        /**
+         * Reduce a LinkedIn profile URL to a stable key.
+         * Drops the query string, fragment, trailing slash and letter case, and
+         * unifies the host so http/https and locale subdomains match.
+         * @param {string} url - A profile URL.
+         * @returns {string} The cleaned URL, or '' if empty.
+         */
+        cleanProfileUrl: function(url) {
+            var value = String(url || '').trim();
+            if (!value) {
+                return '';
             }
-            .lisesca-select:focus {
-                outline: none;
-                border-color: #58a6ff;
+            var match = value.match(/linkedin\.com\/in\/([^\/?#]+)/i);
+            if (match) {
+                var slug = match[1];
+                try {
+                    slug = decodeURIComponent(slug);
+                } catch (error) {
+                    // Keep the raw slug if it is not valid percent-encoding
+                }
+                return 'https://www.linkedin.com/in/' + slug.toLowerCase();
             }
+            return value.split(/[?#]/)[0].replace(/\/+$/, '').toLowerCase();
+        },
 
-            /* Format selection checkboxes */
-            .lisesca-fmt-label {
-                font-size: 11px;
-                color: #8b949e;
-                margin-bottom: 5px;
-                margin-top: 4px;
+        /**
+         * Get the de-duplication key of a record.
+         * Jobs without a jobId fall back to the ID in their job link.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {Object} record - A job, profile or company record.
+         * @returns {string} The key, or '' if the record cannot be matched.
+         */
+        recordKey: function(mode, record) {
+            if (mode === 'jobs') {
+                if (record.jobId !== undefined && record.jobId !== null && String(record.jobId).trim() !== '') {
+                    return String(record.jobId).trim();
+                }
+                var match = String(record.jobLink || '').match(/\/jobs\/view\/(\d+)|currentJobId=(\d+)/);
+                return match ? (match[1] || match[2]) : '';
+            }
+            if (mode === 'companies') {
+                return this.cleanProfileUrl(record.companyUrl);
             }
+            return this.cleanProfileUrl(record.profileUrl);
+        },
 
-            .lisesca-fmt-row {
-                display: flex;
-                gap: 10px;
-                margin-bottom: 8px;
+        /**
+         * Build a lookup from column header (or field key) to field key.
+         * Lookups are case-insensitive so renamed profile headers and the
+         * built-in headers are both recognized.
+         * @param {Array<Array<Object>>} columnSets - Lists of { key, header } columns.
+         * @returns {Object} Lowercased header/key → field key.
+         */
+        buildHeaderMap: function(columnSets) {
+            var map = {};
+            map[this.STATUS_HEADER.toLowerCase()] = this.STATUS_FIELD;
+            map[this.STATUS_FIELD.toLowerCase()] = this.STATUS_FIELD;
+            columnSets.forEach(function(columns) {
+                columns.forEach(function(column) {
+                    map[String(column.key).toLowerCase()] = column.key;
+                    map[String(column.header).trim().toLowerCase()] = column.key;
+                });
+            });
+            return map;
+        },
+
+        /**
+         * Convert a sheet table (array of rows, header first) into records.
+         * Columns with unknown headers are ignored; blank rows are skipped.
+         * @param {Array<Array>} table - Rows of cell values.
+         * @param {Object} headerMap - Result of buildHeaderMap().
+         * @returns {Array<Object>} The records.
+         */
+        tableToRecords: function(table, headerMap) {
+            if (!table || table.length === 0) {
+                throw new Error('The sheet is empty.');
+            }
+            var keys = table[0].map(function(header) {
+                return headerMap[String(header).trim().toLowerCase()] || null;
+            });
+            var known = keys.filter(function(key) {
+                return key && key !== 'mergeStatus';
+            });
+            if (known.length === 0) {
+                throw new Error('No LiSeSca columns found in the sheet.');
             }
 
-            .lisesca-toggle-row {
-                display: flex;
-                align-items: center;
-                gap: 6px;
-                margin-bottom: 8px;
+            var records = [];
+            table.slice(1).forEach(function(row) {
+                var record = {};
+                var hasValue = false;
+                keys.forEach(function(key, index) {
+                    var value = row[index];
+                    if (!key || value === undefined || value === null || value === '') {
+                        return;
+                    }
+                    record[key] = value;
+                    hasValue = true;
+                });
+                if (hasValue) {
+                    records.push(record);
+                }
+            });
+            return records;
+        },
+
+        /**
+         * Parse a LiSeSca JSON export ({ metadata, results }), a plain JSON
+         * array, or JSON Lines.
+         * @param {string} text - The file content.
+         * @returns {Array<Object>} The records.
+         */
+        parseJSON: function(text) {
+            var content = String(text || '').replace(/^\uFEFF/, '').trim();
+            var doc;
+            try {
+                doc = JSON.parse(content);
+            } catch (error) {
+                doc = null;
             }
 
-            .lisesca-checkbox-label {
-                display: flex;
-                align-items: center;
-                gap: 4px;
-                font-size: 12px;
-                color: #c9d1d9;
-                cursor: pointer;
+            if (Array.isArray(doc)) {
+                return doc;
+            }
+            if (doc && Array.isArray(doc.results)) {
+                return doc.results;
             }
 
-            .lisesca-checkbox-label input[type="checkbox"] {
-                -webkit-appearance: checkbox !important;
-                appearance: checkbox !important;
-                position: static !important;
-                width: 14px !important;
-                height: 14px !important;
-                min-width: 14px !important;
-                min-height: 14px !important;
-                flex-shrink: 0 !important;
-                accent-color: #58a6ff;
-                cursor: pointer;
-                margin: 0 2px 0 0 !important;
-                padding: 0 !important;
-                opacity: 1 !important;
+            try {
+                return content.split(/\r?\n/).filter(function(line) {
+                    return line.trim() !== '';
+                }).map(function(line) {
+                    return JSON.parse(line);
+                });
+            } catch (error) {
+                throw new Error('Not a LiSeSca JSON or JSON Lines export.');
             }
+        },
 
-            /* GO button inside the dropdown */
-            .lisesca-go-btn {
-                width: 100%;
-                background: #1f6feb;
-                color: #ffffff;
-                border: none;
-                border-radius: 5px;
-                padding: 6px 14px;
-                font-size: 13px;
-                font-weight: 600;
-                cursor: pointer;
-                transition: background 0.15s;
+        /**
+         * Normalize a field value for comparison.
+         * Lists of plain values compare as the comma-separated text they are
+         * exported as.
+         * @param {*} value - A field value.
+         * @returns {string} Trimmed string with LF line breaks.
+         */
+        normalizeValue: function(value) {
+            if (value === undefined || value === null) {
+                return '';
             }
-            .lisesca-go-btn:hover {
-                background: #388bfd;
+            var isPlainList = Array.isArray(value) && value.every(function(item) {
+                return item === null || typeof item !== 'object';
+            });
+            if (isPlainList) {
+                return value.join(', ');
             }
-
-            /* Status display area (shown during scraping) */
-            .lisesca-status {
-                display: none;
-                padding: 8px 10px 10px;
-                border-top: 1px solid #30363d;
-                font-size: 12px;
-                color: #8b949e;
+            if (typeof value === 'object') {
+                return JSON.stringify(value);
             }
-            .lisesca-status.lisesca-visible {
-                display: block;
+            return String(value).replace(/\r\n?/g, '\n').trim();
+        },
+
+        /**
+         * Copy a record, taking non-empty values from an update.
+         * @param {Object} base - The existing record.
+         * @param {Object} update - The newly scraped record.
+         * @returns {Object} The merged record.
+         */
+        mergeRecord: function(base, update) {
+            var self = this;
+            var merged = Object.assign({}, base);
+            Object.keys(update).forEach(function(key) {
+                if (self.normalizeValue(update[key]) !== '') {
+                    merged[key] = update[key];
+                }
+            });
+            return merged;
+        },
+
+        /**
+         * Merge new records into existing ones.
+         * A matched record is 'updated' when any compared field present in the
+         * existing record differs after the merge; volatile fields are ignored.
+         * Duplicates (same key) within either list are folded into the first one.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {Array<Object>} existing - Records from the previous export.
+         * @param {Array<Object>} incoming - Newly scraped records.
+         * @param {Array<string>} compareKeys - Fields that make a record 'updated'.
+         * @returns {Object} { records, counts: { new, updated, unchanged } }.
+         */
+        merge: function(mode, existing, incoming, compareKeys) {
+            var self = this;
+            var records = [];
+            var indexByKey = {};
+            var originals = {};
+            var statuses = [];
+
+            var keys = compareKeys.filter(function(key) {
+                return self.VOLATILE_FIELDS.indexOf(key) === -1;
+            });
+
+            existing.forEach(function(record) {
+                var key = self.recordKey(mode, record);
+                if (key && indexByKey[key] !== undefined) {
+                    records[indexByKey[key]] = self.mergeRecord(records[indexByKey[key]], record);
+                    originals[key] = records[indexByKey[key]];
+                    return;
+                }
+                if (key) {
+                    indexByKey[key] = records.length;
+                    originals[key] = record;
+                }
+                records.push(record);
+                statuses.push('unchanged');
+            });
+
+            incoming.forEach(function(record) {
+                var key = self.recordKey(mode, record);
+                if (!key || indexByKey[key] === undefined) {
+                    if (key) {
+                        indexByKey[key] = records.length;
+                    }
+                    records.push(record);
+                    statuses.push('new');
+                    return;
+                }
+
+                var index = indexByKey[key];
+                var merged = self.mergeRecord(records[index], record);
+                records[index] = merged;
+
+                if (statuses[index] === 'new') {
+                    return;
+                }
+                var original = originals[key];
+                var changed = keys.some(function(field) {
+                    return Object.prototype.hasOwnProperty.call(original, field)
+                        && self.normalizeValue(original[field]) !== self.normalizeValue(merged[field]);
+                });
+                statuses[index] = changed ? 'updated' : 'unchanged';
+            });
+
+            var counts = { new: 0, updated: 0, unchanged: 0 };
+            var result = records.map(function(record, index) {
+                counts[statuses[index]]++;
+                var flagged = Object.assign({}, record);
+                flagged[self.STATUS_FIELD] = statuses[index];
+                return flagged;
+            });
+
+            return { records: result, counts: counts };
+        },
+
+        /**
+         * Read the records of a previous export chosen by the user.
+         * XLSX files are read from the sheet named mainSheetName, or the first
+         * sheet if there is none with that name.
+         * @param {File} file - The selected file.
+         * @param {string} mainSheetName - Name of the results sheet.
+         * @param {Object} headerMap - Result of buildHeaderMap().
+         * @returns {Promise<Object>} { type: 'xlsx'|'json'|'jsonl', records }.
+         */
+        readFile: function(file, mainSheetName, headerMap) {
+            var self = this;
+            var name = String(file.name || '').toLowerCase();
+
+            if (/\.xlsx?$/.test(name)) {
+                return file.arrayBuffer().then(function(data) {
+                    var workbook = XLSX.read(new Uint8Array(data), { type: 'array' });
+                    var sheetName = workbook.SheetNames.indexOf(mainSheetName) !== -1
+                        ? mainSheetName
+                        : workbook.SheetNames[0];
+                    var table = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '' });
+                    return { type: 'xlsx', records: self.tableToRecords(table, headerMap) };
+                });
             }
 
-            .lisesca-status-progress {
-                display: none;
-                margin-bottom: 4px;
+            return file.text().then(function(text) {
+                return {
+                    type: /\.jsonl$/.test(name) ? 'jsonl' : 'json',
+                    records: self.parseJSON(text)
+                };
+            });
+        }
+    };
+
+    // ===== FILENAME =====
+    // Builds export file names from a user-configurable pattern.
+    // Supported tokens:
+    //   {date} YYYY-MM-DD, {time} HH_MM, {mode} PEOPLE/JOBS/COMPANIES,
+    //   {keywords}, {location}, {geoId} from the search URL,
+    //   {pages} pages scanned, {count} records in the export,
+    //   {tag} REJECTED/DETAILS/MERGED for auxiliary files, CLIPBOARD for captured jobs,
+    //   MYJOBS for the My Jobs tracker (empty otherwise).
+    // Separators left dangling by empty tokens are removed, so the default
+    // pattern reproduces the classic YYYY-MM-DD_HH_MM_JOBS_LinkedIn names.
+    const Filename = {
+        DEFAULT_PATTERN: '{date}_{time}_{mode}_{tag}_LinkedIn',
+
+        TOKENS: ['date', 'time', 'mode', 'keywords', 'location', 'geoId', 'pages', 'count', 'tag'],
+
+        /** Maximum length of the name without extension */
+        MAX_LENGTH: 150,
+
+        /**
+         * Read the keywords, location and geo ID from a LinkedIn search URL.
+         * People searches carry locations as a geoUrn list; its first ID is used.
+         * @param {string} searchUrl - The search URL.
+         * @returns {Object} { keywords, location, geoId } (empty strings if absent).
+         */
+        getSearchValues: function(searchUrl) {
+            var values = { keywords: '', location: '', geoId: '' };
+            var url;
+            try {
+                url = new URL(searchUrl);
+            } catch (error) {
+                return values;
             }
-            .lisesca-status-progress.lisesca-visible {
-                display: block;
+            values.keywords = url.searchParams.get('keywords') || '';
+            values.location = url.searchParams.get('location') || '';
+            values.geoId = url.searchParams.get('geoId') || '';
+            if (!values.geoId) {
+                var geoMatch = (url.searchParams.get('geoUrn') || '').match(/\d+/);
+                values.geoId = geoMatch ? geoMatch[0] : '';
             }
+            return values;
+        },
 
-            /* Stop button (shown during scraping) */
-            .lisesca-stop-btn {
-                width: 100%;
-                background: #da3633;
-                color: #ffffff;
-                border: none;
-                border-radius: 5px;
-                padding: 5px 12px;
-                font-size: 12px;
-                font-weight: 600;
-                cursor: pointer;
-                margin-top: 6px;
-                transition: background 0.15s;
-            }
-            .lisesca-stop-btn:hover {
-                background: #f85149;
+        /**
+         * Make text safe for use in a file name on all common file systems.
+         * Reserved characters, commas and whitespace become '-'.
+         * @param {*} value - The text.
+         * @returns {string} The sanitized text.
+         */
+        sanitize: function(value) {
+            return String(value === undefined || value === null ? '' : value)
+                .replace(/[\\\/:*?"<>|,;\u0000-\u001f\u007f]/g, '-')
+                .replace(/\s+/g, '-')
+                .replace(/-{2,}/g, '-');
+        },
+
+        /**
+         * List the tokens in a pattern that are not supported.
+         * @param {string} pattern - The file name pattern.
+         * @returns {Array<string>} Unknown token names.
+         */
+        findUnknownTokens: function(pattern) {
+            var self = this;
+            var unknown = [];
+            String(pattern || '').replace(/\{([^{}]*)\}/g, function(match, name) {
+                if (self.TOKENS.indexOf(name) === -1 && unknown.indexOf(name) === -1) {
+                    unknown.push(name);
+                }
+                return match;
+            });
+            return unknown;
+        },
+
+        /**
+         * Build a file name from a pattern.
+         * A non-empty tag is appended if the pattern has no {tag} token, so
+         * auxiliary files never overwrite the main export.
+         * Unknown tokens (the settings dialog rejects them, but a stored pattern
+         * may predate a rename) are dropped rather than kept as literal braces.
+         * @param {string} pattern - The file name pattern (empty for the default).
+         * @param {Object} values - { mode, tag, extension, count, pages, searchUrl }.
+         * @param {Date} now - The export time.
+         * @returns {string} The file name, with extension.
+         */
+        build: function(pattern, values, now) {
+            var self = this;
+            var source = pattern || this.DEFAULT_PATTERN;
+            var search = this.getSearchValues(values.searchUrl);
+            var tokens = {
+                date: now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0')
+                    + '-' + String(now.getDate()).padStart(2, '0'),
+                time: String(now.getHours()).padStart(2, '0') + '_' + String(now.getMinutes()).padStart(2, '0'),
+                mode: values.mode || '',
+                keywords: search.keywords,
+                location: search.location,
+                geoId: search.geoId,
+                pages: values.pages !== undefined && values.pages !== null ? values.pages : '',
+                count: values.count !== undefined && values.count !== null ? values.count : '',
+                tag: values.tag || ''
+            };
+
+            if (tokens.tag && source.indexOf('{tag}') === -1) {
+                source += '_{tag}';
             }
 
-            /* AI stats display in progress area */
-            .lisesca-ai-stats {
-                display: none;
-                font-size: 11px;
-                color: #58a6ff;
-                margin-bottom: 4px;
+            var name = source.replace(/\{([^{}]*)\}/g, function(match, token) {
+                return Object.prototype.hasOwnProperty.call(tokens, token) ? self.sanitize(tokens[token]) : '';
+            });
+
+            name = this.sanitize(name)
+                .replace(/([_.-])\1+/g, '$1')
+                .replace(/[_-]+(?=[_-])/g, '')
+                .replace(/^[_.\s-]+|[_.\s-]+$/g, '')
+                .slice(0, this.MAX_LENGTH)
+                .replace(/[_.\s-]+$/, '');
+
+            return (name || 'LinkedIn') + '.' + (values.extension || 'md');
+        }
+    };
+
+    // ===== EXPORT =====
+    // Format-independent export helpers shared by the people, job and company
+    // output modules: CSV escaping, JSON export, export metadata, the XLSX
+    // Summary and Run Metadata sheets, Markdown templates, file names and
+    // downloads, plus the download of results, merges and rejected records in
+    // the selected formats.
+    // The download steps take the mode's output module, which provides:
+    //   MODE ('people', 'jobs' or 'companies'), SHEET_NAME, COLUMNS,
+    //   getExportColumns(), buildSheet(records, columns), buildFilename(extension, tag, count),
+    //   and a generator per supported format (generateXLSX, generateCSV, ...).
+    // Records that do not come from the current scrape session (the job
+    // clipboard) are exported standalone: generateXLSX, generateHTML and
+    // buildFilename then take a `standalone` flag and leave out everything read
+    // from the session (search URL, run statistics, rejected records, Summary
+    // and Run Metadata sheets).
+    // SheetJS is loaded via @require from CDN.
+
+    const Export = {
+
+        /** UTF-8 byte order mark, optionally prepended to CSV files so Excel detects the encoding */
+        UTF8_BOM: '\uFEFF',
+
+        /**
+         * Escape a value for CSV output (RFC 4180).
+         * @param {*} value - The cell value to escape.
+         * @returns {string} The CSV-safe string.
+         */
+        escapeCSVField: function(value) {
+            var str = String(value);
+            return '"' + str.replace(/"/g, '""') + '"';
+        },
+
+        /**
+         * Find the positions of the given keys in a column list.
+         * @param {Array<Object>} columns - { key, header } columns.
+         * @param {Array<string>} keys - Keys to look for.
+         * @returns {Array<number>} Column indexes.
+         */
+        findColumnIndexes: function(columns, keys) {
+            var indexes = [];
+            columns.forEach(function(column, index) {
+                if (keys.indexOf(column.key) !== -1) {
+                    indexes.push(index);
+                }
+            });
+            return indexes;
+        },
+
+        /**
+         * Render a record for Markdown exports, using the user's template for the
+         * mode when one is set. Falls back to the built-in layout if the template
+         * is malformed. Only exports use this; AI prompts keep the built-in layout.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {Object} record - A profile, job or company data object.
+         * @param {Function} formatBuiltIn - Built-in formatter for the mode.
+         * @returns {string} The Markdown block.
+         */
+        renderMarkdownRecord: function(mode, record, formatBuiltIn) {
+            var template = CONFIG.MARKDOWN_TEMPLATES[mode];
+            if (template) {
+                try {
+                    return Template.render(template, record).replace(/\s+$/, '');
+                } catch (error) {
+                    console.warn('[LiSeSca] Invalid ' + mode + ' Markdown template, using built-in layout: '
+                        + error.message);
+                }
             }
-            .lisesca-ai-stats.lisesca-visible {
-                display: block;
+            return formatBuiltIn(record);
+        },
+
+        /**
+         * Build the metadata header written at the top of JSON exports.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {boolean} [standalone] - True for records outside the scrape session (no search URL).
+         * @returns {Object} Metadata describing the search, the run and the AI settings.
+         */
+        buildExportMetadata: function(mode, standalone) {
+            var isJobs = (mode === 'jobs');
+            // Companies are not filtered by AI
+            var aiEnabled = isJobs ? State.getAIEnabled() : (mode === 'people' && State.getPeopleAIEnabled());
+            return {
+                generator: 'LiSeSca',
+                version: CONFIG.VERSION,
+                mode: mode,
+                searchUrl: standalone ? '' : State.get(State.KEYS.SEARCH_URL, ''),
+                scrapedAt: new Date().toISOString(),
+                ai: {
+                    enabled: aiEnabled,
+                    fullEvaluation: isJobs && aiEnabled && State.getFullAIEnabled(),
+                    model: aiEnabled ? AIClient.getModel() : '',
+                    criteria: aiEnabled ? (isJobs ? CONFIG.JOB_CRITERIA : CONFIG.PEOPLE_CRITERIA) : ''
+                }
+            };
+        },
+
+        /**
+         * Build the metadata lines shown at the top of the HTML report.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {number} count - Number of records in the report.
+         * @param {boolean} [standalone] - True for records outside the scrape session.
+         * @returns {Array<Array>} [label, value] pairs.
+         */
+        buildReportMetadata: function(mode, count, standalone) {
+            var metadata = this.buildExportMetadata(mode, standalone);
+            return [
+                ['Records', count],
+                ['Scraped', metadata.scrapedAt],
+                ['Search', metadata.searchUrl],
+                ['AI model', metadata.ai.model],
+                ['Generated by', metadata.generator + ' ' + metadata.version]
+            ];
+        },
+
+        /** Readable names of common LinkedIn search URL parameters */
+        SEARCH_FILTER_LABELS: {
+            keywords: 'Keywords',
+            location: 'Location',
+            geoId: 'Location ID',
+            geoUrn: 'Locations',
+            distance: 'Distance',
+            f_TPR: 'Date posted',
+            f_WT: 'Workplace type',
+            f_E: 'Experience level',
+            f_JT: 'Job type',
+            f_AL: 'Easy Apply',
+            f_C: 'Company',
+            f_I: 'Industry',
+            f_F: 'Job function',
+            f_SB2: 'Salary',
+            sortBy: 'Sort by',
+            network: 'Connection degree',
+            currentCompany: 'Current company',
+            pastCompany: 'Past company',
+            industry: 'Industry',
+            schoolFilter: 'School',
+            title: 'Title'
+        },
+
+        /** URL parameters that carry navigation state rather than search filters */
+        IGNORED_SEARCH_PARAMS: ['origin', 'refresh', 'currentJobId', 'sid', 'start', 'page',
+            'position', 'pageNum', 'spellCorrectionEnabled', 'trk'],
+
+        /**
+         * Extract the search filters from a LinkedIn search URL.
+         * @param {string} searchUrl - The search URL.
+         * @returns {Array<Array>} [label, value] pairs, in URL order.
+         */
+        parseSearchFilters: function(searchUrl) {
+            var self = this;
+            var pairs = [];
+            var url;
+            try {
+                url = new URL(searchUrl);
+            } catch (error) {
+                return pairs;
             }
+            url.searchParams.forEach(function(value, key) {
+                if (self.IGNORED_SEARCH_PARAMS.indexOf(key) === -1 && value !== '') {
+                    pairs.push([self.SEARCH_FILTER_LABELS[key] || key, value]);
+                }
+            });
+            return pairs;
+        },
 
-            /* No-results notification */
-            .lisesca-no-results {
-                display: none;
-                padding: 12px 10px;
-                border-top: 1px solid #30363d;
-                text-align: center;
+        /** Summary label of the saved record count, per mode */
+        SAVED_LABELS: {
+            people: 'Profiles Saved',
+            jobs: 'Jobs Saved',
+            companies: 'Companies Saved'
+        },
+
+        /** Run Metadata name of each mode */
+        MODE_NAMES: {
+            people: 'People search',
+            jobs: 'Job search',
+            companies: 'Company search'
+        },
+
+        /**
+         * Build the rows of the XLSX Summary sheet, mirroring the summary panel.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {number} savedCount - Number of records in the export.
+         * @returns {Array<Array>} [label, value] pairs.
+         */
+        buildSummaryPairs: function(mode, savedCount) {
+            var isJobs = (mode === 'jobs');
+            var stats = State.getRunStats() || {};
+            var pairs = [];
+
+            if (stats.pages !== undefined) {
+                pairs.push(['Pages Scanned', stats.pages]);
             }
-            .lisesca-no-results.lisesca-visible {
-                display: block;
+            if (isJobs && stats.processed !== undefined) {
+                pairs.push(['Total Processed', stats.processed]);
             }
-            .lisesca-no-results-icon {
-                font-size: 24px;
-                margin-bottom: 8px;
-                color: #8b949e;
+            pairs.push([this.SAVED_LABELS[mode], savedCount]);
+            if (stats.visitProfiles) {
+                pairs.push(['Profiles Visited', stats.visited]);
             }
-            .lisesca-no-results-title {
-                font-size: 13px;
-                font-weight: 600;
-                color: #e1e4e8;
-                margin-bottom: 6px;
+            if (stats.visitCompanies) {
+                pairs.push(['Company Pages Visited', stats.visited]);
             }
-            .lisesca-no-results-stats {
-                font-size: 11px;
-                color: #8b949e;
-                margin-bottom: 10px;
+            if (stats.visitJobs) {
+                pairs.push(['Jobs Opened', stats.visited]);
             }
-            .lisesca-no-results-btn {
-                width: 100%;
-                background: #21262d;
-                color: #c9d1d9;
-                border: 1px solid #30363d;
-                border-radius: 5px;
-                padding: 6px 12px;
-                font-size: 12px;
-                font-weight: 600;
-                cursor: pointer;
-                transition: background 0.15s;
+
+            pairs.push(['AI Filtering', stats.aiEnabled ? 'On' : 'Off']);
+            if (stats.aiEnabled) {
+                if (isJobs && stats.fullAIEnabled) {
+                    pairs.push(['AI Triaged (Cards)', stats.aiTriaged]);
+                    pairs.push(['AI Fully Evaluated', stats.aiFullEvaluated]);
+                } else {
+                    pairs.push(['AI Evaluated', stats.aiEvaluated]);
+                }
+                pairs.push([isJobs ? 'AI Accepted' : 'AI Accepted (Score ≥3)', stats.aiAccepted]);
+                pairs.push(['AI Rejected', State.getRejected().length]);
             }
-            .lisesca-no-results-btn:hover {
-                background: #30363d;
+            if (stats.interrupted !== undefined) {
+                pairs.push(['Stopped Early', stats.interrupted ? 'Yes' : 'No']);
             }
+            return pairs;
+        },
 
-            /* ---- Configuration overlay ---- */
-            .lisesca-config-overlay {
-                display: none;
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.5);
-                z-index: 10001;
-                justify-content: center;
-                align-items: center;
+        /**
+         * Build the rows of the XLSX Run Metadata sheet.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @returns {Array<Array>} [label, value] pairs.
+         */
+        buildRunMetadataPairs: function(mode) {
+            var isJobs = (mode === 'jobs');
+            var metadata = this.buildExportMetadata(mode);
+            var stats = State.getRunStats() || {};
+            var targetPages = State.get(State.KEYS.TARGET_PAGE_COUNT, '');
+
+            var pairs = [
+                ['Generated By', metadata.generator + ' ' + metadata.version],
+                ['Mode', this.MODE_NAMES[mode]],
+                ['Search URL', metadata.searchUrl]
+            ];
+            this.parseSearchFilters(metadata.searchUrl).forEach(function(filter) {
+                pairs.push(['Filter: ' + filter[0], filter[1]]);
+            });
+            pairs.push(['Start Page', State.get(State.KEYS.START_PAGE, '')]);
+            pairs.push(['Pages Requested', targetPages >= 9999 ? 'All' : targetPages]);
+            if (isJobs) {
+                pairs.push(['Include Viewed', State.getIncludeViewed() ? 'Yes' : 'No']);
             }
-            .lisesca-config-overlay.lisesca-visible {
-                display: flex;
+            pairs.push(['AI Filtering', metadata.ai.enabled ? 'On' : 'Off']);
+            if (isJobs && metadata.ai.enabled) {
+                pairs.push(['Full AI Evaluation', metadata.ai.fullEvaluation ? 'On' : 'Off']);
             }
+            if (metadata.ai.enabled) {
+                pairs.push(['AI Model', metadata.ai.model]);
+                pairs.push(['AI Criteria', metadata.ai.criteria]);
+            }
+            pairs.push(['Scrape Started', State.get(State.KEYS.SESSION_STARTED_AT, '')]);
+            pairs.push(['Scrape Finished', stats.finishedAt || '']);
+            pairs.push(['Exported', metadata.scrapedAt]);
+            return pairs;
+        },
 
-            .lisesca-config-panel {
-                background: #1b1f23;
-                color: #e1e4e8;
-                border-radius: 10px;
-                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.6);
-                padding: 20px 24px;
-                min-width: 280px;
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                font-size: 13px;
-            }
+        /**
+         * Append the Summary and Run Metadata sheets to a workbook.
+         * @param {Object} workbook - The SheetJS workbook.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {number} savedCount - Number of records in the export.
+         */
+        appendRunSheets: function(workbook, mode, savedCount) {
+            XLSX.utils.book_append_sheet(workbook,
+                XlsxWorkbook.buildKeyValueSheet(this.buildSummaryPairs(mode, savedCount)), 'Summary');
+            XLSX.utils.book_append_sheet(workbook,
+                XlsxWorkbook.buildKeyValueSheet(this.buildRunMetadataPairs(mode)), 'Run Metadata');
+        },
 
-            .lisesca-config-title {
-                font-size: 15px;
-                font-weight: 600;
-                margin-bottom: 16px;
-                color: #f0f6fc;
-            }
+        /**
+         * Generate a pretty-printed JSON document with a metadata header.
+         * Records are written as-is, so every extracted field is preserved.
+         * @param {Array} records - Array of profile, job or company data objects.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {boolean} [standalone] - True for records outside the scrape session.
+         * @returns {string} The complete JSON content.
+         */
+        generateJSON: function(records, mode, standalone) {
+            var doc = {
+                metadata: this.buildExportMetadata(mode, standalone),
+                results: records
+            };
+            return JSON.stringify(doc, null, 2) + '\n';
+        },
 
-            .lisesca-config-version {
-                font-size: 11px;
-                color: #8b949e;
-                margin-top: -12px;
-                margin-bottom: 16px;
-            }
+        /**
+         * Generate JSON Lines content: one record per line, no metadata.
+         * @param {Array} records - Array of profile or job data objects.
+         * @returns {string} The complete JSONL content.
+         */
+        generateJSONL: function(records) {
+            return records.map(function(record) {
+                return JSON.stringify(record);
+            }).join('\n') + '\n';
+        },
 
-            .lisesca-config-section {
-                font-size: 12px;
-                font-weight: 600;
-                color: #8b949e;
-                text-transform: uppercase;
-                letter-spacing: 0.5px;
-                margin-top: 14px;
-                margin-bottom: 10px;
-                padding-bottom: 4px;
-                border-bottom: 1px solid #30363d;
-            }
+        /**
+         * Build an export filename from the configured pattern.
+         * Search tokens come from the session's search URL, {pages} from the
+         * finished run's statistics; both stay empty for standalone exports.
+         * @param {string} modeLabel - 'PEOPLE', 'JOBS' or 'COMPANIES'.
+         * @param {string} extension - File extension (default: 'md').
+         * @param {string} [tag] - Optional tag for auxiliary files (e.g. 'REJECTED').
+         * @param {number} [count] - Records in the file (default: the buffer size).
+         * @param {boolean} [standalone] - True for records outside the scrape session.
+         * @returns {string} The generated filename.
+         */
+        formatFilename: function(modeLabel, extension, tag, count, standalone) {
+            var runStats = standalone ? null : State.getRunStats();
+            return Filename.build(CONFIG.FILENAME_PATTERN, {
+                mode: modeLabel,
+                extension: extension || 'md',
+                tag: tag,
+                count: count !== undefined ? count : State.getBuffer().length,
+                pages: runStats ? runStats.pages : '',
+                searchUrl: standalone ? '' : State.get(State.KEYS.SEARCH_URL, '')
+            }, new Date());
+        },
 
-            .lisesca-config-row {
-                margin-bottom: 12px;
-            }
+        /**
+         * Trigger a file download in the browser.
+         * @param {string|Uint8Array} content - The file content.
+         * @param {string} filename - The desired filename.
+         * @param {string} mimeType - The MIME type for the Blob.
+         */
+        downloadFile: function(content, filename, mimeType) {
+            var type = mimeType || 'text/markdown;charset=utf-8';
+            const blob = new Blob([content], { type: type });
+            const url = URL.createObjectURL(blob);
 
-            .lisesca-config-row label {
-                display: block;
-                font-size: 11px;
-                color: #8b949e;
-                margin-bottom: 4px;
-            }
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.style.display = 'none';
 
-            .lisesca-config-row input {
-                width: 100%;
-                background: #0d1117;
-                color: #e1e4e8;
-                border: 1px solid #30363d;
-                border-radius: 4px;
-                padding: 5px 8px;
-                font-size: 13px;
-                box-sizing: border-box;
+            document.body.appendChild(link);
+            link.click();
+
+            setTimeout(function() {
+                document.body.removeChild(link);
+                URL.revokeObjectURL(url);
+            }, 1000);
+
+            console.log('[LiSeSca] File download triggered: ' + filename);
+        },
+
+        /** Plural record name of each mode, for log messages */
+        RECORD_NAMES: {
+            people: 'profiles',
+            jobs: 'jobs',
+            companies: 'companies'
+        },
+
+        /** MIME type of XLSX files */
+        XLSX_MIME_TYPE: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+
+        /**
+         * Export file types, in download order. `method` names the output module's
+         * generator (formats it lacks are skipped); JSON and JSON Lines are built here.
+         * The CSV sidecar is only written when long job fields go to a sidecar file.
+         * Generators marked `describesRun` take the standalone flag.
+         */
+        FILE_TYPES: [
+            { format: 'xlsx', label: 'XLSX', method: 'generateXLSX', extension: 'xlsx',
+                mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', describesRun: true },
+            { format: 'csv', label: 'CSV', method: 'generateCSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+            { format: 'csv', label: 'CSV sidecar', method: 'generateCSVSidecar', extension: 'json', tag: 'DETAILS',
+                mimeType: 'application/json;charset=utf-8', sidecar: true },
+            { format: 'md', label: 'Markdown', method: 'generateMarkdown', extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+            { format: 'mdzip', label: 'Markdown bundle', method: 'generateMarkdownBundle', extension: 'zip',
+                mimeType: 'application/zip' },
+            { format: 'html', label: 'HTML report', method: 'generateHTML', extension: 'html',
+                mimeType: 'text/html;charset=utf-8', describesRun: true },
+            { format: 'vcf', label: 'vCard', method: 'generateVCard', extension: 'vcf', mimeType: 'text/vcard;charset=utf-8' },
+            { format: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8' },
+            { format: 'jsonl', label: 'JSON Lines', extension: 'jsonl', mimeType: 'application/x-ndjson;charset=utf-8' }
+        ],
+
+        /**
+         * Generate the content of one export file.
+         * @param {Object} output - The mode's output module.
+         * @param {Object} type - An entry of FILE_TYPES.
+         * @param {Array} records - The records to export.
+         * @param {boolean} [standalone] - True for records outside the scrape session.
+         * @returns {string|Uint8Array|Promise<Uint8Array>} The file content.
+         */
+        generateFile: function(output, type, records, standalone) {
+            if (type.format === 'json') {
+                return this.generateJSON(records, output.MODE, standalone);
             }
-            .lisesca-config-row input:focus {
-                outline: none;
-                border-color: #58a6ff;
+            if (type.format === 'jsonl') {
+                return this.generateJSONL(records);
             }
+            var content = type.describesRun ? output[type.method](records, standalone) : output[type.method](records);
+            return (type.method === 'generateCSV' && CONFIG.CSV_BOM) ? this.UTF8_BOM + content : content;
+        },
 
-            .lisesca-config-error {
-                color: #f85149;
-                font-size: 11px;
-                margin-top: 4px;
-                min-height: 16px;
-            }
+        /**
+         * Generate a file after a delay and download it. Downloads are spaced
+         * out so the browser does not block them. Failures are logged, including
+         * errors thrown while building the content (e.g. by the XLSX sheet builders).
+         * @param {number} delayMs - Delay before generating.
+         * @param {string} label - Format name for the error log.
+         * @param {function(): (string|Uint8Array|Promise)} generate - Builds the content.
+         * @param {string} filename - The file name.
+         * @param {string} mimeType - The MIME type.
+         */
+        downloadLater: function(delayMs, label, generate, filename, mimeType) {
+            var self = this;
+            setTimeout(function() {
+                Promise.resolve().then(generate).then(function(content) {
+                    self.downloadFile(content, filename, mimeType);
+                }).catch(function(error) {
+                    console.error('[LiSeSca] ' + label + ' generation failed:', error);
+                });
+            }, delayMs);
+        },
 
-            .lisesca-config-buttons {
-                display: flex;
-                gap: 8px;
-                margin-top: 16px;
+        /**
+         * Download records in the formats selected in the panel.
+         * @param {Object} output - The mode's output module.
+         * @param {Array} records - The records to export.
+         * @param {string} [tag] - Optional tag for the file names (e.g. 'CLIPBOARD').
+         * @param {boolean} [standalone] - True for records outside the scrape session (see the module header).
+         */
+        downloadResults: function(output, records, tag, standalone) {
+            var recordName = this.RECORD_NAMES[output.MODE];
+            if (!records || records.length === 0) {
+                console.warn('[LiSeSca] No ' + recordName + ' to download.');
+                return;
             }
 
-            .lisesca-config-save {
-                flex: 1;
-                background: #1f6feb;
-                color: #ffffff;
-                border: none;
-                border-radius: 5px;
-                padding: 7px 14px;
-                font-size: 13px;
-                font-weight: 600;
-                cursor: pointer;
-                transition: background 0.15s;
+            var self = this;
+            var formats = State.getFormats();
+            console.log('[LiSeSca] Downloading ' + recordName + ' in formats: ' + formats.join(', '));
+
+            var delayMs = 0;
+            this.FILE_TYPES.forEach(function(type) {
+                if (formats.indexOf(type.format) === -1 || (type.method && !output[type.method])
+                    || (type.sidecar && CONFIG.CSV_LONG_FIELDS !== 'sidecar')) {
+                    return;
+                }
+                self.downloadLater(delayMs, type.label, function() {
+                    return self.generateFile(output, type, records, standalone);
+                }, output.buildFilename(type.extension, type.tag || tag || null, records.length, standalone), type.mimeType);
+                delayMs += 200;
+            });
+        },
+
+        /**
+         * Download the audit file of records rejected by AI.
+         * Honors the XLSX and Markdown format selections; falls back to XLSX
+         * if neither is selected.
+         * @param {Object} output - The mode's output module (with generateRejectedXLSX).
+         * @param {Array} records - The rejected records.
+         */
+        downloadRejected: function(output, records) {
+            if (!records || records.length === 0) {
+                console.warn('[LiSeSca] No rejected ' + this.RECORD_NAMES[output.MODE] + ' to download.');
+                return;
             }
-            .lisesca-config-save:hover {
-                background: #388bfd;
+
+            var formats = State.getFormats();
+            var wantMarkdown = formats.indexOf('md') !== -1;
+            var wantXLSX = formats.indexOf('xlsx') !== -1 || !wantMarkdown;
+            var delayMs = 0;
+
+            if (wantXLSX) {
+                this.downloadLater(delayMs, 'Rejected XLSX', function() {
+                    return output.generateRejectedXLSX(records);
+                }, output.buildFilename('xlsx', 'REJECTED', records.length), this.XLSX_MIME_TYPE);
+                delayMs += 200;
             }
 
-            .lisesca-config-cancel {
-                flex: 1;
-                background: #21262d;
-                color: #c9d1d9;
-                border: 1px solid #30363d;
-                border-radius: 5px;
-                padding: 7px 14px;
-                font-size: 13px;
-                font-weight: 600;
-                cursor: pointer;
-                transition: background 0.15s;
+            // Rejected records carry only the basics, which the Markdown formatters handle gracefully
+            if (wantMarkdown) {
+                this.downloadLater(delayMs, 'Rejected Markdown', function() {
+                    return output.generateMarkdown(records);
+                }, output.buildFilename('md', 'REJECTED', records.length), 'text/markdown;charset=utf-8');
             }
-            .lisesca-config-cancel:hover {
-                background: #30363d;
+        },
+
+        /**
+         * Generate an XLSX workbook of merged records, with a Merge Status column.
+         * @param {Object} output - The mode's output module.
+         * @param {Array} records - Merged records (with mergeStatus).
+         * @param {number} savedCount - Number of records saved in this run.
+         * @returns {Promise<Uint8Array>} The binary XLSX file content.
+         */
+        generateMergedXLSX: function(output, records, savedCount) {
+            var columns = [{ key: ResultMerge.STATUS_FIELD, header: ResultMerge.STATUS_HEADER }]
+                .concat(output.getExportColumns());
+            var workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, output.buildSheet(records, columns), output.SHEET_NAME);
+
+            if (CONFIG.XLSX_EXTRA_SHEETS) {
+                this.appendRunSheets(workbook, output.MODE, savedCount);
             }
 
-            /* ---- AI Configuration overlay ---- */
-            .lisesca-ai-config-overlay {
-                display: none;
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.5);
-                z-index: 10002;
-                justify-content: center;
-                align-items: center;
+            return XlsxWorkbook.write(workbook);
+        },
+
+        /**
+         * Merge records into a previous export and download the merged file,
+         * in the format of that export (XLSX, JSON or JSON Lines).
+         * @param {Object} output - The mode's output module.
+         * @param {Array} records - The records of this run.
+         * @param {File} file - The previous export chosen by the user.
+         * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+         */
+        downloadMerged: function(output, records, file) {
+            var self = this;
+            var headerMap = ResultMerge.buildHeaderMap([output.COLUMNS, output.getExportColumns()]);
+            var compareKeys = output.COLUMNS.map(function(column) {
+                return column.key;
+            });
+
+            return ResultMerge.readFile(file, output.SHEET_NAME, headerMap).then(function(existing) {
+                var result = ResultMerge.merge(output.MODE, existing.records, records, compareKeys);
+                var count = result.records.length;
+                console.log('[LiSeSca] Merged into ' + file.name + ': ' + result.counts.new + ' new, '
+                    + result.counts.updated + ' updated, ' + result.counts.unchanged + ' unchanged.');
+
+                if (existing.type === 'xlsx') {
+                    return self.generateMergedXLSX(output, result.records, records.length).then(function(xlsxData) {
+                        self.downloadFile(xlsxData, output.buildFilename('xlsx', 'MERGED', count), self.XLSX_MIME_TYPE);
+                        return result.counts;
+                    });
+                }
+                if (existing.type === 'jsonl') {
+                    self.downloadFile(self.generateJSONL(result.records),
+                        output.buildFilename('jsonl', 'MERGED', count), 'application/x-ndjson;charset=utf-8');
+                } else {
+                    self.downloadFile(self.generateJSON(result.records, output.MODE),
+                        output.buildFilename('json', 'MERGED', count), 'application/json;charset=utf-8');
+                }
+                return result.counts;
+            });
+        }
+    };
+
+    // ===== MARKDOWN BUNDLE =====
+    // Packs one Markdown note per record into a ZIP archive, each note starting
+    // with YAML front matter, plus an index note linking them all.
+    // Meant for dropping results straight into a notes vault.
+    // JSZip is loaded via @require from CDN.
+    const MarkdownBundle = {
+        /** Name of the index note at the root of the archive */
+        INDEX_FILENAME: 'index.md',
+
+        /** Maximum length of a note filename (without extension) */
+        MAX_FILENAME_LENGTH: 100,
+
+        /**
+         * Format a scalar or a list of scalars as a YAML value.
+         * Strings are always double-quoted so colons, hashes and leading
+         * dashes in LinkedIn text cannot break the front matter.
+         * Lists use the inline form, e.g. ["Python", "SQL"]; missing values
+         * (e.g. an unknown salary) are written as null.
+         * @param {*} value - The value to format.
+         * @returns {string} The YAML representation.
+         */
+        toYAMLValue: function(value) {
+            if (Array.isArray(value)) {
+                return '[' + value.map(this.toYAMLValue, this).join(', ') + ']';
             }
-            .lisesca-ai-config-overlay.lisesca-visible {
-                display: flex;
+            if (value === null || value === undefined) {
+                return 'null';
             }
-
-            .lisesca-ai-config-panel {
-                background: #1b1f23;
-                color: #e1e4e8;
-                border-radius: 10px;
-                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.6);
-                padding: 20px 24px;
-                width: 400px;
-                max-width: 90vw;
-                max-height: 90vh;
-                overflow-y: auto;
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                font-size: 13px;
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                return String(value);
             }
+            var str = String(value);
+            str = str.replace(/\\/g, '\\\\')
+                .replace(/"/g, '\\"')
+                .replace(/\r?\n/g, '\\n');
+            return '"' + str + '"';
+        },
 
-            .lisesca-ai-config-title {
-                font-size: 15px;
-                font-weight: 600;
-                margin-bottom: 16px;
-                color: #f0f6fc;
-            }
+        /**
+         * Build a YAML front matter block from a flat object.
+         * @param {Object} fields - Key/value pairs, in output order.
+         * @returns {string} The front matter, including the '---' delimiters.
+         */
+        buildFrontMatter: function(fields) {
+            var self = this;
+            var lines = ['---'];
+            Object.keys(fields).forEach(function(key) {
+                lines.push(key + ': ' + self.toYAMLValue(fields[key]));
+            });
+            lines.push('---');
+            return lines.join('\n') + '\n';
+        },
 
-            .lisesca-ai-config-row {
-                margin-bottom: 14px;
+        /**
+         * Start the map of note names taken in a new archive.
+         * The index note's name is taken from the start, so no record overwrites it.
+         * @returns {Object} The map, for buildFileName.
+         */
+        createUsedNames: function() {
+            var usedNames = {};
+            usedNames[this.INDEX_FILENAME.replace(/\.md$/, '').toLowerCase()] = true;
+            return usedNames;
+        },
+
+        /**
+         * Build a unique, filesystem-safe note filename from descriptive parts.
+         * Empty parts are skipped; duplicates get a numeric suffix.
+         * @param {Array<string>} parts - e.g. [title, company, jobId].
+         * @param {Object} usedNames - Map of names already taken in this archive, from createUsedNames (updated).
+         * @returns {string} The filename including the '.md' extension.
+         */
+        buildFileName: function(parts, usedNames) {
+            var cleaned = parts.map(function(part) {
+                return String(part || '')
+                    .replace(/[\\/:*?"<>|#^[\]]/g, '')
+                    .replace(/\s+/g, ' ')
+                    .trim();
+            }).filter(function(part) {
+                return part.length > 0;
+            });
+
+            var base = cleaned.join(' - ').substring(0, this.MAX_FILENAME_LENGTH).trim() || 'untitled';
+            var name = base;
+            var counter = 2;
+            while (usedNames[name.toLowerCase()]) {
+                name = base + ' (' + counter + ')';
+                counter++;
             }
+            usedNames[name.toLowerCase()] = true;
+            return name + '.md';
+        },
 
-            .lisesca-ai-config-row label {
-                display: block;
-                font-size: 11px;
-                color: #8b949e;
-                margin-bottom: 4px;
+        /**
+         * Build the index note linking every note in the bundle.
+         * @param {string} title - Heading of the index note.
+         * @param {Array<Object>} notes - Notes with fileName and title.
+         * @returns {string} The index Markdown.
+         */
+        buildIndex: function(title, notes) {
+            var lines = ['# ' + title, ''];
+            lines.push(notes.length + ' notes, generated ' + new Date().toISOString() + '.');
+            lines.push('');
+            notes.forEach(function(note) {
+                lines.push('- [' + note.title.replace(/[[\]]/g, '') + '](' + encodeURI(note.fileName) + ')');
+            });
+            return lines.join('\n') + '\n';
+        },
+
+        /**
+         * Generate the ZIP archive.
+         * @param {Array<Object>} notes - { fileName, title, frontMatter, body } per record.
+         * @param {string} indexTitle - Heading of the index note.
+         * @returns {Promise<Uint8Array>} The binary ZIP content.
+         */
+        generateZip: function(notes, indexTitle) {
+            if (typeof JSZip === 'undefined') {
+                return Promise.reject(new Error('JSZip not available.'));
             }
 
-            .lisesca-ai-config-row input[type="password"],
-            .lisesca-ai-config-row input[type="text"] {
-                width: 100%;
-                background: #0d1117;
-                color: #e1e4e8;
-                border: 1px solid #30363d;
-                border-radius: 4px;
-                padding: 8px 10px;
-                font-size: 13px;
-                box-sizing: border-box;
-            }
-            .lisesca-ai-config-row input:focus {
-                outline: none;
-                border-color: #58a6ff;
-            }
+            var self = this;
+            var zip = new JSZip();
+            notes.forEach(function(note) {
+                zip.file(note.fileName, self.buildFrontMatter(note.frontMatter) + '\n' + note.body + '\n');
+            });
+            zip.file(this.INDEX_FILENAME, this.buildIndex(indexTitle, notes));
 
-            .lisesca-ai-config-row textarea {
-                width: 100%;
-                background: #0d1117;
-                color: #e1e4e8;
-                border: 1px solid #30363d;
-                border-radius: 4px;
-                padding: 8px 10px;
-                font-size: 13px;
-                font-family: inherit;
-                box-sizing: border-box;
-                resize: vertical;
-                min-height: 200px;
-            }
-            .lisesca-ai-config-row textarea:focus {
-                outline: none;
-                border-color: #58a6ff;
-            }
+            return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+        }
+    };
 
-            /* Model selection dropdown and refresh button */
-            .lisesca-model-container {
-                display: flex;
-                gap: 8px;
-                align-items: center;
-            }
+    // ===== HTML REPORT =====
+    // Builds a single self-contained HTML file (inline CSS and script, no
+    // external resources) presenting scraped records as a sortable, filterable
+    // table. Rows with details expand to show Markdown rendered as HTML.
+    // The file works offline, so it can be emailed and opened on a phone.
+    const HtmlReport = {
 
-            .lisesca-model-select {
-                flex: 1;
-                background: #0d1117;
-                color: #e1e4e8;
-                border: 1px solid #30363d;
-                border-radius: 4px;
-                padding: 8px 10px;
-                font-size: 13px;
-                box-sizing: border-box;
-                cursor: pointer;
-            }
-            .lisesca-model-select:focus {
-                outline: none;
-                border-color: #58a6ff;
-            }
-            .lisesca-model-select:disabled {
-                background: #161b22;
-                color: #6e7681;
-                cursor: not-allowed;
-            }
-            .lisesca-model-select optgroup {
-                background: #0d1117;
-                color: #8b949e;
-                font-weight: 600;
-                font-style: normal;
-            }
-            .lisesca-model-select option {
-                background: #0d1117;
-                color: #e1e4e8;
-                padding: 4px;
-            }
+        /**
+         * Escape text for safe inclusion in HTML content and attributes.
+         * @param {*} value - The value to escape.
+         * @returns {string} The escaped text.
+         */
+        escapeHtml: function(value) {
+            return String(value === null || value === undefined ? '' : value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        },
 
-            .lisesca-model-refresh {
-                background: #21262d;
-                color: #c9d1d9;
-                border: 1px solid #30363d;
-                border-radius: 4px;
-                padding: 8px 12px;
-                font-size: 12px;
-                font-weight: 500;
-                cursor: pointer;
-                white-space: nowrap;
-                transition: background 0.15s;
-            }
-            .lisesca-model-refresh:hover {
-                background: #30363d;
-            }
-            .lisesca-model-refresh:disabled {
-                background: #161b22;
-                color: #6e7681;
-                cursor: not-allowed;
-            }
+        /**
+         * Render inline Markdown (code, links, bold, italic) to HTML.
+         * The text is escaped first, so raw HTML in the source is never live.
+         * Code spans and links are set aside before the emphasis rules run, so
+         * underscores or asterisks in a URL never end up inside an href.
+         * @param {string} text - A single line of Markdown.
+         * @returns {string} The HTML fragment.
+         */
+        renderInline: function(text) {
+            var self = this;
+            var held = [];
+
+            /** Keep a rendered fragment out of reach of the rules that follow */
+            function hold(html) {
+                held.push(html);
+                return '\u0000' + (held.length - 1) + '\u0000';
+            }
+
+            var html = this.escapeHtml(text).replace(/\u0000/g, '')
+                // Backslash escapes (Turndown emits these) become entities so
+                // the formatting rules below leave them alone
+                .replace(/\\([\\`*_{}[\]()#+\-.!~|])/g, function(match, ch) {
+                    return '&#' + ch.charCodeAt(0) + ';';
+                })
+                .replace(/`([^`]+)`/g, function(match, code) {
+                    return hold('<code>' + code + '</code>');
+                })
+                .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, function(match, label, url) {
+                    return hold('<a href="' + url + '" target="_blank" rel="noopener">'
+                        + self.renderEmphasis(label) + '</a>');
+                })
+                .replace(/(^|\s)(https?:\/\/[^\s<]+)/g, function(match, lead, url) {
+                    return lead + hold('<a href="' + url + '" target="_blank" rel="noopener">' + url + '</a>');
+                });
 
-            .lisesca-ai-config-row .lisesca-hint {
-                font-size: 10px;
-                color: #6e7681;
-                margin-top: 4px;
-            }
+            return this.renderEmphasis(html).replace(/\u0000(\d+)\u0000/g, function(match, index) {
+                return held[index];
+            });
+        },
 
-            .lisesca-ai-config-error {
-                color: #f85149;
-                font-size: 11px;
-                margin-top: 4px;
-                min-height: 16px;
-            }
+        /**
+         * Render bold and italic Markdown markers in escaped text.
+         * @param {string} html - Escaped text.
+         * @returns {string} The HTML fragment.
+         */
+        renderEmphasis: function(html) {
+            return html
+                .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+                .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+                .replace(/(^|[^\w*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+                .replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>');
+        },
 
-            .lisesca-ai-config-buttons {
-                display: flex;
-                gap: 8px;
-                margin-top: 16px;
+        /**
+         * Convert Markdown to HTML.
+         * Covers what the scraper produces: ATX headings, bullet and numbered
+         * lists, horizontal rules, paragraphs and inline formatting.
+         * Single line breaks inside a paragraph are kept as <br>, matching
+         * how the "**Label:** value" lines of our Markdown exports read.
+         * @param {string} markdown - The Markdown source.
+         * @returns {string} The HTML fragment.
+         */
+        markdownToHtml: function(markdown) {
+            var self = this;
+            var lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+            var html = [];
+            var paragraph = [];
+            var listType = null;
+
+            function closeParagraph() {
+                if (paragraph.length > 0) {
+                    html.push('<p>' + paragraph.join('<br>') + '</p>');
+                    paragraph = [];
+                }
             }
 
-            .lisesca-ai-config-save {
-                flex: 1;
-                background: #1f6feb;
-                color: #ffffff;
-                border: none;
-                border-radius: 5px;
-                padding: 7px 14px;
-                font-size: 13px;
-                font-weight: 600;
-                cursor: pointer;
-                transition: background 0.15s;
-            }
-            .lisesca-ai-config-save:hover {
-                background: #388bfd;
+            function closeList() {
+                if (listType) {
+                    html.push('</' + listType + '>');
+                    listType = null;
+                }
             }
 
-            .lisesca-ai-config-cancel {
-                flex: 1;
-                background: #21262d;
-                color: #c9d1d9;
-                border: 1px solid #30363d;
-                border-radius: 5px;
-                padding: 7px 14px;
-                font-size: 13px;
-                font-weight: 600;
-                cursor: pointer;
-                transition: background 0.15s;
-            }
-            .lisesca-ai-config-cancel:hover {
-                background: #30363d;
+            function openList(type) {
+                if (listType !== type) {
+                    closeList();
+                    html.push('<' + type + '>');
+                    listType = type;
+                }
             }
 
-            /* Button to open AI config from main config panel */
-            .lisesca-ai-config-btn {
-                width: 100%;
-                background: #21262d;
-                color: #c9d1d9;
-                border: 1px solid #30363d;
-                border-radius: 5px;
-                padding: 7px 14px;
-                font-size: 13px;
-                font-weight: 600;
-                cursor: pointer;
-                transition: background 0.15s;
-            }
-            .lisesca-ai-config-btn:hover {
-                background: #30363d;
-            }
+            lines.forEach(function(line) {
+                var trimmed = line.trim();
+                var match;
 
-            /* ---- Summary overlay ---- */
-            .lisesca-summary-overlay {
-                display: none;
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.7);
-                z-index: 10003;
-                justify-content: center;
-                align-items: center;
-            }
-            .lisesca-summary-overlay.lisesca-visible {
-                display: flex;
-            }
+                // Blank lines end a paragraph but not a list (loose lists)
+                if (trimmed === '') {
+                    closeParagraph();
+                    return;
+                }
 
-            .lisesca-summary-panel {
-                background: #1b1f23;
-                color: #e1e4e8;
-                border-radius: 10px;
-                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.6);
-                padding: 24px;
-                width: 380px;
-                max-width: 90vw;
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                font-size: 13px;
-                border: 1px solid #30363d;
-            }
+                if (/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+                    closeParagraph();
+                    closeList();
+                    html.push('<hr>');
+                    return;
+                }
 
-            .lisesca-summary-title {
-                font-size: 18px;
-                font-weight: 600;
-                margin-bottom: 8px;
-                color: #f0f6fc;
-                display: flex;
-                align-items: center;
-                gap: 8px;
-            }
+                match = trimmed.match(/^(#{1,6})\s+(.*)$/);
+                if (match) {
+                    closeParagraph();
+                    closeList();
+                    var level = match[1].length;
+                    html.push('<h' + level + '>' + self.renderInline(match[2]) + '</h' + level + '>');
+                    return;
+                }
 
-            .lisesca-summary-interrupted {
-                display: none;
-                background: rgba(218, 54, 51, 0.1);
-                border: 1px solid rgba(218, 54, 51, 0.4);
-                color: #ff7b72;
-                padding: 8px 12px;
-                border-radius: 6px;
-                margin-bottom: 16px;
-                font-size: 12px;
-                font-weight: 500;
-            }
-            .lisesca-summary-interrupted.lisesca-visible {
-                display: block;
-            }
+                match = trimmed.match(/^[-*+]\s+(.*)$/);
+                if (match) {
+                    closeParagraph();
+                    openList('ul');
+                    html.push('<li>' + self.renderInline(match[1]) + '</li>');
+                    return;
+                }
 
-            .lisesca-summary-section {
-                margin-bottom: 20px;
-                background: #0d1117;
-                border-radius: 6px;
-                padding: 12px;
-                border: 1px solid #30363d;
-            }
+                match = trimmed.match(/^\d+[.)]\s+(.*)$/);
+                if (match) {
+                    closeParagraph();
+                    openList('ol');
+                    html.push('<li>' + self.renderInline(match[1]) + '</li>');
+                    return;
+                }
 
-            .lisesca-summary-row {
-                display: flex;
-                justify-content: space-between;
-                margin-bottom: 8px;
-                padding-bottom: 8px;
-                border-bottom: 1px solid #21262d;
-            }
-            .lisesca-summary-row:last-child {
-                margin-bottom: 0;
-                padding-bottom: 0;
-                border-bottom: none;
-            }
+                closeList();
+                paragraph.push(self.renderInline(trimmed));
+            });
 
-            .lisesca-summary-label {
-                color: #8b949e;
-            }
+            closeParagraph();
+            closeList();
+            return html.join('\n');
+        },
 
-            .lisesca-summary-value {
-                font-weight: 600;
-                color: #c9d1d9;
-            }
-            .lisesca-summary-value.lisesca-highlight {
-                color: #58a6ff;
-            }
-            .lisesca-summary-value.lisesca-success {
-                color: #3fb950;
-            }
-
-            .lisesca-summary-buttons {
-                display: flex;
-                flex-direction: column;
-                gap: 10px;
-                margin-top: 24px;
-            }
-
-            .lisesca-summary-download {
-                width: 100%;
-                background: #2ea44f;
-                color: #ffffff;
-                border: none;
-                border-radius: 6px;
-                padding: 12px;
-                font-size: 14px;
-                font-weight: 600;
-                cursor: pointer;
-                transition: background 0.15s;
-                display: flex;
-                justify-content: center;
-                align-items: center;
-                gap: 8px;
-            }
-            .lisesca-summary-download:hover {
-                background: #3fb950;
-            }
-            
-            .lisesca-summary-download--jobs {
-                background: #1f6feb;
-            }
-            .lisesca-summary-download--jobs:hover {
-                background: #388bfd;
-            }
+        /** Inline stylesheet of the report */
+        STYLES: [
+            'body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; font-size: 14px; color: #1d2226; margin: 0; padding: 16px; background: #f3f2ef; }',
+            'h1 { font-size: 20px; margin: 0 0 8px 0; }',
+            '.meta { margin: 0 0 12px 0; font-size: 12px; color: #555; }',
+            '.meta div { margin: 2px 0; word-break: break-all; }',
+            '.controls { display: flex; gap: 10px; align-items: center; margin-bottom: 10px; }',
+            '.controls input { flex: 1; max-width: 400px; padding: 8px; font-size: 14px; border: 1px solid #ccc; border-radius: 4px; }',
+            '.count { font-size: 12px; color: #555; }',
+            '.table-wrap { overflow-x: auto; background: #fff; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.15); }',
+            'table { border-collapse: collapse; width: 100%; }',
+            'th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #e6e6e6; vertical-align: top; }',
+            'th { position: sticky; top: 0; background: #0a66c2; color: #fff; cursor: pointer; user-select: none; white-space: nowrap; }',
+            'th.asc::after { content: " \\25B2"; }',
+            'th.desc::after { content: " \\25BC"; }',
+            'tr.main.expandable { cursor: pointer; }',
+            'tr.main.expandable td:first-child::before { content: "\\25B8 "; color: #888; }',
+            'tbody.open tr.main.expandable td:first-child::before { content: "\\25BE "; }',
+            'tr.main:hover { background: #f5f9fd; }',
+            'tr.details { display: none; }',
+            'tbody.open tr.details { display: table-row; }',
+            'tr.details td { background: #fafafa; }',
+            '.md { max-width: 900px; line-height: 1.45; }',
+            '.md h1 { font-size: 18px; } .md h2 { font-size: 16px; } .md h3, .md h4, .md h5, .md h6 { font-size: 14px; }',
+            'a { color: #0a66c2; }',
+            '.badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; font-weight: 600; white-space: nowrap; }',
+            '.badge-good { background: #d7f0dc; color: #1b6e2d; }',
+            '.badge-neutral { background: #fcefc7; color: #7a5b00; }',
+            '.badge-bad { background: #f8d7d7; color: #a12020; }'
+        ].join('\n'),
+
+        /** Inline script: sorting by column, text filtering, expanding rows */
+        SCRIPT: [
+            '(function() {',
+            '    var table = document.getElementById("report");',
+            '    var records = Array.prototype.slice.call(table.querySelectorAll("tbody.record"));',
+            '    var filter = document.getElementById("filter");',
+            '    var count = document.getElementById("count");',
+            '    var sortCol = -1;',
+            '    var sortAsc = true;',
+            '    function sortValue(record, col) {',
+            '        var cell = record.rows[0].cells[col];',
+            '        var value = cell.getAttribute("data-sort");',
+            '        if (value === null) { value = cell.textContent; }',
+            '        value = value.trim();',
+            '        return (value !== "" && isFinite(value)) ? parseFloat(value) : value.toLowerCase();',
+            '    }',
+            '    function compare(a, b) {',
+            '        if (typeof a !== typeof b) { return typeof a === "number" ? -1 : 1; }',
+            '        return a < b ? -1 : (a > b ? 1 : 0);',
+            '    }',
+            '    table.tHead.addEventListener("click", function(event) {',
+            '        var th = event.target.closest("th");',
+            '        if (!th) { return; }',
+            '        var col = th.cellIndex;',
+            '        sortAsc = (col === sortCol) ? !sortAsc : true;',
+            '        sortCol = col;',
+            '        records.sort(function(a, b) {',
+            '            var result = compare(sortValue(a, col), sortValue(b, col));',
+            '            return sortAsc ? result : -result;',
+            '        });',
+            '        records.forEach(function(record) { table.appendChild(record); });',
+            '        Array.prototype.forEach.call(table.tHead.rows[0].cells, function(cell) {',
+            '            cell.className = (cell === th) ? (sortAsc ? "asc" : "desc") : "";',
+            '        });',
+            '    });',
+            '    function applyFilter() {',
+            '        var terms = filter.value.toLowerCase().split(/\\s+/).filter(Boolean);',
+            '        var shown = 0;',
+            '        records.forEach(function(record) {',
+            '            var text = record.textContent.toLowerCase();',
+            '            var match = terms.every(function(term) { return text.indexOf(term) !== -1; });',
+            '            record.style.display = match ? "" : "none";',
+            '            if (match) { shown++; }',
+            '        });',
+            '        count.textContent = shown + " of " + records.length;',
+            '    }',
+            '    filter.addEventListener("input", applyFilter);',
+            '    table.addEventListener("click", function(event) {',
+            '        if (event.target.closest("a")) { return; }',
+            '        var row = event.target.closest("tr.main.expandable");',
+            '        if (row) { row.parentNode.classList.toggle("open"); }',
+            '    });',
+            '    applyFilter();',
+            '})();'
+        ].join('\n'),
 
-            .lisesca-summary-clear {
-                width: 100%;
-                background: transparent;
-                color: #8b949e;
-                border: 1px solid #30363d;
-                border-radius: 6px;
-                padding: 10px;
-                font-size: 13px;
-                font-weight: 500;
-                cursor: pointer;
-                transition: all 0.15s;
-            }
-            .lisesca-summary-clear:hover {
-                background: #21262d;
-                color: #c9d1d9;
-                border-color: #8b949e;
+        /**
+         * Render one table cell.
+         * A cell is either a plain string or an object with text plus an
+         * optional href (rendered as a link), tone (rendered as a badge:
+         * 'good', 'neutral' or 'bad') and sort (value used for sorting).
+         * @param {string|Object} cell - The cell definition.
+         * @returns {string} The <td> HTML.
+         */
+        renderCell: function(cell) {
+            if (cell === null || typeof cell !== 'object') {
+                return '<td>' + this.escapeHtml(cell) + '</td>';
             }
 
-            /* AI toggle in scrape menu - disabled state */
-            .lisesca-checkbox-label.lisesca-disabled {
-                opacity: 0.5;
-                cursor: not-allowed;
-            }
-            .lisesca-checkbox-label.lisesca-disabled input[type="checkbox"] {
-                cursor: not-allowed;
+            var sortAttr = (cell.sort !== undefined) ? ' data-sort="' + this.escapeHtml(cell.sort) + '"' : '';
+            var content = this.escapeHtml(cell.text);
+            if (cell.href) {
+                content = '<a href="' + this.escapeHtml(cell.href) + '" target="_blank" rel="noopener">'
+                    + content + '</a>';
+            } else if (cell.tone && cell.text) {
+                content = '<span class="badge badge-' + cell.tone + '">' + content + '</span>';
             }
-        `);
+            return '<td' + sortAttr + '>' + content + '</td>';
         },
 
         /**
-         * Build and inject the floating panel, adapting to the current page type.
-         * People search: green SCRAPE button, page options 1/10/50/All.
-         * Jobs search: blue SCRAPE button, page options 1/3/5/10.
+         * Generate the complete HTML report.
+         * @param {Object} options - Report definition:
+         *   title    {string}             Page title and heading.
+         *   metadata {Array<Array>}       [label, value] pairs shown under the heading.
+         *   columns  {Array<string>}      Column headers.
+         *   rows     {Array<Object>}      { cells: [...], details: markdown or '' }.
+         * @returns {string} The complete HTML document.
          */
-        createPanel: function() {
-            var pageType = PageDetector.getPageType();
-            var isJobs = (pageType === 'jobs');
+        generate: function(options) {
+            var self = this;
+            var html = [];
+
+            html.push('<!DOCTYPE html>');
+            html.push('<html lang="en">');
+            html.push('<head>');
+            html.push('<meta charset="utf-8">');
+            html.push('<meta name="viewport" content="width=device-width, initial-scale=1">');
+            html.push('<title>' + this.escapeHtml(options.title) + '</title>');
+            html.push('<style>\n' + this.STYLES + '\n</style>');
+            html.push('</head>');
+            html.push('<body>');
+            html.push('<h1>' + this.escapeHtml(options.title) + '</h1>');
+
+            html.push('<div class="meta">');
+            (options.metadata || []).forEach(function(pair) {
+                if (pair[1] !== '' && pair[1] !== null && pair[1] !== undefined) {
+                    html.push('<div><strong>' + self.escapeHtml(pair[0]) + ':</strong> '
+                        + self.escapeHtml(pair[1]) + '</div>');
+                }
+            });
+            html.push('</div>');
+
+            html.push('<div class="controls">');
+            html.push('<input type="search" id="filter" placeholder="Filter rows...">');
+            html.push('<span class="count" id="count"></span>');
+            html.push('</div>');
+
+            html.push('<div class="table-wrap">');
+            html.push('<table id="report">');
+            html.push('<thead><tr>' + options.columns.map(function(header) {
+                return '<th>' + self.escapeHtml(header) + '</th>';
+            }).join('') + '</tr></thead>');
+
+            options.rows.forEach(function(row) {
+                var hasDetails = !!row.details;
+                html.push('<tbody class="record">');
+                html.push('<tr class="main' + (hasDetails ? ' expandable' : '') + '">'
+                    + row.cells.map(function(cell) {
+                        return self.renderCell(cell);
+                    }).join('') + '</tr>');
+                if (hasDetails) {
+                    html.push('<tr class="details"><td colspan="' + options.columns.length + '">'
+                        + '<div class="md">' + self.markdownToHtml(row.details) + '</div></td></tr>');
+                }
+                html.push('</tbody>');
+            });
 
-            // Create the main container
-            this.panel = document.createElement('div');
-            this.panel.className = 'lisesca-panel';
+            html.push('</table>');
+            html.push('</div>');
+            html.push('<script>\n' + this.SCRIPT + '\n</script>');
+            html.push('</body>');
+            html.push('</html>');
 
-            // --- Top bar ---
-            var topbar = document.createElement('div');
-            topbar.className = 'lisesca-topbar';
+            return html.join('\n') + '\n';
+        }
+    };
 
-            // SCRAPE button — color depends on page type
-            var scrapeBtn = document.createElement('button');
-            scrapeBtn.className = 'lisesca-scrape-btn' + (isJobs ? ' lisesca-scrape-btn--jobs' : '');
-            scrapeBtn.textContent = 'SCRAPE';
-            scrapeBtn.addEventListener('click', function() {
-                UI.toggleMenu();
-            });
+    // ===== EXPORT PROFILES =====
+    // Named column selections for XLSX and CSV exports, kept per mode.
+    // A profile is an ordered list of { key, header, enabled } entries that refer
+    // by key to the default column definitions of the mode's output module, so
+    // columns can be hidden, reordered and renamed.
+    // Profiles live in CONFIG.EXPORT_PROFILES:
+    //   { <mode>: { active: <name>, profiles: { <name>: [columns] } } }
+    // An empty active name means the built-in layout (all default columns).
 
-            // Gear icon — opens configuration
-            var gearBtn = document.createElement('button');
-            gearBtn.className = 'lisesca-gear-btn';
-            gearBtn.innerHTML = '&#9881;';
-            gearBtn.title = 'Configuration';
-            gearBtn.addEventListener('click', function() {
-                UI.showConfig();
-            });
+    const ExportProfiles = {
 
-            topbar.appendChild(scrapeBtn);
-            topbar.appendChild(gearBtn);
+        /**
+         * Get the stored profile data of a mode, creating it if missing.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @returns {Object} { active, profiles }.
+         */
+        getModeData: function(mode) {
+            if (!CONFIG.EXPORT_PROFILES[mode]) {
+                CONFIG.EXPORT_PROFILES[mode] = { active: '', profiles: {} };
+            }
+            return CONFIG.EXPORT_PROFILES[mode];
+        },
 
-            // --- Dropdown menu ---
-            this.menu = document.createElement('div');
-            this.menu.className = 'lisesca-menu';
+        /**
+         * List the saved profile names of a mode.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @returns {Array<string>} Profile names, sorted.
+         */
+        getProfileNames: function(mode) {
+            return Object.keys(this.getModeData(mode).profiles).sort();
+        },
 
-            // "Pages to scrape" label
-            var label = document.createElement('div');
-            label.className = 'lisesca-menu-label';
-            label.textContent = 'Pages to scrape:';
+        /**
+         * Get the name of the active profile of a mode.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @returns {string} The profile name, or '' for the built-in layout.
+         */
+        getActiveName: function(mode) {
+            var data = this.getModeData(mode);
+            return data.profiles[data.active] ? data.active : '';
+        },
 
-            // Page count selector — different options for people vs jobs
-            var select = document.createElement('select');
-            select.className = 'lisesca-select';
-            select.id = 'lisesca-page-select';
+        /**
+         * Merge saved profile columns with the default column definitions.
+         * Saved columns keep their order, header and enabled flag; columns that
+         * no longer exist are dropped; default columns missing from the profile
+         * (e.g. added in a newer version) are appended, enabled.
+         * @param {Array<Object>} defaultColumns - { key, header } definitions.
+         * @param {Array<Object>|null} savedColumns - { key, header, enabled } from a profile.
+         * @returns {Array<Object>} { key, header, defaultHeader, enabled } for every column.
+         */
+        normalizeColumns: function(defaultColumns, savedColumns) {
+            var defaultsByKey = {};
+            defaultColumns.forEach(function(column) {
+                defaultsByKey[column.key] = column;
+            });
 
-            var options;
-            if (isJobs) {
-                // Try to read total results count from the page subtitle
-                var totalJobsText = '';
-                var subtitleEl = document.querySelector('.jobs-search-results-list__subtitle span');
-                var totalJobs = 0;
-                if (subtitleEl) {
-                    totalJobsText = (subtitleEl.textContent || '').trim();
-                    var match = totalJobsText.match(/^([\d,]+)\s+result/);
-                    if (match) {
-                        totalJobs = parseInt(match[1].replace(/,/g, ''), 10);
-                    }
+            var result = [];
+            var seen = {};
+            (savedColumns || []).forEach(function(saved) {
+                var column = defaultsByKey[saved.key];
+                if (!column || seen[saved.key]) {
+                    return;
                 }
-                var totalPages = totalJobs > 0
-                    ? Math.ceil(totalJobs / JobPaginator.JOBS_PER_PAGE)
-                    : 0;
+                seen[saved.key] = true;
+                result.push({
+                    key: saved.key,
+                    header: saved.header || column.header,
+                    defaultHeader: column.header,
+                    enabled: saved.enabled !== false
+                });
+            });
 
-                // Build the "All" label with page count if available
-                var allLabel = 'All';
-                if (totalJobs > 0) {
-                    allLabel = 'All (' + totalPages + 'p)';
+            defaultColumns.forEach(function(column) {
+                if (!seen[column.key]) {
+                    result.push({
+                        key: column.key,
+                        header: column.header,
+                        defaultHeader: column.header,
+                        enabled: true
+                    });
                 }
-
-                options = [
-                    { value: '1', text: '1' },
-                    { value: '3', text: '3' },
-                    { value: '5', text: '5' },
-                    { value: '10', text: '10' },
-                    { value: 'all', text: allLabel }
-                ];
-            } else {
-                options = [
-                    { value: '1', text: '1' },
-                    { value: '10', text: '10' },
-                    { value: '50', text: '50' },
-                    { value: 'all', text: 'All' }
-                ];
-            }
-            options.forEach(function(opt) {
-                var option = document.createElement('option');
-                option.value = opt.value;
-                option.textContent = opt.text;
-                select.appendChild(option);
             });
 
-            // --- Format selection checkboxes ---
-            var fmtLabel = document.createElement('div');
-            fmtLabel.className = 'lisesca-fmt-label';
-            fmtLabel.textContent = 'Save as:';
+            return result;
+        },
 
-            var fmtRow = document.createElement('div');
-            fmtRow.className = 'lisesca-fmt-row';
+        /**
+         * Get the full, editable column list of a profile.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {string} name - Profile name, or '' for the built-in layout.
+         * @param {Array<Object>} defaultColumns - The mode's default column definitions.
+         * @returns {Array<Object>} { key, header, defaultHeader, enabled } entries.
+         */
+        getEditableColumns: function(mode, name, defaultColumns) {
+            var saved = name ? this.getModeData(mode).profiles[name] : null;
+            return this.normalizeColumns(defaultColumns, saved || null);
+        },
 
-            // XLSX checkbox (checked by default)
-            var xlsxLabel = document.createElement('label');
-            xlsxLabel.className = 'lisesca-checkbox-label';
-            var xlsxCheck = document.createElement('input');
-            xlsxCheck.type = 'checkbox';
-            xlsxCheck.id = 'lisesca-fmt-xlsx';
-            xlsxCheck.checked = true;
-            xlsxLabel.appendChild(xlsxCheck);
-            xlsxLabel.appendChild(document.createTextNode('XLSX'));
-            fmtRow.appendChild(xlsxLabel);
-
-            // CSV checkbox — only for people search (not useful for jobs)
-            if (!isJobs) {
-                var csvLabel = document.createElement('label');
-                csvLabel.className = 'lisesca-checkbox-label';
-                var csvCheck = document.createElement('input');
-                csvCheck.type = 'checkbox';
-                csvCheck.id = 'lisesca-fmt-csv';
-                csvCheck.checked = false;
-                csvLabel.appendChild(csvCheck);
-                csvLabel.appendChild(document.createTextNode('CSV'));
-                fmtRow.appendChild(csvLabel);
-            }
-
-            // Markdown checkbox (unchecked by default)
-            var mdLabel = document.createElement('label');
-            mdLabel.className = 'lisesca-checkbox-label';
-            var mdCheck = document.createElement('input');
-            mdCheck.type = 'checkbox';
-            mdCheck.id = 'lisesca-fmt-md';
-            mdCheck.checked = false;
-            mdLabel.appendChild(mdCheck);
-            mdLabel.appendChild(document.createTextNode('Markdown'));
-            fmtRow.appendChild(mdLabel);
+        /**
+         * Get the columns to export for a mode, honoring its active profile.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {Array<Object>} defaultColumns - The mode's default column definitions.
+         * @returns {Array<Object>} Enabled { key, header } columns, in export order.
+         */
+        getActiveColumns: function(mode, defaultColumns) {
+            return this.getEditableColumns(mode, this.getActiveName(mode), defaultColumns)
+                .filter(function(column) {
+                    return column.enabled;
+                })
+                .map(function(column) {
+                    return { key: column.key, header: column.header };
+                });
+        },
 
-            var includeViewedRow = null;
-            var includeViewedCheck = null;
-            var includeFirstRow = null;
-            var aiEnabledRow = null;
-            var aiEnabledCheck = null;
-            var fullAIRow = null;
-            var fullAICheck = null;
-            var peopleAIEnabledRow = null;
-            var peopleAIEnabledCheck = null;
-            if (isJobs) {
-                includeViewedRow = document.createElement('div');
-                includeViewedRow.className = 'lisesca-toggle-row';
+        /**
+         * Save a profile and make it the active one of its mode.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {string} name - Profile name.
+         * @param {Array<Object>} columns - { key, header, enabled } entries, in order.
+         */
+        saveProfile: function(mode, name, columns) {
+            var data = this.getModeData(mode);
+            data.profiles[name] = columns.map(function(column) {
+                return { key: column.key, header: column.header, enabled: column.enabled };
+            });
+            data.active = name;
+            CONFIG.saveExportProfiles();
+        },
 
-                var includeViewedLabel = document.createElement('label');
-                includeViewedLabel.className = 'lisesca-checkbox-label';
-                includeViewedCheck = document.createElement('input');
-                includeViewedCheck.type = 'checkbox';
-                includeViewedCheck.id = 'lisesca-include-viewed';
-                includeViewedCheck.checked = State.getIncludeViewed();
-                includeViewedLabel.appendChild(includeViewedCheck);
-                includeViewedLabel.appendChild(document.createTextNode('Include viewed'));
-                includeViewedRow.appendChild(includeViewedLabel);
+        /**
+         * Select the active profile of a mode.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {string} name - Profile name, or '' for the built-in layout.
+         */
+        setActive: function(mode, name) {
+            this.getModeData(mode).active = name;
+            CONFIG.saveExportProfiles();
+        },
 
-                // "Include 1st on page" checkbox (sub-option of Include viewed)
-                includeFirstRow = document.createElement('div');
-                includeFirstRow.className = 'lisesca-toggle-row';
-                includeFirstRow.id = 'lisesca-include-first-row';
-                includeFirstRow.style.marginLeft = '16px';  // Visual hierarchy (indented)
-                // Visible only when AI is OFF and "Include viewed" is unchecked
-                var initialIncludeFirstVisible = !State.getAIEnabled() && !includeViewedCheck.checked;
-                includeFirstRow.style.display = initialIncludeFirstVisible ? 'flex' : 'none';
+        /**
+         * Delete a profile. If it was active, the built-in layout becomes active.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @param {string} name - Profile name.
+         */
+        deleteProfile: function(mode, name) {
+            var data = this.getModeData(mode);
+            delete data.profiles[name];
+            if (data.active === name) {
+                data.active = '';
+            }
+            CONFIG.saveExportProfiles();
+        }
+    };
 
-                var includeFirstLabel = document.createElement('label');
-                includeFirstLabel.className = 'lisesca-checkbox-label';
+    // ===== CSS SELECTORS (PEOPLE SEARCH) =====
+    // Resilient selectors based on data attributes and ARIA roles,
+    // avoiding LinkedIn's generated CSS class names which change frequently.
+    const Selectors = {
+        RESULT_CARD: 'div[role="listitem"]',
+        TITLE_LINK: 'a[data-view-name="search-result-lockup-title"]',
+
+        // Company People tab (/company/<slug>/people/) — the grid grows with "Show more results"
+        COMPANY_PEOPLE_CARD: 'li.org-people-profile-card__profile-card-spacing',
+        COMPANY_PEOPLE_NAME: '.artdeco-entity-lockup__title',
+        COMPANY_PEOPLE_LINK: 'a[href*="/in/"]',
+        COMPANY_PEOPLE_HEADLINE: '.artdeco-entity-lockup__subtitle',
+        COMPANY_PEOPLE_DEGREE: '.artdeco-entity-lockup__degree',
+        COMPANY_PEOPLE_SHOW_MORE: 'button.scaffold-finite-scroll__load-button',
+
+        // My Network connections list (/mynetwork/invite-connect/connections/) — grows on scroll
+        CONNECTION_CARD: 'li.mn-connection-card',
+        CONNECTION_LINK: 'a.mn-connection-card__link',
+        CONNECTION_NAME: '.mn-connection-card__name',
+        CONNECTION_OCCUPATION: '.mn-connection-card__occupation',
+        CONNECTION_TIME: 'time.time-badge',
+        CONNECTION_SHOW_MORE: 'button.scaffold-finite-scroll__load-button',
+
+        // Profile page (deep visit) — sections are found by the id of their anchor element
+        PROFILE_NAME: 'main h1',
+        PROFILE_SECTION_IDS: {
+            about: 'about',
+            experience: 'experience',
+            education: 'education',
+            skills: 'skills'
+        },
+        PROFILE_ITEM: 'li.artdeco-list__item',
+        PROFILE_SUB_ITEMS: '.pvs-entity__sub-components',
+        PROFILE_TEXT: 'span[aria-hidden="true"]',
+        PROFILE_ABOUT_TEXT: '.inline-show-more-text span[aria-hidden="true"]'
+    };
 
-                var includeFirstCheck = document.createElement('input');
-                includeFirstCheck.type = 'checkbox';
-                includeFirstCheck.id = 'lisesca-include-first-on-page';
-                includeFirstCheck.checked = State.getIncludeFirstOnPage();
-                includeFirstCheck.addEventListener('change', function() {
-                    State.saveIncludeFirstOnPage(includeFirstCheck.checked);
-                });
+    // ===== PROFILE EXTRACTION (DEEP VISIT) =====
+    // Reads a member's profile page, visited after the search pages were
+    // scraped, and returns the fields merged into the profile record:
+    //   { currentTitle, currentCompany, experience, education, profileSkills,
+    //     about, experienceHistory, educationHistory, profileVisitedAt }
+    // experience and education are lists of objects (kept in JSON);
+    // experienceHistory and educationHistory are their one-line summaries for
+    // XLSX and CSV. Only what the profile page itself shows is read, so long
+    // histories and skill lists stop at LinkedIn's "Show all" cut-off.
 
-                includeFirstLabel.appendChild(includeFirstCheck);
-                includeFirstLabel.appendChild(document.createTextNode('Include 1st on page'));
-                includeFirstRow.appendChild(includeFirstLabel);
+    const ProfileExtractor = {
 
-                // "Include viewed" change handler — controls includeFirstRow visibility
-                includeViewedCheck.addEventListener('change', function() {
-                    State.saveIncludeViewed(includeViewedCheck.checked);
-                    // Show "Include 1st on page" only when Include viewed is OFF and AI is OFF
-                    if (!includeViewedCheck.checked && !aiEnabledCheck.checked) {
-                        includeFirstRow.style.display = 'flex';
-                    } else {
-                        includeFirstRow.style.display = 'none';
-                    }
-                });
-
-                // AI job selection toggle
-                aiEnabledRow = document.createElement('div');
-                aiEnabledRow.className = 'lisesca-toggle-row';
-
-                var aiEnabledLabel = document.createElement('label');
-                aiEnabledLabel.className = 'lisesca-checkbox-label';
-
-                // Disable if AI is not configured
-                var aiConfigured = CONFIG.isAIConfigured();
-                if (!aiConfigured) {
-                    aiEnabledLabel.classList.add('lisesca-disabled');
-                }
-
-                aiEnabledCheck = document.createElement('input');
-                aiEnabledCheck.type = 'checkbox';
-                aiEnabledCheck.id = 'lisesca-ai-enabled';
-                aiEnabledCheck.checked = aiConfigured && State.getAIEnabled();
-                aiEnabledCheck.disabled = !aiConfigured;
-
-                aiEnabledLabel.appendChild(aiEnabledCheck);
-                aiEnabledLabel.appendChild(document.createTextNode('AI job selection'));
-                aiEnabledRow.appendChild(aiEnabledLabel);
-
-                // Full AI evaluation toggle (indented, only visible when AI enabled)
-                fullAIRow = document.createElement('div');
-                fullAIRow.className = 'lisesca-toggle-row';
-                fullAIRow.id = 'lisesca-full-ai-row';
-                fullAIRow.style.marginLeft = '16px';  // Visual hierarchy (indented)
-                fullAIRow.style.display = (aiConfigured && aiEnabledCheck.checked) ? 'flex' : 'none';
-
-                var fullAILabel = document.createElement('label');
-                fullAILabel.className = 'lisesca-checkbox-label';
+        /** A line holding a date range, e.g. "Jan 2020 - Present · 4 yrs" or "2010 - 2012" */
+        DATE_PATTERN: /\b(19|20)\d{2}\b|\bpresent\b/i,
 
-                fullAICheck = document.createElement('input');
-                fullAICheck.type = 'checkbox';
-                fullAICheck.id = 'lisesca-full-ai-enabled';
-                fullAICheck.checked = aiConfigured && State.getFullAIEnabled();
-                fullAICheck.disabled = !aiConfigured;
+        /**
+         * Wait for the profile page to render the member's name.
+         * @returns {Promise<boolean>} True if the profile loaded, false if timed out.
+         */
+        waitForProfile: function() {
+            return new Promise(function(resolve) {
+                var maxWaitMs = 10000;
+                var pollIntervalMs = 500;
+                var elapsed = 0;
 
-                // Auto-uncheck "Include viewed" when Full AI is enabled
-                fullAICheck.addEventListener('change', function() {
-                    State.saveFullAIEnabled(fullAICheck.checked);
-                    if (fullAICheck.checked && includeViewedCheck) {
-                        includeViewedCheck.checked = false;
-                        State.saveIncludeViewed(false);
+                var poll = setInterval(function() {
+                    var nameEl = document.querySelector(Selectors.PROFILE_NAME);
+                    if (nameEl && (nameEl.textContent || '').trim()) {
+                        clearInterval(poll);
+                        resolve(true);
+                        return;
                     }
-                });
+                    elapsed += pollIntervalMs;
+                    if (elapsed >= maxWaitMs) {
+                        clearInterval(poll);
+                        console.warn('[LiSeSca] Profile page did not load after ' + maxWaitMs + 'ms.');
+                        resolve(false);
+                    }
+                }, pollIntervalMs);
+            });
+        },
 
-                fullAILabel.appendChild(fullAICheck);
-                fullAILabel.appendChild(document.createTextNode('Full AI evaluation'));
-                fullAIRow.appendChild(fullAILabel);
+        /**
+         * Find a profile section by the id of its anchor element.
+         * @param {string} name - Key of Selectors.PROFILE_SECTION_IDS.
+         * @returns {Element|null} The section element, or null if the profile has none.
+         */
+        getSection: function(name) {
+            var anchor = document.getElementById(Selectors.PROFILE_SECTION_IDS[name]);
+            return anchor ? anchor.closest('section') : null;
+        },
 
-                // AI enabled toggle controls Full AI row and includeFirstRow visibility
-                aiEnabledCheck.addEventListener('change', function() {
-                    State.saveAIEnabled(aiEnabledCheck.checked);
-                    // Show/hide Full AI row based on AI enabled state
-                    if (aiEnabledCheck.checked) {
-                        fullAIRow.style.display = 'flex';
-                        // Hide "Include 1st on page" when AI is ON
-                        includeFirstRow.style.display = 'none';
-                    } else {
-                        fullAIRow.style.display = 'none';
-                        // Also disable Full AI when AI is disabled
-                        fullAICheck.checked = false;
-                        State.saveFullAIEnabled(false);
-                        // Show "Include 1st on page" if Include viewed is also unchecked
-                        if (!includeViewedCheck.checked) {
-                            includeFirstRow.style.display = 'flex';
-                        }
-                    }
-                });
-            } else {
-                // AI people rating toggle
-                peopleAIEnabledRow = document.createElement('div');
-                peopleAIEnabledRow.className = 'lisesca-toggle-row';
+        /**
+         * Get the visible text lines of an element, leaving out nested sub-items.
+         * @param {Element} element - A section item.
+         * @returns {Array<string>} The non-empty lines, in page order.
+         */
+        getOwnTexts: function(element) {
+            var texts = [];
+            var sub = element.querySelector(Selectors.PROFILE_SUB_ITEMS);
+            element.querySelectorAll(Selectors.PROFILE_TEXT).forEach(function(span) {
+                var text = (span.textContent || '').trim();
+                if (text && !(sub && sub.contains(span))) {
+                    texts.push(text);
+                }
+            });
+            return texts;
+        },
 
-                var peopleAIEnabledLabel = document.createElement('label');
-                peopleAIEnabledLabel.className = 'lisesca-checkbox-label';
+        /**
+         * Get the top-level items of a section (not the roles nested in them).
+         * @param {Element|null} section - The section element.
+         * @returns {Array<Element>} The items.
+         */
+        getTopLevelItems: function(section) {
+            if (!section) {
+                return [];
+            }
+            return Array.prototype.filter.call(section.querySelectorAll(Selectors.PROFILE_ITEM), function(item) {
+                return !item.parentElement || !item.parentElement.closest(Selectors.PROFILE_SUB_ITEMS);
+            });
+        },
 
-                var peopleAIConfigured = CONFIG.isPeopleAIConfigured();
-                if (!peopleAIConfigured) {
-                    peopleAIEnabledLabel.classList.add('lisesca-disabled');
+        /**
+         * Split a date line into the range and the duration LinkedIn appends.
+         * @param {string} text - E.g. "Jan 2020 - Present · 4 yrs 2 mos".
+         * @returns {Object} { dateRange, duration }
+         */
+        splitDateLine: function(text) {
+            var parts = String(text || '').split(/\s+·\s+/);
+            return { dateRange: parts[0].trim(), duration: (parts[1] || '').trim() };
+        },
+
+        /**
+         * Build one experience entry from the text lines of a role.
+         * A single role reads: title, "Company · Full-time", dates, location.
+         * A role grouped under its company reads: title, [type,] dates, location.
+         * @param {Array<string>} texts - The role's text lines.
+         * @param {string} [groupCompany] - The company of a grouped role.
+         * @returns {Object|null} { title, company, dateRange, duration, location, current }, or null without a title.
+         */
+        parseRoleTexts: function(texts, groupCompany) {
+            if (!texts || texts.length === 0) {
+                return null;
+            }
+            var self = this;
+            var dateIndex = -1;
+            for (var i = 1; i < texts.length; i++) {
+                if (self.DATE_PATTERN.test(texts[i])) {
+                    dateIndex = i;
+                    break;
                 }
+            }
+            var company = groupCompany || '';
+            if (!groupCompany && texts.length > 1 && dateIndex !== 1) {
+                company = texts[1].split(/\s+·\s+/)[0].trim();
+            }
+            var dates = this.splitDateLine(dateIndex === -1 ? '' : texts[dateIndex]);
+            var location = (dateIndex !== -1 && texts[dateIndex + 1]) ? texts[dateIndex + 1].split(/\s+·\s+/)[0].trim() : '';
 
-                peopleAIEnabledCheck = document.createElement('input');
-                peopleAIEnabledCheck.type = 'checkbox';
-                peopleAIEnabledCheck.id = 'lisesca-people-ai-enabled';
-                peopleAIEnabledCheck.checked = peopleAIConfigured && State.getPeopleAIEnabled();
-                peopleAIEnabledCheck.disabled = !peopleAIConfigured;
+            return {
+                title: texts[0],
+                company: company,
+                dateRange: dates.dateRange,
+                duration: dates.duration,
+                location: location,
+                current: /present/i.test(dates.dateRange)
+            };
+        },
 
-                peopleAIEnabledCheck.addEventListener('change', function() {
-                    State.savePeopleAIEnabled(peopleAIEnabledCheck.checked);
+        /**
+         * Build the experience entries of one item of the Experience section.
+         * @param {Array<string>} texts - The item's own text lines.
+         * @param {Array<Array<string>>} roleTexts - Text lines of the roles nested in it.
+         * @returns {Array<Object>} Experience entries (see parseRoleTexts).
+         */
+        parseExperienceItem: function(texts, roleTexts) {
+            var self = this;
+            var roles = (roleTexts || []).filter(function(lines) {
+                return lines.some(function(line) {
+                    return self.DATE_PATTERN.test(line);
                 });
+            });
+            if (roles.length > 0 && texts.length > 0) {
+                // Several roles at one company: the item itself names the company
+                return roles.map(function(lines) {
+                    return self.parseRoleTexts(lines, texts[0]);
+                });
+            }
+            var entry = this.parseRoleTexts(texts);
+            return entry ? [entry] : [];
+        },
 
-                peopleAIEnabledLabel.appendChild(peopleAIEnabledCheck);
-                peopleAIEnabledLabel.appendChild(document.createTextNode('AI Rating'));
-                peopleAIEnabledRow.appendChild(peopleAIEnabledLabel);
+        /**
+         * Build an education entry from the text lines of an Education item.
+         * @param {Array<string>} texts - E.g. school, "MSc, Computer Science", "2010 - 2012".
+         * @returns {Object|null} { school, degree, dateRange }, or null without a school.
+         */
+        parseEducationTexts: function(texts) {
+            if (!texts || texts.length === 0) {
+                return null;
             }
+            var self = this;
+            var degree = (texts.length > 1 && !this.DATE_PATTERN.test(texts[1])) ? texts[1] : '';
+            var dateLine = texts.slice(1).filter(function(line) {
+                return self.DATE_PATTERN.test(line);
+            })[0] || '';
+            return {
+                school: texts[0],
+                degree: degree,
+                dateRange: this.splitDateLine(dateLine).dateRange
+            };
+        },
 
-            // GO button — dispatches to the correct controller
-            var goBtn = document.createElement('button');
-            goBtn.className = 'lisesca-go-btn';
-            goBtn.textContent = 'GO';
-            goBtn.addEventListener('click', function() {
-                var pageSelect = document.getElementById('lisesca-page-select');
-                var selectedValue = pageSelect.value;
-                console.log('[LiSeSca] GO pressed, pages=' + selectedValue + ', pageType=' + pageType);
+        /**
+         * Read the Experience section.
+         * @returns {Array<Object>} Experience entries, most recent first.
+         */
+        extractExperience: function() {
+            var self = this;
+            var entries = [];
+            this.getTopLevelItems(this.getSection('experience')).forEach(function(item) {
+                var sub = item.querySelector(Selectors.PROFILE_SUB_ITEMS);
+                var roleTexts = sub ? Array.prototype.map.call(sub.querySelectorAll(Selectors.PROFILE_ITEM), function(role) {
+                    return self.getOwnTexts(role);
+                }) : [];
+                entries = entries.concat(self.parseExperienceItem(self.getOwnTexts(item), roleTexts));
+            });
+            return entries;
+        },
 
-                if (isJobs) {
-                    State.saveIncludeViewed(State.readIncludeViewedFromUI());
-                    State.saveIncludeFirstOnPage(State.readIncludeFirstOnPageFromUI());
-                    JobController$1.startScraping(selectedValue);
-                } else {
-                    Controller$1.startScraping(selectedValue);
+        /**
+         * Read the Education section.
+         * @returns {Array<Object>} Education entries.
+         */
+        extractEducation: function() {
+            var self = this;
+            return this.getTopLevelItems(this.getSection('education')).map(function(item) {
+                return self.parseEducationTexts(self.getOwnTexts(item));
+            }).filter(function(entry) {
+                return entry !== null;
+            });
+        },
+
+        /**
+         * Read the skill names of the Skills section.
+         * @returns {Array<string>} Skill names, without duplicates.
+         */
+        extractSkills: function() {
+            var self = this;
+            var skills = [];
+            this.getTopLevelItems(this.getSection('skills')).forEach(function(item) {
+                var name = self.getOwnTexts(item)[0];
+                if (name && skills.indexOf(name) === -1) {
+                    skills.push(name);
                 }
             });
+            return skills;
+        },
 
-            this.menu.appendChild(label);
-            this.menu.appendChild(select);
-            this.menu.appendChild(fmtLabel);
-            this.menu.appendChild(fmtRow);
-            if (includeViewedRow) {
-                this.menu.appendChild(includeViewedRow);
-            }
-            if (includeFirstRow) {
-                this.menu.appendChild(includeFirstRow);
-            }
-            if (aiEnabledRow) {
-                this.menu.appendChild(aiEnabledRow);
-            }
-            if (fullAIRow) {
-                this.menu.appendChild(fullAIRow);
-            }
-            if (peopleAIEnabledRow) {
-                this.menu.appendChild(peopleAIEnabledRow);
+        /**
+         * Read the About text.
+         * @returns {string} The text, or '' if the profile has none.
+         */
+        extractAbout: function() {
+            var section = this.getSection('about');
+            if (!section) {
+                return '';
             }
-            this.menu.appendChild(goBtn);
-
-            // --- Status area ---
-            this.statusArea = document.createElement('div');
-            this.statusArea.className = 'lisesca-status';
+            var textEl = section.querySelector(Selectors.PROFILE_ABOUT_TEXT);
+            return textEl ? (textEl.textContent || '').trim() : '';
+        },
 
-            var progressText = document.createElement('div');
-            progressText.id = 'lisesca-status-progress';
-            progressText.className = 'lisesca-status-progress';
-            progressText.textContent = '';
+        /**
+         * Summarize an experience entry on one line.
+         * @param {Object} entry - An experience entry.
+         * @returns {string} E.g. "CTO at Acme (Jan 2020 - Present)".
+         */
+        formatExperience: function(entry) {
+            return entry.title + (entry.company ? ' at ' + entry.company : '')
+                + (entry.dateRange ? ' (' + entry.dateRange + ')' : '');
+        },
 
-            // AI stats display (shown when AI filtering is active)
-            var aiStatsText = document.createElement('div');
-            aiStatsText.id = 'lisesca-ai-stats';
-            aiStatsText.className = 'lisesca-ai-stats';
-            aiStatsText.textContent = '';
+        /**
+         * Summarize an education entry on one line.
+         * @param {Object} entry - An education entry.
+         * @returns {string} E.g. "MSc, Computer Science, TU Berlin (2010 - 2012)".
+         */
+        formatEducation: function(entry) {
+            return (entry.degree ? entry.degree + ', ' : '') + entry.school
+                + (entry.dateRange ? ' (' + entry.dateRange + ')' : '');
+        },
 
-            var statusText = document.createElement('div');
-            statusText.id = 'lisesca-status-text';
-            statusText.textContent = 'Initializing...';
+        /**
+         * Compute the profile record fields from the extracted sections.
+         * The current position is the first one still running, else the most recent.
+         * @param {Object} sections - { experience, education, skills, about }
+         * @param {Date} now - The visit time.
+         * @returns {Object} The fields listed at the top of this module.
+         */
+        buildFields: function(sections, now) {
+            var self = this;
+            var current = sections.experience.filter(function(entry) {
+                return entry.current;
+            })[0] || sections.experience[0] || null;
 
-            var stopBtn = document.createElement('button');
-            stopBtn.className = 'lisesca-stop-btn';
-            stopBtn.textContent = 'STOP';
-            stopBtn.addEventListener('click', function() {
-                // Dispatch to the correct controller based on active scrape mode
-                var mode = State.getScrapeMode();
-                if (mode === 'jobs') {
-                    JobController$1.stopScraping();
-                } else {
-                    Controller$1.stopScraping();
-                }
-            });
+            return {
+                currentTitle: current ? current.title : '',
+                currentCompany: current ? current.company : '',
+                experience: sections.experience,
+                education: sections.education,
+                profileSkills: sections.skills,
+                about: sections.about,
+                experienceHistory: sections.experience.map(function(entry) {
+                    return self.formatExperience(entry);
+                }).join('; '),
+                educationHistory: sections.education.map(function(entry) {
+                    return self.formatEducation(entry);
+                }).join('; '),
+                profileVisitedAt: now.toISOString()
+            };
+        },
 
-            this.statusArea.appendChild(progressText);
-            this.statusArea.appendChild(aiStatsText);
-            this.statusArea.appendChild(statusText);
-            this.statusArea.appendChild(stopBtn);
+        /**
+         * Extract the deep-visit fields from the profile page being shown.
+         * @returns {Object} The fields listed at the top of this module.
+         */
+        extractProfile: function() {
+            return this.buildFields({
+                experience: this.extractExperience(),
+                education: this.extractEducation(),
+                skills: this.extractSkills(),
+                about: this.extractAbout()
+            }, new Date());
+        }
+    };
 
-            // --- No-results notification area ---
-            this.noResultsArea = document.createElement('div');
-            this.noResultsArea.className = 'lisesca-no-results';
-            this.noResultsArea.id = 'lisesca-no-results';
+    // ===== OUTPUT GENERATION (PEOPLE) =====
+    // Formats scraped profile data into XLSX, CSV, Markdown, Markdown bundle (ZIP),
+    // HTML report, vCard, JSON and JSON Lines; the format-independent steps
+    // are in Export.
 
-            var noResultsIcon = document.createElement('div');
-            noResultsIcon.className = 'lisesca-no-results-icon';
-            noResultsIcon.textContent = '\u2205'; // Empty set symbol
+    const Output = {
 
-            var noResultsTitle = document.createElement('div');
-            noResultsTitle.className = 'lisesca-no-results-title';
-            noResultsTitle.id = 'lisesca-no-results-title';
-            noResultsTitle.textContent = 'No matching jobs found';
+        /** Export mode name (see Export) */
+        MODE: 'people',
 
-            var noResultsStats = document.createElement('div');
-            noResultsStats.className = 'lisesca-no-results-stats';
-            noResultsStats.id = 'lisesca-no-results-stats';
-            noResultsStats.textContent = '';
+        /** Name of the results sheet in XLSX exports */
+        SHEET_NAME: 'LinkedIn Search',
 
-            var noResultsBtn = document.createElement('button');
-            noResultsBtn.className = 'lisesca-no-results-btn';
-            noResultsBtn.textContent = 'OK';
-            noResultsBtn.addEventListener('click', function() {
-                UI.hideNoResults();
-            });
+        /**
+         * Format a single profile into Markdown.
+         * @param {Object} profile - A profile data object.
+         * @returns {string} The formatted Markdown block.
+         */
+        formatProfile: function(profile) {
+            const lines = [];
+            lines.push('# ' + profile.fullName);
+            lines.push('');
 
-            this.noResultsArea.appendChild(noResultsIcon);
-            this.noResultsArea.appendChild(noResultsTitle);
-            this.noResultsArea.appendChild(noResultsStats);
-            this.noResultsArea.appendChild(noResultsBtn);
+            if (profile.connectionDegree === 0) {
+                lines.push('No connection.');
+            } else if (profile.connectionDegree) {
+                const ordinal = this.toOrdinal(profile.connectionDegree);
+                lines.push('Connection: ' + ordinal);
+            }
 
-            // --- Assemble panel ---
-            this.panel.appendChild(topbar);
-            this.panel.appendChild(this.menu);
-            this.panel.appendChild(this.statusArea);
-            this.panel.appendChild(this.noResultsArea);
+            var headline = profile.headline || profile.description || '';
+            if (headline) {
+                lines.push('Headline: ' + headline);
+            }
+            lines.push('Location: ' + (profile.location || '(none)'));
+            lines.push('Full profile URL: ' + (profile.profileUrl || '(none)'));
+            if (profile.connectedOn) {
+                lines.push('Connected on: ' + profile.connectedOn);
+            }
 
-            document.body.appendChild(this.panel);
-            console.log('[LiSeSca] UI panel injected (' + pageType + ' mode).');
-        },
+            var visited = this.formatVisitedSections(profile);
+            if (visited.length > 0) {
+                lines.push('');
+                lines.push.apply(lines, visited);
+            }
 
-        /**
-         * Toggle the dropdown menu open/closed.
-         */
-        toggleMenu: function() {
-            this.isMenuOpen = !this.isMenuOpen;
-            if (this.isMenuOpen) {
-                this.updateJobsAllLabel();
-                this.updateAIToggleState();
-                this.updatePeopleAIToggleState();
-                this.menu.classList.add('lisesca-open');
-            } else {
-                this.menu.classList.remove('lisesca-open');
+            if (profile.aiScore !== undefined) {
+                lines.push('');
+                lines.push('**AI Score:** ' + profile.aiScore + '/5 (' + (profile.aiLabel || '') + ')');
+                if (profile.aiReason) {
+                    lines.push('**AI Reason:** ' + profile.aiReason);
+                }
             }
+
+            return lines.join('\n');
         },
 
         /**
-         * Refresh the "All (Np)" label for jobs if total is known.
+         * Format the fields read on a profile visit as Markdown lines.
+         * @param {Object} profile - A profile data object.
+         * @returns {Array<string>} The lines, or an empty array if the profile was not visited.
          */
-        updateJobsAllLabel: function() {
-            if (!PageDetector.isOnJobsPage()) {
-                return;
+        formatVisitedSections: function(profile) {
+            var lines = [];
+            if (!profile.profileVisitedAt) {
+                return lines;
             }
-            var select = document.getElementById('lisesca-page-select');
-            if (!select) {
-                return;
+            if (profile.currentTitle) {
+                lines.push('**Current:** ' + profile.currentTitle
+                    + (profile.currentCompany ? ' at ' + profile.currentCompany : ''));
             }
-            var subtitleEl = document.querySelector('.jobs-search-results-list__subtitle span');
-            var totalJobs = 0;
-            if (subtitleEl) {
-                var totalJobsText = (subtitleEl.textContent || '').trim();
-                var match = totalJobsText.match(/^([\d,]+)\s+result/);
-                if (match) {
-                    totalJobs = parseInt(match[1].replace(/,/g, ''), 10);
-                }
+            if (profile.profileSkills && profile.profileSkills.length > 0) {
+                lines.push('**Skills:** ' + profile.profileSkills.join(', '));
             }
-            var totalPages = totalJobs > 0
-                ? Math.ceil(totalJobs / JobPaginator.JOBS_PER_PAGE)
-                : 0;
-            var allLabel = (totalPages > 0) ? ('All (' + totalPages + 'p)') : 'All';
-            for (var i = 0; i < select.options.length; i += 1) {
-                if (select.options[i].value === 'all') {
-                    select.options[i].textContent = allLabel;
-                    break;
-                }
+            if (profile.experience && profile.experience.length > 0) {
+                lines.push('');
+                lines.push('## Experience');
+                lines.push('');
+                profile.experience.forEach(function(entry) {
+                    lines.push('- ' + ProfileExtractor.formatExperience(entry)
+                        + (entry.location ? ', ' + entry.location : ''));
+                });
+            }
+            if (profile.education && profile.education.length > 0) {
+                lines.push('');
+                lines.push('## Education');
+                lines.push('');
+                profile.education.forEach(function(entry) {
+                    lines.push('- ' + ProfileExtractor.formatEducation(entry));
+                });
+            }
+            if (profile.about) {
+                lines.push('');
+                lines.push('## About');
+                lines.push('');
+                lines.push(profile.about);
             }
+            // Drop the blank line a heading-less start would leave
+            while (lines.length > 0 && lines[0] === '') {
+                lines.shift();
+            }
+            return lines;
         },
 
         /**
-         * Show a status message in the status area.
-         * @param {string} message - The status text to display.
+         * Convert a number to its ordinal string.
+         * @param {number} n - The number.
+         * @returns {string} The ordinal string.
          */
-        showStatus: function(message) {
-            this.menu.classList.remove('lisesca-open');
-            this.isMenuOpen = false;
-            this.statusArea.classList.add('lisesca-visible');
-            document.getElementById('lisesca-status-text').textContent = message;
+        toOrdinal: function(n) {
+            const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+            const lastTwo = n % 100;
+            if (lastTwo >= 11 && lastTwo <= 13) {
+                return n + 'th';
+            }
+            const lastDigit = n % 10;
+            return n + (suffixes[lastDigit] || 'th');
         },
 
+        /** Starting point offered in the template editor, mirroring the built-in layout */
+        EXAMPLE_MARKDOWN_TEMPLATE: [
+            '# {{fullName}}',
+            '',
+            '{{#if connectionDegree}}',
+            'Connection: {{connectionDegree}}',
+            '{{/if}}',
+            '{{#if description}}',
+            'Headline: {{description}}',
+            '{{/if}}',
+            'Location: {{location}}',
+            'Full profile URL: {{profileUrl}}',
+            '{{#if currentTitle}}',
+            '',
+            '**Current:** {{currentTitle}} at {{currentCompany}}',
+            '{{/if}}',
+            '{{#if experience}}',
+            '',
+            '## Experience',
+            '',
+            '{{#each experience}}',
+            '- {{title}} at {{company}} ({{dateRange}})',
+            '{{/each}}',
+            '{{/if}}',
+            '{{#if education}}',
+            '',
+            '## Education',
+            '',
+            '{{#each education}}',
+            '- {{degree}}, {{school}} ({{dateRange}})',
+            '{{/each}}',
+            '{{/if}}',
+            '{{#if aiLabel}}',
+            '',
+            '**AI Score:** {{aiScore}}/5 ({{aiLabel}})',
+            '**AI Reason:** {{aiReason}}',
+            '{{/if}}'
+        ].join('\n'),
+
         /**
-         * Update the job progress line in the status area.
-         * @param {string} message - Progress text to display (empty to hide).
+         * Format a profile for Markdown exports (user template or built-in layout).
+         * @param {Object} profile - A profile data object.
+         * @returns {string} The Markdown block.
          */
-        showProgress: function(message) {
-            var progressEl = document.getElementById('lisesca-status-progress');
-            if (!progressEl) {
-                return;
-            }
-            if (message) {
-                progressEl.textContent = message;
-                progressEl.classList.add('lisesca-visible');
-            } else {
-                progressEl.textContent = '';
-                progressEl.classList.remove('lisesca-visible');
-            }
+        formatProfileForExport: function(profile) {
+            return Export.renderMarkdownRecord('people', profile, function(record) {
+                return Output.formatProfile(record);
+            });
         },
 
         /**
-         * Hide the status area.
+         * Generate a complete Markdown document from an array of profiles.
+         * @param {Array} profiles - Array of profile data objects.
+         * @returns {string} The complete Markdown content.
          */
-        hideStatus: function() {
-            this.statusArea.classList.remove('lisesca-visible');
+        generateMarkdown: function(profiles) {
+            const blocks = profiles.map(function(profile) {
+                return Output.formatProfileForExport(profile);
+            });
+            return blocks.join('\n\n---\n\n') + '\n';
         },
 
         /**
-         * Switch the panel into "idle" mode.
+         * Generate a ZIP bundle with one Markdown note per profile.
+         * Filenames combine the name with the profile slug, which keeps
+         * namesakes apart.
+         * @param {Array} profiles - Array of profile data objects.
+         * @returns {Promise<Uint8Array>} The binary ZIP content.
          */
-        showIdleState: function() {
-            this.hideStatus();
-            this.showProgress('');
-            this.hideAIStats();
-            this.hideNoResults();
-            this.menu.classList.remove('lisesca-open');
-            this.isMenuOpen = false;
+        generateMarkdownBundle: function(profiles) {
+            var usedNames = MarkdownBundle.createUsedNames();
+            var notes = profiles.map(function(profile) {
+                var slugMatch = (profile.profileUrl || '').match(/\/in\/([^/?#]+)/);
+                var frontMatter = {
+                    name: profile.fullName || '',
+                    headline: profile.headline || profile.description || '',
+                    location: profile.location || '',
+                    connection_degree: profile.connectionDegree || '',
+                    profile_url: profile.profileUrl || ''
+                };
+                if (profile.connectedAt) {
+                    frontMatter.connected_at = profile.connectedAt;
+                }
+                if (profile.profileVisitedAt) {
+                    frontMatter.current_title = profile.currentTitle || '';
+                    frontMatter.current_company = profile.currentCompany || '';
+                    frontMatter.skills = profile.profileSkills || [];
+                }
+                if (profile.aiScore !== undefined) {
+                    frontMatter.ai_score = profile.aiScore;
+                    frontMatter.ai_label = profile.aiLabel || '';
+                }
+                return {
+                    fileName: MarkdownBundle.buildFileName([profile.fullName, slugMatch ? slugMatch[1] : ''], usedNames),
+                    title: profile.fullName || '(unnamed)',
+                    frontMatter: frontMatter,
+                    body: Output.formatProfileForExport(profile)
+                };
+            });
+            return MarkdownBundle.generateZip(notes, 'LinkedIn People');
         },
 
         /**
-         * Show AI evaluation statistics in the status area.
-         * @param {number} evaluated - Number of jobs evaluated by AI.
-         * @param {number} accepted - Number of jobs accepted by AI.
+         * Default columns for XLSX and CSV export (profile property → header).
+         * Export profiles can hide, reorder and rename them by key.
          */
-        showAIStats: function(evaluated, accepted, labelSuffix) {
-            var statsEl = document.getElementById('lisesca-ai-stats');
-            if (!statsEl) {
-                return;
-            }
-            if (evaluated > 0) {
-                if (labelSuffix === '') {
-                    statsEl.textContent = 'AI ' + accepted + '/' + evaluated;
-                } else {
-                    var suffix = (labelSuffix === undefined) ? ' accepted' : labelSuffix;
-                    statsEl.textContent = 'AI: ' + accepted + '/' + evaluated + suffix;
-                }
-                statsEl.classList.add('lisesca-visible');
-            } else {
-                statsEl.textContent = '';
-                statsEl.classList.remove('lisesca-visible');
-            }
-        },
+        COLUMNS: [
+            { key: 'fullName', header: 'Name' },
+            { key: 'description', header: 'Title/Description' },
+            { key: 'location', header: 'Location' },
+            { key: 'city', header: 'City' },
+            { key: 'region', header: 'Region' },
+            { key: 'country', header: 'Country' },
+            { key: 'metroArea', header: 'Metro Area' },
+            { key: 'profileUrl', header: 'LinkedIn URL' },
+            { key: 'connectionDegree', header: 'Connection degree' },
+            { key: 'connectedOn', header: 'Connected' },
+            { key: 'connectedAt', header: 'Connected At' },
+            { key: 'currentTitle', header: 'Current Title' },
+            { key: 'currentCompany', header: 'Current Company' },
+            { key: 'experienceHistory', header: 'Experience' },
+            { key: 'educationHistory', header: 'Education' },
+            { key: 'profileSkills', header: 'Skills' },
+            { key: 'about', header: 'About' },
+            { key: 'aiScore', header: 'AI Score' },
+            { key: 'aiLabel', header: 'AI Rating' },
+            { key: 'aiReason', header: 'AI Reason' }
+        ],
 
         /**
-         * Hide the AI stats display.
+         * Get the columns to export, honoring the active export profile.
+         * @returns {Array<Object>} { key, header } columns, in export order.
          */
-        hideAIStats: function() {
-            var statsEl = document.getElementById('lisesca-ai-stats');
-            if (statsEl) {
-                statsEl.textContent = '';
-                statsEl.classList.remove('lisesca-visible');
-            }
+        getExportColumns: function() {
+            return ExportProfiles.getActiveColumns('people', this.COLUMNS);
         },
 
         /**
-         * Show the no-results notification with statistics.
-         * @param {number} evaluated - Number of items evaluated by AI.
-         * @param {number} pagesScraped - Number of pages scanned.
-         * @param {string} itemType - Type of item ('job' or 'profile'). Defaults to 'job'.
+         * Convert a profile object into a row array.
+         * @param {Object} profile - A profile data object.
+         * @param {Array<Object>} columns - { key, header } columns to include.
+         * @returns {Array<string|number>} Array of cell values.
          */
-        showNoResults: function(evaluated, pagesScraped, itemType) {
-            // Hide status area first
-            this.hideStatus();
-            this.hideAIStats();
+        profileToRow: function(profile, columns) {
+            return columns.map(function(column) {
+                if (column.key === 'connectionDegree') {
+                    return profile.connectionDegree || 0;
+                }
+                if (column.key === 'aiScore') {
+                    return profile.aiScore !== undefined ? profile.aiScore : '';
+                }
+                if (Array.isArray(profile[column.key])) {
+                    return profile[column.key].join(', ');
+                }
+                return profile[column.key] || '';
+            });
+        },
 
-            var type = itemType || 'job';
-            var plural = type + (evaluated !== 1 ? 's' : '');
+        /**
+         * Generate a CSV string from an array of profiles.
+         * @param {Array} profiles - Array of profile data objects.
+         * @returns {string} The complete CSV content.
+         */
+        generateCSV: function(profiles) {
+            var self = this;
+            var lines = [];
+            var columns = this.getExportColumns();
 
-            // Update the title based on item type
-            var titleEl = document.getElementById('lisesca-no-results-title');
-            if (titleEl) {
-                titleEl.textContent = 'No matching ' + plural + ' found';
-            }
+            var headerLine = columns.map(function(column) {
+                return Export.escapeCSVField(column.header);
+            }).join(',');
+            lines.push(headerLine);
 
-            // Update the stats text
-            var statsEl = document.getElementById('lisesca-no-results-stats');
-            if (statsEl) {
-                var statsText = evaluated + ' ' + plural + ' scanned';
-                if (pagesScraped > 1) {
-                    statsText += ' across ' + pagesScraped + ' pages';
-                }
-                statsText += ', none matched your criteria (score >= 3)';
-                statsEl.textContent = statsText;
-            }
+            profiles.forEach(function(profile) {
+                var row = self.profileToRow(profile, columns);
+                var csvLine = row.map(function(cell) {
+                    return Export.escapeCSVField(cell);
+                }).join(',');
+                lines.push(csvLine);
+            });
 
-            // Show the no-results area
-            var noResultsEl = document.getElementById('lisesca-no-results');
-            if (noResultsEl) {
-                noResultsEl.classList.add('lisesca-visible');
-            }
+            return lines.join('\r\n') + '\r\n';
         },
 
         /**
-         * Hide the no-results notification.
+         * Escape a text value for vCard output (RFC 6350, section 3.4).
+         * @param {*} value - The value to escape.
+         * @returns {string} The escaped text.
          */
-        hideNoResults: function() {
-            var noResultsEl = document.getElementById('lisesca-no-results');
-            if (noResultsEl) {
-                noResultsEl.classList.remove('lisesca-visible');
-            }
+        escapeVCardText: function(value) {
+            var str = (value === null || value === undefined) ? '' : String(value);
+            return str.replace(/\\/g, '\\\\')
+                .replace(/,/g, '\\,')
+                .replace(/;/g, '\\;')
+                .replace(/\r\n?|\n/g, '\\n');
         },
 
-        // --- Configuration panel ---
-        configOverlay: null,
-
-        // --- AI Configuration panel ---
-        aiConfigOverlay: null,
-
         /**
-         * Create the configuration panel overlay.
+         * Fold a vCard content line to at most 75 octets per physical line.
+         * Continuation lines start with a single space; multi-byte UTF-8
+         * characters are never split.
+         * @param {string} line - The unfolded content line.
+         * @returns {string} The folded line, using CRLF breaks.
          */
-        createConfigPanel: function() {
-            this.configOverlay = document.createElement('div');
-            this.configOverlay.className = 'lisesca-config-overlay';
-
-            var panel = document.createElement('div');
-            panel.className = 'lisesca-config-panel';
-
-            var title = document.createElement('div');
-            title.className = 'lisesca-config-title';
-            title.textContent = 'LiSeSca Configuration';
-
-            var version = document.createElement('div');
-            version.className = 'lisesca-config-version';
-            version.textContent = 'v' + CONFIG.VERSION;
-
-            var minRow = document.createElement('div');
-            minRow.className = 'lisesca-config-row';
+        foldVCardLine: function(line) {
+            var result = '';
+            var octets = 0;
+            Array.from(line).forEach(function(ch) {
+                var code = ch.codePointAt(0);
+                var size = code < 0x80 ? 1 : (code < 0x800 ? 2 : (code < 0x10000 ? 3 : 4));
+                if (octets + size > 75) {
+                    result += '\r\n ';
+                    octets = 1;  // the leading space counts toward the next line
+                }
+                result += ch;
+                octets += size;
+            });
+            return result;
+        },
 
-            var minLabel = document.createElement('label');
-            minLabel.textContent = 'Minimum page time (seconds):';
-            minLabel.htmlFor = 'lisesca-config-min';
+        /**
+         * Convert a profile into a vCard 4.0 entry.
+         * The name is split on its last space for the structured N property;
+         * LinkedIn's free-text location goes into the address locality.
+         * @param {Object} profile - A profile data object.
+         * @returns {string} The vCard, including BEGIN/END lines and trailing CRLF.
+         */
+        profileToVCard: function(profile) {
+            var self = this;
+            var fullName = (profile.fullName || '').trim();
+            var lastSpace = fullName.lastIndexOf(' ');
+            var familyName = lastSpace > 0 ? fullName.substring(lastSpace + 1) : fullName;
+            var givenName = lastSpace > 0 ? fullName.substring(0, lastSpace) : '';
 
-            var minInput = document.createElement('input');
-            minInput.type = 'number';
-            minInput.id = 'lisesca-config-min';
-            minInput.min = '5';
-            minInput.max = '30';
-            minInput.value = CONFIG.MIN_PAGE_TIME.toString();
+            var lines = ['BEGIN:VCARD', 'VERSION:4.0'];
+            lines.push('FN:' + this.escapeVCardText(fullName || '(unnamed)'));
+            lines.push('N:' + this.escapeVCardText(familyName) + ';' + this.escapeVCardText(givenName) + ';;;');
 
-            minRow.appendChild(minLabel);
-            minRow.appendChild(minInput);
+            var headline = profile.headline || profile.description || '';
+            var title = profile.currentTitle || headline;
+            if (title) {
+                lines.push('TITLE:' + this.escapeVCardText(title));
+            }
+            if (profile.currentCompany) {
+                lines.push('ORG:' + this.escapeVCardText(profile.currentCompany));
+            }
+            if (profile.location) {
+                lines.push('ADR:;;;' + this.escapeVCardText(profile.location) + ';;;');
+            }
+            if (profile.profileUrl) {
+                lines.push('URL:' + profile.profileUrl);
+            }
 
-            var maxRow = document.createElement('div');
-            maxRow.className = 'lisesca-config-row';
+            var notes = [];
+            if (headline) {
+                notes.push(headline);
+            }
+            if (profile.connectionDegree) {
+                notes.push('LinkedIn connection: ' + this.toOrdinal(profile.connectionDegree));
+            }
+            if (profile.aiScore !== undefined) {
+                notes.push('AI score: ' + profile.aiScore + '/5 (' + (profile.aiLabel || '') + ')');
+                if (profile.aiReason) {
+                    notes.push('AI reason: ' + profile.aiReason);
+                }
+            }
+            if (notes.length > 0) {
+                lines.push('NOTE:' + this.escapeVCardText(notes.join('\n')));
+            }
+            lines.push('END:VCARD');
 
-            var maxLabel = document.createElement('label');
-            maxLabel.textContent = 'Maximum page time (seconds):';
-            maxLabel.htmlFor = 'lisesca-config-max';
+            return lines.map(function(line) {
+                return self.foldVCardLine(line);
+            }).join('\r\n') + '\r\n';
+        },
 
-            var maxInput = document.createElement('input');
-            maxInput.type = 'number';
-            maxInput.id = 'lisesca-config-max';
-            maxInput.min = '15';
-            maxInput.max = '120';
-            maxInput.value = CONFIG.MAX_PAGE_TIME.toString();
+        /**
+         * Generate a vCard file containing one entry per profile.
+         * @param {Array} profiles - Array of profile data objects.
+         * @returns {string} The complete .vcf content.
+         */
+        generateVCard: function(profiles) {
+            var self = this;
+            return profiles.map(function(profile) {
+                return self.profileToVCard(profile);
+            }).join('');
+        },
 
-            maxRow.appendChild(maxLabel);
-            maxRow.appendChild(maxInput);
+        /**
+         * Generate a self-contained HTML report of profiles.
+         * Profiles with an AI reason expand to show it.
+         * @param {Array} profiles - Array of profile data objects.
+         * @returns {string} The complete HTML document.
+         */
+        generateHTML: function(profiles) {
+            var rows = profiles.map(function(profile) {
+                var aiCell = '';
+                if (profile.aiScore !== undefined) {
+                    aiCell = {
+                        text: profile.aiScore + '/5 ' + (profile.aiLabel || ''),
+                        tone: profile.aiScore >= 4 ? 'good' : (profile.aiScore === 3 ? 'neutral' : 'bad'),
+                        sort: profile.aiScore
+                    };
+                }
+                return {
+                    cells: [
+                        { text: profile.fullName || '(unnamed)', href: profile.profileUrl },
+                        profile.headline || profile.description || '',
+                        profile.location || '',
+                        { text: profile.connectionDegree ? Output.toOrdinal(profile.connectionDegree) : '', sort: profile.connectionDegree || '' },
+                        aiCell
+                    ],
+                    details: Output.formatVisitedSections(profile).concat(
+                        profile.aiReason ? ['', '**AI Reason:** ' + profile.aiReason] : []
+                    ).join('\n').trim()
+                };
+            });
 
-            // --- Job timing section ---
-            var jobSectionLabel = document.createElement('div');
-            jobSectionLabel.className = 'lisesca-config-section';
-            jobSectionLabel.textContent = 'Job scraping timing';
+            return HtmlReport.generate({
+                title: 'LinkedIn People',
+                metadata: Export.buildReportMetadata('people', profiles.length),
+                columns: ['Name', 'Headline', 'Location', 'Degree', 'AI Score'],
+                rows: rows
+            });
+        },
 
-            var jobReviewMinRow = document.createElement('div');
-            jobReviewMinRow.className = 'lisesca-config-row';
+        /**
+         * Build a formatted profiles worksheet, honoring the active export profile.
+         * @param {Array} profiles - Array of profile data objects.
+         * @param {Array<Object>} [columns] - { key, header } columns (default: export columns).
+         * @returns {Object} The SheetJS worksheet.
+         */
+        buildSheet: function(profiles, columns) {
+            var self = this;
+            columns = columns || this.getExportColumns();
+            var headers = columns.map(function(column) {
+                return column.header;
+            });
+            var rows = profiles.map(function(profile) {
+                return self.profileToRow(profile, columns);
+            });
+            return XlsxWorkbook.buildTableSheet(headers, rows, Export.findColumnIndexes(columns, ['profileUrl']));
+        },
 
-            var jobReviewMinLabel = document.createElement('label');
-            jobReviewMinLabel.textContent = 'Min job review time (seconds):';
-            jobReviewMinLabel.htmlFor = 'lisesca-config-job-review-min';
+        /**
+         * Generate an XLSX workbook of profiles.
+         * Optionally adds Rejected, Summary and Run Metadata sheets so the file
+         * describes the run it came from.
+         * @param {Array} profiles - Array of profile data objects.
+         * @returns {Promise<Uint8Array>} The binary XLSX file content.
+         */
+        generateXLSX: function(profiles) {
+            var workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, this.buildSheet(profiles), this.SHEET_NAME);
 
-            var jobReviewMinInput = document.createElement('input');
-            jobReviewMinInput.type = 'number';
-            jobReviewMinInput.id = 'lisesca-config-job-review-min';
-            jobReviewMinInput.min = '1';
-            jobReviewMinInput.max = '30';
-            jobReviewMinInput.value = CONFIG.MIN_JOB_REVIEW_TIME.toString();
+            if (CONFIG.XLSX_EXTRA_SHEETS) {
+                var rejected = State.getRejected();
+                if (rejected.length > 0) {
+                    XLSX.utils.book_append_sheet(workbook, this.buildSheet(rejected), 'Rejected');
+                }
+                Export.appendRunSheets(workbook, 'people', profiles.length);
+            }
 
-            jobReviewMinRow.appendChild(jobReviewMinLabel);
-            jobReviewMinRow.appendChild(jobReviewMinInput);
+            return XlsxWorkbook.write(workbook);
+        },
 
-            var jobReviewMaxRow = document.createElement('div');
-            jobReviewMaxRow.className = 'lisesca-config-row';
+        /**
+         * Generate an XLSX audit file from AI-rejected profiles.
+         * @param {Array} profiles - Array of rejected profile data objects.
+         * @returns {Promise<Uint8Array>} The binary XLSX file content.
+         */
+        generateRejectedXLSX: function(profiles) {
+            var workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, this.buildSheet(profiles), 'Rejected Profiles');
+            return XlsxWorkbook.write(workbook);
+        },
 
-            var jobReviewMaxLabel = document.createElement('label');
-            jobReviewMaxLabel.textContent = 'Max job review time (seconds):';
-            jobReviewMaxLabel.htmlFor = 'lisesca-config-job-review-max';
+        /**
+         * Merge profiles into a previous export and download the merged file,
+         * in the format of that export (XLSX, JSON or JSON Lines).
+         * @param {Array} profiles - Array of profile data objects.
+         * @param {File} file - The previous export chosen by the user.
+         * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+         */
+        downloadMerged: function(profiles, file) {
+            return Export.downloadMerged(this, profiles, file);
+        },
 
-            var jobReviewMaxInput = document.createElement('input');
-            jobReviewMaxInput.type = 'number';
-            jobReviewMaxInput.id = 'lisesca-config-job-review-max';
-            jobReviewMaxInput.min = '2';
-            jobReviewMaxInput.max = '60';
-            jobReviewMaxInput.value = CONFIG.MAX_JOB_REVIEW_TIME.toString();
+        /**
+         * Generate a people export filename.
+         * With the default pattern: YYYY-MM-DD_HH_MM_PEOPLE[_TAG]_LinkedIn.[extension]
+         * @param {string} extension - File extension (default: 'md').
+         * @param {string} [tag] - Optional tag for auxiliary files (e.g. 'REJECTED').
+         * @param {number} [count] - Records in the file (default: the buffer size).
+         * @returns {string} The generated filename.
+         */
+        buildFilename: function(extension, tag, count) {
+            return Export.formatFilename('PEOPLE', extension, tag, count);
+        },
 
-            jobReviewMaxRow.appendChild(jobReviewMaxLabel);
-            jobReviewMaxRow.appendChild(jobReviewMaxInput);
+        /**
+         * Generate output files in the selected formats and trigger downloads.
+         * @param {Array} profiles - Array of profile data objects.
+         */
+        downloadResults: function(profiles) {
+            Export.downloadResults(this, profiles);
+        },
 
-            var jobPauseMinRow = document.createElement('div');
-            jobPauseMinRow.className = 'lisesca-config-row';
+        /**
+         * Generate the audit file for profiles rejected by AI and trigger downloads.
+         * @param {Array} profiles - Array of rejected profile data objects.
+         */
+        downloadRejected: function(profiles) {
+            Export.downloadRejected(this, profiles);
+        }
+    };
 
-            var jobPauseMinLabel = document.createElement('label');
-            jobPauseMinLabel.textContent = 'Min pause between jobs (seconds):';
-            jobPauseMinLabel.htmlFor = 'lisesca-config-job-pause-min';
+    // ===== OUTPUT GENERATION (JOBS) =====
+    // Formats scraped job data into XLSX, CSV, Markdown, Markdown bundle (ZIP),
+    // HTML report, JSON and JSON Lines.
+    // Job data contains long multi-line text fields (descriptions, company info),
+    // so CSV lets the user include them, truncate them, or move them to a
+    // sidecar JSON file keyed by job ID.
 
-            var jobPauseMinInput = document.createElement('input');
-            jobPauseMinInput.type = 'number';
-            jobPauseMinInput.id = 'lisesca-config-job-pause-min';
-            jobPauseMinInput.min = '0';
-            jobPauseMinInput.max = '15';
-            jobPauseMinInput.value = CONFIG.MIN_JOB_PAUSE.toString();
+    const JobOutput = {
 
-            jobPauseMinRow.appendChild(jobPauseMinLabel);
-            jobPauseMinRow.appendChild(jobPauseMinInput);
+        /** Export mode name (see Export) */
+        MODE: 'jobs',
 
-            var jobPauseMaxRow = document.createElement('div');
-            jobPauseMaxRow.className = 'lisesca-config-row';
+        /** Name of the results sheet in XLSX exports */
+        SHEET_NAME: 'LinkedIn Jobs',
 
-            var jobPauseMaxLabel = document.createElement('label');
-            jobPauseMaxLabel.textContent = 'Max pause between jobs (seconds):';
-            jobPauseMaxLabel.htmlFor = 'lisesca-config-job-pause-max';
+        /**
+         * Default columns for XLSX and CSV export (job property → header).
+         * Export profiles can hide, reorder and rename them by key.
+         */
+        COLUMNS: [
+            { key: 'jobTitle', header: 'Job Title' },
+            { key: 'company', header: 'Company' },
+            { key: 'location', header: 'Location' },
+            { key: 'city', header: 'City' },
+            { key: 'region', header: 'Region' },
+            { key: 'country', header: 'Country' },
+            { key: 'metroArea', header: 'Metro Area' },
+            { key: 'isRemote', header: 'Remote' },
+            { key: 'postedDate', header: 'Posted' },
+            { key: 'postedAt', header: 'Posted At' },
+            { key: 'reposted', header: 'Reposted' },
+            { key: 'applicants', header: 'Applicants' },
+            { key: 'applicantsMin', header: 'Applicants (min)' },
+            { key: 'jobState', header: 'Job State' },
+            { key: 'trackerStatus', header: 'Tracker Status' },
+            { key: 'statusText', header: 'Status Detail' },
+            { key: 'appliedAt', header: 'Applied At' },
+            { key: 'workplaceType', header: 'Workplace Type' },
+            { key: 'employmentType', header: 'Employment Type' },
+            { key: 'salaryRaw', header: 'Salary' },
+            { key: 'salaryMin', header: 'Salary Min' },
+            { key: 'salaryMax', header: 'Salary Max' },
+            { key: 'salaryCurrency', header: 'Salary Currency' },
+            { key: 'salaryPeriod', header: 'Salary Period' },
+            { key: 'seniority', header: 'Seniority' },
+            { key: 'yearsExperienceRequired', header: 'Years Experience' },
+            { key: 'skills', header: 'Skills' },
+            { key: 'skillsMatchRatio', header: 'Skills Match' },
+            { key: 'matchedSkills', header: 'Matched Skills' },
+            { key: 'missingSkills', header: 'Missing Skills' },
+            { key: 'applyLink', header: 'Apply Link' },
+            { key: 'jobLink', header: 'Job Link' },
+            { key: 'networkConnections', header: 'Network Connections' },
+            { key: 'hiringTeamNames', header: 'Hiring Team' },
+            { key: 'hiringTeamHeadlines', header: 'Hiring Team Headlines' },
+            { key: 'hiringTeamProfileUrls', header: 'Hiring Team Profiles' },
+            { key: 'hiringTeamDegrees', header: 'Hiring Team Degrees' },
+            { key: 'industry', header: 'Industry' },
+            { key: 'employeeCount', header: 'Employee Count' },
+            { key: 'employeeCountMin', header: 'Employees (min)' },
+            { key: 'employeeCountMax', header: 'Employees (max)' },
+            { key: 'jobDescription', header: 'About the Job' },
+            { key: 'premiumInsights', header: 'Premium Insights' },
+            { key: 'aboutCompany', header: 'About the Company' },
+            { key: 'aiTriageDecision', header: 'AI Triage' },
+            { key: 'aiTriageReason', header: 'AI Triage Reason' },
+            { key: 'aiFullVerdict', header: 'AI Verdict' },
+            { key: 'aiFullReason', header: 'AI Verdict Reason' },
+            { key: 'aiModel', header: 'AI Model' },
+            { key: 'aiEvaluatedAt', header: 'AI Evaluated At' },
+            { key: 'jobId', header: 'Job ID' }
+        ],
 
-            var jobPauseMaxInput = document.createElement('input');
-            jobPauseMaxInput.type = 'number';
-            jobPauseMaxInput.id = 'lisesca-config-job-pause-max';
-            jobPauseMaxInput.min = '1';
-            jobPauseMaxInput.max = '30';
-            jobPauseMaxInput.value = CONFIG.MAX_JOB_PAUSE.toString();
+        /** Column headers for the rejected-jobs audit XLSX */
+        REJECTED_COLUMN_HEADERS: [
+            'Job Title', 'Company', 'Location', 'Job Link', 'Card Insight',
+            'AI Triage', 'AI Triage Reason', 'AI Verdict', 'AI Verdict Reason',
+            'AI Model', 'AI Evaluated At'
+        ],
 
-            jobPauseMaxRow.appendChild(jobPauseMaxLabel);
-            jobPauseMaxRow.appendChild(jobPauseMaxInput);
+        /** Long free-text job properties handled specially in CSV */
+        LONG_TEXT_FIELDS: ['jobDescription', 'premiumInsights', 'aboutCompany'],
 
-            // --- AI Filtering section ---
-            var aiSectionLabel = document.createElement('div');
-            aiSectionLabel.className = 'lisesca-config-section';
-            aiSectionLabel.textContent = 'AI Job Filtering';
+        /** Maximum characters kept per long field when CSV truncation is selected */
+        CSV_TRUNCATE_LENGTH: 500,
 
-            var aiConfigBtnRow = document.createElement('div');
-            aiConfigBtnRow.className = 'lisesca-config-row';
+        /**
+         * Get the columns to export, honoring the active export profile.
+         * @returns {Array<Object>} { key, header } columns, in export order.
+         */
+        getExportColumns: function() {
+            return ExportProfiles.getActiveColumns('jobs', this.COLUMNS);
+        },
 
-            var aiConfigBtn = document.createElement('button');
-            aiConfigBtn.className = 'lisesca-ai-config-btn';
-            aiConfigBtn.textContent = 'AI Filtering...';
-            aiConfigBtn.addEventListener('click', function() {
-                UI.hideConfig();
-                UI.showAIConfig();
+        /**
+         * Convert a job object into a row array for XLSX and CSV.
+         * Numbers and booleans are kept as such so spreadsheets can sort them;
+         * lists such as skills become comma-separated text.
+         * @param {Object} job - A job data object.
+         * @param {Array<Object>} columns - { key, header } columns to include.
+         * @returns {Array<string|number|boolean>} Array of cell values.
+         */
+        jobToRow: function(job, columns) {
+            return columns.map(function(column) {
+                var value = job[column.key];
+                if (Array.isArray(value)) {
+                    return value.join(', ');
+                }
+                return (value === undefined || value === null) ? '' : value;
             });
+        },
 
-            aiConfigBtnRow.appendChild(aiConfigBtn);
+        /**
+         * Convert a rejected job record into a row array for the audit XLSX.
+         * @param {Object} job - A rejected job record (card basics + AI decision).
+         * @returns {Array<string>} Array of cell values.
+         */
+        rejectedJobToRow: function(job) {
+            return [
+                job.jobTitle || '',
+                job.company || '',
+                job.location || '',
+                job.jobLink || '',
+                job.cardInsight || '',
+                job.aiTriageDecision || '',
+                job.aiTriageReason || '',
+                job.aiFullVerdict || '',
+                job.aiFullReason || '',
+                job.aiModel || '',
+                job.aiEvaluatedAt || ''
+            ];
+        },
 
-            var errorDiv = document.createElement('div');
-            errorDiv.className = 'lisesca-config-error';
-            errorDiv.id = 'lisesca-config-error';
+        /**
+         * Format a single job into Markdown.
+         * @param {Object} job - A job data object.
+         * @returns {string} The formatted Markdown block for this job.
+         */
+        formatJobMarkdown: function(job) {
+            var lines = [];
 
-            var buttonsRow = document.createElement('div');
-            buttonsRow.className = 'lisesca-config-buttons';
+            lines.push('# ' + (job.jobTitle || '(untitled)'));
+            lines.push('');
+            lines.push('**Company:** ' + (job.company || '(unknown)'));
+            lines.push('**Location:** ' + (job.location || '(unknown)'));
 
-            var saveBtn = document.createElement('button');
-            saveBtn.className = 'lisesca-config-save';
-            saveBtn.textContent = 'Save';
-            saveBtn.addEventListener('click', function() {
-                UI.saveConfig();
-            });
+            // Posted + Applicants on the same line
+            var postedLine = '';
+            if (job.postedDate) {
+                postedLine += '**Posted:** ' + job.postedDate;
+            }
+            if (job.applicants) {
+                if (postedLine) {
+                    postedLine += ' | ';
+                }
+                postedLine += '**Applicants:** ' + job.applicants;
+            }
+            if (postedLine) {
+                lines.push(postedLine);
+            }
 
-            var cancelBtn = document.createElement('button');
-            cancelBtn.className = 'lisesca-config-cancel';
-            cancelBtn.textContent = 'Cancel';
-            cancelBtn.addEventListener('click', function() {
-                UI.hideConfig();
-            });
+            if (job.jobState) {
+                lines.push('**Job State:** ' + job.jobState);
+            }
 
-            buttonsRow.appendChild(saveBtn);
-            buttonsRow.appendChild(cancelBtn);
+            if (job.trackerStatus) {
+                lines.push('**Tracker Status:** ' + job.trackerStatus
+                    + (job.statusText ? ' (' + job.statusText + ')' : ''));
+            }
 
-            // --- Page timing section label ---
-            var pageSectionLabel = document.createElement('div');
-            pageSectionLabel.className = 'lisesca-config-section';
-            pageSectionLabel.textContent = 'Page scanning timing';
-
-            panel.appendChild(title);
-            panel.appendChild(version);
-            panel.appendChild(pageSectionLabel);
-            panel.appendChild(minRow);
-            panel.appendChild(maxRow);
-            panel.appendChild(jobSectionLabel);
-            panel.appendChild(jobReviewMinRow);
-            panel.appendChild(jobReviewMaxRow);
-            panel.appendChild(jobPauseMinRow);
-            panel.appendChild(jobPauseMaxRow);
-            panel.appendChild(aiSectionLabel);
-            panel.appendChild(aiConfigBtnRow);
-            panel.appendChild(errorDiv);
-            panel.appendChild(buttonsRow);
+            // Type line (workplace + employment)
+            var typeParts = [];
+            if (job.employmentType) {
+                typeParts.push(job.employmentType);
+            }
+            if (job.workplaceType) {
+                typeParts.push(job.workplaceType);
+            }
+            if (typeParts.length > 0) {
+                lines.push('**Type:** ' + typeParts.join(', '));
+            }
 
-            this.configOverlay.appendChild(panel);
+            if (job.salaryRaw) {
+                lines.push('**Salary:** ' + job.salaryRaw);
+            }
 
-            this.configOverlay.addEventListener('click', function(event) {
-                if (event.target === UI.configOverlay) {
-                    UI.hideConfig();
+            // Seniority + required experience on the same line
+            var levelLine = '';
+            if (job.seniority) {
+                levelLine += '**Seniority:** ' + job.seniority;
+            }
+            if (job.yearsExperienceRequired !== undefined && job.yearsExperienceRequired !== null) {
+                if (levelLine) {
+                    levelLine += ' | ';
                 }
-            });
-
-            document.body.appendChild(this.configOverlay);
-        },
-
-        /**
-         * Show the configuration panel.
-         */
-        showConfig: function() {
-            document.getElementById('lisesca-config-min').value = CONFIG.MIN_PAGE_TIME.toString();
-            document.getElementById('lisesca-config-max').value = CONFIG.MAX_PAGE_TIME.toString();
-            document.getElementById('lisesca-config-job-review-min').value = CONFIG.MIN_JOB_REVIEW_TIME.toString();
-            document.getElementById('lisesca-config-job-review-max').value = CONFIG.MAX_JOB_REVIEW_TIME.toString();
-            document.getElementById('lisesca-config-job-pause-min').value = CONFIG.MIN_JOB_PAUSE.toString();
-            document.getElementById('lisesca-config-job-pause-max').value = CONFIG.MAX_JOB_PAUSE.toString();
-            document.getElementById('lisesca-config-error').textContent = '';
-            this.configOverlay.classList.add('lisesca-visible');
-        },
-
-        /**
-         * Hide the configuration panel.
-         */
-        hideConfig: function() {
-            this.configOverlay.classList.remove('lisesca-visible');
-        },
-
-        /**
-         * Validate and save configuration.
-         */
-        saveConfig: function() {
-            var errorDiv = document.getElementById('lisesca-config-error');
+                levelLine += '**Experience:** ' + job.yearsExperienceRequired + '+ years';
+            }
+            if (levelLine) {
+                lines.push(levelLine);
+            }
+            if (job.skills && job.skills.length > 0) {
+                lines.push('**Skills:** ' + [].concat(job.skills).join(', '));
+            }
 
-            // --- Read all inputs ---
-            var minVal = parseInt(document.getElementById('lisesca-config-min').value, 10);
-            var maxVal = parseInt(document.getElementById('lisesca-config-max').value, 10);
-            var jobReviewMin = parseInt(document.getElementById('lisesca-config-job-review-min').value, 10);
-            var jobReviewMax = parseInt(document.getElementById('lisesca-config-job-review-max').value, 10);
-            var jobPauseMin = parseInt(document.getElementById('lisesca-config-job-pause-min').value, 10);
-            var jobPauseMax = parseInt(document.getElementById('lisesca-config-job-pause-max').value, 10);
+            // Apply and Job links
+            if (job.applyLink) {
+                lines.push('**Apply:** ' + job.applyLink);
+            }
+            lines.push('**Job Link:** ' + (job.jobLink || ''));
 
-            // --- Validate all values ---
-            if (isNaN(minVal) || isNaN(maxVal) || isNaN(jobReviewMin)
-                || isNaN(jobReviewMax) || isNaN(jobPauseMin) || isNaN(jobPauseMax)) {
-                errorDiv.textContent = 'Please enter valid numbers in all fields.';
-                return;
+            if (job.networkConnections) {
+                lines.push('**Network:** ' + job.networkConnections);
             }
 
-            // Page timing validation
-            if (minVal < 5 || minVal > 30) {
-                errorDiv.textContent = 'Min page time must be between 5 and 30 seconds.';
-                return;
+            // Industry + Employee count
+            var industryLine = '';
+            if (job.industry) {
+                industryLine += '**Industry:** ' + job.industry;
             }
-            if (maxVal < 15 || maxVal > 120) {
-                errorDiv.textContent = 'Max page time must be between 15 and 120 seconds.';
-                return;
+            if (job.employeeCount) {
+                if (industryLine) {
+                    industryLine += ' | ';
+                }
+                industryLine += '**Employees:** ' + job.employeeCount;
             }
-            if (maxVal <= minVal) {
-                errorDiv.textContent = 'Max page time must be greater than minimum.';
-                return;
+            if (industryLine) {
+                lines.push(industryLine);
             }
 
-            // Job review timing validation
-            if (jobReviewMin < 1 || jobReviewMin > 30) {
-                errorDiv.textContent = 'Min job review time must be between 1 and 30 seconds.';
-                return;
+            // Job description
+            if (job.jobDescription) {
+                lines.push('');
+                lines.push('## About the Job');
+                lines.push('');
+                lines.push(job.jobDescription);
             }
-            if (jobReviewMax < 2 || jobReviewMax > 60) {
-                errorDiv.textContent = 'Max job review time must be between 2 and 60 seconds.';
-                return;
+
+            // LinkedIn's comparison of the job's skills with the member's profile
+            var hasSkillsMatch = job.skillsMatchRatio !== undefined && job.skillsMatchRatio !== null;
+            if (hasSkillsMatch || (job.matchedSkills && job.matchedSkills.length > 0)
+                || (job.missingSkills && job.missingSkills.length > 0)) {
+                lines.push('');
+                lines.push('## How You Match');
+                lines.push('');
+                if (hasSkillsMatch) {
+                    lines.push('**Skills Match:** ' + Math.round(job.skillsMatchRatio * 100) + '%');
+                }
+                if (job.matchedSkills && job.matchedSkills.length > 0) {
+                    lines.push('**Skills on your profile:** ' + [].concat(job.matchedSkills).join(', '));
+                }
+                if (job.missingSkills && job.missingSkills.length > 0) {
+                    lines.push('**Skills missing from your profile:** ' + [].concat(job.missingSkills).join(', '));
+                }
             }
-            if (jobReviewMax <= jobReviewMin) {
-                errorDiv.textContent = 'Max job review time must be greater than minimum.';
-                return;
+
+            // Hiring team, one member per line
+            if (job.hiringTeam && job.hiringTeam.length > 0) {
+                lines.push('');
+                lines.push('## Hiring Team');
+                lines.push('');
+                job.hiringTeam.forEach(function(member) {
+                    lines.push('- ' + JobOutput.formatHiringTeamMember(member));
+                });
             }
 
-            // Job pause validation
-            if (jobPauseMin < 0 || jobPauseMin > 15) {
-                errorDiv.textContent = 'Min job pause must be between 0 and 15 seconds.';
-                return;
+            // About the company
+            if (job.aboutCompany) {
+                lines.push('');
+                lines.push('## About the Company');
+                lines.push('');
+                lines.push(job.aboutCompany);
             }
-            if (jobPauseMax < 1 || jobPauseMax > 30) {
-                errorDiv.textContent = 'Max job pause must be between 1 and 30 seconds.';
-                return;
+
+            // Premium insights
+            if (job.premiumInsights) {
+                lines.push('');
+                lines.push('## Job Seeker Insights (Premium)');
+                lines.push('');
+                lines.push(job.premiumInsights);
             }
-            if (jobPauseMax <= jobPauseMin) {
-                errorDiv.textContent = 'Max job pause must be greater than minimum.';
-                return;
+
+            // AI decision path (only present when AI filtering was active)
+            if (job.aiTriageDecision || job.aiFullVerdict) {
+                lines.push('');
+                lines.push('## AI Evaluation');
+                lines.push('');
+                if (job.aiTriageDecision) {
+                    lines.push('**AI Triage:** ' + job.aiTriageDecision
+                        + (job.aiTriageReason ? ' — ' + job.aiTriageReason : ''));
+                }
+                if (job.aiFullVerdict) {
+                    lines.push('**AI Verdict:** ' + job.aiFullVerdict
+                        + (job.aiFullReason ? ' — ' + job.aiFullReason : ''));
+                }
+                lines.push('**AI Model:** ' + (job.aiModel || '(unknown)')
+                    + ' | **Evaluated:** ' + (job.aiEvaluatedAt || '(unknown)'));
             }
 
-            // --- Apply all values ---
-            CONFIG.MIN_PAGE_TIME = minVal;
-            CONFIG.MAX_PAGE_TIME = maxVal;
-            CONFIG.MIN_JOB_REVIEW_TIME = jobReviewMin;
-            CONFIG.MAX_JOB_REVIEW_TIME = jobReviewMax;
-            CONFIG.MIN_JOB_PAUSE = jobPauseMin;
-            CONFIG.MAX_JOB_PAUSE = jobPauseMax;
-            CONFIG.save();
+            return lines.join('\n');
+        },
 
-            console.log('[LiSeSca] Config updated:', {
-                pageTime: minVal + '-' + maxVal + 's',
-                jobReview: jobReviewMin + '-' + jobReviewMax + 's',
-                jobPause: jobPauseMin + '-' + jobPauseMax + 's'
-            });
-            this.hideConfig();
+        /**
+         * Format a hiring team member as one Markdown line.
+         * @param {Object} member - { name, headline, profileUrl, connectionDegree }.
+         * @returns {string} E.g. "[Jane Doe](https://...) — Technical Recruiter (2nd)".
+         */
+        formatHiringTeamMember: function(member) {
+            var suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+            var text = member.profileUrl ? '[' + member.name + '](' + member.profileUrl + ')' : member.name;
+            if (member.headline) {
+                text += ' — ' + member.headline;
+            }
+            if (member.connectionDegree) {
+                text += ' (' + member.connectionDegree + (suffixes[member.connectionDegree] || 'th') + ')';
+            }
+            return text;
         },
 
-        // --- AI Configuration panel methods ---
+        /** Starting point offered in the template editor */
+        EXAMPLE_MARKDOWN_TEMPLATE: [
+            '# {{jobTitle}}',
+            '',
+            '**Company:** {{company}}',
+            '**Location:** {{location}}',
+            '{{#if postedDate}}',
+            '**Posted:** {{postedDate}}',
+            '{{/if}}',
+            '{{#if workplaceType}}',
+            '**Workplace:** {{workplaceType}}',
+            '{{/if}}',
+            '{{#if salaryRaw}}',
+            '**Salary:** {{salaryRaw}}',
+            '{{/if}}',
+            '{{#if skills}}',
+            '**Skills:** {{skills}}',
+            '{{/if}}',
+            '**Job Link:** {{jobLink}}',
+            '{{#if aiFullVerdict}}',
+            '**AI Verdict:** {{aiFullVerdict}} ({{aiFullReason}})',
+            '{{/if}}',
+            '',
+            '## About the Job',
+            '',
+            '{{jobDescription}}',
+            '{{#if hiringTeam}}',
+            '',
+            '## Hiring Team',
+            '',
+            '{{#each hiringTeam}}',
+            '- {{name}}{{#if headline}} — {{headline}}{{/if}}{{#if profileUrl}} ({{profileUrl}}){{/if}}',
+            '{{/each}}',
+            '{{/if}}'
+        ].join('\n'),
 
         /**
-         * Create the AI configuration panel overlay.
+         * Format a job for Markdown exports (user template or built-in layout).
+         * The AI evaluation always uses formatJobMarkdown directly.
+         * @param {Object} job - A job data object.
+         * @returns {string} The Markdown block.
          */
-        createAIConfigPanel: function() {
-            this.aiConfigOverlay = document.createElement('div');
-            this.aiConfigOverlay.className = 'lisesca-ai-config-overlay';
-
-            var panel = document.createElement('div');
-            panel.className = 'lisesca-ai-config-panel';
+        formatJobForExport: function(job) {
+            return Export.renderMarkdownRecord('jobs', job, function(record) {
+                return JobOutput.formatJobMarkdown(record);
+            });
+        },
 
-            var title = document.createElement('div');
-            title.className = 'lisesca-ai-config-title';
-            title.textContent = 'AI Filtering Configuration';
+        /**
+         * Generate a complete Markdown document from an array of jobs.
+         * @param {Array} jobs - Array of job data objects.
+         * @returns {string} The complete Markdown content.
+         */
+        generateMarkdown: function(jobs) {
+            var blocks = jobs.map(function(job) {
+                return JobOutput.formatJobForExport(job);
+            });
+            return blocks.join('\n\n---\n\n') + '\n';
+        },
 
-            // API Key row
-            var apiKeyRow = document.createElement('div');
-            apiKeyRow.className = 'lisesca-ai-config-row';
+        /**
+         * Generate a ZIP bundle with one Markdown note per job.
+         * Each note carries YAML front matter with the key facts, followed by
+         * the same body as the single-document Markdown export.
+         * @param {Array} jobs - Array of job data objects.
+         * @returns {Promise<Uint8Array>} The binary ZIP content.
+         */
+        generateMarkdownBundle: function(jobs) {
+            var usedNames = MarkdownBundle.createUsedNames();
+            var notes = jobs.map(function(job) {
+                return {
+                    fileName: MarkdownBundle.buildFileName([job.jobTitle, job.company, job.jobId], usedNames),
+                    title: (job.jobTitle || '(untitled)') + ' — ' + (job.company || '(unknown company)'),
+                    frontMatter: {
+                        title: job.jobTitle || '',
+                        company: job.company || '',
+                        location: job.location || '',
+                        posted: job.postedDate || '',
+                        posted_at: job.postedAt || '',
+                        workplace_type: job.workplaceType || '',
+                        salary_min: job.salaryMin,
+                        salary_max: job.salaryMax,
+                        salary_currency: job.salaryCurrency || '',
+                        salary_period: job.salaryPeriod || '',
+                        seniority: job.seniority || '',
+                        skills: job.skills || [],
+                        hiring_team: (job.hiringTeam || []).map(function(member) {
+                            return member.name;
+                        }),
+                        job_id: job.jobId || '',
+                        job_link: job.jobLink || '',
+                        ai_verdict: job.aiFullVerdict || job.aiTriageDecision || ''
+                    },
+                    body: JobOutput.formatJobForExport(job)
+                };
+            });
+            return MarkdownBundle.generateZip(notes, 'LinkedIn Jobs');
+        },
 
-            var apiKeyLabel = document.createElement('label');
-            apiKeyLabel.textContent = 'Anthropic API Key:';
-            apiKeyLabel.htmlFor = 'lisesca-ai-api-key';
+        /** Badge tone per AI triage decision or verdict in the HTML report */
+        AI_DECISION_TONES: {
+            accept: 'good', keep: 'good', download: 'good',
+            maybe: 'neutral',
+            reject: 'bad', skip: 'bad'
+        },
 
-            var apiKeyInput = document.createElement('input');
-            apiKeyInput.type = 'password';
-            apiKeyInput.id = 'lisesca-ai-api-key';
-            apiKeyInput.placeholder = 'sk-ant-...';
-            apiKeyInput.value = CONFIG.ANTHROPIC_API_KEY || '';
+        /**
+         * Generate a self-contained HTML report of jobs.
+         * Each row expands to the job's full Markdown rendered as HTML.
+         * @param {Array} jobs - Array of job data objects.
+         * @param {boolean} [standalone] - True for jobs outside the scrape session (see Export).
+         * @returns {string} The complete HTML document.
+         */
+        generateHTML: function(jobs, standalone) {
+            var self = this;
+            var rows = jobs.map(function(job) {
+                var decision = job.aiFullVerdict || job.aiTriageDecision || '';
+                var hasApplicantsMin = job.applicantsMin !== null && job.applicantsMin !== undefined;
+                var hasSalary = job.salaryMin !== null && job.salaryMin !== undefined;
+                return {
+                    cells: [
+                        { text: job.jobTitle || '(untitled)', href: job.jobLink },
+                        job.company || '',
+                        job.location || '',
+                        { text: job.postedDate || '', sort: job.postedAt || '' },
+                        job.workplaceType || '',
+                        { text: job.salaryRaw || '', sort: hasSalary ? job.salaryMin : '' },
+                        { text: job.applicants || '', sort: hasApplicantsMin ? job.applicantsMin : '' },
+                        { text: decision, tone: self.AI_DECISION_TONES[decision] || 'neutral' }
+                    ],
+                    details: self.formatJobMarkdown(job)
+                };
+            });
 
-            var apiKeyHint = document.createElement('div');
-            apiKeyHint.className = 'lisesca-hint';
-            apiKeyHint.textContent = 'Get your API key from console.anthropic.com';
+            return HtmlReport.generate({
+                title: 'LinkedIn Jobs',
+                metadata: Export.buildReportMetadata('jobs', jobs.length, standalone),
+                columns: ['Job Title', 'Company', 'Location', 'Posted', 'Workplace', 'Salary', 'Applicants', 'AI'],
+                rows: rows
+            });
+        },
 
-            apiKeyRow.appendChild(apiKeyLabel);
-            apiKeyRow.appendChild(apiKeyInput);
-            apiKeyRow.appendChild(apiKeyHint);
+        /**
+         * Build a formatted jobs worksheet, honoring the active export profile.
+         * @param {Array} jobs - Array of job data objects.
+         * @param {Array<Object>} [columns] - { key, header } columns (default: export columns).
+         * @returns {Object} The SheetJS worksheet.
+         */
+        buildSheet: function(jobs, columns) {
+            var self = this;
+            columns = columns || this.getExportColumns();
+            var headers = columns.map(function(column) {
+                return column.header;
+            });
+            var rows = jobs.map(function(job) {
+                return self.jobToRow(job, columns);
+            });
+            return XlsxWorkbook.buildTableSheet(headers, rows,
+                Export.findColumnIndexes(columns, ['jobLink', 'applyLink', 'hiringTeamProfileUrls']));
+        },
 
-            // Moonshot API Key row
-            var moonshotKeyRow = document.createElement('div');
-            moonshotKeyRow.className = 'lisesca-ai-config-row';
+        /**
+         * Build a formatted worksheet of AI-rejected job records.
+         * @param {Array} jobs - Array of rejected job records.
+         * @returns {Object} The SheetJS worksheet.
+         */
+        buildRejectedSheet: function(jobs) {
+            var self = this;
+            var rows = jobs.map(function(job) {
+                return self.rejectedJobToRow(job);
+            });
+            var linkColumn = this.REJECTED_COLUMN_HEADERS.indexOf('Job Link');
+            return XlsxWorkbook.buildTableSheet(this.REJECTED_COLUMN_HEADERS, rows, [linkColumn]);
+        },
 
-            var moonshotKeyLabel = document.createElement('label');
-            moonshotKeyLabel.textContent = 'Moonshot API Key:';
-            moonshotKeyLabel.htmlFor = 'lisesca-moonshot-api-key';
+        /**
+         * Generate an XLSX workbook from job data.
+         * Optionally adds Rejected, Summary and Run Metadata sheets so the file
+         * describes the run it came from; standalone exports have no run to describe.
+         * @param {Array} jobs - Array of job data objects.
+         * @param {boolean} [standalone] - True for jobs outside the scrape session (see Export).
+         * @returns {Promise<Uint8Array>} The binary XLSX file content.
+         */
+        generateXLSX: function(jobs, standalone) {
+            var workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, this.buildSheet(jobs), this.SHEET_NAME);
 
-            var moonshotKeyInput = document.createElement('input');
-            moonshotKeyInput.type = 'password';
-            moonshotKeyInput.id = 'lisesca-moonshot-api-key';
-            moonshotKeyInput.placeholder = 'sk-...';
-            moonshotKeyInput.value = CONFIG.MOONSHOT_API_KEY || '';
+            if (CONFIG.XLSX_EXTRA_SHEETS && !standalone) {
+                var rejected = State.getRejected();
+                if (rejected.length > 0) {
+                    XLSX.utils.book_append_sheet(workbook, this.buildRejectedSheet(rejected), 'Rejected');
+                }
+                Export.appendRunSheets(workbook, 'jobs', jobs.length);
+            }
 
-            var moonshotKeyHint = document.createElement('div');
-            moonshotKeyHint.className = 'lisesca-hint';
-            moonshotKeyHint.textContent = 'Get your API key from platform.moonshot.ai';
+            return XlsxWorkbook.write(workbook);
+        },
 
-            moonshotKeyRow.appendChild(moonshotKeyLabel);
-            moonshotKeyRow.appendChild(moonshotKeyInput);
-            moonshotKeyRow.appendChild(moonshotKeyHint);
+        /**
+         * Return a copy of a job with its long text fields cut to CSV_TRUNCATE_LENGTH.
+         * @param {Object} job - A job data object.
+         * @returns {Object} A shallow copy with truncated long fields.
+         */
+        truncateLongFields: function(job) {
+            var limit = this.CSV_TRUNCATE_LENGTH;
+            var copy = Object.assign({}, job);
+            this.LONG_TEXT_FIELDS.forEach(function(field) {
+                var text = copy[field] || '';
+                if (text.length > limit) {
+                    copy[field] = text.substring(0, limit).trim() + '…';
+                }
+            });
+            return copy;
+        },
 
-            // Model selection row
-            var modelRow = document.createElement('div');
-            modelRow.className = 'lisesca-ai-config-row';
+        /**
+         * Generate a CSV string from job data.
+         * @param {Array} jobs - Array of job data objects.
+         * @param {string} [longFieldMode] - 'include' (full text), 'truncate', or 'sidecar' (columns omitted);
+         *     default: the CSV_LONG_FIELDS setting.
+         * @returns {string} The complete CSV content.
+         */
+        generateCSV: function(jobs, longFieldMode) {
+            var self = this;
+            var mode = longFieldMode || CONFIG.CSV_LONG_FIELDS || 'include';
 
-            var modelLabel = document.createElement('label');
-            modelLabel.textContent = 'Model:';
-            modelLabel.htmlFor = 'lisesca-ai-model';
+            // In sidecar mode the long columns are dropped from the CSV entirely
+            var columns = this.getExportColumns();
+            if (mode === 'sidecar') {
+                columns = columns.filter(function(column) {
+                    return self.LONG_TEXT_FIELDS.indexOf(column.key) === -1;
+                });
+            }
 
-            var modelContainer = document.createElement('div');
-            modelContainer.className = 'lisesca-model-container';
+            // Line breaks inside the long fields are normalized to LF; records are separated by CRLF
+            function toCSVLine(cells) {
+                return cells.map(function(cell) {
+                    var text = (cell === null || cell === undefined) ? '' : String(cell);
+                    return Export.escapeCSVField(text.replace(/\r\n?/g, '\n'));
+                }).join(',');
+            }
 
-            var modelSelect = document.createElement('select');
-            modelSelect.id = 'lisesca-ai-model';
-            modelSelect.className = 'lisesca-model-select';
+            var lines = [toCSVLine(columns.map(function(column) {
+                return column.header;
+            }))];
+            jobs.forEach(function(job) {
+                var source = (mode === 'truncate') ? self.truncateLongFields(job) : job;
+                lines.push(toCSVLine(self.jobToRow(source, columns)));
+            });
 
-            var refreshBtn = document.createElement('button');
-            refreshBtn.type = 'button';
-            refreshBtn.className = 'lisesca-model-refresh';
-            refreshBtn.textContent = 'Refresh';
-            refreshBtn.addEventListener('click', function() {
-                UI.refreshModels();
+            return lines.join('\r\n') + '\r\n';
+        },
+
+        /**
+         * Generate the CSV sidecar: long text fields as JSON, keyed by job ID.
+         * @param {Array} jobs - Array of job data objects.
+         * @returns {string} The JSON content.
+         */
+        generateCSVSidecar: function(jobs) {
+            var fields = this.LONG_TEXT_FIELDS;
+            var details = {};
+            jobs.forEach(function(job) {
+                var entry = { jobTitle: job.jobTitle || '' };
+                fields.forEach(function(field) {
+                    entry[field] = job[field] || '';
+                });
+                details[job.jobId] = entry;
             });
+            return JSON.stringify(details, null, 2) + '\n';
+        },
 
-            modelContainer.appendChild(modelSelect);
-            modelContainer.appendChild(refreshBtn);
+        /**
+         * Generate an XLSX audit file from AI-rejected job records.
+         * @param {Array} jobs - Array of rejected job records.
+         * @returns {Promise<Uint8Array>} The binary XLSX file content.
+         */
+        generateRejectedXLSX: function(jobs) {
+            var workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, this.buildRejectedSheet(jobs), 'Rejected Jobs');
+            return XlsxWorkbook.write(workbook);
+        },
 
-            var modelHint = document.createElement('div');
-            modelHint.className = 'lisesca-hint';
-            modelHint.textContent = 'Select AI model. Click Refresh to fetch available models.';
+        /**
+         * Merge jobs into a previous export and download the merged file,
+         * in the format of that export (XLSX, JSON or JSON Lines).
+         * @param {Array} jobs - Array of job data objects.
+         * @param {File} file - The previous export chosen by the user.
+         * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+         */
+        downloadMerged: function(jobs, file) {
+            return Export.downloadMerged(this, jobs, file);
+        },
 
-            modelRow.appendChild(modelLabel);
-            modelRow.appendChild(modelContainer);
-            modelRow.appendChild(modelHint);
+        /**
+         * Generate a job export filename.
+         * With the default pattern: YYYY-MM-DD_HH_MM_JOBS[_TAG]_LinkedIn.[extension]
+         * @param {string} extension - File extension.
+         * @param {string} [tag] - Optional tag for auxiliary files (e.g. 'REJECTED').
+         * @param {number} [count] - Records in the file (default: the buffer size).
+         * @param {boolean} [standalone] - True for jobs outside the scrape session.
+         * @returns {string} The generated filename.
+         */
+        buildFilename: function(extension, tag, count, standalone) {
+            return Export.formatFilename('JOBS', extension, tag, count, standalone);
+        },
 
-            // Job Criteria row
-            var criteriaRow = document.createElement('div');
-            criteriaRow.className = 'lisesca-ai-config-row';
+        /**
+         * Download job results in the selected formats.
+         * Jobs support XLSX, CSV (plus an optional details sidecar), Markdown,
+         * Markdown bundle, HTML report, JSON and JSONL.
+         * @param {Array} jobs - Array of job data objects.
+         * @param {string} [tag] - Optional tag for the file names (e.g. 'CLIPBOARD').
+         * @param {boolean} [standalone] - True for jobs outside the scrape session, such as the clipboard.
+         */
+        downloadResults: function(jobs, tag, standalone) {
+            Export.downloadResults(this, jobs, tag, standalone);
+        },
 
-            var criteriaLabel = document.createElement('label');
-            criteriaLabel.textContent = 'Job Search Criteria:';
-            criteriaLabel.htmlFor = 'lisesca-ai-criteria';
+        /**
+         * Download the audit file of jobs rejected by AI.
+         * @param {Array} jobs - Array of rejected job records.
+         */
+        downloadRejected: function(jobs) {
+            Export.downloadRejected(this, jobs);
+        }
+    };
 
-            var criteriaTextarea = document.createElement('textarea');
-            criteriaTextarea.id = 'lisesca-ai-criteria';
-            criteriaTextarea.rows = 10;
-            criteriaTextarea.placeholder = 'Describe the job you are looking for...\n\nExample:\nI am looking for Senior Software Engineering Manager roles.\nI have 15 years of experience in software development.\nI prefer remote or hybrid positions.\nI am NOT interested in:\n- Manufacturing or industrial positions\n- Roles requiring specific domain expertise I don\'t have';
-            criteriaTextarea.value = CONFIG.JOB_CRITERIA || '';
+    // ===== OUTPUT GENERATION (COMPANIES) =====
+    // Formats scraped company data into XLSX, CSV, Markdown, Markdown bundle
+    // (ZIP), HTML report, JSON and JSON Lines; the format-independent steps
+    // are in Export.
 
-            var criteriaHint = document.createElement('div');
-            criteriaHint.className = 'lisesca-hint';
-            criteriaHint.textContent = 'Describe your ideal job. Be specific about what you want and don\'t want.';
+    const CompanyOutput = {
 
-            criteriaRow.appendChild(criteriaLabel);
-            criteriaRow.appendChild(criteriaTextarea);
-            criteriaRow.appendChild(criteriaHint);
+        /** Export mode name (see Export) */
+        MODE: 'companies',
 
-            // People Criteria row
-            var peopleCriteriaRow = document.createElement('div');
-            peopleCriteriaRow.className = 'lisesca-ai-config-row';
+        /** Name of the results sheet in XLSX exports */
+        SHEET_NAME: 'LinkedIn Companies',
 
-            var peopleCriteriaLabel = document.createElement('label');
-            peopleCriteriaLabel.textContent = 'People Search Criteria:';
-            peopleCriteriaLabel.htmlFor = 'lisesca-ai-people-criteria';
+        /**
+         * Default columns for XLSX and CSV export (company property → header).
+         * Export profiles can hide, reorder and rename them by key.
+         */
+        COLUMNS: [
+            { key: 'companyName', header: 'Company' },
+            { key: 'industry', header: 'Industry' },
+            { key: 'location', header: 'Location' },
+            { key: 'city', header: 'City' },
+            { key: 'region', header: 'Region' },
+            { key: 'country', header: 'Country' },
+            { key: 'metroArea', header: 'Metro Area' },
+            { key: 'followers', header: 'Followers' },
+            { key: 'followerCount', header: 'Followers (count)' },
+            { key: 'companyUrl', header: 'LinkedIn URL' },
+            { key: 'website', header: 'Website' },
+            { key: 'companySize', header: 'Company Size' },
+            { key: 'employeeCountMin', header: 'Employees (min)' },
+            { key: 'employeeCountMax', header: 'Employees (max)' },
+            { key: 'headquarters', header: 'Headquarters' },
+            { key: 'foundedYear', header: 'Founded' },
+            { key: 'specialties', header: 'Specialties' }
+        ],
 
-            var peopleCriteriaTextarea = document.createElement('textarea');
-            peopleCriteriaTextarea.id = 'lisesca-ai-people-criteria';
-            peopleCriteriaTextarea.rows = 10;
-            peopleCriteriaTextarea.placeholder = 'Describe the kind of people you want to connect with...\n\nExample:\nI am looking for senior engineers and engineering managers in Berlin.\nI want people who work in B2B SaaS or AI startups.\nI am NOT interested in:\n- Sales or HR roles\n- People outside the DACH region';
-            peopleCriteriaTextarea.value = CONFIG.PEOPLE_CRITERIA || '';
+        /** Example Markdown template offered in the template editor */
+        EXAMPLE_MARKDOWN_TEMPLATE: [
+            '# {{companyName}}',
+            '',
+            '{{#if industry}}**Industry:** {{industry}}{{/if}}',
+            '{{#if location}}**Location:** {{location}}{{/if}}',
+            '{{#if followers}}**Followers:** {{followers}}{{/if}}',
+            '{{#if website}}**Website:** {{website}}{{/if}}',
+            '{{#if companySize}}**Size:** {{companySize}}{{/if}}',
+            '{{#if headquarters}}**Headquarters:** {{headquarters}}{{/if}}',
+            '{{#if foundedYear}}**Founded:** {{foundedYear}}{{/if}}',
+            '{{#if specialties}}',
+            '',
+            '## Specialties',
+            '{{#each specialties}}',
+            '- {{this}}',
+            '{{/each}}',
+            '{{/if}}',
+            '',
+            '[LinkedIn]({{companyUrl}})'
+        ].join('\n'),
 
-            var peopleCriteriaHint = document.createElement('div');
-            peopleCriteriaHint.className = 'lisesca-hint';
-            peopleCriteriaHint.textContent = 'Describe your target contacts (roles, industries, locations, etc.).';
+        /**
+         * Get the columns to export, honoring the active export profile.
+         * @returns {Array<Object>} { key, header } columns, in export order.
+         */
+        getExportColumns: function() {
+            return ExportProfiles.getActiveColumns('companies', this.COLUMNS);
+        },
 
-            peopleCriteriaRow.appendChild(peopleCriteriaLabel);
-            peopleCriteriaRow.appendChild(peopleCriteriaTextarea);
-            peopleCriteriaRow.appendChild(peopleCriteriaHint);
+        /**
+         * Convert a company object into a row array.
+         * @param {Object} company - A company data object.
+         * @param {Array<Object>} columns - { key, header } columns to include.
+         * @returns {Array<string|number>} Array of cell values.
+         */
+        companyToRow: function(company, columns) {
+            return columns.map(function(column) {
+                var value = company[column.key];
+                if (Array.isArray(value)) {
+                    return value.join(', ');
+                }
+                return (value === null || value === undefined) ? '' : value;
+            });
+        },
 
-            // Error display
-            var errorDiv = document.createElement('div');
-            errorDiv.className = 'lisesca-ai-config-error';
-            errorDiv.id = 'lisesca-ai-config-error';
+        /**
+         * Format a single company as a Markdown block (built-in layout).
+         * @param {Object} company - A company data object.
+         * @returns {string} Markdown-formatted company block.
+         */
+        formatCompanyMarkdown: function(company) {
+            var lines = [];
+            lines.push('# ' + (company.companyName || '(unnamed)'));
+            lines.push('');
 
-            // Buttons
-            var buttonsRow = document.createElement('div');
-            buttonsRow.className = 'lisesca-ai-config-buttons';
+            if (company.industry) {
+                lines.push('**Industry:** ' + company.industry);
+            }
+            if (company.location) {
+                lines.push('**Location:** ' + company.location);
+            }
+            if (company.followers) {
+                lines.push('**Followers:** ' + company.followers);
+            }
+            if (company.website) {
+                lines.push('**Website:** ' + company.website);
+            }
+            if (company.companySize) {
+                lines.push('**Size:** ' + company.companySize);
+            }
+            if (company.headquarters) {
+                lines.push('**Headquarters:** ' + company.headquarters);
+            }
+            if (company.foundedYear) {
+                lines.push('**Founded:** ' + company.foundedYear);
+            }
+            if (company.specialties && company.specialties.length > 0) {
+                lines.push('**Specialties:** ' + company.specialties.join(', '));
+            }
+            if (company.companyUrl) {
+                lines.push('**LinkedIn:** ' + company.companyUrl);
+            }
 
-            var saveBtn = document.createElement('button');
-            saveBtn.className = 'lisesca-ai-config-save';
-            saveBtn.textContent = 'Save';
-            saveBtn.addEventListener('click', function() {
-                UI.saveAIConfig();
+            return lines.join('\n');
+        },
+
+        /**
+         * Format a company for Markdown exports (user template or built-in layout).
+         * @param {Object} company - A company data object.
+         * @returns {string} The Markdown block.
+         */
+        formatCompanyForExport: function(company) {
+            return Export.renderMarkdownRecord('companies', company, function(record) {
+                return CompanyOutput.formatCompanyMarkdown(record);
             });
+        },
 
-            var cancelBtn = document.createElement('button');
-            cancelBtn.className = 'lisesca-ai-config-cancel';
-            cancelBtn.textContent = 'Cancel';
-            cancelBtn.addEventListener('click', function() {
-                UI.hideAIConfig();
+        /**
+         * Generate a complete Markdown document from an array of companies.
+         * @param {Array} companies - Array of company data objects.
+         * @returns {string} The complete Markdown content.
+         */
+        generateMarkdown: function(companies) {
+            var blocks = companies.map(function(company) {
+                return CompanyOutput.formatCompanyForExport(company);
             });
+            return blocks.join('\n\n---\n\n') + '\n';
+        },
 
-            buttonsRow.appendChild(saveBtn);
-            buttonsRow.appendChild(cancelBtn);
+        /**
+         * Generate a ZIP bundle with one Markdown note per company.
+         * Filenames combine the name with the company slug, which keeps
+         * namesakes apart.
+         * @param {Array} companies - Array of company data objects.
+         * @returns {Promise<Uint8Array>} The binary ZIP content.
+         */
+        generateMarkdownBundle: function(companies) {
+            var usedNames = MarkdownBundle.createUsedNames();
+            var notes = companies.map(function(company) {
+                var slugMatch = (company.companyUrl || '').match(/\/(?:company|school|showcase)\/([^/?#]+)/);
+                return {
+                    fileName: MarkdownBundle.buildFileName([company.companyName, slugMatch ? slugMatch[1] : ''], usedNames),
+                    title: company.companyName || '(unnamed)',
+                    frontMatter: {
+                        name: company.companyName || '',
+                        industry: company.industry || '',
+                        location: company.location || '',
+                        followers: company.followerCount,
+                        website: company.website || '',
+                        employees_min: company.employeeCountMin,
+                        employees_max: company.employeeCountMax,
+                        headquarters: company.headquarters || '',
+                        founded: company.foundedYear,
+                        specialties: company.specialties || [],
+                        company_url: company.companyUrl || ''
+                    },
+                    body: CompanyOutput.formatCompanyForExport(company)
+                };
+            });
+            return MarkdownBundle.generateZip(notes, 'LinkedIn Companies');
+        },
 
-            // Assemble panel
-            panel.appendChild(title);
-            panel.appendChild(apiKeyRow);
-            panel.appendChild(moonshotKeyRow);
-            panel.appendChild(modelRow);
-            panel.appendChild(criteriaRow);
-            panel.appendChild(peopleCriteriaRow);
-            panel.appendChild(errorDiv);
-            panel.appendChild(buttonsRow);
+        /**
+         * Generate a self-contained HTML report of companies.
+         * Each row expands to the company's full Markdown rendered as HTML.
+         * @param {Array} companies - Array of company data objects.
+         * @returns {string} The complete HTML document.
+         */
+        generateHTML: function(companies) {
+            var self = this;
+            var rows = companies.map(function(company) {
+                var hasFollowers = company.followerCount !== null && company.followerCount !== undefined;
+                var hasEmployees = company.employeeCountMin !== null && company.employeeCountMin !== undefined;
+                return {
+                    cells: [
+                        { text: company.companyName || '(unnamed)', href: company.companyUrl },
+                        company.industry || '',
+                        company.location || '',
+                        { text: company.followers || '', sort: hasFollowers ? company.followerCount : '' },
+                        { text: company.companySize || '', sort: hasEmployees ? company.employeeCountMin : '' },
+                        company.website ? { text: company.website, href: company.website } : ''
+                    ],
+                    details: self.formatCompanyMarkdown(company)
+                };
+            });
 
-            this.aiConfigOverlay.appendChild(panel);
+            return HtmlReport.generate({
+                title: 'LinkedIn Companies',
+                metadata: Export.buildReportMetadata('companies', companies.length),
+                columns: ['Company', 'Industry', 'Location', 'Followers', 'Size', 'Website'],
+                rows: rows
+            });
+        },
 
-            // Close on overlay click
-            this.aiConfigOverlay.addEventListener('click', function(event) {
-                if (event.target === UI.aiConfigOverlay) {
-                    UI.hideAIConfig();
-                }
+        /**
+         * Generate a CSV string from an array of companies.
+         * @param {Array} companies - Array of company data objects.
+         * @returns {string} The complete CSV content.
+         */
+        generateCSV: function(companies) {
+            var self = this;
+            var columns = this.getExportColumns();
+            var lines = [columns.map(function(column) {
+                return Export.escapeCSVField(column.header);
+            }).join(',')];
+
+            companies.forEach(function(company) {
+                lines.push(self.companyToRow(company, columns).map(function(cell) {
+                    return Export.escapeCSVField(cell);
+                }).join(','));
             });
 
-            document.body.appendChild(this.aiConfigOverlay);
+            return lines.join('\r\n') + '\r\n';
         },
 
         /**
-         * Show the AI configuration panel.
+         * Build a formatted companies worksheet, honoring the active export profile.
+         * @param {Array} companies - Array of company data objects.
+         * @param {Array<Object>} [columns] - { key, header } columns (default: export columns).
+         * @returns {Object} The SheetJS worksheet.
          */
-        showAIConfig: function() {
-            document.getElementById('lisesca-ai-api-key').value = CONFIG.ANTHROPIC_API_KEY || '';
-            document.getElementById('lisesca-moonshot-api-key').value = CONFIG.MOONSHOT_API_KEY || '';
-            document.getElementById('lisesca-ai-criteria').value = CONFIG.JOB_CRITERIA || '';
-            document.getElementById('lisesca-ai-people-criteria').value = CONFIG.PEOPLE_CRITERIA || '';
-            document.getElementById('lisesca-ai-config-error').textContent = '';
-            this.populateModelDropdown();
-            this.aiConfigOverlay.classList.add('lisesca-visible');
+        buildSheet: function(companies, columns) {
+            var self = this;
+            columns = columns || this.getExportColumns();
+            var headers = columns.map(function(column) {
+                return column.header;
+            });
+            var rows = companies.map(function(company) {
+                return self.companyToRow(company, columns);
+            });
+            return XlsxWorkbook.buildTableSheet(headers, rows,
+                Export.findColumnIndexes(columns, ['companyUrl', 'website']));
         },
 
         /**
-         * Hide the AI configuration panel.
+         * Generate an XLSX workbook of companies, optionally with Summary and
+         * Run Metadata sheets.
+         * @param {Array} companies - Array of company data objects.
+         * @returns {Promise<Uint8Array>} The binary XLSX file content.
          */
-        hideAIConfig: function() {
-            this.aiConfigOverlay.classList.remove('lisesca-visible');
+        generateXLSX: function(companies) {
+            var workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, this.buildSheet(companies), this.SHEET_NAME);
+
+            if (CONFIG.XLSX_EXTRA_SHEETS) {
+                Export.appendRunSheets(workbook, 'companies', companies.length);
+            }
+
+            return XlsxWorkbook.write(workbook);
         },
 
         /**
-         * Populate the model dropdown with cached models, grouped by provider.
-         * Models are shown in optgroups by provider. Only providers with valid
-         * API keys are shown.
+         * Merge companies into a previous export and download the merged file,
+         * in the format of that export (XLSX, JSON or JSON Lines).
+         * @param {Array} companies - Array of company data objects.
+         * @param {File} file - The previous export chosen by the user.
+         * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
          */
-        populateModelDropdown: function() {
-            var select = document.getElementById('lisesca-ai-model');
-            var anthropicKey = document.getElementById('lisesca-ai-api-key').value.trim();
-            var moonshotKey = document.getElementById('lisesca-moonshot-api-key').value.trim();
+        downloadMerged: function(companies, file) {
+            return Export.downloadMerged(this, companies, file);
+        },
 
-            // Clear existing options
-            select.innerHTML = '';
+        /**
+         * Generate a company export filename.
+         * With the default pattern: YYYY-MM-DD_HH_MM_COMPANIES[_TAG]_LinkedIn.[extension]
+         * @param {string} extension - File extension.
+         * @param {string} [tag] - Optional tag for auxiliary files (e.g. 'MERGED').
+         * @param {number} [count] - Records in the file (default: the buffer size).
+         * @returns {string} The generated filename.
+         */
+        buildFilename: function(extension, tag, count) {
+            return Export.formatFilename('COMPANIES', extension, tag, count);
+        },
 
-            // Check if we have any API keys
-            if (!anthropicKey && !moonshotKey) {
-                var placeholder = document.createElement('option');
-                placeholder.value = '';
-                placeholder.textContent = '(Enter API key first)';
-                placeholder.disabled = true;
-                placeholder.selected = true;
-                select.appendChild(placeholder);
-                select.disabled = true;
-                return;
-            }
-
-            select.disabled = false;
+        /**
+         * Download company results in the selected formats.
+         * @param {Array} companies - Array of company data objects.
+         */
+        downloadResults: function(companies) {
+            Export.downloadResults(this, companies);
+        }
+    };
 
-            // Add default empty option
-            var defaultOpt = document.createElement('option');
-            defaultOpt.value = '';
-            defaultOpt.textContent = '-- Select Model --';
-            select.appendChild(defaultOpt);
+    // ===== SKILL EXTRACTION =====
+    // Tags a job with the skills named in its description, its seniority and
+    // the years of experience it asks for, without any AI calls.
+    // Skills come from a plain-text dictionary the user can edit:
+    //   # Category          starts a category
+    //   Name: alias, alias  one skill per line, matched by name or alias
+    // Matching ignores case, except for aliases in double quotes ("Go", "R"),
+    // which must match exactly and may not be followed by '-', '&' or a letter.
+
+    const SkillExtractor = {
+        /** Built-in dictionary, used while CONFIG.SKILLS_DICTIONARY is empty */
+        DEFAULT_DICTIONARY: [
+            '# Languages',
+            'Python',
+            'Java',
+            'JavaScript: JS, ECMAScript',
+            'TypeScript',
+            'C: "C"',
+            'C++: cpp',
+            'C#: csharp',
+            'Go: Golang, "Go"',
+            'Rust',
+            'Ruby',
+            'PHP',
+            'Kotlin',
+            'Swift: "Swift"',
+            'Scala',
+            'R: "R"',
+            'SQL',
+            'Bash: shell scripting',
+            '',
+            '# Frameworks',
+            'React: "React", React.js, ReactJS',
+            'Angular: AngularJS',
+            'Vue.js: Vue, VueJS',
+            'Node.js: NodeJS, "Node"',
+            'Django',
+            'Flask',
+            'FastAPI',
+            'Spring: "Spring", Spring Boot',
+            '.NET: dotnet, ASP.NET',
+            'Ruby on Rails: "Rails"',
+            'TensorFlow',
+            'PyTorch',
+            'pandas',
+            '',
+            '# Tools',
+            'AWS: Amazon Web Services',
+            'Azure: Microsoft Azure',
+            'GCP: Google Cloud, Google Cloud Platform',
+            'Docker',
+            'Kubernetes: K8s',
+            'Terraform',
+            'Ansible',
+            'Git',
+            'Jenkins',
+            'GitHub Actions',
+            'PostgreSQL: Postgres',
+            'MySQL',
+            'MongoDB',
+            'Redis',
+            'Kafka: Apache Kafka',
+            'Spark: "Spark", Apache Spark',
+            'Snowflake',
+            'Tableau',
+            'Power BI',
+            'Excel: "Excel", Microsoft Excel',
+            'Jira',
+            'Figma',
+            'Salesforce',
+            'SAP',
+            'Linux',
+            '',
+            '# Certifications',
+            'AWS Certified: AWS Certification',
+            'PMP',
+            'Scrum Master: CSM, PSM',
+            'CISSP',
+            'CPA',
+            'CFA',
+            'ITIL',
+            'Six Sigma'
+        ].join('\n'),
+
+        /** Seniority levels, checked in this order against the job title */
+        SENIORITY_PATTERNS: [
+            { level: 'intern', pattern: /\b(intern|internship|trainee|apprentice|working student|werkstudent)\b/i },
+            { level: 'principal', pattern: /\b(principal|distinguished)\b/i },
+            { level: 'lead', pattern: /\b(lead|staff|head of)\b/i },
+            { level: 'senior', pattern: /\b(senior|sr)\b\.?/i },
+            { level: 'junior', pattern: /\b(junior|jr|entry[ -]level|graduate)\b\.?/i }
+        ],
 
-            // Add Anthropic models if key is present
-            if (anthropicKey && CONFIG.CACHED_MODELS.anthropic && CONFIG.CACHED_MODELS.anthropic.length > 0) {
-                var anthropicGroup = document.createElement('optgroup');
-                anthropicGroup.label = 'Anthropic';
-                CONFIG.CACHED_MODELS.anthropic.forEach(function(model) {
-                    var opt = document.createElement('option');
-                    opt.value = model.id;
-                    opt.textContent = model.name || model.id;
-                    anthropicGroup.appendChild(opt);
-                });
-                select.appendChild(anthropicGroup);
-            }
+        /** Number words accepted in "three years of experience" */
+        NUMBER_WORDS: {
+            one: 1, two: 2, three: 3, four: 4, five: 5,
+            six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+        },
 
-            // Add Moonshot models if key is present
-            if (moonshotKey && CONFIG.CACHED_MODELS.moonshot && CONFIG.CACHED_MODELS.moonshot.length > 0) {
-                var moonshotGroup = document.createElement('optgroup');
-                moonshotGroup.label = 'Moonshot';
-                CONFIG.CACHED_MODELS.moonshot.forEach(function(model) {
-                    var opt = document.createElement('option');
-                    opt.value = model.id;
-                    opt.textContent = model.name || model.id;
-                    moonshotGroup.appendChild(opt);
-                });
-                select.appendChild(moonshotGroup);
-            }
+        /** Experience requirements above this are taken to be something else */
+        MAX_YEARS: 30,
 
-            // If no cached models, show hint
-            if (select.options.length === 1) {
-                var hint = document.createElement('option');
-                hint.value = '';
-                hint.textContent = '(Click Refresh to fetch models)';
-                hint.disabled = true;
-                select.appendChild(hint);
-            }
+        /** Parsed dictionary and the text it was parsed from, see getSkills() */
+        cache: null,
 
-            // Set selected value
-            if (CONFIG.AI_MODEL) {
-                select.value = CONFIG.AI_MODEL;
-            }
+        /**
+         * Escape text for use in a regular expression.
+         * @param {string} text - The text.
+         * @returns {string} The escaped text.
+         */
+        escapeRegExp: function(text) {
+            return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
         },
 
         /**
-         * Fetch available models from all providers with valid API keys.
-         * Updates the cached models and repopulates the dropdown.
+         * Build the expression matching one dictionary alias as a whole word.
+         * Symbols such as '+', '#' and '.' count as part of a word, so "C" does
+         * not match inside "C++" and "Java" does not match "JavaScript".
+         * @param {string} alias - The alias, in double quotes for an exact-case match.
+         * @returns {RegExp} The expression.
          */
-        refreshModels: function() {
-            var self = this;
-            var anthropicKey = document.getElementById('lisesca-ai-api-key').value.trim();
-            var moonshotKey = document.getElementById('lisesca-moonshot-api-key').value.trim();
-            var refreshBtn = document.querySelector('.lisesca-model-refresh');
-            var errorDiv = document.getElementById('lisesca-ai-config-error');
-
-            if (!anthropicKey && !moonshotKey) {
-                errorDiv.textContent = 'Enter at least one API key to fetch models.';
-                return;
-            }
-
-            // Disable refresh button and show loading state
-            refreshBtn.disabled = true;
-            refreshBtn.textContent = 'Loading...';
-            errorDiv.textContent = '';
-
-            // Temporarily update CONFIG with current key values for fetching
-            var originalAnthropicKey = CONFIG.ANTHROPIC_API_KEY;
-            var originalMoonshotKey = CONFIG.MOONSHOT_API_KEY;
-            CONFIG.ANTHROPIC_API_KEY = anthropicKey;
-            CONFIG.MOONSHOT_API_KEY = moonshotKey;
-
-            AIClient.fetchAllModels().then(function(results) {
-                // Update cached models
-                if (results.anthropic) {
-                    CONFIG.CACHED_MODELS.anthropic = results.anthropic;
-                    CONFIG.CACHED_MODELS.lastFetch.anthropic = Date.now();
-                }
-                if (results.moonshot) {
-                    CONFIG.CACHED_MODELS.moonshot = results.moonshot;
-                    CONFIG.CACHED_MODELS.lastFetch.moonshot = Date.now();
-                }
-
-                // Save cache to persistent storage
-                CONFIG.saveAIConfig();
-
-                // Repopulate dropdown
-                self.populateModelDropdown();
-
-                // Show success message
-                var count = (results.anthropic ? results.anthropic.length : 0)
-                    + (results.moonshot ? results.moonshot.length : 0);
-                console.log('[LiSeSca] Fetched ' + count + ' models from providers');
-
-            }).catch(function(error) {
-                console.error('[LiSeSca] Error fetching models:', error);
-                errorDiv.textContent = 'Error fetching models: ' + error.message;
-
-                // Restore original keys on error
-                CONFIG.ANTHROPIC_API_KEY = originalAnthropicKey;
-                CONFIG.MOONSHOT_API_KEY = originalMoonshotKey;
-
-            }).finally(function() {
-                // Re-enable refresh button
-                refreshBtn.disabled = false;
-                refreshBtn.textContent = 'Refresh';
-            });
+        buildPattern: function(alias) {
+            var exact = /^".*"$/.test(alias);
+            var text = exact ? alias.slice(1, -1) : alias;
+            var after = exact ? '(?![A-Za-z0-9+#&-])' : '(?![A-Za-z0-9+#])';
+            var source = '(?<![A-Za-z0-9+#.])' + this.escapeRegExp(text).replace(/\s+/g, '\\s+') + after;
+            return new RegExp(source, exact ? '' : 'i');
         },
 
         /**
-         * Validate and save AI configuration.
+         * Parse a skills dictionary.
+         * @param {string} text - The dictionary text.
+         * @returns {Array<Object>} { name, category, patterns } per skill, in dictionary order.
+         * @throws {Error} If a skill line has no name.
          */
-        saveAIConfig: function() {
-            var errorDiv = document.getElementById('lisesca-ai-config-error');
-            var anthropicKey = document.getElementById('lisesca-ai-api-key').value.trim();
-            var moonshotKey = document.getElementById('lisesca-moonshot-api-key').value.trim();
-            var selectedModel = document.getElementById('lisesca-ai-model').value;
-            var criteria = document.getElementById('lisesca-ai-criteria').value.trim();
-            var peopleCriteria = document.getElementById('lisesca-ai-people-criteria').value.trim();
-
-            // At least one API key is required if any criteria is set
-            if (!anthropicKey && !moonshotKey && (criteria || peopleCriteria)) {
-                errorDiv.textContent = 'Please enter at least one API key to enable AI filtering.';
-                return;
-            }
-
-            // Basic API key format validation for Anthropic
-            if (anthropicKey && !anthropicKey.startsWith('sk-ant-')) {
-                errorDiv.textContent = 'Anthropic API key should start with "sk-ant-"';
-                return;
-            }
-
-            // Basic API key format validation for Moonshot
-            if (moonshotKey && !moonshotKey.startsWith('sk-')) {
-                errorDiv.textContent = 'Moonshot API key should start with "sk-"';
-                return;
-            }
+        parseDictionary: function(text) {
+            var self = this;
+            var skills = [];
+            var category = '';
 
-            // Validate that selected model's provider has a key
-            if (selectedModel) {
-                var provider = CONFIG.getProviderForModel(selectedModel);
-                if (provider === 'anthropic' && !anthropicKey) {
-                    errorDiv.textContent = 'Anthropic API key is required for the selected model.';
+            String(text || '').split(/\r?\n/).forEach(function(rawLine, index) {
+                var line = rawLine.trim();
+                if (!line) {
                     return;
                 }
-                if (provider === 'moonshot' && !moonshotKey) {
-                    errorDiv.textContent = 'Moonshot API key is required for the selected model.';
+                if (line.charAt(0) === '#') {
+                    category = line.slice(1).trim();
                     return;
                 }
-            }
 
-            // Save to CONFIG
-            CONFIG.ANTHROPIC_API_KEY = anthropicKey;
-            CONFIG.MOONSHOT_API_KEY = moonshotKey;
-            CONFIG.AI_MODEL = selectedModel;
-            CONFIG.JOB_CRITERIA = criteria;
-            CONFIG.PEOPLE_CRITERIA = peopleCriteria;
-            CONFIG.saveAIConfig();
+                var colon = line.indexOf(':');
+                var name = (colon === -1 ? line : line.slice(0, colon)).trim();
+                if (!name) {
+                    throw new Error('Line ' + (index + 1) + ': a skill needs a name before the colon.');
+                }
+                var aliases = colon === -1 ? [] : line.slice(colon + 1).split(',');
+                aliases = aliases.map(function(alias) {
+                    return alias.trim();
+                }).filter(function(alias) {
+                    return alias !== '';
+                });
+                // The name itself is an alias unless an exact-case spelling of it is listed
+                if (aliases.indexOf('"' + name + '"') === -1) {
+                    aliases.unshift(name);
+                }
 
-            // Update the AI toggle state in the menu if it exists
-            this.updateAIToggleState();
-            this.updatePeopleAIToggleState();
+                skills.push({
+                    name: name,
+                    category: category,
+                    patterns: aliases.map(function(alias) {
+                        return self.buildPattern(alias);
+                    })
+                });
+            });
 
-            console.log('[LiSeSca] AI config saved. Model: ' + selectedModel
-                + ', Job configured: ' + CONFIG.isAIConfigured()
-                + ', People configured: ' + CONFIG.isPeopleAIConfigured());
-            this.hideAIConfig();
+            return skills;
         },
 
         /**
-         * Update the AI toggle checkbox state based on configuration.
-         * Disables the checkbox if AI is not configured.
-         * Also updates the Full AI toggle visibility and state.
+         * Check a dictionary for errors.
+         * @param {string} text - The dictionary text.
+         * @returns {string|null} The error message, or null if valid.
          */
-        updateAIToggleState: function() {
-            var aiCheck = document.getElementById('lisesca-ai-enabled');
-            var aiLabel = aiCheck ? aiCheck.closest('.lisesca-checkbox-label') : null;
-            var fullAIRow = document.getElementById('lisesca-full-ai-row');
-            var fullAICheck = document.getElementById('lisesca-full-ai-enabled');
-
-            if (!aiCheck || !aiLabel) {
-                return;
+        validate: function(text) {
+            try {
+                this.parseDictionary(text);
+                return null;
+            } catch (error) {
+                return error.message;
             }
+        },
 
-            var isConfigured = CONFIG.isAIConfigured();
-            aiCheck.disabled = !isConfigured;
-
-            if (isConfigured) {
-                aiLabel.classList.remove('lisesca-disabled');
-            } else {
-                aiLabel.classList.add('lisesca-disabled');
-                aiCheck.checked = false;
-                State.saveAIEnabled(false);
+        /**
+         * Get the parsed skills of the configured dictionary (cached per text).
+         * An unusable dictionary falls back to the built-in one.
+         * @returns {Array<Object>} { name, category, patterns } per skill.
+         */
+        getSkills: function() {
+            var text = CONFIG.SKILLS_DICTIONARY || this.DEFAULT_DICTIONARY;
+            if (this.cache && this.cache.text === text) {
+                return this.cache.skills;
             }
-
-            // Update Full AI toggle state
-            if (fullAIRow && fullAICheck) {
-                if (isConfigured && aiCheck.checked) {
-                    fullAIRow.style.display = 'flex';
-                    fullAICheck.disabled = false;
-                } else {
-                    fullAIRow.style.display = 'none';
-                    fullAICheck.checked = false;
-                    fullAICheck.disabled = true;
-                    State.saveFullAIEnabled(false);
-                }
+            var skills;
+            try {
+                skills = this.parseDictionary(text);
+            } catch (error) {
+                console.warn('[LiSeSca] Invalid skills dictionary, using the built-in one:', error.message);
+                skills = this.parseDictionary(this.DEFAULT_DICTIONARY);
             }
+            this.cache = { text: text, skills: skills };
+            return skills;
         },
 
         /**
-         * Update the People AI toggle checkbox state based on configuration.
-         * Disables the checkbox if AI is not configured.
+         * Find the dictionary skills mentioned in a text.
+         * @param {string} text - The text, e.g. a job description.
+         * @param {Array<Object>} [skills] - Parsed dictionary (defaults to getSkills()).
+         * @returns {Array<string>} Skill names, in dictionary order.
          */
-        updatePeopleAIToggleState: function() {
-            var aiCheck = document.getElementById('lisesca-people-ai-enabled');
-            var aiLabel = aiCheck ? aiCheck.closest('.lisesca-checkbox-label') : null;
+        findSkills: function(text, skills) {
+            var value = String(text || '');
+            return (skills || this.getSkills()).filter(function(skill) {
+                return skill.patterns.some(function(pattern) {
+                    return pattern.test(value);
+                });
+            }).map(function(skill) {
+                return skill.name;
+            });
+        },
 
-            if (!aiCheck || !aiLabel) {
-                return;
+        /**
+         * Determine the seniority of a job from its title.
+         * An "Internship" employment type also counts as intern.
+         * @param {string} title - The job title.
+         * @param {string} [employmentType] - E.g. "Full-time", "Internship".
+         * @returns {string} intern/junior/senior/lead/principal, or '' if not stated.
+         */
+        detectSeniority: function(title, employmentType) {
+            var value = String(title || '');
+            for (var i = 0; i < this.SENIORITY_PATTERNS.length; i++) {
+                if (this.SENIORITY_PATTERNS[i].pattern.test(value)) {
+                    return this.SENIORITY_PATTERNS[i].level;
+                }
             }
+            return /internship/i.test(employmentType || '') ? 'intern' : '';
+        },
 
-            var isConfigured = CONFIG.isPeopleAIConfigured();
-            aiCheck.disabled = !isConfigured;
-
-            if (isConfigured) {
-                aiLabel.classList.remove('lisesca-disabled');
-            } else {
-                aiLabel.classList.add('lisesca-disabled');
-                aiCheck.checked = false;
-                State.savePeopleAIEnabled(false);
+        /**
+         * Find the years of experience a job description asks for.
+         * "3+ years of experience", "at least five years' experience",
+         * "2-4 years of professional experience", "2 or more years of ..." → the lower bound.
+         * @param {string} text - The job description.
+         * @returns {number|null} The minimum years, or null if not stated.
+         */
+        parseYearsExperience: function(text) {
+            var words = Object.keys(this.NUMBER_WORDS).join('|');
+            var number = '\\b(\\d{1,2}|' + words + ')';
+            var pattern = new RegExp(number + '\\s*\\+?\\s*(?:(?:-|–|to|or)\\s*' + number + '\\s*\\+?\\s*)?'
+                + '(?:or\\s+more\\s+)?(?:years?|yrs?)(?:\'|’)?\\s+(?:of\\s+)?(?:[\\w-]+\\s+){0,3}?experience', 'gi');
+            var value = String(text || '');
+            var match;
+            while ((match = pattern.exec(value)) !== null) {
+                var word = match[1].toLowerCase();
+                var years = /^\d+$/.test(word) ? parseInt(word, 10) : this.NUMBER_WORDS[word];
+                if (years <= this.MAX_YEARS) {
+                    return years;
+                }
             }
+            return null;
         },
 
-        // --- Summary panel ---
-        summaryOverlay: null,
-
         /**
-         * Create the summary panel overlay.
+         * Compute the skill fields of a job.
+         * @param {Object} job - A job data object with jobTitle, employmentType and jobDescription.
+         * @returns {Object} { skills, seniority, yearsExperienceRequired }
          */
-        createSummaryPanel: function() {
-            this.summaryOverlay = document.createElement('div');
-            this.summaryOverlay.className = 'lisesca-summary-overlay';
-            this.summaryOverlay.id = 'lisesca-summary-overlay';
+        analyze: function(job) {
+            return {
+                skills: this.findSkills(job.jobDescription),
+                seniority: this.detectSeniority(job.jobTitle, job.employmentType),
+                yearsExperienceRequired: this.parseYearsExperience(job.jobDescription)
+            };
+        }
+    };
 
-            var panel = document.createElement('div');
-            panel.className = 'lisesca-summary-panel';
+    // ===== USER INTERFACE =====
+    // Creates and manages the floating overlay panel with scrape controls.
+    // Adapts to the current page type: green SCRAPE button for people and
+    // company search, blue SCRAPE button for jobs search, with different page
+    // count options.
 
-            var title = document.createElement('div');
-            title.className = 'lisesca-summary-title';
-            title.innerHTML = '<span style="font-size: 20px;">📊</span> Scrape Summary';
-
-            var interruptedMsg = document.createElement('div');
-            interruptedMsg.className = 'lisesca-summary-interrupted';
-            interruptedMsg.id = 'lisesca-summary-interrupted';
-            interruptedMsg.textContent = '⚠️ Session stopped early. Partial results are available below.';
-
-            var contentContainer = document.createElement('div');
-            contentContainer.id = 'lisesca-summary-content';
-
-            var buttonsDiv = document.createElement('div');
-            buttonsDiv.className = 'lisesca-summary-buttons';
-
-            var downloadBtn = document.createElement('button');
-            downloadBtn.className = 'lisesca-summary-download';
-            downloadBtn.id = 'lisesca-summary-download';
-            downloadBtn.innerHTML = '⬇️ Download Results';
-            downloadBtn.addEventListener('click', function() {
-                var mode = State.getScrapeMode();
-                if (mode === 'jobs') {
-                    JobController$1.downloadResults();
-                } else {
-                    Controller$1.downloadResults();
-                }
-            });
-
-            var clearBtn = document.createElement('button');
-            clearBtn.className = 'lisesca-summary-clear';
-            clearBtn.textContent = 'Clear Data & Close';
-            clearBtn.addEventListener('click', function() {
-                State.clear();
-                UI.hideSummary();
-                UI.showIdleState();
-            });
-
-            buttonsDiv.appendChild(downloadBtn);
-            buttonsDiv.appendChild(clearBtn);
+    // Controller, JobController, CompanyController and MyJobsController are used in event handlers (runtime calls, not import-time)
+    // They will be available in the bundled IIFE scope when Rollup bundles the code.
+    // We import them here to satisfy the ES module system.
+    // Note: This creates a circular dependency which Rollup handles correctly for IIFE output.
+    let Controller$1, JobController$1, CompanyController$1, MyJobsController$1;
 
-            panel.appendChild(title);
-            panel.appendChild(interruptedMsg);
-            panel.appendChild(contentContainer);
-            panel.appendChild(buttonsDiv);
+    function setControllers(ctrl, jobCtrl, companyCtrl, myJobsCtrl) {
+        Controller$1 = ctrl;
+        JobController$1 = jobCtrl;
+        CompanyController$1 = companyCtrl;
+        MyJobsController$1 = myJobsCtrl;
+    }
 
-            this.summaryOverlay.appendChild(panel);
-            document.body.appendChild(this.summaryOverlay);
-        },
+    const UI = {
+        /** References to key DOM elements */
+        panel: null,
+        menu: null,
+        statusArea: null,
+        noResultsArea: null,
+        isMenuOpen: false,
 
-        /**
-         * Helper to create a row in the summary panel
-         */
-        _createSummaryRow: function(label, value, valueClass) {
-            var row = document.createElement('div');
-            row.className = 'lisesca-summary-row';
-            
-            var labelEl = document.createElement('div');
-            labelEl.className = 'lisesca-summary-label';
-            labelEl.textContent = label;
-            
-            var valueEl = document.createElement('div');
-            valueEl.className = 'lisesca-summary-value' + (valueClass ? ' ' + valueClass : '');
-            valueEl.textContent = value;
-            
-            row.appendChild(labelEl);
-            row.appendChild(valueEl);
-            return row;
-        },
+        /** Flag to prevent duplicate style injection (styles persist across SPA navigation) */
+        stylesInjected: false,
 
         /**
-         * Show the summary panel with statistics.
-         * @param {Object} stats - The statistics object.
-         * @param {boolean} interrupted - Whether the session was stopped early.
+         * Inject all LiSeSca styles into the page.
+         * Skips if already injected (styles persist across SPA navigation).
          */
-        showSummary: function(stats, interrupted) {
-            // Ensure UI is cleanly reset
-            this.hideStatus();
-            this.hideAIStats();
-            this.hideNoResults();
-
-            var container = document.getElementById('lisesca-summary-content');
-            if (!container) return;
-            
-            container.innerHTML = ''; // Clear previous content
-
-            // Handle interrupted message
-            var interruptedMsg = document.getElementById('lisesca-summary-interrupted');
-            if (interruptedMsg) {
-                if (interrupted) {
-                    interruptedMsg.classList.add('lisesca-visible');
-                } else {
-                    interruptedMsg.classList.remove('lisesca-visible');
-                }
+        injectStyles: function() {
+            if (this.stylesInjected) {
+                console.log('[LiSeSca] Styles already injected, skipping.');
+                return;
             }
-
-            // Style the download button based on mode
-            var downloadBtn = document.getElementById('lisesca-summary-download');
-            if (downloadBtn) {
-                if (stats.type === 'jobs') {
-                    downloadBtn.classList.add('lisesca-summary-download--jobs');
-                } else {
-                    downloadBtn.classList.remove('lisesca-summary-download--jobs');
-                }
-                
-                // Disable download if nothing was saved
-                if (stats.saved === 0) {
-                    downloadBtn.disabled = true;
-                    downloadBtn.style.opacity = '0.5';
-                    downloadBtn.style.cursor = 'not-allowed';
-                    downloadBtn.innerHTML = 'No Results to Download';
-                } else {
-                    downloadBtn.disabled = false;
-                    downloadBtn.style.opacity = '1';
-                    downloadBtn.style.cursor = 'pointer';
-                    downloadBtn.innerHTML = '⬇️ Download Results (' + stats.saved + ')';
-                }
+            this.stylesInjected = true;
+            GM_addStyle(`
+            /* ---- LiSeSca floating panel ---- */
+            .lisesca-panel {
+                position: fixed;
+                top: 10px;
+                right: 10px;
+                z-index: 10000;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+                background: #1b1f23;
+                color: #e1e4e8;
+                border-radius: 8px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+                padding: 0;
+                min-width: 180px;
+                user-select: none;
             }
 
-            // Base stats section
-            var baseSection = document.createElement('div');
-            baseSection.className = 'lisesca-summary-section';
-            
-            baseSection.appendChild(this._createSummaryRow('Pages Scanned', stats.pages));
-            
-            if (stats.type === 'jobs') {
-                baseSection.appendChild(this._createSummaryRow('Total Processed', stats.processed));
+            /* Top bar with SCRAPE button and gear icon */
+            .lisesca-topbar {
+                display: flex;
+                align-items: center;
+                padding: 8px 10px;
+                gap: 8px;
             }
-            
-            baseSection.appendChild(this._createSummaryRow(
-                stats.type === 'jobs' ? 'Jobs Saved' : 'Profiles Saved', 
-                stats.saved, 
-                stats.saved > 0 ? 'lisesca-success' : ''
-            ));
-            
-            container.appendChild(baseSection);
-
-            // AI stats section (if applicable)
-            if (stats.aiEnabled) {
-                var aiSection = document.createElement('div');
-                aiSection.className = 'lisesca-summary-section';
-                
-                var aiTitle = document.createElement('div');
-                aiTitle.style.fontSize = '11px';
-                aiTitle.style.color = '#8b949e';
-                aiTitle.style.textTransform = 'uppercase';
-                aiTitle.style.letterSpacing = '0.5px';
-                aiTitle.style.marginBottom = '8px';
-                aiTitle.textContent = 'AI Filtering Stats';
-                aiSection.appendChild(aiTitle);
 
-                if (stats.type === 'jobs') {
-                    if (stats.fullAIEnabled) {
-                        aiSection.appendChild(this._createSummaryRow('Triaged (Cards)', stats.aiTriaged));
-                        aiSection.appendChild(this._createSummaryRow('Fully Evaluated', stats.aiFullEvaluated));
-                    } else {
-                        aiSection.appendChild(this._createSummaryRow('Evaluated', stats.aiEvaluated));
-                    }
-                    aiSection.appendChild(this._createSummaryRow('Accepted', stats.aiAccepted, 'lisesca-highlight'));
-                } else {
-                    aiSection.appendChild(this._createSummaryRow('Evaluated', stats.aiEvaluated));
-                    aiSection.appendChild(this._createSummaryRow('Accepted (Score ≥3)', stats.aiAccepted, 'lisesca-highlight'));
-                }
-                
-                container.appendChild(aiSection);
+            /* The main SCRAPE button — green for people, blue for jobs */
+            .lisesca-scrape-btn {
+                flex: 1;
+                background: #2ea44f;
+                color: #ffffff;
+                border: none;
+                border-radius: 5px;
+                padding: 6px 14px;
+                font-size: 13px;
+                font-weight: 600;
+                cursor: pointer;
+                letter-spacing: 0.5px;
+                transition: background 0.15s;
+            }
+            .lisesca-scrape-btn:hover {
+                background: #3fb950;
             }
 
-            this.summaryOverlay.classList.add('lisesca-visible');
-        },
+            /* Blue variant for jobs pages */
+            .lisesca-scrape-btn--jobs {
+                background: #1f6feb;
+            }
+            .lisesca-scrape-btn--jobs:hover {
+                background: #388bfd;
+            }
 
-        /**
-         * Hide the summary panel.
-         */
-        hideSummary: function() {
-            if (this.summaryOverlay) {
-                this.summaryOverlay.classList.remove('lisesca-visible');
+            /* Gear (config) icon button */
+            .lisesca-gear-btn {
+                background: none;
+                border: none;
+                color: #8b949e;
+                cursor: pointer;
+                font-size: 16px;
+                padding: 4px;
+                line-height: 1;
+                transition: color 0.15s;
+            }
+            .lisesca-gear-btn:hover {
+                color: #e1e4e8;
             }
-        },
 
-        /**
-         * Remove the summary panel from the DOM.
-         */
-        removeSummaryPanel: function() {
-            if (this.summaryOverlay && this.summaryOverlay.parentNode) {
-                this.summaryOverlay.parentNode.removeChild(this.summaryOverlay);
-                console.log('[LiSeSca] Summary panel removed.');
+            /* Dropdown menu (hidden by default) */
+            .lisesca-menu {
+                display: none;
+                padding: 8px 10px 10px;
+                border-top: 1px solid #30363d;
+            }
+            .lisesca-menu.lisesca-open {
+                display: block;
             }
-            this.summaryOverlay = null;
-        },
 
-        // --- SPA Navigation Support ---
-
-        /**
-         * Check if the main panel currently exists in the DOM.
-         * @returns {boolean}
-         */
-        isPanelActive: function() {
-            return this.panel !== null && document.body.contains(this.panel);
-        },
-
-        /**
-         * Remove the main floating panel from the DOM.
-         */
-        removePanel: function() {
-            if (this.panel && this.panel.parentNode) {
-                this.panel.parentNode.removeChild(this.panel);
-                console.log('[LiSeSca] UI panel removed.');
+            /* Label text above the dropdown */
+            .lisesca-menu-label {
+                font-size: 11px;
+                color: #8b949e;
+                margin-bottom: 5px;
             }
-            this.panel = null;
-            this.menu = null;
-            this.statusArea = null;
-            this.noResultsArea = null;
-            this.isMenuOpen = false;
-        },
 
-        /**
-         * Remove the configuration overlay from the DOM.
-         */
-        removeConfigPanel: function() {
-            if (this.configOverlay && this.configOverlay.parentNode) {
-                this.configOverlay.parentNode.removeChild(this.configOverlay);
-                console.log('[LiSeSca] Config panel removed.');
+            /* Page count selector dropdown */
+            .lisesca-select {
+                width: 100%;
+                background: #0d1117;
+                color: #e1e4e8;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 5px 8px;
+                font-size: 13px;
+                margin-bottom: 8px;
+                cursor: pointer;
+            }
+            .lisesca-select:focus {
+                outline: none;
+                border-color: #58a6ff;
             }
-            this.configOverlay = null;
-        },
 
-        /**
-         * Remove the AI configuration overlay from the DOM.
-         */
-        removeAIConfigPanel: function() {
-            if (this.aiConfigOverlay && this.aiConfigOverlay.parentNode) {
-                this.aiConfigOverlay.parentNode.removeChild(this.aiConfigOverlay);
-                console.log('[LiSeSca] AI config panel removed.');
+            /* Format selection checkboxes */
+            .lisesca-fmt-label {
+                font-size: 11px;
+                color: #8b949e;
+                margin-bottom: 5px;
+                margin-top: 4px;
             }
-            this.aiConfigOverlay = null;
-        },
 
-        /**
-         * Remove existing panels and create fresh ones for the current page type.
-         * Used when SPA navigation changes the page type.
-         */
-        rebuildPanel: function() {
-            this.removePanel();
-            this.removeConfigPanel();
-            this.removeAIConfigPanel();
-            this.removeSummaryPanel();
-            
-            this.createPanel();
-            this.createConfigPanel();
-            this.createAIConfigPanel();
-            this.createSummaryPanel();
-            console.log('[LiSeSca] UI panels rebuilt for new page.');
-        }
-    };
+            .lisesca-fmt-row {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px 10px;
+                margin-bottom: 8px;
+            }
 
-    // ===== HUMAN EMULATION =====
-    // Simulates human browsing behavior (scrolling, mouse movement, pauses)
-    // to avoid triggering LinkedIn's bot detection.
+            .lisesca-toggle-row {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                margin-bottom: 8px;
+            }
 
-    const Emulator = {
-        /** Flag to allow cancellation of the emulation sequence */
-        cancelled: false,
+            .lisesca-checkbox-label {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                font-size: 12px;
+                color: #c9d1d9;
+                cursor: pointer;
+            }
 
-        /**
-         * Generate a random integer between min and max (inclusive).
-         * @param {number} min - Minimum value.
-         * @param {number} max - Maximum value.
-         * @returns {number} Random integer in [min, max].
-         */
-        getRandomInt: function(min, max) {
-            return Math.floor(Math.random() * (max - min + 1)) + min;
-        },
+            .lisesca-checkbox-label input[type="checkbox"] {
+                -webkit-appearance: checkbox !important;
+                appearance: checkbox !important;
+                position: static !important;
+                width: 14px !important;
+                height: 14px !important;
+                min-width: 14px !important;
+                min-height: 14px !important;
+                flex-shrink: 0 !important;
+                accent-color: #58a6ff;
+                cursor: pointer;
+                margin: 0 2px 0 0 !important;
+                padding: 0 !important;
+                opacity: 1 !important;
+            }
 
-        /**
-         * Return a Promise that resolves after a random delay.
-         * @param {number} minMs - Minimum milliseconds.
-         * @param {number} maxMs - Maximum milliseconds.
-         * @returns {Promise<void>}
-         */
-        randomDelay: function(minMs, maxMs) {
-            const delay = this.getRandomInt(minMs, maxMs);
-            return new Promise(function(resolve) {
-                setTimeout(resolve, delay);
-            });
-        },
+            /* GO button inside the dropdown */
+            .lisesca-go-btn {
+                width: 100%;
+                background: #1f6feb;
+                color: #ffffff;
+                border: none;
+                border-radius: 5px;
+                padding: 6px 14px;
+                font-size: 13px;
+                font-weight: 600;
+                cursor: pointer;
+                transition: background 0.15s;
+            }
+            .lisesca-go-btn:hover {
+                background: #388bfd;
+            }
 
-        /**
-         * Dispatch a synthetic mousemove event at randomized coordinates.
-         * @param {number} approximateY - Approximate vertical position to center the movement around.
-         */
-        dispatchMouseMove: function(approximateY) {
-            const eventInit = {
-                bubbles: true,
-                cancelable: true,
-                clientX: this.getRandomInt(200, 800),
-                clientY: approximateY + this.getRandomInt(-30, 30),
-                screenX: this.getRandomInt(200, 800),
-                screenY: approximateY + this.getRandomInt(-30, 30)
-            };
-            const event = new MouseEvent('mousemove', eventInit);
+            /* Job clipboard buttons on standalone job pages */
+            .lisesca-clipboard-row {
+                display: flex;
+                gap: 6px;
+            }
+            .lisesca-clipboard-btn {
+                flex: 1;
+                background: #21262d;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 5px;
+                padding: 5px 8px;
+                font-size: 12px;
+                cursor: pointer;
+                transition: background 0.15s;
+            }
+            .lisesca-clipboard-btn:hover {
+                background: #30363d;
+            }
 
-            document.dispatchEvent(event);
+            /* Status display area (shown during scraping) */
+            .lisesca-status {
+                display: none;
+                padding: 8px 10px 10px;
+                border-top: 1px solid #30363d;
+                font-size: 12px;
+                color: #8b949e;
+            }
+            .lisesca-status.lisesca-visible {
+                display: block;
+            }
 
-            if (document.body) {
-                document.body.dispatchEvent(new MouseEvent('mousemove', eventInit));
+            .lisesca-status-progress {
+                display: none;
+                margin-bottom: 4px;
             }
-            const mainEl = document.querySelector('main') || document.querySelector('[role="main"]');
-            if (mainEl) {
-                mainEl.dispatchEvent(new MouseEvent('mousemove', eventInit));
+            .lisesca-status-progress.lisesca-visible {
+                display: block;
             }
-        },
 
-        /**
-         * Dispatch a synthetic scroll event on all relevant scroll containers.
-         */
-        dispatchScrollEvent: function() {
-            window.dispatchEvent(new Event('scroll', { bubbles: true }));
-            document.dispatchEvent(new Event('scroll', { bubbles: true }));
+            /* Stop button (shown during scraping) */
+            .lisesca-stop-btn {
+                width: 100%;
+                background: #da3633;
+                color: #ffffff;
+                border: none;
+                border-radius: 5px;
+                padding: 5px 12px;
+                font-size: 12px;
+                font-weight: 600;
+                cursor: pointer;
+                margin-top: 6px;
+                transition: background 0.15s;
+            }
+            .lisesca-stop-btn:hover {
+                background: #f85149;
+            }
 
-            const scrollTargets = [
-                document.querySelector('main'),
-                document.querySelector('[role="main"]'),
-                document.querySelector('[role="list"]')
-            ];
-            scrollTargets.forEach(function(target) {
-                if (target) {
-                    target.dispatchEvent(new Event('scroll', { bubbles: true }));
-                }
-            });
-        },
+            /* AI stats display in progress area */
+            .lisesca-ai-stats {
+                display: none;
+                font-size: 11px;
+                color: #58a6ff;
+                margin-bottom: 4px;
+            }
+            .lisesca-ai-stats.lisesca-visible {
+                display: block;
+            }
 
-        /**
-         * Run the full human emulation sequence for page scanning.
-         * @param {string} statusPrefix - Text to show before the countdown.
-         * @returns {Promise<void>} Resolves when emulation is complete.
-         */
-        emulateHumanScan: function(statusPrefix) {
-            this.cancelled = false;
-            const self = this;
-
-            const totalTimeMs = this.getRandomInt(
-                CONFIG.MIN_PAGE_TIME * 1000,
-                CONFIG.MAX_PAGE_TIME * 1000
-            );
-            const totalTimeSec = Math.round(totalTimeMs / 1000);
+            /* No-results notification */
+            .lisesca-no-results {
+                display: none;
+                padding: 12px 10px;
+                border-top: 1px solid #30363d;
+                text-align: center;
+            }
+            .lisesca-no-results.lisesca-visible {
+                display: block;
+            }
+            .lisesca-no-results-icon {
+                font-size: 24px;
+                margin-bottom: 8px;
+                color: #8b949e;
+            }
+            .lisesca-no-results-title {
+                font-size: 13px;
+                font-weight: 600;
+                color: #e1e4e8;
+                margin-bottom: 6px;
+            }
+            .lisesca-no-results-stats {
+                font-size: 11px;
+                color: #8b949e;
+                margin-bottom: 10px;
+            }
+            .lisesca-no-results-btn {
+                width: 100%;
+                background: #21262d;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 5px;
+                padding: 6px 12px;
+                font-size: 12px;
+                font-weight: 600;
+                cursor: pointer;
+                transition: background 0.15s;
+            }
+            .lisesca-no-results-btn:hover {
+                background: #30363d;
+            }
 
-            const pageHeight = document.documentElement.scrollHeight;
-            const viewportHeight = window.innerHeight;
-            const scrollableDistance = Math.max(pageHeight - viewportHeight, 0);
+            /* ---- Configuration overlay ---- */
+            .lisesca-config-overlay {
+                display: none;
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.5);
+                z-index: 10001;
+                justify-content: center;
+                align-items: center;
+            }
+            .lisesca-config-overlay.lisesca-visible {
+                display: flex;
+            }
 
-            const averageStepMs = 450;
-            const numberOfSteps = Math.max(Math.floor(totalTimeMs / averageStepMs), 10);
-            const baseScrollPerStep = scrollableDistance / numberOfSteps;
+            .lisesca-config-panel {
+                background: #1b1f23;
+                color: #e1e4e8;
+                border-radius: 10px;
+                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.6);
+                padding: 20px 24px;
+                min-width: 280px;
+                max-height: 90vh;
+                overflow-y: auto;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+            }
 
-            const numberOfPauses = self.getRandomInt(2, 3);
-            const pauseSteps = new Set();
-            while (pauseSteps.size < numberOfPauses) {
-                pauseSteps.add(self.getRandomInt(2, numberOfSteps - 2));
+            .lisesca-config-title {
+                font-size: 15px;
+                font-weight: 600;
+                margin-bottom: 16px;
+                color: #f0f6fc;
             }
 
-            console.log('[LiSeSca] Emulation: ' + numberOfSteps + ' steps over ~'
-                + totalTimeSec + 's, '
-                + numberOfPauses + ' reading pauses.');
+            .lisesca-config-version {
+                font-size: 11px;
+                color: #8b949e;
+                margin-top: -12px;
+                margin-bottom: 16px;
+            }
 
-            const startTimeMs = Date.now();
-            const prefix = statusPrefix || 'Scanning';
-            UI.showStatus(prefix + ' — ' + totalTimeSec + 's remaining');
+            .lisesca-config-section {
+                font-size: 12px;
+                font-weight: 600;
+                color: #8b949e;
+                text-transform: uppercase;
+                letter-spacing: 0.5px;
+                margin-top: 14px;
+                margin-bottom: 10px;
+                padding-bottom: 4px;
+                border-bottom: 1px solid #30363d;
+            }
 
-            let currentScroll = 0;
+            .lisesca-config-row {
+                margin-bottom: 12px;
+            }
 
-            /**
-             * Execute one scroll step, then schedule the next.
-             * @param {number} step - Current step index (0-based).
-             * @returns {Promise<void>}
-             */
-            function executeStep(step) {
-                if (self.cancelled) {
-                    console.log('[LiSeSca] Emulation cancelled.');
-                    return Promise.resolve();
-                }
-                if (step >= numberOfSteps) {
-                    window.scrollTo({ top: scrollableDistance, behavior: 'smooth' });
-                    self.dispatchScrollEvent();
-                    return Promise.resolve();
-                }
+            .lisesca-config-row label {
+                display: block;
+                font-size: 11px;
+                color: #8b949e;
+                margin-bottom: 4px;
+            }
 
-                const elapsedMs = Date.now() - startTimeMs;
-                const remainingSec = Math.max(0, Math.round((totalTimeMs - elapsedMs) / 1000));
-                UI.showStatus(prefix + ' — ' + remainingSec + 's remaining');
+            .lisesca-config-row input {
+                width: 100%;
+                background: #0d1117;
+                color: #e1e4e8;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 5px 8px;
+                font-size: 13px;
+                box-sizing: border-box;
+            }
+            .lisesca-config-row input:focus {
+                outline: none;
+                border-color: #58a6ff;
+            }
 
-                const scrollAmount = baseScrollPerStep * (0.6 + Math.random() * 0.8);
-                currentScroll = Math.min(currentScroll + scrollAmount, scrollableDistance);
-                window.scrollTo({ top: currentScroll, behavior: 'smooth' });
+            .lisesca-config-row select {
+                width: 100%;
+                background: #0d1117;
+                color: #e1e4e8;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 5px 8px;
+                font-size: 13px;
+                box-sizing: border-box;
+            }
 
-                self.dispatchScrollEvent();
+            /* Checkbox options inside the config panel */
+            .lisesca-config-row .lisesca-checkbox-label {
+                display: flex;
+                font-size: 12px;
+                color: #c9d1d9;
+                margin-bottom: 0;
+            }
 
-                const mouseY = self.getRandomInt(100, viewportHeight - 100);
-                self.dispatchMouseMove(mouseY);
+            .lisesca-config-error {
+                color: #f85149;
+                font-size: 11px;
+                margin-top: 4px;
+                min-height: 16px;
+            }
 
-                let delayMin = 200;
-                let delayMax = 600;
+            .lisesca-config-buttons {
+                display: flex;
+                gap: 8px;
+                margin-top: 16px;
+            }
 
-                if (pauseSteps.has(step)) {
-                    delayMin = 1000;
-                    delayMax = 3000;
-                }
+            .lisesca-config-save {
+                flex: 1;
+                background: #1f6feb;
+                color: #ffffff;
+                border: none;
+                border-radius: 5px;
+                padding: 7px 14px;
+                font-size: 13px;
+                font-weight: 600;
+                cursor: pointer;
+                transition: background 0.15s;
+            }
+            .lisesca-config-save:hover {
+                background: #388bfd;
+            }
 
-                return self.randomDelay(delayMin, delayMax).then(function() {
-                    return executeStep(step + 1);
-                });
+            .lisesca-config-cancel {
+                flex: 1;
+                background: #21262d;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 5px;
+                padding: 7px 14px;
+                font-size: 13px;
+                font-weight: 600;
+                cursor: pointer;
+                transition: background 0.15s;
+            }
+            .lisesca-config-cancel:hover {
+                background: #30363d;
             }
 
-            return executeStep(0).then(function() {
-                console.log('[LiSeSca] Emulation complete.');
-            });
-        },
+            /* ---- AI Configuration overlay ---- */
+            .lisesca-ai-config-overlay {
+                display: none;
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.5);
+                z-index: 10002;
+                justify-content: center;
+                align-items: center;
+            }
+            .lisesca-ai-config-overlay.lisesca-visible {
+                display: flex;
+            }
 
-        /**
-         * Cancel the ongoing emulation sequence.
-         */
-        cancel: function() {
-            this.cancelled = true;
-        }
-    };
-
-    // ===== CSS SELECTORS (PEOPLE SEARCH) =====
-    // Resilient selectors based on data attributes and ARIA roles,
-    // avoiding LinkedIn's generated CSS class names which change frequently.
-    const Selectors = {
-        RESULT_CARD: 'div[role="listitem"]',
-        TITLE_LINK: 'a[data-view-name="search-result-lockup-title"]'
-    };
-
-    // ===== DATA EXTRACTION (PEOPLE) =====
-    // Reads the current page's DOM and returns an array of profile objects.
-    // Each profile is represented as:
-    //   { fullName, connectionDegree, description, location, profileUrl }
-
-    const Extractor = {
-
-        /**
-         * Wait for search result cards to appear in the DOM.
-         * LinkedIn is an SPA and may load results asynchronously,
-         * so we poll for up to 10 seconds before giving up.
-         * @returns {Promise<NodeList>} The list of result card elements (may be empty).
-         */
-        waitForResults: function() {
-            return new Promise(function(resolve) {
-                const maxWaitMs = 10000;
-                const pollIntervalMs = 500;
-                let elapsed = 0;
-
-                const poll = setInterval(function() {
-                    const cards = document.querySelectorAll(Selectors.RESULT_CARD);
-                    if (cards.length > 0) {
-                        clearInterval(poll);
-                        console.log('[LiSeSca] Found ' + cards.length + ' result cards.');
-                        resolve(cards);
-                        return;
-                    }
-                    elapsed += pollIntervalMs;
-                    if (elapsed >= maxWaitMs) {
-                        clearInterval(poll);
-                        console.log('[LiSeSca] No result cards found after ' + maxWaitMs + 'ms (end of results).');
-                        resolve([]); // Return empty array instead of rejecting
-                    }
-                }, pollIntervalMs);
-            });
-        },
-
-        /**
-         * Extract profile data from all result cards on the current page.
-         * Skips cards that fail to parse (logs a warning for each).
-         * @returns {Promise<Array>} Array of profile data objects.
-         */
-        extractCurrentPage: function() {
-            return this.waitForResults().then(function(cards) {
-                const profiles = [];
-                cards.forEach(function(card, index) {
-                    try {
-                        const profile = Extractor.extractCard(card);
-                        if (profile) {
-                            profiles.push(profile);
-                        }
-                    } catch (error) {
-                        console.warn('[LiSeSca] Failed to extract card #' + index + ':', error);
-                    }
-                });
-                console.log('[LiSeSca] Extracted ' + profiles.length + ' profiles from this page.');
-                return profiles;
-            });
-        },
-
-        /**
-         * Extract profile data from a single result card element.
-         * @param {HTMLElement} card - The listitem div element.
-         * @returns {Object|null} Profile data object, or null if no title link found.
-         */
-        extractCard: function(card) {
-            const titleLink = card.querySelector(Selectors.TITLE_LINK);
-            if (!titleLink) {
-                console.warn('[LiSeSca] Card has no title link, skipping.');
-                return null;
+            .lisesca-ai-config-panel {
+                background: #1b1f23;
+                color: #e1e4e8;
+                border-radius: 10px;
+                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.6);
+                padding: 20px 24px;
+                width: 400px;
+                max-width: 90vw;
+                max-height: 90vh;
+                overflow-y: auto;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
             }
 
-            const fullName = this.extractName(titleLink);
-            const profileUrl = this.extractProfileUrl(titleLink);
-            const connectionDegree = this.extractDegree(titleLink);
-            const description = this.extractDescription(titleLink);
-            const location = this.extractLocation(titleLink);
-
-            return {
-                fullName: fullName,
-                connectionDegree: connectionDegree,
-                description: description,
-                location: location,
-                profileUrl: profileUrl
-            };
-        },
-
-        /**
-         * Format a people card as Markdown for AI evaluation.
-         * @param {Object} profile - The card data from extractCard.
-         * @returns {string} Markdown-formatted card summary.
-         */
-        formatCardForAI: function(profile) {
-            var lines = [];
-            lines.push('## ' + (profile.fullName || 'Unknown Name'));
-
-            if (profile.description) {
-                lines.push('**Headline:** ' + profile.description);
-            }
-            if (profile.location) {
-                lines.push('**Location:** ' + profile.location);
-            }
-            if (profile.connectionDegree) {
-                lines.push('**Connection degree:** ' + profile.connectionDegree);
-            }
-            if (profile.profileUrl) {
-                lines.push('**Profile:** ' + profile.profileUrl);
+            .lisesca-ai-config-title {
+                font-size: 15px;
+                font-weight: 600;
+                margin-bottom: 16px;
+                color: #f0f6fc;
             }
 
-            return lines.join('\n');
-        },
-
-        /**
-         * Extract the person's full name from the title link.
-         * @param {HTMLElement} titleLink - The <a> element with data-view-name.
-         * @returns {string} The full name, trimmed.
-         */
-        extractName: function(titleLink) {
-            return (titleLink.textContent || '').trim();
-        },
-
-        /**
-         * Extract and clean the profile URL from the title link's href.
-         * @param {HTMLElement} titleLink - The <a> element.
-         * @returns {string} The cleaned profile URL.
-         */
-        extractProfileUrl: function(titleLink) {
-            const rawUrl = titleLink.href || '';
-            return this.cleanProfileUrl(rawUrl);
-        },
-
-        /**
-         * Remove query parameters and hash fragments from a LinkedIn profile URL.
-         * @param {string} rawUrl - The full URL with potential tracking parameters.
-         * @returns {string} The clean URL (origin + pathname only).
-         */
-        cleanProfileUrl: function(rawUrl) {
-            if (!rawUrl) {
-                return '';
-            }
-            try {
-                const url = new URL(rawUrl);
-                return url.origin + url.pathname;
-            } catch (error) {
-                return rawUrl;
+            .lisesca-ai-config-row {
+                margin-bottom: 14px;
             }
-        },
 
-        /**
-         * Extract the connection degree from the span sibling of the title link.
-         * @param {HTMLElement} titleLink - The <a> element.
-         * @returns {number} The connection degree (1, 2, 3, etc.) or 0 if not found.
-         */
-        extractDegree: function(titleLink) {
-            const titleParagraph = titleLink.parentElement;
-            if (!titleParagraph) {
-                return 0;
+            .lisesca-ai-config-row label {
+                display: block;
+                font-size: 11px;
+                color: #8b949e;
+                margin-bottom: 4px;
             }
 
-            const spans = titleParagraph.querySelectorAll('span span');
-            for (let i = 0; i < spans.length; i++) {
-                const text = spans[i].textContent || '';
-                const match = text.match(/(\d+)(st|nd|rd|th)/);
-                if (match) {
-                    return parseInt(match[1], 10);
-                }
+            .lisesca-ai-config-row input[type="password"],
+            .lisesca-ai-config-row input[type="text"] {
+                width: 100%;
+                background: #0d1117;
+                color: #e1e4e8;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 8px 10px;
+                font-size: 13px;
+                box-sizing: border-box;
             }
-            return 0;
-        },
-
-        /**
-         * Extract the description (headline) text from the first sibling <div>.
-         * @param {HTMLElement} titleLink - The <a> element.
-         * @returns {string} The description text, or empty string if not found.
-         */
-        extractDescription: function(titleLink) {
-            const titleParagraph = titleLink.parentElement;
-            if (!titleParagraph) {
-                return '';
+            .lisesca-ai-config-row input:focus {
+                outline: none;
+                border-color: #58a6ff;
             }
 
-            const descriptionDiv = titleParagraph.nextElementSibling;
-            if (!descriptionDiv) {
-                return '';
+            .lisesca-ai-config-row textarea {
+                width: 100%;
+                background: #0d1117;
+                color: #e1e4e8;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 8px 10px;
+                font-size: 13px;
+                font-family: inherit;
+                box-sizing: border-box;
+                resize: vertical;
+                min-height: 200px;
             }
-
-            const descParagraph = descriptionDiv.querySelector('p');
-            if (!descParagraph) {
-                return '';
+            .lisesca-ai-config-row textarea:focus {
+                outline: none;
+                border-color: #58a6ff;
             }
 
-            return (descParagraph.textContent || '').trim();
-        },
-
-        /**
-         * Extract the location text from the second sibling <div>.
-         * @param {HTMLElement} titleLink - The <a> element.
-         * @returns {string} The location text, or empty string if not found.
-         */
-        extractLocation: function(titleLink) {
-            const titleParagraph = titleLink.parentElement;
-            if (!titleParagraph) {
-                return '';
+            /* Model selection dropdown and refresh button */
+            .lisesca-model-container {
+                display: flex;
+                gap: 8px;
+                align-items: center;
             }
 
-            const descriptionDiv = titleParagraph.nextElementSibling;
-            if (!descriptionDiv) {
-                return '';
+            .lisesca-model-select {
+                flex: 1;
+                background: #0d1117;
+                color: #e1e4e8;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 8px 10px;
+                font-size: 13px;
+                box-sizing: border-box;
+                cursor: pointer;
             }
-
-            const locationDiv = descriptionDiv.nextElementSibling;
-            if (!locationDiv) {
-                return '';
+            .lisesca-model-select:focus {
+                outline: none;
+                border-color: #58a6ff;
             }
-
-            const locParagraph = locationDiv.querySelector('p');
-            if (!locParagraph) {
-                return '';
+            .lisesca-model-select:disabled {
+                background: #161b22;
+                color: #6e7681;
+                cursor: not-allowed;
+            }
+            .lisesca-model-select optgroup {
+                background: #0d1117;
+                color: #8b949e;
+                font-weight: 600;
+                font-style: normal;
+            }
+            .lisesca-model-select option {
+                background: #0d1117;
+                color: #e1e4e8;
+                padding: 4px;
             }
 
-            return (locParagraph.textContent || '').trim();
-        }
-    };
-
-    // ===== PAGINATION (PEOPLE) =====
-    // Handles navigation between search result pages.
-    // LinkedIn uses the "page=" URL parameter for pagination.
-
-    const Paginator = {
-
-        /**
-         * Get the current page number from the URL's "page=" parameter.
-         * @returns {number} Page number (1 if not specified).
-         */
-        getCurrentPage: function() {
-            const url = new URL(window.location.href);
-            const pageParam = url.searchParams.get('page');
-            return pageParam ? parseInt(pageParam, 10) : 1;
-        },
-
-        /**
-         * Get the base search URL (without the "page" parameter).
-         * @returns {string} The cleaned base URL.
-         */
-        getBaseSearchUrl: function() {
-            const url = new URL(window.location.href);
-            url.searchParams.delete('page');
-            return url.toString();
-        },
-
-        /**
-         * Navigate to a specific page by updating the URL.
-         * @param {number} pageNum - The page number to navigate to.
-         */
-        navigateToPage: function(pageNum) {
-            const baseUrl = State.get(State.KEYS.SEARCH_URL, this.getBaseSearchUrl());
-            const url = new URL(baseUrl);
-            url.searchParams.set('page', pageNum.toString());
-            const targetUrl = url.toString();
+            .lisesca-model-refresh {
+                background: #21262d;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 8px 12px;
+                font-size: 12px;
+                font-weight: 500;
+                cursor: pointer;
+                white-space: nowrap;
+                transition: background 0.15s;
+            }
+            .lisesca-model-refresh:hover {
+                background: #30363d;
+            }
+            .lisesca-model-refresh:disabled {
+                background: #161b22;
+                color: #6e7681;
+                cursor: not-allowed;
+            }
 
-            console.log('[LiSeSca] Navigating to page ' + pageNum + ': ' + targetUrl);
-            window.location.href = targetUrl;
-        }
-    };
+            .lisesca-config-row .lisesca-hint,
+            .lisesca-ai-config-row .lisesca-hint {
+                font-size: 10px;
+                color: #6e7681;
+                margin-top: 4px;
+            }
 
-    // ===== OUTPUT GENERATION (PEOPLE) =====
-    // Formats scraped profile data into XLSX, CSV, and Markdown.
+            .lisesca-ai-config-error {
+                color: #f85149;
+                font-size: 11px;
+                margin-top: 4px;
+                min-height: 16px;
+            }
 
-    const Output = {
+            .lisesca-ai-config-buttons {
+                display: flex;
+                gap: 8px;
+                margin-top: 16px;
+            }
 
-        /**
-         * Format a single profile into Markdown.
-         * @param {Object} profile - A profile data object.
-         * @returns {string} The formatted Markdown block.
-         */
-        formatProfile: function(profile) {
-            const lines = [];
-            lines.push('# ' + profile.fullName);
-            lines.push('');
+            .lisesca-ai-config-save {
+                flex: 1;
+                background: #1f6feb;
+                color: #ffffff;
+                border: none;
+                border-radius: 5px;
+                padding: 7px 14px;
+                font-size: 13px;
+                font-weight: 600;
+                cursor: pointer;
+                transition: background 0.15s;
+            }
+            .lisesca-ai-config-save:hover {
+                background: #388bfd;
+            }
 
-            if (profile.connectionDegree === 0) {
-                lines.push('No connection.');
-            } else if (profile.connectionDegree) {
-                const ordinal = this.toOrdinal(profile.connectionDegree);
-                lines.push('Connection: ' + ordinal);
+            .lisesca-ai-config-cancel {
+                flex: 1;
+                background: #21262d;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 5px;
+                padding: 7px 14px;
+                font-size: 13px;
+                font-weight: 600;
+                cursor: pointer;
+                transition: background 0.15s;
+            }
+            .lisesca-ai-config-cancel:hover {
+                background: #30363d;
             }
 
-            var headline = profile.headline || profile.description || '';
-            if (headline) {
-                lines.push('Headline: ' + headline);
+            /* Button to open AI config from main config panel */
+            .lisesca-ai-config-btn {
+                width: 100%;
+                background: #21262d;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 5px;
+                padding: 7px 14px;
+                font-size: 13px;
+                font-weight: 600;
+                cursor: pointer;
+                transition: background 0.15s;
+            }
+            .lisesca-ai-config-btn:hover {
+                background: #30363d;
             }
-            lines.push('Location: ' + (profile.location || '(none)'));
-            lines.push('Full profile URL: ' + (profile.profileUrl || '(none)'));
 
-            if (profile.aiScore !== undefined) {
-                lines.push('');
-                lines.push('**AI Score:** ' + profile.aiScore + '/5 (' + (profile.aiLabel || '') + ')');
-                if (profile.aiReason) {
-                    lines.push('**AI Reason:** ' + profile.aiReason);
-                }
+            /* ---- Markdown template editor (reuses the AI config overlay styles) ---- */
+            .lisesca-ai-config-panel.lisesca-template-panel {
+                width: 640px;
+            }
+            .lisesca-ai-config-row select {
+                width: 100%;
+                background: #0d1117;
+                color: #e1e4e8;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 8px 10px;
+                font-size: 13px;
+                box-sizing: border-box;
+            }
+            .lisesca-template-panel textarea {
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                font-size: 12px;
+            }
+            .lisesca-template-actions {
+                display: flex;
+                gap: 8px;
+                margin-top: 6px;
+            }
+            .lisesca-template-actions button {
+                background: #21262d;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 4px 10px;
+                font-size: 12px;
+                cursor: pointer;
+            }
+            .lisesca-template-actions button:hover {
+                background: #30363d;
+            }
+            /* ---- Export column chooser ---- */
+            .lisesca-columns-profile-row {
+                display: flex;
+                gap: 8px;
+                align-items: center;
+            }
+            .lisesca-columns-profile-row select {
+                flex: 1;
+            }
+            .lisesca-columns-list {
+                max-height: 300px;
+                overflow-y: auto;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 4px;
+            }
+            .lisesca-column-item {
+                display: flex;
+                gap: 6px;
+                align-items: center;
+                padding: 2px 0;
+            }
+            .lisesca-column-item input[type="text"] {
+                flex: 1;
+                width: auto;
+                min-width: 0;
+                background: #0d1117;
+                color: #e1e4e8;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 3px 6px;
+                font-size: 12px;
+            }
+            .lisesca-column-item.lisesca-column-off input[type="text"] {
+                color: #6e7681;
+            }
+            .lisesca-column-item button {
+                background: #21262d;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 2px 6px;
+                font-size: 11px;
+                cursor: pointer;
+            }
+            .lisesca-column-item button:disabled {
+                color: #484f58;
+                cursor: default;
             }
 
-            return lines.join('\n');
-        },
+            .lisesca-template-preview {
+                background: #0d1117;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 8px 10px;
+                margin: 0;
+                max-height: 240px;
+                overflow: auto;
+                white-space: pre-wrap;
+                word-break: break-word;
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                font-size: 11px;
+                color: #c9d1d9;
+            }
 
-        /**
-         * Convert a number to its ordinal string.
-         * @param {number} n - The number.
-         * @returns {string} The ordinal string.
-         */
-        toOrdinal: function(n) {
-            const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
-            const lastTwo = n % 100;
-            if (lastTwo >= 11 && lastTwo <= 13) {
-                return n + 'th';
+            /* ---- Summary overlay ---- */
+            .lisesca-summary-overlay {
+                display: none;
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.7);
+                z-index: 10003;
+                justify-content: center;
+                align-items: center;
+            }
+            .lisesca-summary-overlay.lisesca-visible {
+                display: flex;
             }
-            const lastDigit = n % 10;
-            return n + (suffixes[lastDigit] || 'th');
-        },
 
-        /**
-         * Generate a complete Markdown document from an array of profiles.
-         * @param {Array} profiles - Array of profile data objects.
-         * @returns {string} The complete Markdown content.
-         */
-        generateMarkdown: function(profiles) {
-            const blocks = profiles.map(function(profile) {
-                return Output.formatProfile(profile);
-            });
-            return blocks.join('\n\n---\n\n') + '\n';
-        },
+            .lisesca-summary-panel {
+                background: #1b1f23;
+                color: #e1e4e8;
+                border-radius: 10px;
+                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.6);
+                padding: 24px;
+                width: 380px;
+                max-width: 90vw;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+                border: 1px solid #30363d;
+            }
 
-        COLUMN_HEADERS: ['Name', 'Title/Description', 'Location', 'LinkedIn URL', 'Connection degree',
-            'AI Score', 'AI Rating', 'AI Reason'],
+            .lisesca-summary-title {
+                font-size: 18px;
+                font-weight: 600;
+                margin-bottom: 8px;
+                color: #f0f6fc;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
 
-        /**
-         * Convert a profile object into a row array.
-         * @param {Object} profile - A profile data object.
-         * @returns {Array<string|number>} Array of cell values.
-         */
-        profileToRow: function(profile) {
-            return [
-                profile.fullName || '',
-                profile.description || '',
-                profile.location || '',
-                profile.profileUrl || '',
-                profile.connectionDegree || 0,
-                profile.aiScore !== undefined ? profile.aiScore : '',
-                profile.aiLabel || '',
-                profile.aiReason || ''
-            ];
-        },
+            .lisesca-summary-interrupted {
+                display: none;
+                background: rgba(218, 54, 51, 0.1);
+                border: 1px solid rgba(218, 54, 51, 0.4);
+                color: #ff7b72;
+                padding: 8px 12px;
+                border-radius: 6px;
+                margin-bottom: 16px;
+                font-size: 12px;
+                font-weight: 500;
+            }
+            .lisesca-summary-interrupted.lisesca-visible {
+                display: block;
+            }
 
+            .lisesca-summary-section {
+                margin-bottom: 20px;
+                background: #0d1117;
+                border-radius: 6px;
+                padding: 12px;
+                border: 1px solid #30363d;
+            }
 
-        /**
-         * Escape a value for CSV output (RFC 4180).
-         * @param {*} value - The cell value to escape.
-         * @returns {string} The CSV-safe string.
-         */
-        escapeCSVField: function(value) {
-            var str = String(value);
-            return '"' + str.replace(/"/g, '""') + '"';
-        },
+            .lisesca-summary-row {
+                display: flex;
+                justify-content: space-between;
+                margin-bottom: 8px;
+                padding-bottom: 8px;
+                border-bottom: 1px solid #21262d;
+            }
+            .lisesca-summary-row:last-child {
+                margin-bottom: 0;
+                padding-bottom: 0;
+                border-bottom: none;
+            }
 
-        /**
-         * Generate a CSV string from an array of profiles.
-         * @param {Array} profiles - Array of profile data objects.
-         * @returns {string} The complete CSV content.
-         */
-        generateCSV: function(profiles) {
-            var self = this;
-            var lines = [];
+            .lisesca-summary-label {
+                color: #8b949e;
+            }
 
-            var headerLine = this.COLUMN_HEADERS.map(function(header) {
-                return self.escapeCSVField(header);
-            }).join(',');
-            lines.push(headerLine);
+            .lisesca-summary-value {
+                font-weight: 600;
+                color: #c9d1d9;
+            }
+            .lisesca-summary-value.lisesca-highlight {
+                color: #58a6ff;
+            }
+            .lisesca-summary-value.lisesca-success {
+                color: #3fb950;
+            }
 
-            profiles.forEach(function(profile) {
-                var row = self.profileToRow(profile);
-                var csvLine = row.map(function(cell) {
-                    return self.escapeCSVField(cell);
-                }).join(',');
-                lines.push(csvLine);
-            });
+            .lisesca-summary-buttons {
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+                margin-top: 24px;
+            }
 
-            return lines.join('\r\n') + '\r\n';
-        },
+            .lisesca-summary-download {
+                width: 100%;
+                background: #2ea44f;
+                color: #ffffff;
+                border: none;
+                border-radius: 6px;
+                padding: 12px;
+                font-size: 14px;
+                font-weight: 600;
+                cursor: pointer;
+                transition: background 0.15s;
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                gap: 8px;
+            }
+            .lisesca-summary-download:hover {
+                background: #3fb950;
+            }
+            
+            .lisesca-summary-download--jobs {
+                background: #1f6feb;
+            }
+            .lisesca-summary-download--jobs:hover {
+                background: #388bfd;
+            }
 
-        /**
-         * Generate an XLSX file as a Uint8Array.
-         * @param {Array} profiles - Array of profile data objects.
-         * @returns {Uint8Array} The binary XLSX file content.
-         */
-        generateXLSX: function(profiles) {
-            var self = this;
-            var data = [this.COLUMN_HEADERS];
-            profiles.forEach(function(profile) {
-                data.push(self.profileToRow(profile));
-            });
+            .lisesca-summary-merge {
+                width: 100%;
+                background: transparent;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 6px;
+                padding: 10px;
+                font-size: 13px;
+                font-weight: 500;
+                cursor: pointer;
+                transition: all 0.15s;
+            }
+            .lisesca-summary-merge:hover:not(:disabled) {
+                background: #21262d;
+                border-color: #8b949e;
+            }
+            .lisesca-summary-merge:disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+            .lisesca-summary-merge-status {
+                font-size: 12px;
+                color: #8b949e;
+                text-align: center;
+            }
+            .lisesca-summary-merge-status:empty {
+                display: none;
+            }
+            .lisesca-summary-merge-status.lisesca-error {
+                color: #f85149;
+            }
 
-            var worksheet = XLSX.utils.aoa_to_sheet(data);
-            var workbook = XLSX.utils.book_new();
-            XLSX.utils.book_append_sheet(workbook, worksheet, 'LinkedIn Search');
+            .lisesca-summary-rejected {
+                display: none;
+                width: 100%;
+                background: transparent;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 6px;
+                padding: 10px;
+                font-size: 13px;
+                font-weight: 500;
+                cursor: pointer;
+                transition: all 0.15s;
+            }
+            .lisesca-summary-rejected.lisesca-visible {
+                display: block;
+            }
+            .lisesca-summary-rejected:hover {
+                background: #21262d;
+                border-color: #8b949e;
+            }
 
-            var xlsxData = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
-            return new Uint8Array(xlsxData);
-        },
+            .lisesca-summary-clear {
+                width: 100%;
+                background: transparent;
+                color: #8b949e;
+                border: 1px solid #30363d;
+                border-radius: 6px;
+                padding: 10px;
+                font-size: 13px;
+                font-weight: 500;
+                cursor: pointer;
+                transition: all 0.15s;
+            }
+            .lisesca-summary-clear:hover {
+                background: #21262d;
+                color: #c9d1d9;
+                border-color: #8b949e;
+            }
 
-        /**
-         * Generate a filename based on the current date and time.
-         * Format: YYYY-MM-DD_HH_MM_PEOPLE_LinkedIn.[extension]
-         * @param {string} extension - File extension (default: 'md').
-         * @returns {string} The generated filename.
-         */
-        buildFilename: function(extension) {
-            var ext = extension || 'md';
-            var now = new Date();
-            var year = now.getFullYear();
-            var month = String(now.getMonth() + 1).padStart(2, '0');
-            var day = String(now.getDate()).padStart(2, '0');
-            var hours = String(now.getHours()).padStart(2, '0');
-            var minutes = String(now.getMinutes()).padStart(2, '0');
-            return year + '-' + month + '-' + day + '_' + hours + '_' + minutes
-                + '_PEOPLE_LinkedIn.' + ext;
+            /* AI toggle in scrape menu - disabled state */
+            .lisesca-checkbox-label.lisesca-disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+            .lisesca-checkbox-label.lisesca-disabled input[type="checkbox"] {
+                cursor: not-allowed;
+            }
+        `);
         },
 
         /**
-         * Trigger a file download in the browser.
-         * @param {string|Uint8Array} content - The file content.
-         * @param {string} filename - The desired filename.
-         * @param {string} mimeType - The MIME type for the Blob.
+         * Build and inject the floating panel, adapting to the current page type.
+         * People search, company People tab, connections and company search: green SCRAPE button, page options 1/10/50/All.
+         * Jobs search: blue SCRAPE button, page options 1/3/5/10.
+         * My Jobs: blue SCRAPE button, page options 1/10/50/All.
+         * Job view: blue CAPTURE button with the job clipboard (see appendJobViewMenu).
          */
-        downloadFile: function(content, filename, mimeType) {
-            var type = mimeType || 'text/markdown;charset=utf-8';
-            const blob = new Blob([content], { type: type });
-            const url = URL.createObjectURL(blob);
-
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = filename;
-            link.style.display = 'none';
+        createPanel: function() {
+            var pageType = PageDetector.getPageType();
+            var isJobs = (pageType === 'jobs');
+            var isJobView = (pageType === 'jobview');
+            var isCompanyPeople = (pageType === 'companyPeople');
+            var isConnections = (pageType === 'connections');
+            var isCompanies = (pageType === 'companies');
+            var isMyJobs = (pageType === 'myJobs');
 
-            document.body.appendChild(link);
-            link.click();
+            // Create the main container
+            this.panel = document.createElement('div');
+            this.panel.className = 'lisesca-panel';
 
-            setTimeout(function() {
-                document.body.removeChild(link);
-                URL.revokeObjectURL(url);
-            }, 1000);
+            // --- Top bar ---
+            var topbar = document.createElement('div');
+            topbar.className = 'lisesca-topbar';
 
-            console.log('[LiSeSca] File download triggered: ' + filename);
-        },
+            // SCRAPE button — color depends on page type
+            var scrapeBtn = document.createElement('button');
+            scrapeBtn.className = 'lisesca-scrape-btn' + ((isJobs || isJobView || isMyJobs) ? ' lisesca-scrape-btn--jobs' : '');
+            scrapeBtn.textContent = isJobView ? 'CAPTURE' : 'SCRAPE';
+            scrapeBtn.addEventListener('click', function() {
+                UI.toggleMenu();
+            });
 
-        /**
-         * Generate output files in the selected formats and trigger downloads.
-         * @param {Array} profiles - Array of profile data objects.
-         */
-        downloadResults: function(profiles) {
-            if (!profiles || profiles.length === 0) {
-                console.warn('[LiSeSca] No profiles to download.');
-                return;
-            }
+            // Gear icon — opens configuration
+            var gearBtn = document.createElement('button');
+            gearBtn.className = 'lisesca-gear-btn';
+            gearBtn.innerHTML = '&#9881;';
+            gearBtn.title = 'Configuration';
+            gearBtn.addEventListener('click', function() {
+                UI.showConfig();
+            });
 
-            var formats = State.getFormats();
-            console.log('[LiSeSca] Downloading in formats: ' + formats.join(', '));
+            topbar.appendChild(scrapeBtn);
+            topbar.appendChild(gearBtn);
 
-            var self = this;
-            var delayMs = 0;
+            // --- Dropdown menu ---
+            this.menu = document.createElement('div');
+            this.menu.className = 'lisesca-menu';
 
-            if (formats.indexOf('xlsx') !== -1) {
-                setTimeout(function() {
-                    var xlsxData = self.generateXLSX(profiles);
-                    var xlsxFilename = self.buildFilename('xlsx');
-                    self.downloadFile(
-                        xlsxData,
-                        xlsxFilename,
-                        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-                    );
-                }, delayMs);
-                delayMs += 200;
+            // "Pages to scrape" label
+            var label = document.createElement('div');
+            label.className = 'lisesca-menu-label';
+            label.textContent = 'Pages to scrape:';
+            if (isCompanyPeople) {
+                label.title = 'A page is the first set of people or one "Show more results" load';
+            } else if (isConnections) {
+                label.title = 'A page is the first set of connections or one load of more on scrolling';
             }
 
-            if (formats.indexOf('csv') !== -1) {
-                setTimeout(function() {
-                    var csvContent = self.generateCSV(profiles);
-                    var csvFilename = self.buildFilename('csv');
-                    self.downloadFile(csvContent, csvFilename, 'text/csv;charset=utf-8');
-                }, delayMs);
-                delayMs += 200;
-            }
+            // Page count selector — different options for people vs jobs
+            var select = document.createElement('select');
+            select.className = 'lisesca-select';
+            select.id = 'lisesca-page-select';
 
-            if (formats.indexOf('md') !== -1) {
-                setTimeout(function() {
-                    var markdown = self.generateMarkdown(profiles);
-                    var mdFilename = self.buildFilename('md');
-                    self.downloadFile(markdown, mdFilename, 'text/markdown;charset=utf-8');
-                }, delayMs);
-            }
-        }
-    };
+            var options;
+            if (isJobs) {
+                // Try to read total results count from the page subtitle
+                var totalJobsText = '';
+                var subtitleEl = document.querySelector('.jobs-search-results-list__subtitle span');
+                var totalJobs = 0;
+                if (subtitleEl) {
+                    totalJobsText = (subtitleEl.textContent || '').trim();
+                    var match = totalJobsText.match(/^([\d,]+)\s+result/);
+                    if (match) {
+                        totalJobs = parseInt(match[1].replace(/,/g, ''), 10);
+                    }
+                }
+                var totalPages = totalJobs > 0
+                    ? Math.ceil(totalJobs / JobPaginator.JOBS_PER_PAGE)
+                    : 0;
 
-    // ===== TURNDOWN SERVICE =====
-    // Shared HTML-to-Markdown converter instance for job descriptions.
-    // Turndown is loaded via @require from CDN.
-    //
-    // IMPORTANT: LinkedIn enforces Trusted Types, a browser security policy
-    // that blocks direct innerHTML assignment. Turndown internally uses
-    // innerHTML when given an HTML string, which triggers a Trusted Types
-    // violation and crashes with "Cannot read properties of null ('firstChild')".
-    //
-    // To work around this, we use two strategies:
-    // 1. Pass live DOM nodes to Turndown (preferred — no innerHTML needed)
-    // 2. For HTML strings, use DOMParser to create a separate Document context
-    //    that is NOT subject to the page's Trusted Types policy, then pass
-    //    the parsed DOM node to Turndown.
-    var turndownService = null;
+                // Build the "All" label with page count if available
+                var allLabel = 'All';
+                if (totalJobs > 0) {
+                    allLabel = 'All (' + totalPages + 'p)';
+                }
 
-    /**
-     * Get or create the shared TurndownService instance.
-     * Lazy initialization in case Turndown is loaded after our IIFE runs.
-     * @returns {TurndownService|null} The Turndown instance, or null if not available.
-     */
-    function getTurndownService() {
-        if (turndownService) {
-            return turndownService;
-        }
-        if (typeof TurndownService !== 'undefined') {
-            turndownService = new TurndownService({
-                headingStyle: 'atx',
-                bulletListMarker: '-'
+                options = [
+                    { value: '1', text: '1' },
+                    { value: '3', text: '3' },
+                    { value: '5', text: '5' },
+                    { value: '10', text: '10' },
+                    { value: 'all', text: allLabel }
+                ];
+            } else {
+                options = [
+                    { value: '1', text: '1' },
+                    { value: '10', text: '10' },
+                    { value: '50', text: '50' },
+                    { value: 'all', text: 'All' }
+                ];
+            }
+            options.forEach(function(opt) {
+                var option = document.createElement('option');
+                option.value = opt.value;
+                option.textContent = opt.text;
+                select.appendChild(option);
             });
-            return turndownService;
-        }
-        console.warn('[LiSeSca] TurndownService not available.');
-        return null;
-    }
+            // The connections list and the job tracker are usually exported as a whole
+            if (isConnections || isMyJobs) {
+                select.value = 'all';
+            }
 
-    /**
-     * Safely convert HTML to Markdown, bypassing LinkedIn's Trusted Types policy.
-     * Accepts either a DOM node or an HTML string.
-     *
-     * When given a DOM node: passes it directly to Turndown (no innerHTML involved).
-     * When given a string: uses DOMParser to build a DOM tree in a separate document
-     * context that is not subject to the page's Trusted Types restrictions, then
-     * passes the resulting node to Turndown.
-     *
-     * @param {HTMLElement|string} input - A live DOM element or an HTML string.
-     * @returns {string} The Markdown text, or plain text fallback, or empty string.
-     */
-    function htmlToMarkdown(input) {
-        if (!input) {
-            return '';
-        }
+            // --- Format selection checkboxes ---
+            var fmtLabel = document.createElement('div');
+            fmtLabel.className = 'lisesca-fmt-label';
+            fmtLabel.textContent = 'Save as:';
 
-        var td = getTurndownService();
-        if (!td) {
-            // Fallback: extract plain text if Turndown is not available
-            if (typeof input === 'string') {
-                var tempParser = new DOMParser();
-                var tempDoc = tempParser.parseFromString(input, 'text/html');
-                return (tempDoc.body.textContent || '').trim();
-            }
-            return (input.textContent || '').trim();
-        }
+            var fmtRow = document.createElement('div');
+            fmtRow.className = 'lisesca-fmt-row';
 
-        // If input is already a DOM node, pass it directly to Turndown
-        if (typeof input !== 'string') {
-            return td.turndown(input);
-        }
+            // XLSX checkbox (checked by default)
+            fmtRow.appendChild(this._createFormatCheckbox('xlsx', 'XLSX', true));
 
-        // For HTML strings, parse via DOMParser to avoid Trusted Types violations.
-        // DOMParser creates an entirely separate Document that does not inherit
-        // the page's Content Security Policy or Trusted Types restrictions.
-        var parser = new DOMParser();
-        var doc = parser.parseFromString(input, 'text/html');
-        return td.turndown(doc.body);
-    }
+            fmtRow.appendChild(this._createFormatCheckbox('csv', 'CSV', false));
 
-    // ===== JOB DATA EXTRACTION =====
-    // Extracts job data from the left-panel cards and right-panel detail view.
-    // The flow is: click a card → wait for detail panel → extract all fields.
+            // Markdown, Markdown bundle, HTML, JSON and JSON Lines checkboxes (unchecked by default)
+            fmtRow.appendChild(this._createFormatCheckbox('md', 'Markdown', false));
+            fmtRow.appendChild(this._createFormatCheckbox('mdzip', 'MD bundle', false));
+            fmtRow.appendChild(this._createFormatCheckbox('html', 'HTML', false));
+            fmtRow.appendChild(this._createFormatCheckbox('json', 'JSON', false));
+            fmtRow.appendChild(this._createFormatCheckbox('jsonl', 'JSONL', false));
 
-    const JobExtractor = {
-        /**
-         * Ensure a job card is rendered and return it along with its shell.
-         * @param {string} jobId - The job ID to locate.
-         * @returns {Promise<Object>} { card: HTMLElement|null, shell: HTMLElement|null }
-         */
-        getRenderedCard: function(jobId) {
-            var card = document.querySelector('div[data-job-id="' + jobId + '"]');
-            if (card) {
-                return Promise.resolve({ card: card, shell: null });
+            // vCard is only meaningful for people
+            if (!isJobs && !isJobView && !isCompanies && !isMyJobs) {
+                fmtRow.appendChild(this._createFormatCheckbox('vcf', 'vCard', false));
             }
 
-            var shell = document.querySelector('li[data-occludable-job-id="' + jobId + '"]');
-            if (!shell) {
-                return Promise.resolve({ card: null, shell: null });
-            }
+            var includeViewedRow = null;
+            var includeViewedCheck = null;
+            var includeFirstRow = null;
+            var aiEnabledRow = null;
+            var aiEnabledCheck = null;
+            var fullAIRow = null;
+            var fullAICheck = null;
+            var peopleAIEnabledRow = null;
+            var peopleAIEnabledCheck = null;
+            var visitProfilesRow = null;
+            var visitCompaniesRow = null;
+            var visitJobsRow = null;
+            if (isJobs) {
+                includeViewedRow = document.createElement('div');
+                includeViewedRow.className = 'lisesca-toggle-row';
 
-            shell.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                var includeViewedLabel = document.createElement('label');
+                includeViewedLabel.className = 'lisesca-checkbox-label';
+                includeViewedCheck = document.createElement('input');
+                includeViewedCheck.type = 'checkbox';
+                includeViewedCheck.id = 'lisesca-include-viewed';
+                includeViewedCheck.checked = State.getIncludeViewed();
+                includeViewedLabel.appendChild(includeViewedCheck);
+                includeViewedLabel.appendChild(document.createTextNode('Include viewed'));
+                includeViewedRow.appendChild(includeViewedLabel);
 
-            var maxAttempts = 20;  // 20 * 200ms = 4 seconds max wait
-            var attempt = 0;
+                // "Include 1st on page" checkbox (sub-option of Include viewed)
+                includeFirstRow = document.createElement('div');
+                includeFirstRow.className = 'lisesca-toggle-row';
+                includeFirstRow.id = 'lisesca-include-first-row';
+                includeFirstRow.style.marginLeft = '16px';  // Visual hierarchy (indented)
+                // Visible only when AI is OFF and "Include viewed" is unchecked
+                var initialIncludeFirstVisible = !State.getAIEnabled() && !includeViewedCheck.checked;
+                includeFirstRow.style.display = initialIncludeFirstVisible ? 'flex' : 'none';
 
-            function waitForRender() {
-                attempt++;
-                return Emulator.randomDelay(150, 250).then(function() {
-                    var rendered = document.querySelector('div[data-job-id="' + jobId + '"]');
-                    if (rendered) {
-                        return rendered;
-                    }
-                    if (attempt >= maxAttempts) {
-                        console.warn('[LiSeSca] Card ' + jobId + ' did not render after ' + attempt + ' attempts.');
-                        return null;
-                    }
-                    return waitForRender();
-                });
-            }
+                var includeFirstLabel = document.createElement('label');
+                includeFirstLabel.className = 'lisesca-checkbox-label';
 
-            return waitForRender().then(function(renderedCard) {
-                return { card: renderedCard, shell: shell };
-            });
-        },
-
-        /**
-         * Check if a job card is marked as "Viewed" or "Applied".
-         * @param {string} jobId - The job ID to check.
-         * @returns {Promise<boolean>} True if the card shows "Viewed" or "Applied".
-         */
-        isJobViewed: function(jobId) {
-            var self = this;
-            return self.getRenderedCard(jobId).then(function(result) {
-                if (!result.card) {
-                    return false;
-                }
-                var stateEl = result.card.querySelector(JobSelectors.CARD_FOOTER_JOB_STATE);
-                if (!stateEl) {
-                    return false;
-                }
-                var stateText = (stateEl.textContent || '').trim();
-                return stateText.match(/viewed|applied/i) ? true : false;
-            });
-        },
+                var includeFirstCheck = document.createElement('input');
+                includeFirstCheck.type = 'checkbox';
+                includeFirstCheck.id = 'lisesca-include-first-on-page';
+                includeFirstCheck.checked = State.getIncludeFirstOnPage();
+                includeFirstCheck.addEventListener('change', function() {
+                    State.saveIncludeFirstOnPage(includeFirstCheck.checked);
+                });
 
-        /**
-         * Wait for job cards to appear in the DOM.
-         * Polls for up to 10 seconds.
-         * @returns {Promise<NodeList>} The list of job card elements.
-         */
-        waitForJobCards: function() {
-            return new Promise(function(resolve, reject) {
-                var maxWaitMs = 10000;
-                var pollIntervalMs = 500;
-                var elapsed = 0;
+                includeFirstLabel.appendChild(includeFirstCheck);
+                includeFirstLabel.appendChild(document.createTextNode('Include 1st on page'));
+                includeFirstRow.appendChild(includeFirstLabel);
 
-                var poll = setInterval(function() {
-                    var cards = document.querySelectorAll(JobSelectors.JOB_CARD);
-                    if (cards.length > 0) {
-                        clearInterval(poll);
-                        console.log('[LiSeSca] Found ' + cards.length + ' job cards.');
-                        resolve(cards);
-                        return;
-                    }
-                    elapsed += pollIntervalMs;
-                    if (elapsed >= maxWaitMs) {
-                        clearInterval(poll);
-                        console.warn('[LiSeSca] No job cards found after ' + maxWaitMs + 'ms.');
-                        reject(new Error('No job cards found on this page.'));
+                // "Include viewed" change handler — controls includeFirstRow visibility
+                includeViewedCheck.addEventListener('change', function() {
+                    State.saveIncludeViewed(includeViewedCheck.checked);
+                    // Show "Include 1st on page" only when Include viewed is OFF and AI is OFF
+                    if (!includeViewedCheck.checked && !aiEnabledCheck.checked) {
+                        includeFirstRow.style.display = 'flex';
+                    } else {
+                        includeFirstRow.style.display = 'none';
                     }
-                }, pollIntervalMs);
-            });
-        },
+                });
 
-        /**
-         * Get job IDs from fully-rendered cards in the DOM (snapshot).
-         * LinkedIn virtualizes the job list — only ~7-8 cards have inner content
-         * at a time. This method only finds those rendered cards.
-         * Use discoverAllJobIds() to get ALL job IDs from the shell <li> elements.
-         * @returns {Array<string>} Array of job ID strings from rendered cards only.
-         */
-        getJobIds: function() {
-            var cards = document.querySelectorAll(JobSelectors.JOB_CARD);
-            var ids = [];
-            cards.forEach(function(card) {
-                var jobId = card.getAttribute('data-job-id');
-                if (jobId) {
-                    ids.push(jobId);
+                // AI job selection toggle
+                aiEnabledRow = document.createElement('div');
+                aiEnabledRow.className = 'lisesca-toggle-row';
+
+                var aiEnabledLabel = document.createElement('label');
+                aiEnabledLabel.className = 'lisesca-checkbox-label';
+
+                // Disable if AI is not configured
+                var aiConfigured = CONFIG.isAIConfigured();
+                if (!aiConfigured) {
+                    aiEnabledLabel.classList.add('lisesca-disabled');
                 }
-            });
-            return ids;
-        },
 
-        /**
-         * Discover all job IDs on the page using the outer <li> shell elements.
-         * LinkedIn virtualizes the job list — only ~7 cards have fully rendered
-         * inner content at a time, but ALL jobs have lightweight <li> shells
-         * with data-occludable-job-id attributes present in the DOM from the start.
-         *
-         * After a page navigation, Ember may not have inserted all shells yet
-         * when the first rendered cards appear. So we poll until the shell count
-         * stabilizes (same count for 3 consecutive checks).
-         * @returns {Promise<Array<string>>} Array of all discovered job ID strings.
-         */
-        discoverAllJobIds: function() {
-            var self = this;
-            var previousCount = 0;
-            var stableChecks = 0;
-            var requiredStable = 3;  // Must see same count 3 times in a row
-            var maxAttempts = 20;    // 20 * 300ms = 6 seconds max
-            var attempt = 0;
+                aiEnabledCheck = document.createElement('input');
+                aiEnabledCheck.type = 'checkbox';
+                aiEnabledCheck.id = 'lisesca-ai-enabled';
+                aiEnabledCheck.checked = aiConfigured && State.getAIEnabled();
+                aiEnabledCheck.disabled = !aiConfigured;
 
-            /**
-             * Collect IDs from shell elements and check if count has stabilized.
-             * @returns {Promise<Array<string>>} Resolved when stable.
-             */
-            function pollUntilStable() {
-                attempt++;
-                var listItems = document.querySelectorAll(JobSelectors.JOB_LIST_ITEM);
-                var currentCount = listItems.length;
+                aiEnabledLabel.appendChild(aiEnabledCheck);
+                aiEnabledLabel.appendChild(document.createTextNode('AI job selection'));
+                aiEnabledRow.appendChild(aiEnabledLabel);
 
-                if (currentCount === previousCount && currentCount > 0) {
-                    stableChecks++;
-                } else {
-                    stableChecks = 0;
-                    previousCount = currentCount;
-                }
+                // Full AI evaluation toggle (indented, only visible when AI enabled)
+                fullAIRow = document.createElement('div');
+                fullAIRow.className = 'lisesca-toggle-row';
+                fullAIRow.id = 'lisesca-full-ai-row';
+                fullAIRow.style.marginLeft = '16px';  // Visual hierarchy (indented)
+                fullAIRow.style.display = (aiConfigured && aiEnabledCheck.checked) ? 'flex' : 'none';
 
-                if (stableChecks >= requiredStable || attempt >= maxAttempts) {
-                    // Collect the final set of IDs
-                    var allIds = [];
-                    listItems.forEach(function(li) {
-                        var jobId = li.getAttribute('data-occludable-job-id');
-                        if (jobId && allIds.indexOf(jobId) === -1) {
-                            allIds.push(jobId);
-                        }
-                    });
+                var fullAILabel = document.createElement('label');
+                fullAILabel.className = 'lisesca-checkbox-label';
 
-                    console.log('[LiSeSca] Discovered ' + allIds.length + ' job IDs from list item shells'
-                        + ' (stabilized after ' + attempt + ' checks).');
+                fullAICheck = document.createElement('input');
+                fullAICheck.type = 'checkbox';
+                fullAICheck.id = 'lisesca-full-ai-enabled';
+                fullAICheck.checked = aiConfigured && State.getFullAIEnabled();
+                fullAICheck.disabled = !aiConfigured;
 
-                    // Fallback: if no occludable shells found, try rendered cards directly
-                    if (allIds.length === 0) {
-                        allIds = self.getJobIds();
-                        console.log('[LiSeSca] Fallback: found ' + allIds.length + ' job IDs from rendered cards.');
+                // Auto-uncheck "Include viewed" when Full AI is enabled
+                fullAICheck.addEventListener('change', function() {
+                    State.saveFullAIEnabled(fullAICheck.checked);
+                    if (fullAICheck.checked && includeViewedCheck) {
+                        includeViewedCheck.checked = false;
+                        State.saveIncludeViewed(false);
                     }
+                });
 
-                    return Promise.resolve(allIds);
-                }
+                fullAILabel.appendChild(fullAICheck);
+                fullAILabel.appendChild(document.createTextNode('Full AI evaluation'));
+                fullAIRow.appendChild(fullAILabel);
 
-                return Emulator.randomDelay(250, 350).then(function() {
-                    return pollUntilStable();
+                // AI enabled toggle controls Full AI row and includeFirstRow visibility
+                aiEnabledCheck.addEventListener('change', function() {
+                    State.saveAIEnabled(aiEnabledCheck.checked);
+                    // Show/hide Full AI row based on AI enabled state
+                    if (aiEnabledCheck.checked) {
+                        fullAIRow.style.display = 'flex';
+                        // Hide "Include 1st on page" when AI is ON
+                        includeFirstRow.style.display = 'none';
+                    } else {
+                        fullAIRow.style.display = 'none';
+                        // Also disable Full AI when AI is disabled
+                        fullAICheck.checked = false;
+                        State.saveFullAIEnabled(false);
+                        // Show "Include 1st on page" if Include viewed is also unchecked
+                        if (!includeViewedCheck.checked) {
+                            includeFirstRow.style.display = 'flex';
+                        }
+                    }
+                });
+            } else if (isCompanies) {
+                // Company enrichment toggle: open each saved company's About page after the search pages
+                visitCompaniesRow = document.createElement('div');
+                visitCompaniesRow.className = 'lisesca-toggle-row';
+
+                var visitCompaniesLabel = document.createElement('label');
+                visitCompaniesLabel.className = 'lisesca-checkbox-label';
+                visitCompaniesLabel.title = 'Open each saved company\'s About page to read website, size, headquarters, founded year and specialties';
+
+                var visitCompaniesCheck = document.createElement('input');
+                visitCompaniesCheck.type = 'checkbox';
+                visitCompaniesCheck.id = 'lisesca-visit-companies';
+                visitCompaniesCheck.checked = State.getVisitCompanies();
+                visitCompaniesCheck.addEventListener('change', function() {
+                    State.saveVisitCompanies(visitCompaniesCheck.checked);
                 });
-            }
 
-            return pollUntilStable();
-        },
+                visitCompaniesLabel.appendChild(visitCompaniesCheck);
+                visitCompaniesLabel.appendChild(document.createTextNode('Visit company pages'));
+                visitCompaniesRow.appendChild(visitCompaniesLabel);
+            } else if (isMyJobs) {
+                // Job enrichment toggle: open each saved job's page after the list pages
+                visitJobsRow = document.createElement('div');
+                visitJobsRow.className = 'lisesca-toggle-row';
+
+                var visitJobsLabel = document.createElement('label');
+                visitJobsLabel.className = 'lisesca-checkbox-label';
+                visitJobsLabel.title = 'Open each job to read the description, salary, skills and hiring team, as in a job search scrape';
+
+                var visitJobsCheck = document.createElement('input');
+                visitJobsCheck.type = 'checkbox';
+                visitJobsCheck.id = 'lisesca-visit-jobs';
+                visitJobsCheck.checked = State.getVisitJobs();
+                visitJobsCheck.addEventListener('change', function() {
+                    State.saveVisitJobs(visitJobsCheck.checked);
+                });
 
-        /**
-         * Extract basic data from a job card element (left panel only).
-         * @param {HTMLElement} card - The job card div with data-job-id.
-         * @returns {Object} Basic job data: jobId, jobTitle, company, location, directLink.
-         */
-        extractCardBasics: function(card) {
-            var jobId = card.getAttribute('data-job-id') || '';
+                visitJobsLabel.appendChild(visitJobsCheck);
+                visitJobsLabel.appendChild(document.createTextNode('Open each job'));
+                visitJobsRow.appendChild(visitJobsLabel);
+            } else if (!isJobView) {
+                // AI people rating toggle
+                peopleAIEnabledRow = document.createElement('div');
+                peopleAIEnabledRow.className = 'lisesca-toggle-row';
 
-            // Job title from the card's title link
-            var titleLink = card.querySelector(JobSelectors.CARD_TITLE_LINK);
-            var jobTitle = '';
-            var directLink = '';
-            if (titleLink) {
-                // The aria-label often has the cleanest title text
-                jobTitle = (titleLink.getAttribute('aria-label') || '').trim();
-                // Remove " with verification" suffix that LinkedIn adds
-                jobTitle = jobTitle.replace(/\s+with verification\s*$/i, '').trim();
-                // Fall back to text content if aria-label is empty
-                if (!jobTitle) {
-                    // Get just the strong/text content, avoiding SVG text
-                    var strongEl = titleLink.querySelector('strong');
-                    jobTitle = strongEl ? (strongEl.textContent || '').trim() : (titleLink.textContent || '').trim();
+                var peopleAIEnabledLabel = document.createElement('label');
+                peopleAIEnabledLabel.className = 'lisesca-checkbox-label';
+
+                var peopleAIConfigured = CONFIG.isPeopleAIConfigured();
+                if (!peopleAIConfigured) {
+                    peopleAIEnabledLabel.classList.add('lisesca-disabled');
                 }
-                // Build clean job link
-                directLink = 'https://www.linkedin.com/jobs/view/' + jobId + '/';
-            }
 
-            // Company name from the subtitle span
-            var companyEl = card.querySelector(JobSelectors.CARD_COMPANY);
-            var company = companyEl ? (companyEl.textContent || '').trim() : '';
+                peopleAIEnabledCheck = document.createElement('input');
+                peopleAIEnabledCheck.type = 'checkbox';
+                peopleAIEnabledCheck.id = 'lisesca-people-ai-enabled';
+                peopleAIEnabledCheck.checked = peopleAIConfigured && State.getPeopleAIEnabled();
+                peopleAIEnabledCheck.disabled = !peopleAIConfigured;
 
-            // Location from the metadata list
-            var metadataEl = card.querySelector(JobSelectors.CARD_METADATA);
-            var location = metadataEl ? (metadataEl.textContent || '').trim() : '';
+                peopleAIEnabledCheck.addEventListener('change', function() {
+                    State.savePeopleAIEnabled(peopleAIEnabledCheck.checked);
+                });
 
-            // Insight text (e.g. "3 connections work here", "You'd be a top applicant")
-            var insightEl = card.querySelector(JobSelectors.CARD_INSIGHT);
-            var insight = insightEl ? (insightEl.textContent || '').trim() : '';
+                peopleAIEnabledLabel.appendChild(peopleAIEnabledCheck);
+                peopleAIEnabledLabel.appendChild(document.createTextNode('AI Rating'));
+                peopleAIEnabledRow.appendChild(peopleAIEnabledLabel);
 
-            // Viewed state from the card footer (if present)
-            var viewedEl = card.querySelector(JobSelectors.CARD_FOOTER_JOB_STATE);
-            var stateText = viewedEl ? (viewedEl.textContent || '').trim() : '';
-            var viewed = stateText.match(/viewed|applied/i) ? true : false;
+                // Profile deep-visit toggle: open each saved profile after the search pages
+                visitProfilesRow = document.createElement('div');
+                visitProfilesRow.className = 'lisesca-toggle-row';
 
-            return {
-                jobId: jobId,
-                jobTitle: jobTitle,
-                company: company,
-                location: location,
-                directLink: directLink,
-                cardInsight: insight,
-                viewed: viewed,
-                jobState: stateText
-            };
-        },
+                var visitProfilesLabel = document.createElement('label');
+                visitProfilesLabel.className = 'lisesca-checkbox-label';
+                visitProfilesLabel.title = 'Open each saved profile to read experience, education, skills and About';
 
-        /**
-         * Format job card basics as Markdown for AI evaluation.
-         * Produces a concise summary for the AI to evaluate relevance.
-         * @param {Object} cardData - The card data from extractCardBasics.
-         * @returns {string} Markdown-formatted job card summary.
-         */
-        formatCardForAI: function(cardData) {
-            var lines = [
-                '## ' + (cardData.jobTitle || 'Unknown Title'),
-                '**Company:** ' + (cardData.company || 'Unknown'),
-                '**Location:** ' + (cardData.location || 'Not specified')
-            ];
+                var visitProfilesCheck = document.createElement('input');
+                visitProfilesCheck.type = 'checkbox';
+                visitProfilesCheck.id = 'lisesca-visit-profiles';
+                visitProfilesCheck.checked = State.getVisitProfiles();
+                visitProfilesCheck.addEventListener('change', function() {
+                    State.saveVisitProfiles(visitProfilesCheck.checked);
+                });
 
-            if (cardData.cardInsight) {
-                lines.push('**Insight:** ' + cardData.cardInsight);
+                visitProfilesLabel.appendChild(visitProfilesCheck);
+                visitProfilesLabel.appendChild(document.createTextNode('Visit profiles'));
+                visitProfilesRow.appendChild(visitProfilesLabel);
             }
 
-            return lines.join('\n');
-        },
+            // GO button — dispatches to the correct controller
+            var goBtn = document.createElement('button');
+            goBtn.className = 'lisesca-go-btn';
+            goBtn.textContent = 'GO';
+            goBtn.addEventListener('click', function() {
+                var pageSelect = document.getElementById('lisesca-page-select');
+                var selectedValue = pageSelect.value;
+                console.log('[LiSeSca] GO pressed, pages=' + selectedValue + ', pageType=' + pageType);
 
-        /**
-         * Click a job card to load its detail panel on the right.
-         * LinkedIn virtualizes the job list — only ~7-8 cards have rendered
-         * inner content at a time. The rest are empty <li> shells with
-         * data-occludable-job-id. To click a non-rendered card, we first
-         * scroll its <li> shell into view to trigger Ember.js rendering,
-         * then wait for the inner div[data-job-id] to appear, then click.
-         * @param {string} jobId - The job ID to click.
-         * @returns {Promise<void>}
-         */
-        clickJobCard: function(jobId) {
-            return this.getRenderedCard(jobId).then(function(result) {
-                if (!result.card && result.shell) {
-                    console.log('[LiSeSca] Clicking shell <li> as fallback for ' + jobId);
-                    result.shell.click();
-                    return;
+                if (isJobs) {
+                    State.saveIncludeViewed(State.readIncludeViewedFromUI());
+                    State.saveIncludeFirstOnPage(State.readIncludeFirstOnPageFromUI());
+                    JobController$1.startScraping(selectedValue);
+                } else if (isCompanies) {
+                    CompanyController$1.startScraping(selectedValue);
+                } else if (isMyJobs) {
+                    MyJobsController$1.startScraping(selectedValue);
+                } else {
+                    Controller$1.startScraping(selectedValue);
                 }
+            });
 
-                if (!result.card) {
-                    console.warn('[LiSeSca] No card rendered for job ' + jobId);
-                    return;
+            if (isJobView) {
+                this.appendJobViewMenu(fmtLabel, fmtRow);
+            } else {
+                this.menu.appendChild(label);
+                this.menu.appendChild(select);
+                this.menu.appendChild(fmtLabel);
+                this.menu.appendChild(fmtRow);
+                if (includeViewedRow) {
+                    this.menu.appendChild(includeViewedRow);
                 }
-
-                var titleLink = result.card.querySelector(JobSelectors.CARD_TITLE_LINK);
-                if (titleLink) {
-                    titleLink.click();
-                } else {
-                    result.card.click();
+                if (includeFirstRow) {
+                    this.menu.appendChild(includeFirstRow);
+                }
+                if (aiEnabledRow) {
+                    this.menu.appendChild(aiEnabledRow);
+                }
+                if (fullAIRow) {
+                    this.menu.appendChild(fullAIRow);
+                }
+                if (peopleAIEnabledRow) {
+                    this.menu.appendChild(peopleAIEnabledRow);
+                }
+                if (visitProfilesRow) {
+                    this.menu.appendChild(visitProfilesRow);
                 }
+                if (visitCompaniesRow) {
+                    this.menu.appendChild(visitCompaniesRow);
+                }
+                if (visitJobsRow) {
+                    this.menu.appendChild(visitJobsRow);
+                }
+                this.menu.appendChild(goBtn);
+            }
 
-                console.log('[LiSeSca] Clicked job card: ' + jobId);
+            // --- Status area ---
+            this.statusArea = document.createElement('div');
+            this.statusArea.className = 'lisesca-status';
+
+            var progressText = document.createElement('div');
+            progressText.id = 'lisesca-status-progress';
+            progressText.className = 'lisesca-status-progress';
+            progressText.textContent = '';
+
+            // AI stats display (shown when AI filtering is active)
+            var aiStatsText = document.createElement('div');
+            aiStatsText.id = 'lisesca-ai-stats';
+            aiStatsText.className = 'lisesca-ai-stats';
+            aiStatsText.textContent = '';
+
+            var statusText = document.createElement('div');
+            statusText.id = 'lisesca-status-text';
+            statusText.textContent = 'Initializing...';
+
+            var stopBtn = document.createElement('button');
+            stopBtn.className = 'lisesca-stop-btn';
+            stopBtn.textContent = 'STOP';
+            stopBtn.addEventListener('click', function() {
+                // Dispatch to the correct controller based on active scrape mode
+                UI.getActiveController().stopScraping();
             });
-        },
 
-        /**
-         * Wait for the detail panel to load content for a specific job.
-         * Polls until the detail panel title matches the expected job, or times out.
-         * @param {string} jobId - The job ID we expect to see in the detail panel.
-         * @returns {Promise<boolean>} True if detail loaded, false if timed out.
-         */
-        waitForDetailPanel: function(jobId) {
-            return new Promise(function(resolve) {
-                var maxWaitMs = 8000;
-                var pollIntervalMs = 400;
-                var elapsed = 0;
+            this.statusArea.appendChild(progressText);
+            this.statusArea.appendChild(aiStatsText);
+            this.statusArea.appendChild(statusText);
+            this.statusArea.appendChild(stopBtn);
 
-                var poll = setInterval(function() {
-                    var detailTitle = document.querySelector(JobSelectors.DETAIL_TITLE);
-                    if (detailTitle) {
-                        // 1. Check if there's a link inside the title that contains our job ID
-                        var titleLink = detailTitle.querySelector('a');
-                        if (titleLink) {
-                            var href = titleLink.getAttribute('href') || '';
-                            if (href.indexOf(jobId) !== -1) {
-                                clearInterval(poll);
-                                console.log('[LiSeSca] Detail panel loaded for job: ' + jobId);
-                                resolve(true);
-                                return;
-                            }
-                        }
-                        
-                        // 2. Check the data-job-id or trigger attribute on the container
-                        var triggerEl = document.querySelector('[data-job-details-events-trigger]');
-                        if (triggerEl) {
-                            var triggerAttr = triggerEl.getAttribute('data-job-details-events-trigger') || '';
-                            if (triggerAttr.indexOf(jobId) !== -1) {
-                                clearInterval(poll);
-                                console.log('[LiSeSca] Detail panel loaded for job (by trigger): ' + jobId);
-                                resolve(true);
-                                return;
-                            }
-                        }
+            // --- No-results notification area ---
+            this.noResultsArea = document.createElement('div');
+            this.noResultsArea.className = 'lisesca-no-results';
+            this.noResultsArea.id = 'lisesca-no-results';
 
-                        // 3. Check for job ID in the Apply button
-                        var applyBtn = document.querySelector('.jobs-apply-button');
-                        if (applyBtn) {
-                            var applyAttr = applyBtn.getAttribute('data-job-id') || '';
-                            if (applyAttr && applyAttr.indexOf(jobId) !== -1) {
-                                clearInterval(poll);
-                                console.log('[LiSeSca] Detail panel loaded for job (by apply button): ' + jobId);
-                                resolve(true);
-                                return;
-                            }
-                        }
-                    }
+            var noResultsIcon = document.createElement('div');
+            noResultsIcon.className = 'lisesca-no-results-icon';
+            noResultsIcon.textContent = '\u2205'; // Empty set symbol
 
-                    elapsed += pollIntervalMs;
-                    if (elapsed >= maxWaitMs) {
-                        clearInterval(poll);
-                        console.warn('[LiSeSca] Detail panel did not load for job ' + jobId + ' after ' + maxWaitMs + 'ms. Skipping.');
-                        resolve(false);
-                    }
-                }, pollIntervalMs);
+            var noResultsTitle = document.createElement('div');
+            noResultsTitle.className = 'lisesca-no-results-title';
+            noResultsTitle.id = 'lisesca-no-results-title';
+            noResultsTitle.textContent = 'No matching jobs found';
+
+            var noResultsStats = document.createElement('div');
+            noResultsStats.className = 'lisesca-no-results-stats';
+            noResultsStats.id = 'lisesca-no-results-stats';
+            noResultsStats.textContent = '';
+
+            var noResultsBtn = document.createElement('button');
+            noResultsBtn.className = 'lisesca-no-results-btn';
+            noResultsBtn.textContent = 'OK';
+            noResultsBtn.addEventListener('click', function() {
+                UI.hideNoResults();
             });
+
+            this.noResultsArea.appendChild(noResultsIcon);
+            this.noResultsArea.appendChild(noResultsTitle);
+            this.noResultsArea.appendChild(noResultsStats);
+            this.noResultsArea.appendChild(noResultsBtn);
+
+            // --- Assemble panel ---
+            this.panel.appendChild(topbar);
+            this.panel.appendChild(this.menu);
+            this.panel.appendChild(this.statusArea);
+            this.panel.appendChild(this.noResultsArea);
+
+            document.body.appendChild(this.panel);
+            console.log('[LiSeSca] UI panel injected (' + pageType + ' mode).');
         },
 
         /**
-         * Click "Show more" or "show more" buttons in the detail panel
-         * to expand collapsed content sections.
-         * @returns {Promise<void>}
+         * Fill the dropdown menu of a standalone job page: capture the job into
+         * the job clipboard, and export or clear the clipboard.
+         * @param {Element} fmtLabel - The "Save as:" label.
+         * @param {Element} fmtRow - The export format checkboxes.
          */
-        clickShowMore: function() {
-            var buttons = document.querySelectorAll(JobSelectors.DETAIL_SHOW_MORE);
-            var clicked = false;
-            buttons.forEach(function(btn) {
-                var text = (btn.textContent || '').trim().toLowerCase();
-                if (text.indexOf('show more') !== -1 || text.indexOf('see more') !== -1) {
-                    btn.click();
-                    clicked = true;
+        appendJobViewMenu: function(fmtLabel, fmtRow) {
+            var captureBtn = document.createElement('button');
+            captureBtn.className = 'lisesca-go-btn';
+            captureBtn.textContent = 'Capture this job';
+
+            // Full AI evaluation of the captured job (verdict recorded, job kept either way)
+            var aiRow = document.createElement('div');
+            aiRow.className = 'lisesca-toggle-row';
+            aiRow.style.marginTop = '8px';
+
+            var aiLabel = document.createElement('label');
+            aiLabel.className = 'lisesca-checkbox-label';
+            var aiConfigured = CONFIG.isAIConfigured();
+            if (!aiConfigured) {
+                aiLabel.classList.add('lisesca-disabled');
+            }
+
+            var aiCheck = document.createElement('input');
+            aiCheck.type = 'checkbox';
+            aiCheck.id = 'lisesca-capture-ai';
+            aiCheck.checked = aiConfigured && State.getFullAIEnabled();
+            aiCheck.disabled = !aiConfigured;
+            aiCheck.addEventListener('change', function() {
+                State.saveFullAIEnabled(aiCheck.checked);
+            });
+
+            aiLabel.appendChild(aiCheck);
+            aiLabel.appendChild(document.createTextNode('AI evaluation'));
+            aiRow.appendChild(aiLabel);
+
+            captureBtn.addEventListener('click', function() {
+                JobController$1.captureJobView(aiCheck.checked);
+            });
+
+            var info = document.createElement('div');
+            info.className = 'lisesca-menu-label';
+            info.id = 'lisesca-clipboard-info';
+
+            var buttonRow = document.createElement('div');
+            buttonRow.className = 'lisesca-clipboard-row';
+
+            var exportBtn = document.createElement('button');
+            exportBtn.className = 'lisesca-clipboard-btn';
+            exportBtn.textContent = 'Export clipboard';
+            exportBtn.addEventListener('click', function() {
+                JobController$1.exportClipboard();
+            });
+
+            var clearBtn = document.createElement('button');
+            clearBtn.className = 'lisesca-clipboard-btn';
+            clearBtn.textContent = 'Clear clipboard';
+            clearBtn.addEventListener('click', function() {
+                var count = State.getJobClipboard().length;
+                if (count > 0 && confirm('Remove all ' + count + ' jobs from the clipboard?')) {
+                    JobController$1.clearClipboard();
                 }
             });
-            if (clicked) {
-                // Wait briefly for content to expand
-                return new Promise(function(resolve) {
-                    setTimeout(resolve, 600);
-                });
-            }
-            return Promise.resolve();
+
+            buttonRow.appendChild(exportBtn);
+            buttonRow.appendChild(clearBtn);
+
+            this.menu.appendChild(captureBtn);
+            this.menu.appendChild(aiRow);
+            this.menu.appendChild(info);
+            this.menu.appendChild(fmtLabel);
+            this.menu.appendChild(fmtRow);
+            this.menu.appendChild(buttonRow);
+            this.updateClipboardInfo('');
         },
 
         /**
-         * Extract the job title from the detail panel.
-         * @returns {string} The job title text.
+         * Show the job clipboard size, with an optional message about the last action.
+         * @param {string} message - E.g. "Captured: Data Engineer" (empty for the size only).
          */
-        extractDetailTitle: function() {
-            var el = document.querySelector(JobSelectors.DETAIL_TITLE);
-            if (!el) {
-                return '';
-            }
-            // Get the text from the link inside h1, or fall back to h1 text
-            var link = el.querySelector('a');
-            if (link) {
-                return (link.textContent || '').trim();
+        updateClipboardInfo: function(message) {
+            var info = document.getElementById('lisesca-clipboard-info');
+            if (!info) {
+                return;
             }
-            return (el.textContent || '').trim();
+            var count = State.getJobClipboard().length;
+            var size = 'Clipboard: ' + count + (count === 1 ? ' job' : ' jobs');
+            info.textContent = message ? (message + ' · ' + size) : size;
         },
 
         /**
-         * Extract the company name from the detail panel.
-         * @returns {string} The company name.
+         * Create a labelled checkbox for one export format.
+         * The checkbox id is 'lisesca-fmt-' + format, read by State.readFormatsFromUI().
+         * @param {string} format - Format identifier (e.g. 'xlsx').
+         * @param {string} text - Label text shown next to the checkbox.
+         * @param {boolean} checked - Initial checked state.
+         * @returns {HTMLElement} The label element wrapping the checkbox.
          */
-        extractDetailCompany: function() {
-            var el = document.querySelector(JobSelectors.DETAIL_COMPANY_NAME);
-            return el ? (el.textContent || '').trim() : '';
+        _createFormatCheckbox: function(format, text, checked) {
+            var label = document.createElement('label');
+            label.className = 'lisesca-checkbox-label';
+            var check = document.createElement('input');
+            check.type = 'checkbox';
+            check.id = 'lisesca-fmt-' + format;
+            check.checked = checked;
+            label.appendChild(check);
+            label.appendChild(document.createTextNode(text));
+            return label;
         },
 
         /**
-         * Extract location, posted date, and applicant count from the tertiary description.
-         * The tertiary description container has spans with tvm__text class containing
-         * location, posted date, and applicant info separated by " · ".
-         * @returns {Object} { location, postedDate, applicants }
+         * Toggle the dropdown menu open/closed.
          */
-        extractDetailTertiaryInfo: function() {
-            var result = { location: '', postedDate: '', applicants: '' };
-            var container = document.querySelector(JobSelectors.DETAIL_TERTIARY_DESC);
-            if (!container) {
-                return result;
+        toggleMenu: function() {
+            this.isMenuOpen = !this.isMenuOpen;
+            if (this.isMenuOpen) {
+                this.updateJobsAllLabel();
+                this.updateAIToggleState();
+                this.updatePeopleAIToggleState();
+                this.updateClipboardInfo('');
+                this.menu.classList.add('lisesca-open');
+            } else {
+                this.menu.classList.remove('lisesca-open');
             }
+        },
 
-            // Get all the tvm__text spans
-            var spans = container.querySelectorAll('.tvm__text');
-            var textParts = [];
-            spans.forEach(function(span) {
-                var text = (span.textContent || '').trim();
-                // Skip separator dots and whitespace-only spans
-                if (text && text !== '·' && text.length > 1) {
-                    textParts.push(text);
+        /**
+         * Refresh the "All (Np)" label for jobs if total is known.
+         */
+        updateJobsAllLabel: function() {
+            if (!PageDetector.isOnJobsPage()) {
+                return;
+            }
+            var select = document.getElementById('lisesca-page-select');
+            if (!select) {
+                return;
+            }
+            var subtitleEl = document.querySelector('.jobs-search-results-list__subtitle span');
+            var totalJobs = 0;
+            if (subtitleEl) {
+                var totalJobsText = (subtitleEl.textContent || '').trim();
+                var match = totalJobsText.match(/^([\d,]+)\s+result/);
+                if (match) {
+                    totalJobs = parseInt(match[1].replace(/,/g, ''), 10);
                 }
-            });
-
-            // Parse the parts — LinkedIn typically arranges as:
-            // Location · Posted date · Applicant count
-            // (and sometimes additional lines like "Promoted by hirer")
-            textParts.forEach(function(part) {
-                if (part.match(/\d+\s*(people|applicant)/i) || part.match(/clicked apply/i)) {
-                    result.applicants = part;
-                } else if (part.match(/ago|Reposted|week|day|hour|month/i)) {
-                    result.postedDate = part;
-                } else if (part.match(/,/) && !part.match(/Promoted|managed|Responses/i)) {
-                    // Location usually has a comma (e.g. "City, Country")
-                    if (!result.location) {
-                        result.location = part;
-                    }
+            }
+            var totalPages = totalJobs > 0
+                ? Math.ceil(totalJobs / JobPaginator.JOBS_PER_PAGE)
+                : 0;
+            var allLabel = (totalPages > 0) ? ('All (' + totalPages + 'p)') : 'All';
+            for (var i = 0; i < select.options.length; i += 1) {
+                if (select.options[i].value === 'all') {
+                    select.options[i].textContent = allLabel;
+                    break;
                 }
-            });
+            }
+        },
 
-            return result;
+        /**
+         * Show a status message in the status area.
+         * @param {string} message - The status text to display.
+         */
+        showStatus: function(message) {
+            this.menu.classList.remove('lisesca-open');
+            this.isMenuOpen = false;
+            this.statusArea.classList.add('lisesca-visible');
+            document.getElementById('lisesca-status-text').textContent = message;
         },
 
         /**
-         * Extract workplace type and employment type from the fit preferences buttons.
-         * These are buttons like "✓ Hybrid" and "✓ Full-time".
-         * @returns {Object} { workplaceType, employmentType }
+         * Update the job progress line in the status area.
+         * @param {string} message - Progress text to display (empty to hide).
          */
-        extractDetailJobTypes: function() {
-            var result = { workplaceType: '', employmentType: '' };
-            var buttons = document.querySelectorAll(JobSelectors.DETAIL_FIT_PREFS);
+        showProgress: function(message) {
+            var progressEl = document.getElementById('lisesca-status-progress');
+            if (!progressEl) {
+                return;
+            }
+            if (message) {
+                progressEl.textContent = message;
+                progressEl.classList.add('lisesca-visible');
+            } else {
+                progressEl.textContent = '';
+                progressEl.classList.remove('lisesca-visible');
+            }
+        },
 
-            buttons.forEach(function(btn) {
-                var text = (btn.textContent || '').trim();
-                // Extract just the type keywords
-                if (text.match(/Hybrid|Remote|On-site|Onsite/i)) {
-                    var match = text.match(/(Hybrid|Remote|On-site|Onsite)/i);
-                    if (match) {
-                        result.workplaceType = match[1];
-                    }
-                }
-                if (text.match(/Full-time|Part-time|Contract|Temporary|Internship|Volunteer/i)) {
-                    var match2 = text.match(/(Full-time|Part-time|Contract|Temporary|Internship|Volunteer)/i);
-                    if (match2) {
-                        result.employmentType = match2[1];
-                    }
+        /**
+         * Hide the status area.
+         */
+        hideStatus: function() {
+            this.statusArea.classList.remove('lisesca-visible');
+        },
+
+        /**
+         * Switch the panel into "idle" mode.
+         */
+        showIdleState: function() {
+            this.hideStatus();
+            this.showProgress('');
+            this.hideAIStats();
+            this.hideNoResults();
+            this.menu.classList.remove('lisesca-open');
+            this.isMenuOpen = false;
+        },
+
+        /**
+         * Show AI evaluation statistics in the status area.
+         * @param {number} evaluated - Number of jobs evaluated by AI.
+         * @param {number} accepted - Number of jobs accepted by AI.
+         */
+        showAIStats: function(evaluated, accepted, labelSuffix) {
+            var statsEl = document.getElementById('lisesca-ai-stats');
+            if (!statsEl) {
+                return;
+            }
+            if (evaluated > 0) {
+                if (labelSuffix === '') {
+                    statsEl.textContent = 'AI ' + accepted + '/' + evaluated;
+                } else {
+                    var suffix = (labelSuffix === undefined) ? ' accepted' : labelSuffix;
+                    statsEl.textContent = 'AI: ' + accepted + '/' + evaluated + suffix;
                 }
-            });
+                statsEl.classList.add('lisesca-visible');
+            } else {
+                statsEl.textContent = '';
+                statsEl.classList.remove('lisesca-visible');
+            }
+        },
 
-            return result;
+        /**
+         * Hide the AI stats display.
+         */
+        hideAIStats: function() {
+            var statsEl = document.getElementById('lisesca-ai-stats');
+            if (statsEl) {
+                statsEl.textContent = '';
+                statsEl.classList.remove('lisesca-visible');
+            }
         },
 
         /**
-         * Extract the apply link or determine if it's Easy Apply.
-         * @returns {string} The apply URL or "Easy Apply" indication.
+         * Show the no-results notification with statistics.
+         * @param {number} evaluated - Number of items evaluated by AI.
+         * @param {number} pagesScraped - Number of pages scanned.
+         * @param {string} itemType - Type of item ('job' or 'profile'). Defaults to 'job'.
          */
-        extractDetailApplyLink: function() {
-            var applyBtn = document.querySelector(JobSelectors.DETAIL_APPLY_BUTTON);
-            if (!applyBtn) {
-                return '';
+        showNoResults: function(evaluated, pagesScraped, itemType) {
+            // Hide status area first
+            this.hideStatus();
+            this.hideAIStats();
+
+            var type = itemType || 'job';
+            var plural = type + (evaluated !== 1 ? 's' : '');
+
+            // Update the title based on item type
+            var titleEl = document.getElementById('lisesca-no-results-title');
+            if (titleEl) {
+                titleEl.textContent = 'No matching ' + plural + ' found';
             }
 
-            // Check if it's an external apply (has link-external icon)
-            var externalIcon = applyBtn.querySelector('[data-test-icon="link-external-small"]');
-            if (externalIcon) {
-                // External apply — the actual URL is not directly visible,
-                // so we note it as "External Apply"
-                return 'External Apply';
+            // Update the stats text
+            var statsEl = document.getElementById('lisesca-no-results-stats');
+            if (statsEl) {
+                var statsText = evaluated + ' ' + plural + ' scanned';
+                if (pagesScraped > 1) {
+                    statsText += ' across ' + pagesScraped + ' pages';
+                }
+                statsText += ', none matched your criteria (score >= 3)';
+                statsEl.textContent = statsText;
             }
 
-            // Check the button text for "Easy Apply"
-            var btnText = (applyBtn.textContent || '').trim();
-            if (btnText.match(/Easy Apply/i)) {
-                return 'Easy Apply';
+            // Show the no-results area
+            var noResultsEl = document.getElementById('lisesca-no-results');
+            if (noResultsEl) {
+                noResultsEl.classList.add('lisesca-visible');
+            }
+        },
+
+        /**
+         * Hide the no-results notification.
+         */
+        hideNoResults: function() {
+            var noResultsEl = document.getElementById('lisesca-no-results');
+            if (noResultsEl) {
+                noResultsEl.classList.remove('lisesca-visible');
             }
+        },
+
+        // --- Configuration panel ---
+        configOverlay: null,
+
+        // --- AI Configuration panel ---
+        aiConfigOverlay: null,
+
+        /**
+         * Create the configuration panel overlay.
+         */
+        createConfigPanel: function() {
+            this.configOverlay = document.createElement('div');
+            this.configOverlay.className = 'lisesca-config-overlay';
+
+            var panel = document.createElement('div');
+            panel.className = 'lisesca-config-panel';
+
+            var title = document.createElement('div');
+            title.className = 'lisesca-config-title';
+            title.textContent = 'LiSeSca Configuration';
+
+            var version = document.createElement('div');
+            version.className = 'lisesca-config-version';
+            version.textContent = 'v' + CONFIG.VERSION;
+
+            var minRow = document.createElement('div');
+            minRow.className = 'lisesca-config-row';
+
+            var minLabel = document.createElement('label');
+            minLabel.textContent = 'Minimum page time (seconds):';
+            minLabel.htmlFor = 'lisesca-config-min';
+
+            var minInput = document.createElement('input');
+            minInput.type = 'number';
+            minInput.id = 'lisesca-config-min';
+            minInput.min = '5';
+            minInput.max = '30';
+            minInput.value = CONFIG.MIN_PAGE_TIME.toString();
+
+            minRow.appendChild(minLabel);
+            minRow.appendChild(minInput);
+
+            var maxRow = document.createElement('div');
+            maxRow.className = 'lisesca-config-row';
+
+            var maxLabel = document.createElement('label');
+            maxLabel.textContent = 'Maximum page time (seconds):';
+            maxLabel.htmlFor = 'lisesca-config-max';
+
+            var maxInput = document.createElement('input');
+            maxInput.type = 'number';
+            maxInput.id = 'lisesca-config-max';
+            maxInput.min = '15';
+            maxInput.max = '120';
+            maxInput.value = CONFIG.MAX_PAGE_TIME.toString();
+
+            maxRow.appendChild(maxLabel);
+            maxRow.appendChild(maxInput);
+
+            // --- Job timing section ---
+            var jobSectionLabel = document.createElement('div');
+            jobSectionLabel.className = 'lisesca-config-section';
+            jobSectionLabel.textContent = 'Job scraping timing';
+
+            var jobReviewMinRow = document.createElement('div');
+            jobReviewMinRow.className = 'lisesca-config-row';
+
+            var jobReviewMinLabel = document.createElement('label');
+            jobReviewMinLabel.textContent = 'Min job review time (seconds):';
+            jobReviewMinLabel.htmlFor = 'lisesca-config-job-review-min';
+
+            var jobReviewMinInput = document.createElement('input');
+            jobReviewMinInput.type = 'number';
+            jobReviewMinInput.id = 'lisesca-config-job-review-min';
+            jobReviewMinInput.min = '1';
+            jobReviewMinInput.max = '30';
+            jobReviewMinInput.value = CONFIG.MIN_JOB_REVIEW_TIME.toString();
+
+            jobReviewMinRow.appendChild(jobReviewMinLabel);
+            jobReviewMinRow.appendChild(jobReviewMinInput);
+
+            var jobReviewMaxRow = document.createElement('div');
+            jobReviewMaxRow.className = 'lisesca-config-row';
+
+            var jobReviewMaxLabel = document.createElement('label');
+            jobReviewMaxLabel.textContent = 'Max job review time (seconds):';
+            jobReviewMaxLabel.htmlFor = 'lisesca-config-job-review-max';
+
+            var jobReviewMaxInput = document.createElement('input');
+            jobReviewMaxInput.type = 'number';
+            jobReviewMaxInput.id = 'lisesca-config-job-review-max';
+            jobReviewMaxInput.min = '2';
+            jobReviewMaxInput.max = '60';
+            jobReviewMaxInput.value = CONFIG.MAX_JOB_REVIEW_TIME.toString();
+
+            jobReviewMaxRow.appendChild(jobReviewMaxLabel);
+            jobReviewMaxRow.appendChild(jobReviewMaxInput);
+
+            var jobPauseMinRow = document.createElement('div');
+            jobPauseMinRow.className = 'lisesca-config-row';
+
+            var jobPauseMinLabel = document.createElement('label');
+            jobPauseMinLabel.textContent = 'Min pause between jobs (seconds):';
+            jobPauseMinLabel.htmlFor = 'lisesca-config-job-pause-min';
+
+            var jobPauseMinInput = document.createElement('input');
+            jobPauseMinInput.type = 'number';
+            jobPauseMinInput.id = 'lisesca-config-job-pause-min';
+            jobPauseMinInput.min = '0';
+            jobPauseMinInput.max = '15';
+            jobPauseMinInput.value = CONFIG.MIN_JOB_PAUSE.toString();
+
+            jobPauseMinRow.appendChild(jobPauseMinLabel);
+            jobPauseMinRow.appendChild(jobPauseMinInput);
+
+            var jobPauseMaxRow = document.createElement('div');
+            jobPauseMaxRow.className = 'lisesca-config-row';
+
+            var jobPauseMaxLabel = document.createElement('label');
+            jobPauseMaxLabel.textContent = 'Max pause between jobs (seconds):';
+            jobPauseMaxLabel.htmlFor = 'lisesca-config-job-pause-max';
+
+            var jobPauseMaxInput = document.createElement('input');
+            jobPauseMaxInput.type = 'number';
+            jobPauseMaxInput.id = 'lisesca-config-job-pause-max';
+            jobPauseMaxInput.min = '1';
+            jobPauseMaxInput.max = '30';
+            jobPauseMaxInput.value = CONFIG.MAX_JOB_PAUSE.toString();
+
+            jobPauseMaxRow.appendChild(jobPauseMaxLabel);
+            jobPauseMaxRow.appendChild(jobPauseMaxInput);
+
+            // --- Profile visit timing section ---
+            var profileSectionLabel = document.createElement('div');
+            profileSectionLabel.className = 'lisesca-config-section';
+            profileSectionLabel.textContent = 'Profile visit timing';
+
+            var profileVisitMinRow = document.createElement('div');
+            profileVisitMinRow.className = 'lisesca-config-row';
+
+            var profileVisitMinLabel = document.createElement('label');
+            profileVisitMinLabel.textContent = 'Min time per profile (seconds):';
+            profileVisitMinLabel.htmlFor = 'lisesca-config-profile-visit-min';
+
+            var profileVisitMinInput = document.createElement('input');
+            profileVisitMinInput.type = 'number';
+            profileVisitMinInput.id = 'lisesca-config-profile-visit-min';
+            profileVisitMinInput.min = '3';
+            profileVisitMinInput.max = '60';
+            profileVisitMinInput.value = CONFIG.MIN_PROFILE_VISIT_TIME.toString();
+
+            profileVisitMinRow.appendChild(profileVisitMinLabel);
+            profileVisitMinRow.appendChild(profileVisitMinInput);
+
+            var profileVisitMaxRow = document.createElement('div');
+            profileVisitMaxRow.className = 'lisesca-config-row';
+
+            var profileVisitMaxLabel = document.createElement('label');
+            profileVisitMaxLabel.textContent = 'Max time per profile (seconds):';
+            profileVisitMaxLabel.htmlFor = 'lisesca-config-profile-visit-max';
+
+            var profileVisitMaxInput = document.createElement('input');
+            profileVisitMaxInput.type = 'number';
+            profileVisitMaxInput.id = 'lisesca-config-profile-visit-max';
+            profileVisitMaxInput.min = '5';
+            profileVisitMaxInput.max = '120';
+            profileVisitMaxInput.value = CONFIG.MAX_PROFILE_VISIT_TIME.toString();
+
+            profileVisitMaxRow.appendChild(profileVisitMaxLabel);
+            profileVisitMaxRow.appendChild(profileVisitMaxInput);
+
+            // --- Company visit timing section ---
+            var companySectionLabel = document.createElement('div');
+            companySectionLabel.className = 'lisesca-config-section';
+            companySectionLabel.textContent = 'Company visit timing';
+
+            var companyVisitMinRow = document.createElement('div');
+            companyVisitMinRow.className = 'lisesca-config-row';
+
+            var companyVisitMinLabel = document.createElement('label');
+            companyVisitMinLabel.textContent = 'Min time per company (seconds):';
+            companyVisitMinLabel.htmlFor = 'lisesca-config-company-visit-min';
+
+            var companyVisitMinInput = document.createElement('input');
+            companyVisitMinInput.type = 'number';
+            companyVisitMinInput.id = 'lisesca-config-company-visit-min';
+            companyVisitMinInput.min = '3';
+            companyVisitMinInput.max = '60';
+            companyVisitMinInput.value = CONFIG.MIN_COMPANY_VISIT_TIME.toString();
+
+            companyVisitMinRow.appendChild(companyVisitMinLabel);
+            companyVisitMinRow.appendChild(companyVisitMinInput);
+
+            var companyVisitMaxRow = document.createElement('div');
+            companyVisitMaxRow.className = 'lisesca-config-row';
+
+            var companyVisitMaxLabel = document.createElement('label');
+            companyVisitMaxLabel.textContent = 'Max time per company (seconds):';
+            companyVisitMaxLabel.htmlFor = 'lisesca-config-company-visit-max';
+
+            var companyVisitMaxInput = document.createElement('input');
+            companyVisitMaxInput.type = 'number';
+            companyVisitMaxInput.id = 'lisesca-config-company-visit-max';
+            companyVisitMaxInput.min = '5';
+            companyVisitMaxInput.max = '120';
+            companyVisitMaxInput.value = CONFIG.MAX_COMPANY_VISIT_TIME.toString();
+
+            companyVisitMaxRow.appendChild(companyVisitMaxLabel);
+            companyVisitMaxRow.appendChild(companyVisitMaxInput);
+
+            // --- Export options section ---
+            var exportSectionLabel = document.createElement('div');
+            exportSectionLabel.className = 'lisesca-config-section';
+            exportSectionLabel.textContent = 'Export options';
+
+            var csvBomRow = document.createElement('div');
+            csvBomRow.className = 'lisesca-config-row';
+
+            var csvBomLabel = document.createElement('label');
+            csvBomLabel.className = 'lisesca-checkbox-label';
+
+            var csvBomCheck = document.createElement('input');
+            csvBomCheck.type = 'checkbox';
+            csvBomCheck.id = 'lisesca-config-csv-bom';
+            csvBomCheck.checked = CONFIG.CSV_BOM;
+
+            csvBomLabel.appendChild(csvBomCheck);
+            csvBomLabel.appendChild(document.createTextNode('Add UTF-8 BOM to CSV (for Excel)'));
+            csvBomRow.appendChild(csvBomLabel);
+
+            var xlsxSheetsRow = document.createElement('div');
+            xlsxSheetsRow.className = 'lisesca-config-row';
+
+            var xlsxSheetsLabel = document.createElement('label');
+            xlsxSheetsLabel.className = 'lisesca-checkbox-label';
+
+            var xlsxSheetsCheck = document.createElement('input');
+            xlsxSheetsCheck.type = 'checkbox';
+            xlsxSheetsCheck.id = 'lisesca-config-xlsx-sheets';
+            xlsxSheetsCheck.checked = CONFIG.XLSX_EXTRA_SHEETS;
+
+            xlsxSheetsLabel.appendChild(xlsxSheetsCheck);
+            xlsxSheetsLabel.appendChild(document.createTextNode('Add Rejected, Summary and Run Metadata sheets to XLSX'));
+            xlsxSheetsRow.appendChild(xlsxSheetsLabel);
+
+            var csvLongRow = document.createElement('div');
+            csvLongRow.className = 'lisesca-config-row';
+
+            var csvLongLabel = document.createElement('label');
+            csvLongLabel.textContent = 'Long job fields in CSV (description, company, insights):';
+            csvLongLabel.htmlFor = 'lisesca-config-csv-long';
+
+            var csvLongSelect = document.createElement('select');
+            csvLongSelect.id = 'lisesca-config-csv-long';
+            [
+                { value: 'include', text: 'Include in full' },
+                { value: 'truncate', text: 'Truncate' },
+                { value: 'sidecar', text: 'Move to sidecar JSON file' }
+            ].forEach(function(opt) {
+                var option = document.createElement('option');
+                option.value = opt.value;
+                option.textContent = opt.text;
+                csvLongSelect.appendChild(option);
+            });
+            csvLongSelect.value = CONFIG.CSV_LONG_FIELDS;
+
+            csvLongRow.appendChild(csvLongLabel);
+            csvLongRow.appendChild(csvLongSelect);
+
+            var applyUrlRow = document.createElement('div');
+            applyUrlRow.className = 'lisesca-config-row';
+
+            var applyUrlLabel = document.createElement('label');
+            applyUrlLabel.textContent = 'Apply link of jobs applied for on the company site:';
+            applyUrlLabel.htmlFor = 'lisesca-config-apply-url';
+
+            var applyUrlSelect = document.createElement('select');
+            applyUrlSelect.id = 'lisesca-config-apply-url';
+            [
+                { value: 'off', text: 'Keep "External Apply"' },
+                { value: 'data', text: 'Resolve from job posting data' },
+                { value: 'click', text: 'Resolve from posting data, else via Apply button' }
+            ].forEach(function(opt) {
+                var option = document.createElement('option');
+                option.value = opt.value;
+                option.textContent = opt.text;
+                applyUrlSelect.appendChild(option);
+            });
+            applyUrlSelect.value = CONFIG.APPLY_URL_MODE;
+
+            applyUrlRow.appendChild(applyUrlLabel);
+            applyUrlRow.appendChild(applyUrlSelect);
+
+            var filenameRow = document.createElement('div');
+            filenameRow.className = 'lisesca-config-row';
+
+            var filenameLabel = document.createElement('label');
+            filenameLabel.textContent = 'File name pattern:';
+            filenameLabel.htmlFor = 'lisesca-config-filename';
+
+            var filenameInput = document.createElement('input');
+            filenameInput.type = 'text';
+            filenameInput.id = 'lisesca-config-filename';
+            filenameInput.placeholder = Filename.DEFAULT_PATTERN;
+            filenameInput.value = CONFIG.FILENAME_PATTERN;
+
+            var filenameHint = document.createElement('div');
+            filenameHint.className = 'lisesca-hint';
+            filenameHint.textContent = 'Tokens: ' + Filename.TOKENS.map(function(token) {
+                return '{' + token + '}';
+            }).join(' ') + '. Empty for the default.';
+
+            filenameRow.appendChild(filenameLabel);
+            filenameRow.appendChild(filenameInput);
+            filenameRow.appendChild(filenameHint);
+
+            var templatesBtnRow = document.createElement('div');
+            templatesBtnRow.className = 'lisesca-config-row';
+
+            var templatesBtn = document.createElement('button');
+            templatesBtn.className = 'lisesca-ai-config-btn';
+            templatesBtn.textContent = 'Markdown templates...';
+            templatesBtn.addEventListener('click', function() {
+                UI.hideConfig();
+                UI.showTemplateEditor();
+            });
+
+            templatesBtnRow.appendChild(templatesBtn);
+
+            var columnsBtnRow = document.createElement('div');
+            columnsBtnRow.className = 'lisesca-config-row';
+
+            var columnsBtn = document.createElement('button');
+            columnsBtn.className = 'lisesca-ai-config-btn';
+            columnsBtn.textContent = 'XLSX/CSV columns...';
+            columnsBtn.addEventListener('click', function() {
+                UI.hideConfig();
+                UI.showColumnsEditor();
+            });
+
+            columnsBtnRow.appendChild(columnsBtn);
+
+            var skillsBtnRow = document.createElement('div');
+            skillsBtnRow.className = 'lisesca-config-row';
+
+            var skillsBtn = document.createElement('button');
+            skillsBtn.className = 'lisesca-ai-config-btn';
+            skillsBtn.textContent = 'Skills dictionary...';
+            skillsBtn.addEventListener('click', function() {
+                UI.hideConfig();
+                UI.showSkillsEditor();
+            });
+
+            skillsBtnRow.appendChild(skillsBtn);
+
+            // --- AI Filtering section ---
+            var aiSectionLabel = document.createElement('div');
+            aiSectionLabel.className = 'lisesca-config-section';
+            aiSectionLabel.textContent = 'AI Job Filtering';
+
+            var aiConfigBtnRow = document.createElement('div');
+            aiConfigBtnRow.className = 'lisesca-config-row';
+
+            var aiConfigBtn = document.createElement('button');
+            aiConfigBtn.className = 'lisesca-ai-config-btn';
+            aiConfigBtn.textContent = 'AI Filtering...';
+            aiConfigBtn.addEventListener('click', function() {
+                UI.hideConfig();
+                UI.showAIConfig();
+            });
+
+            aiConfigBtnRow.appendChild(aiConfigBtn);
+
+            var errorDiv = document.createElement('div');
+            errorDiv.className = 'lisesca-config-error';
+            errorDiv.id = 'lisesca-config-error';
+
+            var buttonsRow = document.createElement('div');
+            buttonsRow.className = 'lisesca-config-buttons';
+
+            var saveBtn = document.createElement('button');
+            saveBtn.className = 'lisesca-config-save';
+            saveBtn.textContent = 'Save';
+            saveBtn.addEventListener('click', function() {
+                UI.saveConfig();
+            });
+
+            var cancelBtn = document.createElement('button');
+            cancelBtn.className = 'lisesca-config-cancel';
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.addEventListener('click', function() {
+                UI.hideConfig();
+            });
+
+            buttonsRow.appendChild(saveBtn);
+            buttonsRow.appendChild(cancelBtn);
+
+            // --- Page timing section label ---
+            var pageSectionLabel = document.createElement('div');
+            pageSectionLabel.className = 'lisesca-config-section';
+            pageSectionLabel.textContent = 'Page scanning timing';
+
+            panel.appendChild(title);
+            panel.appendChild(version);
+            panel.appendChild(pageSectionLabel);
+            panel.appendChild(minRow);
+            panel.appendChild(maxRow);
+            panel.appendChild(jobSectionLabel);
+            panel.appendChild(jobReviewMinRow);
+            panel.appendChild(jobReviewMaxRow);
+            panel.appendChild(jobPauseMinRow);
+            panel.appendChild(jobPauseMaxRow);
+            panel.appendChild(applyUrlRow);
+            panel.appendChild(profileSectionLabel);
+            panel.appendChild(profileVisitMinRow);
+            panel.appendChild(profileVisitMaxRow);
+            panel.appendChild(companySectionLabel);
+            panel.appendChild(companyVisitMinRow);
+            panel.appendChild(companyVisitMaxRow);
+            panel.appendChild(exportSectionLabel);
+            panel.appendChild(xlsxSheetsRow);
+            panel.appendChild(csvBomRow);
+            panel.appendChild(csvLongRow);
+            panel.appendChild(filenameRow);
+            panel.appendChild(columnsBtnRow);
+            panel.appendChild(templatesBtnRow);
+            panel.appendChild(skillsBtnRow);
+            panel.appendChild(aiSectionLabel);
+            panel.appendChild(aiConfigBtnRow);
+            panel.appendChild(errorDiv);
+            panel.appendChild(buttonsRow);
+
+            this.configOverlay.appendChild(panel);
+
+            this.configOverlay.addEventListener('click', function(event) {
+                if (event.target === UI.configOverlay) {
+                    UI.hideConfig();
+                }
+            });
+
+            document.body.appendChild(this.configOverlay);
+        },
+
+        /**
+         * Show the configuration panel.
+         */
+        showConfig: function() {
+            document.getElementById('lisesca-config-min').value = CONFIG.MIN_PAGE_TIME.toString();
+            document.getElementById('lisesca-config-max').value = CONFIG.MAX_PAGE_TIME.toString();
+            document.getElementById('lisesca-config-job-review-min').value = CONFIG.MIN_JOB_REVIEW_TIME.toString();
+            document.getElementById('lisesca-config-job-review-max').value = CONFIG.MAX_JOB_REVIEW_TIME.toString();
+            document.getElementById('lisesca-config-job-pause-min').value = CONFIG.MIN_JOB_PAUSE.toString();
+            document.getElementById('lisesca-config-job-pause-max').value = CONFIG.MAX_JOB_PAUSE.toString();
+            document.getElementById('lisesca-config-profile-visit-min').value = CONFIG.MIN_PROFILE_VISIT_TIME.toString();
+            document.getElementById('lisesca-config-profile-visit-max').value = CONFIG.MAX_PROFILE_VISIT_TIME.toString();
+            document.getElementById('lisesca-config-company-visit-min').value = CONFIG.MIN_COMPANY_VISIT_TIME.toString();
+            document.getElementById('lisesca-config-company-visit-max').value = CONFIG.MAX_COMPANY_VISIT_TIME.toString();
+            document.getElementById('lisesca-config-xlsx-sheets').checked = CONFIG.XLSX_EXTRA_SHEETS;
+            document.getElementById('lisesca-config-csv-bom').checked = CONFIG.CSV_BOM;
+            document.getElementById('lisesca-config-csv-long').value = CONFIG.CSV_LONG_FIELDS;
+            document.getElementById('lisesca-config-apply-url').value = CONFIG.APPLY_URL_MODE;
+            document.getElementById('lisesca-config-filename').value = CONFIG.FILENAME_PATTERN;
+            document.getElementById('lisesca-config-error').textContent = '';
+            this.configOverlay.classList.add('lisesca-visible');
+        },
+
+        /**
+         * Hide the configuration panel.
+         */
+        hideConfig: function() {
+            this.configOverlay.classList.remove('lisesca-visible');
+        },
+
+        /**
+         * Validate and save configuration.
+         */
+        saveConfig: function() {
+            var errorDiv = document.getElementById('lisesca-config-error');
+
+            // --- Read all inputs ---
+            var minVal = parseInt(document.getElementById('lisesca-config-min').value, 10);
+            var maxVal = parseInt(document.getElementById('lisesca-config-max').value, 10);
+            var jobReviewMin = parseInt(document.getElementById('lisesca-config-job-review-min').value, 10);
+            var jobReviewMax = parseInt(document.getElementById('lisesca-config-job-review-max').value, 10);
+            var jobPauseMin = parseInt(document.getElementById('lisesca-config-job-pause-min').value, 10);
+            var jobPauseMax = parseInt(document.getElementById('lisesca-config-job-pause-max').value, 10);
+            var profileVisitMin = parseInt(document.getElementById('lisesca-config-profile-visit-min').value, 10);
+            var profileVisitMax = parseInt(document.getElementById('lisesca-config-profile-visit-max').value, 10);
+            var companyVisitMin = parseInt(document.getElementById('lisesca-config-company-visit-min').value, 10);
+            var companyVisitMax = parseInt(document.getElementById('lisesca-config-company-visit-max').value, 10);
+
+            // --- Validate all values ---
+            if (isNaN(minVal) || isNaN(maxVal) || isNaN(jobReviewMin)
+                || isNaN(jobReviewMax) || isNaN(jobPauseMin) || isNaN(jobPauseMax)
+                || isNaN(profileVisitMin) || isNaN(profileVisitMax)
+                || isNaN(companyVisitMin) || isNaN(companyVisitMax)) {
+                errorDiv.textContent = 'Please enter valid numbers in all fields.';
+                return;
+            }
+
+            // Page timing validation
+            if (minVal < 5 || minVal > 30) {
+                errorDiv.textContent = 'Min page time must be between 5 and 30 seconds.';
+                return;
+            }
+            if (maxVal < 15 || maxVal > 120) {
+                errorDiv.textContent = 'Max page time must be between 15 and 120 seconds.';
+                return;
+            }
+            if (maxVal <= minVal) {
+                errorDiv.textContent = 'Max page time must be greater than minimum.';
+                return;
+            }
+
+            // Job review timing validation
+            if (jobReviewMin < 1 || jobReviewMin > 30) {
+                errorDiv.textContent = 'Min job review time must be between 1 and 30 seconds.';
+                return;
+            }
+            if (jobReviewMax < 2 || jobReviewMax > 60) {
+                errorDiv.textContent = 'Max job review time must be between 2 and 60 seconds.';
+                return;
+            }
+            if (jobReviewMax <= jobReviewMin) {
+                errorDiv.textContent = 'Max job review time must be greater than minimum.';
+                return;
+            }
+
+            // Job pause validation
+            if (jobPauseMin < 0 || jobPauseMin > 15) {
+                errorDiv.textContent = 'Min job pause must be between 0 and 15 seconds.';
+                return;
+            }
+            if (jobPauseMax < 1 || jobPauseMax > 30) {
+                errorDiv.textContent = 'Max job pause must be between 1 and 30 seconds.';
+                return;
+            }
+            if (jobPauseMax <= jobPauseMin) {
+                errorDiv.textContent = 'Max job pause must be greater than minimum.';
+                return;
+            }
+
+            // Profile visit timing validation
+            if (profileVisitMin < 3 || profileVisitMin > 60) {
+                errorDiv.textContent = 'Min time per profile must be between 3 and 60 seconds.';
+                return;
+            }
+            if (profileVisitMax < 5 || profileVisitMax > 120) {
+                errorDiv.textContent = 'Max time per profile must be between 5 and 120 seconds.';
+                return;
+            }
+            if (profileVisitMax <= profileVisitMin) {
+                errorDiv.textContent = 'Max time per profile must be greater than minimum.';
+                return;
+            }
+
+            // Company visit timing validation
+            if (companyVisitMin < 3 || companyVisitMin > 60) {
+                errorDiv.textContent = 'Min time per company must be between 3 and 60 seconds.';
+                return;
+            }
+            if (companyVisitMax < 5 || companyVisitMax > 120) {
+                errorDiv.textContent = 'Max time per company must be between 5 and 120 seconds.';
+                return;
+            }
+            if (companyVisitMax <= companyVisitMin) {
+                errorDiv.textContent = 'Max time per company must be greater than minimum.';
+                return;
+            }
+
+            // File name pattern validation
+            var filenamePattern = document.getElementById('lisesca-config-filename').value.trim()
+                || Filename.DEFAULT_PATTERN;
+            var unknownTokens = Filename.findUnknownTokens(filenamePattern);
+            if (unknownTokens.length > 0) {
+                errorDiv.textContent = 'Unknown file name token: {' + unknownTokens[0] + '}.';
+                return;
+            }
+
+            // --- Apply all values ---
+            CONFIG.MIN_PAGE_TIME = minVal;
+            CONFIG.MAX_PAGE_TIME = maxVal;
+            CONFIG.MIN_JOB_REVIEW_TIME = jobReviewMin;
+            CONFIG.MAX_JOB_REVIEW_TIME = jobReviewMax;
+            CONFIG.MIN_JOB_PAUSE = jobPauseMin;
+            CONFIG.MAX_JOB_PAUSE = jobPauseMax;
+            CONFIG.MIN_PROFILE_VISIT_TIME = profileVisitMin;
+            CONFIG.MAX_PROFILE_VISIT_TIME = profileVisitMax;
+            CONFIG.MIN_COMPANY_VISIT_TIME = companyVisitMin;
+            CONFIG.MAX_COMPANY_VISIT_TIME = companyVisitMax;
+            CONFIG.XLSX_EXTRA_SHEETS = document.getElementById('lisesca-config-xlsx-sheets').checked;
+            CONFIG.CSV_BOM = document.getElementById('lisesca-config-csv-bom').checked;
+            CONFIG.CSV_LONG_FIELDS = document.getElementById('lisesca-config-csv-long').value;
+            CONFIG.APPLY_URL_MODE = document.getElementById('lisesca-config-apply-url').value;
+            CONFIG.FILENAME_PATTERN = filenamePattern;
+            CONFIG.save();
+
+            console.log('[LiSeSca] Config updated:', {
+                pageTime: minVal + '-' + maxVal + 's',
+                jobReview: jobReviewMin + '-' + jobReviewMax + 's',
+                jobPause: jobPauseMin + '-' + jobPauseMax + 's',
+                profileVisit: profileVisitMin + '-' + profileVisitMax + 's',
+                companyVisit: companyVisitMin + '-' + companyVisitMax + 's'
+            });
+            this.hideConfig();
+        },
+
+        // --- Export column chooser ---
+        columnsOverlay: null,
+
+        /** Mode currently shown in the column chooser */
+        columnsMode: 'jobs',
+
+        /** Column list being edited: { key, header, defaultHeader, enabled } */
+        columnsDraft: null,
+
+        /**
+         * Get the default column definitions of a mode.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         * @returns {Array<Object>} { key, header } definitions.
+         */
+        getDefaultColumns: function(mode) {
+            if (mode === 'jobs') {
+                return JobOutput.COLUMNS;
+            }
+            return (mode === 'companies') ? CompanyOutput.COLUMNS : Output.COLUMNS;
+        },
+
+        /**
+         * Get the export mode matching the current page, for the editors.
+         * @returns {string} 'people', 'jobs' or 'companies'.
+         */
+        getPageMode: function() {
+            if (PageDetector.isOnCompanySearchPage()) {
+                return 'companies';
+            }
+            return PageDetector.isOnPeoplePage() ? 'people' : 'jobs';
+        },
+
+        /**
+         * Create the XLSX/CSV column chooser overlay.
+         */
+        createColumnsPanel: function() {
+            this.columnsOverlay = document.createElement('div');
+            this.columnsOverlay.className = 'lisesca-ai-config-overlay';
+
+            var panel = document.createElement('div');
+            panel.className = 'lisesca-ai-config-panel';
+
+            var title = document.createElement('div');
+            title.className = 'lisesca-ai-config-title';
+            title.textContent = 'XLSX/CSV Columns';
+
+            // Mode selector
+            var modeRow = document.createElement('div');
+            modeRow.className = 'lisesca-ai-config-row';
+
+            var modeLabel = document.createElement('label');
+            modeLabel.textContent = 'Columns for:';
+            modeLabel.htmlFor = 'lisesca-columns-mode';
+
+            var modeSelect = document.createElement('select');
+            modeSelect.id = 'lisesca-columns-mode';
+            [
+                { value: 'jobs', text: 'Job search' },
+                { value: 'people', text: 'People search' },
+                { value: 'companies', text: 'Company search' }
+            ].forEach(function(opt) {
+                var option = document.createElement('option');
+                option.value = opt.value;
+                option.textContent = opt.text;
+                modeSelect.appendChild(option);
+            });
+            modeSelect.addEventListener('change', function() {
+                UI.loadColumnsMode(modeSelect.value);
+            });
+
+            modeRow.appendChild(modeLabel);
+            modeRow.appendChild(modeSelect);
+
+            // Profile selector
+            var profileRow = document.createElement('div');
+            profileRow.className = 'lisesca-ai-config-row';
+
+            var profileLabel = document.createElement('label');
+            profileLabel.textContent = 'Profile:';
+            profileLabel.htmlFor = 'lisesca-columns-profile';
+
+            var profileContainer = document.createElement('div');
+            profileContainer.className = 'lisesca-columns-profile-row';
+
+            var profileSelect = document.createElement('select');
+            profileSelect.id = 'lisesca-columns-profile';
+            profileSelect.addEventListener('change', function() {
+                UI.loadColumnsProfile(profileSelect.value);
+            });
+
+            var deleteBtn = document.createElement('button');
+            deleteBtn.className = 'lisesca-model-refresh';
+            deleteBtn.id = 'lisesca-columns-delete';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', function() {
+                UI.deleteColumnsProfile();
+            });
+
+            profileContainer.appendChild(profileSelect);
+            profileContainer.appendChild(deleteBtn);
+            profileRow.appendChild(profileLabel);
+            profileRow.appendChild(profileContainer);
+
+            // Column list
+            var listRow = document.createElement('div');
+            listRow.className = 'lisesca-ai-config-row';
+
+            var listLabel = document.createElement('label');
+            listLabel.textContent = 'Tick to include, edit to rename, arrows to reorder:';
+
+            var list = document.createElement('div');
+            list.className = 'lisesca-columns-list';
+            list.id = 'lisesca-columns-list';
+
+            listRow.appendChild(listLabel);
+            listRow.appendChild(list);
+
+            // Profile name
+            var nameRow = document.createElement('div');
+            nameRow.className = 'lisesca-ai-config-row';
+
+            var nameLabel = document.createElement('label');
+            nameLabel.textContent = 'Save as profile:';
+            nameLabel.htmlFor = 'lisesca-columns-name';
+
+            var nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.id = 'lisesca-columns-name';
+            nameInput.placeholder = 'e.g. Short list';
+
+            var nameHint = document.createElement('div');
+            nameHint.className = 'lisesca-hint';
+            nameHint.textContent = 'Saving makes the profile active for this mode. '
+                + 'Select "All columns" and save to go back to the built-in layout.';
+
+            nameRow.appendChild(nameLabel);
+            nameRow.appendChild(nameInput);
+            nameRow.appendChild(nameHint);
+
+            var errorDiv = document.createElement('div');
+            errorDiv.className = 'lisesca-ai-config-error';
+            errorDiv.id = 'lisesca-columns-error';
+
+            // Buttons
+            var buttonsRow = document.createElement('div');
+            buttonsRow.className = 'lisesca-ai-config-buttons';
+
+            var saveBtn = document.createElement('button');
+            saveBtn.className = 'lisesca-ai-config-save';
+            saveBtn.textContent = 'Save';
+            saveBtn.addEventListener('click', function() {
+                UI.saveColumns();
+            });
+
+            var cancelBtn = document.createElement('button');
+            cancelBtn.className = 'lisesca-ai-config-cancel';
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.addEventListener('click', function() {
+                UI.hideColumnsEditor();
+            });
+
+            buttonsRow.appendChild(saveBtn);
+            buttonsRow.appendChild(cancelBtn);
+
+            panel.appendChild(title);
+            panel.appendChild(modeRow);
+            panel.appendChild(profileRow);
+            panel.appendChild(listRow);
+            panel.appendChild(nameRow);
+            panel.appendChild(errorDiv);
+            panel.appendChild(buttonsRow);
+
+            this.columnsOverlay.appendChild(panel);
+
+            this.columnsOverlay.addEventListener('click', function(event) {
+                if (event.target === UI.columnsOverlay) {
+                    UI.hideColumnsEditor();
+                }
+            });
+
+            document.body.appendChild(this.columnsOverlay);
+        },
+
+        /**
+         * Show the column chooser, starting on the mode of the current page.
+         */
+        showColumnsEditor: function() {
+            var mode = this.getPageMode();
+            document.getElementById('lisesca-columns-mode').value = mode;
+            this.loadColumnsMode(mode);
+            this.columnsOverlay.classList.add('lisesca-visible');
+        },
+
+        /**
+         * Hide the column chooser, discarding unsaved changes.
+         */
+        hideColumnsEditor: function() {
+            this.columnsOverlay.classList.remove('lisesca-visible');
+            this.columnsDraft = null;
+        },
+
+        /**
+         * Show the profiles of a mode, selecting its active profile.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         */
+        loadColumnsMode: function(mode) {
+            this.columnsMode = mode;
+            var select = document.getElementById('lisesca-columns-profile');
+            select.innerHTML = '';
+
+            var builtIn = document.createElement('option');
+            builtIn.value = '';
+            builtIn.textContent = 'All columns (built-in)';
+            select.appendChild(builtIn);
+
+            ExportProfiles.getProfileNames(mode).forEach(function(name) {
+                var option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+
+            var active = ExportProfiles.getActiveName(mode);
+            select.value = active;
+            this.loadColumnsProfile(active);
+        },
+
+        /**
+         * Load a profile's columns into the editor.
+         * @param {string} name - Profile name, or '' for the built-in layout.
+         */
+        loadColumnsProfile: function(name) {
+            var mode = this.columnsMode;
+            this.columnsDraft = ExportProfiles.getEditableColumns(mode, name, this.getDefaultColumns(mode));
+            document.getElementById('lisesca-columns-name').value = name;
+            document.getElementById('lisesca-columns-delete').disabled = !name;
+            document.getElementById('lisesca-columns-error').textContent = '';
+            this.renderColumnList();
+        },
+
+        /**
+         * Render the editable column list from the draft.
+         */
+        renderColumnList: function() {
+            var list = document.getElementById('lisesca-columns-list');
+            var draft = this.columnsDraft;
+            list.innerHTML = '';
+
+            draft.forEach(function(column, index) {
+                var item = document.createElement('div');
+                item.className = 'lisesca-column-item' + (column.enabled ? '' : ' lisesca-column-off');
+
+                var check = document.createElement('input');
+                check.type = 'checkbox';
+                check.checked = column.enabled;
+                check.addEventListener('change', function() {
+                    column.enabled = check.checked;
+                    item.classList.toggle('lisesca-column-off', !column.enabled);
+                });
+
+                var headerInput = document.createElement('input');
+                headerInput.type = 'text';
+                headerInput.value = column.header;
+                headerInput.placeholder = column.defaultHeader;
+                headerInput.title = 'Field: ' + column.key;
+                headerInput.addEventListener('input', function() {
+                    column.header = headerInput.value;
+                });
+
+                var upBtn = document.createElement('button');
+                upBtn.textContent = '\u25B2';
+                upBtn.disabled = (index === 0);
+                upBtn.addEventListener('click', function() {
+                    UI.moveColumn(index, -1);
+                });
+
+                var downBtn = document.createElement('button');
+                downBtn.textContent = '\u25BC';
+                downBtn.disabled = (index === draft.length - 1);
+                downBtn.addEventListener('click', function() {
+                    UI.moveColumn(index, 1);
+                });
+
+                item.appendChild(check);
+                item.appendChild(headerInput);
+                item.appendChild(upBtn);
+                item.appendChild(downBtn);
+                list.appendChild(item);
+            });
+        },
+
+        /**
+         * Move a column up or down in the draft.
+         * @param {number} index - Current position.
+         * @param {number} delta - -1 to move up, 1 to move down.
+         */
+        moveColumn: function(index, delta) {
+            var draft = this.columnsDraft;
+            var target = index + delta;
+            if (target < 0 || target >= draft.length) {
+                return;
+            }
+            var moved = draft.splice(index, 1)[0];
+            draft.splice(target, 0, moved);
+            this.renderColumnList();
+        },
+
+        /**
+         * Delete the selected profile.
+         */
+        deleteColumnsProfile: function() {
+            var name = document.getElementById('lisesca-columns-profile').value;
+            if (!name) {
+                return;
+            }
+            ExportProfiles.deleteProfile(this.columnsMode, name);
+            console.log('[LiSeSca] Export profile deleted: ' + name);
+            this.loadColumnsMode(this.columnsMode);
+        },
+
+        /**
+         * Validate and save the edited columns as a named profile, or switch
+         * back to the built-in layout when no name is given and nothing changed.
+         */
+        saveColumns: function() {
+            var errorDiv = document.getElementById('lisesca-columns-error');
+            var mode = this.columnsMode;
+            var name = document.getElementById('lisesca-columns-name').value.trim();
+            var draft = this.columnsDraft;
+
+            var enabledCount = draft.filter(function(column) {
+                return column.enabled;
+            }).length;
+            if (enabledCount === 0) {
+                errorDiv.textContent = 'Select at least one column.';
+                return;
+            }
+
+            draft.forEach(function(column) {
+                column.header = column.header.trim() || column.defaultHeader;
+            });
+
+            if (!name) {
+                var builtIn = ExportProfiles.getEditableColumns(mode, '', this.getDefaultColumns(mode));
+                if (JSON.stringify(builtIn) !== JSON.stringify(draft)) {
+                    errorDiv.textContent = 'Enter a profile name to save this column selection.';
+                    return;
+                }
+                ExportProfiles.setActive(mode, '');
+            } else {
+                ExportProfiles.saveProfile(mode, name, draft);
+            }
+
+            console.log('[LiSeSca] Active ' + mode + ' export profile: ' + (name || '(built-in)'));
+            this.hideColumnsEditor();
+        },
+
+        // --- Markdown template editor ---
+        templateOverlay: null,
+
+        /** Unsaved template text per mode while the editor is open */
+        templateDrafts: null,
+
+        /** Mode currently shown in the template editor */
+        templateMode: 'jobs',
+
+        /**
+         * Create the Markdown template editor overlay.
+         * One template per mode; the preview renders the last scraped item of
+         * the selected mode as the user types.
+         */
+        createTemplatePanel: function() {
+            this.templateOverlay = document.createElement('div');
+            this.templateOverlay.className = 'lisesca-ai-config-overlay';
+
+            var panel = document.createElement('div');
+            panel.className = 'lisesca-ai-config-panel lisesca-template-panel';
+
+            var title = document.createElement('div');
+            title.className = 'lisesca-ai-config-title';
+            title.textContent = 'Markdown Templates';
+
+            // Mode selector
+            var modeRow = document.createElement('div');
+            modeRow.className = 'lisesca-ai-config-row';
+
+            var modeLabel = document.createElement('label');
+            modeLabel.textContent = 'Template for:';
+            modeLabel.htmlFor = 'lisesca-template-mode';
+
+            var modeSelect = document.createElement('select');
+            modeSelect.id = 'lisesca-template-mode';
+            [
+                { value: 'jobs', text: 'Job search' },
+                { value: 'people', text: 'People search' },
+                { value: 'companies', text: 'Company search' }
+            ].forEach(function(opt) {
+                var option = document.createElement('option');
+                option.value = opt.value;
+                option.textContent = opt.text;
+                modeSelect.appendChild(option);
+            });
+            modeSelect.addEventListener('change', function() {
+                UI.switchTemplateMode(modeSelect.value);
+            });
+
+            modeRow.appendChild(modeLabel);
+            modeRow.appendChild(modeSelect);
+
+            // Template text
+            var textRow = document.createElement('div');
+            textRow.className = 'lisesca-ai-config-row';
+
+            var textLabel = document.createElement('label');
+            textLabel.textContent = 'Template (leave empty for the built-in layout):';
+            textLabel.htmlFor = 'lisesca-template-text';
+
+            var textArea = document.createElement('textarea');
+            textArea.id = 'lisesca-template-text';
+            textArea.spellcheck = false;
+            textArea.addEventListener('input', function() {
+                UI.templateDrafts[UI.templateMode] = textArea.value;
+                UI.updateTemplatePreview();
+            });
+
+            var textHint = document.createElement('div');
+            textHint.className = 'lisesca-hint';
+            textHint.textContent = 'Syntax: {{field}}, {{#if field}}...{{else}}...{{/if}}, '
+                + '{{#unless field}}...{{/unless}}, {{#each list}}{{this}}{{/each}}';
+
+            var actions = document.createElement('div');
+            actions.className = 'lisesca-template-actions';
+
+            var exampleBtn = document.createElement('button');
+            exampleBtn.textContent = 'Load example';
+            exampleBtn.addEventListener('click', function() {
+                var examples = {
+                    people: Output.EXAMPLE_MARKDOWN_TEMPLATE,
+                    jobs: JobOutput.EXAMPLE_MARKDOWN_TEMPLATE,
+                    companies: CompanyOutput.EXAMPLE_MARKDOWN_TEMPLATE
+                };
+                UI.setTemplateText(examples[UI.templateMode]);
+            });
+
+            var clearBtn = document.createElement('button');
+            clearBtn.textContent = 'Use built-in layout';
+            clearBtn.addEventListener('click', function() {
+                UI.setTemplateText('');
+            });
+
+            actions.appendChild(exampleBtn);
+            actions.appendChild(clearBtn);
+
+            textRow.appendChild(textLabel);
+            textRow.appendChild(textArea);
+            textRow.appendChild(textHint);
+            textRow.appendChild(actions);
+
+            // Live preview
+            var previewRow = document.createElement('div');
+            previewRow.className = 'lisesca-ai-config-row';
+
+            var previewLabel = document.createElement('label');
+            previewLabel.textContent = 'Preview (last scraped item):';
+
+            var preview = document.createElement('pre');
+            preview.className = 'lisesca-template-preview';
+            preview.id = 'lisesca-template-preview';
+
+            var fieldsHint = document.createElement('div');
+            fieldsHint.className = 'lisesca-hint';
+            fieldsHint.id = 'lisesca-template-fields';
+
+            previewRow.appendChild(previewLabel);
+            previewRow.appendChild(preview);
+            previewRow.appendChild(fieldsHint);
+
+            var errorDiv = document.createElement('div');
+            errorDiv.className = 'lisesca-ai-config-error';
+            errorDiv.id = 'lisesca-template-error';
+
+            // Buttons
+            var buttonsRow = document.createElement('div');
+            buttonsRow.className = 'lisesca-ai-config-buttons';
+
+            var saveBtn = document.createElement('button');
+            saveBtn.className = 'lisesca-ai-config-save';
+            saveBtn.textContent = 'Save';
+            saveBtn.addEventListener('click', function() {
+                UI.saveTemplates();
+            });
+
+            var cancelBtn = document.createElement('button');
+            cancelBtn.className = 'lisesca-ai-config-cancel';
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.addEventListener('click', function() {
+                UI.hideTemplateEditor();
+            });
+
+            buttonsRow.appendChild(saveBtn);
+            buttonsRow.appendChild(cancelBtn);
+
+            panel.appendChild(title);
+            panel.appendChild(modeRow);
+            panel.appendChild(textRow);
+            panel.appendChild(previewRow);
+            panel.appendChild(errorDiv);
+            panel.appendChild(buttonsRow);
+
+            this.templateOverlay.appendChild(panel);
+
+            this.templateOverlay.addEventListener('click', function(event) {
+                if (event.target === UI.templateOverlay) {
+                    UI.hideTemplateEditor();
+                }
+            });
+
+            document.body.appendChild(this.templateOverlay);
+        },
+
+        /**
+         * Show the template editor, starting on the mode of the current page.
+         */
+        showTemplateEditor: function() {
+            this.templateDrafts = {
+                people: CONFIG.MARKDOWN_TEMPLATES.people || '',
+                jobs: CONFIG.MARKDOWN_TEMPLATES.jobs || '',
+                companies: CONFIG.MARKDOWN_TEMPLATES.companies || ''
+            };
+            var mode = this.getPageMode();
+            document.getElementById('lisesca-template-mode').value = mode;
+            document.getElementById('lisesca-template-error').textContent = '';
+            this.switchTemplateMode(mode);
+            this.templateOverlay.classList.add('lisesca-visible');
+        },
+
+        /**
+         * Hide the template editor, discarding unsaved drafts.
+         */
+        hideTemplateEditor: function() {
+            this.templateOverlay.classList.remove('lisesca-visible');
+            this.templateDrafts = null;
+        },
+
+        /**
+         * Show the draft template of another mode in the editor.
+         * @param {string} mode - 'people', 'jobs' or 'companies'.
+         */
+        switchTemplateMode: function(mode) {
+            this.templateMode = mode;
+            document.getElementById('lisesca-template-text').value = this.templateDrafts[mode];
+            this.updateTemplatePreview();
+        },
+
+        /**
+         * Replace the template text of the current mode.
+         * @param {string} text - The new template text.
+         */
+        setTemplateText: function(text) {
+            this.templateDrafts[this.templateMode] = text;
+            document.getElementById('lisesca-template-text').value = text;
+            this.updateTemplatePreview();
+        },
+
+        /**
+         * Re-render the preview from the current draft and the last scraped item.
+         */
+        updateTemplatePreview: function() {
+            var preview = document.getElementById('lisesca-template-preview');
+            var fieldsHint = document.getElementById('lisesca-template-fields');
+            var mode = this.templateMode;
+            var template = this.templateDrafts[mode];
+            var item = State.getLastItem(mode);
+
+            if (!item) {
+                preview.textContent = '(Nothing scraped in this mode yet. Run a scrape to get a preview.)';
+                fieldsHint.textContent = '';
+                return;
+            }
+            fieldsHint.textContent = 'Fields: ' + Object.keys(item).join(', ');
+
+            if (!template) {
+                if (mode === 'jobs') {
+                    preview.textContent = JobOutput.formatJobMarkdown(item);
+                } else if (mode === 'companies') {
+                    preview.textContent = CompanyOutput.formatCompanyMarkdown(item);
+                } else {
+                    preview.textContent = Output.formatProfile(item);
+                }
+                return;
+            }
+
+            try {
+                preview.textContent = Template.render(template, item);
+            } catch (error) {
+                preview.textContent = 'Template error: ' + error.message;
+            }
+        },
+
+        /**
+         * Validate and save the templates of all modes.
+         */
+        saveTemplates: function() {
+            var errorDiv = document.getElementById('lisesca-template-error');
+            var drafts = this.templateDrafts;
+
+            var peopleError = Template.validate(drafts.people);
+            if (peopleError) {
+                errorDiv.textContent = 'People template: ' + peopleError;
+                return;
+            }
+            var jobsError = Template.validate(drafts.jobs);
+            if (jobsError) {
+                errorDiv.textContent = 'Job template: ' + jobsError;
+                return;
+            }
+            var companiesError = Template.validate(drafts.companies);
+            if (companiesError) {
+                errorDiv.textContent = 'Company template: ' + companiesError;
+                return;
+            }
+
+            CONFIG.MARKDOWN_TEMPLATES.people = drafts.people.trim() ? drafts.people : '';
+            CONFIG.MARKDOWN_TEMPLATES.jobs = drafts.jobs.trim() ? drafts.jobs : '';
+            CONFIG.MARKDOWN_TEMPLATES.companies = drafts.companies.trim() ? drafts.companies : '';
+            CONFIG.saveTemplates();
+            this.hideTemplateEditor();
+        },
+
+        // --- Skills dictionary editor ---
+        skillsOverlay: null,
+
+        /**
+         * Create the skills dictionary editor overlay.
+         * Reuses the template editor styles; the summary line counts the
+         * skills of the dictionary as it is typed.
+         */
+        createSkillsPanel: function() {
+            this.skillsOverlay = document.createElement('div');
+            this.skillsOverlay.className = 'lisesca-ai-config-overlay';
+
+            var panel = document.createElement('div');
+            panel.className = 'lisesca-ai-config-panel lisesca-template-panel';
+
+            var title = document.createElement('div');
+            title.className = 'lisesca-ai-config-title';
+            title.textContent = 'Skills Dictionary';
+
+            var textRow = document.createElement('div');
+            textRow.className = 'lisesca-ai-config-row';
+
+            var textLabel = document.createElement('label');
+            textLabel.textContent = 'Skills tagged in job descriptions (leave empty for the built-in list):';
+            textLabel.htmlFor = 'lisesca-skills-text';
+
+            var textArea = document.createElement('textarea');
+            textArea.id = 'lisesca-skills-text';
+            textArea.spellcheck = false;
+            textArea.rows = 16;
+            textArea.addEventListener('input', function() {
+                UI.updateSkillsSummary();
+            });
+
+            var textHint = document.createElement('div');
+            textHint.className = 'lisesca-hint';
+            textHint.textContent = 'One skill per line as "Name: alias, alias"; "# Category" starts a category. '
+                + 'Matching ignores case, except for aliases in double quotes such as "Go".';
+
+            var summary = document.createElement('div');
+            summary.className = 'lisesca-hint';
+            summary.id = 'lisesca-skills-summary';
+
+            var actions = document.createElement('div');
+            actions.className = 'lisesca-template-actions';
+
+            var defaultBtn = document.createElement('button');
+            defaultBtn.textContent = 'Load built-in list';
+            defaultBtn.addEventListener('click', function() {
+                textArea.value = SkillExtractor.DEFAULT_DICTIONARY;
+                UI.updateSkillsSummary();
+            });
+
+            actions.appendChild(defaultBtn);
+
+            textRow.appendChild(textLabel);
+            textRow.appendChild(textArea);
+            textRow.appendChild(textHint);
+            textRow.appendChild(summary);
+            textRow.appendChild(actions);
+
+            var errorDiv = document.createElement('div');
+            errorDiv.className = 'lisesca-ai-config-error';
+            errorDiv.id = 'lisesca-skills-error';
+
+            var buttonsRow = document.createElement('div');
+            buttonsRow.className = 'lisesca-ai-config-buttons';
+
+            var saveBtn = document.createElement('button');
+            saveBtn.className = 'lisesca-ai-config-save';
+            saveBtn.textContent = 'Save';
+            saveBtn.addEventListener('click', function() {
+                UI.saveSkillsDictionary();
+            });
+
+            var cancelBtn = document.createElement('button');
+            cancelBtn.className = 'lisesca-ai-config-cancel';
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.addEventListener('click', function() {
+                UI.hideSkillsEditor();
+            });
+
+            buttonsRow.appendChild(saveBtn);
+            buttonsRow.appendChild(cancelBtn);
+
+            panel.appendChild(title);
+            panel.appendChild(textRow);
+            panel.appendChild(errorDiv);
+            panel.appendChild(buttonsRow);
+
+            this.skillsOverlay.appendChild(panel);
+
+            this.skillsOverlay.addEventListener('click', function(event) {
+                if (event.target === UI.skillsOverlay) {
+                    UI.hideSkillsEditor();
+                }
+            });
+
+            document.body.appendChild(this.skillsOverlay);
+        },
+
+        /**
+         * Show the skills dictionary editor with the saved dictionary.
+         */
+        showSkillsEditor: function() {
+            var text = CONFIG.SKILLS_DICTIONARY || SkillExtractor.DEFAULT_DICTIONARY;
+            document.getElementById('lisesca-skills-text').value = text;
+            document.getElementById('lisesca-skills-error').textContent = '';
+            this.updateSkillsSummary();
+            this.skillsOverlay.classList.add('lisesca-visible');
+        },
+
+        /**
+         * Hide the skills dictionary editor, discarding unsaved edits.
+         */
+        hideSkillsEditor: function() {
+            this.skillsOverlay.classList.remove('lisesca-visible');
+        },
+
+        /**
+         * Show how many skills and categories the edited dictionary has.
+         */
+        updateSkillsSummary: function() {
+            var summary = document.getElementById('lisesca-skills-summary');
+            var text = document.getElementById('lisesca-skills-text').value;
+            if (!text.trim()) {
+                summary.textContent = 'The built-in list will be used.';
+                return;
+            }
+            try {
+                var skills = SkillExtractor.parseDictionary(text);
+                var categories = {};
+                skills.forEach(function(skill) {
+                    categories[skill.category] = true;
+                });
+                summary.textContent = skills.length + ' skills in ' + Object.keys(categories).length + ' categories.';
+            } catch (error) {
+                summary.textContent = error.message;
+            }
+        },
+
+        /**
+         * Validate and save the skills dictionary.
+         * Text identical to the built-in list is stored as empty, so later
+         * versions of the built-in list are picked up.
+         */
+        saveSkillsDictionary: function() {
+            var errorDiv = document.getElementById('lisesca-skills-error');
+            var text = document.getElementById('lisesca-skills-text').value;
+
+            var error = SkillExtractor.validate(text);
+            if (error) {
+                errorDiv.textContent = error;
+                return;
+            }
+
+            var isDefault = !text.trim() || text.trim() === SkillExtractor.DEFAULT_DICTIONARY.trim();
+            CONFIG.SKILLS_DICTIONARY = isDefault ? '' : text;
+            CONFIG.saveSkillsDictionary();
+            this.hideSkillsEditor();
+        },
+
+        // --- AI Configuration panel methods ---
+
+        /**
+         * Create the AI configuration panel overlay.
+         */
+        createAIConfigPanel: function() {
+            this.aiConfigOverlay = document.createElement('div');
+            this.aiConfigOverlay.className = 'lisesca-ai-config-overlay';
+
+            var panel = document.createElement('div');
+            panel.className = 'lisesca-ai-config-panel';
+
+            var title = document.createElement('div');
+            title.className = 'lisesca-ai-config-title';
+            title.textContent = 'AI Filtering Configuration';
+
+            // API Key row
+            var apiKeyRow = document.createElement('div');
+            apiKeyRow.className = 'lisesca-ai-config-row';
+
+            var apiKeyLabel = document.createElement('label');
+            apiKeyLabel.textContent = 'Anthropic API Key:';
+            apiKeyLabel.htmlFor = 'lisesca-ai-api-key';
+
+            var apiKeyInput = document.createElement('input');
+            apiKeyInput.type = 'password';
+            apiKeyInput.id = 'lisesca-ai-api-key';
+            apiKeyInput.placeholder = 'sk-ant-...';
+            apiKeyInput.value = CONFIG.ANTHROPIC_API_KEY || '';
+
+            var apiKeyHint = document.createElement('div');
+            apiKeyHint.className = 'lisesca-hint';
+            apiKeyHint.textContent = 'Get your API key from console.anthropic.com';
+
+            apiKeyRow.appendChild(apiKeyLabel);
+            apiKeyRow.appendChild(apiKeyInput);
+            apiKeyRow.appendChild(apiKeyHint);
+
+            // Moonshot API Key row
+            var moonshotKeyRow = document.createElement('div');
+            moonshotKeyRow.className = 'lisesca-ai-config-row';
+
+            var moonshotKeyLabel = document.createElement('label');
+            moonshotKeyLabel.textContent = 'Moonshot API Key:';
+            moonshotKeyLabel.htmlFor = 'lisesca-moonshot-api-key';
+
+            var moonshotKeyInput = document.createElement('input');
+            moonshotKeyInput.type = 'password';
+            moonshotKeyInput.id = 'lisesca-moonshot-api-key';
+            moonshotKeyInput.placeholder = 'sk-...';
+            moonshotKeyInput.value = CONFIG.MOONSHOT_API_KEY || '';
+
+            var moonshotKeyHint = document.createElement('div');
+            moonshotKeyHint.className = 'lisesca-hint';
+            moonshotKeyHint.textContent = 'Get your API key from platform.moonshot.ai';
+
+            moonshotKeyRow.appendChild(moonshotKeyLabel);
+            moonshotKeyRow.appendChild(moonshotKeyInput);
+            moonshotKeyRow.appendChild(moonshotKeyHint);
+
+            // Model selection row
+            var modelRow = document.createElement('div');
+            modelRow.className = 'lisesca-ai-config-row';
+
+            var modelLabel = document.createElement('label');
+            modelLabel.textContent = 'Model:';
+            modelLabel.htmlFor = 'lisesca-ai-model';
+
+            var modelContainer = document.createElement('div');
+            modelContainer.className = 'lisesca-model-container';
+
+            var modelSelect = document.createElement('select');
+            modelSelect.id = 'lisesca-ai-model';
+            modelSelect.className = 'lisesca-model-select';
+
+            var refreshBtn = document.createElement('button');
+            refreshBtn.type = 'button';
+            refreshBtn.className = 'lisesca-model-refresh';
+            refreshBtn.textContent = 'Refresh';
+            refreshBtn.addEventListener('click', function() {
+                UI.refreshModels();
+            });
+
+            modelContainer.appendChild(modelSelect);
+            modelContainer.appendChild(refreshBtn);
+
+            var modelHint = document.createElement('div');
+            modelHint.className = 'lisesca-hint';
+            modelHint.textContent = 'Select AI model. Click Refresh to fetch available models.';
+
+            modelRow.appendChild(modelLabel);
+            modelRow.appendChild(modelContainer);
+            modelRow.appendChild(modelHint);
+
+            // Job Criteria row
+            var criteriaRow = document.createElement('div');
+            criteriaRow.className = 'lisesca-ai-config-row';
+
+            var criteriaLabel = document.createElement('label');
+            criteriaLabel.textContent = 'Job Search Criteria:';
+            criteriaLabel.htmlFor = 'lisesca-ai-criteria';
+
+            var criteriaTextarea = document.createElement('textarea');
+            criteriaTextarea.id = 'lisesca-ai-criteria';
+            criteriaTextarea.rows = 10;
+            criteriaTextarea.placeholder = 'Describe the job you are looking for...\n\nExample:\nI am looking for Senior Software Engineering Manager roles.\nI have 15 years of experience in software development.\nI prefer remote or hybrid positions.\nI am NOT interested in:\n- Manufacturing or industrial positions\n- Roles requiring specific domain expertise I don\'t have';
+            criteriaTextarea.value = CONFIG.JOB_CRITERIA || '';
+
+            var criteriaHint = document.createElement('div');
+            criteriaHint.className = 'lisesca-hint';
+            criteriaHint.textContent = 'Describe your ideal job. Be specific about what you want and don\'t want.';
+
+            criteriaRow.appendChild(criteriaLabel);
+            criteriaRow.appendChild(criteriaTextarea);
+            criteriaRow.appendChild(criteriaHint);
+
+            // People Criteria row
+            var peopleCriteriaRow = document.createElement('div');
+            peopleCriteriaRow.className = 'lisesca-ai-config-row';
+
+            var peopleCriteriaLabel = document.createElement('label');
+            peopleCriteriaLabel.textContent = 'People Search Criteria:';
+            peopleCriteriaLabel.htmlFor = 'lisesca-ai-people-criteria';
+
+            var peopleCriteriaTextarea = document.createElement('textarea');
+            peopleCriteriaTextarea.id = 'lisesca-ai-people-criteria';
+            peopleCriteriaTextarea.rows = 10;
+            peopleCriteriaTextarea.placeholder = 'Describe the kind of people you want to connect with...\n\nExample:\nI am looking for senior engineers and engineering managers in Berlin.\nI want people who work in B2B SaaS or AI startups.\nI am NOT interested in:\n- Sales or HR roles\n- People outside the DACH region';
+            peopleCriteriaTextarea.value = CONFIG.PEOPLE_CRITERIA || '';
+
+            var peopleCriteriaHint = document.createElement('div');
+            peopleCriteriaHint.className = 'lisesca-hint';
+            peopleCriteriaHint.textContent = 'Describe your target contacts (roles, industries, locations, etc.).';
+
+            peopleCriteriaRow.appendChild(peopleCriteriaLabel);
+            peopleCriteriaRow.appendChild(peopleCriteriaTextarea);
+            peopleCriteriaRow.appendChild(peopleCriteriaHint);
+
+            // Error display
+            var errorDiv = document.createElement('div');
+            errorDiv.className = 'lisesca-ai-config-error';
+            errorDiv.id = 'lisesca-ai-config-error';
+
+            // Buttons
+            var buttonsRow = document.createElement('div');
+            buttonsRow.className = 'lisesca-ai-config-buttons';
+
+            var saveBtn = document.createElement('button');
+            saveBtn.className = 'lisesca-ai-config-save';
+            saveBtn.textContent = 'Save';
+            saveBtn.addEventListener('click', function() {
+                UI.saveAIConfig();
+            });
+
+            var cancelBtn = document.createElement('button');
+            cancelBtn.className = 'lisesca-ai-config-cancel';
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.addEventListener('click', function() {
+                UI.hideAIConfig();
+            });
+
+            buttonsRow.appendChild(saveBtn);
+            buttonsRow.appendChild(cancelBtn);
+
+            // Assemble panel
+            panel.appendChild(title);
+            panel.appendChild(apiKeyRow);
+            panel.appendChild(moonshotKeyRow);
+            panel.appendChild(modelRow);
+            panel.appendChild(criteriaRow);
+            panel.appendChild(peopleCriteriaRow);
+            panel.appendChild(errorDiv);
+            panel.appendChild(buttonsRow);
+
+            this.aiConfigOverlay.appendChild(panel);
+
+            // Close on overlay click
+            this.aiConfigOverlay.addEventListener('click', function(event) {
+                if (event.target === UI.aiConfigOverlay) {
+                    UI.hideAIConfig();
+                }
+            });
+
+            document.body.appendChild(this.aiConfigOverlay);
+        },
+
+        /**
+         * Show the AI configuration panel.
+         */
+        showAIConfig: function() {
+            document.getElementById('lisesca-ai-api-key').value = CONFIG.ANTHROPIC_API_KEY || '';
+            document.getElementById('lisesca-moonshot-api-key').value = CONFIG.MOONSHOT_API_KEY || '';
+            document.getElementById('lisesca-ai-criteria').value = CONFIG.JOB_CRITERIA || '';
+            document.getElementById('lisesca-ai-people-criteria').value = CONFIG.PEOPLE_CRITERIA || '';
+            document.getElementById('lisesca-ai-config-error').textContent = '';
+            this.populateModelDropdown();
+            this.aiConfigOverlay.classList.add('lisesca-visible');
+        },
+
+        /**
+         * Hide the AI configuration panel.
+         */
+        hideAIConfig: function() {
+            this.aiConfigOverlay.classList.remove('lisesca-visible');
+        },
+
+        /**
+         * Populate the model dropdown with cached models, grouped by provider.
+         * Models are shown in optgroups by provider. Only providers with valid
+         * API keys are shown.
+         */
+        populateModelDropdown: function() {
+            var select = document.getElementById('lisesca-ai-model');
+            var anthropicKey = document.getElementById('lisesca-ai-api-key').value.trim();
+            var moonshotKey = document.getElementById('lisesca-moonshot-api-key').value.trim();
+
+            // Clear existing options
+            select.innerHTML = '';
+
+            // Check if we have any API keys
+            if (!anthropicKey && !moonshotKey) {
+                var placeholder = document.createElement('option');
+                placeholder.value = '';
+                placeholder.textContent = '(Enter API key first)';
+                placeholder.disabled = true;
+                placeholder.selected = true;
+                select.appendChild(placeholder);
+                select.disabled = true;
+                return;
+            }
+
+            select.disabled = false;
+
+            // Add default empty option
+            var defaultOpt = document.createElement('option');
+            defaultOpt.value = '';
+            defaultOpt.textContent = '-- Select Model --';
+            select.appendChild(defaultOpt);
+
+            // Add Anthropic models if key is present
+            if (anthropicKey && CONFIG.CACHED_MODELS.anthropic && CONFIG.CACHED_MODELS.anthropic.length > 0) {
+                var anthropicGroup = document.createElement('optgroup');
+                anthropicGroup.label = 'Anthropic';
+                CONFIG.CACHED_MODELS.anthropic.forEach(function(model) {
+                    var opt = document.createElement('option');
+                    opt.value = model.id;
+                    opt.textContent = model.name || model.id;
+                    anthropicGroup.appendChild(opt);
+                });
+                select.appendChild(anthropicGroup);
+            }
+
+            // Add Moonshot models if key is present
+            if (moonshotKey && CONFIG.CACHED_MODELS.moonshot && CONFIG.CACHED_MODELS.moonshot.length > 0) {
+                var moonshotGroup = document.createElement('optgroup');
+                moonshotGroup.label = 'Moonshot';
+                CONFIG.CACHED_MODELS.moonshot.forEach(function(model) {
+                    var opt = document.createElement('option');
+                    opt.value = model.id;
+                    opt.textContent = model.name || model.id;
+                    moonshotGroup.appendChild(opt);
+                });
+                select.appendChild(moonshotGroup);
+            }
+
+            // If no cached models, show hint
+            if (select.options.length === 1) {
+                var hint = document.createElement('option');
+                hint.value = '';
+                hint.textContent = '(Click Refresh to fetch models)';
+                hint.disabled = true;
+                select.appendChild(hint);
+            }
+
+            // Set selected value
+            if (CONFIG.AI_MODEL) {
+                select.value = CONFIG.AI_MODEL;
+            }
+        },
+
+        /**
+         * Fetch available models from all providers with valid API keys.
+         * Updates the cached models and repopulates the dropdown.
+         */
+        refreshModels: function() {
+            var self = this;
+            var anthropicKey = document.getElementById('lisesca-ai-api-key').value.trim();
+            var moonshotKey = document.getElementById('lisesca-moonshot-api-key').value.trim();
+            var refreshBtn = document.querySelector('.lisesca-model-refresh');
+            var errorDiv = document.getElementById('lisesca-ai-config-error');
+
+            if (!anthropicKey && !moonshotKey) {
+                errorDiv.textContent = 'Enter at least one API key to fetch models.';
+                return;
+            }
+
+            // Disable refresh button and show loading state
+            refreshBtn.disabled = true;
+            refreshBtn.textContent = 'Loading...';
+            errorDiv.textContent = '';
+
+            // Temporarily update CONFIG with current key values for fetching
+            var originalAnthropicKey = CONFIG.ANTHROPIC_API_KEY;
+            var originalMoonshotKey = CONFIG.MOONSHOT_API_KEY;
+            CONFIG.ANTHROPIC_API_KEY = anthropicKey;
+            CONFIG.MOONSHOT_API_KEY = moonshotKey;
+
+            AIClient.fetchAllModels().then(function(results) {
+                // Update cached models
+                if (results.anthropic) {
+                    CONFIG.CACHED_MODELS.anthropic = results.anthropic;
+                    CONFIG.CACHED_MODELS.lastFetch.anthropic = Date.now();
+                }
+                if (results.moonshot) {
+                    CONFIG.CACHED_MODELS.moonshot = results.moonshot;
+                    CONFIG.CACHED_MODELS.lastFetch.moonshot = Date.now();
+                }
+
+                // Save cache to persistent storage
+                CONFIG.saveAIConfig();
+
+                // Repopulate dropdown
+                self.populateModelDropdown();
+
+                // Show success message
+                var count = (results.anthropic ? results.anthropic.length : 0)
+                    + (results.moonshot ? results.moonshot.length : 0);
+                console.log('[LiSeSca] Fetched ' + count + ' models from providers');
+
+            }).catch(function(error) {
+                console.error('[LiSeSca] Error fetching models:', error);
+                errorDiv.textContent = 'Error fetching models: ' + error.message;
+
+                // Restore original keys on error
+                CONFIG.ANTHROPIC_API_KEY = originalAnthropicKey;
+                CONFIG.MOONSHOT_API_KEY = originalMoonshotKey;
+
+            }).finally(function() {
+                // Re-enable refresh button
+                refreshBtn.disabled = false;
+                refreshBtn.textContent = 'Refresh';
+            });
+        },
+
+        /**
+         * Validate and save AI configuration.
+         */
+        saveAIConfig: function() {
+            var errorDiv = document.getElementById('lisesca-ai-config-error');
+            var anthropicKey = document.getElementById('lisesca-ai-api-key').value.trim();
+            var moonshotKey = document.getElementById('lisesca-moonshot-api-key').value.trim();
+            var selectedModel = document.getElementById('lisesca-ai-model').value;
+            var criteria = document.getElementById('lisesca-ai-criteria').value.trim();
+            var peopleCriteria = document.getElementById('lisesca-ai-people-criteria').value.trim();
+
+            // At least one API key is required if any criteria is set
+            if (!anthropicKey && !moonshotKey && (criteria || peopleCriteria)) {
+                errorDiv.textContent = 'Please enter at least one API key to enable AI filtering.';
+                return;
+            }
+
+            // Basic API key format validation for Anthropic
+            if (anthropicKey && !anthropicKey.startsWith('sk-ant-')) {
+                errorDiv.textContent = 'Anthropic API key should start with "sk-ant-"';
+                return;
+            }
+
+            // Basic API key format validation for Moonshot
+            if (moonshotKey && !moonshotKey.startsWith('sk-')) {
+                errorDiv.textContent = 'Moonshot API key should start with "sk-"';
+                return;
+            }
+
+            // Validate that selected model's provider has a key
+            if (selectedModel) {
+                var provider = CONFIG.getProviderForModel(selectedModel);
+                if (provider === 'anthropic' && !anthropicKey) {
+                    errorDiv.textContent = 'Anthropic API key is required for the selected model.';
+                    return;
+                }
+                if (provider === 'moonshot' && !moonshotKey) {
+                    errorDiv.textContent = 'Moonshot API key is required for the selected model.';
+                    return;
+                }
+            }
+
+            // Save to CONFIG
+            CONFIG.ANTHROPIC_API_KEY = anthropicKey;
+            CONFIG.MOONSHOT_API_KEY = moonshotKey;
+            CONFIG.AI_MODEL = selectedModel;
+            CONFIG.JOB_CRITERIA = criteria;
+            CONFIG.PEOPLE_CRITERIA = peopleCriteria;
+            CONFIG.saveAIConfig();
+
+            // Update the AI toggle state in the menu if it exists
+            this.updateAIToggleState();
+            this.updatePeopleAIToggleState();
+
+            console.log('[LiSeSca] AI config saved. Model: ' + selectedModel
+                + ', Job configured: ' + CONFIG.isAIConfigured()
+                + ', People configured: ' + CONFIG.isPeopleAIConfigured());
+            this.hideAIConfig();
+        },
+
+        /**
+         * Update the AI toggle checkbox state based on configuration.
+         * Disables the checkbox if AI is not configured.
+         * Also updates the Full AI toggle visibility and state.
+         */
+        updateAIToggleState: function() {
+            var aiCheck = document.getElementById('lisesca-ai-enabled');
+            var aiLabel = aiCheck ? aiCheck.closest('.lisesca-checkbox-label') : null;
+            var fullAIRow = document.getElementById('lisesca-full-ai-row');
+            var fullAICheck = document.getElementById('lisesca-full-ai-enabled');
+
+            if (!aiCheck || !aiLabel) {
+                return;
+            }
+
+            var isConfigured = CONFIG.isAIConfigured();
+            aiCheck.disabled = !isConfigured;
+
+            if (isConfigured) {
+                aiLabel.classList.remove('lisesca-disabled');
+            } else {
+                aiLabel.classList.add('lisesca-disabled');
+                aiCheck.checked = false;
+                State.saveAIEnabled(false);
+            }
+
+            // Update Full AI toggle state
+            if (fullAIRow && fullAICheck) {
+                if (isConfigured && aiCheck.checked) {
+                    fullAIRow.style.display = 'flex';
+                    fullAICheck.disabled = false;
+                } else {
+                    fullAIRow.style.display = 'none';
+                    fullAICheck.checked = false;
+                    fullAICheck.disabled = true;
+                    State.saveFullAIEnabled(false);
+                }
+            }
+        },
+
+        /**
+         * Update the People AI toggle checkbox state based on configuration.
+         * Disables the checkbox if AI is not configured.
+         */
+        updatePeopleAIToggleState: function() {
+            var aiCheck = document.getElementById('lisesca-people-ai-enabled');
+            var aiLabel = aiCheck ? aiCheck.closest('.lisesca-checkbox-label') : null;
+
+            if (!aiCheck || !aiLabel) {
+                return;
+            }
+
+            var isConfigured = CONFIG.isPeopleAIConfigured();
+            aiCheck.disabled = !isConfigured;
+
+            if (isConfigured) {
+                aiLabel.classList.remove('lisesca-disabled');
+            } else {
+                aiLabel.classList.add('lisesca-disabled');
+                aiCheck.checked = false;
+                State.savePeopleAIEnabled(false);
+            }
+        },
+
+        // --- Summary panel ---
+        summaryOverlay: null,
+
+        /**
+         * Create the summary panel overlay.
+         */
+        createSummaryPanel: function() {
+            this.summaryOverlay = document.createElement('div');
+            this.summaryOverlay.className = 'lisesca-summary-overlay';
+            this.summaryOverlay.id = 'lisesca-summary-overlay';
+
+            var panel = document.createElement('div');
+            panel.className = 'lisesca-summary-panel';
+
+            var title = document.createElement('div');
+            title.className = 'lisesca-summary-title';
+            title.innerHTML = '<span style="font-size: 20px;">📊</span> Scrape Summary';
+
+            var interruptedMsg = document.createElement('div');
+            interruptedMsg.className = 'lisesca-summary-interrupted';
+            interruptedMsg.id = 'lisesca-summary-interrupted';
+            interruptedMsg.textContent = '⚠️ Session stopped early. Partial results are available below.';
+
+            var contentContainer = document.createElement('div');
+            contentContainer.id = 'lisesca-summary-content';
+
+            var buttonsDiv = document.createElement('div');
+            buttonsDiv.className = 'lisesca-summary-buttons';
+
+            var downloadBtn = document.createElement('button');
+            downloadBtn.className = 'lisesca-summary-download';
+            downloadBtn.id = 'lisesca-summary-download';
+            downloadBtn.innerHTML = '⬇️ Download Results';
+            downloadBtn.addEventListener('click', function() {
+                UI.getActiveController().downloadResults();
+            });
+
+            // Merge into a previous export chosen by the user
+            var mergeInput = document.createElement('input');
+            mergeInput.type = 'file';
+            mergeInput.id = 'lisesca-summary-merge-file';
+            mergeInput.accept = '.xlsx,.json,.jsonl';
+            mergeInput.style.display = 'none';
+            mergeInput.addEventListener('change', function() {
+                var file = mergeInput.files[0];
+                mergeInput.value = '';
+                if (file) {
+                    UI.mergeIntoFile(file);
+                }
+            });
+
+            var mergeBtn = document.createElement('button');
+            mergeBtn.className = 'lisesca-summary-merge';
+            mergeBtn.id = 'lisesca-summary-merge';
+            mergeBtn.textContent = 'Append to existing...';
+            mergeBtn.title = 'Merge the results into a previous XLSX or JSON export';
+            mergeBtn.addEventListener('click', function() {
+                mergeInput.click();
+            });
+
+            var mergeStatus = document.createElement('div');
+            mergeStatus.className = 'lisesca-summary-merge-status';
+            mergeStatus.id = 'lisesca-summary-merge-status';
+
+            // Audit download for items the AI rejected (hidden when there are none,
+            // so never shown for company runs)
+            var rejectedBtn = document.createElement('button');
+            rejectedBtn.className = 'lisesca-summary-rejected';
+            rejectedBtn.id = 'lisesca-summary-rejected';
+            rejectedBtn.textContent = 'Download rejected';
+            rejectedBtn.addEventListener('click', function() {
+                var mode = State.getScrapeMode();
+                if (mode === 'jobs') {
+                    JobController$1.downloadRejected();
+                } else {
+                    Controller$1.downloadRejected();
+                }
+            });
+
+            var clearBtn = document.createElement('button');
+            clearBtn.className = 'lisesca-summary-clear';
+            clearBtn.textContent = 'Clear Data & Close';
+            clearBtn.addEventListener('click', function() {
+                State.clear();
+                UI.hideSummary();
+                UI.showIdleState();
+            });
+
+            buttonsDiv.appendChild(downloadBtn);
+            buttonsDiv.appendChild(mergeBtn);
+            buttonsDiv.appendChild(mergeInput);
+            buttonsDiv.appendChild(mergeStatus);
+            buttonsDiv.appendChild(rejectedBtn);
+            buttonsDiv.appendChild(clearBtn);
+
+            panel.appendChild(title);
+            panel.appendChild(interruptedMsg);
+            panel.appendChild(contentContainer);
+            panel.appendChild(buttonsDiv);
+
+            this.summaryOverlay.appendChild(panel);
+            document.body.appendChild(this.summaryOverlay);
+        },
+
+        /**
+         * Get the controller of the active scrape mode.
+         * @returns {Object} Controller, JobController, CompanyController or MyJobsController.
+         */
+        getActiveController: function() {
+            var mode = State.getScrapeMode();
+            if (mode === 'jobs') {
+                return JobController$1;
+            }
+            if (mode === 'companies') {
+                return CompanyController$1;
+            }
+            if (mode === 'myJobs') {
+                return MyJobsController$1;
+            }
+            return Controller$1;
+        },
+
+        /**
+         * Merge the results into a previous export and report the outcome
+         * below the merge button.
+         * @param {File} file - The previous XLSX, JSON or JSON Lines export.
+         */
+        mergeIntoFile: function(file) {
+            var statusEl = document.getElementById('lisesca-summary-merge-status');
+            statusEl.classList.remove('lisesca-error');
+            statusEl.textContent = 'Merging into ' + file.name + '...';
+
+            this.getActiveController().mergeResults(file).then(function(counts) {
+                statusEl.textContent = counts.new + ' new, ' + counts.updated + ' updated, '
+                    + counts.unchanged + ' unchanged';
+            }).catch(function(error) {
+                console.error('[LiSeSca] Merge failed:', error);
+                statusEl.classList.add('lisesca-error');
+                statusEl.textContent = 'Could not merge: ' + error.message;
+            });
+        },
+
+        /**
+         * Helper to create a row in the summary panel
+         */
+        _createSummaryRow: function(label, value, valueClass) {
+            var row = document.createElement('div');
+            row.className = 'lisesca-summary-row';
+            
+            var labelEl = document.createElement('div');
+            labelEl.className = 'lisesca-summary-label';
+            labelEl.textContent = label;
+            
+            var valueEl = document.createElement('div');
+            valueEl.className = 'lisesca-summary-value' + (valueClass ? ' ' + valueClass : '');
+            valueEl.textContent = value;
+            
+            row.appendChild(labelEl);
+            row.appendChild(valueEl);
+            return row;
+        },
+
+        /**
+         * Show the summary panel with statistics.
+         * @param {Object} stats - The statistics object.
+         * @param {boolean} interrupted - Whether the session was stopped early.
+         */
+        showSummary: function(stats, interrupted) {
+            // Ensure UI is cleanly reset
+            this.hideStatus();
+            this.hideAIStats();
+            this.hideNoResults();
+
+            var container = document.getElementById('lisesca-summary-content');
+            if (!container) return;
+            
+            container.innerHTML = ''; // Clear previous content
+
+            // Handle interrupted message
+            var interruptedMsg = document.getElementById('lisesca-summary-interrupted');
+            if (interruptedMsg) {
+                if (interrupted) {
+                    interruptedMsg.classList.add('lisesca-visible');
+                } else {
+                    interruptedMsg.classList.remove('lisesca-visible');
+                }
+            }
+
+            // Style the download button based on mode
+            var downloadBtn = document.getElementById('lisesca-summary-download');
+            if (downloadBtn) {
+                if (stats.type === 'jobs') {
+                    downloadBtn.classList.add('lisesca-summary-download--jobs');
+                } else {
+                    downloadBtn.classList.remove('lisesca-summary-download--jobs');
+                }
+                
+                // Disable download if nothing was saved
+                if (stats.saved === 0) {
+                    downloadBtn.disabled = true;
+                    downloadBtn.style.opacity = '0.5';
+                    downloadBtn.style.cursor = 'not-allowed';
+                    downloadBtn.innerHTML = 'No Results to Download';
+                } else {
+                    downloadBtn.disabled = false;
+                    downloadBtn.style.opacity = '1';
+                    downloadBtn.style.cursor = 'pointer';
+                    downloadBtn.innerHTML = '⬇️ Download Results (' + stats.saved + ')';
+                }
+            }
+
+            // Merging needs saved results
+            var mergeBtn = document.getElementById('lisesca-summary-merge');
+            if (mergeBtn) {
+                mergeBtn.disabled = stats.saved === 0;
+            }
+            var mergeStatus = document.getElementById('lisesca-summary-merge-status');
+            if (mergeStatus) {
+                mergeStatus.textContent = '';
+                mergeStatus.classList.remove('lisesca-error');
+            }
+
+            // Offer the rejected-items audit file only when AI rejected something
+            var rejectedBtn = document.getElementById('lisesca-summary-rejected');
+            if (rejectedBtn) {
+                if (stats.rejected > 0) {
+                    rejectedBtn.textContent = 'Download rejected (' + stats.rejected + ')';
+                    rejectedBtn.classList.add('lisesca-visible');
+                } else {
+                    rejectedBtn.classList.remove('lisesca-visible');
+                }
+            }
+
+            // Base stats section
+            var baseSection = document.createElement('div');
+            baseSection.className = 'lisesca-summary-section';
+            
+            baseSection.appendChild(this._createSummaryRow('Pages Scanned', stats.pages));
+            
+            if (stats.type === 'jobs') {
+                baseSection.appendChild(this._createSummaryRow('Total Processed', stats.processed));
+            }
+            
+            baseSection.appendChild(this._createSummaryRow(
+                Export.SAVED_LABELS[stats.type] || Export.SAVED_LABELS.people,
+                stats.saved, 
+                stats.saved > 0 ? 'lisesca-success' : ''
+            ));
+            if (stats.visitProfiles) {
+                baseSection.appendChild(this._createSummaryRow('Profiles Visited', stats.visited));
+            }
+            if (stats.visitCompanies) {
+                baseSection.appendChild(this._createSummaryRow('Company Pages Visited', stats.visited));
+            }
+            if (stats.visitJobs) {
+                baseSection.appendChild(this._createSummaryRow('Jobs Opened', stats.visited));
+            }
+            
+            container.appendChild(baseSection);
+
+            // AI stats section (if applicable)
+            if (stats.aiEnabled) {
+                var aiSection = document.createElement('div');
+                aiSection.className = 'lisesca-summary-section';
+                
+                var aiTitle = document.createElement('div');
+                aiTitle.style.fontSize = '11px';
+                aiTitle.style.color = '#8b949e';
+                aiTitle.style.textTransform = 'uppercase';
+                aiTitle.style.letterSpacing = '0.5px';
+                aiTitle.style.marginBottom = '8px';
+                aiTitle.textContent = 'AI Filtering Stats';
+                aiSection.appendChild(aiTitle);
+
+                if (stats.type === 'jobs') {
+                    if (stats.fullAIEnabled) {
+                        aiSection.appendChild(this._createSummaryRow('Triaged (Cards)', stats.aiTriaged));
+                        aiSection.appendChild(this._createSummaryRow('Fully Evaluated', stats.aiFullEvaluated));
+                    } else {
+                        aiSection.appendChild(this._createSummaryRow('Evaluated', stats.aiEvaluated));
+                    }
+                    aiSection.appendChild(this._createSummaryRow('Accepted', stats.aiAccepted, 'lisesca-highlight'));
+                } else {
+                    aiSection.appendChild(this._createSummaryRow('Evaluated', stats.aiEvaluated));
+                    aiSection.appendChild(this._createSummaryRow('Accepted (Score ≥3)', stats.aiAccepted, 'lisesca-highlight'));
+                }
+                aiSection.appendChild(this._createSummaryRow('Rejected', stats.rejected || 0));
+                
+                container.appendChild(aiSection);
+            }
+
+            this.summaryOverlay.classList.add('lisesca-visible');
+        },
+
+        /**
+         * Hide the summary panel.
+         */
+        hideSummary: function() {
+            if (this.summaryOverlay) {
+                this.summaryOverlay.classList.remove('lisesca-visible');
+            }
+        },
+
+        /**
+         * Remove the summary panel from the DOM.
+         */
+        removeSummaryPanel: function() {
+            if (this.summaryOverlay && this.summaryOverlay.parentNode) {
+                this.summaryOverlay.parentNode.removeChild(this.summaryOverlay);
+                console.log('[LiSeSca] Summary panel removed.');
+            }
+            this.summaryOverlay = null;
+        },
+
+        // --- SPA Navigation Support ---
+
+        /**
+         * Check if the main panel currently exists in the DOM.
+         * @returns {boolean}
+         */
+        isPanelActive: function() {
+            return this.panel !== null && document.body.contains(this.panel);
+        },
+
+        /**
+         * Remove the main floating panel from the DOM.
+         */
+        removePanel: function() {
+            if (this.panel && this.panel.parentNode) {
+                this.panel.parentNode.removeChild(this.panel);
+                console.log('[LiSeSca] UI panel removed.');
+            }
+            this.panel = null;
+            this.menu = null;
+            this.statusArea = null;
+            this.noResultsArea = null;
+            this.isMenuOpen = false;
+        },
+
+        /**
+         * Remove the configuration overlay from the DOM.
+         */
+        removeConfigPanel: function() {
+            if (this.configOverlay && this.configOverlay.parentNode) {
+                this.configOverlay.parentNode.removeChild(this.configOverlay);
+                console.log('[LiSeSca] Config panel removed.');
+            }
+            this.configOverlay = null;
+        },
+
+        /**
+         * Remove the AI configuration overlay from the DOM.
+         */
+        removeAIConfigPanel: function() {
+            if (this.aiConfigOverlay && this.aiConfigOverlay.parentNode) {
+                this.aiConfigOverlay.parentNode.removeChild(this.aiConfigOverlay);
+                console.log('[LiSeSca] AI config panel removed.');
+            }
+            this.aiConfigOverlay = null;
+        },
+
+        /**
+         * Remove the template, column and skills editor overlays from the DOM.
+         */
+        removeEditorPanels: function() {
+            [this.templateOverlay, this.columnsOverlay, this.skillsOverlay].forEach(function(overlay) {
+                if (overlay && overlay.parentNode) {
+                    overlay.parentNode.removeChild(overlay);
+                }
+            });
+            this.templateOverlay = null;
+            this.columnsOverlay = null;
+            this.skillsOverlay = null;
+        },
+
+        /**
+         * Remove existing panels and create fresh ones for the current page type.
+         * Used when SPA navigation changes the page type.
+         */
+        rebuildPanel: function() {
+            this.removePanel();
+            this.removeConfigPanel();
+            this.removeAIConfigPanel();
+            this.removeEditorPanels();
+            this.removeSummaryPanel();
+
+            this.createPanel();
+            this.createConfigPanel();
+            this.createAIConfigPanel();
+            this.createTemplatePanel();
+            this.createColumnsPanel();
+            this.createSkillsPanel();
+            this.createSummaryPanel();
+            console.log('[LiSeSca] UI panels rebuilt for new page.');
+        }
+    };
+
+    // ===== HUMAN EMULATION =====
+    // Simulates human browsing behavior (scrolling, mouse movement, pauses)
+    // to avoid triggering LinkedIn's bot detection.
+
+    const Emulator = {
+        /** Flag to allow cancellation of the emulation sequence */
+        cancelled: false,
+
+        /**
+         * Generate a random integer between min and max (inclusive).
+         * @param {number} min - Minimum value.
+         * @param {number} max - Maximum value.
+         * @returns {number} Random integer in [min, max].
+         */
+        getRandomInt: function(min, max) {
+            return Math.floor(Math.random() * (max - min + 1)) + min;
+        },
+
+        /**
+         * Return a Promise that resolves after a random delay.
+         * @param {number} minMs - Minimum milliseconds.
+         * @param {number} maxMs - Maximum milliseconds.
+         * @returns {Promise<void>}
+         */
+        randomDelay: function(minMs, maxMs) {
+            const delay = this.getRandomInt(minMs, maxMs);
+            return new Promise(function(resolve) {
+                setTimeout(resolve, delay);
+            });
+        },
+
+        /**
+         * Dispatch a synthetic mousemove event at randomized coordinates.
+         * @param {number} approximateY - Approximate vertical position to center the movement around.
+         */
+        dispatchMouseMove: function(approximateY) {
+            const eventInit = {
+                bubbles: true,
+                cancelable: true,
+                clientX: this.getRandomInt(200, 800),
+                clientY: approximateY + this.getRandomInt(-30, 30),
+                screenX: this.getRandomInt(200, 800),
+                screenY: approximateY + this.getRandomInt(-30, 30)
+            };
+            const event = new MouseEvent('mousemove', eventInit);
+
+            document.dispatchEvent(event);
+
+            if (document.body) {
+                document.body.dispatchEvent(new MouseEvent('mousemove', eventInit));
+            }
+            const mainEl = document.querySelector('main') || document.querySelector('[role="main"]');
+            if (mainEl) {
+                mainEl.dispatchEvent(new MouseEvent('mousemove', eventInit));
+            }
+        },
+
+        /**
+         * Dispatch a synthetic scroll event on all relevant scroll containers.
+         */
+        dispatchScrollEvent: function() {
+            window.dispatchEvent(new Event('scroll', { bubbles: true }));
+            document.dispatchEvent(new Event('scroll', { bubbles: true }));
+
+            const scrollTargets = [
+                document.querySelector('main'),
+                document.querySelector('[role="main"]'),
+                document.querySelector('[role="list"]')
+            ];
+            scrollTargets.forEach(function(target) {
+                if (target) {
+                    target.dispatchEvent(new Event('scroll', { bubbles: true }));
+                }
+            });
+        },
+
+        /**
+         * Run the full human emulation sequence for page scanning.
+         * @param {string} statusPrefix - Text to show before the countdown.
+         * @param {number} [minSeconds] - Minimum scan time (default: CONFIG.MIN_PAGE_TIME).
+         * @param {number} [maxSeconds] - Maximum scan time (default: CONFIG.MAX_PAGE_TIME).
+         * @returns {Promise<void>} Resolves when emulation is complete.
+         */
+        emulateHumanScan: function(statusPrefix, minSeconds, maxSeconds) {
+            this.cancelled = false;
+            const self = this;
+
+            const totalTimeMs = this.getRandomInt(
+                (minSeconds || CONFIG.MIN_PAGE_TIME) * 1000,
+                (maxSeconds || CONFIG.MAX_PAGE_TIME) * 1000
+            );
+            const totalTimeSec = Math.round(totalTimeMs / 1000);
+
+            const pageHeight = document.documentElement.scrollHeight;
+            const viewportHeight = window.innerHeight;
+            const scrollableDistance = Math.max(pageHeight - viewportHeight, 0);
+
+            const averageStepMs = 450;
+            const numberOfSteps = Math.max(Math.floor(totalTimeMs / averageStepMs), 10);
+            const baseScrollPerStep = scrollableDistance / numberOfSteps;
+
+            const numberOfPauses = self.getRandomInt(2, 3);
+            const pauseSteps = new Set();
+            while (pauseSteps.size < numberOfPauses) {
+                pauseSteps.add(self.getRandomInt(2, numberOfSteps - 2));
+            }
+
+            console.log('[LiSeSca] Emulation: ' + numberOfSteps + ' steps over ~'
+                + totalTimeSec + 's, '
+                + numberOfPauses + ' reading pauses.');
+
+            const startTimeMs = Date.now();
+            const prefix = statusPrefix || 'Scanning';
+            UI.showStatus(prefix + ' — ' + totalTimeSec + 's remaining');
+
+            let currentScroll = 0;
+
+            /**
+             * Execute one scroll step, then schedule the next.
+             * @param {number} step - Current step index (0-based).
+             * @returns {Promise<void>}
+             */
+            function executeStep(step) {
+                if (self.cancelled) {
+                    console.log('[LiSeSca] Emulation cancelled.');
+                    return Promise.resolve();
+                }
+                if (step >= numberOfSteps) {
+                    window.scrollTo({ top: scrollableDistance, behavior: 'smooth' });
+                    self.dispatchScrollEvent();
+                    return Promise.resolve();
+                }
+
+                const elapsedMs = Date.now() - startTimeMs;
+                const remainingSec = Math.max(0, Math.round((totalTimeMs - elapsedMs) / 1000));
+                UI.showStatus(prefix + ' — ' + remainingSec + 's remaining');
+
+                const scrollAmount = baseScrollPerStep * (0.6 + Math.random() * 0.8);
+                currentScroll = Math.min(currentScroll + scrollAmount, scrollableDistance);
+                window.scrollTo({ top: currentScroll, behavior: 'smooth' });
+
+                self.dispatchScrollEvent();
+
+                const mouseY = self.getRandomInt(100, viewportHeight - 100);
+                self.dispatchMouseMove(mouseY);
+
+                let delayMin = 200;
+                let delayMax = 600;
+
+                if (pauseSteps.has(step)) {
+                    delayMin = 1000;
+                    delayMax = 3000;
+                }
+
+                return self.randomDelay(delayMin, delayMax).then(function() {
+                    return executeStep(step + 1);
+                });
+            }
+
+            return executeStep(0).then(function() {
+                console.log('[LiSeSca] Emulation complete.');
+            });
+        },
+
+        /**
+         * Cancel the ongoing emulation sequence.
+         */
+        cancel: function() {
+            this.cancelled = true;
+        }
+    };
+
+    // ===== SESSION FLOW =====
+    // Steps shared by the scrape controllers that are not tied to one mode:
+    // ending a session after an unexpected error, and the deep-visit loop that
+    // opens each buffered record's own page after the last list page (member
+    // profiles, company About pages, job pages).
+    // Each visit is a full page load, so the loop keeps its position in State
+    // (VISIT_PHASE, VISIT_INDEX) and is resumed by the controller on the next
+    // load. What differs per mode is passed in as a visit object:
+    //   {
+    //     label:    'Profile', 'Company' or 'Job' (status and log text),
+    //     getUrl:   function(record) → page to open ('' skips the record),
+    //     isOnPage: function(record) → whether that page opened (optional),
+    //     extract:  function(record, statusPrefix) → Promise of the details (null if unreadable),
+    //     merge:    function(record, details) → the record to keep,
+    //     finish:   function() → called once every record was handled
+    //   }
+
+    const Session = {
+
+        /**
+         * End the session after an unexpected error, downloading what was collected.
+         * @param {Error} error - The error.
+         * @param {function(Array)} download - Downloads the buffered records in the mode's formats.
+         */
+        abortWithError: function(error, download) {
+            console.error('[LiSeSca] Scrape cycle error:', error);
+            UI.showStatus('Error: ' + error.message);
+
+            var buffer = State.getBuffer();
+            if (buffer.length > 0) {
+                download(buffer);
+            }
+            State.clear();
+            setTimeout(function() {
+                UI.showIdleState();
+            }, 5000);
+        },
+
+        /**
+         * Start the deep visits: open each buffered record's page in turn.
+         * @param {Object} visit - The visit steps (see the module header).
+         */
+        startVisits: function(visit) {
+            console.log('[LiSeSca] List pages done. Opening ' + State.getBuffer().length
+                + ' ' + visit.label.toLowerCase() + ' pages.');
+            State.set(State.KEYS.VISIT_PHASE, 'visiting');
+            State.set(State.KEYS.VISIT_INDEX, 0);
+            this.visitNext(visit);
+        },
+
+        /**
+         * Navigate to the page of the next buffered record that has one, or
+         * finish when all were handled.
+         * @param {Object} visit - The visit steps (see the module header).
+         */
+        visitNext: function(visit) {
+            if (!State.isScraping()) {
+                return;
+            }
+
+            var buffer = State.getBuffer();
+            var index = State.get(State.KEYS.VISIT_INDEX, 0);
+            while (index < buffer.length && !visit.getUrl(buffer[index])) {
+                index++;
+            }
+            if (index >= buffer.length) {
+                console.log('[LiSeSca] All ' + visit.label.toLowerCase() + ' pages visited.');
+                State.set(State.KEYS.VISIT_PHASE, 'done');
+                visit.finish();
+                return;
+            }
+
+            State.set(State.KEYS.VISIT_INDEX, index);
+            UI.showStatus('Opening ' + visit.label.toLowerCase() + ' ' + (index + 1) + ' of ' + buffer.length + '...');
+
+            var url = visit.getUrl(buffer[index]);
+            setTimeout(function() {
+                if (State.isScraping()) {
+                    window.location.href = url;
+                }
+            }, Emulator.getRandomInt(1000, 2500));
+        },
+
+        /**
+         * Continue the deep visits after a page load: read the page being shown,
+         * merge it into its buffered record, move on.
+         * @param {Object} visit - The visit steps (see the module header).
+         */
+        resumeVisit: function(visit) {
+            var self = this;
+            var buffer = State.getBuffer();
+            var index = State.get(State.KEYS.VISIT_INDEX, 0);
+            var record = buffer[index];
+
+            /** Advance to the next record, whatever happened to this one */
+            function next() {
+                State.set(State.KEYS.VISIT_INDEX, index + 1);
+                self.visitNext(visit);
+            }
+
+            if (!record) {
+                this.visitNext(visit);
+                return;
+            }
+            if (visit.isOnPage && !visit.isOnPage(record)) {
+                console.warn('[LiSeSca] ' + visit.label + ' page ' + visit.getUrl(record) + ' did not open (now on '
+                    + window.location.href + '). Skipping.');
+                next();
+                return;
+            }
+
+            var statusPrefix = visit.label + ' ' + (index + 1) + ' of ' + buffer.length;
+
+            Promise.resolve().then(function() {
+                return visit.extract(record, statusPrefix);
+            }).then(function(details) {
+                if (!State.isScraping()) {
+                    return;
+                }
+                if (details) {
+                    console.log('[LiSeSca] Read ' + statusPrefix.toLowerCase() + '.');
+                    State.updateBufferItem(index, visit.merge(record, details));
+                } else {
+                    console.warn('[LiSeSca] Could not read ' + visit.label.toLowerCase() + ' page '
+                        + visit.getUrl(record) + '. Skipping.');
+                }
+                next();
+            }).catch(function(error) {
+                console.error('[LiSeSca] ' + visit.label + ' page visit error:', error);
+                next();
+            });
+        }
+    };
+
+    // ===== GAZETTEER =====
+    // Offline place names used by LocationParser: countries with common aliases,
+    // first-level regions of frequently scraped countries, LinkedIn metro areas
+    // and multi-country areas. Names are as LinkedIn writes them (English).
+    const Gazetteer = {
+        /** Countries: [canonical name, ...aliases] */
+        COUNTRIES: [
+            ['Afghanistan'], ['Albania'], ['Algeria'], ['Andorra'], ['Angola'], ['Argentina'], ['Armenia'],
+            ['Australia'], ['Austria', 'Österreich'], ['Azerbaijan'], ['Bahamas', 'The Bahamas'], ['Bahrain'],
+            ['Bangladesh'], ['Barbados'], ['Belarus'], ['Belgium', 'België', 'Belgique'], ['Belize'], ['Benin'],
+            ['Bhutan'], ['Bolivia'], ['Bosnia and Herzegovina', 'Bosnia & Herzegovina'], ['Botswana'],
+            ['Brazil', 'Brasil'], ['Brunei'], ['Bulgaria'], ['Burkina Faso'], ['Burundi'], ['Cambodia'],
+            ['Cameroon'], ['Canada'], ['Cape Verde', 'Cabo Verde'], ['Central African Republic'], ['Chad'],
+            ['Chile'], ['China', "People's Republic of China", 'PRC'], ['Colombia'], ['Comoros'], ['Congo'],
+            ['Costa Rica'], ["Côte d'Ivoire", 'Ivory Coast'], ['Croatia'], ['Cuba'], ['Cyprus'],
+            ['Czechia', 'Czech Republic'], ['Democratic Republic of the Congo', 'DR Congo', 'DRC'],
+            ['Denmark', 'Danmark'], ['Djibouti'], ['Dominica'], ['Dominican Republic'], ['Ecuador'],
+            ['Egypt'], ['El Salvador'], ['Equatorial Guinea'], ['Eritrea'], ['Estonia'], ['Eswatini', 'Swaziland'],
+            ['Ethiopia'], ['Fiji'], ['Finland', 'Suomi'], ['France'], ['Gabon'], ['Gambia', 'The Gambia'],
+            ['Georgia'], ['Germany', 'Deutschland'], ['Ghana'], ['Greece'], ['Grenada'], ['Guatemala'],
+            ['Guinea'], ['Guinea-Bissau'], ['Guyana'], ['Haiti'], ['Honduras'], ['Hong Kong', 'Hong Kong SAR'],
+            ['Hungary'], ['Iceland'], ['India'], ['Indonesia'], ['Iran'], ['Iraq'], ['Ireland', 'Republic of Ireland'],
+            ['Israel'], ['Italy', 'Italia'], ['Jamaica'], ['Japan'], ['Jordan'], ['Kazakhstan'], ['Kenya'],
+            ['Kosovo'], ['Kuwait'], ['Kyrgyzstan'], ['Laos'], ['Latvia'], ['Lebanon'], ['Lesotho'], ['Liberia'],
+            ['Libya'], ['Liechtenstein'], ['Lithuania'], ['Luxembourg'], ['Macao', 'Macau'], ['Madagascar'],
+            ['Malawi'], ['Malaysia'], ['Maldives'], ['Mali'], ['Malta'], ['Mauritania'], ['Mauritius'],
+            ['Mexico', 'México'], ['Moldova'], ['Monaco'], ['Mongolia'], ['Montenegro'], ['Morocco'],
+            ['Mozambique'], ['Myanmar', 'Burma'], ['Namibia'], ['Nepal'], ['Netherlands', 'The Netherlands',
+                'Nederland', 'Holland'], ['New Zealand'], ['Nicaragua'], ['Niger'], ['Nigeria'],
+            ['North Macedonia', 'Macedonia'], ['Norway', 'Norge'], ['Oman'], ['Pakistan'], ['Palestine'],
+            ['Panama'], ['Papua New Guinea'], ['Paraguay'], ['Peru'], ['Philippines'], ['Poland', 'Polska'],
+            ['Portugal'], ['Puerto Rico'], ['Qatar'], ['Romania'], ['Russia', 'Russian Federation'], ['Rwanda'],
+            ['Saudi Arabia'], ['Senegal'], ['Serbia'], ['Seychelles'], ['Sierra Leone'], ['Singapore'],
+            ['Slovakia'], ['Slovenia'], ['Somalia'], ['South Africa'], ['South Korea', 'Korea',
+                'Republic of Korea'], ['South Sudan'], ['Spain', 'España'], ['Sri Lanka'], ['Sudan'], ['Suriname'],
+            ['Sweden', 'Sverige'], ['Switzerland', 'Schweiz', 'Suisse'], ['Syria'], ['Taiwan'], ['Tajikistan'],
+            ['Tanzania'], ['Thailand'], ['Togo'], ['Trinidad and Tobago'], ['Tunisia'], ['Turkey', 'Türkiye'],
+            ['Turkmenistan'], ['Uganda'], ['Ukraine'], ['United Arab Emirates', 'UAE'],
+            ['United Kingdom', 'UK', 'U.K.', 'Great Britain', 'Britain'],
+            ['United States', 'USA', 'US', 'U.S.', 'U.S.A.', 'United States of America', 'America'],
+            ['Uruguay'], ['Uzbekistan'], ['Venezuela'], ['Vietnam', 'Viet Nam'], ['Yemen'], ['Zambia'],
+            ['Zimbabwe']
+        ],
+
+        /** First-level regions: { country: [[name, ...abbreviations/aliases]] } */
+        REGIONS: {
+            'United States': [
+                ['Alabama', 'AL'], ['Alaska', 'AK'], ['Arizona', 'AZ'], ['Arkansas', 'AR'], ['California', 'CA'],
+                ['Colorado', 'CO'], ['Connecticut', 'CT'], ['Delaware', 'DE'], ['District of Columbia', 'DC', 'D.C.'],
+                ['Florida', 'FL'], ['Georgia', 'GA'], ['Hawaii', 'HI'], ['Idaho', 'ID'], ['Illinois', 'IL'],
+                ['Indiana', 'IN'], ['Iowa', 'IA'], ['Kansas', 'KS'], ['Kentucky', 'KY'], ['Louisiana', 'LA'],
+                ['Maine', 'ME'], ['Maryland', 'MD'], ['Massachusetts', 'MA'], ['Michigan', 'MI'],
+                ['Minnesota', 'MN'], ['Mississippi', 'MS'], ['Missouri', 'MO'], ['Montana', 'MT'],
+                ['Nebraska', 'NE'], ['Nevada', 'NV'], ['New Hampshire', 'NH'], ['New Jersey', 'NJ'],
+                ['New Mexico', 'NM'], ['New York', 'NY'], ['North Carolina', 'NC'], ['North Dakota', 'ND'],
+                ['Ohio', 'OH'], ['Oklahoma', 'OK'], ['Oregon', 'OR'], ['Pennsylvania', 'PA'],
+                ['Rhode Island', 'RI'], ['South Carolina', 'SC'], ['South Dakota', 'SD'], ['Tennessee', 'TN'],
+                ['Texas', 'TX'], ['Utah', 'UT'], ['Vermont', 'VT'], ['Virginia', 'VA'], ['Washington', 'WA'],
+                ['West Virginia', 'WV'], ['Wisconsin', 'WI'], ['Wyoming', 'WY']
+            ],
+            'Canada': [
+                ['Alberta', 'AB'], ['British Columbia', 'BC'], ['Manitoba', 'MB'], ['New Brunswick', 'NB'],
+                ['Newfoundland and Labrador', 'NL'], ['Nova Scotia', 'NS'], ['Ontario', 'ON'],
+                ['Prince Edward Island', 'PE', 'PEI'], ['Quebec', 'QC', 'Québec'], ['Saskatchewan', 'SK'],
+                ['Northwest Territories', 'NT'], ['Nunavut', 'NU'], ['Yukon', 'YT']
+            ],
+            'Australia': [
+                ['New South Wales', 'NSW'], ['Victoria', 'VIC'], ['Queensland', 'QLD'],
+                ['Western Australia', 'WA'], ['South Australia', 'SA'], ['Tasmania', 'TAS'],
+                ['Australian Capital Territory', 'ACT'], ['Northern Territory', 'NT']
+            ],
+            'United Kingdom': [
+                ['England'], ['Scotland'], ['Wales'], ['Northern Ireland']
+            ],
+            'Germany': [
+                ['Baden-Württemberg'], ['Bavaria', 'Bayern'], ['Berlin'], ['Brandenburg'], ['Bremen'],
+                ['Hamburg'], ['Hesse', 'Hessen'], ['Lower Saxony', 'Niedersachsen'],
+                ['Mecklenburg-West Pomerania', 'Mecklenburg-Vorpommern'],
+                ['North Rhine-Westphalia', 'Nordrhein-Westfalen'], ['Rhineland-Palatinate', 'Rheinland-Pfalz'],
+                ['Saarland'], ['Saxony', 'Sachsen'], ['Saxony-Anhalt', 'Sachsen-Anhalt'],
+                ['Schleswig-Holstein'], ['Thuringia', 'Thüringen']
+            ],
+            'India': [
+                ['Andhra Pradesh'], ['Assam'], ['Bihar'], ['Delhi', 'National Capital Territory of Delhi'],
+                ['Goa'], ['Gujarat'], ['Haryana'], ['Karnataka'], ['Kerala'], ['Madhya Pradesh'],
+                ['Maharashtra'], ['Odisha'], ['Punjab'], ['Rajasthan'], ['Tamil Nadu'], ['Telangana'],
+                ['Uttar Pradesh'], ['Uttarakhand'], ['West Bengal']
+            ],
+            'Poland': [
+                ['Lower Silesian Voivodeship', 'Dolnośląskie'], ['Kuyavian-Pomeranian Voivodeship', 'Kujawsko-pomorskie'],
+                ['Lublin Voivodeship', 'Lubelskie'], ['Lubusz Voivodeship', 'Lubuskie'],
+                ['Łódź Voivodeship', 'Łódzkie'], ['Lesser Poland Voivodeship', 'Małopolskie'],
+                ['Masovian Voivodeship', 'Mazowieckie'], ['Opole Voivodeship', 'Opolskie'],
+                ['Subcarpathian Voivodeship', 'Podkarpackie'], ['Podlaskie Voivodeship', 'Podlaskie'],
+                ['Pomeranian Voivodeship', 'Pomorskie'], ['Silesian Voivodeship', 'Śląskie'],
+                ['Świętokrzyskie Voivodeship', 'Świętokrzyskie'], ['Warmian-Masurian Voivodeship', 'Warmińsko-mazurskie'],
+                ['Greater Poland Voivodeship', 'Wielkopolskie'], ['West Pomeranian Voivodeship', 'Zachodniopomorskie']
+            ]
+        },
+
+        /** LinkedIn metro areas: { name: { region, country } } */
+        METRO_AREAS: {
+            'San Francisco Bay Area': { region: 'California', country: 'United States' },
+            'New York City Metropolitan Area': { region: 'New York', country: 'United States' },
+            'Greater Seattle Area': { region: 'Washington', country: 'United States' },
+            'Greater Boston': { region: 'Massachusetts', country: 'United States' },
+            'Greater Chicago Area': { region: 'Illinois', country: 'United States' },
+            'Los Angeles Metropolitan Area': { region: 'California', country: 'United States' },
+            'Greater Los Angeles Area': { region: 'California', country: 'United States' },
+            'Washington DC-Baltimore Area': { region: '', country: 'United States' },
+            'Dallas-Fort Worth Metroplex': { region: 'Texas', country: 'United States' },
+            'Austin, Texas Metropolitan Area': { region: 'Texas', country: 'United States' },
+            'Atlanta Metropolitan Area': { region: 'Georgia', country: 'United States' },
+            'Denver Metropolitan Area': { region: 'Colorado', country: 'United States' },
+            'Greater Toronto Area': { region: 'Ontario', country: 'Canada' },
+            'Greater Vancouver Metropolitan Area': { region: 'British Columbia', country: 'Canada' },
+            'Greater Montreal Metropolitan Area': { region: 'Quebec', country: 'Canada' },
+            'Greater London': { region: 'England', country: 'United Kingdom' },
+            'London Area': { region: 'England', country: 'United Kingdom' },
+            'Greater Manchester': { region: 'England', country: 'United Kingdom' },
+            'Berlin Metropolitan Area': { region: 'Berlin', country: 'Germany' },
+            'Greater Munich Metropolitan Area': { region: 'Bavaria', country: 'Germany' },
+            'Greater Hamburg Area': { region: 'Hamburg', country: 'Germany' },
+            'Frankfurt Rhine-Main Metropolitan Area': { region: 'Hesse', country: 'Germany' },
+            'Greater Paris Metropolitan Region': { region: 'Île-de-France', country: 'France' },
+            'Randstad': { region: '', country: 'Netherlands' },
+            'Greater Madrid Metropolitan Area': { region: 'Community of Madrid', country: 'Spain' },
+            'Greater Barcelona Metropolitan Area': { region: 'Catalonia', country: 'Spain' },
+            'Greater Dublin': { region: '', country: 'Ireland' },
+            'Warsaw Metropolitan Area': { region: 'Masovian Voivodeship', country: 'Poland' },
+            'Greater Sydney Area': { region: 'New South Wales', country: 'Australia' },
+            'Greater Melbourne Area': { region: 'Victoria', country: 'Australia' },
+            'Greater Bengaluru Area': { region: 'Karnataka', country: 'India' },
+            'Mumbai Metropolitan Region': { region: 'Maharashtra', country: 'India' },
+            'Greater Delhi Area': { region: 'Delhi', country: 'India' },
+            'Greater Hyderabad Area': { region: 'Telangana', country: 'India' },
+            'Greater Tel Aviv Area': { region: '', country: 'Israel' }
+        },
+
+        /** Cities of US states named like a country: "Atlanta, Georgia" is the state, "Tbilisi, Georgia" the country */
+        STATE_CITIES: {
+            'Georgia': ['Atlanta', 'Alpharetta', 'Athens', 'Augusta', 'Columbus', 'Duluth', 'Macon', 'Marietta',
+                'Norcross', 'Roswell', 'Sandy Springs', 'Savannah', 'Smyrna']
+        },
+
+        /** Regions that are also a city: a lone "Berlin, Germany" names both */
+        CITY_REGIONS: ['Berlin', 'Hamburg', 'Bremen', 'Delhi'],
+
+        /** Areas spanning several countries; kept as the region with no country */
+        MULTI_COUNTRY_AREAS: [
+            'Worldwide', 'European Union', 'European Economic Area', 'Europe', 'EMEA', 'APAC', 'LATAM',
+            'Latin America', 'North America', 'Asia Pacific', 'Middle East', 'Nordics', 'DACH', 'Benelux'
+        ]
+    };
+
+    // ===== LOCATION PARSING =====
+    // Splits LinkedIn's free-text locations ("Austin, TX", "Munich, Bavaria,
+    // Germany", "Greater London", "United States (Remote)") into city, region,
+    // country and metro area using the offline Gazetteer, and derives a remote
+    // flag from the text and the job's workplace type.
+
+    const LocationParser = {
+        /** Workplace type LinkedIn appends to some card locations */
+        WORKPLACE_SUFFIX: /\s*\((remote|hybrid|on-site|onsite)\)\s*$/i,
+
+        /** Names that look like a metro area even if not in the gazetteer */
+        METRO_PATTERN: /^greater\s|\s(metropolitan|metro)\s(area|region)$|\sarea$|\smetroplex$/i,
+
+        /** Lookup tables built from the gazetteer, see getIndex() */
+        index: null,
+
+        /**
+         * Normalize a place name for lookup.
+         * @param {string} text - The name.
+         * @returns {string} Lowercased name with single spaces.
+         */
+        normalizeName: function(text) {
+            return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+        },
+
+        /**
+         * Build (once) the lowercase lookup tables of the gazetteer.
+         * @returns {Object} { countries, regions, metros, multiCountry }
+         */
+        getIndex: function() {
+            if (this.index) {
+                return this.index;
+            }
+            var self = this;
+            var index = { countries: {}, regions: {}, metros: {}, multiCountry: {} };
+
+            Gazetteer.COUNTRIES.forEach(function(names) {
+                names.forEach(function(name) {
+                    index.countries[self.normalizeName(name)] = names[0];
+                });
+            });
+            Object.keys(Gazetteer.REGIONS).forEach(function(country) {
+                var table = {};
+                Gazetteer.REGIONS[country].forEach(function(names) {
+                    names.forEach(function(name) {
+                        table[self.normalizeName(name)] = names[0];
+                    });
+                });
+                index.regions[country] = table;
+            });
+            Object.keys(Gazetteer.METRO_AREAS).forEach(function(name) {
+                index.metros[self.normalizeName(name)] = name;
+            });
+            Gazetteer.MULTI_COUNTRY_AREAS.forEach(function(name) {
+                index.multiCountry[self.normalizeName(name)] = name;
+            });
+
+            this.index = index;
+            return index;
+        },
+
+        /**
+         * Find a country by name or alias.
+         * @param {string} text - A location part.
+         * @returns {string} The canonical country name, or ''.
+         */
+        findCountry: function(text) {
+            return this.getIndex().countries[this.normalizeName(text)] || '';
+        },
+
+        /**
+         * Find a first-level region by name or abbreviation.
+         * Without a known country, countries are tried in gazetteer order, so
+         * ambiguous abbreviations such as "WA" resolve to the United States.
+         * @param {string} text - A location part.
+         * @param {string} country - The country, if already known.
+         * @returns {Object|null} { region, country }, or null.
+         */
+        findRegion: function(text, country) {
+            var regions = this.getIndex().regions;
+            var key = this.normalizeName(text);
+            var countries = country ? [country] : Object.keys(regions);
+            for (var i = 0; i < countries.length; i++) {
+                var table = regions[countries[i]];
+                if (table && table[key]) {
+                    return { region: table[key], country: countries[i] };
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Recognize a metro area, from the gazetteer or by its wording.
+         * @param {string} text - A location or location part.
+         * @returns {Object|null} { metroArea, region, country } (region/country '' if unknown), or null.
+         */
+        findMetro: function(text) {
+            var name = this.getIndex().metros[this.normalizeName(text)];
+            if (name) {
+                return {
+                    metroArea: name,
+                    region: Gazetteer.METRO_AREAS[name].region,
+                    country: Gazetteer.METRO_AREAS[name].country
+                };
+            }
+            if (this.METRO_PATTERN.test(String(text || '').trim())) {
+                return { metroArea: String(text).trim(), region: '', country: '' };
+            }
+            return null;
+        },
+
+        /**
+         * Tell whether "City, X" names a known city of the US state X, where X is
+         * also a country ("Atlanta, Georgia" but not "Tbilisi, Georgia").
+         * @param {Array<string>} parts - The location parts.
+         * @returns {boolean} True if the last part is to be read as the state.
+         */
+        isStateCity: function(parts) {
+            if (parts.length !== 2) {
+                return false;
+            }
+            var self = this;
+            var state = this.findRegion(parts[1], 'United States');
+            var cities = state ? (Gazetteer.STATE_CITIES[state.region] || []) : [];
+            return cities.some(function(city) {
+                return self.normalizeName(city) === self.normalizeName(parts[0]);
+            });
+        },
+
+        /**
+         * Parse a location into its parts.
+         * @param {string} text - The location as shown by LinkedIn.
+         * @param {string} [workplaceType] - The job's workplace type (e.g. "Remote").
+         * @returns {Object} { city, region, country, metroArea, isRemote }
+         */
+        parse: function(text, workplaceType) {
+            var self = this;
+            var result = { city: '', region: '', country: '', metroArea: '', isRemote: /remote/i.test(workplaceType || '') };
+            var value = String(text || '').trim();
+
+            var suffix = value.match(this.WORKPLACE_SUFFIX);
+            if (suffix) {
+                result.isRemote = result.isRemote || /remote/i.test(suffix[1]);
+                value = value.slice(0, suffix.index).trim();
+            }
+
+            var parts = value.split(',').map(function(part) {
+                return part.trim();
+            }).filter(function(part) {
+                if (/^remote$/i.test(part)) {
+                    result.isRemote = true;
+                    return false;
+                }
+                return part !== '';
+            });
+            if (parts.length === 0) {
+                return result;
+            }
+
+            // Metro area names may themselves contain a comma
+            var wholeMetro = this.getIndex().metros[this.normalizeName(parts.join(', '))];
+            if (wholeMetro) {
+                return Object.assign(result, this.findMetro(wholeMetro));
+            }
+
+            var last = parts[parts.length - 1];
+            var multiCountry = this.getIndex().multiCountry[this.normalizeName(last)];
+            if (this.findCountry(last) && !this.isStateCity(parts)) {
+                result.country = this.findCountry(last);
+                parts.pop();
+            } else if (multiCountry) {
+                result.region = multiCountry;
+                parts.pop();
+            }
+
+            parts = parts.filter(function(part) {
+                // "Greater Poland Voivodeship" is a region, not a metro area
+                var metro = (result.metroArea || self.findRegion(part, result.country)) ? null : self.findMetro(part);
+                if (!metro) {
+                    return true;
+                }
+                result.metroArea = metro.metroArea;
+                result.region = result.region || metro.region;
+                result.country = result.country || metro.country;
+                return false;
+            });
+
+            if (parts.length === 1) {
+                var region = this.findRegion(parts[0], result.country);
+                if (region) {
+                    result.region = region.region;
+                    result.country = result.country || region.country;
+                    if (Gazetteer.CITY_REGIONS.indexOf(region.region) !== -1) {
+                        result.city = region.region;
+                    }
+                } else {
+                    result.city = parts[0];
+                }
+            } else if (parts.length > 1) {
+                var lastRegion = this.findRegion(parts[parts.length - 1], result.country);
+                result.city = parts[0];
+                result.region = lastRegion ? lastRegion.region : parts[parts.length - 1];
+                if (lastRegion) {
+                    result.country = result.country || lastRegion.country;
+                }
+            }
+
+            return result;
+        }
+    };
+
+    // ===== DATA EXTRACTION (PEOPLE) =====
+    // Reads the current page's DOM and returns an array of profile objects.
+    // Each profile is represented as:
+    //   { fullName, connectionDegree, description, location,
+    //     city, region, country, metroArea, profileUrl }
+
+    const Extractor = {
+
+        /**
+         * Wait for search result cards to appear in the DOM.
+         * LinkedIn is an SPA and may load results asynchronously,
+         * so we poll for up to 10 seconds before giving up.
+         * @returns {Promise<NodeList>} The list of result card elements (may be empty).
+         */
+        waitForResults: function() {
+            return new Promise(function(resolve) {
+                const maxWaitMs = 10000;
+                const pollIntervalMs = 500;
+                let elapsed = 0;
+
+                const poll = setInterval(function() {
+                    const cards = document.querySelectorAll(Selectors.RESULT_CARD);
+                    if (cards.length > 0) {
+                        clearInterval(poll);
+                        console.log('[LiSeSca] Found ' + cards.length + ' result cards.');
+                        resolve(cards);
+                        return;
+                    }
+                    elapsed += pollIntervalMs;
+                    if (elapsed >= maxWaitMs) {
+                        clearInterval(poll);
+                        console.log('[LiSeSca] No result cards found after ' + maxWaitMs + 'ms (end of results).');
+                        resolve([]); // Return empty array instead of rejecting
+                    }
+                }, pollIntervalMs);
+            });
+        },
+
+        /**
+         * Extract profile data from all result cards on the current page.
+         * Skips cards that fail to parse (logs a warning for each).
+         * @returns {Promise<Array>} Array of profile data objects.
+         */
+        extractCurrentPage: function() {
+            return this.waitForResults().then(function(cards) {
+                const profiles = [];
+                cards.forEach(function(card, index) {
+                    try {
+                        const profile = Extractor.extractCard(card);
+                        if (profile) {
+                            profiles.push(profile);
+                        }
+                    } catch (error) {
+                        console.warn('[LiSeSca] Failed to extract card #' + index + ':', error);
+                    }
+                });
+                console.log('[LiSeSca] Extracted ' + profiles.length + ' profiles from this page.');
+                return profiles;
+            });
+        },
+
+        /**
+         * Extract profile data from a single result card element.
+         * @param {HTMLElement} card - The listitem div element.
+         * @returns {Object|null} Profile data object, or null if no title link found.
+         */
+        extractCard: function(card) {
+            const titleLink = card.querySelector(Selectors.TITLE_LINK);
+            if (!titleLink) {
+                console.warn('[LiSeSca] Card has no title link, skipping.');
+                return null;
+            }
+
+            const fullName = this.extractName(titleLink);
+            const profileUrl = this.extractProfileUrl(titleLink);
+            const connectionDegree = this.extractDegree(titleLink);
+            const description = this.extractDescription(titleLink);
+            const location = this.extractLocation(titleLink);
+            const place = LocationParser.parse(location);
+
+            return {
+                fullName: fullName,
+                connectionDegree: connectionDegree,
+                description: description,
+                location: location,
+                city: place.city,
+                region: place.region,
+                country: place.country,
+                metroArea: place.metroArea,
+                profileUrl: profileUrl
+            };
+        },
+
+        /**
+         * Format a people card as Markdown for AI evaluation.
+         * @param {Object} profile - The card data from extractCard.
+         * @returns {string} Markdown-formatted card summary.
+         */
+        formatCardForAI: function(profile) {
+            var lines = [];
+            lines.push('## ' + (profile.fullName || 'Unknown Name'));
+
+            if (profile.description) {
+                lines.push('**Headline:** ' + profile.description);
+            }
+            if (profile.location) {
+                lines.push('**Location:** ' + profile.location);
+            }
+            if (profile.connectionDegree) {
+                lines.push('**Connection degree:** ' + profile.connectionDegree);
+            }
+            if (profile.connectedOn) {
+                lines.push('**Connected on:** ' + profile.connectedOn);
+            }
+            if (profile.profileUrl) {
+                lines.push('**Profile:** ' + profile.profileUrl);
+            }
+
+            return lines.join('\n');
+        },
+
+        /**
+         * Extract the person's full name from the title link.
+         * @param {HTMLElement} titleLink - The <a> element with data-view-name.
+         * @returns {string} The full name, trimmed.
+         */
+        extractName: function(titleLink) {
+            return (titleLink.textContent || '').trim();
+        },
+
+        /**
+         * Extract and clean the profile URL from the title link's href.
+         * @param {HTMLElement} titleLink - The <a> element.
+         * @returns {string} The cleaned profile URL.
+         */
+        extractProfileUrl: function(titleLink) {
+            const rawUrl = titleLink.href || '';
+            return this.cleanProfileUrl(rawUrl);
+        },
+
+        /**
+         * Remove query parameters and hash fragments from a LinkedIn profile URL.
+         * @param {string} rawUrl - The full URL with potential tracking parameters.
+         * @returns {string} The clean URL (origin + pathname only).
+         */
+        cleanProfileUrl: function(rawUrl) {
+            if (!rawUrl) {
+                return '';
+            }
+            try {
+                const url = new URL(rawUrl);
+                return url.origin + url.pathname;
+            } catch (error) {
+                return rawUrl;
+            }
+        },
+
+        /**
+         * Extract the connection degree from the span sibling of the title link.
+         * @param {HTMLElement} titleLink - The <a> element.
+         * @returns {number} The connection degree (1, 2, 3, etc.) or 0 if not found.
+         */
+        extractDegree: function(titleLink) {
+            const titleParagraph = titleLink.parentElement;
+            if (!titleParagraph) {
+                return 0;
+            }
+
+            const spans = titleParagraph.querySelectorAll('span span');
+            for (let i = 0; i < spans.length; i++) {
+                const text = spans[i].textContent || '';
+                const match = text.match(/(\d+)(st|nd|rd|th)/);
+                if (match) {
+                    return parseInt(match[1], 10);
+                }
+            }
+            return 0;
+        },
+
+        /**
+         * Extract the description (headline) text from the first sibling <div>.
+         * @param {HTMLElement} titleLink - The <a> element.
+         * @returns {string} The description text, or empty string if not found.
+         */
+        extractDescription: function(titleLink) {
+            const titleParagraph = titleLink.parentElement;
+            if (!titleParagraph) {
+                return '';
+            }
+
+            const descriptionDiv = titleParagraph.nextElementSibling;
+            if (!descriptionDiv) {
+                return '';
+            }
+
+            const descParagraph = descriptionDiv.querySelector('p');
+            if (!descParagraph) {
+                return '';
+            }
+
+            return (descParagraph.textContent || '').trim();
+        },
+
+        /**
+         * Extract the location text from the second sibling <div>.
+         * @param {HTMLElement} titleLink - The <a> element.
+         * @returns {string} The location text, or empty string if not found.
+         */
+        extractLocation: function(titleLink) {
+            const titleParagraph = titleLink.parentElement;
+            if (!titleParagraph) {
+                return '';
+            }
+
+            const descriptionDiv = titleParagraph.nextElementSibling;
+            if (!descriptionDiv) {
+                return '';
+            }
+
+            const locationDiv = descriptionDiv.nextElementSibling;
+            if (!locationDiv) {
+                return '';
+            }
+
+            const locParagraph = locationDiv.querySelector('p');
+            if (!locParagraph) {
+                return '';
+            }
+
+            return (locParagraph.textContent || '').trim();
+        }
+    };
+
+    // ===== DATA EXTRACTION (PEOPLE LISTS THAT GROW IN PLACE) =====
+    // Shared reading of the people lists without "page=" pagination: a
+    // company's People tab and the own connections list. Both grow in place,
+    // either when "Show more results" is clicked or, for lists that set
+    // LOADS_ON_SCROLL, when scrolled to the bottom. Cards are read by position
+    // and only the ones added since the previous read are returned.
+    // Each list mixes these methods into its own reader and adds its settings
+    // and card extraction:
+    //   CARD_SELECTOR, SHOW_MORE_SELECTOR, LOADS_ON_SCROLL, CARD_LABEL, extractCard(card)
+    const GridReader = {
+
+        /** Grows when scrolled to the bottom, not only via "Show more results" */
+        LOADS_ON_SCROLL: false,
+
+        /**
+         * Get the cards currently in the list.
+         * @returns {NodeList} The card elements, in page order.
+         */
+        getCards: function() {
+            return document.querySelectorAll(this.CARD_SELECTOR);
+        },
+
+        /**
+         * Wait until the list holds more than a given number of cards.
+         * @param {number} knownCount - Cards already in the list.
+         * @returns {Promise<number>} The card count (unchanged if none arrived within 10 seconds).
+         */
+        waitForCards: function(knownCount) {
+            var self = this;
+            return new Promise(function(resolve) {
+                var maxWaitMs = 10000;
+                var pollIntervalMs = 500;
+                var elapsed = 0;
+
+                var poll = setInterval(function() {
+                    var count = self.getCards().length;
+                    if (count > knownCount) {
+                        clearInterval(poll);
+                        resolve(count);
+                        return;
+                    }
+                    elapsed += pollIntervalMs;
+                    if (elapsed >= maxWaitMs) {
+                        clearInterval(poll);
+                        console.log('[LiSeSca] No new ' + self.CARD_LABEL + ' cards after ' + maxWaitMs + 'ms.');
+                        resolve(count);
+                    }
+                }, pollIntervalMs);
+            });
+        },
+
+        /**
+         * Extract the profiles of the cards added after the first knownCount.
+         * Waits for the list to render if it is still empty.
+         * @param {number} knownCount - Cards already read.
+         * @returns {Promise<Object>} { profiles, cardCount } — cardCount is the new total.
+         */
+        extractNewCards: function(knownCount) {
+            var self = this;
+            return this.waitForCards(knownCount).then(function() {
+                var cards = Array.prototype.slice.call(self.getCards(), knownCount);
+                var profiles = [];
+                cards.forEach(function(card, index) {
+                    try {
+                        var profile = self.extractCard(card);
+                        if (profile) {
+                            profiles.push(profile);
+                        }
+                    } catch (error) {
+                        console.warn('[LiSeSca] Failed to extract ' + self.CARD_LABEL + ' card #'
+                            + (knownCount + index) + ':', error);
+                    }
+                });
+                console.log('[LiSeSca] Extracted ' + profiles.length + ' profiles from '
+                    + cards.length + ' new cards.');
+                return { profiles: profiles, cardCount: knownCount + cards.length };
+            });
+        },
+
+        /**
+         * Find the "Show more results" button, if LinkedIn shows one.
+         * @returns {Element|null} The enabled button, or null.
+         */
+        getShowMoreButton: function() {
+            var button = document.querySelector(this.SHOW_MORE_SELECTOR);
+            return (button && !button.disabled) ? button : null;
+        },
+
+        /**
+         * Load more cards: click "Show more results" if shown, otherwise scroll
+         * to the bottom of lists that load on scroll, then wait for the new cards.
+         * @param {number} knownCount - Cards in the list before loading.
+         * @returns {Promise<boolean>} True if new cards appeared.
+         */
+        showMore: function(knownCount) {
+            var button = this.getShowMoreButton();
+            if (button) {
+                button.click();
+            } else if (this.LOADS_ON_SCROLL) {
+                window.scrollTo({ top: document.documentElement.scrollHeight, behavior: 'smooth' });
+            } else {
+                return Promise.resolve(false);
+            }
+            return this.waitForCards(knownCount).then(function(count) {
+                return count > knownCount;
+            });
+        }
+    };
+
+    // ===== DATA EXTRACTION (COMPANY PEOPLE TAB) =====
+    // Reads the employee grid of a company's People tab (/company/<slug>/people/).
+    // The grid has no "page=" pagination: it grows in place each time
+    // "Show more results" is clicked (see GridReader).
+    // Profiles have the same shape as people search results (see Extractor);
+    // the tab shows no locations, so the location fields stay empty.
+    // Members outside the network appear as "LinkedIn Member" without a
+    // profile link and are skipped.
+
+    const CompanyPeople = Object.assign({}, GridReader, {
+
+        CARD_SELECTOR: Selectors.COMPANY_PEOPLE_CARD,
+        SHOW_MORE_SELECTOR: Selectors.COMPANY_PEOPLE_SHOW_MORE,
+        CARD_LABEL: 'people',
+
+        /**
+         * Read the connection degree from the card badge.
+         * @param {string} text - E.g. "· 2nd" or "3rd+".
+         * @returns {number} The degree, or 0 if not shown.
+         */
+        parseDegree: function(text) {
+            var match = String(text || '').match(/(\d+)(st|nd|rd|th)/);
+            return match ? parseInt(match[1], 10) : 0;
+        },
+
+        /**
+         * Extract profile data from a single card.
+         * @param {Element} card - The card element.
+         * @returns {Object|null} Profile data object, or null for a card without a profile link.
+         */
+        extractCard: function(card) {
+            var link = card.querySelector(Selectors.COMPANY_PEOPLE_LINK);
+            if (!link) {
+                return null;
+            }
+            var nameEl = card.querySelector(Selectors.COMPANY_PEOPLE_NAME);
+            var headlineEl = card.querySelector(Selectors.COMPANY_PEOPLE_HEADLINE);
+            var degreeEl = card.querySelector(Selectors.COMPANY_PEOPLE_DEGREE);
+
+            return {
+                fullName: ((nameEl || link).textContent || '').trim(),
+                connectionDegree: this.parseDegree(degreeEl ? degreeEl.textContent : ''),
+                description: headlineEl ? (headlineEl.textContent || '').trim() : '',
+                location: '',
+                city: '',
+                region: '',
+                country: '',
+                metroArea: '',
+                profileUrl: Extractor.cleanProfileUrl(link.href || '')
+            };
+        }
+    });
+
+    // ===== DATA EXTRACTION (MY NETWORK CONNECTIONS) =====
+    // Reads the own connections list (/mynetwork/invite-connect/connections/).
+    // Like a company's People tab, the list grows in place (see GridReader):
+    // scrolling to the bottom loads more connections, and after a while
+    // LinkedIn shows a "Show more results" button instead.
+    // Profiles have the same shape as people search results (see Extractor),
+    // plus the date the connection was made:
+    //   { connectedOn, connectedAt }
+    // The list shows no locations, so the location fields stay empty.
+
+    const Connections = Object.assign({}, GridReader, {
+
+        CARD_SELECTOR: Selectors.CONNECTION_CARD,
+        SHOW_MORE_SELECTOR: Selectors.CONNECTION_SHOW_MORE,
+        CARD_LABEL: 'connection',
+
+        /** Grows when scrolled to the bottom, not only via "Show more results" */
+        LOADS_ON_SCROLL: true,
+
+        /** English month names, matched by their first three letters */
+        MONTHS: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+
+        /**
+         * Read the date a connection was made from the card's time badge.
+         * @param {string} text - E.g. "Connected on March 3, 2024".
+         * @returns {Object} { connectedOn, connectedAt } — the date as shown and
+         *   as YYYY-MM-DD ('' if the date is not understood).
+         */
+        parseConnectedOn: function(text) {
+            var connectedOn = String(text || '').trim().replace(/\s+/g, ' ').replace(/^connected\s+(on\s+)?/i, '');
+            var match = connectedOn.match(/([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})/);
+            var month = match ? this.MONTHS.indexOf(match[1].substring(0, 3).toLowerCase()) : -1;
+            var connectedAt = '';
+            if (month !== -1) {
+                connectedAt = match[3] + '-' + String(month + 1).padStart(2, '0')
+                    + '-' + String(parseInt(match[2], 10)).padStart(2, '0');
+            }
+            return { connectedOn: connectedOn, connectedAt: connectedAt };
+        },
+
+        /**
+         * Extract profile data from a single card.
+         * @param {Element} card - The card element.
+         * @returns {Object|null} Profile data object, or null for a card without a profile link.
+         */
+        extractCard: function(card) {
+            var link = card.querySelector(Selectors.CONNECTION_LINK);
+            if (!link) {
+                return null;
+            }
+            var nameEl = card.querySelector(Selectors.CONNECTION_NAME);
+            var occupationEl = card.querySelector(Selectors.CONNECTION_OCCUPATION);
+            var timeEl = card.querySelector(Selectors.CONNECTION_TIME);
+            var connected = this.parseConnectedOn(timeEl ? timeEl.textContent : '');
+
+            return {
+                fullName: ((nameEl || link).textContent || '').trim(),
+                connectionDegree: 1,
+                description: occupationEl ? (occupationEl.textContent || '').trim() : '',
+                location: '',
+                city: '',
+                region: '',
+                country: '',
+                metroArea: '',
+                profileUrl: Extractor.cleanProfileUrl(link.href || ''),
+                connectedOn: connected.connectedOn,
+                connectedAt: connected.connectedAt
+            };
+        }
+    });
+
+    // ===== PAGINATION (PEOPLE) =====
+    // Handles navigation between search result pages.
+    // LinkedIn uses the "page=" URL parameter for pagination.
+
+    const Paginator = {
+
+        /**
+         * Get the current page number from the URL's "page=" parameter.
+         * @returns {number} Page number (1 if not specified).
+         */
+        getCurrentPage: function() {
+            const url = new URL(window.location.href);
+            const pageParam = url.searchParams.get('page');
+            return pageParam ? parseInt(pageParam, 10) : 1;
+        },
+
+        /**
+         * Get the base search URL (without the "page" parameter).
+         * @returns {string} The cleaned base URL.
+         */
+        getBaseSearchUrl: function() {
+            const url = new URL(window.location.href);
+            url.searchParams.delete('page');
+            return url.toString();
+        },
+
+        /**
+         * Navigate to a specific page by updating the URL.
+         * @param {number} pageNum - The page number to navigate to.
+         */
+        navigateToPage: function(pageNum) {
+            const baseUrl = State.get(State.KEYS.SEARCH_URL, this.getBaseSearchUrl());
+            const url = new URL(baseUrl);
+            url.searchParams.set('page', pageNum.toString());
+            const targetUrl = url.toString();
+
+            console.log('[LiSeSca] Navigating to page ' + pageNum + ': ' + targetUrl);
+            window.location.href = targetUrl;
+        }
+    };
+
+    // ===== TURNDOWN SERVICE =====
+    // Shared HTML-to-Markdown converter instance for job descriptions.
+    // Turndown is loaded via @require from CDN.
+    //
+    // IMPORTANT: LinkedIn enforces Trusted Types, a browser security policy
+    // that blocks direct innerHTML assignment. Turndown internally uses
+    // innerHTML when given an HTML string, which triggers a Trusted Types
+    // violation and crashes with "Cannot read properties of null ('firstChild')".
+    //
+    // To work around this, we use two strategies:
+    // 1. Pass live DOM nodes to Turndown (preferred — no innerHTML needed)
+    // 2. For HTML strings, use DOMParser to create a separate Document context
+    //    that is NOT subject to the page's Trusted Types policy, then pass
+    //    the parsed DOM node to Turndown.
+    var turndownService = null;
+
+    /**
+     * Get or create the shared TurndownService instance.
+     * Lazy initialization in case Turndown is loaded after our IIFE runs.
+     * @returns {TurndownService|null} The Turndown instance, or null if not available.
+     */
+    function getTurndownService() {
+        if (turndownService) {
+            return turndownService;
+        }
+        if (typeof TurndownService !== 'undefined') {
+            turndownService = new TurndownService({
+                headingStyle: 'atx',
+                bulletListMarker: '-'
+            });
+            return turndownService;
+        }
+        console.warn('[LiSeSca] TurndownService not available.');
+        return null;
+    }
+
+    /**
+     * Safely convert HTML to Markdown, bypassing LinkedIn's Trusted Types policy.
+     * Accepts either a DOM node or an HTML string.
+     *
+     * When given a DOM node: passes it directly to Turndown (no innerHTML involved).
+     * When given a string: uses DOMParser to build a DOM tree in a separate document
+     * context that is not subject to the page's Trusted Types restrictions, then
+     * passes the resulting node to Turndown.
+     *
+     * @param {HTMLElement|string} input - A live DOM element or an HTML string.
+     * @returns {string} The Markdown text, or plain text fallback, or empty string.
+     */
+    function htmlToMarkdown(input) {
+        if (!input) {
+            return '';
+        }
+
+        var td = getTurndownService();
+        if (!td) {
+            // Fallback: extract plain text if Turndown is not available
+            if (typeof input === 'string') {
+                var tempParser = new DOMParser();
+                var tempDoc = tempParser.parseFromString(input, 'text/html');
+                return (tempDoc.body.textContent || '').trim();
+            }
+            return (input.textContent || '').trim();
+        }
+
+        // If input is already a DOM node, pass it directly to Turndown
+        if (typeof input !== 'string') {
+            return td.turndown(input);
+        }
+
+        // For HTML strings, parse via DOMParser to avoid Trusted Types violations.
+        // DOMParser creates an entirely separate Document that does not inherit
+        // the page's Content Security Policy or Trusted Types restrictions.
+        var parser = new DOMParser();
+        var doc = parser.parseFromString(input, 'text/html');
+        return td.turndown(doc.body);
+    }
+
+    // ===== JOB FIELD NORMALIZATION =====
+    // Derives sortable values from the free-text job fields LinkedIn displays:
+    //   "2 weeks ago" / "Reposted 3 days ago"  → postedAt (YYYY-MM-DD), reposted
+    //   "Over 100 applicants"                  → applicantsMin
+    //   "1,001-5,000 employees"                → employeeCountMin, employeeCountMax
+    // Unknown numbers are null, an unknown date is ''.
+
+    const JobNormalizer = {
+        /** Milliseconds per fixed-length relative time unit */
+        UNIT_MS: {
+            second: 1000,
+            minute: 60 * 1000,
+            hour: 60 * 60 * 1000,
+            day: 24 * 60 * 60 * 1000,
+            week: 7 * 24 * 60 * 60 * 1000
+        },
+
+        /**
+         * Parse a number written with thousands separators ("1,001" or "1.001").
+         * @param {string} text - The digits.
+         * @returns {number} The number.
+         */
+        parseCount: function(text) {
+            return parseInt(String(text).replace(/[,.\s]/g, ''), 10);
+        },
+
+        /**
+         * Format a date as a local YYYY-MM-DD string.
+         * @param {Date} date - The date.
+         * @returns {string} The ISO calendar date.
+         */
+        formatDate: function(date) {
+            return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0')
+                + '-' + String(date.getDate()).padStart(2, '0');
+        },
+
+        /**
+         * Convert a relative posting time into the calendar date it refers to.
+         * @param {string} text - E.g. "2 weeks ago", "Reposted 1 hour ago", "just now".
+         * @param {Date} scrapedAt - When the job was scraped.
+         * @returns {string} YYYY-MM-DD, or '' if the text is not understood.
+         */
+        parsePostedAt: function(text, scrapedAt) {
+            var value = String(text || '').toLowerCase();
+            if (/just now|moments? ago/.test(value)) {
+                return this.formatDate(scrapedAt);
+            }
+
+            var match = value.match(/(\d+|an?)\s*(second|minute|hour|day|week|month|year)s?\s+ago/);
+            if (!match) {
+                return '';
+            }
+            var amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;
+            var unit = match[2];
+            var date = new Date(scrapedAt.getTime());
+
+            if (unit === 'month') {
+                date.setMonth(date.getMonth() - amount);
+            } else if (unit === 'year') {
+                date.setFullYear(date.getFullYear() - amount);
+            } else {
+                date = new Date(scrapedAt.getTime() - amount * this.UNIT_MS[unit]);
+            }
+            return this.formatDate(date);
+        },
+
+        /**
+         * Tell whether the posting time says the job was reposted.
+         * @param {string} text - The posted date text.
+         * @returns {boolean} True for "Reposted ..." postings.
+         */
+        isReposted: function(text) {
+            return /\breposted\b/i.test(String(text || ''));
+        },
+
+        /**
+         * Extract the lower bound of the applicant count.
+         * "Over 100 applicants" → 100, "25 people clicked apply" → 25,
+         * "Be among the first 25 applicants" → 0.
+         * @param {string} text - The applicants text.
+         * @returns {number|null} The minimum number of applicants, or null.
+         */
+        parseApplicantsMin: function(text) {
+            var value = String(text || '');
+            if (/among the first/i.test(value)) {
+                return 0;
+            }
+            var match = value.match(/(\d[\d,.]*)/);
+            return match ? this.parseCount(match[1]) : null;
+        },
+
+        /**
+         * Extract the company size range.
+         * "1,001-5,000 employees" → 1001/5000, "10,001+ employees" → 10001/null.
+         * @param {string} text - The employee count text.
+         * @returns {Object} { min, max } (null where unknown).
+         */
+        parseEmployeeCount: function(text) {
+            var value = String(text || '');
+            var range = value.match(/(\d[\d,.]*)\s*[-–—]\s*(\d[\d,.]*)/);
+            if (range) {
+                return { min: this.parseCount(range[1]), max: this.parseCount(range[2]) };
+            }
+            var openEnded = value.match(/(\d[\d,.]*)\s*\+/);
+            if (openEnded) {
+                return { min: this.parseCount(openEnded[1]), max: null };
+            }
+            var single = value.match(/(\d[\d,.]*)/);
+            if (single) {
+                var count = this.parseCount(single[1]);
+                return { min: count, max: count };
+            }
+            return { min: null, max: null };
+        },
+
+        /**
+         * Compute the normalized fields of a job.
+         * @param {Object} job - A job data object with postedDate, applicants and employeeCount.
+         * @param {Date} scrapedAt - When the job was scraped.
+         * @returns {Object} { postedAt, reposted, applicantsMin, employeeCountMin, employeeCountMax }
+         */
+        normalize: function(job, scrapedAt) {
+            var employees = this.parseEmployeeCount(job.employeeCount);
+            return {
+                postedAt: this.parsePostedAt(job.postedDate, scrapedAt),
+                reposted: this.isReposted(job.postedDate),
+                applicantsMin: this.parseApplicantsMin(job.applicants),
+                employeeCountMin: employees.min,
+                employeeCountMax: employees.max
+            };
+        }
+    };
+
+    // ===== SALARY PARSING =====
+    // Recognizes pay in LinkedIn's salary insight ("$120K/yr - $150K/yr") and in
+    // free text such as the job description ("€60,000 to €75,000 per year").
+    // A match needs a currency; in free text it must also be a range, state a
+    // period, or follow a word like "salary" so that funding rounds or prices
+    // are not mistaken for pay.
+
+    const SalaryParser = {
+        /** Currency symbols and their ISO codes, longest first */
+        CURRENCY_SYMBOLS: [
+            ['CA$', 'CAD'], ['AU$', 'AUD'], ['US$', 'USD'], ['HK$', 'HKD'], ['NZ$', 'NZD'],
+            ['C$', 'CAD'], ['A$', 'AUD'], ['S$', 'SGD'], ['R$', 'BRL'],
+            ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['¥', 'JPY'], ['zł', 'PLN']
+        ],
+
+        /** ISO currency codes recognized when written out */
+        CURRENCY_CODES: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF', 'PLN', 'INR', 'SEK', 'NOK', 'DKK',
+            'JPY', 'CZK', 'HUF', 'RON', 'NZD', 'SGD', 'HKD', 'BRL', 'MXN', 'ZAR', 'ILS', 'AED'],
+
+        /** Period words → normalized period */
+        PERIODS: {
+            yr: 'year', year: 'year', annum: 'year', annually: 'year', yearly: 'year',
+            mo: 'month', month: 'month', monthly: 'month',
+            wk: 'week', week: 'week', weekly: 'week',
+            day: 'day', daily: 'day',
+            hr: 'hour', hour: 'hour', hourly: 'hour'
+        },
+
+        /** Words that mark a nearby amount as pay in free text */
+        CONTEXT_PATTERN: /salary|compensation|\bpay\b|\bbase\b|\bwages?\b|\brate\b|\bOTE\b|\bearn/i,
+
+        /** Cached expression, see getPattern() */
+        pattern: null,
+
+        /**
+         * Escape text for use in a regular expression.
+         * @param {string} text - The text.
+         * @returns {string} The escaped text.
+         */
+        escapeRegExp: function(text) {
+            return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        },
+
+        /**
+         * Build (once) the expression matching a single amount or a range.
+         * Groups: 1-4 first amount (prefix currency, number, k, suffix currency),
+         * 5-6 its period, 7-10 second amount, 11-12 its period.
+         * @returns {RegExp} A global, case-insensitive expression.
+         */
+        getPattern: function() {
+            if (this.pattern) {
+                return this.pattern;
+            }
+            var self = this;
+            var currencies = this.CURRENCY_SYMBOLS.map(function(entry) {
+                return self.escapeRegExp(entry[0]);
+            }).concat(this.CURRENCY_CODES).join('|');
+
+            var amount = '(\\d{1,3}(?:[,.\\u00a0\\u202f ]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)';
+            var money = '(?:(?<![A-Za-z])(' + currencies + ')\\s?)?' + amount
+                + '(\\s?k(?![a-z]))?(?:\\s?(' + currencies + ')(?![a-z]))?';
+            var period = '(?:(?:\\s*\\/\\s*|\\s+per\\s+|\\s+an?\\s+|\\s+)(yr|year|annum|mo|month|wk|week|day|hr|hour)s?\\b'
+                + '|\\s+(annually|yearly|monthly|weekly|daily|hourly)\\b)?';
+            var separator = '\\s*(?:-|–|—|to)\\s*';
+
+            this.pattern = new RegExp(money + period + '(?:' + separator + money + period + ')?', 'gi');
+            return this.pattern;
+        },
+
+        /**
+         * Map a currency symbol or code to its ISO code.
+         * @param {string} text - The symbol or code.
+         * @returns {string} The ISO code, or '' if unknown.
+         */
+        toCurrencyCode: function(text) {
+            if (!text) {
+                return '';
+            }
+            var upper = text.toUpperCase();
+            if (this.CURRENCY_CODES.indexOf(upper) !== -1) {
+                return upper;
+            }
+            for (var i = 0; i < this.CURRENCY_SYMBOLS.length; i++) {
+                if (this.CURRENCY_SYMBOLS[i][0].toUpperCase() === upper) {
+                    return this.CURRENCY_SYMBOLS[i][1];
+                }
+            }
+            return '';
+        },
+
+        /**
+         * Parse a written amount with either thousands convention.
+         * "120,000.00" and "120.000,00" → 120000; "52.50" → 52.5.
+         * @param {string} text - The digits with separators.
+         * @returns {number} The amount.
+         */
+        parseAmount: function(text) {
+            var value = text.replace(/[\u00a0\u202f ]/g, '');
+            var lastComma = value.lastIndexOf(',');
+            var lastDot = value.lastIndexOf('.');
+            var decimal = '';
+
+            if (lastComma !== -1 && lastDot !== -1) {
+                decimal = lastComma > lastDot ? ',' : '.';
+            } else if (lastComma !== -1 || lastDot !== -1) {
+                var separator = lastComma !== -1 ? ',' : '.';
+                var parts = value.split(separator);
+                // A single separator followed by 1-2 digits is a decimal point
+                if (parts.length === 2 && parts[1].length !== 3) {
+                    decimal = separator;
+                }
+            }
+
+            var thousands = decimal === ',' ? /\./g : /,/g;
+            if (!decimal) {
+                thousands = /[.,]/g;
+            }
+            value = value.replace(thousands, '');
+            if (decimal === ',') {
+                value = value.replace(',', '.');
+            }
+            return parseFloat(value);
+        },
+
+        /**
+         * Convert a regular expression match into salary fields.
+         * @param {Array} match - A match of getPattern().
+         * @returns {Object|null} The salary, or null if no currency was given.
+         */
+        fromMatch: function(match) {
+            var currency = this.toCurrencyCode(match[1] || match[4] || match[7] || match[10]);
+            if (!currency) {
+                return null;
+            }
+
+            var min = this.parseAmount(match[2]);
+            var max = match[8] ? this.parseAmount(match[8]) : min;
+            var minThousands = !!match[3];
+            var maxThousands = match[8] ? !!match[9] : minThousands;
+
+            // "$120-150K": the suffix applies to both ends
+            if (minThousands && !maxThousands && max < 1000) {
+                maxThousands = true;
+            } else if (maxThousands && !minThousands && min < 1000) {
+                minThousands = true;
+            }
+            if (minThousands) {
+                min *= 1000;
+            }
+            if (maxThousands) {
+                max *= 1000;
+            }
+            if (min > max) {
+                var swap = min;
+                min = max;
+                max = swap;
+            }
+
+            var periodWord = (match[5] || match[6] || match[11] || match[12] || '').toLowerCase();
+
+            return {
+                salaryMin: min,
+                salaryMax: max,
+                salaryCurrency: currency,
+                salaryPeriod: this.PERIODS[periodWord] || '',
+                salaryRaw: match[0].trim(),
+                isRange: !!match[8]
+            };
+        },
+
+        /**
+         * Parse the first salary in a short text such as a salary insight.
+         * @param {string} text - The text.
+         * @returns {Object|null} { salaryMin, salaryMax, salaryCurrency, salaryPeriod, salaryRaw }, or null.
+         */
+        parse: function(text) {
+            var pattern = this.getPattern();
+            var value = String(text || '');
+            var match;
+            pattern.lastIndex = 0;
+            while ((match = pattern.exec(value)) !== null) {
+                var salary = this.fromMatch(match);
+                if (salary) {
+                    return this.toFields(salary);
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Find a salary in free text, e.g. a job description.
+         * @param {string} text - The text.
+         * @returns {Object|null} { salaryMin, salaryMax, salaryCurrency, salaryPeriod, salaryRaw }, or null.
+         */
+        findInText: function(text) {
+            var pattern = this.getPattern();
+            var value = String(text || '');
+            var match;
+            pattern.lastIndex = 0;
+            while ((match = pattern.exec(value)) !== null) {
+                var salary = this.fromMatch(match);
+                if (!salary) {
+                    continue;
+                }
+                var before = value.slice(Math.max(0, match.index - 80), match.index);
+                if (salary.isRange || salary.salaryPeriod || this.CONTEXT_PATTERN.test(before)) {
+                    return this.toFields(salary);
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Get the salary fields of a job record, empty where unknown.
+         * @param {Object|null} salary - A parsed salary, or null.
+         * @returns {Object} { salaryMin, salaryMax, salaryCurrency, salaryPeriod, salaryRaw }
+         */
+        toFields: function(salary) {
+            return {
+                salaryMin: salary ? salary.salaryMin : null,
+                salaryMax: salary ? salary.salaryMax : null,
+                salaryCurrency: salary ? salary.salaryCurrency : '',
+                salaryPeriod: salary ? salary.salaryPeriod : '',
+                salaryRaw: salary ? salary.salaryRaw : ''
+            };
+        }
+    };
+
+    // ===== EXTERNAL APPLY LINK =====
+    // Resolves where a job's "Apply" button leads when the job is applied for
+    // on the company's own site. The detail panel does not contain that URL,
+    // so it is read from LinkedIn's job posting data or, failing that, caught
+    // when the Apply button tries to open it in a new tab. The page itself is
+    // never left. Tracking parameters are removed from the resolved URL.
+
+    const ApplyLinkResolver = {
+        /** Job posting data endpoint of LinkedIn's own web client */
+        POSTING_URL: 'https://www.linkedin.com/voyager/api/jobs/jobPostings/',
+
+        /** How long to wait for the Apply button to open a URL */
+        CLICK_TIMEOUT_MS: 3000,
+
+        /** Query parameters that only serve tracking */
+        TRACKING_PARAMS: ['gclid', 'fbclid', 'msclkid', 'dclid', 'trk', 'trackingid', 'refid', 'lipi',
+            'li_fat_id', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'gh_src'],
+
+        /** Query parameters that are dropped when they only name LinkedIn as the source */
+        SOURCE_PARAMS: ['source', 'src', 'ref', 'referrer', 'referer', 'lever-source', 'lever-source[]', 'iis', 'codes'],
+
+        /**
+         * Tell whether a query parameter only serves tracking.
+         * @param {string} name - The parameter name.
+         * @param {string} value - The parameter value.
+         * @returns {boolean} True if the parameter can be removed.
+         */
+        isTrackingParam: function(name, value) {
+            var key = name.toLowerCase();
+            if (/^utm_/.test(key) || this.TRACKING_PARAMS.indexOf(key) !== -1) {
+                return true;
+            }
+            return this.SOURCE_PARAMS.indexOf(key) !== -1 && /linkedin/i.test(value);
+        },
+
+        /**
+         * Clean an apply URL: unwrap LinkedIn redirects and remove tracking parameters.
+         * @param {string} url - The URL as found.
+         * @returns {string} The cleaned absolute URL, or '' if it is not a web URL.
+         */
+        cleanUrl: function(url) {
+            var parsed;
+            try {
+                parsed = new URL(String(url || '').trim());
+            } catch (error) {
+                return '';
+            }
+            if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+                return '';
+            }
+
+            // e.g. https://www.linkedin.com/redir/redirect?url=...
+            var target = parsed.searchParams.get('url');
+            if (/(^|\.)linkedin\.com$/i.test(parsed.hostname) && target) {
+                return this.cleanUrl(target);
+            }
+
+            var self = this;
+            var removable = [];
+            parsed.searchParams.forEach(function(value, name) {
+                if (self.isTrackingParam(name, value)) {
+                    removable.push(name);
+                }
+            });
+            removable.forEach(function(name) {
+                parsed.searchParams.delete(name);
+            });
+            return parsed.toString();
+        },
+
+        /**
+         * Find the first value of a property anywhere in parsed JSON.
+         * @param {*} data - The parsed JSON.
+         * @param {string} key - The property name.
+         * @returns {*} The value, or undefined if not found.
+         */
+        findProperty: function(data, key) {
+            if (!data || typeof data !== 'object') {
+                return undefined;
+            }
+            if (!Array.isArray(data) && Object.prototype.hasOwnProperty.call(data, key)) {
+                return data[key];
+            }
+            var values = Array.isArray(data) ? data : Object.keys(data).map(function(name) {
+                return data[name];
+            });
+            for (var i = 0; i < values.length; i++) {
+                var found = this.findProperty(values[i], key);
+                if (found !== undefined) {
+                    return found;
+                }
+            }
+            return undefined;
+        },
+
+        /**
+         * Read LinkedIn's CSRF token, which its API expects as a header.
+         * @returns {string} The token, or '' if not logged in.
+         */
+        getCsrfToken: function() {
+            var match = document.cookie.match(/(?:^|;\s*)JSESSIONID="?([^";]+)"?/);
+            return match ? match[1] : '';
+        },
+
+        /**
+         * Read the external apply URL from the job posting data.
+         * @param {string} jobId - The LinkedIn job ID.
+         * @returns {Promise<string>} The raw URL; rejects if it cannot be read.
+         */
+        fetchFromPostingData: function(jobId) {
+            var self = this;
+            var csrfToken = this.getCsrfToken();
+            return new Promise(function(resolve, reject) {
+                if (!csrfToken) {
+                    reject(new Error('No LinkedIn session cookie'));
+                    return;
+                }
+                GM_xmlhttpRequest({
+                    method: 'GET',
+                    url: self.POSTING_URL + encodeURIComponent(jobId),
+                    headers: {
+                        'csrf-token': csrfToken,
+                        'accept': 'application/vnd.linkedin.normalized+json+2.1',
+                        'x-restli-protocol-version': '2.0.0'
+                    },
+                    onload: function(response) {
+                        if (response.status !== 200) {
+                            reject(new Error('Job posting request failed: ' + response.status));
+                            return;
+                        }
+                        try {
+                            var url = self.findProperty(JSON.parse(response.responseText), 'companyApplyUrl');
+                            if (!url) {
+                                reject(new Error('No company apply URL in the job posting data'));
+                                return;
+                            }
+                            resolve(url);
+                        } catch (error) {
+                            reject(new Error('Failed to parse job posting data: ' + error.message));
+                        }
+                    },
+                    onerror: function() {
+                        reject(new Error('Network error'));
+                    },
+                    ontimeout: function() {
+                        reject(new Error('Request timeout'));
+                    },
+                    timeout: 15000
+                });
+            });
+        },
+
+        /**
+         * Click the Apply button and catch the URL it opens, without opening it.
+         * Both window.open calls and clicks on new-tab links are intercepted
+         * until a URL is caught or the timeout passes; a dialog LinkedIn shows
+         * instead is closed.
+         * @returns {Promise<string>} The raw URL; rejects if none was caught.
+         */
+        captureFromButton: function() {
+            var self = this;
+            var applyBtn = document.querySelector(JobSelectors.DETAIL_APPLY_BUTTON);
+            if (!applyBtn) {
+                return Promise.reject(new Error('No Apply button'));
+            }
+            // Some layouts render the button as a plain link
+            if (applyBtn.tagName === 'A' && applyBtn.href && !/linkedin\.com/i.test(applyBtn.hostname)) {
+                return Promise.resolve(applyBtn.href);
+            }
+
+            var pageWindow = (typeof unsafeWindow !== 'undefined') ? unsafeWindow : window;
+            var originalOpen = pageWindow.open;
+
+            return new Promise(function(resolve, reject) {
+                var timer = null;
+                var done = false;
+
+                function finish(url) {
+                    if (done) {
+                        return;
+                    }
+                    done = true;
+                    pageWindow.open = originalOpen;
+                    document.removeEventListener('click', onLinkClick, true);
+                    clearTimeout(timer);
+                    var dialogDismiss = document.querySelector(JobSelectors.MODAL_DISMISS);
+                    if (dialogDismiss) {
+                        dialogDismiss.click();
+                    }
+                    if (url) {
+                        resolve(url);
+                    } else {
+                        reject(new Error('The Apply button did not open a URL'));
+                    }
+                }
+
+                function onLinkClick(event) {
+                    var link = event.target.closest ? event.target.closest('a[href]') : null;
+                    if (link && link.target === '_blank' && !/linkedin\.com/i.test(link.hostname)) {
+                        event.preventDefault();
+                        event.stopPropagation();
+                        finish(link.href);
+                    }
+                }
+
+                pageWindow.open = function(url) {
+                    finish(url ? String(url) : '');
+                    return null;
+                };
+                document.addEventListener('click', onLinkClick, true);
+                timer = setTimeout(function() {
+                    finish('');
+                }, self.CLICK_TIMEOUT_MS);
+
+                applyBtn.click();
+            });
+        },
+
+        /**
+         * Resolve the external apply URL of the job shown in the detail panel.
+         * @param {string} jobId - The LinkedIn job ID.
+         * @param {string} mode - 'data' (posting data only) or 'click' (posting data, then the Apply button).
+         * @returns {Promise<string>} The cleaned URL, or '' if it could not be resolved.
+         */
+        resolve: function(jobId, mode) {
+            var self = this;
+            return this.fetchFromPostingData(jobId).catch(function(error) {
+                console.warn('[LiSeSca] Apply URL not in posting data for job ' + jobId + ': ' + error.message);
+                if (mode !== 'click') {
+                    throw error;
+                }
+                return self.captureFromButton();
+            }).then(function(url) {
+                return self.cleanUrl(url);
+            }).catch(function(error) {
+                console.warn('[LiSeSca] Could not resolve apply URL for job ' + jobId + ': ' + error.message);
+                return '';
+            });
+        }
+    };
+
+    // ===== JOB DATA EXTRACTION =====
+    // Extracts job data from the left-panel cards and right-panel detail view.
+    // The flow is: click a card → wait for detail panel → extract all fields.
+
+    const JobExtractor = {
+        /**
+         * Ensure a job card is rendered and return it along with its shell.
+         * @param {string} jobId - The job ID to locate.
+         * @returns {Promise<Object>} { card: HTMLElement|null, shell: HTMLElement|null }
+         */
+        getRenderedCard: function(jobId) {
+            var card = document.querySelector('div[data-job-id="' + jobId + '"]');
+            if (card) {
+                return Promise.resolve({ card: card, shell: null });
+            }
+
+            var shell = document.querySelector('li[data-occludable-job-id="' + jobId + '"]');
+            if (!shell) {
+                return Promise.resolve({ card: null, shell: null });
+            }
+
+            shell.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+            var maxAttempts = 20;  // 20 * 200ms = 4 seconds max wait
+            var attempt = 0;
+
+            function waitForRender() {
+                attempt++;
+                return Emulator.randomDelay(150, 250).then(function() {
+                    var rendered = document.querySelector('div[data-job-id="' + jobId + '"]');
+                    if (rendered) {
+                        return rendered;
+                    }
+                    if (attempt >= maxAttempts) {
+                        console.warn('[LiSeSca] Card ' + jobId + ' did not render after ' + attempt + ' attempts.');
+                        return null;
+                    }
+                    return waitForRender();
+                });
+            }
+
+            return waitForRender().then(function(renderedCard) {
+                return { card: renderedCard, shell: shell };
+            });
+        },
+
+        /**
+         * Check if a job card is marked as "Viewed" or "Applied".
+         * @param {string} jobId - The job ID to check.
+         * @returns {Promise<boolean>} True if the card shows "Viewed" or "Applied".
+         */
+        isJobViewed: function(jobId) {
+            var self = this;
+            return self.getRenderedCard(jobId).then(function(result) {
+                if (!result.card) {
+                    return false;
+                }
+                var stateEl = result.card.querySelector(JobSelectors.CARD_FOOTER_JOB_STATE);
+                if (!stateEl) {
+                    return false;
+                }
+                var stateText = (stateEl.textContent || '').trim();
+                return stateText.match(/viewed|applied/i) ? true : false;
+            });
+        },
+
+        /**
+         * Wait for job cards to appear in the DOM.
+         * Polls for up to 10 seconds.
+         * @returns {Promise<NodeList>} The list of job card elements.
+         */
+        waitForJobCards: function() {
+            return new Promise(function(resolve, reject) {
+                var maxWaitMs = 10000;
+                var pollIntervalMs = 500;
+                var elapsed = 0;
+
+                var poll = setInterval(function() {
+                    var cards = document.querySelectorAll(JobSelectors.JOB_CARD);
+                    if (cards.length > 0) {
+                        clearInterval(poll);
+                        console.log('[LiSeSca] Found ' + cards.length + ' job cards.');
+                        resolve(cards);
+                        return;
+                    }
+                    elapsed += pollIntervalMs;
+                    if (elapsed >= maxWaitMs) {
+                        clearInterval(poll);
+                        console.warn('[LiSeSca] No job cards found after ' + maxWaitMs + 'ms.');
+                        reject(new Error('No job cards found on this page.'));
+                    }
+                }, pollIntervalMs);
+            });
+        },
+
+        /**
+         * Get job IDs from fully-rendered cards in the DOM (snapshot).
+         * LinkedIn virtualizes the job list — only ~7-8 cards have inner content
+         * at a time. This method only finds those rendered cards.
+         * Use discoverAllJobIds() to get ALL job IDs from the shell <li> elements.
+         * @returns {Array<string>} Array of job ID strings from rendered cards only.
+         */
+        getJobIds: function() {
+            var cards = document.querySelectorAll(JobSelectors.JOB_CARD);
+            var ids = [];
+            cards.forEach(function(card) {
+                var jobId = card.getAttribute('data-job-id');
+                if (jobId) {
+                    ids.push(jobId);
+                }
+            });
+            return ids;
+        },
+
+        /**
+         * Discover all job IDs on the page using the outer <li> shell elements.
+         * LinkedIn virtualizes the job list — only ~7 cards have fully rendered
+         * inner content at a time, but ALL jobs have lightweight <li> shells
+         * with data-occludable-job-id attributes present in the DOM from the start.
+         *
+         * After a page navigation, Ember may not have inserted all shells yet
+         * when the first rendered cards appear. So we poll until the shell count
+         * stabilizes (same count for 3 consecutive checks).
+         * @returns {Promise<Array<string>>} Array of all discovered job ID strings.
+         */
+        discoverAllJobIds: function() {
+            var self = this;
+            var previousCount = 0;
+            var stableChecks = 0;
+            var requiredStable = 3;  // Must see same count 3 times in a row
+            var maxAttempts = 20;    // 20 * 300ms = 6 seconds max
+            var attempt = 0;
+
+            /**
+             * Collect IDs from shell elements and check if count has stabilized.
+             * @returns {Promise<Array<string>>} Resolved when stable.
+             */
+            function pollUntilStable() {
+                attempt++;
+                var listItems = document.querySelectorAll(JobSelectors.JOB_LIST_ITEM);
+                var currentCount = listItems.length;
+
+                if (currentCount === previousCount && currentCount > 0) {
+                    stableChecks++;
+                } else {
+                    stableChecks = 0;
+                    previousCount = currentCount;
+                }
+
+                if (stableChecks >= requiredStable || attempt >= maxAttempts) {
+                    // Collect the final set of IDs
+                    var allIds = [];
+                    listItems.forEach(function(li) {
+                        var jobId = li.getAttribute('data-occludable-job-id');
+                        if (jobId && allIds.indexOf(jobId) === -1) {
+                            allIds.push(jobId);
+                        }
+                    });
+
+                    console.log('[LiSeSca] Discovered ' + allIds.length + ' job IDs from list item shells'
+                        + ' (stabilized after ' + attempt + ' checks).');
+
+                    // Fallback: if no occludable shells found, try rendered cards directly
+                    if (allIds.length === 0) {
+                        allIds = self.getJobIds();
+                        console.log('[LiSeSca] Fallback: found ' + allIds.length + ' job IDs from rendered cards.');
+                    }
+
+                    return Promise.resolve(allIds);
+                }
+
+                return Emulator.randomDelay(250, 350).then(function() {
+                    return pollUntilStable();
+                });
+            }
+
+            return pollUntilStable();
+        },
+
+        /**
+         * Extract basic data from a job card element (left panel only).
+         * @param {HTMLElement} card - The job card div with data-job-id.
+         * @returns {Object} Basic job data: jobId, jobTitle, company, location, directLink.
+         */
+        extractCardBasics: function(card) {
+            var jobId = card.getAttribute('data-job-id') || '';
+
+            // Job title from the card's title link
+            var titleLink = card.querySelector(JobSelectors.CARD_TITLE_LINK);
+            var jobTitle = '';
+            var directLink = '';
+            if (titleLink) {
+                // The aria-label often has the cleanest title text
+                jobTitle = (titleLink.getAttribute('aria-label') || '').trim();
+                // Remove " with verification" suffix that LinkedIn adds
+                jobTitle = jobTitle.replace(/\s+with verification\s*$/i, '').trim();
+                // Fall back to text content if aria-label is empty
+                if (!jobTitle) {
+                    // Get just the strong/text content, avoiding SVG text
+                    var strongEl = titleLink.querySelector('strong');
+                    jobTitle = strongEl ? (strongEl.textContent || '').trim() : (titleLink.textContent || '').trim();
+                }
+                // Build clean job link
+                directLink = 'https://www.linkedin.com/jobs/view/' + jobId + '/';
+            }
+
+            // Company name from the subtitle span
+            var companyEl = card.querySelector(JobSelectors.CARD_COMPANY);
+            var company = companyEl ? (companyEl.textContent || '').trim() : '';
+
+            // Location from the metadata list
+            var metadataEl = card.querySelector(JobSelectors.CARD_METADATA);
+            var location = metadataEl ? (metadataEl.textContent || '').trim() : '';
+
+            // Insight text (e.g. "3 connections work here", "You'd be a top applicant")
+            var insightEl = card.querySelector(JobSelectors.CARD_INSIGHT);
+            var insight = insightEl ? (insightEl.textContent || '').trim() : '';
+
+            // Viewed state from the card footer (if present)
+            var viewedEl = card.querySelector(JobSelectors.CARD_FOOTER_JOB_STATE);
+            var stateText = viewedEl ? (viewedEl.textContent || '').trim() : '';
+            var viewed = stateText.match(/viewed|applied/i) ? true : false;
+
+            return {
+                jobId: jobId,
+                jobTitle: jobTitle,
+                company: company,
+                location: location,
+                directLink: directLink,
+                cardInsight: insight,
+                viewed: viewed,
+                jobState: stateText
+            };
+        },
+
+        /**
+         * Format job card basics as Markdown for AI evaluation.
+         * Produces a concise summary for the AI to evaluate relevance.
+         * @param {Object} cardData - The card data from extractCardBasics.
+         * @returns {string} Markdown-formatted job card summary.
+         */
+        formatCardForAI: function(cardData) {
+            var lines = [
+                '## ' + (cardData.jobTitle || 'Unknown Title'),
+                '**Company:** ' + (cardData.company || 'Unknown'),
+                '**Location:** ' + (cardData.location || 'Not specified')
+            ];
+
+            if (cardData.cardInsight) {
+                lines.push('**Insight:** ' + cardData.cardInsight);
+            }
+
+            return lines.join('\n');
+        },
+
+        /**
+         * Click a job card to load its detail panel on the right.
+         * LinkedIn virtualizes the job list — only ~7-8 cards have rendered
+         * inner content at a time. The rest are empty <li> shells with
+         * data-occludable-job-id. To click a non-rendered card, we first
+         * scroll its <li> shell into view to trigger Ember.js rendering,
+         * then wait for the inner div[data-job-id] to appear, then click.
+         * @param {string} jobId - The job ID to click.
+         * @returns {Promise<void>}
+         */
+        clickJobCard: function(jobId) {
+            return this.getRenderedCard(jobId).then(function(result) {
+                if (!result.card && result.shell) {
+                    console.log('[LiSeSca] Clicking shell <li> as fallback for ' + jobId);
+                    result.shell.click();
+                    return;
+                }
+
+                if (!result.card) {
+                    console.warn('[LiSeSca] No card rendered for job ' + jobId);
+                    return;
+                }
+
+                var titleLink = result.card.querySelector(JobSelectors.CARD_TITLE_LINK);
+                if (titleLink) {
+                    titleLink.click();
+                } else {
+                    result.card.click();
+                }
+
+                console.log('[LiSeSca] Clicked job card: ' + jobId);
+            });
+        },
+
+        /**
+         * Wait for the detail panel to load content for a specific job.
+         * Polls until the detail panel title matches the expected job, or times out.
+         * @param {string} jobId - The job ID we expect to see in the detail panel.
+         * @returns {Promise<boolean>} True if detail loaded, false if timed out.
+         */
+        waitForDetailPanel: function(jobId) {
+            return new Promise(function(resolve) {
+                var maxWaitMs = 8000;
+                var pollIntervalMs = 400;
+                var elapsed = 0;
+
+                var poll = setInterval(function() {
+                    var detailTitle = document.querySelector(JobSelectors.DETAIL_TITLE);
+                    if (detailTitle) {
+                        // 1. Check if there's a link inside the title that contains our job ID
+                        var titleLink = detailTitle.querySelector('a');
+                        if (titleLink) {
+                            var href = titleLink.getAttribute('href') || '';
+                            if (href.indexOf(jobId) !== -1) {
+                                clearInterval(poll);
+                                console.log('[LiSeSca] Detail panel loaded for job: ' + jobId);
+                                resolve(true);
+                                return;
+                            }
+                        }
+                        
+                        // 2. Check the data-job-id or trigger attribute on the container
+                        var triggerEl = document.querySelector('[data-job-details-events-trigger]');
+                        if (triggerEl) {
+                            var triggerAttr = triggerEl.getAttribute('data-job-details-events-trigger') || '';
+                            if (triggerAttr.indexOf(jobId) !== -1) {
+                                clearInterval(poll);
+                                console.log('[LiSeSca] Detail panel loaded for job (by trigger): ' + jobId);
+                                resolve(true);
+                                return;
+                            }
+                        }
+
+                        // 3. Check for job ID in the Apply button
+                        var applyBtn = document.querySelector('.jobs-apply-button');
+                        if (applyBtn) {
+                            var applyAttr = applyBtn.getAttribute('data-job-id') || '';
+                            if (applyAttr && applyAttr.indexOf(jobId) !== -1) {
+                                clearInterval(poll);
+                                console.log('[LiSeSca] Detail panel loaded for job (by apply button): ' + jobId);
+                                resolve(true);
+                                return;
+                            }
+                        }
+                    }
+
+                    elapsed += pollIntervalMs;
+                    if (elapsed >= maxWaitMs) {
+                        clearInterval(poll);
+                        console.warn('[LiSeSca] Detail panel did not load for job ' + jobId + ' after ' + maxWaitMs + 'ms. Skipping.');
+                        resolve(false);
+                    }
+                }, pollIntervalMs);
+            });
+        },
+
+        /**
+         * Click "Show more" or "show more" buttons in the detail panel
+         * to expand collapsed content sections.
+         * @returns {Promise<void>}
+         */
+        clickShowMore: function() {
+            var buttons = document.querySelectorAll(JobSelectors.DETAIL_SHOW_MORE);
+            var clicked = false;
+            buttons.forEach(function(btn) {
+                var text = (btn.textContent || '').trim().toLowerCase();
+                if (text.indexOf('show more') !== -1 || text.indexOf('see more') !== -1) {
+                    btn.click();
+                    clicked = true;
+                }
+            });
+            if (clicked) {
+                // Wait briefly for content to expand
+                return new Promise(function(resolve) {
+                    setTimeout(resolve, 600);
+                });
+            }
+            return Promise.resolve();
+        },
+
+        /**
+         * Extract the job title from the detail panel.
+         * @returns {string} The job title text.
+         */
+        extractDetailTitle: function() {
+            var el = document.querySelector(JobSelectors.DETAIL_TITLE);
+            if (!el) {
+                return '';
+            }
+            // Get the text from the link inside h1, or fall back to h1 text
+            var link = el.querySelector('a');
+            if (link) {
+                return (link.textContent || '').trim();
+            }
+            return (el.textContent || '').trim();
+        },
+
+        /**
+         * Extract the company name from the detail panel.
+         * @returns {string} The company name.
+         */
+        extractDetailCompany: function() {
+            var el = document.querySelector(JobSelectors.DETAIL_COMPANY_NAME);
+            return el ? (el.textContent || '').trim() : '';
+        },
+
+        /**
+         * Extract location, posted date, and applicant count from the tertiary description.
+         * The tertiary description container has spans with tvm__text class containing
+         * location, posted date, and applicant info separated by " · ".
+         * @returns {Object} { location, postedDate, applicants }
+         */
+        extractDetailTertiaryInfo: function() {
+            var result = { location: '', postedDate: '', applicants: '' };
+            var container = document.querySelector(JobSelectors.DETAIL_TERTIARY_DESC);
+            if (!container) {
+                return result;
+            }
+
+            // Get all the tvm__text spans
+            var spans = container.querySelectorAll('.tvm__text');
+            var textParts = [];
+            spans.forEach(function(span) {
+                var text = (span.textContent || '').trim();
+                // Skip separator dots and whitespace-only spans
+                if (text && text !== '·' && text.length > 1) {
+                    textParts.push(text);
+                }
+            });
+
+            // Parse the parts — LinkedIn typically arranges as:
+            // Location · Posted date · Applicant count
+            // (and sometimes additional lines like "Promoted by hirer")
+            textParts.forEach(function(part) {
+                if (part.match(/\d+\s*(people|applicant)/i) || part.match(/clicked apply/i)) {
+                    result.applicants = part;
+                } else if (part.match(/ago|Reposted|week|day|hour|month/i)) {
+                    result.postedDate = part;
+                } else if (part.match(/,/) && !part.match(/Promoted|managed|Responses/i)) {
+                    // Location usually has a comma (e.g. "City, Country")
+                    if (!result.location) {
+                        result.location = part;
+                    }
+                }
+            });
+
+            return result;
+        },
+
+        /**
+         * Extract workplace type and employment type from the fit preferences buttons.
+         * These are buttons like "✓ Hybrid" and "✓ Full-time".
+         * @returns {Object} { workplaceType, employmentType }
+         */
+        extractDetailJobTypes: function() {
+            var result = { workplaceType: '', employmentType: '' };
+            var buttons = document.querySelectorAll(JobSelectors.DETAIL_FIT_PREFS);
+
+            buttons.forEach(function(btn) {
+                var text = (btn.textContent || '').trim();
+                // Extract just the type keywords
+                if (text.match(/Hybrid|Remote|On-site|Onsite/i)) {
+                    var match = text.match(/(Hybrid|Remote|On-site|Onsite)/i);
+                    if (match) {
+                        result.workplaceType = match[1];
+                    }
+                }
+                if (text.match(/Full-time|Part-time|Contract|Temporary|Internship|Volunteer/i)) {
+                    var match2 = text.match(/(Full-time|Part-time|Contract|Temporary|Internship|Volunteer)/i);
+                    if (match2) {
+                        result.employmentType = match2[1];
+                    }
+                }
+            });
+
+            return result;
+        },
+
+        /**
+         * Extract the salary shown in the top card insights or fit-preference
+         * buttons (e.g. "$120K/yr - $150K/yr").
+         * @returns {Object|null} Parsed salary fields, or null if none is shown.
+         */
+        extractDetailSalary: function() {
+            var elements = document.querySelectorAll(
+                JobSelectors.DETAIL_FIT_PREFS + ', ' + JobSelectors.DETAIL_TOP_CARD_INSIGHT
+            );
+            for (var i = 0; i < elements.length; i++) {
+                var salary = SalaryParser.parse((elements[i].textContent || '').trim());
+                if (salary) {
+                    return salary;
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Extract the apply link or determine if it's Easy Apply.
+         * @returns {string} The apply URL or "Easy Apply" indication.
+         */
+        extractDetailApplyLink: function() {
+            var applyBtn = document.querySelector(JobSelectors.DETAIL_APPLY_BUTTON);
+            if (!applyBtn) {
+                return '';
+            }
+
+            // Check if it's an external apply (has link-external icon)
+            var externalIcon = applyBtn.querySelector('[data-test-icon="link-external-small"]');
+            if (externalIcon) {
+                // External apply — the actual URL is not directly visible,
+                // so we note it as "External Apply" (see ApplyLinkResolver)
+                return 'External Apply';
+            }
+
+            // Check the button text for "Easy Apply"
+            var btnText = (applyBtn.textContent || '').trim();
+            if (btnText.match(/Easy Apply/i)) {
+                return 'Easy Apply';
+            }
+
+            return 'Apply';
+        },
+
+        /**
+         * Extract network connection information.
+         * @returns {string} e.g. "3 connections work here" or empty.
+         */
+        extractDetailNetworkInfo: function() {
+            var el = document.querySelector(JobSelectors.DETAIL_CONNECTIONS);
+            return el ? (el.textContent || '').trim() : '';
+        },
+
+        /**
+         * Split a LinkedIn skill list such as "Python, SQL, and Data Analysis".
+         * A trailing "+3 more" is dropped.
+         * @param {string} text - The list text.
+         * @returns {Array<string>} The skill names.
+         */
+        parseSkillList: function(text) {
+            return String(text || '').split(/\s*,\s*(?:and\s+)?|\s+and\s+/).map(function(skill) {
+                return skill.replace(/\s+/g, ' ').trim();
+            }).filter(function(skill) {
+                return skill !== '' && !/^\+\s*\d+\s+more$/i.test(skill);
+            });
+        },
+
+        /**
+         * Extract the "How you match" skills module.
+         * Each item has a title such as "3 skills on your profile" or
+         * "7 skills missing on your profile" and a list of the skills.
+         * The counts in the titles are used for the ratio, since the lists
+         * may be shortened.
+         * @returns {Object} { matchedSkills, missingSkills, skillsMatchRatio }
+         *     (ratio 0-1, or null when the module is not shown).
+         */
+        extractDetailSkillsMatch: function() {
+            var result = { matchedSkills: [], missingSkills: [], skillsMatchRatio: null };
+            var section = document.querySelector(JobSelectors.DETAIL_SKILLS_MATCH);
+            if (!section) {
+                return result;
+            }
+
+            var matchedCount = null;
+            var missingCount = null;
+            var items = section.querySelectorAll(JobSelectors.DETAIL_SKILLS_MATCH_ITEM);
+            for (var i = 0; i < items.length; i++) {
+                var listEl = items[i].querySelector(JobSelectors.DETAIL_SKILLS_MATCH_ITEM_LIST);
+                var listText = listEl ? (listEl.textContent || '') : '';
+                var titleText = (items[i].textContent || '').replace(listText, '');
+                var skills = this.parseSkillList(listText);
+                var countMatch = titleText.match(/(\d+)\s+skills?/i);
+                var count = countMatch ? parseInt(countMatch[1], 10) : skills.length;
+
+                if (/missing/i.test(titleText)) {
+                    result.missingSkills = skills;
+                    missingCount = count;
+                } else if (/on your profile/i.test(titleText)) {
+                    result.matchedSkills = skills;
+                    matchedCount = count;
+                }
+            }
+
+            // "3 of 10 skills match your profile" where only the summary is shown
+            var summary = (section.textContent || '').match(/(\d+)\s+of\s+(\d+)\s+skills?\s+match/i);
+            if (summary) {
+                matchedCount = parseInt(summary[1], 10);
+                missingCount = parseInt(summary[2], 10) - matchedCount;
+            }
+
+            var total = (matchedCount || 0) + (missingCount || 0);
+            if (total > 0) {
+                result.skillsMatchRatio = Math.round((matchedCount || 0) / total * 100) / 100;
+            }
+            return result;
+        },
+
+        /**
+         * Extract the members of the "Meet the hiring team" section.
+         * @returns {Array<Object>} { name, headline, profileUrl, connectionDegree } per member;
+         *     connectionDegree is 1, 2, 3 or 0 if not shown.
+         */
+        extractDetailHiringTeam: function() {
+            var members = document.querySelectorAll(JobSelectors.DETAIL_HIRING_TEAM_MEMBER);
+            var team = [];
+
+            for (var i = 0; i < members.length; i++) {
+                var member = members[i];
+                var link = member.querySelector('a[href*="/in/"]');
+                var nameEl = member.querySelector(JobSelectors.DETAIL_HIRING_TEAM_NAME) || link;
+                var name = nameEl ? (nameEl.textContent || '').trim() : '';
+                if (!name) {
+                    continue;
+                }
+
+                var degreeEl = member.querySelector(JobSelectors.DETAIL_HIRING_TEAM_DEGREE);
+                var degreeMatch = degreeEl ? (degreeEl.textContent || '').match(/(\d+)(st|nd|rd|th)/) : null;
+
+                // The headline is the first small text that is not the degree or a badge
+                var headline = '';
+                var smallTexts = member.querySelectorAll(JobSelectors.DETAIL_HIRING_TEAM_HEADLINE);
+                for (var j = 0; j < smallTexts.length; j++) {
+                    var text = (smallTexts[j].textContent || '').replace(/\s+/g, ' ').trim();
+                    if (text && !smallTexts[j].contains(nameEl) && !(degreeEl && smallTexts[j].contains(degreeEl))
+                        && !/^job poster$/i.test(text)) {
+                        headline = text;
+                        break;
+                    }
+                }
+
+                var profileUrl = '';
+                if (link && link.href) {
+                    try {
+                        var url = new URL(link.href);
+                        profileUrl = url.origin + url.pathname;
+                    } catch (error) {
+                        profileUrl = link.href;
+                    }
+                }
+
+                team.push({
+                    name: name,
+                    headline: headline,
+                    profileUrl: profileUrl,
+                    connectionDegree: degreeMatch ? parseInt(degreeMatch[1], 10) : 0
+                });
+            }
+            return team;
+        },
+
+        /**
+         * Flatten the hiring team into one text per property for XLSX and CSV.
+         * Members are separated by '; ' in each column.
+         * @param {Array<Object>} team - Members from extractDetailHiringTeam.
+         * @returns {Object} { hiringTeamNames, hiringTeamHeadlines, hiringTeamProfileUrls, hiringTeamDegrees }
+         */
+        flattenHiringTeam: function(team) {
+            function join(property) {
+                return team.map(function(member) {
+                    return member[property] || '';
+                }).join('; ');
+            }
+            return {
+                hiringTeamNames: join('name'),
+                hiringTeamHeadlines: join('headline'),
+                hiringTeamProfileUrls: join('profileUrl'),
+                hiringTeamDegrees: team.map(function(member) {
+                    return member.connectionDegree ? String(member.connectionDegree) : '';
+                }).join('; ')
+            };
+        },
+
+        /**
+         * Extract the full job description and convert HTML to Markdown.
+         * @returns {string} The job description in Markdown format.
+         */
+        extractDetailJobDescription: function() {
+            var el = document.querySelector(JobSelectors.DETAIL_JOB_DESCRIPTION);
+            if (!el) {
+                return '';
+            }
+
+            // Get the content div inside #job-details (skip the "About the job" heading)
+            var contentDiv = el.querySelector('.mt4');
+            return htmlToMarkdown(contentDiv || el);
+        },
+
+        /**
+         * Extract premium applicant insights section as Markdown.
+         * @returns {string} Premium insights in Markdown, or empty.
+         */
+        extractDetailPremiumInsights: function() {
+            var el = document.querySelector(JobSelectors.DETAIL_PREMIUM_INSIGHTS);
+            if (!el) {
+                return '';
+            }
+
+            return htmlToMarkdown(el);
+        },
+
+        /**
+         * Extract the "About the company" section as Markdown.
+         * @returns {Object} { description, industry, employeeCount }
+         */
+        extractDetailAboutCompany: function() {
+            var result = { description: '', industry: '', employeeCount: '' };
+
+            var companySection = document.querySelector(JobSelectors.DETAIL_ABOUT_COMPANY);
+            if (!companySection) {
+                return result;
+            }
+
+            // Industry and employee count from inline information spans
+            var infoSpans = companySection.querySelectorAll(JobSelectors.DETAIL_COMPANY_INFO);
+            infoSpans.forEach(function(span) {
+                var text = (span.textContent || '').trim();
+                if (text.match(/employees/i)) {
+                    result.employeeCount = text;
+                }
+            });
+
+            // The industry is the first text node in the t-14 mt5 div,
+            // before the inline-information spans
+            var infoDiv = companySection.querySelector('.t-14.mt5');
+            if (infoDiv) {
+                // Get the first text content before any child elements
+                var firstText = '';
+                for (var i = 0; i < infoDiv.childNodes.length; i++) {
+                    var node = infoDiv.childNodes[i];
+                    if (node.nodeType === Node.TEXT_NODE) {
+                        var trimmed = node.textContent.trim();
+                        if (trimmed) {
+                            firstText = trimmed;
+                            break;
+                        }
+                    }
+                }
+                result.industry = firstText;
+            }
+
+            // Company description
+            var descEl = companySection.querySelector(JobSelectors.DETAIL_COMPANY_DESC);
+            if (descEl) {
+                result.description = htmlToMarkdown(descEl);
+            }
+
+            return result;
+        },
+
+        /**
+         * Extract all data for a single job: click card → wait → expand → extract.
+         * This is the main orchestration method for per-job extraction.
+         * @param {string} jobId - The job ID to extract.
+         * @returns {Promise<Object|null>} Complete job data object, or null on failure.
+         */
+        extractFullJob: function(jobId) {
+            var self = this;
+
+            return self.clickJobCard(jobId).then(function() {
+                return self.waitForDetailPanel(jobId);
+            }).then(function(loaded) {
+                if (!loaded) {
+                    console.warn('[LiSeSca] Skipping job ' + jobId + ' — detail panel did not load.');
+                    return null;
+                }
+
+                // Click "Show more" buttons to expand collapsed sections
+                return self.clickShowMore();
+            }).then(function(result) {
+                // If previous step returned null (from skipped job), propagate
+                if (result === null) {
+                    return null;
+                }
+
+                // Scroll the detail panel to the bottom to trigger lazy-loading
+                // of sections like "Premium Insights" and "About the Company"
+                // that only render when scrolled into view.
+                var detailPanel = document.querySelector('.jobs-search__job-details--container')
+                    || document.querySelector('.scaffold-layout__detail');
+                return self.loadLazySections(detailPanel).then(function() {
+                    return 'ok';  // Signal that we should proceed with extraction
+                });
+            }).then(function(signal) {
+                if (signal === null) {
+                    return null;
+                }
+
+                // Extract card basics first (some data is only in the card)
+                var card = document.querySelector('div[data-job-id="' + jobId + '"]');
+                var cardData = card ? self.extractCardBasics(card) : { jobId: jobId };
+                return self.buildJobFromDetail(jobId, cardData);
+            });
+        },
+
+        /**
+         * Scroll to the bottom of the job details so that lazily rendered sections
+         * load, then expand any "Show more" buttons that appeared.
+         * @param {Element|null} container - The scrollable detail panel, or null to scroll the page.
+         * @returns {Promise<void>}
+         */
+        loadLazySections: function(container) {
+            var self = this;
+            if (container) {
+                var maxScroll = container.scrollHeight - container.clientHeight;
+                if (maxScroll > 0) {
+                    container.scrollTo({ top: maxScroll, behavior: 'smooth' });
+                }
+            } else {
+                window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
+            }
+
+            // Brief wait for lazy-loaded bottom sections to render,
+            // then click any additional "Show more" buttons that appeared
+            return Emulator.randomDelay(600, 1000).then(function() {
+                return self.clickShowMore();
+            });
+        },
+
+        /**
+         * Build the job record from the job details currently on the page.
+         * Works for the detail panel of the search results and for the
+         * standalone job page, which share the same sections.
+         * @param {string} jobId - The job ID.
+         * @param {Object} cardData - Card basics (see extractCardBasics), or { jobId } without a card.
+         * @returns {Promise<Object>} Complete job data object.
+         */
+        buildJobFromDetail: function(jobId, cardData) {
+            var self = this;
+
+            // Extract detail panel data
+            var detailTitle = self.extractDetailTitle();
+            var detailCompany = self.extractDetailCompany();
+            var tertiaryInfo = self.extractDetailTertiaryInfo();
+            var jobTypes = self.extractDetailJobTypes();
+            var applyLink = self.extractDetailApplyLink();
+            var networkInfo = self.extractDetailNetworkInfo();
+            var hiringTeam = self.extractDetailHiringTeam();
+            var skillsMatch = self.extractDetailSkillsMatch();
+            var jobDescription = self.extractDetailJobDescription();
+            var premiumInsights = self.extractDetailPremiumInsights();
+            var aboutCompany = self.extractDetailAboutCompany();
+
+            // Salary from the top card, or failing that from the description
+            var salary = SalaryParser.toFields(
+                self.extractDetailSalary() || SalaryParser.findInText(jobDescription)
+            );
+
+            // Merge card data with detail data (detail takes precedence)
+            var job = {
+                jobId: jobId,
+                jobTitle: detailTitle || cardData.jobTitle || '',
+                company: detailCompany || cardData.company || '',
+                location: tertiaryInfo.location || cardData.location || '',
+                postedDate: tertiaryInfo.postedDate || '',
+                applicants: tertiaryInfo.applicants || '',
+                workplaceType: jobTypes.workplaceType || '',
+                employmentType: jobTypes.employmentType || '',
+                salaryMin: salary.salaryMin,
+                salaryMax: salary.salaryMax,
+                salaryCurrency: salary.salaryCurrency,
+                salaryPeriod: salary.salaryPeriod,
+                salaryRaw: salary.salaryRaw,
+                applyLink: applyLink || '',
+                jobLink: cardData.directLink || ('https://www.linkedin.com/jobs/view/' + jobId + '/'),
+                networkConnections: networkInfo || cardData.cardInsight || '',
+                hiringTeam: hiringTeam,
+                matchedSkills: skillsMatch.matchedSkills,
+                missingSkills: skillsMatch.missingSkills,
+                skillsMatchRatio: skillsMatch.skillsMatchRatio,
+                industry: aboutCompany.industry || '',
+                employeeCount: aboutCompany.employeeCount || '',
+                viewed: cardData.viewed === true,
+                jobState: cardData.jobState || '',
+                jobDescription: jobDescription || '',
+                premiumInsights: premiumInsights || '',
+                aboutCompany: aboutCompany.description || ''
+            };
+
+            // Sortable values derived from the display texts above
+            Object.assign(job, JobNormalizer.normalize(job, new Date()));
+            Object.assign(job, LocationParser.parse(job.location, job.workplaceType));
+            Object.assign(job, SkillExtractor.analyze(job));
+            Object.assign(job, self.flattenHiringTeam(hiringTeam));
+
+            console.log('[LiSeSca] Extracted job: ' + job.jobTitle + ' at ' + job.company);
+
+            if (job.applyLink !== 'External Apply' || CONFIG.APPLY_URL_MODE === 'off') {
+                return Promise.resolve(job);
+            }
+            return ApplyLinkResolver.resolve(jobId, CONFIG.APPLY_URL_MODE).then(function(url) {
+                if (url) {
+                    job.applyLink = url;
+                }
+                return job;
+            });
+        },
+
+        /**
+         * Wait for the standalone job page to render its top card.
+         * @returns {Promise<boolean>} True if the job title appeared, false if timed out.
+         */
+        waitForJobView: function() {
+            return new Promise(function(resolve) {
+                var maxWaitMs = 8000;
+                var pollIntervalMs = 400;
+                var elapsed = 0;
+
+                var poll = setInterval(function() {
+                    var detailTitle = document.querySelector(JobSelectors.DETAIL_TITLE);
+                    if (detailTitle && (detailTitle.textContent || '').trim()) {
+                        clearInterval(poll);
+                        resolve(true);
+                        return;
+                    }
+
+                    elapsed += pollIntervalMs;
+                    if (elapsed >= maxWaitMs) {
+                        clearInterval(poll);
+                        console.warn('[LiSeSca] Job page did not load after ' + maxWaitMs + 'ms.');
+                        resolve(false);
+                    }
+                }, pollIntervalMs);
+            });
+        },
+
+        /**
+         * Extract the job shown on a standalone job page (/jobs/view/<id>).
+         * The page has no job card, so all data comes from the job details.
+         * @param {string} jobId - The job ID from the URL.
+         * @returns {Promise<Object|null>} Complete job data object, or null if the page did not load.
+         */
+        extractJobView: function(jobId) {
+            var self = this;
+
+            return self.waitForJobView().then(function(loaded) {
+                if (!loaded) {
+                    return null;
+                }
+                return self.clickShowMore().then(function() {
+                    return self.loadLazySections(null);
+                }).then(function() {
+                    return self.buildJobFromDetail(jobId, { jobId: jobId });
+                });
+            });
+        }
+    };
+
+    // ===== JOB EMULATION =====
+    // Simulates human browsing behavior specific to job detail panels.
+    // When reviewing a job, a human would scroll the detail panel, move the mouse
+    // over the description, and spend several seconds reading before moving on.
+
+    const JobEmulator = {
+        /** Flag to allow cancellation */
+        cancelled: false,
+
+        /**
+         * Simulate a human reviewing a job detail panel.
+         * Scrolls the right-side detail panel, dispatches mouse events,
+         * and pauses for a random duration.
+         * @param {string} statusPrefix - Text to show in the UI status.
+         * @returns {Promise<void>}
+         */
+        emulateJobReview: function(statusPrefix) {
+            this.cancelled = false;
+            var self = this;
+
+            // Spend configurable time "reading" each job detail
+            var totalTimeMs = Emulator.getRandomInt(
+                CONFIG.MIN_JOB_REVIEW_TIME * 1000,
+                CONFIG.MAX_JOB_REVIEW_TIME * 1000
+            );
+            var totalTimeSec = Math.round(totalTimeMs / 1000);
+            var startTimeMs = Date.now();
+
+            var prefix = statusPrefix || 'Reviewing job';
+            UI.showStatus(prefix + ' — ' + totalTimeSec + 's');
+
+            // Find the detail panel's scrollable container
+            var detailContainer = document.querySelector('.jobs-search__job-details--container')
+                || document.querySelector('.scaffold-layout__detail');
+
+            var scrollTarget = 0;
+            var maxScroll = 0;
+            if (detailContainer) {
+                maxScroll = detailContainer.scrollHeight - detailContainer.clientHeight;
+            }
+
+            // Number of scroll steps
+            var numberOfSteps = Emulator.getRandomInt(4, 8);
+            var scrollPerStep = maxScroll > 0 ? maxScroll / numberOfSteps : 0;
+
+            /**
+             * Execute one review step.
+             * @param {number} step - Current step index.
+             * @returns {Promise<void>}
+             */
+            function executeStep(step) {
+                if (self.cancelled) {
+                    return Promise.resolve();
+                }
+                if (step >= numberOfSteps) {
+                    return Promise.resolve();
+                }
+
+                // Update countdown
+                var elapsedMs = Date.now() - startTimeMs;
+                var remainingSec = Math.max(0, Math.round((totalTimeMs - elapsedMs) / 1000));
+                UI.showStatus(prefix + ' — ' + remainingSec + 's');
+
+                // Scroll the detail panel
+                if (detailContainer && maxScroll > 0) {
+                    scrollTarget = Math.min(scrollTarget + scrollPerStep * (0.6 + Math.random() * 0.8), maxScroll);
+                    detailContainer.scrollTo({ top: scrollTarget, behavior: 'smooth' });
+                }
+
+                // Dispatch mouse move over the detail area
+                var mouseY = Emulator.getRandomInt(200, 600);
+                Emulator.dispatchMouseMove(mouseY);
+
+                var delayMs = Math.floor(totalTimeMs / numberOfSteps);
+                var delayMin = Math.max(delayMs - 200, 200);
+                var delayMax = delayMs + 300;
+
+                return Emulator.randomDelay(delayMin, delayMax).then(function() {
+                    return executeStep(step + 1);
+                });
+            }
+
+            return executeStep(0).then(function() {
+                console.log('[LiSeSca] Job review emulation complete.');
+            });
+        },
+
+        /**
+         * Simulate scrolling the left job list panel.
+         * Used before starting to process jobs to make the page load look natural.
+         * @returns {Promise<void>}
+         */
+        scrollJobList: function() {
+            var listContainer = document.querySelector('.scaffold-layout__list');
+            if (!listContainer) {
+                return Promise.resolve();
+            }
+
+            var maxScroll = listContainer.scrollHeight - listContainer.clientHeight;
+            if (maxScroll <= 0) {
+                return Promise.resolve();
+            }
+
+            // Scroll down slowly, then back up a bit
+            listContainer.scrollTo({ top: maxScroll * 0.4, behavior: 'smooth' });
+
+            return Emulator.randomDelay(500, 1000).then(function() {
+                listContainer.scrollTo({ top: maxScroll * 0.2, behavior: 'smooth' });
+                return Emulator.randomDelay(300, 600);
+            });
+        },
+
+        /**
+         * Cancel the ongoing emulation.
+         */
+        cancel: function() {
+            this.cancelled = true;
+        }
+    };
+
+    // ===== JOB CONTROLLER =====
+    // Orchestrates the job scraping lifecycle.
+    // Unlike people search (which extracts all cards on a page at once),
+    // job scraping must click each card individually, wait for the detail panel,
+    // and extract data from both the card and the detail panel.
+    //
+    // State machine for jobs:
+    //   Page Load → Check scrapeMode == 'jobs'?
+    //     YES → Check jobIndex:
+    //       If jobIndex < total jobs on page → resume scrapeNextJob()
+    //       If all jobs done → decideNextAction() (next page or finish)
+    //     NO → Check scrapeMode == 'people'? → existing Controller
+
+    const JobController = {
+
+        /**
+         * Update the progress display line based on current state.
+         * Shows "Progress: X/Y (Z saved)" when total is known (All mode),
+         * or "Progress: X processed (Z saved)" otherwise.
+         */
+        updateProgressDisplay: function() {
+            var totalKnown = State.get(State.KEYS.JOB_TOTAL, 0);
+            var processed = State.getJobsProcessed();
+            var saved = State.getBuffer().length;
+            if (totalKnown > 0) {
+                UI.showProgress('Progress: ' + processed + '/' + totalKnown + ' (' + saved + ' saved)');
+            } else {
+                UI.showProgress('Progress: ' + processed + ' processed (' + saved + ' saved)');
+            }
+        },
+
+        /**
+         * Attach the AI decision path to a job record, so the export shows
+         * why the filter kept it.
+         * @param {Object} job - The job data object (modified in place).
+         * @param {Object} decision - { triageDecision, triageReason, fullVerdict, fullReason }.
+         * @returns {Object} The same job object.
+         */
+        applyAIDecision: function(job, decision) {
+            job.aiTriageDecision = decision.triageDecision || '';
+            job.aiTriageReason = decision.triageReason || '';
+            job.aiFullVerdict = decision.fullVerdict || '';
+            job.aiFullReason = decision.fullReason || '';
+            job.aiModel = AIClient.getModel();
+            job.aiEvaluatedAt = new Date().toISOString();
+            return job;
+        },
+
+        /**
+         * Keep the basics of an AI-rejected job in the rejected buffer,
+         * so false negatives can be spot-checked after the run.
+         * @param {string} jobId - The LinkedIn job ID.
+         * @param {Object} jobData - Card basics or a full job object.
+         * @param {Object} decision - The AI decision path (see applyAIDecision).
+         */
+        recordRejectedJob: function(jobId, jobData, decision) {
+            var rejected = {
+                jobId: jobId,
+                jobTitle: jobData.jobTitle || '',
+                company: jobData.company || '',
+                location: jobData.location || '',
+                jobLink: 'https://www.linkedin.com/jobs/view/' + jobId + '/',
+                cardInsight: jobData.cardInsight || ''
+            };
+            this.applyAIDecision(rejected, decision);
+            State.appendRejected([rejected]);
+        },
+
+        /**
+         * Start a new job scraping session.
+         * @param {string} pageCount - Number of pages ('1', '3', '5', '10').
+         */
+        startScraping: function(pageCount) {
+            if (!PageDetector.isOnJobsPage()) {
+                console.warn('[LiSeSca] Not on a jobs page. Scraping aborted.');
+                UI.showStatus('Wrong page — navigate to Jobs search first.');
+                setTimeout(function() {
+                    UI.showIdleState();
+                }, 3000);
+                return;
+            }
+
+            var target = (pageCount === 'all') ? 25 : Math.min(parseInt(pageCount, 10), 25);
+            var startPage = JobPaginator.getCurrentPage();
+            var baseUrl = JobPaginator.getBaseSearchUrl();
+
+            console.log('[LiSeSca] Starting job scrape: target=' + target
+                + ' pages, starting at page ' + startPage);
+
+            var selectedFormats = State.readFormatsFromUI();
+            if (selectedFormats.length === 0) {
+                selectedFormats = ['xlsx'];
+            }
+
+            // Save AI enabled state from UI
+            var aiEnabled = State.readAIEnabledFromUI();
+            State.saveAIEnabled(aiEnabled);
+
+            // Save Full AI enabled state from UI
+            var fullAIEnabled = State.readFullAIEnabledFromUI();
+            State.saveFullAIEnabled(fullAIEnabled);
+
+            State.startSession(target, startPage, baseUrl, 'jobs');
+            State.saveFormats(selectedFormats);
+
+            var totalJobs = 0;
+            if (pageCount === 'all') {
+                var subtitleEl = document.querySelector('.jobs-search-results-list__subtitle span');
+                if (subtitleEl) {
+                    var totalJobsText = (subtitleEl.textContent || '').trim();
+                    var match = totalJobsText.match(/^([\d,]+)\s+result/);
+                    if (match) {
+                        totalJobs = parseInt(match[1].replace(/,/g, ''), 10);
+                    }
+                }
+            }
+            State.set(State.KEYS.JOB_TOTAL, totalJobs);
+
+            this.scrapePage();
+        },
+
+        /**
+         * Resume a job scraping session after a page reload.
+         */
+        resumeScraping: function() {
+            if (!PageDetector.isOnJobsPage()) {
+                console.warn('[LiSeSca] Resumed jobs on wrong page. Saving buffered data.');
+                UI.showStatus('Wrong page detected. Saving collected data...');
+                var buffer = State.getBuffer();
+                if (buffer.length > 0) {
+                    JobOutput.downloadResults(buffer);
+                }
+                State.clear();
+                setTimeout(function() {
+                    UI.showIdleState();
+                }, 3000);
+                return;
+            }
+
+            var state = State.getScrapingState();
+            console.log('[LiSeSca] Resuming job scraping. Page ' + state.currentPage
+                + ', jobIndex=' + state.jobIndex
+                + ', ' + state.scrapedBuffer.length + ' jobs buffered.');
+
+            this.scrapePage();
+        },
+
+        /**
+         * Begin scraping the current page of job results.
+         * First, wait for job cards to load, then start the per-job loop.
+         */
+        scrapePage: function() {
+            var self = this;
+            var state = State.getScrapingState();
+
+            // Reset AI conversation for the new page (if AI filtering is enabled)
+            if (State.getAIEnabled() && AIClient.isConfigured()) {
+                AIClient.resetConversation();
+            }
+
+            this.updateProgressDisplay();
+            UI.showStatus('Page ' + state.currentPage + ' — Loading job cards...');
+
+            // Wait for at least some job cards to appear in the DOM
+            JobExtractor.waitForJobCards().then(function() {
+                // If we're starting fresh on this page, discover all job IDs
+                // by scrolling the left panel (LinkedIn virtualizes the list)
+                var storedIds = State.getJobIdsOnPage();
+                if (storedIds.length === 0 || state.jobIndex === 0) {
+                    return JobExtractor.discoverAllJobIds().then(function(jobIds) {
+                        State.set(State.KEYS.JOB_IDS_ON_PAGE, JSON.stringify(jobIds));
+                        State.set(State.KEYS.JOB_INDEX, 0);
+                        console.log('[LiSeSca] Found ' + jobIds.length + ' jobs on page ' + state.currentPage);
+
+                        if (jobIds.length === 0) {
+                            console.log('[LiSeSca] No jobs found on page. Finishing.');
+                            self.finishScraping();
+                        }
+                    });
+                }
+                return Promise.resolve();
+            }).then(function() {
+                if (!State.isScraping()) {
+                    return;
+                }
+                // Start the per-job scraping loop
+                self.scrapeNextJob();
+            }).catch(function(error) {
+                console.error('[LiSeSca] Job page scrape error:', error);
+                UI.showStatus('Error: ' + error.message);
+
+                var buffer = State.getBuffer();
+                if (buffer.length > 0) {
+                    JobOutput.downloadResults(buffer);
+                }
+                State.clear();
+                setTimeout(function() {
+                    UI.showIdleState();
+                }, 5000);
+            });
+        },
+
+        /**
+         * Process the next job in the per-job scraping loop.
+         * Reads the current jobIndex and jobIdsOnPage from state,
+         * extracts the job, then advances to the next index.
+         */
+        scrapeNextJob: function() {
+            var self = this;
+
+            if (!State.isScraping()) {
+                console.log('[LiSeSca] Job scraping stopped.');
+                self.finishScraping();
+                return;
+            }
+
+            var jobIndex = State.get(State.KEYS.JOB_INDEX, 0);
+            var jobIds = State.getJobIdsOnPage();
+            var state = State.getScrapingState();
+            var pagesScraped = state.currentPage - state.startPage;
+
+            // Check if we've processed all jobs on this page
+            if (jobIndex >= jobIds.length) {
+                console.log('[LiSeSca] All ' + jobIds.length + ' jobs processed on page ' + state.currentPage);
+                self.decideNextAction();
+                return;
+            }
+
+            var jobId = jobIds[jobIndex];
+            var totalOnPage = jobIds.length;
+
+            // Increment processed counter BEFORE display so current job is counted
+            State.incrementJobsProcessed();
+
+            // Update status and progress display
+            var statusMsg = 'Page ' + state.currentPage
+                + ' (' + (pagesScraped + 1) + ' of ' + state.targetPageCount + ')'
+                + ' — Job ' + (jobIndex + 1) + ' of ' + totalOnPage;
+            self.updateProgressDisplay();
+            UI.showStatus(statusMsg);
+
+            // Show AI stats if AI filtering is active
+            var aiEnabled = State.getAIEnabled() && AIClient.isConfigured();
+            if (aiEnabled) {
+                UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
+            }
+
+            var includeViewed = State.getIncludeViewed();
+            var aiEnabled = State.getAIEnabled() && AIClient.isConfigured();
+
+            // First job card on each page is auto-viewed by LinkedIn.
+            // Force-include it when appropriate to prevent unintended data loss.
+            var isFirstOnPage = (jobIndex === 0);
+            var forceIncludeFirst = false;
+            if (isFirstOnPage) {
+                if (aiEnabled) {
+                    // AI mode: always include first card (AI will filter it)
+                    forceIncludeFirst = true;
+                } else {
+                    // Non-AI mode: respect the user preference
+                    forceIncludeFirst = State.getIncludeFirstOnPage();
+                }
+            }
+            var viewedCheck = (includeViewed || forceIncludeFirst)
+                ? Promise.resolve(false)
+                : JobExtractor.isJobViewed(jobId);
+
+            viewedCheck.then(function(isViewed) {
+                if (!State.isScraping()) {
+                    return null;
+                }
+                if (isViewed) {
+                    console.log('[LiSeSca] Skipping viewed job ' + jobId);
+                    UI.showStatus(statusMsg + ' — Skipping viewed job');
+                    State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
+                    return Emulator.randomDelay(300, 600).then(function() {
+                        self.scrapeNextJob();
+                    }).then(function() {
+                        return 'skip';
+                    });
+                }
+
+                // AI filtering: evaluate job card before downloading full details
+                if (aiEnabled) {
+                    var fullAIMode = State.getFullAIEnabled();
+
+                    return JobExtractor.getRenderedCard(jobId).then(function(result) {
+                        if (!result.card) {
+                            // Can't get card data, fetch full details and evaluate
+                            console.log('[LiSeSca] AI filter: no card data, must evaluate full job details for ' + jobId);
+                            UI.showStatus(statusMsg + ' — AI: Fetching details (no card)...');
+                            
+                            return JobExtractor.extractFullJob(jobId).then(function(job) {
+                                if (!job) {
+                                    return null;
+                                }
+                                if (!State.isScraping()) {
+                                    return null;
+                                }
+                                
+                                var fullJobMarkdown = JobOutput.formatJobMarkdown(job);
+                                UI.showStatus(statusMsg + ' — AI: Full evaluation...');
+                                
+                                var evalCall = fullAIMode 
+                                    ? AIClient.evaluateFullJob(fullJobMarkdown)
+                                    : AIClient.evaluateJob(fullJobMarkdown);
+                                    
+                                return evalCall.then(function(evalResult) {
+                                    if (!State.isScraping()) {
+                                        return null;
+                                    }
+                                    
+                                    State.incrementAIJobsEvaluated();
+                                    State.incrementAIJobsFullEvaluated();
+                                    UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
+                                    
+                                    var accept = fullAIMode ? evalResult.accept : evalResult;
+                                    var reason = fullAIMode ? evalResult.reason : '';
+                                    
+                                    if (accept) {
+                                        console.log('[LiSeSca] AI accepted job (no card): ' + job.jobTitle + (reason ? ' - ' + reason : ''));
+                                        State.incrementAIJobsAccepted();
+                                        UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
+                                        UI.showStatus(statusMsg + ' — AI: Accept');
+                                        return self.applyAIDecision(job, {
+                                            fullVerdict: 'accept',
+                                            fullReason: reason
+                                        });
+                                    }
+                                    
+                                    console.log('[LiSeSca] AI REJECT (no card): ' + job.jobTitle + (reason ? ' - ' + reason : ''));
+                                    self.recordRejectedJob(jobId, job, {
+                                        fullVerdict: 'reject',
+                                        fullReason: reason
+                                    });
+                                    UI.showStatus(statusMsg + ' — AI: Reject');
+                                    State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
+                                    return Emulator.randomDelay(300, 600).then(function() {
+                                        self.scrapeNextJob();
+                                    }).then(function() {
+                                        return 'skip';
+                                    });
+                                });
+                            });
+                        }
+
+                        var cardData = JobExtractor.extractCardBasics(result.card);
+                        var cardMarkdown = JobExtractor.formatCardForAI(cardData);
+
+                        if (fullAIMode) {
+                            // THREE-TIER EVALUATION (reject/keep/maybe)
+                            UI.showStatus(statusMsg + ' — AI triage...');
+                            var jobLink = 'https://www.linkedin.com/jobs/view/' + jobId;
+
+                            return AIClient.triageCard(cardMarkdown).then(function(result) {
+                                if (!State.isScraping()) {
+                                    return null;
+                                }
+
+                                var decision = result.decision;
+                                var reason = result.reason;
+
+                                // Count this job as evaluated
+                                State.incrementAIJobsEvaluated();
+                                State.incrementAIJobsTriaged();
+                                UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
+
+                                if (decision === 'reject') {
+                                    // Reject: skip job entirely, no full details fetched
+                                    // Log rejection with job link and reason for debugging
+                                    console.log('[LiSeSca] AI TRIAGE REJECT: ' + cardData.jobTitle);
+                                    console.log('  Link: ' + jobLink);
+                                    console.log('  Reason: ' + reason);
+                                    self.recordRejectedJob(jobId, cardData, {
+                                        triageDecision: decision,
+                                        triageReason: reason
+                                    });
+                                    UI.showStatus(statusMsg + ' — AI: Reject');
+                                    State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
+                                    // Click card so LinkedIn marks it as "Viewed" — prevents re-triaging on future runs
+                                    return JobExtractor.clickJobCard(jobId).then(function() {
+                                        return Emulator.randomDelay(300, 600);
+                                    }).then(function() {
+                                        self.scrapeNextJob();
+                                    }).then(function() {
+                                        return 'skip';
+                                    });
+                                }
+
+                                if (decision === 'keep') {
+                                    // Keep: accept job, fetch full details for output
+                                    console.log('[LiSeSca] AI kept job: ' + cardData.jobTitle + ' - ' + reason);
+                                    State.incrementAIJobsAccepted();
+                                    UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
+                                    UI.showStatus(statusMsg + ' — AI: Keep');
+                                    return JobExtractor.extractFullJob(jobId).then(function(job) {
+                                        if (job) {
+                                            self.applyAIDecision(job, {
+                                                triageDecision: decision,
+                                                triageReason: reason
+                                            });
+                                        }
+                                        return job;
+                                    });
+                                }
+
+                                // Maybe: fetch full details, then ask AI again
+                                console.log('[LiSeSca] AI maybe on job: ' + cardData.jobTitle + ' - ' + reason);
+                                UI.showStatus(statusMsg + ' — AI: Fetching details...');
+
+                                return JobExtractor.extractFullJob(jobId).then(function(job) {
+                                    if (!job) {
+                                        console.warn('[LiSeSca] Could not extract job for full evaluation');
+                                        return null;
+                                    }
+
+                                    if (!State.isScraping()) {
+                                        return null;
+                                    }
 
-            return 'Apply';
-        },
+                                    // Format full job for second AI evaluation
+                                    var fullJobMarkdown = JobOutput.formatJobMarkdown(job);
+                                    UI.showStatus(statusMsg + ' — AI: Full evaluation...');
 
-        /**
-         * Extract network connection information.
-         * @returns {string} e.g. "3 connections work here" or empty.
-         */
-        extractDetailNetworkInfo: function() {
-            var el = document.querySelector(JobSelectors.DETAIL_CONNECTIONS);
-            return el ? (el.textContent || '').trim() : '';
-        },
+                                    return AIClient.evaluateFullJob(fullJobMarkdown).then(function(evalResult) {
+                                        if (!State.isScraping()) {
+                                            return null;
+                                        }
 
-        /**
-         * Extract the full job description and convert HTML to Markdown.
-         * @returns {string} The job description in Markdown format.
-         */
-        extractDetailJobDescription: function() {
-            var el = document.querySelector(JobSelectors.DETAIL_JOB_DESCRIPTION);
-            if (!el) {
-                return '';
-            }
+                                        State.incrementAIJobsFullEvaluated();
 
-            // Get the content div inside #job-details (skip the "About the job" heading)
-            var contentDiv = el.querySelector('.mt4');
-            return htmlToMarkdown(contentDiv || el);
-        },
+                                        var accept = evalResult.accept;
+                                        var evalReason = evalResult.reason;
 
-        /**
-         * Extract premium applicant insights section as Markdown.
-         * @returns {string} Premium insights in Markdown, or empty.
-         */
-        extractDetailPremiumInsights: function() {
-            var el = document.querySelector(JobSelectors.DETAIL_PREMIUM_INSIGHTS);
-            if (!el) {
-                return '';
-            }
+                                        if (accept) {
+                                            console.log('[LiSeSca] AI accepted job after full review: ' + job.jobTitle + ' - ' + evalReason);
+                                            State.incrementAIJobsAccepted();
+                                            UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
+                                            UI.showStatus(statusMsg + ' — AI: Accept');
+                                            return self.applyAIDecision(job, {
+                                                triageDecision: decision,
+                                                triageReason: reason,
+                                                fullVerdict: 'accept',
+                                                fullReason: evalReason
+                                            });
+                                        }
 
-            return htmlToMarkdown(el);
-        },
+                                        // Reject after full evaluation: skip
+                                        // Log rejection with job link and reason for debugging
+                                        console.log('[LiSeSca] AI FULL REJECT: ' + job.jobTitle);
+                                        console.log('  Link: ' + jobLink);
+                                        console.log('  Reason: ' + evalReason);
+                                        self.recordRejectedJob(jobId, job, {
+                                            triageDecision: decision,
+                                            triageReason: reason,
+                                            fullVerdict: 'reject',
+                                            fullReason: evalReason
+                                        });
+                                        UI.showStatus(statusMsg + ' — AI: Reject (full)');
+                                        State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
+                                        return Emulator.randomDelay(300, 600).then(function() {
+                                            self.scrapeNextJob();
+                                        }).then(function() {
+                                            return 'skip';
+                                        });
+                                    });
+                                });
+                            });
+                        } else {
+                            // BASIC BINARY EVALUATION (download/skip)
+                            UI.showStatus(statusMsg + ' — AI evaluating...');
 
-        /**
-         * Extract the "About the company" section as Markdown.
-         * @returns {Object} { description, industry, employeeCount }
-         */
-        extractDetailAboutCompany: function() {
-            var result = { description: '', industry: '', employeeCount: '' };
+                            return AIClient.evaluateJob(cardMarkdown).then(function(shouldDownload) {
+                                if (!State.isScraping()) {
+                                    return null;
+                                }
 
-            var companySection = document.querySelector(JobSelectors.DETAIL_ABOUT_COMPANY);
-            if (!companySection) {
-                return result;
-            }
+                                // Count this job as evaluated
+                                State.incrementAIJobsEvaluated();
+                                State.incrementAIJobsFullEvaluated(); // Regular evaluation counts as full evaluation for simplicity
+                                UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
 
-            // Industry and employee count from inline information spans
-            var infoSpans = companySection.querySelectorAll(JobSelectors.DETAIL_COMPANY_INFO);
-            infoSpans.forEach(function(span) {
-                var text = (span.textContent || '').trim();
-                if (text.match(/employees/i)) {
-                    result.employeeCount = text;
-                }
-            });
+                                if (!shouldDownload) {
+                                    console.log('[LiSeSca] AI skipped job: ' + cardData.jobTitle);
+                                    self.recordRejectedJob(jobId, cardData, { triageDecision: 'skip' });
+                                    UI.showStatus(statusMsg + ' — AI: Skip');
+                                    State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
+                                    // Click card so LinkedIn marks it as "Viewed" — prevents re-triaging on future runs
+                                    return JobExtractor.clickJobCard(jobId).then(function() {
+                                        return Emulator.randomDelay(300, 600);
+                                    }).then(function() {
+                                        self.scrapeNextJob();
+                                    }).then(function() {
+                                        return 'skip';
+                                    });
+                                }
 
-            // The industry is the first text node in the t-14 mt5 div,
-            // before the inline-information spans
-            var infoDiv = companySection.querySelector('.t-14.mt5');
-            if (infoDiv) {
-                // Get the first text content before any child elements
-                var firstText = '';
-                for (var i = 0; i < infoDiv.childNodes.length; i++) {
-                    var node = infoDiv.childNodes[i];
-                    if (node.nodeType === Node.TEXT_NODE) {
-                        var trimmed = node.textContent.trim();
-                        if (trimmed) {
-                            firstText = trimmed;
-                            break;
+                                console.log('[LiSeSca] AI approved job: ' + cardData.jobTitle);
+                                State.incrementAIJobsAccepted();
+                                UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
+                                return JobExtractor.extractFullJob(jobId).then(function(job) {
+                                    if (job) {
+                                        // Basic mode has no triage tiers, only download/skip
+                                        self.applyAIDecision(job, { triageDecision: 'download' });
+                                    }
+                                    return job;
+                                });
+                            });
                         }
-                    }
+                    });
                 }
-                result.industry = firstText;
-            }
-
-            // Company description
-            var descEl = companySection.querySelector(JobSelectors.DETAIL_COMPANY_DESC);
-            if (descEl) {
-                result.description = htmlToMarkdown(descEl);
-            }
 
-            return result;
-        },
+                return JobExtractor.extractFullJob(jobId);
+            }).then(function(job) {
+                if (!State.isScraping()) {
+                    return;
+                }
 
-        /**
-         * Extract all data for a single job: click card → wait → expand → extract.
-         * This is the main orchestration method for per-job extraction.
-         * @param {string} jobId - The job ID to extract.
-         * @returns {Promise<Object|null>} Complete job data object, or null on failure.
-         */
-        extractFullJob: function(jobId) {
-            var self = this;
+                if (job === 'skip') {
+                    return 'skip';
+                }
 
-            return self.clickJobCard(jobId).then(function() {
-                return self.waitForDetailPanel(jobId);
-            }).then(function(loaded) {
-                if (!loaded) {
-                    console.warn('[LiSeSca] Skipping job ' + jobId + ' — detail panel did not load.');
-                    return null;
+                if (job) {
+                    // Append this single job to the buffer immediately (data safety)
+                    State.appendBuffer([job]);
+                    // Refresh progress to reflect updated saved count
+                    self.updateProgressDisplay();
+                    console.log('[LiSeSca] Job ' + (jobIndex + 1) + '/' + totalOnPage
+                        + ' extracted: ' + job.jobTitle);
+                } else {
+                    console.warn('[LiSeSca] Job ' + jobId + ' could not be extracted, skipping.');
                 }
 
-                // Click "Show more" buttons to expand collapsed sections
-                return self.clickShowMore();
+                // Emulate reviewing the job detail panel
+                var reviewPrefix = 'Page ' + state.currentPage
+                    + ' — Reviewing job ' + (jobIndex + 1) + ' of ' + totalOnPage;
+                return JobEmulator.emulateJobReview(reviewPrefix);
             }).then(function(result) {
-                // If previous step returned null (from skipped job), propagate
-                if (result === null) {
-                    return null;
+                if (!State.isScraping()) {
+                    return;
                 }
 
-                // Scroll the detail panel to the bottom to trigger lazy-loading
-                // of sections like "Premium Insights" and "About the Company"
-                // that only render when scrolled into view.
-                var detailPanel = document.querySelector('.jobs-search__job-details--container')
-                    || document.querySelector('.scaffold-layout__detail');
-                if (detailPanel) {
-                    var maxScroll = detailPanel.scrollHeight - detailPanel.clientHeight;
-                    if (maxScroll > 0) {
-                        detailPanel.scrollTo({ top: maxScroll, behavior: 'smooth' });
-                    }
+                if (result === 'skip') {
+                    return 'skip';
                 }
 
-                // Brief wait for lazy-loaded bottom sections to render,
-                // then click any additional "Show more" buttons that appeared
-                return Emulator.randomDelay(600, 1000).then(function() {
-                    return self.clickShowMore();
-                }).then(function() {
-                    return 'ok';  // Signal that we should proceed with extraction
-                });
-            }).then(function(signal) {
-                if (signal === null) {
-                    return null;
+                // Advance to the next job
+                State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
+
+                // Configurable pause between jobs
+                return Emulator.randomDelay(
+                    CONFIG.MIN_JOB_PAUSE * 1000,
+                    CONFIG.MAX_JOB_PAUSE * 1000
+                );
+            }).then(function(result) {
+                if (!State.isScraping()) {
+                    self.finishScraping();
+                    return;
+                }
+                if (result === 'skip') {
+                    return;
                 }
+                // Recurse to process the next job
+                self.scrapeNextJob();
+            }).catch(function(error) {
+                console.error('[LiSeSca] Error extracting job ' + jobId + ':', error);
 
-                // Extract card basics first (some data is only in the card)
-                var card = document.querySelector('div[data-job-id="' + jobId + '"]');
-                var cardData = card ? self.extractCardBasics(card) : { };
-
-                // Extract detail panel data
-                var detailTitle = self.extractDetailTitle();
-                var detailCompany = self.extractDetailCompany();
-                var tertiaryInfo = self.extractDetailTertiaryInfo();
-                var jobTypes = self.extractDetailJobTypes();
-                var applyLink = self.extractDetailApplyLink();
-                var networkInfo = self.extractDetailNetworkInfo();
-                var jobDescription = self.extractDetailJobDescription();
-                var premiumInsights = self.extractDetailPremiumInsights();
-                var aboutCompany = self.extractDetailAboutCompany();
-
-                // Merge card data with detail data (detail takes precedence)
-                var job = {
-                    jobId: jobId,
-                    jobTitle: detailTitle || cardData.jobTitle || '',
-                    company: detailCompany || cardData.company || '',
-                    location: tertiaryInfo.location || cardData.location || '',
-                    postedDate: tertiaryInfo.postedDate || '',
-                    applicants: tertiaryInfo.applicants || '',
-                    workplaceType: jobTypes.workplaceType || '',
-                    employmentType: jobTypes.employmentType || '',
-                    applyLink: applyLink || '',
-                    jobLink: cardData.directLink || ('https://www.linkedin.com/jobs/view/' + jobId + '/'),
-                    networkConnections: networkInfo || cardData.cardInsight || '',
-                    industry: aboutCompany.industry || '',
-                    employeeCount: aboutCompany.employeeCount || '',
-                    viewed: cardData.viewed === true,
-                    jobState: cardData.jobState || '',
-                    jobDescription: jobDescription || '',
-                    premiumInsights: premiumInsights || '',
-                    aboutCompany: aboutCompany.description || ''
-                };
+                // Skip this job and continue to the next
+                State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
+                Emulator.randomDelay(500, 1000).then(function() {
+                    self.scrapeNextJob();
+                });
+            });
+        },
+
+        /**
+         * Decide whether to continue to the next page or finish.
+         */
+        decideNextAction: function() {
+            var state = State.getScrapingState();
+            var pagesScraped = state.currentPage - state.startPage + 1;
+
+            // Check if we've reached the target page count
+            if (pagesScraped >= state.targetPageCount) {
+                console.log('[LiSeSca] Reached target of ' + state.targetPageCount + ' pages.');
+                this.finishScraping();
+                return;
+            }
+
+            // Check if pagination exists (collections pages may not have it)
+            if (!JobPaginator.hasPagination()) {
+                console.log('[LiSeSca] No pagination found. Finishing with current results.');
+                this.finishScraping();
+                return;
+            }
+
+            // Check if there is actually a next page
+            if (!JobPaginator.hasNextPage()) {
+                console.log('[LiSeSca] No next page available (last page reached). Finishing.');
+                this.finishScraping();
+                return;
+            }
+
+            if (!State.isScraping()) {
+                this.finishScraping();
+                return;
+            }
 
-                console.log('[LiSeSca] Extracted job: ' + job.jobTitle + ' at ' + job.company);
-                return job;
-            });
-        }
-    };
+            // Advance to the next page
+            State.advancePage();
+            var nextPage = State.get(State.KEYS.CURRENT_PAGE, 1);
+            // Reset job index for the new page
+            State.set(State.KEYS.JOB_INDEX, 0);
+            State.set(State.KEYS.JOB_IDS_ON_PAGE, JSON.stringify([]));
 
-    // ===== JOB EMULATION =====
-    // Simulates human browsing behavior specific to job detail panels.
-    // When reviewing a job, a human would scroll the detail panel, move the mouse
-    // over the description, and spend several seconds reading before moving on.
+            UI.showStatus('Moving to page ' + nextPage + '...');
 
-    const JobEmulator = {
-        /** Flag to allow cancellation */
-        cancelled: false,
+            setTimeout(function() {
+                JobPaginator.navigateToPage(nextPage);
+            }, Emulator.getRandomInt(1500, 3000));
+        },
 
         /**
-         * Simulate a human reviewing a job detail panel.
-         * Scrolls the right-side detail panel, dispatches mouse events,
-         * and pauses for a random duration.
-         * @param {string} statusPrefix - Text to show in the UI status.
-         * @returns {Promise<void>}
+         * Complete the job scraping session.
          */
-        emulateJobReview: function(statusPrefix) {
-            this.cancelled = false;
-            var self = this;
+        finishScraping: function(interrupted) {
+            var buffer = State.getBuffer();
+            var totalJobs = buffer.length;
+            var state = State.getScrapingState();
+            var pagesScraped = state.currentPage - state.startPage + (interrupted ? 0 : 1);
+            var totalProcessed = State.getJobsProcessed();
 
-            // Spend configurable time "reading" each job detail
-            var totalTimeMs = Emulator.getRandomInt(
-                CONFIG.MIN_JOB_REVIEW_TIME * 1000,
-                CONFIG.MAX_JOB_REVIEW_TIME * 1000
-            );
-            var totalTimeSec = Math.round(totalTimeMs / 1000);
-            var startTimeMs = Date.now();
+            // Get AI stats
+            var aiEnabled = State.getAIEnabled();
+            var fullAIEnabled = State.getFullAIEnabled();
+            var aiEvaluated = State.getAIJobsEvaluated();
+            var aiTriaged = State.getAIJobsTriaged();
+            var aiFullEvaluated = State.getAIJobsFullEvaluated();
+            var aiAccepted = State.getAIJobsAccepted();
 
-            var prefix = statusPrefix || 'Reviewing job';
-            UI.showStatus(prefix + ' — ' + totalTimeSec + 's');
+            console.log('[LiSeSca] Job scraping finished! Total: ' + totalJobs + ' jobs across '
+                + pagesScraped + ' page(s).');
+            if (aiEnabled && aiEvaluated > 0) {
+                console.log('[LiSeSca] AI stats: ' + aiAccepted + '/' + aiEvaluated + ' accepted.');
+            }
 
-            // Find the detail panel's scrollable container
-            var detailContainer = document.querySelector('.jobs-search__job-details--container')
-                || document.querySelector('.scaffold-layout__detail');
+            UI.showProgress('');
+            UI.hideAIStats();
 
-            var scrollTarget = 0;
-            var maxScroll = 0;
-            if (detailContainer) {
-                maxScroll = detailContainer.scrollHeight - detailContainer.clientHeight;
-            }
+            var stats = {
+                type: 'jobs',
+                pages: pagesScraped,
+                processed: totalProcessed,
+                saved: totalJobs,
+                aiEnabled: aiEnabled,
+                fullAIEnabled: fullAIEnabled,
+                aiEvaluated: aiEvaluated,
+                aiTriaged: aiTriaged,
+                aiFullEvaluated: aiFullEvaluated,
+                aiAccepted: aiAccepted,
+                rejected: State.getRejected().length
+            };
 
-            // Number of scroll steps
-            var numberOfSteps = Emulator.getRandomInt(4, 8);
-            var scrollPerStep = maxScroll > 0 ? maxScroll / numberOfSteps : 0;
+            // Kept for the XLSX Summary sheet
+            State.saveRunStats(Object.assign({
+                interrupted: !!interrupted,
+                finishedAt: new Date().toISOString()
+            }, stats));
 
-            /**
-             * Execute one review step.
-             * @param {number} step - Current step index.
-             * @returns {Promise<void>}
-             */
-            function executeStep(step) {
-                if (self.cancelled) {
-                    return Promise.resolve();
-                }
-                if (step >= numberOfSteps) {
-                    return Promise.resolve();
-                }
+            // Always show the summary instead of automatic download/clear
+            UI.showSummary(stats, interrupted);
+        },
 
-                // Update countdown
-                var elapsedMs = Date.now() - startTimeMs;
-                var remainingSec = Math.max(0, Math.round((totalTimeMs - elapsedMs) / 1000));
-                UI.showStatus(prefix + ' — ' + remainingSec + 's');
+        /**
+         * Stop job scraping (STOP button handler).
+         */
+        stopScraping: function() {
+            console.log('[LiSeSca] Job scraping stopped by user.');
+            Emulator.cancel();
+            JobEmulator.cancel();
+            State.set(State.KEYS.IS_SCRAPING, false);
+            this.finishScraping(true); // pass interrupted=true
+        },
 
-                // Scroll the detail panel
-                if (detailContainer && maxScroll > 0) {
-                    scrollTarget = Math.min(scrollTarget + scrollPerStep * (0.6 + Math.random() * 0.8), maxScroll);
-                    detailContainer.scrollTo({ top: scrollTarget, behavior: 'smooth' });
-                }
+        /**
+         * Trigger the download manually (called by UI summary panel)
+         */
+        downloadResults: function() {
+            var buffer = State.getBuffer();
+            if (buffer.length > 0) {
+                JobOutput.downloadResults(buffer);
+            } else {
+                console.warn('[LiSeSca] No jobs in buffer to download.');
+            }
+        },
 
-                // Dispatch mouse move over the detail area
-                var mouseY = Emulator.getRandomInt(200, 600);
-                Emulator.dispatchMouseMove(mouseY);
+        /**
+         * Merge the results into a previous export and download the merged file
+         * (called by UI summary panel).
+         * @param {File} file - The previous XLSX, JSON or JSON Lines export.
+         * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+         */
+        mergeResults: function(file) {
+            var buffer = State.getBuffer();
+            if (buffer.length === 0) {
+                return Promise.reject(new Error('No jobs in buffer to merge.'));
+            }
+            return JobOutput.downloadMerged(buffer, file);
+        },
 
-                var delayMs = Math.floor(totalTimeMs / numberOfSteps);
-                var delayMin = Math.max(delayMs - 200, 200);
-                var delayMax = delayMs + 300;
+        /** Whether a job page capture is in progress */
+        capturing: false,
 
-                return Emulator.randomDelay(delayMin, delayMax).then(function() {
-                    return executeStep(step + 1);
-                });
+        /**
+         * Capture the job shown on a standalone job page into the job clipboard
+         * (the "Capture this job" button). With AI evaluation, the verdict is
+         * recorded on the job; the job is captured either way.
+         * @param {boolean} aiEnabled - True to run the full AI evaluation.
+         * @returns {Promise<Object|null>} The captured job, or null on failure.
+         */
+        captureJobView: function(aiEnabled) {
+            var self = this;
+            var jobId = PageDetector.getJobViewId();
+            if (!jobId || this.capturing) {
+                return Promise.resolve(null);
             }
+            this.capturing = true;
+            UI.updateClipboardInfo('Capturing job ' + jobId + '...');
 
-            return executeStep(0).then(function() {
-                console.log('[LiSeSca] Job review emulation complete.');
+            return JobExtractor.extractJobView(jobId).then(function(job) {
+                if (!job || !aiEnabled || !CONFIG.isAIConfigured()) {
+                    return job;
+                }
+                UI.updateClipboardInfo('AI: Full evaluation...');
+                return AIClient.evaluateFullJob(JobOutput.formatJobMarkdown(job)).then(function(evalResult) {
+                    console.log('[LiSeSca] AI ' + (evalResult.accept ? 'accepted' : 'rejected')
+                        + ' captured job: ' + job.jobTitle + ' - ' + evalResult.reason);
+                    return self.applyAIDecision(job, {
+                        fullVerdict: evalResult.accept ? 'accept' : 'reject',
+                        fullReason: evalResult.reason
+                    });
+                });
+            }).then(function(job) {
+                self.capturing = false;
+                if (!job) {
+                    UI.updateClipboardInfo('Could not read this job — is the page fully loaded?');
+                    return null;
+                }
+                var isNew = State.addToJobClipboard(job);
+                var message = (isNew ? 'Captured: ' : 'Updated: ') + job.jobTitle;
+                if (job.aiFullVerdict) {
+                    message += ' — AI: ' + (job.aiFullVerdict === 'accept' ? 'Accept' : 'Reject');
+                }
+                UI.updateClipboardInfo(message);
+                return job;
+            }).catch(function(error) {
+                self.capturing = false;
+                console.error('[LiSeSca] Job capture failed:', error);
+                UI.updateClipboardInfo('Capture failed: ' + error.message);
+                return null;
             });
         },
 
         /**
-         * Simulate scrolling the left job list panel.
-         * Used before starting to process jobs to make the page load look natural.
-         * @returns {Promise<void>}
+         * Download the job clipboard in the formats selected in the panel, as a
+         * standalone export: the clipboard is not tied to the last scrape session.
          */
-        scrollJobList: function() {
-            var listContainer = document.querySelector('.scaffold-layout__list');
-            if (!listContainer) {
-                return Promise.resolve();
+        exportClipboard: function() {
+            var clipboard = State.getJobClipboard();
+            if (clipboard.length === 0) {
+                UI.updateClipboardInfo('The clipboard is empty.');
+                return;
             }
-
-            var maxScroll = listContainer.scrollHeight - listContainer.clientHeight;
-            if (maxScroll <= 0) {
-                return Promise.resolve();
+            var selectedFormats = State.readFormatsFromUI();
+            if (selectedFormats.length === 0) {
+                selectedFormats = ['xlsx'];
             }
+            State.saveFormats(selectedFormats);
+            JobOutput.downloadResults(clipboard, 'CLIPBOARD', true);
+        },
 
-            // Scroll down slowly, then back up a bit
-            listContainer.scrollTo({ top: maxScroll * 0.4, behavior: 'smooth' });
-
-            return Emulator.randomDelay(500, 1000).then(function() {
-                listContainer.scrollTo({ top: maxScroll * 0.2, behavior: 'smooth' });
-                return Emulator.randomDelay(300, 600);
-            });
+        /**
+         * Empty the job clipboard.
+         */
+        clearClipboard: function() {
+            State.clearJobClipboard();
+            UI.updateClipboardInfo('Clipboard cleared.');
         },
 
         /**
-         * Cancel the ongoing emulation.
+         * Trigger the download of AI-rejected jobs (called by UI summary panel)
          */
-        cancel: function() {
-            this.cancelled = true;
+        downloadRejected: function() {
+            var rejected = State.getRejected();
+            if (rejected.length > 0) {
+                JobOutput.downloadRejected(rejected);
+            } else {
+                console.warn('[LiSeSca] No rejected jobs to download.');
+            }
         }
     };
 
-    // ===== OUTPUT GENERATION (JOBS) =====
-    // Formats scraped job data into XLSX and Markdown.
-    // CSV is not offered for jobs because job data contains long text fields
-    // (descriptions, company info) that are poorly suited to CSV format.
+    // ===== CSS SELECTORS (COMPANIES) =====
+    // Selectors for company search results and company About pages.
+    // Search results share the lockup layout of people search: a title link
+    // followed by sibling blocks holding "Industry • Location" and the follower count.
+    // About pages list their details as a <dl> of label/value pairs.
+    const CompanySelectors = {
+        RESULT_CARD: 'div[role="listitem"]',
+        TITLE_LINK: 'a[data-view-name="search-result-lockup-title"]',
 
-    const JobOutput = {
+        // About page (/company/<slug>/about/)
+        ABOUT_DETAILS: 'main dl',
+        ABOUT_LABEL: 'dt',
+        ABOUT_VALUE: 'dd'
+    };
 
-        /** Column headers for XLSX export */
-        COLUMN_HEADERS: [
-            'Job Title', 'Company', 'Location', 'Posted', 'Applicants', 'Job State',
-            'Workplace Type', 'Employment Type', 'Apply Link', 'Job Link',
-            'Network Connections', 'Industry', 'Employee Count',
-            'About the Job', 'Premium Insights', 'About the Company'
-        ],
+    // ===== DATA EXTRACTION (COMPANIES) =====
+    // Reads company search results and, for the optional enrichment step,
+    // the company's About page. Each company is represented as:
+    //   { companyName, industry, location, city, region, country, metroArea,
+    //     followers, followerCount, companyUrl }
+    // About pages add:
+    //   { website, companySize, employeeCountMin, employeeCountMax,
+    //     headquarters, foundedYear, specialties, aboutVisitedAt }
+
+    const CompanyExtractor = {
+
+        /** Multipliers of the abbreviated follower counts ("12K followers") */
+        COUNT_SUFFIXES: { k: 1000, m: 1000000, b: 1000000000 },
 
         /**
-         * Convert a job object into a row array for XLSX.
-         * @param {Object} job - A job data object.
-         * @returns {Array<string>} Array of cell values.
+         * Wait for search result cards to appear in the DOM.
+         * @returns {Promise<NodeList>} The result card elements (empty if none appeared within 10 seconds).
          */
-        jobToRow: function(job) {
-            return [
-                job.jobTitle || '',
-                job.company || '',
-                job.location || '',
-                job.postedDate || '',
-                job.applicants || '',
-                job.jobState || '',
-                job.workplaceType || '',
-                job.employmentType || '',
-                job.applyLink || '',
-                job.jobLink || '',
-                job.networkConnections || '',
-                job.industry || '',
-                job.employeeCount || '',
-                job.jobDescription || '',
-                job.premiumInsights || '',
-                job.aboutCompany || ''
-            ];
+        waitForResults: function() {
+            return new Promise(function(resolve) {
+                var maxWaitMs = 10000;
+                var pollIntervalMs = 500;
+                var elapsed = 0;
+
+                var poll = setInterval(function() {
+                    var cards = document.querySelectorAll(CompanySelectors.RESULT_CARD);
+                    if (cards.length > 0) {
+                        clearInterval(poll);
+                        console.log('[LiSeSca] Found ' + cards.length + ' company cards.');
+                        resolve(cards);
+                        return;
+                    }
+                    elapsed += pollIntervalMs;
+                    if (elapsed >= maxWaitMs) {
+                        clearInterval(poll);
+                        console.log('[LiSeSca] No company cards found after ' + maxWaitMs + 'ms (end of results).');
+                        resolve([]);
+                    }
+                }, pollIntervalMs);
+            });
         },
 
         /**
-         * Format a single job into Markdown.
-         * @param {Object} job - A job data object.
-         * @returns {string} The formatted Markdown block for this job.
+         * Extract company data from all result cards on the current page.
+         * @returns {Promise<Array>} Array of company data objects.
          */
-        formatJobMarkdown: function(job) {
-            var lines = [];
-
-            lines.push('# ' + (job.jobTitle || '(untitled)'));
-            lines.push('');
-            lines.push('**Company:** ' + (job.company || '(unknown)'));
-            lines.push('**Location:** ' + (job.location || '(unknown)'));
-
-            // Posted + Applicants on the same line
-            var postedLine = '';
-            if (job.postedDate) {
-                postedLine += '**Posted:** ' + job.postedDate;
-            }
-            if (job.applicants) {
-                if (postedLine) {
-                    postedLine += ' | ';
-                }
-                postedLine += '**Applicants:** ' + job.applicants;
-            }
-            if (postedLine) {
-                lines.push(postedLine);
-            }
-
-            if (job.jobState) {
-                lines.push('**Job State:** ' + job.jobState);
-            }
+        extractCurrentPage: function() {
+            var self = this;
+            return this.waitForResults().then(function(cards) {
+                var companies = [];
+                cards.forEach(function(card, index) {
+                    try {
+                        var company = self.extractCard(card);
+                        if (company) {
+                            companies.push(company);
+                        }
+                    } catch (error) {
+                        console.warn('[LiSeSca] Failed to extract company card #' + index + ':', error);
+                    }
+                });
+                console.log('[LiSeSca] Extracted ' + companies.length + ' companies from this page.');
+                return companies;
+            });
+        },
 
-            // Type line (workplace + employment)
-            var typeParts = [];
-            if (job.employmentType) {
-                typeParts.push(job.employmentType);
-            }
-            if (job.workplaceType) {
-                typeParts.push(job.workplaceType);
+        /**
+         * Extract company data from a single result card.
+         * @param {Element} card - The listitem element.
+         * @returns {Object|null} Company data object, or null if no company link found.
+         */
+        extractCard: function(card) {
+            var titleLink = card.querySelector(CompanySelectors.TITLE_LINK);
+            if (!titleLink) {
+                return null;
             }
-            if (typeParts.length > 0) {
-                lines.push('**Type:** ' + typeParts.join(', '));
+            var companyUrl = this.cleanCompanyUrl(titleLink.href || '');
+            if (!companyUrl) {
+                return null;
             }
 
-            // Apply and Job links
-            if (job.applyLink) {
-                lines.push('**Apply:** ' + job.applyLink);
-            }
-            lines.push('**Job Link:** ' + (job.jobLink || ''));
+            var details = this.parseCardLines(this.getCardLines(titleLink));
+            var place = LocationParser.parse(details.location);
 
-            if (job.networkConnections) {
-                lines.push('**Network:** ' + job.networkConnections);
-            }
+            return {
+                companyName: (titleLink.textContent || '').trim(),
+                industry: details.industry,
+                location: details.location,
+                city: place.city,
+                region: place.region,
+                country: place.country,
+                metroArea: place.metroArea,
+                followers: details.followers,
+                followerCount: details.followerCount,
+                companyUrl: companyUrl
+            };
+        },
 
-            // Industry + Employee count
-            var industryLine = '';
-            if (job.industry) {
-                industryLine += '**Industry:** ' + job.industry;
-            }
-            if (job.employeeCount) {
-                if (industryLine) {
-                    industryLine += ' | ';
+        /**
+         * Read the text lines below the card title, one per sibling block.
+         * @param {Element} titleLink - The title <a> element.
+         * @returns {Array<string>} The non-empty lines, in page order.
+         */
+        getCardLines: function(titleLink) {
+            var lines = [];
+            var titleParagraph = titleLink.parentElement;
+            var block = titleParagraph ? titleParagraph.nextElementSibling : null;
+            while (block) {
+                var text = (block.textContent || '').trim();
+                if (text) {
+                    lines.push(text);
                 }
-                industryLine += '**Employees:** ' + job.employeeCount;
-            }
-            if (industryLine) {
-                lines.push(industryLine);
+                block = block.nextElementSibling;
             }
+            return lines;
+        },
 
-            // Job description
-            if (job.jobDescription) {
-                lines.push('');
-                lines.push('## About the Job');
-                lines.push('');
-                lines.push(job.jobDescription);
-            }
+        /**
+         * Interpret the lines below a card title.
+         * The first line reads "Industry • Location"; the follower count has its own line.
+         * @param {Array<string>} lines - E.g. ["Software Development • San Francisco, CA", "1M followers"].
+         * @returns {Object} { industry, location, followers, followerCount }
+         */
+        parseCardLines: function(lines) {
+            var result = { industry: '', location: '', followers: '', followerCount: null };
+            var detailsFound = false;
+            (lines || []).forEach(function(line) {
+                if (/\bfollowers?\b/i.test(line)) {
+                    if (!result.followers) {
+                        result.followers = line;
+                    }
+                    return;
+                }
+                if (!detailsFound) {
+                    detailsFound = true;
+                    var parts = line.split(/\s+[•·]\s+/);
+                    result.industry = parts[0].trim();
+                    result.location = (parts[1] || '').trim();
+                }
+            });
+            result.followerCount = this.parseFollowerCount(result.followers);
+            return result;
+        },
 
-            // About the company
-            if (job.aboutCompany) {
-                lines.push('');
-                lines.push('## About the Company');
-                lines.push('');
-                lines.push(job.aboutCompany);
+        /**
+         * Convert a follower count text into a number.
+         * "12,345 followers" → 12345, "1.2K followers" → 1200, "3M followers" → 3000000.
+         * @param {string} text - The follower count text.
+         * @returns {number|null} The count, or null if the text has no number.
+         */
+        parseFollowerCount: function(text) {
+            var match = String(text || '').match(/(\d[\d,.]*)\s*([kmb])?\b/i);
+            if (!match) {
+                return null;
             }
-
-            // Premium insights
-            if (job.premiumInsights) {
-                lines.push('');
-                lines.push('## Job Seeker Insights (Premium)');
-                lines.push('');
-                lines.push(job.premiumInsights);
+            if (match[2]) {
+                var multiplier = this.COUNT_SUFFIXES[match[2].toLowerCase()];
+                return Math.round(parseFloat(match[1].replace(/,/g, '')) * multiplier);
             }
+            return JobNormalizer.parseCount(match[1]);
+        },
 
-            return lines.join('\n');
+        /**
+         * Reduce a company page link to its canonical form.
+         * Schools and showcase pages appear in company search too and are kept.
+         * @param {string} rawUrl - The link, possibly with a sub-page and tracking parameters.
+         * @returns {string} E.g. "https://www.linkedin.com/company/acme/", or '' if not a company link.
+         */
+        cleanCompanyUrl: function(rawUrl) {
+            var match = String(rawUrl || '').match(/^(https?:\/\/[^/]*linkedin\.com)\/(company|school|showcase)\/([^/?#]+)/i);
+            return match ? match[1] + '/' + match[2] + '/' + match[3] + '/' : '';
         },
 
         /**
-         * Generate a complete Markdown document from an array of jobs.
-         * @param {Array} jobs - Array of job data objects.
-         * @returns {string} The complete Markdown content.
+         * Get the About page of a company.
+         * @param {string} companyUrl - The canonical company URL (see cleanCompanyUrl).
+         * @returns {string} The About page URL.
          */
-        generateMarkdown: function(jobs) {
-            var blocks = jobs.map(function(job) {
-                return JobOutput.formatJobMarkdown(job);
-            });
-            return blocks.join('\n\n---\n\n') + '\n';
+        getAboutUrl: function(companyUrl) {
+            return companyUrl + 'about/';
         },
 
         /**
-         * Generate an XLSX file from job data.
-         * @param {Array} jobs - Array of job data objects.
-         * @returns {Uint8Array} The binary XLSX file content.
+         * Check whether a URL is the About page of a company.
+         * Host, query and a missing trailing slash are ignored.
+         * @param {string} companyUrl - The canonical company URL (see cleanCompanyUrl).
+         * @param {string} currentUrl - The URL to check, e.g. window.location.href.
+         * @returns {boolean} True if currentUrl is that company's About page.
          */
-        generateXLSX: function(jobs) {
-            var self = this;
-            var data = [this.COLUMN_HEADERS];
-            jobs.forEach(function(job) {
-                data.push(self.jobToRow(job));
-            });
+        isAboutPage: function(companyUrl, currentUrl) {
+            var toPath = function(url) {
+                return String(url || '').split(/[?#]/)[0].replace(/^https?:\/\/[^/]*/i, '').replace(/\/?$/, '/').toLowerCase();
+            };
+            return !!companyUrl && toPath(currentUrl) === toPath(this.getAboutUrl(companyUrl));
+        },
 
-            var worksheet = XLSX.utils.aoa_to_sheet(data);
-            var workbook = XLSX.utils.book_new();
-            XLSX.utils.book_append_sheet(workbook, worksheet, 'LinkedIn Jobs');
+        /**
+         * Wait for the About page to render its details list.
+         * @returns {Promise<boolean>} True if the details loaded, false if timed out.
+         */
+        waitForAbout: function() {
+            return new Promise(function(resolve) {
+                var maxWaitMs = 10000;
+                var pollIntervalMs = 500;
+                var elapsed = 0;
 
-            var xlsxData = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
-            return new Uint8Array(xlsxData);
+                var poll = setInterval(function() {
+                    if (document.querySelector(CompanySelectors.ABOUT_DETAILS)) {
+                        clearInterval(poll);
+                        resolve(true);
+                        return;
+                    }
+                    elapsed += pollIntervalMs;
+                    if (elapsed >= maxWaitMs) {
+                        clearInterval(poll);
+                        console.warn('[LiSeSca] Company About page did not load after ' + maxWaitMs + 'ms.');
+                        resolve(false);
+                    }
+                }, pollIntervalMs);
+            });
         },
 
         /**
-         * Generate a job-specific filename.
-         * Format: YYYY-MM-DD_HH_MM_JOBS_LinkedIn.[extension]
-         * @param {string} extension - File extension.
-         * @returns {string} The generated filename.
+         * Read the label/value pairs of the About page details list.
+         * A label followed by several values (e.g. company size and associated
+         * members) yields one pair per value.
+         * @returns {Array<Array<string>>} [label, value] pairs, in page order.
          */
-        buildFilename: function(extension) {
-            var ext = extension || 'md';
-            var now = new Date();
-            var year = now.getFullYear();
-            var month = String(now.getMonth() + 1).padStart(2, '0');
-            var day = String(now.getDate()).padStart(2, '0');
-            var hours = String(now.getHours()).padStart(2, '0');
-            var minutes = String(now.getMinutes()).padStart(2, '0');
-            return year + '-' + month + '-' + day + '_' + hours + '_' + minutes
-                + '_JOBS_LinkedIn.' + ext;
+        readAboutPairs: function() {
+            var pairs = [];
+            var list = document.querySelector(CompanySelectors.ABOUT_DETAILS);
+            if (!list) {
+                return pairs;
+            }
+            var label = '';
+            Array.prototype.forEach.call(list.children, function(child) {
+                var text = (child.textContent || '').trim().replace(/\s+/g, ' ');
+                if (child.matches(CompanySelectors.ABOUT_LABEL)) {
+                    label = text;
+                } else if (child.matches(CompanySelectors.ABOUT_VALUE) && label && text) {
+                    pairs.push([label, text]);
+                }
+            });
+            return pairs;
         },
 
         /**
-         * Download job results in the selected formats.
-         * Jobs support XLSX and Markdown only (no CSV due to long text fields).
-         * @param {Array} jobs - Array of job data objects.
+         * Compute the enrichment fields from the About page details.
+         * @param {Array<Array<string>>} pairs - [label, value] pairs (see readAboutPairs).
+         * @param {Date} now - The visit time.
+         * @returns {Object} The About fields listed at the top of this module, plus
+         *   industry when the page names one (it replaces the search card's).
          */
-        downloadResults: function(jobs) {
-            if (!jobs || jobs.length === 0) {
-                console.warn('[LiSeSca] No jobs to download.');
-                return;
-            }
-
-            var formats = State.getFormats();
-            console.log('[LiSeSca] Downloading jobs in formats: ' + formats.join(', '));
+        buildAboutFields: function(pairs, now) {
+            var fields = {
+                website: '',
+                companySize: '',
+                employeeCountMin: null,
+                employeeCountMax: null,
+                headquarters: '',
+                foundedYear: null,
+                specialties: [],
+                aboutVisitedAt: now.toISOString()
+            };
 
-            var self = this;
-            var delayMs = 0;
+            pairs.forEach(function(pair) {
+                var label = pair[0].toLowerCase();
+                var value = pair[1];
+                if (label.indexOf('website') !== -1 && !fields.website) {
+                    fields.website = value;
+                } else if (label.indexOf('size') !== -1 && !fields.companySize) {
+                    // The first value is the size band; "N associated members" follows it
+                    var employees = JobNormalizer.parseEmployeeCount(value);
+                    fields.companySize = value;
+                    fields.employeeCountMin = employees.min;
+                    fields.employeeCountMax = employees.max;
+                } else if (label.indexOf('headquarters') !== -1) {
+                    fields.headquarters = value;
+                } else if (label.indexOf('founded') !== -1) {
+                    var year = value.match(/\b(1[5-9]|20)\d{2}\b/);
+                    fields.foundedYear = year ? parseInt(year[0], 10) : null;
+                } else if (label.indexOf('specialt') !== -1) {
+                    // "Cloud, AI, and Developer Tools" — names may contain "and" themselves
+                    fields.specialties = value.split(/\s*,\s*/).map(function(item) {
+                        return item.replace(/^and\s+/i, '');
+                    }).filter(function(item) {
+                        return item !== '';
+                    });
+                } else if (label.indexOf('industry') !== -1) {
+                    fields.industry = value;
+                }
+            });
 
-            // XLSX format
-            if (formats.indexOf('xlsx') !== -1) {
-                setTimeout(function() {
-                    var xlsxData = self.generateXLSX(jobs);
-                    var xlsxFilename = self.buildFilename('xlsx');
-                    Output.downloadFile(
-                        xlsxData,
-                        xlsxFilename,
-                        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-                    );
-                }, delayMs);
-                delayMs += 200;
-            }
+            return fields;
+        },
 
-            // Markdown format
-            if (formats.indexOf('md') !== -1) {
-                setTimeout(function() {
-                    var markdown = self.generateMarkdown(jobs);
-                    var mdFilename = self.buildFilename('md');
-                    Output.downloadFile(markdown, mdFilename, 'text/markdown;charset=utf-8');
-                }, delayMs);
-            }
+        /**
+         * Extract the enrichment fields from the About page being shown.
+         * @returns {Object} The fields of buildAboutFields.
+         */
+        extractAbout: function() {
+            return this.buildAboutFields(this.readAboutPairs(), new Date());
         }
     };
 
-    // ===== JOB CONTROLLER =====
-    // Orchestrates the job scraping lifecycle.
-    // Unlike people search (which extracts all cards on a page at once),
-    // job scraping must click each card individually, wait for the detail panel,
-    // and extract data from both the card and the detail panel.
-    //
-    // State machine for jobs:
-    //   Page Load → Check scrapeMode == 'jobs'?
-    //     YES → Check jobIndex:
-    //       If jobIndex < total jobs on page → resume scrapeNextJob()
-    //       If all jobs done → decideNextAction() (next page or finish)
-    //     NO → Check scrapeMode == 'people'? → existing Controller
-
-    const JobController = {
+    // ===== COMPANY CONTROLLER =====
+    // Orchestrates the company search scraping lifecycle.
+    // Company search pages paginate like people search ("page=" parameter),
+    // so each page is scanned, all cards are extracted at once, and the next
+    // page is loaded with a full navigation.
+    // With "Visit company pages" on, each saved company's About page is opened
+    // after the last search page to add website, size, headquarters, founded
+    // year and specialties. The visits run in the deep-visit loop of Session,
+    // like the people profile visits, so they survive the page loads.
 
-        /**
-         * Update the progress display line based on current state.
-         * Shows "Progress: X/Y (Z saved)" when total is known (All mode),
-         * or "Progress: X processed (Z saved)" otherwise.
-         */
-        updateProgressDisplay: function() {
-            var totalKnown = State.get(State.KEYS.JOB_TOTAL, 0);
-            var processed = State.getJobsProcessed();
-            var saved = State.getBuffer().length;
-            if (totalKnown > 0) {
-                UI.showProgress('Progress: ' + processed + '/' + totalKnown + ' (' + saved + ' saved)');
-            } else {
-                UI.showProgress('Progress: ' + processed + ' processed (' + saved + ' saved)');
-            }
-        },
+    const CompanyController = {
 
         /**
-         * Start a new job scraping session.
-         * @param {string} pageCount - Number of pages ('1', '3', '5', '10').
+         * Start a new company scraping session.
+         * @param {string} pageCount - Number of pages ('1', '10', '50', 'all').
          */
         startScraping: function(pageCount) {
-            if (!PageDetector.isOnJobsPage()) {
-                console.warn('[LiSeSca] Not on a jobs page. Scraping aborted.');
-                UI.showStatus('Wrong page — navigate to Jobs search first.');
+            if (!PageDetector.isOnCompanySearchPage()) {
+                console.warn('[LiSeSca] Not on a company search page. Scraping aborted.');
+                UI.showStatus('Wrong page — navigate to Companies search first.');
                 setTimeout(function() {
                     UI.showIdleState();
                 }, 3000);
                 return;
             }
 
-            var target = (pageCount === 'all') ? 25 : Math.min(parseInt(pageCount, 10), 25);
-            var startPage = JobPaginator.getCurrentPage();
-            var baseUrl = JobPaginator.getBaseSearchUrl();
+            var target = (pageCount === 'all') ? 9999 : parseInt(pageCount, 10);
+            var startPage = Paginator.getCurrentPage();
+            var baseUrl = Paginator.getBaseSearchUrl();
 
-            console.log('[LiSeSca] Starting job scrape: target=' + target
+            console.log('[LiSeSca] Starting company scrape: target=' + target
                 + ' pages, starting at page ' + startPage);
 
             var selectedFormats = State.readFormatsFromUI();
@@ -6594,565 +15000,727 @@ USER'S CRITERIA:
                 selectedFormats = ['xlsx'];
             }
 
-            // Save AI enabled state from UI
-            var aiEnabled = State.readAIEnabledFromUI();
-            State.saveAIEnabled(aiEnabled);
+            State.saveVisitCompanies(State.readVisitCompaniesFromUI());
+            State.startSession(target, startPage, baseUrl, 'companies');
+            State.saveFormats(selectedFormats);
 
-            // Save Full AI enabled state from UI
-            var fullAIEnabled = State.readFullAIEnabledFromUI();
-            State.saveFullAIEnabled(fullAIEnabled);
+            this.scrapeCycle();
+        },
 
-            State.startSession(target, startPage, baseUrl, 'jobs');
-            State.saveFormats(selectedFormats);
+        /**
+         * Resume an active company scraping session after a page load:
+         * either the next search page or the next About page visit.
+         */
+        resumeScraping: function() {
+            if (State.getVisitPhase() === 'visiting') {
+                Session.resumeVisit(this.getAboutVisit());
+                return;
+            }
 
-            var totalJobs = 0;
-            if (pageCount === 'all') {
-                var subtitleEl = document.querySelector('.jobs-search-results-list__subtitle span');
-                if (subtitleEl) {
-                    var totalJobsText = (subtitleEl.textContent || '').trim();
-                    var match = totalJobsText.match(/^([\d,]+)\s+result/);
-                    if (match) {
-                        totalJobs = parseInt(match[1].replace(/,/g, ''), 10);
-                    }
+            if (!PageDetector.isOnCompanySearchPage()) {
+                console.warn('[LiSeSca] Resumed on wrong page. Finishing session with buffered data.');
+                this.finishScraping(true);
+                return;
+            }
+
+            var state = State.getScrapingState();
+            console.log('[LiSeSca] Resuming company scraping. Page '
+                + state.currentPage + ', ' + (state.currentPage - state.startPage) + ' pages done, '
+                + state.scrapedBuffer.length + ' companies buffered.');
+
+            this.scrapeCycle();
+        },
+
+        /**
+         * The core scraping cycle. Runs once per search page.
+         */
+        scrapeCycle: function() {
+            var self = this;
+            var state = State.getScrapingState();
+            var pagesScraped = state.currentPage - state.startPage;
+            var targetDisplay = (state.targetPageCount >= 9999)
+                ? 'all' : state.targetPageCount.toString();
+
+            var statusPrefix = 'Scanning page ' + state.currentPage
+                + ' (' + (pagesScraped + 1) + ' of ' + targetDisplay + ')';
+
+            Emulator.emulateHumanScan(statusPrefix).then(function() {
+                if (!State.isScraping()) {
+                    console.log('[LiSeSca] Scraping was stopped during emulation.');
+                    return null;
+                }
+
+                UI.showStatus('Extracting page ' + state.currentPage + '...');
+                return CompanyExtractor.extractCurrentPage();
+            }).then(function(companies) {
+                if (!companies) {
+                    return;
+                }
+
+                console.log('[LiSeSca] Page ' + state.currentPage
+                    + ': extracted ' + companies.length + ' companies.');
+                if (companies.length > 0) {
+                    console.table(companies.map(function(company) {
+                        return {
+                            name: company.companyName,
+                            industry: company.industry,
+                            location: company.location,
+                            followers: company.followerCount
+                        };
+                    }));
                 }
+                State.appendBuffer(companies);
+                self.decideNextAction(companies.length);
+            }).catch(function(error) {
+                Session.abortWithError(error, function(buffer) {
+                    CompanyOutput.downloadResults(buffer);
+                });
+            });
+        },
+
+        /**
+         * Decide next action after extracting a page.
+         * @param {number} companiesOnThisPage - Number of companies extracted.
+         */
+        decideNextAction: function(companiesOnThisPage) {
+            var state = State.getScrapingState();
+            var pagesScraped = state.currentPage - state.startPage + 1;
+
+            if (companiesOnThisPage === 0) {
+                console.log('[LiSeSca] No results on page ' + state.currentPage + '. End of results.');
+                this.finishScraping();
+                return;
+            }
+
+            if (pagesScraped >= state.targetPageCount) {
+                console.log('[LiSeSca] Reached target of ' + state.targetPageCount + ' pages.');
+                this.finishScraping();
+                return;
             }
-            State.set(State.KEYS.JOB_TOTAL, totalJobs);
 
-            this.scrapePage();
+            if (!State.isScraping()) {
+                console.log('[LiSeSca] Scraping stopped by user.');
+                this.finishScraping();
+                return;
+            }
+
+            State.advancePage();
+            var nextPage = State.get(State.KEYS.CURRENT_PAGE, 1);
+            UI.showStatus('Moving to page ' + nextPage + '...');
+
+            setTimeout(function() {
+                Paginator.navigateToPage(nextPage);
+            }, Emulator.getRandomInt(1000, 2500));
         },
 
         /**
-         * Resume a job scraping session after a page reload.
+         * Complete the scraping session.
+         * With "Visit company pages" on, a finished (not stopped) run first
+         * visits every saved company's About page; the summary appears once
+         * the visits are done.
+         * @param {boolean} [interrupted] - True if stopped by the user.
          */
-        resumeScraping: function() {
-            if (!PageDetector.isOnJobsPage()) {
-                console.warn('[LiSeSca] Resumed jobs on wrong page. Saving buffered data.');
-                UI.showStatus('Wrong page detected. Saving collected data...');
-                var buffer = State.getBuffer();
-                if (buffer.length > 0) {
-                    JobOutput.downloadResults(buffer);
-                }
-                State.clear();
-                setTimeout(function() {
-                    UI.showIdleState();
-                }, 3000);
+        finishScraping: function(interrupted) {
+            if (!interrupted && State.isScraping() && State.getVisitCompanies() && State.getVisitPhase() === ''
+                && State.getBuffer().length > 0) {
+                Session.startVisits(this.getAboutVisit());
                 return;
             }
 
+            var buffer = State.getBuffer();
             var state = State.getScrapingState();
-            console.log('[LiSeSca] Resuming job scraping. Page ' + state.currentPage
-                + ', jobIndex=' + state.jobIndex
-                + ', ' + state.scrapedBuffer.length + ' jobs buffered.');
+            // A stop during the About page visits comes after the last search page was done
+            var lastPageDone = !interrupted || State.getVisitPhase() !== '';
+            var pagesScraped = state.currentPage - state.startPage + (lastPageDone ? 1 : 0);
 
-            this.scrapePage();
+            console.log('[LiSeSca] Company scraping finished! Total: ' + buffer.length + ' companies.');
+
+            var stats = {
+                type: 'companies',
+                pages: pagesScraped,
+                saved: buffer.length,
+                visitCompanies: State.getVisitCompanies(),
+                visited: buffer.filter(function(company) {
+                    return !!company.aboutVisitedAt;
+                }).length,
+                aiEnabled: false,
+                rejected: 0
+            };
+
+            // Kept for the XLSX Summary sheet
+            State.saveRunStats(Object.assign({
+                interrupted: !!interrupted,
+                finishedAt: new Date().toISOString()
+            }, stats));
+
+            UI.showSummary(stats, interrupted);
         },
 
         /**
-         * Begin scraping the current page of job results.
-         * First, wait for job cards to load, then start the per-job loop.
+         * Build the steps of the About page visits, run by Session.
+         * The About page's details win over the search card's.
+         * @returns {Object} The visit object (see Session).
          */
-        scrapePage: function() {
+        getAboutVisit: function() {
             var self = this;
-            var state = State.getScrapingState();
-
-            // Reset AI conversation for the new page (if AI filtering is enabled)
-            if (State.getAIEnabled() && AIClient.isConfigured()) {
-                AIClient.resetConversation();
-            }
-
-            this.updateProgressDisplay();
-            UI.showStatus('Page ' + state.currentPage + ' — Loading job cards...');
-
-            // Wait for at least some job cards to appear in the DOM
-            JobExtractor.waitForJobCards().then(function() {
-                // If we're starting fresh on this page, discover all job IDs
-                // by scrolling the left panel (LinkedIn virtualizes the list)
-                var storedIds = State.getJobIdsOnPage();
-                if (storedIds.length === 0 || state.jobIndex === 0) {
-                    return JobExtractor.discoverAllJobIds().then(function(jobIds) {
-                        State.set(State.KEYS.JOB_IDS_ON_PAGE, JSON.stringify(jobIds));
-                        State.set(State.KEYS.JOB_INDEX, 0);
-                        console.log('[LiSeSca] Found ' + jobIds.length + ' jobs on page ' + state.currentPage);
-
-                        if (jobIds.length === 0) {
-                            console.log('[LiSeSca] No jobs found on page. Finishing.');
-                            self.finishScraping();
+            return {
+                label: 'Company',
+                getUrl: function(company) {
+                    return company.companyUrl ? CompanyExtractor.getAboutUrl(company.companyUrl) : '';
+                },
+                isOnPage: function(company) {
+                    return CompanyExtractor.isAboutPage(company.companyUrl, window.location.href);
+                },
+                extract: function(company, statusPrefix) {
+                    return CompanyExtractor.waitForAbout().then(function(loaded) {
+                        if (!loaded) {
+                            return null;
                         }
+                        return Emulator.emulateHumanScan(statusPrefix,
+                            CONFIG.MIN_COMPANY_VISIT_TIME, CONFIG.MAX_COMPANY_VISIT_TIME).then(function() {
+                            return State.isScraping() ? CompanyExtractor.extractAbout() : null;
+                        });
                     });
+                },
+                merge: function(company, details) {
+                    return Object.assign({}, company, details);
+                },
+                finish: function() {
+                    self.finishScraping();
                 }
-                return Promise.resolve();
-            }).then(function() {
-                if (!State.isScraping()) {
-                    return;
-                }
-                // Start the per-job scraping loop
-                self.scrapeNextJob();
-            }).catch(function(error) {
-                console.error('[LiSeSca] Job page scrape error:', error);
-                UI.showStatus('Error: ' + error.message);
-
-                var buffer = State.getBuffer();
-                if (buffer.length > 0) {
-                    JobOutput.downloadResults(buffer);
-                }
-                State.clear();
-                setTimeout(function() {
-                    UI.showIdleState();
-                }, 5000);
-            });
+            };
         },
 
         /**
-         * Process the next job in the per-job scraping loop.
-         * Reads the current jobIndex and jobIdsOnPage from state,
-         * extracts the job, then advances to the next index.
+         * Stop scraping (STOP button handler).
          */
-        scrapeNextJob: function() {
-            var self = this;
+        stopScraping: function() {
+            console.log('[LiSeSca] Company scraping stopped by user.');
+            Emulator.cancel();
+            State.set(State.KEYS.IS_SCRAPING, false);
+            this.finishScraping(true);
+        },
 
-            if (!State.isScraping()) {
-                console.log('[LiSeSca] Job scraping stopped.');
-                self.finishScraping();
-                return;
+        /**
+         * Trigger the download manually (called by UI summary panel).
+         */
+        downloadResults: function() {
+            var buffer = State.getBuffer();
+            if (buffer.length > 0) {
+                CompanyOutput.downloadResults(buffer);
+            } else {
+                console.warn('[LiSeSca] No companies in buffer to download.');
             }
+        },
 
-            var jobIndex = State.get(State.KEYS.JOB_INDEX, 0);
-            var jobIds = State.getJobIdsOnPage();
-            var state = State.getScrapingState();
-            var pagesScraped = state.currentPage - state.startPage;
-
-            // Check if we've processed all jobs on this page
-            if (jobIndex >= jobIds.length) {
-                console.log('[LiSeSca] All ' + jobIds.length + ' jobs processed on page ' + state.currentPage);
-                self.decideNextAction();
-                return;
+        /**
+         * Merge the results into a previous export and download the merged file
+         * (called by UI summary panel).
+         * @param {File} file - The previous XLSX, JSON or JSON Lines export.
+         * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+         */
+        mergeResults: function(file) {
+            var buffer = State.getBuffer();
+            if (buffer.length === 0) {
+                return Promise.reject(new Error('No companies in buffer to merge.'));
             }
+            return CompanyOutput.downloadMerged(buffer, file);
+        }
+    };
 
-            var jobId = jobIds[jobIndex];
-            var totalOnPage = jobIds.length;
+    // ===== DATA EXTRACTION (MY JOBS) =====
+    // Reads the job cards of the My Jobs tracker (/my-items/saved-jobs/).
+    // The tab is chosen with the "cardType" parameter (SAVED, IN_PROGRESS,
+    // APPLIED or ARCHIVED; Saved without it) and the list is paged with the
+    // "start" offset, 10 cards per page. Each card becomes a job record with
+    // the card fields plus the tracker fields:
+    //   { trackerStatus, statusText, appliedAt }
+    // statusText is the card's status line as shown ("Applied 3d ago"),
+    // appliedAt the date it refers to (YYYY-MM-DD, Applied cards only).
+
+    const MyJobs = {
+
+        /** Cards per page of the My Jobs list */
+        PAGE_SIZE: 10,
+
+        /** Tracker status of each tab, by its "cardType" parameter */
+        STATUS_LABELS: {
+            SAVED: 'Saved',
+            IN_PROGRESS: 'In Progress',
+            APPLIED: 'Applied',
+            ARCHIVED: 'Archived'
+        },
 
-            // Increment processed counter BEFORE display so current job is counted
-            State.incrementJobsProcessed();
+        /** Abbreviated time units of the status line ("3d ago", "2mo ago") */
+        SHORT_UNITS: { s: 'second', m: 'minute', h: 'hour', d: 'day', w: 'week', mo: 'month', y: 'year', yr: 'year' },
 
-            // Update status and progress display
-            var statusMsg = 'Page ' + state.currentPage
-                + ' (' + (pagesScraped + 1) + ' of ' + state.targetPageCount + ')'
-                + ' — Job ' + (jobIndex + 1) + ' of ' + totalOnPage;
-            self.updateProgressDisplay();
-            UI.showStatus(statusMsg);
+        /**
+         * Get the tracker status of the tab shown by a My Jobs URL.
+         * @param {string} url - The page URL.
+         * @returns {string} E.g. 'Applied'; 'Saved' when no tab is chosen.
+         */
+        getTrackerStatus: function(url) {
+            var cardType = (new URL(url).searchParams.get('cardType') || 'SAVED').toUpperCase();
+            return this.STATUS_LABELS[cardType] || this.STATUS_LABELS.SAVED;
+        },
 
-            // Show AI stats if AI filtering is active
-            var aiEnabled = State.getAIEnabled() && AIClient.isConfigured();
-            if (aiEnabled) {
-                UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
-            }
+        /**
+         * Get the page number of a My Jobs URL from its "start" offset.
+         * @param {string} url - The page URL.
+         * @returns {number} Page number (1 if not specified).
+         */
+        getCurrentPage: function(url) {
+            var start = parseInt(new URL(url).searchParams.get('start') || '0', 10);
+            return Math.floor((start || 0) / this.PAGE_SIZE) + 1;
+        },
 
-            var includeViewed = State.getIncludeViewed();
-            var aiEnabled = State.getAIEnabled() && AIClient.isConfigured();
+        /**
+         * Get the URL of the tab without its page offset.
+         * @param {string} url - The page URL.
+         * @returns {string} The base URL.
+         */
+        getBaseUrl: function(url) {
+            var parsed = new URL(url);
+            parsed.searchParams.delete('start');
+            return parsed.toString();
+        },
 
-            // First job card on each page is auto-viewed by LinkedIn.
-            // Force-include it when appropriate to prevent unintended data loss.
-            var isFirstOnPage = (jobIndex === 0);
-            var forceIncludeFirst = false;
-            if (isFirstOnPage) {
-                if (aiEnabled) {
-                    // AI mode: always include first card (AI will filter it)
-                    forceIncludeFirst = true;
-                } else {
-                    // Non-AI mode: respect the user preference
-                    forceIncludeFirst = State.getIncludeFirstOnPage();
-                }
+        /**
+         * Build the URL of a page of the tab.
+         * @param {string} baseUrl - The tab URL (see getBaseUrl).
+         * @param {number} pageNum - The page number.
+         * @returns {string} The page URL.
+         */
+        getPageUrl: function(baseUrl, pageNum) {
+            var parsed = new URL(baseUrl);
+            if (pageNum > 1) {
+                parsed.searchParams.set('start', String((pageNum - 1) * this.PAGE_SIZE));
+            } else {
+                parsed.searchParams.delete('start');
             }
-            var viewedCheck = (includeViewed || forceIncludeFirst)
-                ? Promise.resolve(false)
-                : JobExtractor.isJobViewed(jobId);
-
-            viewedCheck.then(function(isViewed) {
-                if (!State.isScraping()) {
-                    return null;
-                }
-                if (isViewed) {
-                    console.log('[LiSeSca] Skipping viewed job ' + jobId);
-                    UI.showStatus(statusMsg + ' — Skipping viewed job');
-                    State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
-                    return Emulator.randomDelay(300, 600).then(function() {
-                        self.scrapeNextJob();
-                    }).then(function() {
-                        return 'skip';
-                    });
-                }
-
-                // AI filtering: evaluate job card before downloading full details
-                if (aiEnabled) {
-                    var fullAIMode = State.getFullAIEnabled();
+            return parsed.toString();
+        },
 
-                    return JobExtractor.getRenderedCard(jobId).then(function(result) {
-                        if (!result.card) {
-                            // Can't get card data, fetch full details and evaluate
-                            console.log('[LiSeSca] AI filter: no card data, must evaluate full job details for ' + jobId);
-                            UI.showStatus(statusMsg + ' — AI: Fetching details (no card)...');
-                            
-                            return JobExtractor.extractFullJob(jobId).then(function(job) {
-                                if (!job) {
-                                    return null;
-                                }
-                                if (!State.isScraping()) {
-                                    return null;
-                                }
-                                
-                                var fullJobMarkdown = JobOutput.formatJobMarkdown(job);
-                                UI.showStatus(statusMsg + ' — AI: Full evaluation...');
-                                
-                                var evalCall = fullAIMode 
-                                    ? AIClient.evaluateFullJob(fullJobMarkdown)
-                                    : AIClient.evaluateJob(fullJobMarkdown);
-                                    
-                                return evalCall.then(function(evalResult) {
-                                    if (!State.isScraping()) {
-                                        return null;
-                                    }
-                                    
-                                    State.incrementAIJobsEvaluated();
-                                    State.incrementAIJobsFullEvaluated();
-                                    UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
-                                    
-                                    var accept = fullAIMode ? evalResult.accept : evalResult;
-                                    var reason = fullAIMode ? evalResult.reason : '';
-                                    
-                                    if (accept) {
-                                        console.log('[LiSeSca] AI accepted job (no card): ' + job.jobTitle + (reason ? ' - ' + reason : ''));
-                                        State.incrementAIJobsAccepted();
-                                        UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
-                                        UI.showStatus(statusMsg + ' — AI: Accept');
-                                        return job;
-                                    }
-                                    
-                                    console.log('[LiSeSca] AI REJECT (no card): ' + job.jobTitle + (reason ? ' - ' + reason : ''));
-                                    UI.showStatus(statusMsg + ' — AI: Reject');
-                                    State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
-                                    return Emulator.randomDelay(300, 600).then(function() {
-                                        self.scrapeNextJob();
-                                    }).then(function() {
-                                        return 'skip';
-                                    });
-                                });
-                            });
-                        }
+        /**
+         * Wait for job cards to appear in the DOM.
+         * @returns {Promise<NodeList>} The card elements (empty if none appeared within 10 seconds).
+         */
+        waitForCards: function() {
+            return new Promise(function(resolve) {
+                var maxWaitMs = 10000;
+                var pollIntervalMs = 500;
+                var elapsed = 0;
 
-                        var cardData = JobExtractor.extractCardBasics(result.card);
-                        var cardMarkdown = JobExtractor.formatCardForAI(cardData);
+                var poll = setInterval(function() {
+                    var cards = document.querySelectorAll(JobSelectors.MY_JOBS_CARD);
+                    if (cards.length > 0) {
+                        clearInterval(poll);
+                        console.log('[LiSeSca] Found ' + cards.length + ' My Jobs cards.');
+                        resolve(cards);
+                        return;
+                    }
+                    elapsed += pollIntervalMs;
+                    if (elapsed >= maxWaitMs) {
+                        clearInterval(poll);
+                        console.log('[LiSeSca] No My Jobs cards found after ' + maxWaitMs + 'ms (end of list).');
+                        resolve([]);
+                    }
+                }, pollIntervalMs);
+            });
+        },
 
-                        if (fullAIMode) {
-                            // THREE-TIER EVALUATION (reject/keep/maybe)
-                            UI.showStatus(statusMsg + ' — AI triage...');
-                            var jobLink = 'https://www.linkedin.com/jobs/view/' + jobId;
+        /**
+         * Spell out abbreviated time units so JobNormalizer can read them.
+         * @param {string} text - E.g. "Applied 3d ago".
+         * @returns {string} E.g. "Applied 3 day ago".
+         */
+        expandShortUnits: function(text) {
+            var self = this;
+            return String(text || '').replace(/(\d+)\s*(mo|yr|[smhdwy])\b/gi, function(match, amount, unit) {
+                return amount + ' ' + self.SHORT_UNITS[unit.toLowerCase()];
+            });
+        },
 
-                            return AIClient.triageCard(cardMarkdown).then(function(result) {
-                                if (!State.isScraping()) {
-                                    return null;
-                                }
+        /**
+         * Get the date an "Applied ... ago", "Applied today" or "Applied yesterday"
+         * status line refers to.
+         * @param {string} text - The card's status line.
+         * @param {Date} now - When the card was read.
+         * @returns {string} YYYY-MM-DD, or '' for other status lines.
+         */
+        parseAppliedAt: function(text, now) {
+            var value = String(text || '');
+            if (!/\bapplied\b/i.test(value)) {
+                return '';
+            }
+            if (/\btoday\b/i.test(value)) {
+                return JobNormalizer.formatDate(now);
+            }
+            if (/\byesterday\b/i.test(value)) {
+                return JobNormalizer.formatDate(new Date(now.getTime() - JobNormalizer.UNIT_MS.day));
+            }
+            return JobNormalizer.parsePostedAt(this.expandShortUnits(text), now);
+        },
 
-                                var decision = result.decision;
-                                var reason = result.reason;
+        /**
+         * Read the first visible line of an element (LinkedIn adds hidden duplicates below it).
+         * @param {Element|null} element - The element.
+         * @returns {string} The line, or '' without element.
+         */
+        readFirstLine: function(element) {
+            if (!element) {
+                return '';
+            }
+            return String(element.textContent || '').split('\n').map(function(line) {
+                return line.trim();
+            }).filter(function(line) {
+                return line !== '';
+            })[0] || '';
+        },
 
-                                // Count this job as evaluated
-                                State.incrementAIJobsEvaluated();
-                                State.incrementAIJobsTriaged();
-                                UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
+        /**
+         * Extract the job record of a single card.
+         * @param {Element} card - The card element.
+         * @param {string} trackerStatus - The status of the tab being read.
+         * @param {Date} now - When the card was read.
+         * @returns {Object|null} Job data object, or null if the card has no job link.
+         */
+        extractCard: function(card, trackerStatus, now) {
+            var link = card.querySelector(JobSelectors.MY_JOBS_TITLE_LINK);
+            var idMatch = link ? String(link.href || '').match(/\/jobs\/view\/(\d+)/) : null;
+            if (!idMatch) {
+                return null;
+            }
 
-                                if (decision === 'reject') {
-                                    // Reject: skip job entirely, no full details fetched
-                                    // Log rejection with job link and reason for debugging
-                                    console.log('[LiSeSca] AI TRIAGE REJECT: ' + cardData.jobTitle);
-                                    console.log('  Link: ' + jobLink);
-                                    console.log('  Reason: ' + reason);
-                                    UI.showStatus(statusMsg + ' — AI: Reject');
-                                    State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
-                                    // Click card so LinkedIn marks it as "Viewed" — prevents re-triaging on future runs
-                                    return JobExtractor.clickJobCard(jobId).then(function() {
-                                        return Emulator.randomDelay(300, 600);
-                                    }).then(function() {
-                                        self.scrapeNextJob();
-                                    }).then(function() {
-                                        return 'skip';
-                                    });
-                                }
+            var location = this.readFirstLine(card.querySelector(JobSelectors.MY_JOBS_LOCATION));
+            var statusText = this.readFirstLine(card.querySelector(JobSelectors.MY_JOBS_INSIGHT));
+            var job = {
+                jobId: idMatch[1],
+                jobTitle: this.readFirstLine(link),
+                company: this.readFirstLine(card.querySelector(JobSelectors.MY_JOBS_COMPANY)),
+                location: location,
+                jobLink: 'https://www.linkedin.com/jobs/view/' + idMatch[1] + '/',
+                trackerStatus: trackerStatus,
+                statusText: statusText,
+                appliedAt: this.parseAppliedAt(statusText, now)
+            };
+            return Object.assign(job, LocationParser.parse(location));
+        },
 
-                                if (decision === 'keep') {
-                                    // Keep: accept job, fetch full details for output
-                                    console.log('[LiSeSca] AI kept job: ' + cardData.jobTitle + ' - ' + reason);
-                                    State.incrementAIJobsAccepted();
-                                    UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
-                                    UI.showStatus(statusMsg + ' — AI: Keep');
-                                    return JobExtractor.extractFullJob(jobId);
-                                }
+        /**
+         * Extract the job records of all cards on the current page.
+         * @returns {Promise<Array>} Array of job data objects.
+         */
+        extractCurrentPage: function() {
+            var self = this;
+            var trackerStatus = this.getTrackerStatus(window.location.href);
+            return this.waitForCards().then(function(cards) {
+                var now = new Date();
+                var jobs = [];
+                Array.prototype.forEach.call(cards, function(card, index) {
+                    try {
+                        var job = self.extractCard(card, trackerStatus, now);
+                        if (job) {
+                            jobs.push(job);
+                        }
+                    } catch (error) {
+                        console.warn('[LiSeSca] Failed to extract My Jobs card #' + index + ':', error);
+                    }
+                });
+                console.log('[LiSeSca] Extracted ' + jobs.length + ' jobs from this page.');
+                return jobs;
+            });
+        },
 
-                                // Maybe: fetch full details, then ask AI again
-                                console.log('[LiSeSca] AI maybe on job: ' + cardData.jobTitle + ' - ' + reason);
-                                UI.showStatus(statusMsg + ' — AI: Fetching details...');
+        /**
+         * Check whether the list has a next page.
+         * @returns {boolean} True if the "Next" button is enabled.
+         */
+        hasNextPage: function() {
+            var button = document.querySelector(JobSelectors.MY_JOBS_NEXT_BUTTON);
+            return !!button && !button.disabled;
+        }
+    };
 
-                                return JobExtractor.extractFullJob(jobId).then(function(job) {
-                                    if (!job) {
-                                        console.warn('[LiSeSca] Could not extract job for full evaluation');
-                                        return null;
-                                    }
+    // ===== MY JOBS CONTROLLER =====
+    // Orchestrates the scraping of the My Jobs tracker (saved, in-progress,
+    // applied and archived jobs). Like people search, each page's cards are
+    // extracted at once and the next page is loaded with a full navigation.
+    // With "Open each job" on, every saved job's page (/jobs/view/<id>/) is
+    // opened after the last list page and read with the same pipeline as a
+    // job search scrape; the tracker fields of the card are kept. The visits
+    // run in the deep-visit loop shared with the other modes (see Session).
 
-                                    if (!State.isScraping()) {
-                                        return null;
-                                    }
+    const MyJobsController = {
 
-                                    // Format full job for second AI evaluation
-                                    var fullJobMarkdown = JobOutput.formatJobMarkdown(job);
-                                    UI.showStatus(statusMsg + ' — AI: Full evaluation...');
+        /** File name tag of My Jobs exports */
+        FILE_TAG: 'MYJOBS',
 
-                                    return AIClient.evaluateFullJob(fullJobMarkdown).then(function(evalResult) {
-                                        if (!State.isScraping()) {
-                                            return null;
-                                        }
+        /**
+         * Start a new My Jobs scraping session on the tab being shown.
+         * @param {string} pageCount - Number of pages ('1', '10', '50', 'all').
+         */
+        startScraping: function(pageCount) {
+            if (!PageDetector.isOnMyJobsPage()) {
+                console.warn('[LiSeSca] Not on a My Jobs page. Scraping aborted.');
+                UI.showStatus('Wrong page — navigate to My Jobs first.');
+                setTimeout(function() {
+                    UI.showIdleState();
+                }, 3000);
+                return;
+            }
 
-                                        State.incrementAIJobsFullEvaluated();
+            var target = (pageCount === 'all') ? 9999 : parseInt(pageCount, 10);
+            var startPage = MyJobs.getCurrentPage(window.location.href);
+            var baseUrl = MyJobs.getBaseUrl(window.location.href);
 
-                                        var accept = evalResult.accept;
-                                        var evalReason = evalResult.reason;
+            console.log('[LiSeSca] Starting My Jobs scrape: target=' + target
+                + ' pages, starting at page ' + startPage);
 
-                                        if (accept) {
-                                            console.log('[LiSeSca] AI accepted job after full review: ' + job.jobTitle + ' - ' + evalReason);
-                                            State.incrementAIJobsAccepted();
-                                            UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
-                                            UI.showStatus(statusMsg + ' — AI: Accept');
-                                            return job;
-                                        }
+            var selectedFormats = State.readFormatsFromUI();
+            if (selectedFormats.length === 0) {
+                selectedFormats = ['xlsx'];
+            }
 
-                                        // Reject after full evaluation: skip
-                                        // Log rejection with job link and reason for debugging
-                                        console.log('[LiSeSca] AI FULL REJECT: ' + job.jobTitle);
-                                        console.log('  Link: ' + jobLink);
-                                        console.log('  Reason: ' + evalReason);
-                                        UI.showStatus(statusMsg + ' — AI: Reject (full)');
-                                        State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
-                                        return Emulator.randomDelay(300, 600).then(function() {
-                                            self.scrapeNextJob();
-                                        }).then(function() {
-                                            return 'skip';
-                                        });
-                                    });
-                                });
-                            });
-                        } else {
-                            // BASIC BINARY EVALUATION (download/skip)
-                            UI.showStatus(statusMsg + ' — AI evaluating...');
+            State.saveVisitJobs(State.readVisitJobsFromUI());
+            State.startSession(target, startPage, baseUrl, 'myJobs');
+            State.saveFormats(selectedFormats);
 
-                            return AIClient.evaluateJob(cardMarkdown).then(function(shouldDownload) {
-                                if (!State.isScraping()) {
-                                    return null;
-                                }
+            this.scrapeCycle();
+        },
 
-                                // Count this job as evaluated
-                                State.incrementAIJobsEvaluated();
-                                State.incrementAIJobsFullEvaluated(); // Regular evaluation counts as full evaluation for simplicity
-                                UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
+        /**
+         * Resume an active My Jobs session after a page load:
+         * either the next list page or the next job page visit.
+         */
+        resumeScraping: function() {
+            if (State.getVisitPhase() === 'visiting') {
+                Session.resumeVisit(this.getJobVisit());
+                return;
+            }
 
-                                if (!shouldDownload) {
-                                    console.log('[LiSeSca] AI skipped job: ' + cardData.jobTitle);
-                                    UI.showStatus(statusMsg + ' — AI: Skip');
-                                    State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
-                                    // Click card so LinkedIn marks it as "Viewed" — prevents re-triaging on future runs
-                                    return JobExtractor.clickJobCard(jobId).then(function() {
-                                        return Emulator.randomDelay(300, 600);
-                                    }).then(function() {
-                                        self.scrapeNextJob();
-                                    }).then(function() {
-                                        return 'skip';
-                                    });
-                                }
+            if (!PageDetector.isOnMyJobsPage()) {
+                console.warn('[LiSeSca] Resumed on wrong page. Finishing session with buffered data.');
+                this.finishScraping(true);
+                return;
+            }
 
-                                console.log('[LiSeSca] AI approved job: ' + cardData.jobTitle);
-                                State.incrementAIJobsAccepted();
-                                UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
-                                return JobExtractor.extractFullJob(jobId);
-                            });
-                        }
-                    });
-                }
+            var state = State.getScrapingState();
+            console.log('[LiSeSca] Resuming My Jobs scraping. Page '
+                + state.currentPage + ', ' + (state.currentPage - state.startPage) + ' pages done, '
+                + state.scrapedBuffer.length + ' jobs buffered.');
 
-                return JobExtractor.extractFullJob(jobId);
-            }).then(function(job) {
-                if (!State.isScraping()) {
-                    return;
-                }
+            this.scrapeCycle();
+        },
 
-                if (job === 'skip') {
-                    return 'skip';
-                }
+        /**
+         * The core scraping cycle. Runs once per list page.
+         */
+        scrapeCycle: function() {
+            var self = this;
+            var state = State.getScrapingState();
+            var pagesScraped = state.currentPage - state.startPage;
+            var targetDisplay = (state.targetPageCount >= 9999)
+                ? 'all' : state.targetPageCount.toString();
 
-                if (job) {
-                    // Append this single job to the buffer immediately (data safety)
-                    State.appendBuffer([job]);
-                    // Refresh progress to reflect updated saved count
-                    self.updateProgressDisplay();
-                    console.log('[LiSeSca] Job ' + (jobIndex + 1) + '/' + totalOnPage
-                        + ' extracted: ' + job.jobTitle);
-                } else {
-                    console.warn('[LiSeSca] Job ' + jobId + ' could not be extracted, skipping.');
-                }
+            var statusPrefix = 'Scanning page ' + state.currentPage
+                + ' (' + (pagesScraped + 1) + ' of ' + targetDisplay + ')';
 
-                // Emulate reviewing the job detail panel
-                var reviewPrefix = 'Page ' + state.currentPage
-                    + ' — Reviewing job ' + (jobIndex + 1) + ' of ' + totalOnPage;
-                return JobEmulator.emulateJobReview(reviewPrefix);
-            }).then(function(result) {
+            Emulator.emulateHumanScan(statusPrefix).then(function() {
                 if (!State.isScraping()) {
-                    return;
-                }
-
-                if (result === 'skip') {
-                    return 'skip';
+                    console.log('[LiSeSca] Scraping was stopped during emulation.');
+                    return null;
                 }
 
-                // Advance to the next job
-                State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
-
-                // Configurable pause between jobs
-                return Emulator.randomDelay(
-                    CONFIG.MIN_JOB_PAUSE * 1000,
-                    CONFIG.MAX_JOB_PAUSE * 1000
-                );
-            }).then(function(result) {
-                if (!State.isScraping()) {
-                    self.finishScraping();
+                UI.showStatus('Extracting page ' + state.currentPage + '...');
+                return MyJobs.extractCurrentPage();
+            }).then(function(jobs) {
+                if (!jobs) {
                     return;
                 }
-                if (result === 'skip') {
-                    return;
+
+                console.log('[LiSeSca] Page ' + state.currentPage
+                    + ': extracted ' + jobs.length + ' jobs.');
+                if (jobs.length > 0) {
+                    console.table(jobs.map(function(job) {
+                        return {
+                            title: job.jobTitle,
+                            company: job.company,
+                            status: job.trackerStatus,
+                            detail: job.statusText
+                        };
+                    }));
                 }
-                // Recurse to process the next job
-                self.scrapeNextJob();
+                State.appendBuffer(jobs);
+                self.decideNextAction(jobs.length);
             }).catch(function(error) {
-                console.error('[LiSeSca] Error extracting job ' + jobId + ':', error);
-
-                // Skip this job and continue to the next
-                State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
-                Emulator.randomDelay(500, 1000).then(function() {
-                    self.scrapeNextJob();
+                Session.abortWithError(error, function(buffer) {
+                    JobOutput.downloadResults(buffer, self.FILE_TAG);
                 });
             });
         },
 
         /**
-         * Decide whether to continue to the next page or finish.
+         * Decide next action after extracting a page.
+         * @param {number} jobsOnThisPage - Number of jobs extracted.
          */
-        decideNextAction: function() {
+        decideNextAction: function(jobsOnThisPage) {
             var state = State.getScrapingState();
             var pagesScraped = state.currentPage - state.startPage + 1;
 
-            // Check if we've reached the target page count
-            if (pagesScraped >= state.targetPageCount) {
-                console.log('[LiSeSca] Reached target of ' + state.targetPageCount + ' pages.');
+            if (jobsOnThisPage === 0) {
+                console.log('[LiSeSca] No jobs on page ' + state.currentPage + '. End of list.');
                 this.finishScraping();
                 return;
             }
 
-            // Check if pagination exists (collections pages may not have it)
-            if (!JobPaginator.hasPagination()) {
-                console.log('[LiSeSca] No pagination found. Finishing with current results.');
+            if (pagesScraped >= state.targetPageCount) {
+                console.log('[LiSeSca] Reached target of ' + state.targetPageCount + ' pages.');
                 this.finishScraping();
                 return;
             }
 
-            // Check if there is actually a next page
-            if (!JobPaginator.hasNextPage()) {
-                console.log('[LiSeSca] No next page available (last page reached). Finishing.');
+            if (!State.isScraping()) {
+                console.log('[LiSeSca] Scraping stopped by user.');
                 this.finishScraping();
                 return;
             }
 
-            if (!State.isScraping()) {
+            if (!MyJobs.hasNextPage()) {
+                console.log('[LiSeSca] No next page. End of list.');
                 this.finishScraping();
                 return;
             }
 
-            // Advance to the next page
             State.advancePage();
             var nextPage = State.get(State.KEYS.CURRENT_PAGE, 1);
-            // Reset job index for the new page
-            State.set(State.KEYS.JOB_INDEX, 0);
-            State.set(State.KEYS.JOB_IDS_ON_PAGE, JSON.stringify([]));
-
+            var nextUrl = MyJobs.getPageUrl(state.searchUrl, nextPage);
             UI.showStatus('Moving to page ' + nextPage + '...');
 
             setTimeout(function() {
-                JobPaginator.navigateToPage(nextPage);
-            }, Emulator.getRandomInt(1500, 3000));
+                console.log('[LiSeSca] Navigating to page ' + nextPage + ': ' + nextUrl);
+                window.location.href = nextUrl;
+            }, Emulator.getRandomInt(1000, 2500));
         },
 
         /**
-         * Complete the job scraping session.
+         * Complete the scraping session.
+         * With "Open each job" on, a finished (not stopped) run first opens
+         * every saved job; the summary appears once the visits are done.
+         * @param {boolean} [interrupted] - True if stopped by the user.
          */
         finishScraping: function(interrupted) {
+            if (!interrupted && State.isScraping() && State.getVisitJobs() && State.getVisitPhase() === ''
+                && State.getBuffer().length > 0) {
+                Session.startVisits(this.getJobVisit());
+                return;
+            }
+
             var buffer = State.getBuffer();
-            var totalJobs = buffer.length;
             var state = State.getScrapingState();
-            var pagesScraped = state.currentPage - state.startPage + (interrupted ? 0 : 1);
-            var totalProcessed = State.getJobsProcessed();
-
-            // Get AI stats
-            var aiEnabled = State.getAIEnabled();
-            var fullAIEnabled = State.getFullAIEnabled();
-            var aiEvaluated = State.getAIJobsEvaluated();
-            var aiTriaged = State.getAIJobsTriaged();
-            var aiFullEvaluated = State.getAIJobsFullEvaluated();
-            var aiAccepted = State.getAIJobsAccepted();
-
-            console.log('[LiSeSca] Job scraping finished! Total: ' + totalJobs + ' jobs across '
-                + pagesScraped + ' page(s).');
-            if (aiEnabled && aiEvaluated > 0) {
-                console.log('[LiSeSca] AI stats: ' + aiAccepted + '/' + aiEvaluated + ' accepted.');
-            }
+            // A stop during the job visits comes after the last list page was done
+            var lastPageDone = !interrupted || State.getVisitPhase() !== '';
+            var pagesScraped = state.currentPage - state.startPage + (lastPageDone ? 1 : 0);
 
-            UI.showProgress('');
-            UI.hideAIStats();
+            console.log('[LiSeSca] My Jobs scraping finished! Total: ' + buffer.length + ' jobs.');
 
-            // Always show the summary instead of automatic download/clear
-            UI.showSummary({
+            var stats = {
                 type: 'jobs',
                 pages: pagesScraped,
-                processed: totalProcessed,
-                saved: totalJobs,
-                aiEnabled: aiEnabled,
-                fullAIEnabled: fullAIEnabled,
-                aiEvaluated: aiEvaluated,
-                aiTriaged: aiTriaged,
-                aiFullEvaluated: aiFullEvaluated,
-                aiAccepted: aiAccepted
-            }, interrupted);
+                processed: buffer.length,
+                saved: buffer.length,
+                visitJobs: State.getVisitJobs(),
+                visited: buffer.filter(function(job) {
+                    return !!job.jobDescription;
+                }).length,
+                aiEnabled: false,
+                rejected: 0
+            };
+
+            // Kept for the XLSX Summary sheet
+            State.saveRunStats(Object.assign({
+                interrupted: !!interrupted,
+                finishedAt: new Date().toISOString()
+            }, stats));
+
+            UI.showSummary(stats, interrupted);
         },
 
         /**
-         * Stop job scraping (STOP button handler).
+         * Build the steps of the job page visits, run by Session.
+         * The details of the job page win, except for the tracker fields of the card.
+         * @returns {Object} The visit object (see Session).
+         */
+        getJobVisit: function() {
+            var self = this;
+            return {
+                label: 'Job',
+                getUrl: function(job) {
+                    return job.jobLink;
+                },
+                isOnPage: function(job) {
+                    return PageDetector.isOnJobViewPage() && PageDetector.getJobViewId() === job.jobId;
+                },
+                extract: function(job, statusPrefix) {
+                    return JobEmulator.emulateJobReview(statusPrefix).then(function() {
+                        return State.isScraping() ? JobExtractor.extractJobView(job.jobId) : null;
+                    });
+                },
+                merge: function(job, details) {
+                    return Object.assign({}, job, details, {
+                        trackerStatus: job.trackerStatus,
+                        statusText: job.statusText,
+                        appliedAt: job.appliedAt
+                    });
+                },
+                finish: function() {
+                    self.finishScraping();
+                }
+            };
+        },
+
+        /**
+         * Stop scraping (STOP button handler).
          */
         stopScraping: function() {
-            console.log('[LiSeSca] Job scraping stopped by user.');
+            console.log('[LiSeSca] My Jobs scraping stopped by user.');
             Emulator.cancel();
             JobEmulator.cancel();
             State.set(State.KEYS.IS_SCRAPING, false);
-            this.finishScraping(true); // pass interrupted=true
+            this.finishScraping(true);
         },
 
         /**
-         * Trigger the download manually (called by UI summary panel)
+         * Trigger the download manually (called by UI summary panel).
          */
         downloadResults: function() {
             var buffer = State.getBuffer();
             if (buffer.length > 0) {
-                JobOutput.downloadResults(buffer);
+                JobOutput.downloadResults(buffer, this.FILE_TAG);
             } else {
                 console.warn('[LiSeSca] No jobs in buffer to download.');
             }
+        },
+
+        /**
+         * Merge the results into a previous export and download the merged file
+         * (called by UI summary panel).
+         * @param {File} file - The previous XLSX, JSON or JSON Lines export.
+         * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+         */
+        mergeResults: function(file) {
+            var buffer = State.getBuffer();
+            if (buffer.length === 0) {
+                return Promise.reject(new Error('No jobs in buffer to merge.'));
+            }
+            return JobOutput.downloadMerged(buffer, file);
         }
     };
 
     // ===== MAIN CONTROLLER (PEOPLE SEARCH) =====
-    // Orchestrates the people search scraping lifecycle.
+    // Orchestrates the people scraping lifecycle, for people search pages and
+    // for the lists that grow in place: a company's People tab and the own
+    // connections list.
     // Also handles SPA navigation detection and UI lifecycle.
 
     const Controller = {
@@ -7160,6 +15728,9 @@ USER'S CRITERIA:
         /** Timer for debouncing SPA navigation events */
         _navigationTimer: null,
 
+        /** Cards of the People tab or connections list already read in this session */
+        gridCardsSeen: 0,
+
         /**
          * Initialize the script. Called once on every page load.
          * Sets up SPA navigation handler and builds UI if on a supported page.
@@ -7168,7 +15739,7 @@ USER'S CRITERIA:
             console.log('[LiSeSca] v' + CONFIG.VERSION + ' initializing...');
 
             // Wire up the UI with controller references to avoid circular import issues
-            setControllers(Controller, JobController);
+            setControllers(Controller, JobController, CompanyController, MyJobsController);
 
             CONFIG.load();
 
@@ -7191,8 +15762,10 @@ USER'S CRITERIA:
          */
         setupForCurrentPage: function() {
             var pageType = PageDetector.getPageType();
+            // Profile, company and job page visits reload onto pages that are otherwise unsupported
+            var visiting = State.isScraping() && State.getVisitPhase() === 'visiting';
 
-            if (pageType === 'unknown') {
+            if (pageType === 'unknown' && !visiting) {
                 console.log('[LiSeSca] Not on a supported page. UI hidden, waiting for navigation.');
                 return;
             }
@@ -7201,6 +15774,9 @@ USER'S CRITERIA:
             UI.createPanel();
             UI.createConfigPanel();
             UI.createAIConfigPanel();
+            UI.createTemplatePanel();
+            UI.createColumnsPanel();
+            UI.createSkillsPanel();
             UI.createSummaryPanel();
 
             // Check if we have an active scraping session to resume
@@ -7208,6 +15784,12 @@ USER'S CRITERIA:
                 var mode = State.getScrapeMode();
                 if (mode === 'jobs') {
                     JobController.resumeScraping();
+                } else if (mode === 'companies') {
+                    CompanyController.resumeScraping();
+                } else if (mode === 'myJobs') {
+                    MyJobsController.resumeScraping();
+                } else if (visiting) {
+                    Session.resumeVisit(this.getProfileVisit());
                 } else {
                     this.resumeScraping();
                 }
@@ -7275,6 +15857,12 @@ USER'S CRITERIA:
          * Resume an active people scraping session after a page reload.
          */
         resumeScraping: function() {
+            if (PageDetector.isOnPeopleGridPage()) {
+                // The cards loaded in place do not survive a reload
+                console.warn('[LiSeSca] People list reloaded during scraping. Finishing with buffered data.');
+                this.finishScraping(true);
+                return;
+            }
             if (!PageDetector.isOnPeopleSearchPage()) {
                 console.warn('[LiSeSca] Resumed on wrong page. Finishing session with buffered data.');
                 UI.showStatus('Wrong page detected. Saving collected data...');
@@ -7300,21 +15888,24 @@ USER'S CRITERIA:
 
         /**
          * Start a new people scraping session.
+         * On a company's People tab or the connections list, a page is the
+         * first set of cards or one load of more cards.
          * @param {string} pageCount - Number of pages ('1', '10', '50', 'all').
          */
         startScraping: function(pageCount) {
-            if (!PageDetector.isOnPeopleSearchPage()) {
-                console.warn('[LiSeSca] Not on a people search page. Scraping aborted.');
-                UI.showStatus('Wrong page — navigate to People search first.');
+            if (!PageDetector.isOnPeoplePage()) {
+                console.warn('[LiSeSca] Not on a people search page, company People tab or connections list. Scraping aborted.');
+                UI.showStatus('Wrong page — navigate to People search, a company\'s People tab or your connections first.');
                 setTimeout(function() {
                     UI.showIdleState();
                 }, 3000);
                 return;
             }
 
+            var onGrid = PageDetector.isOnPeopleGridPage();
             var target = (pageCount === 'all') ? 9999 : parseInt(pageCount, 10);
-            var startPage = Paginator.getCurrentPage();
-            var baseUrl = Paginator.getBaseSearchUrl();
+            var startPage = onGrid ? 1 : Paginator.getCurrentPage();
+            var baseUrl = onGrid ? window.location.href : Paginator.getBaseSearchUrl();
 
             console.log('[LiSeSca] Starting people scrape: target=' + target
                 + ' pages, starting at page ' + startPage);
@@ -7329,6 +15920,7 @@ USER'S CRITERIA:
                 aiEnabled = false;
             }
             State.savePeopleAIEnabled(aiEnabled);
+            State.saveVisitProfiles(State.readVisitProfilesFromUI());
 
             State.startSession(target, startPage, baseUrl, 'people');
             State.saveFormats(selectedFormats);
@@ -7337,7 +15929,12 @@ USER'S CRITERIA:
                 AIClient.resetPeopleConversation();
             }
 
-            this.scrapeCycle();
+            if (onGrid) {
+                this.gridCardsSeen = 0;
+                this.gridScrapeCycle();
+            } else {
+                this.scrapeCycle();
+            }
         },
 
         /**
@@ -7350,8 +15947,8 @@ USER'S CRITERIA:
             var targetDisplay = (state.targetPageCount >= 9999)
                 ? 'all' : state.targetPageCount.toString();
 
-            var statusPrefix = 'Scanning page ' + state.currentPage
-                + ' (' + (pagesScraped + 1) + ' of ' + targetDisplay + ')';
+            var progress = state.currentPage + ' (' + (pagesScraped + 1) + ' of ' + targetDisplay + ')';
+            var statusPrefix = 'Scanning page ' + progress;
 
             var self = this;
             var aiEnabled = State.getPeopleAIEnabled() && AIClient.isPeopleConfigured();
@@ -7382,51 +15979,122 @@ USER'S CRITERIA:
                     return;
                 }
 
-                if (aiEnabled) {
-                    // Score profiles with AI
-                    return self.scoreProfiles(profiles, state);
-                } else {
-                    // No AI: save all profiles
-                    if (profiles.length > 0) {
-                        console.table(profiles.map(function(p) {
-                            return {
-                                name: p.fullName,
-                                degree: p.connectionDegree,
-                                description: (p.description || '').substring(0, 50),
-                                location: p.location
-                            };
-                        }));
-                    }
-                    State.appendBuffer(profiles);
+                self.saveProfiles(profiles, aiEnabled, 'Page ' + progress, function() {
                     self.decideNextAction(profiles.length);
-                }
+                });
 
             }).catch(function(error) {
-                console.error('[LiSeSca] Scrape cycle error:', error);
-                UI.showStatus('Error: ' + error.message);
+                self.abortWithError(error);
+            });
+        },
 
-                var buffer = State.getBuffer();
-                if (buffer.length > 0) {
-                    Output.downloadResults(buffer);
+        /**
+         * Get the reader of the people list that grows in place on this page.
+         * @returns {Object} Connections or CompanyPeople.
+         */
+        getGridReader: function() {
+            return PageDetector.isOnConnectionsPage() ? Connections : CompanyPeople;
+        },
+
+        /**
+         * The scraping cycle of a company's People tab or the connections list.
+         * Runs once per "page": the cards added by the initial load or by one
+         * load of more cards. The list grows in place, so the session never
+         * leaves the page.
+         */
+        gridScrapeCycle: function() {
+            var state = State.getScrapingState();
+            var pagesScraped = state.currentPage - state.startPage;
+            var targetDisplay = (state.targetPageCount >= 9999)
+                ? 'all' : state.targetPageCount.toString();
+            var progress = state.currentPage + ' (' + (pagesScraped + 1) + ' of ' + targetDisplay + ')';
+
+            var self = this;
+            var grid = this.getGridReader();
+            var aiEnabled = State.getPeopleAIEnabled() && AIClient.isPeopleConfigured();
+
+            // Reset AI conversation for each page to keep its history short
+            if (aiEnabled) {
+                AIClient.resetPeopleConversation();
+            }
+
+            Emulator.emulateHumanScan('Scanning page ' + progress).then(function() {
+                if (!State.isScraping()) {
+                    console.log('[LiSeSca] Scraping was stopped during emulation.');
+                    return;
                 }
-                State.clear();
-                setTimeout(function() {
-                    UI.showIdleState();
-                }, 5000);
+
+                UI.showStatus('Extracting page ' + state.currentPage + '...');
+                return grid.extractNewCards(self.gridCardsSeen);
+            }).then(function(result) {
+                if (!result) {
+                    return;
+                }
+
+                var newCards = result.cardCount - self.gridCardsSeen;
+                self.gridCardsSeen = result.cardCount;
+                console.log('[LiSeSca] Page ' + state.currentPage
+                    + ': extracted ' + result.profiles.length + ' profiles.');
+
+                self.saveProfiles(result.profiles, aiEnabled, 'Page ' + progress, function() {
+                    self.decideNextGridAction(newCards);
+                });
+
+            }).catch(function(error) {
+                self.abortWithError(error);
+            });
+        },
+
+        /**
+         * End the session after an unexpected error, downloading what was collected.
+         * @param {Error} error - The error.
+         */
+        abortWithError: function(error) {
+            Session.abortWithError(error, function(buffer) {
+                Output.downloadResults(buffer);
             });
         },
 
+        /**
+         * Save the profiles extracted from one page, scoring them first if AI is enabled.
+         * @param {Array} profiles - Array of profile card data.
+         * @param {boolean} aiEnabled - Whether to score the profiles with AI.
+         * @param {string} progressLabel - Page progress shown while scoring, e.g. "Page 3 (1 of 10)".
+         * @param {function} onDone - Called once the profiles are saved.
+         */
+        saveProfiles: function(profiles, aiEnabled, progressLabel, onDone) {
+            if (aiEnabled) {
+                // Score profiles with AI
+                this.scoreProfiles(profiles, progressLabel, onDone);
+                return;
+            }
+
+            // No AI: save all profiles
+            if (profiles.length > 0) {
+                console.table(profiles.map(function(p) {
+                    return {
+                        name: p.fullName,
+                        degree: p.connectionDegree,
+                        description: (p.description || '').substring(0, 50),
+                        location: p.location
+                    };
+                }));
+            }
+            State.appendBuffer(profiles);
+            onDone();
+        },
+
         /**
          * Score all profiles on the page using AI.
          * Only saves profiles with score >= 3.
          * If AI fails, falls back to saving all profiles with "unavailable" rating.
          * @param {Array} profiles - Array of profile card data.
-         * @param {Object} state - Current scraping state.
+         * @param {string} progressLabel - Page progress shown in the status, e.g. "Page 3 (1 of 10)".
+         * @param {function} onDone - Called once every profile was scored.
          */
-        scoreProfiles: function(profiles, state) {
+        scoreProfiles: function(profiles, progressLabel, onDone) {
             var self = this;
             var scoreIndex = 0;
-            var pagesScraped = state.currentPage - state.startPage;
             var savedCount = 0;
             var aiFailureCount = 0;
             var consecutiveFailures = 0;
@@ -7446,13 +16114,12 @@ USER'S CRITERIA:
                         console.log('[LiSeSca] AI failures: ' + aiFailureCount + ' profiles saved without rating.');
                     }
 
-                    self.decideNextAction(profiles.length);
+                    onDone();
                     return;
                 }
 
                 var profile = profiles[scoreIndex];
-                var statusMsg = 'Page ' + state.currentPage
-                    + ' (' + (pagesScraped + 1) + ' of ' + state.targetPageCount + ')'
+                var statusMsg = progressLabel
                     + ' — Scoring ' + (scoreIndex + 1) + ' of ' + profiles.length;
 
                 if (aiDisabled) {
@@ -7502,14 +16169,17 @@ USER'S CRITERIA:
                     console.log('[LiSeSca] AI SCORE: ' + profile.fullName
                         + ' — ' + score + '/5 (' + label + ') — ' + reason);
 
-                    // Save profile if score >= 3
+                    profile.aiScore = score;
+                    profile.aiLabel = label;
+                    profile.aiReason = reason;
+
+                    // Save profile if score >= 3, otherwise keep it for the rejected audit file
                     if (score >= 3) {
-                        profile.aiScore = score;
-                        profile.aiLabel = label;
-                        profile.aiReason = reason;
                         State.appendBuffer([profile]);
                         State.incrementAIPeopleAccepted();
                         savedCount++;
+                    } else {
+                        State.appendRejected([profile]);
                     }
 
                     UI.showAIStats(State.getAIPeopleEvaluated(), State.getAIPeopleAccepted(), '');
@@ -7582,17 +16252,86 @@ USER'S CRITERIA:
             }, Emulator.getRandomInt(1000, 2500));
         },
 
+        /**
+         * Decide next action after reading a page of a company's People tab or
+         * the connections list: load more cards, or finish.
+         * @param {number} cardsOnThisPage - Number of cards the page added to the list.
+         */
+        decideNextGridAction: function(cardsOnThisPage) {
+            var self = this;
+            var grid = this.getGridReader();
+            var state = State.getScrapingState();
+            var pagesScraped = state.currentPage - state.startPage + 1;
+
+            if (cardsOnThisPage === 0) {
+                console.log('[LiSeSca] No people cards on page ' + state.currentPage + '. End of results.');
+                this.finishScraping();
+                return;
+            }
+
+            if (pagesScraped >= state.targetPageCount) {
+                console.log('[LiSeSca] Reached target of ' + state.targetPageCount + ' pages.');
+                this.finishScraping();
+                return;
+            }
+
+            if (!State.isScraping()) {
+                console.log('[LiSeSca] Scraping stopped by user.');
+                this.finishScraping();
+                return;
+            }
+
+            if (!grid.LOADS_ON_SCROLL && !grid.getShowMoreButton()) {
+                console.log('[LiSeSca] No "Show more results" button. End of results.');
+                this.finishScraping();
+                return;
+            }
+
+            UI.showStatus('Loading more people...');
+
+            Emulator.randomDelay(1000, 2500).then(function() {
+                if (!State.isScraping()) {
+                    return null;
+                }
+                return grid.showMore(self.gridCardsSeen);
+            }).then(function(loaded) {
+                if (loaded === null) {
+                    return;
+                }
+                if (!loaded) {
+                    console.log('[LiSeSca] No new people loaded. End of results.');
+                    self.finishScraping();
+                    return;
+                }
+                State.advancePage();
+                self.gridScrapeCycle();
+            }).catch(function(error) {
+                self.abortWithError(error);
+            });
+        },
+
         /**
          * Complete the scraping session.
+         * With "Visit profiles" on, a finished (not stopped) run first visits
+         * every saved profile; the summary appears once the visits are done.
+         * @param {boolean} [interrupted] - True if stopped by the user.
          */
         finishScraping: function(interrupted) {
+            if (!interrupted && State.isScraping() && State.getVisitProfiles() && State.getVisitPhase() === ''
+                && State.getBuffer().length > 0) {
+                Session.startVisits(this.getProfileVisit());
+                return;
+            }
+
             var buffer = State.getBuffer();
             var totalProfiles = buffer.length;
             var aiEnabled = State.getPeopleAIEnabled();
             var aiEvaluated = State.getAIPeopleEvaluated();
             var aiAccepted = State.getAIPeopleAccepted();
             var state = State.getScrapingState();
-            var pagesScraped = state.currentPage - state.startPage + (interrupted ? 0 : 1);
+            // A stop during the profile visits comes after the last search page was done
+            var lastPageDone = !interrupted || State.getVisitPhase() !== '';
+            var pagesScraped = state.currentPage - state.startPage + (lastPageDone ? 1 : 0);
 
             console.log('[LiSeSca] Scraping finished! Total: ' + totalProfiles + ' profiles.');
             if (aiEnabled && aiEvaluated > 0) {
@@ -7601,15 +16340,62 @@ USER'S CRITERIA:
 
             UI.hideAIStats();
 
-            // Always show the summary instead of automatic download/clear
-            UI.showSummary({
+            var stats = {
                 type: 'people',
                 pages: pagesScraped,
                 saved: totalProfiles,
+                visitProfiles: State.getVisitProfiles(),
+                visited: buffer.filter(function(profile) {
+                    return !!profile.profileVisitedAt;
+                }).length,
                 aiEnabled: aiEnabled,
                 aiEvaluated: aiEvaluated,
-                aiAccepted: aiAccepted
-            }, interrupted);
+                aiAccepted: aiAccepted,
+                rejected: State.getRejected().length
+            };
+
+            // Kept for the XLSX Summary sheet
+            State.saveRunStats(Object.assign({
+                interrupted: !!interrupted,
+                finishedAt: new Date().toISOString()
+            }, stats));
+
+            // Always show the summary instead of automatic download/clear
+            UI.showSummary(stats, interrupted);
+        },
+
+        /**
+         * Build the steps of the profile deep visits, run by Session.
+         * @returns {Object} The visit object (see Session).
+         */
+        getProfileVisit: function() {
+            var self = this;
+            return {
+                label: 'Profile',
+                getUrl: function(profile) {
+                    return profile.profileUrl;
+                },
+                isOnPage: function() {
+                    return PageDetector.isOnProfilePage();
+                },
+                extract: function(profile, statusPrefix) {
+                    return ProfileExtractor.waitForProfile().then(function(loaded) {
+                        if (!loaded) {
+                            return null;
+                        }
+                        return Emulator.emulateHumanScan(statusPrefix,
+                            CONFIG.MIN_PROFILE_VISIT_TIME, CONFIG.MAX_PROFILE_VISIT_TIME).then(function() {
+                            return State.isScraping() ? ProfileExtractor.extractProfile() : null;
+                        });
+                    });
+                },
+                merge: function(profile, details) {
+                    return Object.assign({}, profile, details);
+                },
+                finish: function() {
+                    self.finishScraping();
+                }
+            };
         },
 
         /**
@@ -7632,6 +16418,32 @@ USER'S CRITERIA:
             } else {
                 console.warn('[LiSeSca] No profiles in buffer to download.');
             }
+        },
+
+        /**
+         * Merge the results into a previous export and download the merged file
+         * (called by UI summary panel).
+         * @param {File} file - The previous XLSX, JSON or JSON Lines export.
+         * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+         */
+        mergeResults: function(file) {
+            var buffer = State.getBuffer();
+            if (buffer.length === 0) {
+                return Promise.reject(new Error('No profiles in buffer to merge.'));
+            }
+            return Output.downloadMerged(buffer, file);
+        },
+
+        /**
+         * Trigger the download of AI-rejected profiles (called by UI summary panel)
+         */
+        downloadRejected: function() {
+            var rejected = State.getRejected();
+            if (rejected.length > 0) {
+                Output.downloadRejected(rejected);
+            } else {
+                console.warn('[LiSeSca] No rejected profiles to download.');
+            }
         }
     };
 
@@ -0,0 +1,274 @@
+// ===== COMPANY CONTROLLER =====
+// Orchestrates the company search scraping lifecycle.
+// Company search pages paginate like people search ("page=" parameter),
+// so each page is scanned, all cards are extracted at once, and the next
+// page is loaded with a full navigation.
+// With "Visit company pages" on, each saved company's About page is opened
+// after the last search page to add website, size, headquarters, founded
+// year and specialties. The visits run in the deep-visit loop of Session,
+// like the people profile visits, so they survive the page loads.
+import { CONFIG } from '../shared/config.js';
+import { State } from '../shared/state.js';
+import { PageDetector } from '../shared/page-detector.js';
+import { Session } from '../shared/session.js';
+import { UI } from '../ui/ui.js';
+import { Emulator } from '../people/emulator.js';
+import { Paginator } from '../people/paginator.js';
+import { CompanyExtractor } from './extractor.js';
+import { CompanyOutput } from './output.js';
+
+export const CompanyController = {
+
+    /**
+     * Start a new company scraping session.
+     * @param {string} pageCount - Number of pages ('1', '10', '50', 'all').
+     */
+    startScraping: function(pageCount) {
+        if (!PageDetector.isOnCompanySearchPage()) {
+            console.warn('[LiSeSca] Not on a company search page. Scraping aborted.');
+            UI.showStatus('Wrong page — navigate to Companies search first.');
+            setTimeout(function() {
+                UI.showIdleState();
+            }, 3000);
+            return;
+        }
+
+        var target = (pageCount === 'all') ? 9999 : parseInt(pageCount, 10);
+        var startPage = Paginator.getCurrentPage();
+        var baseUrl = Paginator.getBaseSearchUrl();
+
+        console.log('[LiSeSca] Starting company scrape: target=' + target
+            + ' pages, starting at page ' + startPage);
+
+        var selectedFormats = State.readFormatsFromUI();
+        if (selectedFormats.length === 0) {
+            selectedFormats = ['xlsx'];
+        }
+
+        State.saveVisitCompanies(State.readVisitCompaniesFromUI());
+        State.startSession(target, startPage, baseUrl, 'companies');
+        State.saveFormats(selectedFormats);
+
+        this.scrapeCycle();
+    },
+
+    /**
+     * Resume an active company scraping session after a page load:
+     * either the next search page or the next About page visit.
+     */
+    resumeScraping: function() {
+        if (State.getVisitPhase() === 'visiting') {
+            Session.resumeVisit(this.getAboutVisit());
+            return;
+        }
+
+        if (!PageDetector.isOnCompanySearchPage()) {
+            console.warn('[LiSeSca] Resumed on wrong page. Finishing session with buffered data.');
+            this.finishScraping(true);
+            return;
+        }
+
+        var state = State.getScrapingState();
+        console.log('[LiSeSca] Resuming company scraping. Page '
+            + state.currentPage + ', ' + (state.currentPage - state.startPage) + ' pages done, '
+            + state.scrapedBuffer.length + ' companies buffered.');
+
+        this.scrapeCycle();
+    },
+
+    /**
+     * The core scraping cycle. Runs once per search page.
+     */
+    scrapeCycle: function() {
+        var self = this;
+        var state = State.getScrapingState();
+        var pagesScraped = state.currentPage - state.startPage;
+        var targetDisplay = (state.targetPageCount >= 9999)
+            ? 'all' : state.targetPageCount.toString();
+
+        var statusPrefix = 'Scanning page ' + state.currentPage
+            + ' (' + (pagesScraped + 1) + ' of ' + targetDisplay + ')';
+
+        Emulator.emulateHumanScan(statusPrefix).then(function() {
+            if (!State.isScraping()) {
+                console.log('[LiSeSca] Scraping was stopped during emulation.');
+                return null;
+            }
+
+            UI.showStatus('Extracting page ' + state.currentPage + '...');
+            return CompanyExtractor.extractCurrentPage();
+        }).then(function(companies) {
+            if (!companies) {
+                return;
+            }
+
+            console.log('[LiSeSca] Page ' + state.currentPage
+                + ': extracted ' + companies.length + ' companies.');
+            if (companies.length > 0) {
+                console.table(companies.map(function(company) {
+                    return {
+                        name: company.companyName,
+                        industry: company.industry,
+                        location: company.location,
+                        followers: company.followerCount
+                    };
+                }));
+            }
+            State.appendBuffer(companies);
+            self.decideNextAction(companies.length);
+        }).catch(function(error) {
+            Session.abortWithError(error, function(buffer) {
+                CompanyOutput.downloadResults(buffer);
+            });
+        });
+    },
+
+    /**
+     * Decide next action after extracting a page.
+     * @param {number} companiesOnThisPage - Number of companies extracted.
+     */
+    decideNextAction: function(companiesOnThisPage) {
+        var state = State.getScrapingState();
+        var pagesScraped = state.currentPage - state.startPage + 1;
+
+        if (companiesOnThisPage === 0) {
+            console.log('[LiSeSca] No results on page ' + state.currentPage + '. End of results.');
+            this.finishScraping();
+            return;
+        }
+
+        if (pagesScraped >= state.targetPageCount) {
+            console.log('[LiSeSca] Reached target of ' + state.targetPageCount + ' pages.');
+            this.finishScraping();
+            return;
+        }
+
+        if (!State.isScraping()) {
+            console.log('[LiSeSca] Scraping stopped by user.');
+            this.finishScraping();
+            return;
+        }
+
+        State.advancePage();
+        var nextPage = State.get(State.KEYS.CURRENT_PAGE, 1);
+        UI.showStatus('Moving to page ' + nextPage + '...');
+
+        setTimeout(function() {
+            Paginator.navigateToPage(nextPage);
+        }, Emulator.getRandomInt(1000, 2500));
+    },
+
+    /**
+     * Complete the scraping session.
+     * With "Visit company pages" on, a finished (not stopped) run first
+     * visits every saved company's About page; the summary appears once
+     * the visits are done.
+     * @param {boolean} [interrupted] - True if stopped by the user.
+     */
+    finishScraping: function(interrupted) {
+        if (!interrupted && State.isScraping() && State.getVisitCompanies() && State.getVisitPhase() === ''
+            && State.getBuffer().length > 0) {
+            Session.startVisits(this.getAboutVisit());
+            return;
+        }
+
+        var buffer = State.getBuffer();
+        var state = State.getScrapingState();
+        // A stop during the About page visits comes after the last search page was done
+        var lastPageDone = !interrupted || State.getVisitPhase() !== '';
+        var pagesScraped = state.currentPage - state.startPage + (lastPageDone ? 1 : 0);
+
+        console.log('[LiSeSca] Company scraping finished! Total: ' + buffer.length + ' companies.');
+
+        var stats = {
+            type: 'companies',
+            pages: pagesScraped,
+            saved: buffer.length,
+            visitCompanies: State.getVisitCompanies(),
+            visited: buffer.filter(function(company) {
+                return !!company.aboutVisitedAt;
+            }).length,
+            aiEnabled: false,
+            rejected: 0
+        };
+
+        // Kept for the XLSX Summary sheet
+        State.saveRunStats(Object.assign({
+            interrupted: !!interrupted,
+            finishedAt: new Date().toISOString()
+        }, stats));
+
+        UI.showSummary(stats, interrupted);
+    },
+
+    /**
+     * Build the steps of the About page visits, run by Session.
+     * The About page's details win over the search card's.
+     * @returns {Object} The visit object (see Session).
+     */
+    getAboutVisit: function() {
+        var self = this;
+        return {
+            label: 'Company',
+            getUrl: function(company) {
+                return company.companyUrl ? CompanyExtractor.getAboutUrl(company.companyUrl) : '';
+            },
+            isOnPage: function(company) {
+                return CompanyExtractor.isAboutPage(company.companyUrl, window.location.href);
+            },
+            extract: function(company, statusPrefix) {
+                return CompanyExtractor.waitForAbout().then(function(loaded) {
+                    if (!loaded) {
+                        return null;
+                    }
+                    return Emulator.emulateHumanScan(statusPrefix,
+                        CONFIG.MIN_COMPANY_VISIT_TIME, CONFIG.MAX_COMPANY_VISIT_TIME).then(function() {
+                        return State.isScraping() ? CompanyExtractor.extractAbout() : null;
+                    });
+                });
+            },
+            merge: function(company, details) {
+                return Object.assign({}, company, details);
+            },
+            finish: function() {
+                self.finishScraping();
+            }
+        };
+    },
+
+    /**
+     * Stop scraping (STOP button handler).
+     */
+    stopScraping: function() {
+        console.log('[LiSeSca] Company scraping stopped by user.');
+        Emulator.cancel();
+        State.set(State.KEYS.IS_SCRAPING, false);
+        this.finishScraping(true);
+    },
+
+    /**
+     * Trigger the download manually (called by UI summary panel).
+     */
+    downloadResults: function() {
+        var buffer = State.getBuffer();
+        if (buffer.length > 0) {
+            CompanyOutput.downloadResults(buffer);
+        } else {
+            console.warn('[LiSeSca] No companies in buffer to download.');
+        }
+    },
+
+    /**
+     * Merge the results into a previous export and download the merged file
+     * (called by UI summary panel).
+     * @param {File} file - The previous XLSX, JSON or JSON Lines export.
+     * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+     */
+    mergeResults: function(file) {
+        var buffer = State.getBuffer();
+        if (buffer.length === 0) {
+            return Promise.reject(new Error('No companies in buffer to merge.'));
+        }
+        return CompanyOutput.downloadMerged(buffer, file);
+    }
+};
@@ -0,0 +1,306 @@
+// ===== DATA EXTRACTION (COMPANIES) =====
+// Reads company search results and, for the optional enrichment step,
+// the company's About page. Each company is represented as:
+//   { companyName, industry, location, city, region, country, metroArea,
+//     followers, followerCount, companyUrl }
+// About pages add:
+//   { website, companySize, employeeCountMin, employeeCountMax,
+//     headquarters, foundedYear, specialties, aboutVisitedAt }
+import { CompanySelectors } from '../selectors/companies.js';
+import { LocationParser } from '../shared/location.js';
+import { JobNormalizer } from '../jobs/normalizer.js';
+
+export const CompanyExtractor = {
+
+    /** Multipliers of the abbreviated follower counts ("12K followers") */
+    COUNT_SUFFIXES: { k: 1000, m: 1000000, b: 1000000000 },
+
+    /**
+     * Wait for search result cards to appear in the DOM.
+     * @returns {Promise<NodeList>} The result card elements (empty if none appeared within 10 seconds).
+     */
+    waitForResults: function() {
+        return new Promise(function(resolve) {
+            var maxWaitMs = 10000;
+            var pollIntervalMs = 500;
+            var elapsed = 0;
+
+            var poll = setInterval(function() {
+                var cards = document.querySelectorAll(CompanySelectors.RESULT_CARD);
+                if (cards.length > 0) {
+                    clearInterval(poll);
+                    console.log('[LiSeSca] Found ' + cards.length + ' company cards.');
+                    resolve(cards);
+                    return;
+                }
+                elapsed += pollIntervalMs;
+                if (elapsed >= maxWaitMs) {
+                    clearInterval(poll);
+                    console.log('[LiSeSca] No company cards found after ' + maxWaitMs + 'ms (end of results).');
+                    resolve([]);
+                }
+            }, pollIntervalMs);
+        });
+    },
+
+    /**
+     * Extract company data from all result cards on the current page.
+     * @returns {Promise<Array>} Array of company data objects.
+     */
+    extractCurrentPage: function() {
+        var self = this;
+        return this.waitForResults().then(function(cards) {
+            var companies = [];
+            cards.forEach(function(card, index) {
+                try {
+                    var company = self.extractCard(card);
+                    if (company) {
+                        companies.push(company);
+                    }
+                } catch (error) {
+                    console.warn('[LiSeSca] Failed to extract company card #' + index + ':', error);
+                }
+            });
+            console.log('[LiSeSca] Extracted ' + companies.length + ' companies from this page.');
+            return companies;
+        });
+    },
+
+    /**
+     * Extract company data from a single result card.
+     * @param {Element} card - The listitem element.
+     * @returns {Object|null} Company data object, or null if no company link found.
+     */
+    extractCard: function(card) {
+        var titleLink = card.querySelector(CompanySelectors.TITLE_LINK);
+        if (!titleLink) {
+            return null;
+        }
+        var companyUrl = this.cleanCompanyUrl(titleLink.href || '');
+        if (!companyUrl) {
+            return null;
+        }
+
+        var details = this.parseCardLines(this.getCardLines(titleLink));
+        var place = LocationParser.parse(details.location);
+
+        return {
+            companyName: (titleLink.textContent || '').trim(),
+            industry: details.industry,
+            location: details.location,
+            city: place.city,
+            region: place.region,
+            country: place.country,
+            metroArea: place.metroArea,
+            followers: details.followers,
+            followerCount: details.followerCount,
+            companyUrl: companyUrl
+        };
+    },
+
+    /**
+     * Read the text lines below the card title, one per sibling block.
+     * @param {Element} titleLink - The title <a> element.
+     * @returns {Array<string>} The non-empty lines, in page order.
+     */
+    getCardLines: function(titleLink) {
+        var lines = [];
+        var titleParagraph = titleLink.parentElement;
+        var block = titleParagraph ? titleParagraph.nextElementSibling : null;
+        while (block) {
+            var text = (block.textContent || '').trim();
+            if (text) {
+                lines.push(text);
+            }
+            block = block.nextElementSibling;
+        }
+        return lines;
+    },
+
+    /**
+     * Interpret the lines below a card title.
+     * The first line reads "Industry • Location"; the follower count has its own line.
+     * @param {Array<string>} lines - E.g. ["Software Development • San Francisco, CA", "1M followers"].
+     * @returns {Object} { industry, location, followers, followerCount }
+     */
+    parseCardLines: function(lines) {
+        var result = { industry: '', location: '', followers: '', followerCount: null };
+        var detailsFound = false;
+        (lines || []).forEach(function(line) {
+            if (/\bfollowers?\b/i.test(line)) {
+                if (!result.followers) {
+                    result.followers = line;
+                }
+                return;
+            }
+            if (!detailsFound) {
+                detailsFound = true;
+                var parts = line.split(/\s+[•·]\s+/);
+                result.industry = parts[0].trim();
+                result.location = (parts[1] || '').trim();
+            }
+        });
+        result.followerCount = this.parseFollowerCount(result.followers);
+        return result;
+    },
+
+    /**
+     * Convert a follower count text into a number.
+     * "12,345 followers" → 12345, "1.2K followers" → 1200, "3M followers" → 3000000.
+     * @param {string} text - The follower count text.
+     * @returns {number|null} The count, or null if the text has no number.
+     */
+    parseFollowerCount: function(text) {
+        var match = String(text || '').match(/(\d[\d,.]*)\s*([kmb])?\b/i);
+        if (!match) {
+            return null;
+        }
+        if (match[2]) {
+            var multiplier = this.COUNT_SUFFIXES[match[2].toLowerCase()];
+            return Math.round(parseFloat(match[1].replace(/,/g, '')) * multiplier);
+        }
+        return JobNormalizer.parseCount(match[1]);
+    },
+
+    /**
+     * Reduce a company page link to its canonical form.
+     * Schools and showcase pages appear in company search too and are kept.
+     * @param {string} rawUrl - The link, possibly with a sub-page and tracking parameters.
+     * @returns {string} E.g. "https://www.linkedin.com/company/acme/", or '' if not a company link.
+     */
+    cleanCompanyUrl: function(rawUrl) {
+        var match = String(rawUrl || '').match(/^(https?:\/\/[^/]*linkedin\.com)\/(company|school|showcase)\/([^/?#]+)/i);
+        return match ? match[1] + '/' + match[2] + '/' + match[3] + '/' : '';
+    },
+
+    /**
+     * Get the About page of a company.
+     * @param {string} companyUrl - The canonical company URL (see cleanCompanyUrl).
+     * @returns {string} The About page URL.
+     */
+    getAboutUrl: function(companyUrl) {
+        return companyUrl + 'about/';
+    },
+
+    /**
+     * Check whether a URL is the About page of a company.
+     * Host, query and a missing trailing slash are ignored.
+     * @param {string} companyUrl - The canonical company URL (see cleanCompanyUrl).
+     * @param {string} currentUrl - The URL to check, e.g. window.location.href.
+     * @returns {boolean} True if currentUrl is that company's About page.
+     */
+    isAboutPage: function(companyUrl, currentUrl) {
+        var toPath = function(url) {
+            return String(url || '').split(/[?#]/)[0].replace(/^https?:\/\/[^/]*/i, '').replace(/\/?$/, '/').toLowerCase();
+        };
+        return !!companyUrl && toPath(currentUrl) === toPath(this.getAboutUrl(companyUrl));
+    },
+
+    /**
+     * Wait for the About page to render its details list.
+     * @returns {Promise<boolean>} True if the details loaded, false if timed out.
+     */
+    waitForAbout: function() {
+        return new Promise(function(resolve) {
+            var maxWaitMs = 10000;
+            var pollIntervalMs = 500;
+            var elapsed = 0;
+
+            var poll = setInterval(function() {
+                if (document.querySelector(CompanySelectors.ABOUT_DETAILS)) {
+                    clearInterval(poll);
+                    resolve(true);
+                    return;
+                }
+                elapsed += pollIntervalMs;
+                if (elapsed >= maxWaitMs) {
+                    clearInterval(poll);
+                    console.warn('[LiSeSca] Company About page did not load after ' + maxWaitMs + 'ms.');
+                    resolve(false);
+                }
+            }, pollIntervalMs);
+        });
+    },
+
+    /**
+     * Read the label/value pairs of the About page details list.
+     * A label followed by several values (e.g. company size and associated
+     * members) yields one pair per value.
+     * @returns {Array<Array<string>>} [label, value] pairs, in page order.
+     */
+    readAboutPairs: function() {
+        var pairs = [];
+        var list = document.querySelector(CompanySelectors.ABOUT_DETAILS);
+        if (!list) {
+            return pairs;
+        }
+        var label = '';
+        Array.prototype.forEach.call(list.children, function(child) {
+            var text = (child.textContent || '').trim().replace(/\s+/g, ' ');
+            if (child.matches(CompanySelectors.ABOUT_LABEL)) {
+                label = text;
+            } else if (child.matches(CompanySelectors.ABOUT_VALUE) && label && text) {
+                pairs.push([label, text]);
+            }
+        });
+        return pairs;
+    },
+
+    /**
+     * Compute the enrichment fields from the About page details.
+     * @param {Array<Array<string>>} pairs - [label, value] pairs (see readAboutPairs).
+     * @param {Date} now - The visit time.
+     * @returns {Object} The About fields listed at the top of this module, plus
+     *   industry when the page names one (it replaces the search card's).
+     */
+    buildAboutFields: function(pairs, now) {
+        var fields = {
+            website: '',
+            companySize: '',
+            employeeCountMin: null,
+            employeeCountMax: null,
+            headquarters: '',
+            foundedYear: null,
+            specialties: [],
+            aboutVisitedAt: now.toISOString()
+        };
+
+        pairs.forEach(function(pair) {
+            var label = pair[0].toLowerCase();
+            var value = pair[1];
+            if (label.indexOf('website') !== -1 && !fields.website) {
+                fields.website = value;
+            } else if (label.indexOf('size') !== -1 && !fields.companySize) {
+                // The first value is the size band; "N associated members" follows it
+                var employees = JobNormalizer.parseEmployeeCount(value);
+                fields.companySize = value;
+                fields.employeeCountMin = employees.min;
+                fields.employeeCountMax = employees.max;
+            } else if (label.indexOf('headquarters') !== -1) {
+                fields.headquarters = value;
+            } else if (label.indexOf('founded') !== -1) {
+                var year = value.match(/\b(1[5-9]|20)\d{2}\b/);
+                fields.foundedYear = year ? parseInt(year[0], 10) : null;
+            } else if (label.indexOf('specialt') !== -1) {
+                // "Cloud, AI, and Developer Tools" — names may contain "and" themselves
+                fields.specialties = value.split(/\s*,\s*/).map(function(item) {
+                    return item.replace(/^and\s+/i, '');
+                }).filter(function(item) {
+                    return item !== '';
+                });
+            } else if (label.indexOf('industry') !== -1) {
+                fields.industry = value;
+            }
+        });
+
+        return fields;
+    },
+
+    /**
+     * Extract the enrichment fields from the About page being shown.
+     * @returns {Object} The fields of buildAboutFields.
+     */
+    extractAbout: function() {
+        return this.buildAboutFields(this.readAboutPairs(), new Date());
+    }
+};
@@ -0,0 +1,306 @@
+// ===== OUTPUT GENERATION (COMPANIES) =====
+// Formats scraped company data into XLSX, CSV, Markdown, Markdown bundle
+// (ZIP), HTML report, JSON and JSON Lines; the format-independent steps
+// are in Export.
+import { CONFIG } from '../shared/config.js';
+import { Export } from '../shared/export.js';
+import { MarkdownBundle } from '../shared/markdown-bundle.js';
+import { HtmlReport } from '../shared/html-report.js';
+import { ExportProfiles } from '../shared/export-profiles.js';
+import { XlsxWorkbook } from '../shared/xlsx-workbook.js';
+
+export const CompanyOutput = {
+
+    /** Export mode name (see Export) */
+    MODE: 'companies',
+
+    /** Name of the results sheet in XLSX exports */
+    SHEET_NAME: 'LinkedIn Companies',
+
+    /**
+     * Default columns for XLSX and CSV export (company property → header).
+     * Export profiles can hide, reorder and rename them by key.
+     */
+    COLUMNS: [
+        { key: 'companyName', header: 'Company' },
+        { key: 'industry', header: 'Industry' },
+        { key: 'location', header: 'Location' },
+        { key: 'city', header: 'City' },
+        { key: 'region', header: 'Region' },
+        { key: 'country', header: 'Country' },
+        { key: 'metroArea', header: 'Metro Area' },
+        { key: 'followers', header: 'Followers' },
+        { key: 'followerCount', header: 'Followers (count)' },
+        { key: 'companyUrl', header: 'LinkedIn URL' },
+        { key: 'website', header: 'Website' },
+        { key: 'companySize', header: 'Company Size' },
+        { key: 'employeeCountMin', header: 'Employees (min)' },
+        { key: 'employeeCountMax', header: 'Employees (max)' },
+        { key: 'headquarters', header: 'Headquarters' },
+        { key: 'foundedYear', header: 'Founded' },
+        { key: 'specialties', header: 'Specialties' }
+    ],
+
+    /** Example Markdown template offered in the template editor */
+    EXAMPLE_MARKDOWN_TEMPLATE: [
+        '# {{companyName}}',
+        '',
+        '{{#if industry}}**Industry:** {{industry}}{{/if}}',
+        '{{#if location}}**Location:** {{location}}{{/if}}',
+        '{{#if followers}}**Followers:** {{followers}}{{/if}}',
+        '{{#if website}}**Website:** {{website}}{{/if}}',
+        '{{#if companySize}}**Size:** {{companySize}}{{/if}}',
+        '{{#if headquarters}}**Headquarters:** {{headquarters}}{{/if}}',
+        '{{#if foundedYear}}**Founded:** {{foundedYear}}{{/if}}',
+        '{{#if specialties}}',
+        '',
+        '## Specialties',
+        '{{#each specialties}}',
+        '- {{this}}',
+        '{{/each}}',
+        '{{/if}}',
+        '',
+        '[LinkedIn]({{companyUrl}})'
+    ].join('\n'),
+
+    /**
+     * Get the columns to export, honoring the active export profile.
+     * @returns {Array<Object>} { key, header } columns, in export order.
+     */
+    getExportColumns: function() {
+        return ExportProfiles.getActiveColumns('companies', this.COLUMNS);
+    },
+
+    /**
+     * Convert a company object into a row array.
+     * @param {Object} company - A company data object.
+     * @param {Array<Object>} columns - { key, header } columns to include.
+     * @returns {Array<string|number>} Array of cell values.
+     */
+    companyToRow: function(company, columns) {
+        return columns.map(function(column) {
+            var value = company[column.key];
+            if (Array.isArray(value)) {
+                return value.join(', ');
+            }
+            return (value === null || value === undefined) ? '' : value;
+        });
+    },
+
+    /**
+     * Format a single company as a Markdown block (built-in layout).
+     * @param {Object} company - A company data object.
+     * @returns {string} Markdown-formatted company block.
+     */
+    formatCompanyMarkdown: function(company) {
+        var lines = [];
+        lines.push('# ' + (company.companyName || '(unnamed)'));
+        lines.push('');
+
+        if (company.industry) {
+            lines.push('**Industry:** ' + company.industry);
+        }
+        if (company.location) {
+            lines.push('**Location:** ' + company.location);
+        }
+        if (company.followers) {
+            lines.push('**Followers:** ' + company.followers);
+        }
+        if (company.website) {
+            lines.push('**Website:** ' + company.website);
+        }
+        if (company.companySize) {
+            lines.push('**Size:** ' + company.companySize);
+        }
+        if (company.headquarters) {
+            lines.push('**Headquarters:** ' + company.headquarters);
+        }
+        if (company.foundedYear) {
+            lines.push('**Founded:** ' + company.foundedYear);
+        }
+        if (company.specialties && company.specialties.length > 0) {
+            lines.push('**Specialties:** ' + company.specialties.join(', '));
+        }
+        if (company.companyUrl) {
+            lines.push('**LinkedIn:** ' + company.companyUrl);
+        }
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Format a company for Markdown exports (user template or built-in layout).
+     * @param {Object} company - A company data object.
+     * @returns {string} The Markdown block.
+     */
+    formatCompanyForExport: function(company) {
+        return Export.renderMarkdownRecord('companies', company, function(record) {
+            return CompanyOutput.formatCompanyMarkdown(record);
+        });
+    },
+
+    /**
+     * Generate a complete Markdown document from an array of companies.
+     * @param {Array} companies - Array of company data objects.
+     * @returns {string} The complete Markdown content.
+     */
+    generateMarkdown: function(companies) {
+        var blocks = companies.map(function(company) {
+            return CompanyOutput.formatCompanyForExport(company);
+        });
+        return blocks.join('\n\n---\n\n') + '\n';
+    },
+
+    /**
+     * Generate a ZIP bundle with one Markdown note per company.
+     * Filenames combine the name with the company slug, which keeps
+     * namesakes apart.
+     * @param {Array} companies - Array of company data objects.
+     * @returns {Promise<Uint8Array>} The binary ZIP content.
+     */
+    generateMarkdownBundle: function(companies) {
+        var usedNames = MarkdownBundle.createUsedNames();
+        var notes = companies.map(function(company) {
+            var slugMatch = (company.companyUrl || '').match(/\/(?:company|school|showcase)\/([^/?#]+)/);
+            return {
+                fileName: MarkdownBundle.buildFileName([company.companyName, slugMatch ? slugMatch[1] : ''], usedNames),
+                title: company.companyName || '(unnamed)',
+                frontMatter: {
+                    name: company.companyName || '',
+                    industry: company.industry || '',
+                    location: company.location || '',
+                    followers: company.followerCount,
+                    website: company.website || '',
+                    employees_min: company.employeeCountMin,
+                    employees_max: company.employeeCountMax,
+                    headquarters: company.headquarters || '',
+                    founded: company.foundedYear,
+                    specialties: company.specialties || [],
+                    company_url: company.companyUrl || ''
+                },
+                body: CompanyOutput.formatCompanyForExport(company)
+            };
+        });
+        return MarkdownBundle.generateZip(notes, 'LinkedIn Companies');
+    },
+
+    /**
+     * Generate a self-contained HTML report of companies.
+     * Each row expands to the company's full Markdown rendered as HTML.
+     * @param {Array} companies - Array of company data objects.
+     * @returns {string} The complete HTML document.
+     */
+    generateHTML: function(companies) {
+        var self = this;
+        var rows = companies.map(function(company) {
+            var hasFollowers = company.followerCount !== null && company.followerCount !== undefined;
+            var hasEmployees = company.employeeCountMin !== null && company.employeeCountMin !== undefined;
+            return {
+                cells: [
+                    { text: company.companyName || '(unnamed)', href: company.companyUrl },
+                    company.industry || '',
+                    company.location || '',
+                    { text: company.followers || '', sort: hasFollowers ? company.followerCount : '' },
+                    { text: company.companySize || '', sort: hasEmployees ? company.employeeCountMin : '' },
+                    company.website ? { text: company.website, href: company.website } : ''
+                ],
+                details: self.formatCompanyMarkdown(company)
+            };
+        });
+
+        return HtmlReport.generate({
+            title: 'LinkedIn Companies',
+            metadata: Export.buildReportMetadata('companies', companies.length),
+            columns: ['Company', 'Industry', 'Location', 'Followers', 'Size', 'Website'],
+            rows: rows
+        });
+    },
+
+    /**
+     * Generate a CSV string from an array of companies.
+     * @param {Array} companies - Array of company data objects.
+     * @returns {string} The complete CSV content.
+     */
+    generateCSV: function(companies) {
+        var self = this;
+        var columns = this.getExportColumns();
+        var lines = [columns.map(function(column) {
+            return Export.escapeCSVField(column.header);
+        }).join(',')];
+
+        companies.forEach(function(company) {
+            lines.push(self.companyToRow(company, columns).map(function(cell) {
+                return Export.escapeCSVField(cell);
+            }).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Build a formatted companies worksheet, honoring the active export profile.
+     * @param {Array} companies - Array of company data objects.
+     * @param {Array<Object>} [columns] - { key, header } columns (default: export columns).
+     * @returns {Object} The SheetJS worksheet.
+     */
+    buildSheet: function(companies, columns) {
+        var self = this;
+        columns = columns || this.getExportColumns();
+        var headers = columns.map(function(column) {
+            return column.header;
+        });
+        var rows = companies.map(function(company) {
+            return self.companyToRow(company, columns);
+        });
+        return XlsxWorkbook.buildTableSheet(headers, rows,
+            Export.findColumnIndexes(columns, ['companyUrl', 'website']));
+    },
+
+    /**
+     * Generate an XLSX workbook of companies, optionally with Summary and
+     * Run Metadata sheets.
+     * @param {Array} companies - Array of company data objects.
+     * @returns {Promise<Uint8Array>} The binary XLSX file content.
+     */
+    generateXLSX: function(companies) {
+        var workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, this.buildSheet(companies), this.SHEET_NAME);
+
+        if (CONFIG.XLSX_EXTRA_SHEETS) {
+            Export.appendRunSheets(workbook, 'companies', companies.length);
+        }
+
+        return XlsxWorkbook.write(workbook);
+    },
+
+    /**
+     * Merge companies into a previous export and download the merged file,
+     * in the format of that export (XLSX, JSON or JSON Lines).
+     * @param {Array} companies - Array of company data objects.
+     * @param {File} file - The previous export chosen by the user.
+     * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+     */
+    downloadMerged: function(companies, file) {
+        return Export.downloadMerged(this, companies, file);
+    },
+
+    /**
+     * Generate a company export filename.
+     * With the default pattern: YYYY-MM-DD_HH_MM_COMPANIES[_TAG]_LinkedIn.[extension]
+     * @param {string} extension - File extension.
+     * @param {string} [tag] - Optional tag for auxiliary files (e.g. 'MERGED').
+     * @param {number} [count] - Records in the file (default: the buffer size).
+     * @returns {string} The generated filename.
+     */
+    buildFilename: function(extension, tag, count) {
+        return Export.formatFilename('COMPANIES', extension, tag, count);
+    },
+
+    /**
+     * Download company results in the selected formats.
+     * @param {Array} companies - Array of company data objects.
+     */
+    downloadResults: function(companies) {
+        Export.downloadResults(this, companies);
+    }
+};
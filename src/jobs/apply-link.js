@@ -0,0 +1,241 @@
+// ===== EXTERNAL APPLY LINK =====
+// Resolves where a job's "Apply" button leads when the job is applied for
+// on the company's own site. The detail panel does not contain that URL,
+// so it is read from LinkedIn's job posting data or, failing that, caught
+// when the Apply button tries to open it in a new tab. The page itself is
+// never left. Tracking parameters are removed from the resolved URL.
+import { JobSelectors } from '../selectors/jobs.js';
+
+export const ApplyLinkResolver = {
+    /** Job posting data endpoint of LinkedIn's own web client */
+    POSTING_URL: 'https://www.linkedin.com/voyager/api/jobs/jobPostings/',
+
+    /** How long to wait for the Apply button to open a URL */
+    CLICK_TIMEOUT_MS: 3000,
+
+    /** Query parameters that only serve tracking */
+    TRACKING_PARAMS: ['gclid', 'fbclid', 'msclkid', 'dclid', 'trk', 'trackingid', 'refid', 'lipi',
+        'li_fat_id', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'gh_src'],
+
+    /** Query parameters that are dropped when they only name LinkedIn as the source */
+    SOURCE_PARAMS: ['source', 'src', 'ref', 'referrer', 'referer', 'lever-source', 'lever-source[]', 'iis', 'codes'],
+
+    /**
+     * Tell whether a query parameter only serves tracking.
+     * @param {string} name - The parameter name.
+     * @param {string} value - The parameter value.
+     * @returns {boolean} True if the parameter can be removed.
+     */
+    isTrackingParam: function(name, value) {
+        var key = name.toLowerCase();
+        if (/^utm_/.test(key) || this.TRACKING_PARAMS.indexOf(key) !== -1) {
+            return true;
+        }
+        return this.SOURCE_PARAMS.indexOf(key) !== -1 && /linkedin/i.test(value);
+    },
+
+    /**
+     * Clean an apply URL: unwrap LinkedIn redirects and remove tracking parameters.
+     * @param {string} url - The URL as found.
+     * @returns {string} The cleaned absolute URL, or '' if it is not a web URL.
+     */
+    cleanUrl: function(url) {
+        var parsed;
+        try {
+            parsed = new URL(String(url || '').trim());
+        } catch (error) {
+            return '';
+        }
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+            return '';
+        }
+
+        // e.g. https://www.linkedin.com/redir/redirect?url=...
+        var target = parsed.searchParams.get('url');
+        if (/(^|\.)linkedin\.com$/i.test(parsed.hostname) && target) {
+            return this.cleanUrl(target);
+        }
+
+        var self = this;
+        var removable = [];
+        parsed.searchParams.forEach(function(value, name) {
+            if (self.isTrackingParam(name, value)) {
+                removable.push(name);
+            }
+        });
+        removable.forEach(function(name) {
+            parsed.searchParams.delete(name);
+        });
+        return parsed.toString();
+    },
+
+    /**
+     * Find the first value of a property anywhere in parsed JSON.
+     * @param {*} data - The parsed JSON.
+     * @param {string} key - The property name.
+     * @returns {*} The value, or undefined if not found.
+     */
+    findProperty: function(data, key) {
+        if (!data || typeof data !== 'object') {
+            return undefined;
+        }
+        if (!Array.isArray(data) && Object.prototype.hasOwnProperty.call(data, key)) {
+            return data[key];
+        }
+        var values = Array.isArray(data) ? data : Object.keys(data).map(function(name) {
+            return data[name];
+        });
+        for (var i = 0; i < values.length; i++) {
+            var found = this.findProperty(values[i], key);
+            if (found !== undefined) {
+                return found;
+            }
+        }
+        return undefined;
+    },
+
+    /**
+     * Read LinkedIn's CSRF token, which its API expects as a header.
+     * @returns {string} The token, or '' if not logged in.
+     */
+    getCsrfToken: function() {
+        var match = document.cookie.match(/(?:^|;\s*)JSESSIONID="?([^";]+)"?/);
+        return match ? match[1] : '';
+    },
+
+    /**
+     * Read the external apply URL from the job posting data.
+     * @param {string} jobId - The LinkedIn job ID.
+     * @returns {Promise<string>} The raw URL; rejects if it cannot be read.
+     */
+    fetchFromPostingData: function(jobId) {
+        var self = this;
+        var csrfToken = this.getCsrfToken();
+        return new Promise(function(resolve, reject) {
+            if (!csrfToken) {
+                reject(new Error('No LinkedIn session cookie'));
+                return;
+            }
+            GM_xmlhttpRequest({
+                method: 'GET',
+                url: self.POSTING_URL + encodeURIComponent(jobId),
+                headers: {
+                    'csrf-token': csrfToken,
+                    'accept': 'application/vnd.linkedin.normalized+json+2.1',
+                    'x-restli-protocol-version': '2.0.0'
+                },
+                onload: function(response) {
+                    if (response.status !== 200) {
+                        reject(new Error('Job posting request failed: ' + response.status));
+                        return;
+                    }
+                    try {
+                        var url = self.findProperty(JSON.parse(response.responseText), 'companyApplyUrl');
+                        if (!url) {
+                            reject(new Error('No company apply URL in the job posting data'));
+                            return;
+                        }
+                        resolve(url);
+                    } catch (error) {
+                        reject(new Error('Failed to parse job posting data: ' + error.message));
+                    }
+                },
+                onerror: function() {
+                    reject(new Error('Network error'));
+                },
+                ontimeout: function() {
+                    reject(new Error('Request timeout'));
+                },
+                timeout: 15000
+            });
+        });
+    },
+
+    /**
+     * Click the Apply button and catch the URL it opens, without opening it.
+     * Both window.open calls and clicks on new-tab links are intercepted
+     * until a URL is caught or the timeout passes; a dialog LinkedIn shows
+     * instead is closed.
+     * @returns {Promise<string>} The raw URL; rejects if none was caught.
+     */
+    captureFromButton: function() {
+        var self = this;
+        var applyBtn = document.querySelector(JobSelectors.DETAIL_APPLY_BUTTON);
+        if (!applyBtn) {
+            return Promise.reject(new Error('No Apply button'));
+        }
+        // Some layouts render the button as a plain link
+        if (applyBtn.tagName === 'A' && applyBtn.href && !/linkedin\.com/i.test(applyBtn.hostname)) {
+            return Promise.resolve(applyBtn.href);
+        }
+
+        var pageWindow = (typeof unsafeWindow !== 'undefined') ? unsafeWindow : window;
+        var originalOpen = pageWindow.open;
+
+        return new Promise(function(resolve, reject) {
+            var timer = null;
+            var done = false;
+
+            function finish(url) {
+                if (done) {
+                    return;
+                }
+                done = true;
+                pageWindow.open = originalOpen;
+                document.removeEventListener('click', onLinkClick, true);
+                clearTimeout(timer);
+                var dialogDismiss = document.querySelector(JobSelectors.MODAL_DISMISS);
+                if (dialogDismiss) {
+                    dialogDismiss.click();
+                }
+                if (url) {
+                    resolve(url);
+                } else {
+                    reject(new Error('The Apply button did not open a URL'));
+                }
+            }
+
+            function onLinkClick(event) {
+                var link = event.target.closest ? event.target.closest('a[href]') : null;
+                if (link && link.target === '_blank' && !/linkedin\.com/i.test(link.hostname)) {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    finish(link.href);
+                }
+            }
+
+            pageWindow.open = function(url) {
+                finish(url ? String(url) : '');
+                return null;
+            };
+            document.addEventListener('click', onLinkClick, true);
+            timer = setTimeout(function() {
+                finish('');
+            }, self.CLICK_TIMEOUT_MS);
+
+            applyBtn.click();
+        });
+    },
+
+    /**
+     * Resolve the external apply URL of the job shown in the detail panel.
+     * @param {string} jobId - The LinkedIn job ID.
+     * @param {string} mode - 'data' (posting data only) or 'click' (posting data, then the Apply button).
+     * @returns {Promise<string>} The cleaned URL, or '' if it could not be resolved.
+     */
+    resolve: function(jobId, mode) {
+        var self = this;
+        return this.fetchFromPostingData(jobId).catch(function(error) {
+            console.warn('[LiSeSca] Apply URL not in posting data for job ' + jobId + ': ' + error.message);
+            if (mode !== 'click') {
+                throw error;
+            }
+            return self.captureFromButton();
+        }).then(function(url) {
+            return self.cleanUrl(url);
+        }).catch(function(error) {
+            console.warn('[LiSeSca] Could not resolve apply URL for job ' + jobId + ': ' + error.message);
+            return '';
+        });
+    }
+};
@@ -39,6 +39,43 @@ export const JobController = {
         }
     },
 
+    /**
+     * Attach the AI decision path to a job record, so the export shows
+     * why the filter kept it.
+     * @param {Object} job - The job data object (modified in place).
+     * @param {Object} decision - { triageDecision, triageReason, fullVerdict, fullReason }.
+     * @returns {Object} The same job object.
+     */
+    applyAIDecision: function(job, decision) {
+        job.aiTriageDecision = decision.triageDecision || '';
+        job.aiTriageReason = decision.triageReason || '';
+        job.aiFullVerdict = decision.fullVerdict || '';
+        job.aiFullReason = decision.fullReason || '';
+        job.aiModel = AIClient.getModel();
+        job.aiEvaluatedAt = new Date().toISOString();
+        return job;
+    },
+
+    /**
+     * Keep the basics of an AI-rejected job in the rejected buffer,
+     * so false negatives can be spot-checked after the run.
+     * @param {string} jobId - The LinkedIn job ID.
+     * @param {Object} jobData - Card basics or a full job object.
+     * @param {Object} decision - The AI decision path (see applyAIDecision).
+     */
+    recordRejectedJob: function(jobId, jobData, decision) {
+        var rejected = {
+            jobId: jobId,
+            jobTitle: jobData.jobTitle || '',
+            company: jobData.company || '',
+            location: jobData.location || '',
+            jobLink: 'https://www.linkedin.com/jobs/view/' + jobId + '/',
+            cardInsight: jobData.cardInsight || ''
+        };
+        this.applyAIDecision(rejected, decision);
+        State.appendRejected([rejected]);
+    },
+
     /**
      * Start a new job scraping session.
      * @param {string} pageCount - Number of pages ('1', '3', '5', '10').
@@ -295,10 +332,17 @@ export const JobController = {
                                     State.incrementAIJobsAccepted();
                                     UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
                                     UI.showStatus(statusMsg + ' — AI: Accept');
-                                    return job;
+                                    return self.applyAIDecision(job, {
+                                        fullVerdict: 'accept',
+                                        fullReason: reason
+                                    });
                                 }
                                 
                                 console.log('[LiSeSca] AI REJECT (no card): ' + job.jobTitle + (reason ? ' - ' + reason : ''));
+                                self.recordRejectedJob(jobId, job, {
+                                    fullVerdict: 'reject',
+                                    fullReason: reason
+                                });
                                 UI.showStatus(statusMsg + ' — AI: Reject');
                                 State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
                                 return Emulator.randomDelay(300, 600).then(function() {
@@ -337,6 +381,10 @@ export const JobController = {
                                 console.log('[LiSeSca] AI TRIAGE REJECT: ' + cardData.jobTitle);
                                 console.log('  Link: ' + jobLink);
                                 console.log('  Reason: ' + reason);
+                                self.recordRejectedJob(jobId, cardData, {
+                                    triageDecision: decision,
+                                    triageReason: reason
+                                });
                                 UI.showStatus(statusMsg + ' — AI: Reject');
                                 State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
                                 // Click card so LinkedIn marks it as "Viewed" — prevents re-triaging on future runs
@@ -355,7 +403,15 @@ export const JobController = {
                                 State.incrementAIJobsAccepted();
                                 UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
                                 UI.showStatus(statusMsg + ' — AI: Keep');
-                                return JobExtractor.extractFullJob(jobId);
+                                return JobExtractor.extractFullJob(jobId).then(function(job) {
+                                    if (job) {
+                                        self.applyAIDecision(job, {
+                                            triageDecision: decision,
+                                            triageReason: reason
+                                        });
+                                    }
+                                    return job;
+                                });
                             }
 
                             // Maybe: fetch full details, then ask AI again
@@ -391,7 +447,12 @@ export const JobController = {
                                         State.incrementAIJobsAccepted();
                                         UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
                                         UI.showStatus(statusMsg + ' — AI: Accept');
-                                        return job;
+                                        return self.applyAIDecision(job, {
+                                            triageDecision: decision,
+                                            triageReason: reason,
+                                            fullVerdict: 'accept',
+                                            fullReason: evalReason
+                                        });
                                     }
 
                                     // Reject after full evaluation: skip
@@ -399,6 +460,12 @@ export const JobController = {
                                     console.log('[LiSeSca] AI FULL REJECT: ' + job.jobTitle);
                                     console.log('  Link: ' + jobLink);
                                     console.log('  Reason: ' + evalReason);
+                                    self.recordRejectedJob(jobId, job, {
+                                        triageDecision: decision,
+                                        triageReason: reason,
+                                        fullVerdict: 'reject',
+                                        fullReason: evalReason
+                                    });
                                     UI.showStatus(statusMsg + ' — AI: Reject (full)');
                                     State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
                                     return Emulator.randomDelay(300, 600).then(function() {
@@ -425,6 +492,7 @@ export const JobController = {
 
                             if (!shouldDownload) {
                                 console.log('[LiSeSca] AI skipped job: ' + cardData.jobTitle);
+                                self.recordRejectedJob(jobId, cardData, { triageDecision: 'skip' });
                                 UI.showStatus(statusMsg + ' — AI: Skip');
                                 State.set(State.KEYS.JOB_INDEX, jobIndex + 1);
                                 // Click card so LinkedIn marks it as "Viewed" — prevents re-triaging on future runs
@@ -440,7 +508,13 @@ export const JobController = {
                             console.log('[LiSeSca] AI approved job: ' + cardData.jobTitle);
                             State.incrementAIJobsAccepted();
                             UI.showAIStats(State.getAIJobsEvaluated(), State.getAIJobsAccepted());
-                            return JobExtractor.extractFullJob(jobId);
+                            return JobExtractor.extractFullJob(jobId).then(function(job) {
+                                if (job) {
+                                    // Basic mode has no triage tiers, only download/skip
+                                    self.applyAIDecision(job, { triageDecision: 'download' });
+                                }
+                                return job;
+                            });
                         });
                     }
                 });
@@ -583,8 +657,7 @@ export const JobController = {
         UI.showProgress('');
         UI.hideAIStats();
 
-        // Always show the summary instead of automatic download/clear
-        UI.showSummary({
+        var stats = {
             type: 'jobs',
             pages: pagesScraped,
             processed: totalProcessed,
@@ -594,8 +667,18 @@ export const JobController = {
             aiEvaluated: aiEvaluated,
             aiTriaged: aiTriaged,
             aiFullEvaluated: aiFullEvaluated,
-            aiAccepted: aiAccepted
-        }, interrupted);
+            aiAccepted: aiAccepted,
+            rejected: State.getRejected().length
+        };
+
+        // Kept for the XLSX Summary sheet
+        State.saveRunStats(Object.assign({
+            interrupted: !!interrupted,
+            finishedAt: new Date().toISOString()
+        }, stats));
+
+        // Always show the summary instead of automatic download/clear
+        UI.showSummary(stats, interrupted);
     },
 
     /**
@@ -619,5 +702,110 @@ export const JobController = {
         } else {
             console.warn('[LiSeSca] No jobs in buffer to download.');
         }
+    },
+
+    /**
+     * Merge the results into a previous export and download the merged file
+     * (called by UI summary panel).
+     * @param {File} file - The previous XLSX, JSON or JSON Lines export.
+     * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+     */
+    mergeResults: function(file) {
+        var buffer = State.getBuffer();
+        if (buffer.length === 0) {
+            return Promise.reject(new Error('No jobs in buffer to merge.'));
+        }
+        return JobOutput.downloadMerged(buffer, file);
+    },
+
+    /** Whether a job page capture is in progress */
+    capturing: false,
+
+    /**
+     * Capture the job shown on a standalone job page into the job clipboard
+     * (the "Capture this job" button). With AI evaluation, the verdict is
+     * recorded on the job; the job is captured either way.
+     * @param {boolean} aiEnabled - True to run the full AI evaluation.
+     * @returns {Promise<Object|null>} The captured job, or null on failure.
+     */
+    captureJobView: function(aiEnabled) {
+        var self = this;
+        var jobId = PageDetector.getJobViewId();
+        if (!jobId || this.capturing) {
+            return Promise.resolve(null);
+        }
+        this.capturing = true;
+        UI.updateClipboardInfo('Capturing job ' + jobId + '...');
+
+        return JobExtractor.extractJobView(jobId).then(function(job) {
+            if (!job || !aiEnabled || !CONFIG.isAIConfigured()) {
+                return job;
+            }
+            UI.updateClipboardInfo('AI: Full evaluation...');
+            return AIClient.evaluateFullJob(JobOutput.formatJobMarkdown(job)).then(function(evalResult) {
+                console.log('[LiSeSca] AI ' + (evalResult.accept ? 'accepted' : 'rejected')
+                    + ' captured job: ' + job.jobTitle + ' - ' + evalResult.reason);
+                return self.applyAIDecision(job, {
+                    fullVerdict: evalResult.accept ? 'accept' : 'reject',
+                    fullReason: evalResult.reason
+                });
+            });
+        }).then(function(job) {
+            self.capturing = false;
+            if (!job) {
+                UI.updateClipboardInfo('Could not read this job — is the page fully loaded?');
+                return null;
+            }
+            var isNew = State.addToJobClipboard(job);
+            var message = (isNew ? 'Captured: ' : 'Updated: ') + job.jobTitle;
+            if (job.aiFullVerdict) {
+                message += ' — AI: ' + (job.aiFullVerdict === 'accept' ? 'Accept' : 'Reject');
+            }
+            UI.updateClipboardInfo(message);
+            return job;
+        }).catch(function(error) {
+            self.capturing = false;
+            console.error('[LiSeSca] Job capture failed:', error);
+            UI.updateClipboardInfo('Capture failed: ' + error.message);
+            return null;
+        });
+    },
+
+    /**
+     * Download the job clipboard in the formats selected in the panel, as a
+     * standalone export: the clipboard is not tied to the last scrape session.
+     */
+    exportClipboard: function() {
+        var clipboard = State.getJobClipboard();
+        if (clipboard.length === 0) {
+            UI.updateClipboardInfo('The clipboard is empty.');
+            return;
+        }
+        var selectedFormats = State.readFormatsFromUI();
+        if (selectedFormats.length === 0) {
+            selectedFormats = ['xlsx'];
+        }
+        State.saveFormats(selectedFormats);
+        JobOutput.downloadResults(clipboard, 'CLIPBOARD', true);
+    },
+
+    /**
+     * Empty the job clipboard.
+     */
+    clearClipboard: function() {
+        State.clearJobClipboard();
+        UI.updateClipboardInfo('Clipboard cleared.');
+    },
+
+    /**
+     * Trigger the download of AI-rejected jobs (called by UI summary panel)
+     */
+    downloadRejected: function() {
+        var rejected = State.getRejected();
+        if (rejected.length > 0) {
+            JobOutput.downloadRejected(rejected);
+        } else {
+            console.warn('[LiSeSca] No rejected jobs to download.');
+        }
     }
 };
@@ -1,9 +1,15 @@
 // ===== JOB DATA EXTRACTION =====
 // Extracts job data from the left-panel cards and right-panel detail view.
 // The flow is: click a card → wait for detail panel → extract all fields.
+import { CONFIG } from '../shared/config.js';
 import { JobSelectors } from '../selectors/jobs.js';
 import { Emulator } from '../people/emulator.js';
 import { htmlToMarkdown } from '../shared/turndown.js';
+import { JobNormalizer } from './normalizer.js';
+import { SalaryParser } from './salary.js';
+import { LocationParser } from '../shared/location.js';
+import { SkillExtractor } from './skills.js';
+import { ApplyLinkResolver } from './apply-link.js';
 
 export const JobExtractor = {
     /**
@@ -474,6 +480,24 @@ export const JobExtractor = {
         return result;
     },
 
+    /**
+     * Extract the salary shown in the top card insights or fit-preference
+     * buttons (e.g. "$120K/yr - $150K/yr").
+     * @returns {Object|null} Parsed salary fields, or null if none is shown.
+     */
+    extractDetailSalary: function() {
+        var elements = document.querySelectorAll(
+            JobSelectors.DETAIL_FIT_PREFS + ', ' + JobSelectors.DETAIL_TOP_CARD_INSIGHT
+        );
+        for (var i = 0; i < elements.length; i++) {
+            var salary = SalaryParser.parse((elements[i].textContent || '').trim());
+            if (salary) {
+                return salary;
+            }
+        }
+        return null;
+    },
+
     /**
      * Extract the apply link or determine if it's Easy Apply.
      * @returns {string} The apply URL or "Easy Apply" indication.
@@ -488,7 +512,7 @@ export const JobExtractor = {
         var externalIcon = applyBtn.querySelector('[data-test-icon="link-external-small"]');
         if (externalIcon) {
             // External apply — the actual URL is not directly visible,
-            // so we note it as "External Apply"
+            // so we note it as "External Apply" (see ApplyLinkResolver)
             return 'External Apply';
         }
 
@@ -510,6 +534,145 @@ export const JobExtractor = {
         return el ? (el.textContent || '').trim() : '';
     },
 
+    /**
+     * Split a LinkedIn skill list such as "Python, SQL, and Data Analysis".
+     * A trailing "+3 more" is dropped.
+     * @param {string} text - The list text.
+     * @returns {Array<string>} The skill names.
+     */
+    parseSkillList: function(text) {
+        return String(text || '').split(/\s*,\s*(?:and\s+)?|\s+and\s+/).map(function(skill) {
+            return skill.replace(/\s+/g, ' ').trim();
+        }).filter(function(skill) {
+            return skill !== '' && !/^\+\s*\d+\s+more$/i.test(skill);
+        });
+    },
+
+    /**
+     * Extract the "How you match" skills module.
+     * Each item has a title such as "3 skills on your profile" or
+     * "7 skills missing on your profile" and a list of the skills.
+     * The counts in the titles are used for the ratio, since the lists
+     * may be shortened.
+     * @returns {Object} { matchedSkills, missingSkills, skillsMatchRatio }
+     *     (ratio 0-1, or null when the module is not shown).
+     */
+    extractDetailSkillsMatch: function() {
+        var result = { matchedSkills: [], missingSkills: [], skillsMatchRatio: null };
+        var section = document.querySelector(JobSelectors.DETAIL_SKILLS_MATCH);
+        if (!section) {
+            return result;
+        }
+
+        var matchedCount = null;
+        var missingCount = null;
+        var items = section.querySelectorAll(JobSelectors.DETAIL_SKILLS_MATCH_ITEM);
+        for (var i = 0; i < items.length; i++) {
+            var listEl = items[i].querySelector(JobSelectors.DETAIL_SKILLS_MATCH_ITEM_LIST);
+            var listText = listEl ? (listEl.textContent || '') : '';
+            var titleText = (items[i].textContent || '').replace(listText, '');
+            var skills = this.parseSkillList(listText);
+            var countMatch = titleText.match(/(\d+)\s+skills?/i);
+            var count = countMatch ? parseInt(countMatch[1], 10) : skills.length;
+
+            if (/missing/i.test(titleText)) {
+                result.missingSkills = skills;
+                missingCount = count;
+            } else if (/on your profile/i.test(titleText)) {
+                result.matchedSkills = skills;
+                matchedCount = count;
+            }
+        }
+
+        // "3 of 10 skills match your profile" where only the summary is shown
+        var summary = (section.textContent || '').match(/(\d+)\s+of\s+(\d+)\s+skills?\s+match/i);
+        if (summary) {
+            matchedCount = parseInt(summary[1], 10);
+            missingCount = parseInt(summary[2], 10) - matchedCount;
+        }
+
+        var total = (matchedCount || 0) + (missingCount || 0);
+        if (total > 0) {
+            result.skillsMatchRatio = Math.round((matchedCount || 0) / total * 100) / 100;
+        }
+        return result;
+    },
+
+    /**
+     * Extract the members of the "Meet the hiring team" section.
+     * @returns {Array<Object>} { name, headline, profileUrl, connectionDegree } per member;
+     *     connectionDegree is 1, 2, 3 or 0 if not shown.
+     */
+    extractDetailHiringTeam: function() {
+        var members = document.querySelectorAll(JobSelectors.DETAIL_HIRING_TEAM_MEMBER);
+        var team = [];
+
+        for (var i = 0; i < members.length; i++) {
+            var member = members[i];
+            var link = member.querySelector('a[href*="/in/"]');
+            var nameEl = member.querySelector(JobSelectors.DETAIL_HIRING_TEAM_NAME) || link;
+            var name = nameEl ? (nameEl.textContent || '').trim() : '';
+            if (!name) {
+                continue;
+            }
+
+            var degreeEl = member.querySelector(JobSelectors.DETAIL_HIRING_TEAM_DEGREE);
+            var degreeMatch = degreeEl ? (degreeEl.textContent || '').match(/(\d+)(st|nd|rd|th)/) : null;
+
+            // The headline is the first small text that is not the degree or a badge
+            var headline = '';
+            var smallTexts = member.querySelectorAll(JobSelectors.DETAIL_HIRING_TEAM_HEADLINE);
+            for (var j = 0; j < smallTexts.length; j++) {
+                var text = (smallTexts[j].textContent || '').replace(/\s+/g, ' ').trim();
+                if (text && !smallTexts[j].contains(nameEl) && !(degreeEl && smallTexts[j].contains(degreeEl))
+                    && !/^job poster$/i.test(text)) {
+                    headline = text;
+                    break;
+                }
+            }
+
+            var profileUrl = '';
+            if (link && link.href) {
+                try {
+                    var url = new URL(link.href);
+                    profileUrl = url.origin + url.pathname;
+                } catch (error) {
+                    profileUrl = link.href;
+                }
+            }
+
+            team.push({
+                name: name,
+                headline: headline,
+                profileUrl: profileUrl,
+                connectionDegree: degreeMatch ? parseInt(degreeMatch[1], 10) : 0
+            });
+        }
+        return team;
+    },
+
+    /**
+     * Flatten the hiring team into one text per property for XLSX and CSV.
+     * Members are separated by '; ' in each column.
+     * @param {Array<Object>} team - Members from extractDetailHiringTeam.
+     * @returns {Object} { hiringTeamNames, hiringTeamHeadlines, hiringTeamProfileUrls, hiringTeamDegrees }
+     */
+    flattenHiringTeam: function(team) {
+        function join(property) {
+            return team.map(function(member) {
+                return member[property] || '';
+            }).join('; ');
+        }
+        return {
+            hiringTeamNames: join('name'),
+            hiringTeamHeadlines: join('headline'),
+            hiringTeamProfileUrls: join('profileUrl'),
+            hiringTeamDegrees: team.map(function(member) {
+                return member.connectionDegree ? String(member.connectionDegree) : '';
+            }).join('; ')
+        };
+    },
+
     /**
      * Extract the full job description and convert HTML to Markdown.
      * @returns {string} The job description in Markdown format.
@@ -617,18 +780,7 @@ export const JobExtractor = {
             // that only render when scrolled into view.
             var detailPanel = document.querySelector('.jobs-search__job-details--container')
                 || document.querySelector('.scaffold-layout__detail');
-            if (detailPanel) {
-                var maxScroll = detailPanel.scrollHeight - detailPanel.clientHeight;
-                if (maxScroll > 0) {
-                    detailPanel.scrollTo({ top: maxScroll, behavior: 'smooth' });
-                }
-            }
-
-            // Brief wait for lazy-loaded bottom sections to render,
-            // then click any additional "Show more" buttons that appeared
-            return Emulator.randomDelay(600, 1000).then(function() {
-                return self.clickShowMore();
-            }).then(function() {
+            return self.loadLazySections(detailPanel).then(function() {
                 return 'ok';  // Signal that we should proceed with extraction
             });
         }).then(function(signal) {
@@ -639,42 +791,159 @@ export const JobExtractor = {
             // Extract card basics first (some data is only in the card)
             var card = document.querySelector('div[data-job-id="' + jobId + '"]');
             var cardData = card ? self.extractCardBasics(card) : { jobId: jobId };
+            return self.buildJobFromDetail(jobId, cardData);
+        });
+    },
+
+    /**
+     * Scroll to the bottom of the job details so that lazily rendered sections
+     * load, then expand any "Show more" buttons that appeared.
+     * @param {Element|null} container - The scrollable detail panel, or null to scroll the page.
+     * @returns {Promise<void>}
+     */
+    loadLazySections: function(container) {
+        var self = this;
+        if (container) {
+            var maxScroll = container.scrollHeight - container.clientHeight;
+            if (maxScroll > 0) {
+                container.scrollTo({ top: maxScroll, behavior: 'smooth' });
+            }
+        } else {
+            window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
+        }
+
+        // Brief wait for lazy-loaded bottom sections to render,
+        // then click any additional "Show more" buttons that appeared
+        return Emulator.randomDelay(600, 1000).then(function() {
+            return self.clickShowMore();
+        });
+    },
 
-            // Extract detail panel data
-            var detailTitle = self.extractDetailTitle();
-            var detailCompany = self.extractDetailCompany();
-            var tertiaryInfo = self.extractDetailTertiaryInfo();
-            var jobTypes = self.extractDetailJobTypes();
-            var applyLink = self.extractDetailApplyLink();
-            var networkInfo = self.extractDetailNetworkInfo();
-            var jobDescription = self.extractDetailJobDescription();
-            var premiumInsights = self.extractDetailPremiumInsights();
-            var aboutCompany = self.extractDetailAboutCompany();
-
-            // Merge card data with detail data (detail takes precedence)
-            var job = {
-                jobId: jobId,
-                jobTitle: detailTitle || cardData.jobTitle || '',
-                company: detailCompany || cardData.company || '',
-                location: tertiaryInfo.location || cardData.location || '',
-                postedDate: tertiaryInfo.postedDate || '',
-                applicants: tertiaryInfo.applicants || '',
-                workplaceType: jobTypes.workplaceType || '',
-                employmentType: jobTypes.employmentType || '',
-                applyLink: applyLink || '',
-                jobLink: cardData.directLink || ('https://www.linkedin.com/jobs/view/' + jobId + '/'),
-                networkConnections: networkInfo || cardData.cardInsight || '',
-                industry: aboutCompany.industry || '',
-                employeeCount: aboutCompany.employeeCount || '',
-                viewed: cardData.viewed === true,
-                jobState: cardData.jobState || '',
-                jobDescription: jobDescription || '',
-                premiumInsights: premiumInsights || '',
-                aboutCompany: aboutCompany.description || ''
-            };
-
-            console.log('[LiSeSca] Extracted job: ' + job.jobTitle + ' at ' + job.company);
+    /**
+     * Build the job record from the job details currently on the page.
+     * Works for the detail panel of the search results and for the
+     * standalone job page, which share the same sections.
+     * @param {string} jobId - The job ID.
+     * @param {Object} cardData - Card basics (see extractCardBasics), or { jobId } without a card.
+     * @returns {Promise<Object>} Complete job data object.
+     */
+    buildJobFromDetail: function(jobId, cardData) {
+        var self = this;
+
+        // Extract detail panel data
+        var detailTitle = self.extractDetailTitle();
+        var detailCompany = self.extractDetailCompany();
+        var tertiaryInfo = self.extractDetailTertiaryInfo();
+        var jobTypes = self.extractDetailJobTypes();
+        var applyLink = self.extractDetailApplyLink();
+        var networkInfo = self.extractDetailNetworkInfo();
+        var hiringTeam = self.extractDetailHiringTeam();
+        var skillsMatch = self.extractDetailSkillsMatch();
+        var jobDescription = self.extractDetailJobDescription();
+        var premiumInsights = self.extractDetailPremiumInsights();
+        var aboutCompany = self.extractDetailAboutCompany();
+
+        // Salary from the top card, or failing that from the description
+        var salary = SalaryParser.toFields(
+            self.extractDetailSalary() || SalaryParser.findInText(jobDescription)
+        );
+
+        // Merge card data with detail data (detail takes precedence)
+        var job = {
+            jobId: jobId,
+            jobTitle: detailTitle || cardData.jobTitle || '',
+            company: detailCompany || cardData.company || '',
+            location: tertiaryInfo.location || cardData.location || '',
+            postedDate: tertiaryInfo.postedDate || '',
+            applicants: tertiaryInfo.applicants || '',
+            workplaceType: jobTypes.workplaceType || '',
+            employmentType: jobTypes.employmentType || '',
+            salaryMin: salary.salaryMin,
+            salaryMax: salary.salaryMax,
+            salaryCurrency: salary.salaryCurrency,
+            salaryPeriod: salary.salaryPeriod,
+            salaryRaw: salary.salaryRaw,
+            applyLink: applyLink || '',
+            jobLink: cardData.directLink || ('https://www.linkedin.com/jobs/view/' + jobId + '/'),
+            networkConnections: networkInfo || cardData.cardInsight || '',
+            hiringTeam: hiringTeam,
+            matchedSkills: skillsMatch.matchedSkills,
+            missingSkills: skillsMatch.missingSkills,
+            skillsMatchRatio: skillsMatch.skillsMatchRatio,
+            industry: aboutCompany.industry || '',
+            employeeCount: aboutCompany.employeeCount || '',
+            viewed: cardData.viewed === true,
+            jobState: cardData.jobState || '',
+            jobDescription: jobDescription || '',
+            premiumInsights: premiumInsights || '',
+            aboutCompany: aboutCompany.description || ''
+        };
+
+        // Sortable values derived from the display texts above
+        Object.assign(job, JobNormalizer.normalize(job, new Date()));
+        Object.assign(job, LocationParser.parse(job.location, job.workplaceType));
+        Object.assign(job, SkillExtractor.analyze(job));
+        Object.assign(job, self.flattenHiringTeam(hiringTeam));
+
+        console.log('[LiSeSca] Extracted job: ' + job.jobTitle + ' at ' + job.company);
+
+        if (job.applyLink !== 'External Apply' || CONFIG.APPLY_URL_MODE === 'off') {
+            return Promise.resolve(job);
+        }
+        return ApplyLinkResolver.resolve(jobId, CONFIG.APPLY_URL_MODE).then(function(url) {
+            if (url) {
+                job.applyLink = url;
+            }
             return job;
         });
+    },
+
+    /**
+     * Wait for the standalone job page to render its top card.
+     * @returns {Promise<boolean>} True if the job title appeared, false if timed out.
+     */
+    waitForJobView: function() {
+        return new Promise(function(resolve) {
+            var maxWaitMs = 8000;
+            var pollIntervalMs = 400;
+            var elapsed = 0;
+
+            var poll = setInterval(function() {
+                var detailTitle = document.querySelector(JobSelectors.DETAIL_TITLE);
+                if (detailTitle && (detailTitle.textContent || '').trim()) {
+                    clearInterval(poll);
+                    resolve(true);
+                    return;
+                }
+
+                elapsed += pollIntervalMs;
+                if (elapsed >= maxWaitMs) {
+                    clearInterval(poll);
+                    console.warn('[LiSeSca] Job page did not load after ' + maxWaitMs + 'ms.');
+                    resolve(false);
+                }
+            }, pollIntervalMs);
+        });
+    },
+
+    /**
+     * Extract the job shown on a standalone job page (/jobs/view/<id>).
+     * The page has no job card, so all data comes from the job details.
+     * @param {string} jobId - The job ID from the URL.
+     * @returns {Promise<Object|null>} Complete job data object, or null if the page did not load.
+     */
+    extractJobView: function(jobId) {
+        var self = this;
+
+        return self.waitForJobView().then(function(loaded) {
+            if (!loaded) {
+                return null;
+            }
+            return self.clickShowMore().then(function() {
+                return self.loadLazySections(null);
+            }).then(function() {
+                return self.buildJobFromDetail(jobId, { jobId: jobId });
+            });
+        });
     }
 };
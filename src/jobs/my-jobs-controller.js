@@ -0,0 +1,283 @@
+// ===== MY JOBS CONTROLLER =====
+// Orchestrates the scraping of the My Jobs tracker (saved, in-progress,
+// applied and archived jobs). Like people search, each page's cards are
+// extracted at once and the next page is loaded with a full navigation.
+// With "Open each job" on, every saved job's page (/jobs/view/<id>/) is
+// opened after the last list page and read with the same pipeline as a
+// job search scrape; the tracker fields of the card are kept. The visits
+// run in the deep-visit loop shared with the other modes (see Session).
+import { State } from '../shared/state.js';
+import { PageDetector } from '../shared/page-detector.js';
+import { Session } from '../shared/session.js';
+import { UI } from '../ui/ui.js';
+import { Emulator } from '../people/emulator.js';
+import { JobEmulator } from './emulator.js';
+import { JobExtractor } from './extractor.js';
+import { MyJobs } from './my-jobs.js';
+import { JobOutput } from './output.js';
+
+export const MyJobsController = {
+
+    /** File name tag of My Jobs exports */
+    FILE_TAG: 'MYJOBS',
+
+    /**
+     * Start a new My Jobs scraping session on the tab being shown.
+     * @param {string} pageCount - Number of pages ('1', '10', '50', 'all').
+     */
+    startScraping: function(pageCount) {
+        if (!PageDetector.isOnMyJobsPage()) {
+            console.warn('[LiSeSca] Not on a My Jobs page. Scraping aborted.');
+            UI.showStatus('Wrong page — navigate to My Jobs first.');
+            setTimeout(function() {
+                UI.showIdleState();
+            }, 3000);
+            return;
+        }
+
+        var target = (pageCount === 'all') ? 9999 : parseInt(pageCount, 10);
+        var startPage = MyJobs.getCurrentPage(window.location.href);
+        var baseUrl = MyJobs.getBaseUrl(window.location.href);
+
+        console.log('[LiSeSca] Starting My Jobs scrape: target=' + target
+            + ' pages, starting at page ' + startPage);
+
+        var selectedFormats = State.readFormatsFromUI();
+        if (selectedFormats.length === 0) {
+            selectedFormats = ['xlsx'];
+        }
+
+        State.saveVisitJobs(State.readVisitJobsFromUI());
+        State.startSession(target, startPage, baseUrl, 'myJobs');
+        State.saveFormats(selectedFormats);
+
+        this.scrapeCycle();
+    },
+
+    /**
+     * Resume an active My Jobs session after a page load:
+     * either the next list page or the next job page visit.
+     */
+    resumeScraping: function() {
+        if (State.getVisitPhase() === 'visiting') {
+            Session.resumeVisit(this.getJobVisit());
+            return;
+        }
+
+        if (!PageDetector.isOnMyJobsPage()) {
+            console.warn('[LiSeSca] Resumed on wrong page. Finishing session with buffered data.');
+            this.finishScraping(true);
+            return;
+        }
+
+        var state = State.getScrapingState();
+        console.log('[LiSeSca] Resuming My Jobs scraping. Page '
+            + state.currentPage + ', ' + (state.currentPage - state.startPage) + ' pages done, '
+            + state.scrapedBuffer.length + ' jobs buffered.');
+
+        this.scrapeCycle();
+    },
+
+    /**
+     * The core scraping cycle. Runs once per list page.
+     */
+    scrapeCycle: function() {
+        var self = this;
+        var state = State.getScrapingState();
+        var pagesScraped = state.currentPage - state.startPage;
+        var targetDisplay = (state.targetPageCount >= 9999)
+            ? 'all' : state.targetPageCount.toString();
+
+        var statusPrefix = 'Scanning page ' + state.currentPage
+            + ' (' + (pagesScraped + 1) + ' of ' + targetDisplay + ')';
+
+        Emulator.emulateHumanScan(statusPrefix).then(function() {
+            if (!State.isScraping()) {
+                console.log('[LiSeSca] Scraping was stopped during emulation.');
+                return null;
+            }
+
+            UI.showStatus('Extracting page ' + state.currentPage + '...');
+            return MyJobs.extractCurrentPage();
+        }).then(function(jobs) {
+            if (!jobs) {
+                return;
+            }
+
+            console.log('[LiSeSca] Page ' + state.currentPage
+                + ': extracted ' + jobs.length + ' jobs.');
+            if (jobs.length > 0) {
+                console.table(jobs.map(function(job) {
+                    return {
+                        title: job.jobTitle,
+                        company: job.company,
+                        status: job.trackerStatus,
+                        detail: job.statusText
+                    };
+                }));
+            }
+            State.appendBuffer(jobs);
+            self.decideNextAction(jobs.length);
+        }).catch(function(error) {
+            Session.abortWithError(error, function(buffer) {
+                JobOutput.downloadResults(buffer, self.FILE_TAG);
+            });
+        });
+    },
+
+    /**
+     * Decide next action after extracting a page.
+     * @param {number} jobsOnThisPage - Number of jobs extracted.
+     */
+    decideNextAction: function(jobsOnThisPage) {
+        var state = State.getScrapingState();
+        var pagesScraped = state.currentPage - state.startPage + 1;
+
+        if (jobsOnThisPage === 0) {
+            console.log('[LiSeSca] No jobs on page ' + state.currentPage + '. End of list.');
+            this.finishScraping();
+            return;
+        }
+
+        if (pagesScraped >= state.targetPageCount) {
+            console.log('[LiSeSca] Reached target of ' + state.targetPageCount + ' pages.');
+            this.finishScraping();
+            return;
+        }
+
+        if (!State.isScraping()) {
+            console.log('[LiSeSca] Scraping stopped by user.');
+            this.finishScraping();
+            return;
+        }
+
+        if (!MyJobs.hasNextPage()) {
+            console.log('[LiSeSca] No next page. End of list.');
+            this.finishScraping();
+            return;
+        }
+
+        State.advancePage();
+        var nextPage = State.get(State.KEYS.CURRENT_PAGE, 1);
+        var nextUrl = MyJobs.getPageUrl(state.searchUrl, nextPage);
+        UI.showStatus('Moving to page ' + nextPage + '...');
+
+        setTimeout(function() {
+            console.log('[LiSeSca] Navigating to page ' + nextPage + ': ' + nextUrl);
+            window.location.href = nextUrl;
+        }, Emulator.getRandomInt(1000, 2500));
+    },
+
+    /**
+     * Complete the scraping session.
+     * With "Open each job" on, a finished (not stopped) run first opens
+     * every saved job; the summary appears once the visits are done.
+     * @param {boolean} [interrupted] - True if stopped by the user.
+     */
+    finishScraping: function(interrupted) {
+        if (!interrupted && State.isScraping() && State.getVisitJobs() && State.getVisitPhase() === ''
+            && State.getBuffer().length > 0) {
+            Session.startVisits(this.getJobVisit());
+            return;
+        }
+
+        var buffer = State.getBuffer();
+        var state = State.getScrapingState();
+        // A stop during the job visits comes after the last list page was done
+        var lastPageDone = !interrupted || State.getVisitPhase() !== '';
+        var pagesScraped = state.currentPage - state.startPage + (lastPageDone ? 1 : 0);
+
+        console.log('[LiSeSca] My Jobs scraping finished! Total: ' + buffer.length + ' jobs.');
+
+        var stats = {
+            type: 'jobs',
+            pages: pagesScraped,
+            processed: buffer.length,
+            saved: buffer.length,
+            visitJobs: State.getVisitJobs(),
+            visited: buffer.filter(function(job) {
+                return !!job.jobDescription;
+            }).length,
+            aiEnabled: false,
+            rejected: 0
+        };
+
+        // Kept for the XLSX Summary sheet
+        State.saveRunStats(Object.assign({
+            interrupted: !!interrupted,
+            finishedAt: new Date().toISOString()
+        }, stats));
+
+        UI.showSummary(stats, interrupted);
+    },
+
+    /**
+     * Build the steps of the job page visits, run by Session.
+     * The details of the job page win, except for the tracker fields of the card.
+     * @returns {Object} The visit object (see Session).
+     */
+    getJobVisit: function() {
+        var self = this;
+        return {
+            label: 'Job',
+            getUrl: function(job) {
+                return job.jobLink;
+            },
+            isOnPage: function(job) {
+                return PageDetector.isOnJobViewPage() && PageDetector.getJobViewId() === job.jobId;
+            },
+            extract: function(job, statusPrefix) {
+                return JobEmulator.emulateJobReview(statusPrefix).then(function() {
+                    return State.isScraping() ? JobExtractor.extractJobView(job.jobId) : null;
+                });
+            },
+            merge: function(job, details) {
+                return Object.assign({}, job, details, {
+                    trackerStatus: job.trackerStatus,
+                    statusText: job.statusText,
+                    appliedAt: job.appliedAt
+                });
+            },
+            finish: function() {
+                self.finishScraping();
+            }
+        };
+    },
+
+    /**
+     * Stop scraping (STOP button handler).
+     */
+    stopScraping: function() {
+        console.log('[LiSeSca] My Jobs scraping stopped by user.');
+        Emulator.cancel();
+        JobEmulator.cancel();
+        State.set(State.KEYS.IS_SCRAPING, false);
+        this.finishScraping(true);
+    },
+
+    /**
+     * Trigger the download manually (called by UI summary panel).
+     */
+    downloadResults: function() {
+        var buffer = State.getBuffer();
+        if (buffer.length > 0) {
+            JobOutput.downloadResults(buffer, this.FILE_TAG);
+        } else {
+            console.warn('[LiSeSca] No jobs in buffer to download.');
+        }
+    },
+
+    /**
+     * Merge the results into a previous export and download the merged file
+     * (called by UI summary panel).
+     * @param {File} file - The previous XLSX, JSON or JSON Lines export.
+     * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+     */
+    mergeResults: function(file) {
+        var buffer = State.getBuffer();
+        if (buffer.length === 0) {
+            return Promise.reject(new Error('No jobs in buffer to merge.'));
+        }
+        return JobOutput.downloadMerged(buffer, file);
+    }
+};
@@ -0,0 +1,216 @@
+// ===== DATA EXTRACTION (MY JOBS) =====
+// Reads the job cards of the My Jobs tracker (/my-items/saved-jobs/).
+// The tab is chosen with the "cardType" parameter (SAVED, IN_PROGRESS,
+// APPLIED or ARCHIVED; Saved without it) and the list is paged with the
+// "start" offset, 10 cards per page. Each card becomes a job record with
+// the card fields plus the tracker fields:
+//   { trackerStatus, statusText, appliedAt }
+// statusText is the card's status line as shown ("Applied 3d ago"),
+// appliedAt the date it refers to (YYYY-MM-DD, Applied cards only).
+import { JobSelectors } from '../selectors/jobs.js';
+import { LocationParser } from '../shared/location.js';
+import { JobNormalizer } from './normalizer.js';
+
+export const MyJobs = {
+
+    /** Cards per page of the My Jobs list */
+    PAGE_SIZE: 10,
+
+    /** Tracker status of each tab, by its "cardType" parameter */
+    STATUS_LABELS: {
+        SAVED: 'Saved',
+        IN_PROGRESS: 'In Progress',
+        APPLIED: 'Applied',
+        ARCHIVED: 'Archived'
+    },
+
+    /** Abbreviated time units of the status line ("3d ago", "2mo ago") */
+    SHORT_UNITS: { s: 'second', m: 'minute', h: 'hour', d: 'day', w: 'week', mo: 'month', y: 'year', yr: 'year' },
+
+    /**
+     * Get the tracker status of the tab shown by a My Jobs URL.
+     * @param {string} url - The page URL.
+     * @returns {string} E.g. 'Applied'; 'Saved' when no tab is chosen.
+     */
+    getTrackerStatus: function(url) {
+        var cardType = (new URL(url).searchParams.get('cardType') || 'SAVED').toUpperCase();
+        return this.STATUS_LABELS[cardType] || this.STATUS_LABELS.SAVED;
+    },
+
+    /**
+     * Get the page number of a My Jobs URL from its "start" offset.
+     * @param {string} url - The page URL.
+     * @returns {number} Page number (1 if not specified).
+     */
+    getCurrentPage: function(url) {
+        var start = parseInt(new URL(url).searchParams.get('start') || '0', 10);
+        return Math.floor((start || 0) / this.PAGE_SIZE) + 1;
+    },
+
+    /**
+     * Get the URL of the tab without its page offset.
+     * @param {string} url - The page URL.
+     * @returns {string} The base URL.
+     */
+    getBaseUrl: function(url) {
+        var parsed = new URL(url);
+        parsed.searchParams.delete('start');
+        return parsed.toString();
+    },
+
+    /**
+     * Build the URL of a page of the tab.
+     * @param {string} baseUrl - The tab URL (see getBaseUrl).
+     * @param {number} pageNum - The page number.
+     * @returns {string} The page URL.
+     */
+    getPageUrl: function(baseUrl, pageNum) {
+        var parsed = new URL(baseUrl);
+        if (pageNum > 1) {
+            parsed.searchParams.set('start', String((pageNum - 1) * this.PAGE_SIZE));
+        } else {
+            parsed.searchParams.delete('start');
+        }
+        return parsed.toString();
+    },
+
+    /**
+     * Wait for job cards to appear in the DOM.
+     * @returns {Promise<NodeList>} The card elements (empty if none appeared within 10 seconds).
+     */
+    waitForCards: function() {
+        return new Promise(function(resolve) {
+            var maxWaitMs = 10000;
+            var pollIntervalMs = 500;
+            var elapsed = 0;
+
+            var poll = setInterval(function() {
+                var cards = document.querySelectorAll(JobSelectors.MY_JOBS_CARD);
+                if (cards.length > 0) {
+                    clearInterval(poll);
+                    console.log('[LiSeSca] Found ' + cards.length + ' My Jobs cards.');
+                    resolve(cards);
+                    return;
+                }
+                elapsed += pollIntervalMs;
+                if (elapsed >= maxWaitMs) {
+                    clearInterval(poll);
+                    console.log('[LiSeSca] No My Jobs cards found after ' + maxWaitMs + 'ms (end of list).');
+                    resolve([]);
+                }
+            }, pollIntervalMs);
+        });
+    },
+
+    /**
+     * Spell out abbreviated time units so JobNormalizer can read them.
+     * @param {string} text - E.g. "Applied 3d ago".
+     * @returns {string} E.g. "Applied 3 day ago".
+     */
+    expandShortUnits: function(text) {
+        var self = this;
+        return String(text || '').replace(/(\d+)\s*(mo|yr|[smhdwy])\b/gi, function(match, amount, unit) {
+            return amount + ' ' + self.SHORT_UNITS[unit.toLowerCase()];
+        });
+    },
+
+    /**
+     * Get the date an "Applied ... ago", "Applied today" or "Applied yesterday"
+     * status line refers to.
+     * @param {string} text - The card's status line.
+     * @param {Date} now - When the card was read.
+     * @returns {string} YYYY-MM-DD, or '' for other status lines.
+     */
+    parseAppliedAt: function(text, now) {
+        var value = String(text || '');
+        if (!/\bapplied\b/i.test(value)) {
+            return '';
+        }
+        if (/\btoday\b/i.test(value)) {
+            return JobNormalizer.formatDate(now);
+        }
+        if (/\byesterday\b/i.test(value)) {
+            return JobNormalizer.formatDate(new Date(now.getTime() - JobNormalizer.UNIT_MS.day));
+        }
+        return JobNormalizer.parsePostedAt(this.expandShortUnits(text), now);
+    },
+
+    /**
+     * Read the first visible line of an element (LinkedIn adds hidden duplicates below it).
+     * @param {Element|null} element - The element.
+     * @returns {string} The line, or '' without element.
+     */
+    readFirstLine: function(element) {
+        if (!element) {
+            return '';
+        }
+        return String(element.textContent || '').split('\n').map(function(line) {
+            return line.trim();
+        }).filter(function(line) {
+            return line !== '';
+        })[0] || '';
+    },
+
+    /**
+     * Extract the job record of a single card.
+     * @param {Element} card - The card element.
+     * @param {string} trackerStatus - The status of the tab being read.
+     * @param {Date} now - When the card was read.
+     * @returns {Object|null} Job data object, or null if the card has no job link.
+     */
+    extractCard: function(card, trackerStatus, now) {
+        var link = card.querySelector(JobSelectors.MY_JOBS_TITLE_LINK);
+        var idMatch = link ? String(link.href || '').match(/\/jobs\/view\/(\d+)/) : null;
+        if (!idMatch) {
+            return null;
+        }
+
+        var location = this.readFirstLine(card.querySelector(JobSelectors.MY_JOBS_LOCATION));
+        var statusText = this.readFirstLine(card.querySelector(JobSelectors.MY_JOBS_INSIGHT));
+        var job = {
+            jobId: idMatch[1],
+            jobTitle: this.readFirstLine(link),
+            company: this.readFirstLine(card.querySelector(JobSelectors.MY_JOBS_COMPANY)),
+            location: location,
+            jobLink: 'https://www.linkedin.com/jobs/view/' + idMatch[1] + '/',
+            trackerStatus: trackerStatus,
+            statusText: statusText,
+            appliedAt: this.parseAppliedAt(statusText, now)
+        };
+        return Object.assign(job, LocationParser.parse(location));
+    },
+
+    /**
+     * Extract the job records of all cards on the current page.
+     * @returns {Promise<Array>} Array of job data objects.
+     */
+    extractCurrentPage: function() {
+        var self = this;
+        var trackerStatus = this.getTrackerStatus(window.location.href);
+        return this.waitForCards().then(function(cards) {
+            var now = new Date();
+            var jobs = [];
+            Array.prototype.forEach.call(cards, function(card, index) {
+                try {
+                    var job = self.extractCard(card, trackerStatus, now);
+                    if (job) {
+                        jobs.push(job);
+                    }
+                } catch (error) {
+                    console.warn('[LiSeSca] Failed to extract My Jobs card #' + index + ':', error);
+                }
+            });
+            console.log('[LiSeSca] Extracted ' + jobs.length + ' jobs from this page.');
+            return jobs;
+        });
+    },
+
+    /**
+     * Check whether the list has a next page.
+     * @returns {boolean} True if the "Next" button is enabled.
+     */
+    hasNextPage: function() {
+        var button = document.querySelector(JobSelectors.MY_JOBS_NEXT_BUTTON);
+        return !!button && !button.disabled;
+    }
+};
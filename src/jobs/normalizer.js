@@ -0,0 +1,132 @@
+// ===== JOB FIELD NORMALIZATION =====
+// Derives sortable values from the free-text job fields LinkedIn displays:
+//   "2 weeks ago" / "Reposted 3 days ago"  → postedAt (YYYY-MM-DD), reposted
+//   "Over 100 applicants"                  → applicantsMin
+//   "1,001-5,000 employees"                → employeeCountMin, employeeCountMax
+// Unknown numbers are null, an unknown date is ''.
+
+export const JobNormalizer = {
+    /** Milliseconds per fixed-length relative time unit */
+    UNIT_MS: {
+        second: 1000,
+        minute: 60 * 1000,
+        hour: 60 * 60 * 1000,
+        day: 24 * 60 * 60 * 1000,
+        week: 7 * 24 * 60 * 60 * 1000
+    },
+
+    /**
+     * Parse a number written with thousands separators ("1,001" or "1.001").
+     * @param {string} text - The digits.
+     * @returns {number} The number.
+     */
+    parseCount: function(text) {
+        return parseInt(String(text).replace(/[,.\s]/g, ''), 10);
+    },
+
+    /**
+     * Format a date as a local YYYY-MM-DD string.
+     * @param {Date} date - The date.
+     * @returns {string} The ISO calendar date.
+     */
+    formatDate: function(date) {
+        return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0')
+            + '-' + String(date.getDate()).padStart(2, '0');
+    },
+
+    /**
+     * Convert a relative posting time into the calendar date it refers to.
+     * @param {string} text - E.g. "2 weeks ago", "Reposted 1 hour ago", "just now".
+     * @param {Date} scrapedAt - When the job was scraped.
+     * @returns {string} YYYY-MM-DD, or '' if the text is not understood.
+     */
+    parsePostedAt: function(text, scrapedAt) {
+        var value = String(text || '').toLowerCase();
+        if (/just now|moments? ago/.test(value)) {
+            return this.formatDate(scrapedAt);
+        }
+
+        var match = value.match(/(\d+|an?)\s*(second|minute|hour|day|week|month|year)s?\s+ago/);
+        if (!match) {
+            return '';
+        }
+        var amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;
+        var unit = match[2];
+        var date = new Date(scrapedAt.getTime());
+
+        if (unit === 'month') {
+            date.setMonth(date.getMonth() - amount);
+        } else if (unit === 'year') {
+            date.setFullYear(date.getFullYear() - amount);
+        } else {
+            date = new Date(scrapedAt.getTime() - amount * this.UNIT_MS[unit]);
+        }
+        return this.formatDate(date);
+    },
+
+    /**
+     * Tell whether the posting time says the job was reposted.
+     * @param {string} text - The posted date text.
+     * @returns {boolean} True for "Reposted ..." postings.
+     */
+    isReposted: function(text) {
+        return /\breposted\b/i.test(String(text || ''));
+    },
+
+    /**
+     * Extract the lower bound of the applicant count.
+     * "Over 100 applicants" → 100, "25 people clicked apply" → 25,
+     * "Be among the first 25 applicants" → 0.
+     * @param {string} text - The applicants text.
+     * @returns {number|null} The minimum number of applicants, or null.
+     */
+    parseApplicantsMin: function(text) {
+        var value = String(text || '');
+        if (/among the first/i.test(value)) {
+            return 0;
+        }
+        var match = value.match(/(\d[\d,.]*)/);
+        return match ? this.parseCount(match[1]) : null;
+    },
+
+    /**
+     * Extract the company size range.
+     * "1,001-5,000 employees" → 1001/5000, "10,001+ employees" → 10001/null.
+     * @param {string} text - The employee count text.
+     * @returns {Object} { min, max } (null where unknown).
+     */
+    parseEmployeeCount: function(text) {
+        var value = String(text || '');
+        var range = value.match(/(\d[\d,.]*)\s*[-–—]\s*(\d[\d,.]*)/);
+        if (range) {
+            return { min: this.parseCount(range[1]), max: this.parseCount(range[2]) };
+        }
+        var openEnded = value.match(/(\d[\d,.]*)\s*\+/);
+        if (openEnded) {
+            return { min: this.parseCount(openEnded[1]), max: null };
+        }
+        var single = value.match(/(\d[\d,.]*)/);
+        if (single) {
+            var count = this.parseCount(single[1]);
+            return { min: count, max: count };
+        }
+        return { min: null, max: null };
+    },
+
+    /**
+     * Compute the normalized fields of a job.
+     * @param {Object} job - A job data object with postedDate, applicants and employeeCount.
+     * @param {Date} scrapedAt - When the job was scraped.
+     * @returns {Object} { postedAt, reposted, applicantsMin, employeeCountMin, employeeCountMax }
+     */
+    normalize: function(job, scrapedAt) {
+        var employees = this.parseEmployeeCount(job.employeeCount);
+        return {
+            postedAt: this.parsePostedAt(job.postedDate, scrapedAt),
+            reposted: this.isReposted(job.postedDate),
+            applicantsMin: this.parseApplicantsMin(job.applicants),
+            employeeCountMin: employees.min,
+            employeeCountMax: employees.max
+        };
+    }
+};
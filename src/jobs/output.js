@@ -1,43 +1,140 @@
 // ===== OUTPUT GENERATION (JOBS) =====
-// Formats scraped job data into XLSX and Markdown.
-// CSV is not offered for jobs because job data contains long text fields
-// (descriptions, company info) that are poorly suited to CSV format.
+// Formats scraped job data into XLSX, CSV, Markdown, Markdown bundle (ZIP),
+// HTML report, JSON and JSON Lines.
+// Job data contains long multi-line text fields (descriptions, company info),
+// so CSV lets the user include them, truncate them, or move them to a
+// sidecar JSON file keyed by job ID.
+import { CONFIG } from '../shared/config.js';
 import { State } from '../shared/state.js';
-import { Output } from '../people/output.js';
+import { Export } from '../shared/export.js';
+import { MarkdownBundle } from '../shared/markdown-bundle.js';
+import { HtmlReport } from '../shared/html-report.js';
+import { ExportProfiles } from '../shared/export-profiles.js';
+import { XlsxWorkbook } from '../shared/xlsx-workbook.js';
 
 export const JobOutput = {
 
-    /** Column headers for XLSX export */
-    COLUMN_HEADERS: [
-        'Job Title', 'Company', 'Location', 'Posted', 'Applicants', 'Job State',
-        'Workplace Type', 'Employment Type', 'Apply Link', 'Job Link',
-        'Network Connections', 'Industry', 'Employee Count',
-        'About the Job', 'Premium Insights', 'About the Company'
+    /** Export mode name (see Export) */
+    MODE: 'jobs',
+
+    /** Name of the results sheet in XLSX exports */
+    SHEET_NAME: 'LinkedIn Jobs',
+
+    /**
+     * Default columns for XLSX and CSV export (job property → header).
+     * Export profiles can hide, reorder and rename them by key.
+     */
+    COLUMNS: [
+        { key: 'jobTitle', header: 'Job Title' },
+        { key: 'company', header: 'Company' },
+        { key: 'location', header: 'Location' },
+        { key: 'city', header: 'City' },
+        { key: 'region', header: 'Region' },
+        { key: 'country', header: 'Country' },
+        { key: 'metroArea', header: 'Metro Area' },
+        { key: 'isRemote', header: 'Remote' },
+        { key: 'postedDate', header: 'Posted' },
+        { key: 'postedAt', header: 'Posted At' },
+        { key: 'reposted', header: 'Reposted' },
+        { key: 'applicants', header: 'Applicants' },
+        { key: 'applicantsMin', header: 'Applicants (min)' },
+        { key: 'jobState', header: 'Job State' },
+        { key: 'trackerStatus', header: 'Tracker Status' },
+        { key: 'statusText', header: 'Status Detail' },
+        { key: 'appliedAt', header: 'Applied At' },
+        { key: 'workplaceType', header: 'Workplace Type' },
+        { key: 'employmentType', header: 'Employment Type' },
+        { key: 'salaryRaw', header: 'Salary' },
+        { key: 'salaryMin', header: 'Salary Min' },
+        { key: 'salaryMax', header: 'Salary Max' },
+        { key: 'salaryCurrency', header: 'Salary Currency' },
+        { key: 'salaryPeriod', header: 'Salary Period' },
+        { key: 'seniority', header: 'Seniority' },
+        { key: 'yearsExperienceRequired', header: 'Years Experience' },
+        { key: 'skills', header: 'Skills' },
+        { key: 'skillsMatchRatio', header: 'Skills Match' },
+        { key: 'matchedSkills', header: 'Matched Skills' },
+        { key: 'missingSkills', header: 'Missing Skills' },
+        { key: 'applyLink', header: 'Apply Link' },
+        { key: 'jobLink', header: 'Job Link' },
+        { key: 'networkConnections', header: 'Network Connections' },
+        { key: 'hiringTeamNames', header: 'Hiring Team' },
+        { key: 'hiringTeamHeadlines', header: 'Hiring Team Headlines' },
+        { key: 'hiringTeamProfileUrls', header: 'Hiring Team Profiles' },
+        { key: 'hiringTeamDegrees', header: 'Hiring Team Degrees' },
+        { key: 'industry', header: 'Industry' },
+        { key: 'employeeCount', header: 'Employee Count' },
+        { key: 'employeeCountMin', header: 'Employees (min)' },
+        { key: 'employeeCountMax', header: 'Employees (max)' },
+        { key: 'jobDescription', header: 'About the Job' },
+        { key: 'premiumInsights', header: 'Premium Insights' },
+        { key: 'aboutCompany', header: 'About the Company' },
+        { key: 'aiTriageDecision', header: 'AI Triage' },
+        { key: 'aiTriageReason', header: 'AI Triage Reason' },
+        { key: 'aiFullVerdict', header: 'AI Verdict' },
+        { key: 'aiFullReason', header: 'AI Verdict Reason' },
+        { key: 'aiModel', header: 'AI Model' },
+        { key: 'aiEvaluatedAt', header: 'AI Evaluated At' },
+        { key: 'jobId', header: 'Job ID' }
     ],
 
+    /** Column headers for the rejected-jobs audit XLSX */
+    REJECTED_COLUMN_HEADERS: [
+        'Job Title', 'Company', 'Location', 'Job Link', 'Card Insight',
+        'AI Triage', 'AI Triage Reason', 'AI Verdict', 'AI Verdict Reason',
+        'AI Model', 'AI Evaluated At'
+    ],
+
+    /** Long free-text job properties handled specially in CSV */
+    LONG_TEXT_FIELDS: ['jobDescription', 'premiumInsights', 'aboutCompany'],
+
+    /** Maximum characters kept per long field when CSV truncation is selected */
+    CSV_TRUNCATE_LENGTH: 500,
+
     /**
-     * Convert a job object into a row array for XLSX.
+     * Get the columns to export, honoring the active export profile.
+     * @returns {Array<Object>} { key, header } columns, in export order.
+     */
+    getExportColumns: function() {
+        return ExportProfiles.getActiveColumns('jobs', this.COLUMNS);
+    },
+
+    /**
+     * Convert a job object into a row array for XLSX and CSV.
+     * Numbers and booleans are kept as such so spreadsheets can sort them;
+     * lists such as skills become comma-separated text.
      * @param {Object} job - A job data object.
+     * @param {Array<Object>} columns - { key, header } columns to include.
+     * @returns {Array<string|number|boolean>} Array of cell values.
+     */
+    jobToRow: function(job, columns) {
+        return columns.map(function(column) {
+            var value = job[column.key];
+            if (Array.isArray(value)) {
+                return value.join(', ');
+            }
+            return (value === undefined || value === null) ? '' : value;
+        });
+    },
+
+    /**
+     * Convert a rejected job record into a row array for the audit XLSX.
+     * @param {Object} job - A rejected job record (card basics + AI decision).
      * @returns {Array<string>} Array of cell values.
      */
-    jobToRow: function(job) {
+    rejectedJobToRow: function(job) {
         return [
             job.jobTitle || '',
             job.company || '',
             job.location || '',
-            job.postedDate || '',
-            job.applicants || '',
-            job.jobState || '',
-            job.workplaceType || '',
-            job.employmentType || '',
-            job.applyLink || '',
             job.jobLink || '',
-            job.networkConnections || '',
-            job.industry || '',
-            job.employeeCount || '',
-            job.jobDescription || '',
-            job.premiumInsights || '',
-            job.aboutCompany || ''
+            job.cardInsight || '',
+            job.aiTriageDecision || '',
+            job.aiTriageReason || '',
+            job.aiFullVerdict || '',
+            job.aiFullReason || '',
+            job.aiModel || '',
+            job.aiEvaluatedAt || ''
         ];
     },
 
@@ -73,6 +170,11 @@ export const JobOutput = {
             lines.push('**Job State:** ' + job.jobState);
         }
 
+        if (job.trackerStatus) {
+            lines.push('**Tracker Status:** ' + job.trackerStatus
+                + (job.statusText ? ' (' + job.statusText + ')' : ''));
+        }
+
         // Type line (workplace + employment)
         var typeParts = [];
         if (job.employmentType) {
@@ -85,6 +187,28 @@ export const JobOutput = {
             lines.push('**Type:** ' + typeParts.join(', '));
         }
 
+        if (job.salaryRaw) {
+            lines.push('**Salary:** ' + job.salaryRaw);
+        }
+
+        // Seniority + required experience on the same line
+        var levelLine = '';
+        if (job.seniority) {
+            levelLine += '**Seniority:** ' + job.seniority;
+        }
+        if (job.yearsExperienceRequired !== undefined && job.yearsExperienceRequired !== null) {
+            if (levelLine) {
+                levelLine += ' | ';
+            }
+            levelLine += '**Experience:** ' + job.yearsExperienceRequired + '+ years';
+        }
+        if (levelLine) {
+            lines.push(levelLine);
+        }
+        if (job.skills && job.skills.length > 0) {
+            lines.push('**Skills:** ' + [].concat(job.skills).join(', '));
+        }
+
         // Apply and Job links
         if (job.applyLink) {
             lines.push('**Apply:** ' + job.applyLink);
@@ -118,6 +242,34 @@ export const JobOutput = {
             lines.push(job.jobDescription);
         }
 
+        // LinkedIn's comparison of the job's skills with the member's profile
+        var hasSkillsMatch = job.skillsMatchRatio !== undefined && job.skillsMatchRatio !== null;
+        if (hasSkillsMatch || (job.matchedSkills && job.matchedSkills.length > 0)
+            || (job.missingSkills && job.missingSkills.length > 0)) {
+            lines.push('');
+            lines.push('## How You Match');
+            lines.push('');
+            if (hasSkillsMatch) {
+                lines.push('**Skills Match:** ' + Math.round(job.skillsMatchRatio * 100) + '%');
+            }
+            if (job.matchedSkills && job.matchedSkills.length > 0) {
+                lines.push('**Skills on your profile:** ' + [].concat(job.matchedSkills).join(', '));
+            }
+            if (job.missingSkills && job.missingSkills.length > 0) {
+                lines.push('**Skills missing from your profile:** ' + [].concat(job.missingSkills).join(', '));
+            }
+        }
+
+        // Hiring team, one member per line
+        if (job.hiringTeam && job.hiringTeam.length > 0) {
+            lines.push('');
+            lines.push('## Hiring Team');
+            lines.push('');
+            job.hiringTeam.forEach(function(member) {
+                lines.push('- ' + JobOutput.formatHiringTeamMember(member));
+            });
+        }
+
         // About the company
         if (job.aboutCompany) {
             lines.push('');
@@ -134,9 +286,91 @@ export const JobOutput = {
             lines.push(job.premiumInsights);
         }
 
+        // AI decision path (only present when AI filtering was active)
+        if (job.aiTriageDecision || job.aiFullVerdict) {
+            lines.push('');
+            lines.push('## AI Evaluation');
+            lines.push('');
+            if (job.aiTriageDecision) {
+                lines.push('**AI Triage:** ' + job.aiTriageDecision
+                    + (job.aiTriageReason ? ' — ' + job.aiTriageReason : ''));
+            }
+            if (job.aiFullVerdict) {
+                lines.push('**AI Verdict:** ' + job.aiFullVerdict
+                    + (job.aiFullReason ? ' — ' + job.aiFullReason : ''));
+            }
+            lines.push('**AI Model:** ' + (job.aiModel || '(unknown)')
+                + ' | **Evaluated:** ' + (job.aiEvaluatedAt || '(unknown)'));
+        }
+
         return lines.join('\n');
     },
 
+    /**
+     * Format a hiring team member as one Markdown line.
+     * @param {Object} member - { name, headline, profileUrl, connectionDegree }.
+     * @returns {string} E.g. "[Jane Doe](https://...) — Technical Recruiter (2nd)".
+     */
+    formatHiringTeamMember: function(member) {
+        var suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        var text = member.profileUrl ? '[' + member.name + '](' + member.profileUrl + ')' : member.name;
+        if (member.headline) {
+            text += ' — ' + member.headline;
+        }
+        if (member.connectionDegree) {
+            text += ' (' + member.connectionDegree + (suffixes[member.connectionDegree] || 'th') + ')';
+        }
+        return text;
+    },
+
+    /** Starting point offered in the template editor */
+    EXAMPLE_MARKDOWN_TEMPLATE: [
+        '# {{jobTitle}}',
+        '',
+        '**Company:** {{company}}',
+        '**Location:** {{location}}',
+        '{{#if postedDate}}',
+        '**Posted:** {{postedDate}}',
+        '{{/if}}',
+        '{{#if workplaceType}}',
+        '**Workplace:** {{workplaceType}}',
+        '{{/if}}',
+        '{{#if salaryRaw}}',
+        '**Salary:** {{salaryRaw}}',
+        '{{/if}}',
+        '{{#if skills}}',
+        '**Skills:** {{skills}}',
+        '{{/if}}',
+        '**Job Link:** {{jobLink}}',
+        '{{#if aiFullVerdict}}',
+        '**AI Verdict:** {{aiFullVerdict}} ({{aiFullReason}})',
+        '{{/if}}',
+        '',
+        '## About the Job',
+        '',
+        '{{jobDescription}}',
+        '{{#if hiringTeam}}',
+        '',
+        '## Hiring Team',
+        '',
+        '{{#each hiringTeam}}',
+        '- {{name}}{{#if headline}} — {{headline}}{{/if}}{{#if profileUrl}} ({{profileUrl}}){{/if}}',
+        '{{/each}}',
+        '{{/if}}'
+    ].join('\n'),
+
+    /**
+     * Format a job for Markdown exports (user template or built-in layout).
+     * The AI evaluation always uses formatJobMarkdown directly.
+     * @param {Object} job - A job data object.
+     * @returns {string} The Markdown block.
+     */
+    formatJobForExport: function(job) {
+        return Export.renderMarkdownRecord('jobs', job, function(record) {
+            return JobOutput.formatJobMarkdown(record);
+        });
+    },
+
     /**
      * Generate a complete Markdown document from an array of jobs.
      * @param {Array} jobs - Array of job data objects.
@@ -144,87 +378,274 @@ export const JobOutput = {
      */
     generateMarkdown: function(jobs) {
         var blocks = jobs.map(function(job) {
-            return JobOutput.formatJobMarkdown(job);
+            return JobOutput.formatJobForExport(job);
         });
         return blocks.join('\n\n---\n\n') + '\n';
     },
 
     /**
-     * Generate an XLSX file from job data.
+     * Generate a ZIP bundle with one Markdown note per job.
+     * Each note carries YAML front matter with the key facts, followed by
+     * the same body as the single-document Markdown export.
+     * @param {Array} jobs - Array of job data objects.
+     * @returns {Promise<Uint8Array>} The binary ZIP content.
+     */
+    generateMarkdownBundle: function(jobs) {
+        var usedNames = MarkdownBundle.createUsedNames();
+        var notes = jobs.map(function(job) {
+            return {
+                fileName: MarkdownBundle.buildFileName([job.jobTitle, job.company, job.jobId], usedNames),
+                title: (job.jobTitle || '(untitled)') + ' — ' + (job.company || '(unknown company)'),
+                frontMatter: {
+                    title: job.jobTitle || '',
+                    company: job.company || '',
+                    location: job.location || '',
+                    posted: job.postedDate || '',
+                    posted_at: job.postedAt || '',
+                    workplace_type: job.workplaceType || '',
+                    salary_min: job.salaryMin,
+                    salary_max: job.salaryMax,
+                    salary_currency: job.salaryCurrency || '',
+                    salary_period: job.salaryPeriod || '',
+                    seniority: job.seniority || '',
+                    skills: job.skills || [],
+                    hiring_team: (job.hiringTeam || []).map(function(member) {
+                        return member.name;
+                    }),
+                    job_id: job.jobId || '',
+                    job_link: job.jobLink || '',
+                    ai_verdict: job.aiFullVerdict || job.aiTriageDecision || ''
+                },
+                body: JobOutput.formatJobForExport(job)
+            };
+        });
+        return MarkdownBundle.generateZip(notes, 'LinkedIn Jobs');
+    },
+
+    /** Badge tone per AI triage decision or verdict in the HTML report */
+    AI_DECISION_TONES: {
+        accept: 'good', keep: 'good', download: 'good',
+        maybe: 'neutral',
+        reject: 'bad', skip: 'bad'
+    },
+
+    /**
+     * Generate a self-contained HTML report of jobs.
+     * Each row expands to the job's full Markdown rendered as HTML.
      * @param {Array} jobs - Array of job data objects.
-     * @returns {Uint8Array} The binary XLSX file content.
+     * @param {boolean} [standalone] - True for jobs outside the scrape session (see Export).
+     * @returns {string} The complete HTML document.
      */
-    generateXLSX: function(jobs) {
+    generateHTML: function(jobs, standalone) {
         var self = this;
-        var data = [this.COLUMN_HEADERS];
+        var rows = jobs.map(function(job) {
+            var decision = job.aiFullVerdict || job.aiTriageDecision || '';
+            var hasApplicantsMin = job.applicantsMin !== null && job.applicantsMin !== undefined;
+            var hasSalary = job.salaryMin !== null && job.salaryMin !== undefined;
+            return {
+                cells: [
+                    { text: job.jobTitle || '(untitled)', href: job.jobLink },
+                    job.company || '',
+                    job.location || '',
+                    { text: job.postedDate || '', sort: job.postedAt || '' },
+                    job.workplaceType || '',
+                    { text: job.salaryRaw || '', sort: hasSalary ? job.salaryMin : '' },
+                    { text: job.applicants || '', sort: hasApplicantsMin ? job.applicantsMin : '' },
+                    { text: decision, tone: self.AI_DECISION_TONES[decision] || 'neutral' }
+                ],
+                details: self.formatJobMarkdown(job)
+            };
+        });
+
+        return HtmlReport.generate({
+            title: 'LinkedIn Jobs',
+            metadata: Export.buildReportMetadata('jobs', jobs.length, standalone),
+            columns: ['Job Title', 'Company', 'Location', 'Posted', 'Workplace', 'Salary', 'Applicants', 'AI'],
+            rows: rows
+        });
+    },
+
+    /**
+     * Build a formatted jobs worksheet, honoring the active export profile.
+     * @param {Array} jobs - Array of job data objects.
+     * @param {Array<Object>} [columns] - { key, header } columns (default: export columns).
+     * @returns {Object} The SheetJS worksheet.
+     */
+    buildSheet: function(jobs, columns) {
+        var self = this;
+        columns = columns || this.getExportColumns();
+        var headers = columns.map(function(column) {
+            return column.header;
+        });
+        var rows = jobs.map(function(job) {
+            return self.jobToRow(job, columns);
+        });
+        return XlsxWorkbook.buildTableSheet(headers, rows,
+            Export.findColumnIndexes(columns, ['jobLink', 'applyLink', 'hiringTeamProfileUrls']));
+    },
+
+    /**
+     * Build a formatted worksheet of AI-rejected job records.
+     * @param {Array} jobs - Array of rejected job records.
+     * @returns {Object} The SheetJS worksheet.
+     */
+    buildRejectedSheet: function(jobs) {
+        var self = this;
+        var rows = jobs.map(function(job) {
+            return self.rejectedJobToRow(job);
+        });
+        var linkColumn = this.REJECTED_COLUMN_HEADERS.indexOf('Job Link');
+        return XlsxWorkbook.buildTableSheet(this.REJECTED_COLUMN_HEADERS, rows, [linkColumn]);
+    },
+
+    /**
+     * Generate an XLSX workbook from job data.
+     * Optionally adds Rejected, Summary and Run Metadata sheets so the file
+     * describes the run it came from; standalone exports have no run to describe.
+     * @param {Array} jobs - Array of job data objects.
+     * @param {boolean} [standalone] - True for jobs outside the scrape session (see Export).
+     * @returns {Promise<Uint8Array>} The binary XLSX file content.
+     */
+    generateXLSX: function(jobs, standalone) {
+        var workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, this.buildSheet(jobs), this.SHEET_NAME);
+
+        if (CONFIG.XLSX_EXTRA_SHEETS && !standalone) {
+            var rejected = State.getRejected();
+            if (rejected.length > 0) {
+                XLSX.utils.book_append_sheet(workbook, this.buildRejectedSheet(rejected), 'Rejected');
+            }
+            Export.appendRunSheets(workbook, 'jobs', jobs.length);
+        }
+
+        return XlsxWorkbook.write(workbook);
+    },
+
+    /**
+     * Return a copy of a job with its long text fields cut to CSV_TRUNCATE_LENGTH.
+     * @param {Object} job - A job data object.
+     * @returns {Object} A shallow copy with truncated long fields.
+     */
+    truncateLongFields: function(job) {
+        var limit = this.CSV_TRUNCATE_LENGTH;
+        var copy = Object.assign({}, job);
+        this.LONG_TEXT_FIELDS.forEach(function(field) {
+            var text = copy[field] || '';
+            if (text.length > limit) {
+                copy[field] = text.substring(0, limit).trim() + '…';
+            }
+        });
+        return copy;
+    },
+
+    /**
+     * Generate a CSV string from job data.
+     * @param {Array} jobs - Array of job data objects.
+     * @param {string} [longFieldMode] - 'include' (full text), 'truncate', or 'sidecar' (columns omitted);
+     *     default: the CSV_LONG_FIELDS setting.
+     * @returns {string} The complete CSV content.
+     */
+    generateCSV: function(jobs, longFieldMode) {
+        var self = this;
+        var mode = longFieldMode || CONFIG.CSV_LONG_FIELDS || 'include';
+
+        // In sidecar mode the long columns are dropped from the CSV entirely
+        var columns = this.getExportColumns();
+        if (mode === 'sidecar') {
+            columns = columns.filter(function(column) {
+                return self.LONG_TEXT_FIELDS.indexOf(column.key) === -1;
+            });
+        }
+
+        // Line breaks inside the long fields are normalized to LF; records are separated by CRLF
+        function toCSVLine(cells) {
+            return cells.map(function(cell) {
+                var text = (cell === null || cell === undefined) ? '' : String(cell);
+                return Export.escapeCSVField(text.replace(/\r\n?/g, '\n'));
+            }).join(',');
+        }
+
+        var lines = [toCSVLine(columns.map(function(column) {
+            return column.header;
+        }))];
         jobs.forEach(function(job) {
-            data.push(self.jobToRow(job));
+            var source = (mode === 'truncate') ? self.truncateLongFields(job) : job;
+            lines.push(toCSVLine(self.jobToRow(source, columns)));
         });
 
-        var worksheet = XLSX.utils.aoa_to_sheet(data);
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Generate the CSV sidecar: long text fields as JSON, keyed by job ID.
+     * @param {Array} jobs - Array of job data objects.
+     * @returns {string} The JSON content.
+     */
+    generateCSVSidecar: function(jobs) {
+        var fields = this.LONG_TEXT_FIELDS;
+        var details = {};
+        jobs.forEach(function(job) {
+            var entry = { jobTitle: job.jobTitle || '' };
+            fields.forEach(function(field) {
+                entry[field] = job[field] || '';
+            });
+            details[job.jobId] = entry;
+        });
+        return JSON.stringify(details, null, 2) + '\n';
+    },
+
+    /**
+     * Generate an XLSX audit file from AI-rejected job records.
+     * @param {Array} jobs - Array of rejected job records.
+     * @returns {Promise<Uint8Array>} The binary XLSX file content.
+     */
+    generateRejectedXLSX: function(jobs) {
         var workbook = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(workbook, worksheet, 'LinkedIn Jobs');
+        XLSX.utils.book_append_sheet(workbook, this.buildRejectedSheet(jobs), 'Rejected Jobs');
+        return XlsxWorkbook.write(workbook);
+    },
 
-        var xlsxData = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
-        return new Uint8Array(xlsxData);
+    /**
+     * Merge jobs into a previous export and download the merged file,
+     * in the format of that export (XLSX, JSON or JSON Lines).
+     * @param {Array} jobs - Array of job data objects.
+     * @param {File} file - The previous export chosen by the user.
+     * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+     */
+    downloadMerged: function(jobs, file) {
+        return Export.downloadMerged(this, jobs, file);
     },
 
     /**
-     * Generate a job-specific filename.
-     * Format: YYYY-MM-DD_HH_MM_JOBS_LinkedIn.[extension]
+     * Generate a job export filename.
+     * With the default pattern: YYYY-MM-DD_HH_MM_JOBS[_TAG]_LinkedIn.[extension]
      * @param {string} extension - File extension.
+     * @param {string} [tag] - Optional tag for auxiliary files (e.g. 'REJECTED').
+     * @param {number} [count] - Records in the file (default: the buffer size).
+     * @param {boolean} [standalone] - True for jobs outside the scrape session.
      * @returns {string} The generated filename.
      */
-    buildFilename: function(extension) {
-        var ext = extension || 'md';
-        var now = new Date();
-        var year = now.getFullYear();
-        var month = String(now.getMonth() + 1).padStart(2, '0');
-        var day = String(now.getDate()).padStart(2, '0');
-        var hours = String(now.getHours()).padStart(2, '0');
-        var minutes = String(now.getMinutes()).padStart(2, '0');
-        return year + '-' + month + '-' + day + '_' + hours + '_' + minutes
-            + '_JOBS_LinkedIn.' + ext;
+    buildFilename: function(extension, tag, count, standalone) {
+        return Export.formatFilename('JOBS', extension, tag, count, standalone);
     },
 
     /**
      * Download job results in the selected formats.
-     * Jobs support XLSX and Markdown only (no CSV due to long text fields).
+     * Jobs support XLSX, CSV (plus an optional details sidecar), Markdown,
+     * Markdown bundle, HTML report, JSON and JSONL.
      * @param {Array} jobs - Array of job data objects.
+     * @param {string} [tag] - Optional tag for the file names (e.g. 'CLIPBOARD').
+     * @param {boolean} [standalone] - True for jobs outside the scrape session, such as the clipboard.
      */
-    downloadResults: function(jobs) {
-        if (!jobs || jobs.length === 0) {
-            console.warn('[LiSeSca] No jobs to download.');
-            return;
-        }
-
-        var formats = State.getFormats();
-        console.log('[LiSeSca] Downloading jobs in formats: ' + formats.join(', '));
+    downloadResults: function(jobs, tag, standalone) {
+        Export.downloadResults(this, jobs, tag, standalone);
+    },
 
-        var self = this;
-        var delayMs = 0;
-
-        // XLSX format
-        if (formats.indexOf('xlsx') !== -1) {
-            setTimeout(function() {
-                var xlsxData = self.generateXLSX(jobs);
-                var xlsxFilename = self.buildFilename('xlsx');
-                Output.downloadFile(
-                    xlsxData,
-                    xlsxFilename,
-                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-                );
-            }, delayMs);
-            delayMs += 200;
-        }
-
-        // Markdown format
-        if (formats.indexOf('md') !== -1) {
-            setTimeout(function() {
-                var markdown = self.generateMarkdown(jobs);
-                var mdFilename = self.buildFilename('md');
-                Output.downloadFile(markdown, mdFilename, 'text/markdown;charset=utf-8');
-            }, delayMs);
-        }
+    /**
+     * Download the audit file of jobs rejected by AI.
+     * @param {Array} jobs - Array of rejected job records.
+     */
+    downloadRejected: function(jobs) {
+        Export.downloadRejected(this, jobs);
     }
 };
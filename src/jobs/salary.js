@@ -0,0 +1,227 @@
+// ===== SALARY PARSING =====
+// Recognizes pay in LinkedIn's salary insight ("$120K/yr - $150K/yr") and in
+// free text such as the job description ("€60,000 to €75,000 per year").
+// A match needs a currency; in free text it must also be a range, state a
+// period, or follow a word like "salary" so that funding rounds or prices
+// are not mistaken for pay.
+
+export const SalaryParser = {
+    /** Currency symbols and their ISO codes, longest first */
+    CURRENCY_SYMBOLS: [
+        ['CA$', 'CAD'], ['AU$', 'AUD'], ['US$', 'USD'], ['HK$', 'HKD'], ['NZ$', 'NZD'],
+        ['C$', 'CAD'], ['A$', 'AUD'], ['S$', 'SGD'], ['R$', 'BRL'],
+        ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['¥', 'JPY'], ['zł', 'PLN']
+    ],
+
+    /** ISO currency codes recognized when written out */
+    CURRENCY_CODES: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF', 'PLN', 'INR', 'SEK', 'NOK', 'DKK',
+        'JPY', 'CZK', 'HUF', 'RON', 'NZD', 'SGD', 'HKD', 'BRL', 'MXN', 'ZAR', 'ILS', 'AED'],
+
+    /** Period words → normalized period */
+    PERIODS: {
+        yr: 'year', year: 'year', annum: 'year', annually: 'year', yearly: 'year',
+        mo: 'month', month: 'month', monthly: 'month',
+        wk: 'week', week: 'week', weekly: 'week',
+        day: 'day', daily: 'day',
+        hr: 'hour', hour: 'hour', hourly: 'hour'
+    },
+
+    /** Words that mark a nearby amount as pay in free text */
+    CONTEXT_PATTERN: /salary|compensation|\bpay\b|\bbase\b|\bwages?\b|\brate\b|\bOTE\b|\bearn/i,
+
+    /** Cached expression, see getPattern() */
+    pattern: null,
+
+    /**
+     * Escape text for use in a regular expression.
+     * @param {string} text - The text.
+     * @returns {string} The escaped text.
+     */
+    escapeRegExp: function(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    },
+
+    /**
+     * Build (once) the expression matching a single amount or a range.
+     * Groups: 1-4 first amount (prefix currency, number, k, suffix currency),
+     * 5-6 its period, 7-10 second amount, 11-12 its period.
+     * @returns {RegExp} A global, case-insensitive expression.
+     */
+    getPattern: function() {
+        if (this.pattern) {
+            return this.pattern;
+        }
+        var self = this;
+        var currencies = this.CURRENCY_SYMBOLS.map(function(entry) {
+            return self.escapeRegExp(entry[0]);
+        }).concat(this.CURRENCY_CODES).join('|');
+
+        var amount = '(\\d{1,3}(?:[,.\\u00a0\\u202f ]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)';
+        var money = '(?:(?<![A-Za-z])(' + currencies + ')\\s?)?' + amount
+            + '(\\s?k(?![a-z]))?(?:\\s?(' + currencies + ')(?![a-z]))?';
+        var period = '(?:(?:\\s*\\/\\s*|\\s+per\\s+|\\s+an?\\s+|\\s+)(yr|year|annum|mo|month|wk|week|day|hr|hour)s?\\b'
+            + '|\\s+(annually|yearly|monthly|weekly|daily|hourly)\\b)?';
+        var separator = '\\s*(?:-|–|—|to)\\s*';
+
+        this.pattern = new RegExp(money + period + '(?:' + separator + money + period + ')?', 'gi');
+        return this.pattern;
+    },
+
+    /**
+     * Map a currency symbol or code to its ISO code.
+     * @param {string} text - The symbol or code.
+     * @returns {string} The ISO code, or '' if unknown.
+     */
+    toCurrencyCode: function(text) {
+        if (!text) {
+            return '';
+        }
+        var upper = text.toUpperCase();
+        if (this.CURRENCY_CODES.indexOf(upper) !== -1) {
+            return upper;
+        }
+        for (var i = 0; i < this.CURRENCY_SYMBOLS.length; i++) {
+            if (this.CURRENCY_SYMBOLS[i][0].toUpperCase() === upper) {
+                return this.CURRENCY_SYMBOLS[i][1];
+            }
+        }
+        return '';
+    },
+
+    /**
+     * Parse a written amount with either thousands convention.
+     * "120,000.00" and "120.000,00" → 120000; "52.50" → 52.5.
+     * @param {string} text - The digits with separators.
+     * @returns {number} The amount.
+     */
+    parseAmount: function(text) {
+        var value = text.replace(/[\u00a0\u202f ]/g, '');
+        var lastComma = value.lastIndexOf(',');
+        var lastDot = value.lastIndexOf('.');
+        var decimal = '';
+
+        if (lastComma !== -1 && lastDot !== -1) {
+            decimal = lastComma > lastDot ? ',' : '.';
+        } else if (lastComma !== -1 || lastDot !== -1) {
+            var separator = lastComma !== -1 ? ',' : '.';
+            var parts = value.split(separator);
+            // A single separator followed by 1-2 digits is a decimal point
+            if (parts.length === 2 && parts[1].length !== 3) {
+                decimal = separator;
+            }
+        }
+
+        var thousands = decimal === ',' ? /\./g : /,/g;
+        if (!decimal) {
+            thousands = /[.,]/g;
+        }
+        value = value.replace(thousands, '');
+        if (decimal === ',') {
+            value = value.replace(',', '.');
+        }
+        return parseFloat(value);
+    },
+
+    /**
+     * Convert a regular expression match into salary fields.
+     * @param {Array} match - A match of getPattern().
+     * @returns {Object|null} The salary, or null if no currency was given.
+     */
+    fromMatch: function(match) {
+        var currency = this.toCurrencyCode(match[1] || match[4] || match[7] || match[10]);
+        if (!currency) {
+            return null;
+        }
+
+        var min = this.parseAmount(match[2]);
+        var max = match[8] ? this.parseAmount(match[8]) : min;
+        var minThousands = !!match[3];
+        var maxThousands = match[8] ? !!match[9] : minThousands;
+
+        // "$120-150K": the suffix applies to both ends
+        if (minThousands && !maxThousands && max < 1000) {
+            maxThousands = true;
+        } else if (maxThousands && !minThousands && min < 1000) {
+            minThousands = true;
+        }
+        if (minThousands) {
+            min *= 1000;
+        }
+        if (maxThousands) {
+            max *= 1000;
+        }
+        if (min > max) {
+            var swap = min;
+            min = max;
+            max = swap;
+        }
+
+        var periodWord = (match[5] || match[6] || match[11] || match[12] || '').toLowerCase();
+
+        return {
+            salaryMin: min,
+            salaryMax: max,
+            salaryCurrency: currency,
+            salaryPeriod: this.PERIODS[periodWord] || '',
+            salaryRaw: match[0].trim(),
+            isRange: !!match[8]
+        };
+    },
+
+    /**
+     * Parse the first salary in a short text such as a salary insight.
+     * @param {string} text - The text.
+     * @returns {Object|null} { salaryMin, salaryMax, salaryCurrency, salaryPeriod, salaryRaw }, or null.
+     */
+    parse: function(text) {
+        var pattern = this.getPattern();
+        var value = String(text || '');
+        var match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(value)) !== null) {
+            var salary = this.fromMatch(match);
+            if (salary) {
+                return this.toFields(salary);
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Find a salary in free text, e.g. a job description.
+     * @param {string} text - The text.
+     * @returns {Object|null} { salaryMin, salaryMax, salaryCurrency, salaryPeriod, salaryRaw }, or null.
+     */
+    findInText: function(text) {
+        var pattern = this.getPattern();
+        var value = String(text || '');
+        var match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(value)) !== null) {
+            var salary = this.fromMatch(match);
+            if (!salary) {
+                continue;
+            }
+            var before = value.slice(Math.max(0, match.index - 80), match.index);
+            if (salary.isRange || salary.salaryPeriod || this.CONTEXT_PATTERN.test(before)) {
+                return this.toFields(salary);
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Get the salary fields of a job record, empty where unknown.
+     * @param {Object|null} salary - A parsed salary, or null.
+     * @returns {Object} { salaryMin, salaryMax, salaryCurrency, salaryPeriod, salaryRaw }
+     */
+    toFields: function(salary) {
+        return {
+            salaryMin: salary ? salary.salaryMin : null,
+            salaryMax: salary ? salary.salaryMax : null,
+            salaryCurrency: salary ? salary.salaryCurrency : '',
+            salaryPeriod: salary ? salary.salaryPeriod : '',
+            salaryRaw: salary ? salary.salaryRaw : ''
+        };
+    }
+};
@@ -0,0 +1,285 @@
+// ===== SKILL EXTRACTION =====
+// Tags a job with the skills named in its description, its seniority and
+// the years of experience it asks for, without any AI calls.
+// Skills come from a plain-text dictionary the user can edit:
+//   # Category          starts a category
+//   Name: alias, alias  one skill per line, matched by name or alias
+// Matching ignores case, except for aliases in double quotes ("Go", "R"),
+// which must match exactly and may not be followed by '-', '&' or a letter.
+import { CONFIG } from '../shared/config.js';
+
+export const SkillExtractor = {
+    /** Built-in dictionary, used while CONFIG.SKILLS_DICTIONARY is empty */
+    DEFAULT_DICTIONARY: [
+        '# Languages',
+        'Python',
+        'Java',
+        'JavaScript: JS, ECMAScript',
+        'TypeScript',
+        'C: "C"',
+        'C++: cpp',
+        'C#: csharp',
+        'Go: Golang, "Go"',
+        'Rust',
+        'Ruby',
+        'PHP',
+        'Kotlin',
+        'Swift: "Swift"',
+        'Scala',
+        'R: "R"',
+        'SQL',
+        'Bash: shell scripting',
+        '',
+        '# Frameworks',
+        'React: "React", React.js, ReactJS',
+        'Angular: AngularJS',
+        'Vue.js: Vue, VueJS',
+        'Node.js: NodeJS, "Node"',
+        'Django',
+        'Flask',
+        'FastAPI',
+        'Spring: "Spring", Spring Boot',
+        '.NET: dotnet, ASP.NET',
+        'Ruby on Rails: "Rails"',
+        'TensorFlow',
+        'PyTorch',
+        'pandas',
+        '',
+        '# Tools',
+        'AWS: Amazon Web Services',
+        'Azure: Microsoft Azure',
+        'GCP: Google Cloud, Google Cloud Platform',
+        'Docker',
+        'Kubernetes: K8s',
+        'Terraform',
+        'Ansible',
+        'Git',
+        'Jenkins',
+        'GitHub Actions',
+        'PostgreSQL: Postgres',
+        'MySQL',
+        'MongoDB',
+        'Redis',
+        'Kafka: Apache Kafka',
+        'Spark: "Spark", Apache Spark',
+        'Snowflake',
+        'Tableau',
+        'Power BI',
+        'Excel: "Excel", Microsoft Excel',
+        'Jira',
+        'Figma',
+        'Salesforce',
+        'SAP',
+        'Linux',
+        '',
+        '# Certifications',
+        'AWS Certified: AWS Certification',
+        'PMP',
+        'Scrum Master: CSM, PSM',
+        'CISSP',
+        'CPA',
+        'CFA',
+        'ITIL',
+        'Six Sigma'
+    ].join('\n'),
+
+    /** Seniority levels, checked in this order against the job title */
+    SENIORITY_PATTERNS: [
+        { level: 'intern', pattern: /\b(intern|internship|trainee|apprentice|working student|werkstudent)\b/i },
+        { level: 'principal', pattern: /\b(principal|distinguished)\b/i },
+        { level: 'lead', pattern: /\b(lead|staff|head of)\b/i },
+        { level: 'senior', pattern: /\b(senior|sr)\b\.?/i },
+        { level: 'junior', pattern: /\b(junior|jr|entry[ -]level|graduate)\b\.?/i }
+    ],
+
+    /** Number words accepted in "three years of experience" */
+    NUMBER_WORDS: {
+        one: 1, two: 2, three: 3, four: 4, five: 5,
+        six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+    },
+
+    /** Experience requirements above this are taken to be something else */
+    MAX_YEARS: 30,
+
+    /** Parsed dictionary and the text it was parsed from, see getSkills() */
+    cache: null,
+
+    /**
+     * Escape text for use in a regular expression.
+     * @param {string} text - The text.
+     * @returns {string} The escaped text.
+     */
+    escapeRegExp: function(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    },
+
+    /**
+     * Build the expression matching one dictionary alias as a whole word.
+     * Symbols such as '+', '#' and '.' count as part of a word, so "C" does
+     * not match inside "C++" and "Java" does not match "JavaScript".
+     * @param {string} alias - The alias, in double quotes for an exact-case match.
+     * @returns {RegExp} The expression.
+     */
+    buildPattern: function(alias) {
+        var exact = /^".*"$/.test(alias);
+        var text = exact ? alias.slice(1, -1) : alias;
+        var after = exact ? '(?![A-Za-z0-9+#&-])' : '(?![A-Za-z0-9+#])';
+        var source = '(?<![A-Za-z0-9+#.])' + this.escapeRegExp(text).replace(/\s+/g, '\\s+') + after;
+        return new RegExp(source, exact ? '' : 'i');
+    },
+
+    /**
+     * Parse a skills dictionary.
+     * @param {string} text - The dictionary text.
+     * @returns {Array<Object>} { name, category, patterns } per skill, in dictionary order.
+     * @throws {Error} If a skill line has no name.
+     */
+    parseDictionary: function(text) {
+        var self = this;
+        var skills = [];
+        var category = '';
+
+        String(text || '').split(/\r?\n/).forEach(function(rawLine, index) {
+            var line = rawLine.trim();
+            if (!line) {
+                return;
+            }
+            if (line.charAt(0) === '#') {
+                category = line.slice(1).trim();
+                return;
+            }
+
+            var colon = line.indexOf(':');
+            var name = (colon === -1 ? line : line.slice(0, colon)).trim();
+            if (!name) {
+                throw new Error('Line ' + (index + 1) + ': a skill needs a name before the colon.');
+            }
+            var aliases = colon === -1 ? [] : line.slice(colon + 1).split(',');
+            aliases = aliases.map(function(alias) {
+                return alias.trim();
+            }).filter(function(alias) {
+                return alias !== '';
+            });
+            // The name itself is an alias unless an exact-case spelling of it is listed
+            if (aliases.indexOf('"' + name + '"') === -1) {
+                aliases.unshift(name);
+            }
+
+            skills.push({
+                name: name,
+                category: category,
+                patterns: aliases.map(function(alias) {
+                    return self.buildPattern(alias);
+                })
+            });
+        });
+
+        return skills;
+    },
+
+    /**
+     * Check a dictionary for errors.
+     * @param {string} text - The dictionary text.
+     * @returns {string|null} The error message, or null if valid.
+     */
+    validate: function(text) {
+        try {
+            this.parseDictionary(text);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    },
+
+    /**
+     * Get the parsed skills of the configured dictionary (cached per text).
+     * An unusable dictionary falls back to the built-in one.
+     * @returns {Array<Object>} { name, category, patterns } per skill.
+     */
+    getSkills: function() {
+        var text = CONFIG.SKILLS_DICTIONARY || this.DEFAULT_DICTIONARY;
+        if (this.cache && this.cache.text === text) {
+            return this.cache.skills;
+        }
+        var skills;
+        try {
+            skills = this.parseDictionary(text);
+        } catch (error) {
+            console.warn('[LiSeSca] Invalid skills dictionary, using the built-in one:', error.message);
+            skills = this.parseDictionary(this.DEFAULT_DICTIONARY);
+        }
+        this.cache = { text: text, skills: skills };
+        return skills;
+    },
+
+    /**
+     * Find the dictionary skills mentioned in a text.
+     * @param {string} text - The text, e.g. a job description.
+     * @param {Array<Object>} [skills] - Parsed dictionary (defaults to getSkills()).
+     * @returns {Array<string>} Skill names, in dictionary order.
+     */
+    findSkills: function(text, skills) {
+        var value = String(text || '');
+        return (skills || this.getSkills()).filter(function(skill) {
+            return skill.patterns.some(function(pattern) {
+                return pattern.test(value);
+            });
+        }).map(function(skill) {
+            return skill.name;
+        });
+    },
+
+    /**
+     * Determine the seniority of a job from its title.
+     * An "Internship" employment type also counts as intern.
+     * @param {string} title - The job title.
+     * @param {string} [employmentType] - E.g. "Full-time", "Internship".
+     * @returns {string} intern/junior/senior/lead/principal, or '' if not stated.
+     */
+    detectSeniority: function(title, employmentType) {
+        var value = String(title || '');
+        for (var i = 0; i < this.SENIORITY_PATTERNS.length; i++) {
+            if (this.SENIORITY_PATTERNS[i].pattern.test(value)) {
+                return this.SENIORITY_PATTERNS[i].level;
+            }
+        }
+        return /internship/i.test(employmentType || '') ? 'intern' : '';
+    },
+
+    /**
+     * Find the years of experience a job description asks for.
+     * "3+ years of experience", "at least five years' experience",
+     * "2-4 years of professional experience", "2 or more years of ..." → the lower bound.
+     * @param {string} text - The job description.
+     * @returns {number|null} The minimum years, or null if not stated.
+     */
+    parseYearsExperience: function(text) {
+        var words = Object.keys(this.NUMBER_WORDS).join('|');
+        var number = '\\b(\\d{1,2}|' + words + ')';
+        var pattern = new RegExp(number + '\\s*\\+?\\s*(?:(?:-|–|to|or)\\s*' + number + '\\s*\\+?\\s*)?'
+            + '(?:or\\s+more\\s+)?(?:years?|yrs?)(?:\'|’)?\\s+(?:of\\s+)?(?:[\\w-]+\\s+){0,3}?experience', 'gi');
+        var value = String(text || '');
+        var match;
+        while ((match = pattern.exec(value)) !== null) {
+            var word = match[1].toLowerCase();
+            var years = /^\d+$/.test(word) ? parseInt(word, 10) : this.NUMBER_WORDS[word];
+            if (years <= this.MAX_YEARS) {
+                return years;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Compute the skill fields of a job.
+     * @param {Object} job - A job data object with jobTitle, employmentType and jobDescription.
+     * @returns {Object} { skills, seniority, yearsExperienceRequired }
+     */
+    analyze: function(job) {
+        return {
+            skills: this.findSkills(job.jobDescription),
+            seniority: this.detectSeniority(job.jobTitle, job.employmentType),
+            yearsExperienceRequired: this.parseYearsExperience(job.jobDescription)
+        };
+    }
+};
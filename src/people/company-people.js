@@ -0,0 +1,55 @@
+// ===== DATA EXTRACTION (COMPANY PEOPLE TAB) =====
+// Reads the employee grid of a company's People tab (/company/<slug>/people/).
+// The grid has no "page=" pagination: it grows in place each time
+// "Show more results" is clicked (see GridReader).
+// Profiles have the same shape as people search results (see Extractor);
+// the tab shows no locations, so the location fields stay empty.
+// Members outside the network appear as "LinkedIn Member" without a
+// profile link and are skipped.
+import { Selectors } from '../selectors/people.js';
+import { Extractor } from './extractor.js';
+import { GridReader } from './grid-reader.js';
+
+export const CompanyPeople = Object.assign({}, GridReader, {
+
+    CARD_SELECTOR: Selectors.COMPANY_PEOPLE_CARD,
+    SHOW_MORE_SELECTOR: Selectors.COMPANY_PEOPLE_SHOW_MORE,
+    CARD_LABEL: 'people',
+
+    /**
+     * Read the connection degree from the card badge.
+     * @param {string} text - E.g. "· 2nd" or "3rd+".
+     * @returns {number} The degree, or 0 if not shown.
+     */
+    parseDegree: function(text) {
+        var match = String(text || '').match(/(\d+)(st|nd|rd|th)/);
+        return match ? parseInt(match[1], 10) : 0;
+    },
+
+    /**
+     * Extract profile data from a single card.
+     * @param {Element} card - The card element.
+     * @returns {Object|null} Profile data object, or null for a card without a profile link.
+     */
+    extractCard: function(card) {
+        var link = card.querySelector(Selectors.COMPANY_PEOPLE_LINK);
+        if (!link) {
+            return null;
+        }
+        var nameEl = card.querySelector(Selectors.COMPANY_PEOPLE_NAME);
+        var headlineEl = card.querySelector(Selectors.COMPANY_PEOPLE_HEADLINE);
+        var degreeEl = card.querySelector(Selectors.COMPANY_PEOPLE_DEGREE);
+
+        return {
+            fullName: ((nameEl || link).textContent || '').trim(),
+            connectionDegree: this.parseDegree(degreeEl ? degreeEl.textContent : ''),
+            description: headlineEl ? (headlineEl.textContent || '').trim() : '',
+            location: '',
+            city: '',
+            region: '',
+            country: '',
+            metroArea: '',
+            profileUrl: Extractor.cleanProfileUrl(link.href || '')
+        };
+    }
+});
@@ -0,0 +1,73 @@
+// ===== DATA EXTRACTION (MY NETWORK CONNECTIONS) =====
+// Reads the own connections list (/mynetwork/invite-connect/connections/).
+// Like a company's People tab, the list grows in place (see GridReader):
+// scrolling to the bottom loads more connections, and after a while
+// LinkedIn shows a "Show more results" button instead.
+// Profiles have the same shape as people search results (see Extractor),
+// plus the date the connection was made:
+//   { connectedOn, connectedAt }
+// The list shows no locations, so the location fields stay empty.
+import { Selectors } from '../selectors/people.js';
+import { Extractor } from './extractor.js';
+import { GridReader } from './grid-reader.js';
+
+export const Connections = Object.assign({}, GridReader, {
+
+    CARD_SELECTOR: Selectors.CONNECTION_CARD,
+    SHOW_MORE_SELECTOR: Selectors.CONNECTION_SHOW_MORE,
+    CARD_LABEL: 'connection',
+
+    /** Grows when scrolled to the bottom, not only via "Show more results" */
+    LOADS_ON_SCROLL: true,
+
+    /** English month names, matched by their first three letters */
+    MONTHS: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+
+    /**
+     * Read the date a connection was made from the card's time badge.
+     * @param {string} text - E.g. "Connected on March 3, 2024".
+     * @returns {Object} { connectedOn, connectedAt } — the date as shown and
+     *   as YYYY-MM-DD ('' if the date is not understood).
+     */
+    parseConnectedOn: function(text) {
+        var connectedOn = String(text || '').trim().replace(/\s+/g, ' ').replace(/^connected\s+(on\s+)?/i, '');
+        var match = connectedOn.match(/([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})/);
+        var month = match ? this.MONTHS.indexOf(match[1].substring(0, 3).toLowerCase()) : -1;
+        var connectedAt = '';
+        if (month !== -1) {
+            connectedAt = match[3] + '-' + String(month + 1).padStart(2, '0')
+                + '-' + String(parseInt(match[2], 10)).padStart(2, '0');
+        }
+        return { connectedOn: connectedOn, connectedAt: connectedAt };
+    },
+
+    /**
+     * Extract profile data from a single card.
+     * @param {Element} card - The card element.
+     * @returns {Object|null} Profile data object, or null for a card without a profile link.
+     */
+    extractCard: function(card) {
+        var link = card.querySelector(Selectors.CONNECTION_LINK);
+        if (!link) {
+            return null;
+        }
+        var nameEl = card.querySelector(Selectors.CONNECTION_NAME);
+        var occupationEl = card.querySelector(Selectors.CONNECTION_OCCUPATION);
+        var timeEl = card.querySelector(Selectors.CONNECTION_TIME);
+        var connected = this.parseConnectedOn(timeEl ? timeEl.textContent : '');
+
+        return {
+            fullName: ((nameEl || link).textContent || '').trim(),
+            connectionDegree: 1,
+            description: occupationEl ? (occupationEl.textContent || '').trim() : '',
+            location: '',
+            city: '',
+            region: '',
+            country: '',
+            metroArea: '',
+            profileUrl: Extractor.cleanProfileUrl(link.href || ''),
+            connectedOn: connected.connectedOn,
+            connectedAt: connected.connectedAt
+        };
+    }
+});
@@ -1,23 +1,34 @@
 // ===== MAIN CONTROLLER (PEOPLE SEARCH) =====
-// Orchestrates the people search scraping lifecycle.
+// Orchestrates the people scraping lifecycle, for people search pages and
+// for the lists that grow in place: a company's People tab and the own
+// connections list.
 // Also handles SPA navigation detection and UI lifecycle.
 import { CONFIG } from '../shared/config.js';
 import { State } from '../shared/state.js';
 import { PageDetector } from '../shared/page-detector.js';
 import { SpaHandler } from '../shared/spa-handler.js';
 import { AIClient } from '../shared/ai-client.js';
+import { Session } from '../shared/session.js';
 import { UI, setControllers } from '../ui/ui.js';
 import { Emulator } from './emulator.js';
 import { Extractor } from './extractor.js';
+import { CompanyPeople } from './company-people.js';
+import { Connections } from './connections.js';
+import { ProfileExtractor } from './profile-extractor.js';
 import { Paginator } from './paginator.js';
 import { Output } from './output.js';
 import { JobController } from '../jobs/controller.js';
+import { CompanyController } from '../companies/controller.js';
+import { MyJobsController } from '../jobs/my-jobs-controller.js';
 
 export const Controller = {
 
     /** Timer for debouncing SPA navigation events */
     _navigationTimer: null,
 
+    /** Cards of the People tab or connections list already read in this session */
+    gridCardsSeen: 0,
+
     /**
      * Initialize the script. Called once on every page load.
      * Sets up SPA navigation handler and builds UI if on a supported page.
@@ -26,7 +37,7 @@ export const Controller = {
         console.log('[LiSeSca] v' + CONFIG.VERSION + ' initializing...');
 
         // Wire up the UI with controller references to avoid circular import issues
-        setControllers(Controller, JobController);
+        setControllers(Controller, JobController, CompanyController, MyJobsController);
 
         CONFIG.load();
 
@@ -49,8 +60,10 @@ export const Controller = {
      */
     setupForCurrentPage: function() {
         var pageType = PageDetector.getPageType();
+        // Profile, company and job page visits reload onto pages that are otherwise unsupported
+        var visiting = State.isScraping() && State.getVisitPhase() === 'visiting';
 
-        if (pageType === 'unknown') {
+        if (pageType === 'unknown' && !visiting) {
             console.log('[LiSeSca] Not on a supported page. UI hidden, waiting for navigation.');
             return;
         }
@@ -59,6 +72,9 @@ export const Controller = {
         UI.createPanel();
         UI.createConfigPanel();
         UI.createAIConfigPanel();
+        UI.createTemplatePanel();
+        UI.createColumnsPanel();
+        UI.createSkillsPanel();
         UI.createSummaryPanel();
 
         // Check if we have an active scraping session to resume
@@ -66,6 +82,12 @@ export const Controller = {
             var mode = State.getScrapeMode();
             if (mode === 'jobs') {
                 JobController.resumeScraping();
+            } else if (mode === 'companies') {
+                CompanyController.resumeScraping();
+            } else if (mode === 'myJobs') {
+                MyJobsController.resumeScraping();
+            } else if (visiting) {
+                Session.resumeVisit(this.getProfileVisit());
             } else {
                 this.resumeScraping();
             }
@@ -133,6 +155,12 @@ export const Controller = {
      * Resume an active people scraping session after a page reload.
      */
     resumeScraping: function() {
+        if (PageDetector.isOnPeopleGridPage()) {
+            // The cards loaded in place do not survive a reload
+            console.warn('[LiSeSca] People list reloaded during scraping. Finishing with buffered data.');
+            this.finishScraping(true);
+            return;
+        }
         if (!PageDetector.isOnPeopleSearchPage()) {
             console.warn('[LiSeSca] Resumed on wrong page. Finishing session with buffered data.');
             UI.showStatus('Wrong page detected. Saving collected data...');
@@ -158,21 +186,24 @@ export const Controller = {
 
     /**
      * Start a new people scraping session.
+     * On a company's People tab or the connections list, a page is the
+     * first set of cards or one load of more cards.
      * @param {string} pageCount - Number of pages ('1', '10', '50', 'all').
      */
     startScraping: function(pageCount) {
-        if (!PageDetector.isOnPeopleSearchPage()) {
-            console.warn('[LiSeSca] Not on a people search page. Scraping aborted.');
-            UI.showStatus('Wrong page — navigate to People search first.');
+        if (!PageDetector.isOnPeoplePage()) {
+            console.warn('[LiSeSca] Not on a people search page, company People tab or connections list. Scraping aborted.');
+            UI.showStatus('Wrong page — navigate to People search, a company\'s People tab or your connections first.');
             setTimeout(function() {
                 UI.showIdleState();
             }, 3000);
             return;
         }
 
+        var onGrid = PageDetector.isOnPeopleGridPage();
         var target = (pageCount === 'all') ? 9999 : parseInt(pageCount, 10);
-        var startPage = Paginator.getCurrentPage();
-        var baseUrl = Paginator.getBaseSearchUrl();
+        var startPage = onGrid ? 1 : Paginator.getCurrentPage();
+        var baseUrl = onGrid ? window.location.href : Paginator.getBaseSearchUrl();
 
         console.log('[LiSeSca] Starting people scrape: target=' + target
             + ' pages, starting at page ' + startPage);
@@ -187,6 +218,7 @@ export const Controller = {
             aiEnabled = false;
         }
         State.savePeopleAIEnabled(aiEnabled);
+        State.saveVisitProfiles(State.readVisitProfilesFromUI());
 
         State.startSession(target, startPage, baseUrl, 'people');
         State.saveFormats(selectedFormats);
@@ -195,7 +227,12 @@ export const Controller = {
             AIClient.resetPeopleConversation();
         }
 
-        this.scrapeCycle();
+        if (onGrid) {
+            this.gridCardsSeen = 0;
+            this.gridScrapeCycle();
+        } else {
+            this.scrapeCycle();
+        }
     },
 
     /**
@@ -208,8 +245,8 @@ export const Controller = {
         var targetDisplay = (state.targetPageCount >= 9999)
             ? 'all' : state.targetPageCount.toString();
 
-        var statusPrefix = 'Scanning page ' + state.currentPage
-            + ' (' + (pagesScraped + 1) + ' of ' + targetDisplay + ')';
+        var progress = state.currentPage + ' (' + (pagesScraped + 1) + ' of ' + targetDisplay + ')';
+        var statusPrefix = 'Scanning page ' + progress;
 
         var self = this;
         var aiEnabled = State.getPeopleAIEnabled() && AIClient.isPeopleConfigured();
@@ -240,51 +277,122 @@ export const Controller = {
                 return;
             }
 
-            if (aiEnabled) {
-                // Score profiles with AI
-                return self.scoreProfiles(profiles, state);
-            } else {
-                // No AI: save all profiles
-                if (profiles.length > 0) {
-                    console.table(profiles.map(function(p) {
-                        return {
-                            name: p.fullName,
-                            degree: p.connectionDegree,
-                            description: (p.description || '').substring(0, 50),
-                            location: p.location
-                        };
-                    }));
-                }
-                State.appendBuffer(profiles);
+            self.saveProfiles(profiles, aiEnabled, 'Page ' + progress, function() {
                 self.decideNextAction(profiles.length);
-            }
+            });
 
         }).catch(function(error) {
-            console.error('[LiSeSca] Scrape cycle error:', error);
-            UI.showStatus('Error: ' + error.message);
+            self.abortWithError(error);
+        });
+    },
 
-            var buffer = State.getBuffer();
-            if (buffer.length > 0) {
-                Output.downloadResults(buffer);
+    /**
+     * Get the reader of the people list that grows in place on this page.
+     * @returns {Object} Connections or CompanyPeople.
+     */
+    getGridReader: function() {
+        return PageDetector.isOnConnectionsPage() ? Connections : CompanyPeople;
+    },
+
+    /**
+     * The scraping cycle of a company's People tab or the connections list.
+     * Runs once per "page": the cards added by the initial load or by one
+     * load of more cards. The list grows in place, so the session never
+     * leaves the page.
+     */
+    gridScrapeCycle: function() {
+        var state = State.getScrapingState();
+        var pagesScraped = state.currentPage - state.startPage;
+        var targetDisplay = (state.targetPageCount >= 9999)
+            ? 'all' : state.targetPageCount.toString();
+        var progress = state.currentPage + ' (' + (pagesScraped + 1) + ' of ' + targetDisplay + ')';
+
+        var self = this;
+        var grid = this.getGridReader();
+        var aiEnabled = State.getPeopleAIEnabled() && AIClient.isPeopleConfigured();
+
+        // Reset AI conversation for each page to keep its history short
+        if (aiEnabled) {
+            AIClient.resetPeopleConversation();
+        }
+
+        Emulator.emulateHumanScan('Scanning page ' + progress).then(function() {
+            if (!State.isScraping()) {
+                console.log('[LiSeSca] Scraping was stopped during emulation.');
+                return;
             }
-            State.clear();
-            setTimeout(function() {
-                UI.showIdleState();
-            }, 5000);
+
+            UI.showStatus('Extracting page ' + state.currentPage + '...');
+            return grid.extractNewCards(self.gridCardsSeen);
+        }).then(function(result) {
+            if (!result) {
+                return;
+            }
+
+            var newCards = result.cardCount - self.gridCardsSeen;
+            self.gridCardsSeen = result.cardCount;
+            console.log('[LiSeSca] Page ' + state.currentPage
+                + ': extracted ' + result.profiles.length + ' profiles.');
+
+            self.saveProfiles(result.profiles, aiEnabled, 'Page ' + progress, function() {
+                self.decideNextGridAction(newCards);
+            });
+
+        }).catch(function(error) {
+            self.abortWithError(error);
         });
     },
 
+    /**
+     * End the session after an unexpected error, downloading what was collected.
+     * @param {Error} error - The error.
+     */
+    abortWithError: function(error) {
+        Session.abortWithError(error, function(buffer) {
+            Output.downloadResults(buffer);
+        });
+    },
+
+    /**
+     * Save the profiles extracted from one page, scoring them first if AI is enabled.
+     * @param {Array} profiles - Array of profile card data.
+     * @param {boolean} aiEnabled - Whether to score the profiles with AI.
+     * @param {string} progressLabel - Page progress shown while scoring, e.g. "Page 3 (1 of 10)".
+     * @param {function} onDone - Called once the profiles are saved.
+     */
+    saveProfiles: function(profiles, aiEnabled, progressLabel, onDone) {
+        if (aiEnabled) {
+            // Score profiles with AI
+            this.scoreProfiles(profiles, progressLabel, onDone);
+            return;
+        }
+
+        // No AI: save all profiles
+        if (profiles.length > 0) {
+            console.table(profiles.map(function(p) {
+                return {
+                    name: p.fullName,
+                    degree: p.connectionDegree,
+                    description: (p.description || '').substring(0, 50),
+                    location: p.location
+                };
+            }));
+        }
+        State.appendBuffer(profiles);
+        onDone();
+    },
+
     /**
      * Score all profiles on the page using AI.
      * Only saves profiles with score >= 3.
      * If AI fails, falls back to saving all profiles with "unavailable" rating.
      * @param {Array} profiles - Array of profile card data.
-     * @param {Object} state - Current scraping state.
+     * @param {string} progressLabel - Page progress shown in the status, e.g. "Page 3 (1 of 10)".
+     * @param {function} onDone - Called once every profile was scored.
      */
-    scoreProfiles: function(profiles, state) {
+    scoreProfiles: function(profiles, progressLabel, onDone) {
         var self = this;
         var scoreIndex = 0;
-        var pagesScraped = state.currentPage - state.startPage;
         var savedCount = 0;
         var aiFailureCount = 0;
         var consecutiveFailures = 0;
@@ -304,13 +412,12 @@ export const Controller = {
                     console.log('[LiSeSca] AI failures: ' + aiFailureCount + ' profiles saved without rating.');
                 }
 
-                self.decideNextAction(profiles.length);
+                onDone();
                 return;
             }
 
             var profile = profiles[scoreIndex];
-            var statusMsg = 'Page ' + state.currentPage
-                + ' (' + (pagesScraped + 1) + ' of ' + state.targetPageCount + ')'
+            var statusMsg = progressLabel
                 + ' — Scoring ' + (scoreIndex + 1) + ' of ' + profiles.length;
 
             if (aiDisabled) {
@@ -360,14 +467,17 @@ export const Controller = {
                 console.log('[LiSeSca] AI SCORE: ' + profile.fullName
                     + ' — ' + score + '/5 (' + label + ') — ' + reason);
 
-                // Save profile if score >= 3
+                profile.aiScore = score;
+                profile.aiLabel = label;
+                profile.aiReason = reason;
+
+                // Save profile if score >= 3, otherwise keep it for the rejected audit file
                 if (score >= 3) {
-                    profile.aiScore = score;
-                    profile.aiLabel = label;
-                    profile.aiReason = reason;
                     State.appendBuffer([profile]);
                     State.incrementAIPeopleAccepted();
                     savedCount++;
+                } else {
+                    State.appendRejected([profile]);
                 }
 
                 UI.showAIStats(State.getAIPeopleEvaluated(), State.getAIPeopleAccepted(), '');
@@ -440,17 +550,86 @@ export const Controller = {
         }, Emulator.getRandomInt(1000, 2500));
     },
 
+    /**
+     * Decide next action after reading a page of a company's People tab or
+     * the connections list: load more cards, or finish.
+     * @param {number} cardsOnThisPage - Number of cards the page added to the list.
+     */
+    decideNextGridAction: function(cardsOnThisPage) {
+        var self = this;
+        var grid = this.getGridReader();
+        var state = State.getScrapingState();
+        var pagesScraped = state.currentPage - state.startPage + 1;
+
+        if (cardsOnThisPage === 0) {
+            console.log('[LiSeSca] No people cards on page ' + state.currentPage + '. End of results.');
+            this.finishScraping();
+            return;
+        }
+
+        if (pagesScraped >= state.targetPageCount) {
+            console.log('[LiSeSca] Reached target of ' + state.targetPageCount + ' pages.');
+            this.finishScraping();
+            return;
+        }
+
+        if (!State.isScraping()) {
+            console.log('[LiSeSca] Scraping stopped by user.');
+            this.finishScraping();
+            return;
+        }
+
+        if (!grid.LOADS_ON_SCROLL && !grid.getShowMoreButton()) {
+            console.log('[LiSeSca] No "Show more results" button. End of results.');
+            this.finishScraping();
+            return;
+        }
+
+        UI.showStatus('Loading more people...');
+
+        Emulator.randomDelay(1000, 2500).then(function() {
+            if (!State.isScraping()) {
+                return null;
+            }
+            return grid.showMore(self.gridCardsSeen);
+        }).then(function(loaded) {
+            if (loaded === null) {
+                return;
+            }
+            if (!loaded) {
+                console.log('[LiSeSca] No new people loaded. End of results.');
+                self.finishScraping();
+                return;
+            }
+            State.advancePage();
+            self.gridScrapeCycle();
+        }).catch(function(error) {
+            self.abortWithError(error);
+        });
+    },
+
     /**
      * Complete the scraping session.
+     * With "Visit profiles" on, a finished (not stopped) run first visits
+     * every saved profile; the summary appears once the visits are done.
+     * @param {boolean} [interrupted] - True if stopped by the user.
      */
     finishScraping: function(interrupted) {
+        if (!interrupted && State.isScraping() && State.getVisitProfiles() && State.getVisitPhase() === ''
+            && State.getBuffer().length > 0) {
+            Session.startVisits(this.getProfileVisit());
+            return;
+        }
+
         var buffer = State.getBuffer();
         var totalProfiles = buffer.length;
         var aiEnabled = State.getPeopleAIEnabled();
         var aiEvaluated = State.getAIPeopleEvaluated();
         var aiAccepted = State.getAIPeopleAccepted();
         var state = State.getScrapingState();
-        var pagesScraped = state.currentPage - state.startPage + (interrupted ? 0 : 1);
+        // A stop during the profile visits comes after the last search page was done
+        var lastPageDone = !interrupted || State.getVisitPhase() !== '';
+        var pagesScraped = state.currentPage - state.startPage + (lastPageDone ? 1 : 0);
 
         console.log('[LiSeSca] Scraping finished! Total: ' + totalProfiles + ' profiles.');
         if (aiEnabled && aiEvaluated > 0) {
@@ -459,15 +638,62 @@ export const Controller = {
 
         UI.hideAIStats();
 
-        // Always show the summary instead of automatic download/clear
-        UI.showSummary({
+        var stats = {
             type: 'people',
             pages: pagesScraped,
             saved: totalProfiles,
+            visitProfiles: State.getVisitProfiles(),
+            visited: buffer.filter(function(profile) {
+                return !!profile.profileVisitedAt;
+            }).length,
             aiEnabled: aiEnabled,
             aiEvaluated: aiEvaluated,
-            aiAccepted: aiAccepted
-        }, interrupted);
+            aiAccepted: aiAccepted,
+            rejected: State.getRejected().length
+        };
+
+        // Kept for the XLSX Summary sheet
+        State.saveRunStats(Object.assign({
+            interrupted: !!interrupted,
+            finishedAt: new Date().toISOString()
+        }, stats));
+
+        // Always show the summary instead of automatic download/clear
+        UI.showSummary(stats, interrupted);
+    },
+
+    /**
+     * Build the steps of the profile deep visits, run by Session.
+     * @returns {Object} The visit object (see Session).
+     */
+    getProfileVisit: function() {
+        var self = this;
+        return {
+            label: 'Profile',
+            getUrl: function(profile) {
+                return profile.profileUrl;
+            },
+            isOnPage: function() {
+                return PageDetector.isOnProfilePage();
+            },
+            extract: function(profile, statusPrefix) {
+                return ProfileExtractor.waitForProfile().then(function(loaded) {
+                    if (!loaded) {
+                        return null;
+                    }
+                    return Emulator.emulateHumanScan(statusPrefix,
+                        CONFIG.MIN_PROFILE_VISIT_TIME, CONFIG.MAX_PROFILE_VISIT_TIME).then(function() {
+                        return State.isScraping() ? ProfileExtractor.extractProfile() : null;
+                    });
+                });
+            },
+            merge: function(profile, details) {
+                return Object.assign({}, profile, details);
+            },
+            finish: function() {
+                self.finishScraping();
+            }
+        };
     },
 
     /**
@@ -490,5 +716,31 @@ export const Controller = {
         } else {
             console.warn('[LiSeSca] No profiles in buffer to download.');
         }
+    },
+
+    /**
+     * Merge the results into a previous export and download the merged file
+     * (called by UI summary panel).
+     * @param {File} file - The previous XLSX, JSON or JSON Lines export.
+     * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+     */
+    mergeResults: function(file) {
+        var buffer = State.getBuffer();
+        if (buffer.length === 0) {
+            return Promise.reject(new Error('No profiles in buffer to merge.'));
+        }
+        return Output.downloadMerged(buffer, file);
+    },
+
+    /**
+     * Trigger the download of AI-rejected profiles (called by UI summary panel)
+     */
+    downloadRejected: function() {
+        var rejected = State.getRejected();
+        if (rejected.length > 0) {
+            Output.downloadRejected(rejected);
+        } else {
+            console.warn('[LiSeSca] No rejected profiles to download.');
+        }
     }
 };
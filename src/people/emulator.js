@@ -79,15 +79,17 @@ export const Emulator = {
     /**
      * Run the full human emulation sequence for page scanning.
      * @param {string} statusPrefix - Text to show before the countdown.
+     * @param {number} [minSeconds] - Minimum scan time (default: CONFIG.MIN_PAGE_TIME).
+     * @param {number} [maxSeconds] - Maximum scan time (default: CONFIG.MAX_PAGE_TIME).
      * @returns {Promise<void>} Resolves when emulation is complete.
      */
-    emulateHumanScan: function(statusPrefix) {
+    emulateHumanScan: function(statusPrefix, minSeconds, maxSeconds) {
         this.cancelled = false;
         const self = this;
 
         const totalTimeMs = this.getRandomInt(
-            CONFIG.MIN_PAGE_TIME * 1000,
-            CONFIG.MAX_PAGE_TIME * 1000
+            (minSeconds || CONFIG.MIN_PAGE_TIME) * 1000,
+            (maxSeconds || CONFIG.MAX_PAGE_TIME) * 1000
         );
         const totalTimeSec = Math.round(totalTimeMs / 1000);
 
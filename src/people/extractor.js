@@ -1,8 +1,10 @@
 // ===== DATA EXTRACTION (PEOPLE) =====
 // Reads the current page's DOM and returns an array of profile objects.
 // Each profile is represented as:
-//   { fullName, connectionDegree, description, location, profileUrl }
+//   { fullName, connectionDegree, description, location,
+//     city, region, country, metroArea, profileUrl }
 import { Selectors } from '../selectors/people.js';
+import { LocationParser } from '../shared/location.js';
 
 export const Extractor = {
 
@@ -76,12 +78,17 @@ export const Extractor = {
         const connectionDegree = this.extractDegree(titleLink);
         const description = this.extractDescription(titleLink);
         const location = this.extractLocation(titleLink);
+        const place = LocationParser.parse(location);
 
         return {
             fullName: fullName,
             connectionDegree: connectionDegree,
             description: description,
             location: location,
+            city: place.city,
+            region: place.region,
+            country: place.country,
+            metroArea: place.metroArea,
             profileUrl: profileUrl
         };
     },
@@ -104,6 +111,9 @@ export const Extractor = {
         if (profile.connectionDegree) {
             lines.push('**Connection degree:** ' + profile.connectionDegree);
         }
+        if (profile.connectedOn) {
+            lines.push('**Connected on:** ' + profile.connectedOn);
+        }
         if (profile.profileUrl) {
             lines.push('**Profile:** ' + profile.profileUrl);
         }
@@ -0,0 +1,108 @@
+// ===== DATA EXTRACTION (PEOPLE LISTS THAT GROW IN PLACE) =====
+// Shared reading of the people lists without "page=" pagination: a
+// company's People tab and the own connections list. Both grow in place,
+// either when "Show more results" is clicked or, for lists that set
+// LOADS_ON_SCROLL, when scrolled to the bottom. Cards are read by position
+// and only the ones added since the previous read are returned.
+// Each list mixes these methods into its own reader and adds its settings
+// and card extraction:
+//   CARD_SELECTOR, SHOW_MORE_SELECTOR, LOADS_ON_SCROLL, CARD_LABEL, extractCard(card)
+export const GridReader = {
+
+    /** Grows when scrolled to the bottom, not only via "Show more results" */
+    LOADS_ON_SCROLL: false,
+
+    /**
+     * Get the cards currently in the list.
+     * @returns {NodeList} The card elements, in page order.
+     */
+    getCards: function() {
+        return document.querySelectorAll(this.CARD_SELECTOR);
+    },
+
+    /**
+     * Wait until the list holds more than a given number of cards.
+     * @param {number} knownCount - Cards already in the list.
+     * @returns {Promise<number>} The card count (unchanged if none arrived within 10 seconds).
+     */
+    waitForCards: function(knownCount) {
+        var self = this;
+        return new Promise(function(resolve) {
+            var maxWaitMs = 10000;
+            var pollIntervalMs = 500;
+            var elapsed = 0;
+
+            var poll = setInterval(function() {
+                var count = self.getCards().length;
+                if (count > knownCount) {
+                    clearInterval(poll);
+                    resolve(count);
+                    return;
+                }
+                elapsed += pollIntervalMs;
+                if (elapsed >= maxWaitMs) {
+                    clearInterval(poll);
+                    console.log('[LiSeSca] No new ' + self.CARD_LABEL + ' cards after ' + maxWaitMs + 'ms.');
+                    resolve(count);
+                }
+            }, pollIntervalMs);
+        });
+    },
+
+    /**
+     * Extract the profiles of the cards added after the first knownCount.
+     * Waits for the list to render if it is still empty.
+     * @param {number} knownCount - Cards already read.
+     * @returns {Promise<Object>} { profiles, cardCount } — cardCount is the new total.
+     */
+    extractNewCards: function(knownCount) {
+        var self = this;
+        return this.waitForCards(knownCount).then(function() {
+            var cards = Array.prototype.slice.call(self.getCards(), knownCount);
+            var profiles = [];
+            cards.forEach(function(card, index) {
+                try {
+                    var profile = self.extractCard(card);
+                    if (profile) {
+                        profiles.push(profile);
+                    }
+                } catch (error) {
+                    console.warn('[LiSeSca] Failed to extract ' + self.CARD_LABEL + ' card #'
+                        + (knownCount + index) + ':', error);
+                }
+            });
+            console.log('[LiSeSca] Extracted ' + profiles.length + ' profiles from '
+                + cards.length + ' new cards.');
+            return { profiles: profiles, cardCount: knownCount + cards.length };
+        });
+    },
+
+    /**
+     * Find the "Show more results" button, if LinkedIn shows one.
+     * @returns {Element|null} The enabled button, or null.
+     */
+    getShowMoreButton: function() {
+        var button = document.querySelector(this.SHOW_MORE_SELECTOR);
+        return (button && !button.disabled) ? button : null;
+    },
+
+    /**
+     * Load more cards: click "Show more results" if shown, otherwise scroll
+     * to the bottom of lists that load on scroll, then wait for the new cards.
+     * @param {number} knownCount - Cards in the list before loading.
+     * @returns {Promise<boolean>} True if new cards appeared.
+     */
+    showMore: function(knownCount) {
+        var button = this.getShowMoreButton();
+        if (button) {
+            button.click();
+        } else if (this.LOADS_ON_SCROLL) {
+            window.scrollTo({ top: document.documentElement.scrollHeight, behavior: 'smooth' });
+        } else {
+            return Promise.resolve(false);
+        }
+        return this.waitForCards(knownCount).then(function(count) {
+            return count > knownCount;
+        });
+    }
+};
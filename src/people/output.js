@@ -1,9 +1,24 @@
 // ===== OUTPUT GENERATION (PEOPLE) =====
-// Formats scraped profile data into XLSX, CSV, and Markdown.
+// Formats scraped profile data into XLSX, CSV, Markdown, Markdown bundle (ZIP),
+// HTML report, vCard, JSON and JSON Lines; the format-independent steps
+// are in Export.
+import { CONFIG } from '../shared/config.js';
 import { State } from '../shared/state.js';
+import { Export } from '../shared/export.js';
+import { MarkdownBundle } from '../shared/markdown-bundle.js';
+import { HtmlReport } from '../shared/html-report.js';
+import { ExportProfiles } from '../shared/export-profiles.js';
+import { XlsxWorkbook } from '../shared/xlsx-workbook.js';
+import { ProfileExtractor } from './profile-extractor.js';
 
 export const Output = {
 
+    /** Export mode name (see Export) */
+    MODE: 'people',
+
+    /** Name of the results sheet in XLSX exports */
+    SHEET_NAME: 'LinkedIn Search',
+
     /**
      * Format a single profile into Markdown.
      * @param {Object} profile - A profile data object.
@@ -27,6 +42,15 @@ export const Output = {
         }
         lines.push('Location: ' + (profile.location || '(none)'));
         lines.push('Full profile URL: ' + (profile.profileUrl || '(none)'));
+        if (profile.connectedOn) {
+            lines.push('Connected on: ' + profile.connectedOn);
+        }
+
+        var visited = this.formatVisitedSections(profile);
+        if (visited.length > 0) {
+            lines.push('');
+            lines.push.apply(lines, visited);
+        }
 
         if (profile.aiScore !== undefined) {
             lines.push('');
@@ -39,6 +63,53 @@ export const Output = {
         return lines.join('\n');
     },
 
+    /**
+     * Format the fields read on a profile visit as Markdown lines.
+     * @param {Object} profile - A profile data object.
+     * @returns {Array<string>} The lines, or an empty array if the profile was not visited.
+     */
+    formatVisitedSections: function(profile) {
+        var lines = [];
+        if (!profile.profileVisitedAt) {
+            return lines;
+        }
+        if (profile.currentTitle) {
+            lines.push('**Current:** ' + profile.currentTitle
+                + (profile.currentCompany ? ' at ' + profile.currentCompany : ''));
+        }
+        if (profile.profileSkills && profile.profileSkills.length > 0) {
+            lines.push('**Skills:** ' + profile.profileSkills.join(', '));
+        }
+        if (profile.experience && profile.experience.length > 0) {
+            lines.push('');
+            lines.push('## Experience');
+            lines.push('');
+            profile.experience.forEach(function(entry) {
+                lines.push('- ' + ProfileExtractor.formatExperience(entry)
+                    + (entry.location ? ', ' + entry.location : ''));
+            });
+        }
+        if (profile.education && profile.education.length > 0) {
+            lines.push('');
+            lines.push('## Education');
+            lines.push('');
+            profile.education.forEach(function(entry) {
+                lines.push('- ' + ProfileExtractor.formatEducation(entry));
+            });
+        }
+        if (profile.about) {
+            lines.push('');
+            lines.push('## About');
+            lines.push('');
+            lines.push(profile.about);
+        }
+        // Drop the blank line a heading-less start would leave
+        while (lines.length > 0 && lines[0] === '') {
+            lines.shift();
+        }
+        return lines;
+    },
+
     /**
      * Convert a number to its ordinal string.
      * @param {number} n - The number.
@@ -54,6 +125,56 @@ export const Output = {
         return n + (suffixes[lastDigit] || 'th');
     },
 
+    /** Starting point offered in the template editor, mirroring the built-in layout */
+    EXAMPLE_MARKDOWN_TEMPLATE: [
+        '# {{fullName}}',
+        '',
+        '{{#if connectionDegree}}',
+        'Connection: {{connectionDegree}}',
+        '{{/if}}',
+        '{{#if description}}',
+        'Headline: {{description}}',
+        '{{/if}}',
+        'Location: {{location}}',
+        'Full profile URL: {{profileUrl}}',
+        '{{#if currentTitle}}',
+        '',
+        '**Current:** {{currentTitle}} at {{currentCompany}}',
+        '{{/if}}',
+        '{{#if experience}}',
+        '',
+        '## Experience',
+        '',
+        '{{#each experience}}',
+        '- {{title}} at {{company}} ({{dateRange}})',
+        '{{/each}}',
+        '{{/if}}',
+        '{{#if education}}',
+        '',
+        '## Education',
+        '',
+        '{{#each education}}',
+        '- {{degree}}, {{school}} ({{dateRange}})',
+        '{{/each}}',
+        '{{/if}}',
+        '{{#if aiLabel}}',
+        '',
+        '**AI Score:** {{aiScore}}/5 ({{aiLabel}})',
+        '**AI Reason:** {{aiReason}}',
+        '{{/if}}'
+    ].join('\n'),
+
+    /**
+     * Format a profile for Markdown exports (user template or built-in layout).
+     * @param {Object} profile - A profile data object.
+     * @returns {string} The Markdown block.
+     */
+    formatProfileForExport: function(profile) {
+        return Export.renderMarkdownRecord('people', profile, function(record) {
+            return Output.formatProfile(record);
+        });
+    },
+
     /**
      * Generate a complete Markdown document from an array of profiles.
      * @param {Array} profiles - Array of profile data objects.
@@ -61,41 +182,105 @@ export const Output = {
      */
     generateMarkdown: function(profiles) {
         const blocks = profiles.map(function(profile) {
-            return Output.formatProfile(profile);
+            return Output.formatProfileForExport(profile);
         });
         return blocks.join('\n\n---\n\n') + '\n';
     },
 
-    COLUMN_HEADERS: ['Name', 'Title/Description', 'Location', 'LinkedIn URL', 'Connection degree',
-        'AI Score', 'AI Rating', 'AI Reason'],
-
     /**
-     * Convert a profile object into a row array.
-     * @param {Object} profile - A profile data object.
-     * @returns {Array<string|number>} Array of cell values.
+     * Generate a ZIP bundle with one Markdown note per profile.
+     * Filenames combine the name with the profile slug, which keeps
+     * namesakes apart.
+     * @param {Array} profiles - Array of profile data objects.
+     * @returns {Promise<Uint8Array>} The binary ZIP content.
      */
-    profileToRow: function(profile) {
-        return [
-            profile.fullName || '',
-            profile.description || '',
-            profile.location || '',
-            profile.profileUrl || '',
-            profile.connectionDegree || 0,
-            profile.aiScore !== undefined ? profile.aiScore : '',
-            profile.aiLabel || '',
-            profile.aiReason || ''
-        ];
+    generateMarkdownBundle: function(profiles) {
+        var usedNames = MarkdownBundle.createUsedNames();
+        var notes = profiles.map(function(profile) {
+            var slugMatch = (profile.profileUrl || '').match(/\/in\/([^/?#]+)/);
+            var frontMatter = {
+                name: profile.fullName || '',
+                headline: profile.headline || profile.description || '',
+                location: profile.location || '',
+                connection_degree: profile.connectionDegree || '',
+                profile_url: profile.profileUrl || ''
+            };
+            if (profile.connectedAt) {
+                frontMatter.connected_at = profile.connectedAt;
+            }
+            if (profile.profileVisitedAt) {
+                frontMatter.current_title = profile.currentTitle || '';
+                frontMatter.current_company = profile.currentCompany || '';
+                frontMatter.skills = profile.profileSkills || [];
+            }
+            if (profile.aiScore !== undefined) {
+                frontMatter.ai_score = profile.aiScore;
+                frontMatter.ai_label = profile.aiLabel || '';
+            }
+            return {
+                fileName: MarkdownBundle.buildFileName([profile.fullName, slugMatch ? slugMatch[1] : ''], usedNames),
+                title: profile.fullName || '(unnamed)',
+                frontMatter: frontMatter,
+                body: Output.formatProfileForExport(profile)
+            };
+        });
+        return MarkdownBundle.generateZip(notes, 'LinkedIn People');
     },
 
+    /**
+     * Default columns for XLSX and CSV export (profile property → header).
+     * Export profiles can hide, reorder and rename them by key.
+     */
+    COLUMNS: [
+        { key: 'fullName', header: 'Name' },
+        { key: 'description', header: 'Title/Description' },
+        { key: 'location', header: 'Location' },
+        { key: 'city', header: 'City' },
+        { key: 'region', header: 'Region' },
+        { key: 'country', header: 'Country' },
+        { key: 'metroArea', header: 'Metro Area' },
+        { key: 'profileUrl', header: 'LinkedIn URL' },
+        { key: 'connectionDegree', header: 'Connection degree' },
+        { key: 'connectedOn', header: 'Connected' },
+        { key: 'connectedAt', header: 'Connected At' },
+        { key: 'currentTitle', header: 'Current Title' },
+        { key: 'currentCompany', header: 'Current Company' },
+        { key: 'experienceHistory', header: 'Experience' },
+        { key: 'educationHistory', header: 'Education' },
+        { key: 'profileSkills', header: 'Skills' },
+        { key: 'about', header: 'About' },
+        { key: 'aiScore', header: 'AI Score' },
+        { key: 'aiLabel', header: 'AI Rating' },
+        { key: 'aiReason', header: 'AI Reason' }
+    ],
+
+    /**
+     * Get the columns to export, honoring the active export profile.
+     * @returns {Array<Object>} { key, header } columns, in export order.
+     */
+    getExportColumns: function() {
+        return ExportProfiles.getActiveColumns('people', this.COLUMNS);
+    },
 
     /**
-     * Escape a value for CSV output (RFC 4180).
-     * @param {*} value - The cell value to escape.
-     * @returns {string} The CSV-safe string.
+     * Convert a profile object into a row array.
+     * @param {Object} profile - A profile data object.
+     * @param {Array<Object>} columns - { key, header } columns to include.
+     * @returns {Array<string|number>} Array of cell values.
      */
-    escapeCSVField: function(value) {
-        var str = String(value);
-        return '"' + str.replace(/"/g, '""') + '"';
+    profileToRow: function(profile, columns) {
+        return columns.map(function(column) {
+            if (column.key === 'connectionDegree') {
+                return profile.connectionDegree || 0;
+            }
+            if (column.key === 'aiScore') {
+                return profile.aiScore !== undefined ? profile.aiScore : '';
+            }
+            if (Array.isArray(profile[column.key])) {
+                return profile[column.key].join(', ');
+            }
+            return profile[column.key] || '';
+        });
     },
 
     /**
@@ -106,16 +291,17 @@ export const Output = {
     generateCSV: function(profiles) {
         var self = this;
         var lines = [];
+        var columns = this.getExportColumns();
 
-        var headerLine = this.COLUMN_HEADERS.map(function(header) {
-            return self.escapeCSVField(header);
+        var headerLine = columns.map(function(column) {
+            return Export.escapeCSVField(column.header);
         }).join(',');
         lines.push(headerLine);
 
         profiles.forEach(function(profile) {
-            var row = self.profileToRow(profile);
+            var row = self.profileToRow(profile, columns);
             var csvLine = row.map(function(cell) {
-                return self.escapeCSVField(cell);
+                return Export.escapeCSVField(cell);
             }).join(',');
             lines.push(csvLine);
         });
@@ -124,68 +310,219 @@ export const Output = {
     },
 
     /**
-     * Generate an XLSX file as a Uint8Array.
+     * Escape a text value for vCard output (RFC 6350, section 3.4).
+     * @param {*} value - The value to escape.
+     * @returns {string} The escaped text.
+     */
+    escapeVCardText: function(value) {
+        var str = (value === null || value === undefined) ? '' : String(value);
+        return str.replace(/\\/g, '\\\\')
+            .replace(/,/g, '\\,')
+            .replace(/;/g, '\\;')
+            .replace(/\r\n?|\n/g, '\\n');
+    },
+
+    /**
+     * Fold a vCard content line to at most 75 octets per physical line.
+     * Continuation lines start with a single space; multi-byte UTF-8
+     * characters are never split.
+     * @param {string} line - The unfolded content line.
+     * @returns {string} The folded line, using CRLF breaks.
+     */
+    foldVCardLine: function(line) {
+        var result = '';
+        var octets = 0;
+        Array.from(line).forEach(function(ch) {
+            var code = ch.codePointAt(0);
+            var size = code < 0x80 ? 1 : (code < 0x800 ? 2 : (code < 0x10000 ? 3 : 4));
+            if (octets + size > 75) {
+                result += '\r\n ';
+                octets = 1;  // the leading space counts toward the next line
+            }
+            result += ch;
+            octets += size;
+        });
+        return result;
+    },
+
+    /**
+     * Convert a profile into a vCard 4.0 entry.
+     * The name is split on its last space for the structured N property;
+     * LinkedIn's free-text location goes into the address locality.
+     * @param {Object} profile - A profile data object.
+     * @returns {string} The vCard, including BEGIN/END lines and trailing CRLF.
+     */
+    profileToVCard: function(profile) {
+        var self = this;
+        var fullName = (profile.fullName || '').trim();
+        var lastSpace = fullName.lastIndexOf(' ');
+        var familyName = lastSpace > 0 ? fullName.substring(lastSpace + 1) : fullName;
+        var givenName = lastSpace > 0 ? fullName.substring(0, lastSpace) : '';
+
+        var lines = ['BEGIN:VCARD', 'VERSION:4.0'];
+        lines.push('FN:' + this.escapeVCardText(fullName || '(unnamed)'));
+        lines.push('N:' + this.escapeVCardText(familyName) + ';' + this.escapeVCardText(givenName) + ';;;');
+
+        var headline = profile.headline || profile.description || '';
+        var title = profile.currentTitle || headline;
+        if (title) {
+            lines.push('TITLE:' + this.escapeVCardText(title));
+        }
+        if (profile.currentCompany) {
+            lines.push('ORG:' + this.escapeVCardText(profile.currentCompany));
+        }
+        if (profile.location) {
+            lines.push('ADR:;;;' + this.escapeVCardText(profile.location) + ';;;');
+        }
+        if (profile.profileUrl) {
+            lines.push('URL:' + profile.profileUrl);
+        }
+
+        var notes = [];
+        if (headline) {
+            notes.push(headline);
+        }
+        if (profile.connectionDegree) {
+            notes.push('LinkedIn connection: ' + this.toOrdinal(profile.connectionDegree));
+        }
+        if (profile.aiScore !== undefined) {
+            notes.push('AI score: ' + profile.aiScore + '/5 (' + (profile.aiLabel || '') + ')');
+            if (profile.aiReason) {
+                notes.push('AI reason: ' + profile.aiReason);
+            }
+        }
+        if (notes.length > 0) {
+            lines.push('NOTE:' + this.escapeVCardText(notes.join('\n')));
+        }
+        lines.push('END:VCARD');
+
+        return lines.map(function(line) {
+            return self.foldVCardLine(line);
+        }).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Generate a vCard file containing one entry per profile.
      * @param {Array} profiles - Array of profile data objects.
-     * @returns {Uint8Array} The binary XLSX file content.
+     * @returns {string} The complete .vcf content.
      */
-    generateXLSX: function(profiles) {
+    generateVCard: function(profiles) {
         var self = this;
-        var data = [this.COLUMN_HEADERS];
-        profiles.forEach(function(profile) {
-            data.push(self.profileToRow(profile));
-        });
+        return profiles.map(function(profile) {
+            return self.profileToVCard(profile);
+        }).join('');
+    },
 
-        var worksheet = XLSX.utils.aoa_to_sheet(data);
-        var workbook = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(workbook, worksheet, 'LinkedIn Search');
+    /**
+     * Generate a self-contained HTML report of profiles.
+     * Profiles with an AI reason expand to show it.
+     * @param {Array} profiles - Array of profile data objects.
+     * @returns {string} The complete HTML document.
+     */
+    generateHTML: function(profiles) {
+        var rows = profiles.map(function(profile) {
+            var aiCell = '';
+            if (profile.aiScore !== undefined) {
+                aiCell = {
+                    text: profile.aiScore + '/5 ' + (profile.aiLabel || ''),
+                    tone: profile.aiScore >= 4 ? 'good' : (profile.aiScore === 3 ? 'neutral' : 'bad'),
+                    sort: profile.aiScore
+                };
+            }
+            return {
+                cells: [
+                    { text: profile.fullName || '(unnamed)', href: profile.profileUrl },
+                    profile.headline || profile.description || '',
+                    profile.location || '',
+                    { text: profile.connectionDegree ? Output.toOrdinal(profile.connectionDegree) : '', sort: profile.connectionDegree || '' },
+                    aiCell
+                ],
+                details: Output.formatVisitedSections(profile).concat(
+                    profile.aiReason ? ['', '**AI Reason:** ' + profile.aiReason] : []
+                ).join('\n').trim()
+            };
+        });
 
-        var xlsxData = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
-        return new Uint8Array(xlsxData);
+        return HtmlReport.generate({
+            title: 'LinkedIn People',
+            metadata: Export.buildReportMetadata('people', profiles.length),
+            columns: ['Name', 'Headline', 'Location', 'Degree', 'AI Score'],
+            rows: rows
+        });
     },
 
     /**
-     * Generate a filename based on the current date and time.
-     * Format: YYYY-MM-DD_HH_MM_PEOPLE_LinkedIn.[extension]
-     * @param {string} extension - File extension (default: 'md').
-     * @returns {string} The generated filename.
+     * Build a formatted profiles worksheet, honoring the active export profile.
+     * @param {Array} profiles - Array of profile data objects.
+     * @param {Array<Object>} [columns] - { key, header } columns (default: export columns).
+     * @returns {Object} The SheetJS worksheet.
      */
-    buildFilename: function(extension) {
-        var ext = extension || 'md';
-        var now = new Date();
-        var year = now.getFullYear();
-        var month = String(now.getMonth() + 1).padStart(2, '0');
-        var day = String(now.getDate()).padStart(2, '0');
-        var hours = String(now.getHours()).padStart(2, '0');
-        var minutes = String(now.getMinutes()).padStart(2, '0');
-        return year + '-' + month + '-' + day + '_' + hours + '_' + minutes
-            + '_PEOPLE_LinkedIn.' + ext;
+    buildSheet: function(profiles, columns) {
+        var self = this;
+        columns = columns || this.getExportColumns();
+        var headers = columns.map(function(column) {
+            return column.header;
+        });
+        var rows = profiles.map(function(profile) {
+            return self.profileToRow(profile, columns);
+        });
+        return XlsxWorkbook.buildTableSheet(headers, rows, Export.findColumnIndexes(columns, ['profileUrl']));
     },
 
     /**
-     * Trigger a file download in the browser.
-     * @param {string|Uint8Array} content - The file content.
-     * @param {string} filename - The desired filename.
-     * @param {string} mimeType - The MIME type for the Blob.
+     * Generate an XLSX workbook of profiles.
+     * Optionally adds Rejected, Summary and Run Metadata sheets so the file
+     * describes the run it came from.
+     * @param {Array} profiles - Array of profile data objects.
+     * @returns {Promise<Uint8Array>} The binary XLSX file content.
      */
-    downloadFile: function(content, filename, mimeType) {
-        var type = mimeType || 'text/markdown;charset=utf-8';
-        const blob = new Blob([content], { type: type });
-        const url = URL.createObjectURL(blob);
+    generateXLSX: function(profiles) {
+        var workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, this.buildSheet(profiles), this.SHEET_NAME);
+
+        if (CONFIG.XLSX_EXTRA_SHEETS) {
+            var rejected = State.getRejected();
+            if (rejected.length > 0) {
+                XLSX.utils.book_append_sheet(workbook, this.buildSheet(rejected), 'Rejected');
+            }
+            Export.appendRunSheets(workbook, 'people', profiles.length);
+        }
 
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        link.style.display = 'none';
+        return XlsxWorkbook.write(workbook);
+    },
 
-        document.body.appendChild(link);
-        link.click();
+    /**
+     * Generate an XLSX audit file from AI-rejected profiles.
+     * @param {Array} profiles - Array of rejected profile data objects.
+     * @returns {Promise<Uint8Array>} The binary XLSX file content.
+     */
+    generateRejectedXLSX: function(profiles) {
+        var workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, this.buildSheet(profiles), 'Rejected Profiles');
+        return XlsxWorkbook.write(workbook);
+    },
 
-        setTimeout(function() {
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
-        }, 1000);
+    /**
+     * Merge profiles into a previous export and download the merged file,
+     * in the format of that export (XLSX, JSON or JSON Lines).
+     * @param {Array} profiles - Array of profile data objects.
+     * @param {File} file - The previous export chosen by the user.
+     * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+     */
+    downloadMerged: function(profiles, file) {
+        return Export.downloadMerged(this, profiles, file);
+    },
 
-        console.log('[LiSeSca] File download triggered: ' + filename);
+    /**
+     * Generate a people export filename.
+     * With the default pattern: YYYY-MM-DD_HH_MM_PEOPLE[_TAG]_LinkedIn.[extension]
+     * @param {string} extension - File extension (default: 'md').
+     * @param {string} [tag] - Optional tag for auxiliary files (e.g. 'REJECTED').
+     * @param {number} [count] - Records in the file (default: the buffer size).
+     * @returns {string} The generated filename.
+     */
+    buildFilename: function(extension, tag, count) {
+        return Export.formatFilename('PEOPLE', extension, tag, count);
     },
 
     /**
@@ -193,45 +530,14 @@ export const Output = {
      * @param {Array} profiles - Array of profile data objects.
      */
     downloadResults: function(profiles) {
-        if (!profiles || profiles.length === 0) {
-            console.warn('[LiSeSca] No profiles to download.');
-            return;
-        }
-
-        var formats = State.getFormats();
-        console.log('[LiSeSca] Downloading in formats: ' + formats.join(', '));
+        Export.downloadResults(this, profiles);
+    },
 
-        var self = this;
-        var delayMs = 0;
-
-        if (formats.indexOf('xlsx') !== -1) {
-            setTimeout(function() {
-                var xlsxData = self.generateXLSX(profiles);
-                var xlsxFilename = self.buildFilename('xlsx');
-                self.downloadFile(
-                    xlsxData,
-                    xlsxFilename,
-                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-                );
-            }, delayMs);
-            delayMs += 200;
-        }
-
-        if (formats.indexOf('csv') !== -1) {
-            setTimeout(function() {
-                var csvContent = self.generateCSV(profiles);
-                var csvFilename = self.buildFilename('csv');
-                self.downloadFile(csvContent, csvFilename, 'text/csv;charset=utf-8');
-            }, delayMs);
-            delayMs += 200;
-        }
-
-        if (formats.indexOf('md') !== -1) {
-            setTimeout(function() {
-                var markdown = self.generateMarkdown(profiles);
-                var mdFilename = self.buildFilename('md');
-                self.downloadFile(markdown, mdFilename, 'text/markdown;charset=utf-8');
-            }, delayMs);
-        }
+    /**
+     * Generate the audit file for profiles rejected by AI and trigger downloads.
+     * @param {Array} profiles - Array of rejected profile data objects.
+     */
+    downloadRejected: function(profiles) {
+        Export.downloadRejected(this, profiles);
     }
 };
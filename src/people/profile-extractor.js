@@ -0,0 +1,297 @@
+// ===== PROFILE EXTRACTION (DEEP VISIT) =====
+// Reads a member's profile page, visited after the search pages were
+// scraped, and returns the fields merged into the profile record:
+//   { currentTitle, currentCompany, experience, education, profileSkills,
+//     about, experienceHistory, educationHistory, profileVisitedAt }
+// experience and education are lists of objects (kept in JSON);
+// experienceHistory and educationHistory are their one-line summaries for
+// XLSX and CSV. Only what the profile page itself shows is read, so long
+// histories and skill lists stop at LinkedIn's "Show all" cut-off.
+import { Selectors } from '../selectors/people.js';
+
+export const ProfileExtractor = {
+
+    /** A line holding a date range, e.g. "Jan 2020 - Present · 4 yrs" or "2010 - 2012" */
+    DATE_PATTERN: /\b(19|20)\d{2}\b|\bpresent\b/i,
+
+    /**
+     * Wait for the profile page to render the member's name.
+     * @returns {Promise<boolean>} True if the profile loaded, false if timed out.
+     */
+    waitForProfile: function() {
+        return new Promise(function(resolve) {
+            var maxWaitMs = 10000;
+            var pollIntervalMs = 500;
+            var elapsed = 0;
+
+            var poll = setInterval(function() {
+                var nameEl = document.querySelector(Selectors.PROFILE_NAME);
+                if (nameEl && (nameEl.textContent || '').trim()) {
+                    clearInterval(poll);
+                    resolve(true);
+                    return;
+                }
+                elapsed += pollIntervalMs;
+                if (elapsed >= maxWaitMs) {
+                    clearInterval(poll);
+                    console.warn('[LiSeSca] Profile page did not load after ' + maxWaitMs + 'ms.');
+                    resolve(false);
+                }
+            }, pollIntervalMs);
+        });
+    },
+
+    /**
+     * Find a profile section by the id of its anchor element.
+     * @param {string} name - Key of Selectors.PROFILE_SECTION_IDS.
+     * @returns {Element|null} The section element, or null if the profile has none.
+     */
+    getSection: function(name) {
+        var anchor = document.getElementById(Selectors.PROFILE_SECTION_IDS[name]);
+        return anchor ? anchor.closest('section') : null;
+    },
+
+    /**
+     * Get the visible text lines of an element, leaving out nested sub-items.
+     * @param {Element} element - A section item.
+     * @returns {Array<string>} The non-empty lines, in page order.
+     */
+    getOwnTexts: function(element) {
+        var texts = [];
+        var sub = element.querySelector(Selectors.PROFILE_SUB_ITEMS);
+        element.querySelectorAll(Selectors.PROFILE_TEXT).forEach(function(span) {
+            var text = (span.textContent || '').trim();
+            if (text && !(sub && sub.contains(span))) {
+                texts.push(text);
+            }
+        });
+        return texts;
+    },
+
+    /**
+     * Get the top-level items of a section (not the roles nested in them).
+     * @param {Element|null} section - The section element.
+     * @returns {Array<Element>} The items.
+     */
+    getTopLevelItems: function(section) {
+        if (!section) {
+            return [];
+        }
+        return Array.prototype.filter.call(section.querySelectorAll(Selectors.PROFILE_ITEM), function(item) {
+            return !item.parentElement || !item.parentElement.closest(Selectors.PROFILE_SUB_ITEMS);
+        });
+    },
+
+    /**
+     * Split a date line into the range and the duration LinkedIn appends.
+     * @param {string} text - E.g. "Jan 2020 - Present · 4 yrs 2 mos".
+     * @returns {Object} { dateRange, duration }
+     */
+    splitDateLine: function(text) {
+        var parts = String(text || '').split(/\s+·\s+/);
+        return { dateRange: parts[0].trim(), duration: (parts[1] || '').trim() };
+    },
+
+    /**
+     * Build one experience entry from the text lines of a role.
+     * A single role reads: title, "Company · Full-time", dates, location.
+     * A role grouped under its company reads: title, [type,] dates, location.
+     * @param {Array<string>} texts - The role's text lines.
+     * @param {string} [groupCompany] - The company of a grouped role.
+     * @returns {Object|null} { title, company, dateRange, duration, location, current }, or null without a title.
+     */
+    parseRoleTexts: function(texts, groupCompany) {
+        if (!texts || texts.length === 0) {
+            return null;
+        }
+        var self = this;
+        var dateIndex = -1;
+        for (var i = 1; i < texts.length; i++) {
+            if (self.DATE_PATTERN.test(texts[i])) {
+                dateIndex = i;
+                break;
+            }
+        }
+        var company = groupCompany || '';
+        if (!groupCompany && texts.length > 1 && dateIndex !== 1) {
+            company = texts[1].split(/\s+·\s+/)[0].trim();
+        }
+        var dates = this.splitDateLine(dateIndex === -1 ? '' : texts[dateIndex]);
+        var location = (dateIndex !== -1 && texts[dateIndex + 1]) ? texts[dateIndex + 1].split(/\s+·\s+/)[0].trim() : '';
+
+        return {
+            title: texts[0],
+            company: company,
+            dateRange: dates.dateRange,
+            duration: dates.duration,
+            location: location,
+            current: /present/i.test(dates.dateRange)
+        };
+    },
+
+    /**
+     * Build the experience entries of one item of the Experience section.
+     * @param {Array<string>} texts - The item's own text lines.
+     * @param {Array<Array<string>>} roleTexts - Text lines of the roles nested in it.
+     * @returns {Array<Object>} Experience entries (see parseRoleTexts).
+     */
+    parseExperienceItem: function(texts, roleTexts) {
+        var self = this;
+        var roles = (roleTexts || []).filter(function(lines) {
+            return lines.some(function(line) {
+                return self.DATE_PATTERN.test(line);
+            });
+        });
+        if (roles.length > 0 && texts.length > 0) {
+            // Several roles at one company: the item itself names the company
+            return roles.map(function(lines) {
+                return self.parseRoleTexts(lines, texts[0]);
+            });
+        }
+        var entry = this.parseRoleTexts(texts);
+        return entry ? [entry] : [];
+    },
+
+    /**
+     * Build an education entry from the text lines of an Education item.
+     * @param {Array<string>} texts - E.g. school, "MSc, Computer Science", "2010 - 2012".
+     * @returns {Object|null} { school, degree, dateRange }, or null without a school.
+     */
+    parseEducationTexts: function(texts) {
+        if (!texts || texts.length === 0) {
+            return null;
+        }
+        var self = this;
+        var degree = (texts.length > 1 && !this.DATE_PATTERN.test(texts[1])) ? texts[1] : '';
+        var dateLine = texts.slice(1).filter(function(line) {
+            return self.DATE_PATTERN.test(line);
+        })[0] || '';
+        return {
+            school: texts[0],
+            degree: degree,
+            dateRange: this.splitDateLine(dateLine).dateRange
+        };
+    },
+
+    /**
+     * Read the Experience section.
+     * @returns {Array<Object>} Experience entries, most recent first.
+     */
+    extractExperience: function() {
+        var self = this;
+        var entries = [];
+        this.getTopLevelItems(this.getSection('experience')).forEach(function(item) {
+            var sub = item.querySelector(Selectors.PROFILE_SUB_ITEMS);
+            var roleTexts = sub ? Array.prototype.map.call(sub.querySelectorAll(Selectors.PROFILE_ITEM), function(role) {
+                return self.getOwnTexts(role);
+            }) : [];
+            entries = entries.concat(self.parseExperienceItem(self.getOwnTexts(item), roleTexts));
+        });
+        return entries;
+    },
+
+    /**
+     * Read the Education section.
+     * @returns {Array<Object>} Education entries.
+     */
+    extractEducation: function() {
+        var self = this;
+        return this.getTopLevelItems(this.getSection('education')).map(function(item) {
+            return self.parseEducationTexts(self.getOwnTexts(item));
+        }).filter(function(entry) {
+            return entry !== null;
+        });
+    },
+
+    /**
+     * Read the skill names of the Skills section.
+     * @returns {Array<string>} Skill names, without duplicates.
+     */
+    extractSkills: function() {
+        var self = this;
+        var skills = [];
+        this.getTopLevelItems(this.getSection('skills')).forEach(function(item) {
+            var name = self.getOwnTexts(item)[0];
+            if (name && skills.indexOf(name) === -1) {
+                skills.push(name);
+            }
+        });
+        return skills;
+    },
+
+    /**
+     * Read the About text.
+     * @returns {string} The text, or '' if the profile has none.
+     */
+    extractAbout: function() {
+        var section = this.getSection('about');
+        if (!section) {
+            return '';
+        }
+        var textEl = section.querySelector(Selectors.PROFILE_ABOUT_TEXT);
+        return textEl ? (textEl.textContent || '').trim() : '';
+    },
+
+    /**
+     * Summarize an experience entry on one line.
+     * @param {Object} entry - An experience entry.
+     * @returns {string} E.g. "CTO at Acme (Jan 2020 - Present)".
+     */
+    formatExperience: function(entry) {
+        return entry.title + (entry.company ? ' at ' + entry.company : '')
+            + (entry.dateRange ? ' (' + entry.dateRange + ')' : '');
+    },
+
+    /**
+     * Summarize an education entry on one line.
+     * @param {Object} entry - An education entry.
+     * @returns {string} E.g. "MSc, Computer Science, TU Berlin (2010 - 2012)".
+     */
+    formatEducation: function(entry) {
+        return (entry.degree ? entry.degree + ', ' : '') + entry.school
+            + (entry.dateRange ? ' (' + entry.dateRange + ')' : '');
+    },
+
+    /**
+     * Compute the profile record fields from the extracted sections.
+     * The current position is the first one still running, else the most recent.
+     * @param {Object} sections - { experience, education, skills, about }
+     * @param {Date} now - The visit time.
+     * @returns {Object} The fields listed at the top of this module.
+     */
+    buildFields: function(sections, now) {
+        var self = this;
+        var current = sections.experience.filter(function(entry) {
+            return entry.current;
+        })[0] || sections.experience[0] || null;
+
+        return {
+            currentTitle: current ? current.title : '',
+            currentCompany: current ? current.company : '',
+            experience: sections.experience,
+            education: sections.education,
+            profileSkills: sections.skills,
+            about: sections.about,
+            experienceHistory: sections.experience.map(function(entry) {
+                return self.formatExperience(entry);
+            }).join('; '),
+            educationHistory: sections.education.map(function(entry) {
+                return self.formatEducation(entry);
+            }).join('; '),
+            profileVisitedAt: now.toISOString()
+        };
+    },
+
+    /**
+     * Extract the deep-visit fields from the profile page being shown.
+     * @returns {Object} The fields listed at the top of this module.
+     */
+    extractProfile: function() {
+        return this.buildFields({
+            experience: this.extractExperience(),
+            education: this.extractEducation(),
+            skills: this.extractSkills(),
+            about: this.extractAbout()
+        }, new Date());
+    }
+};
@@ -0,0 +1,14 @@
+// ===== CSS SELECTORS (COMPANIES) =====
+// Selectors for company search results and company About pages.
+// Search results share the lockup layout of people search: a title link
+// followed by sibling blocks holding "Industry • Location" and the follower count.
+// About pages list their details as a <dl> of label/value pairs.
+export const CompanySelectors = {
+    RESULT_CARD: 'div[role="listitem"]',
+    TITLE_LINK: 'a[data-view-name="search-result-lockup-title"]',
+
+    // About page (/company/<slug>/about/)
+    ABOUT_DETAILS: 'main dl',
+    ABOUT_LABEL: 'dt',
+    ABOUT_VALUE: 'dd'
+};
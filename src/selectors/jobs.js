@@ -19,7 +19,9 @@ export const JobSelectors = {
     DETAIL_PRIMARY_DESC: '.job-details-jobs-unified-top-card__primary-description-container',
     DETAIL_TERTIARY_DESC: '.job-details-jobs-unified-top-card__tertiary-description-container',
     DETAIL_FIT_PREFS: '.job-details-fit-level-preferences button',
+    DETAIL_TOP_CARD_INSIGHT: '.job-details-jobs-unified-top-card__job-insight',
     DETAIL_APPLY_BUTTON: '.jobs-apply-button',
+    MODAL_DISMISS: '.artdeco-modal__dismiss',
     DETAIL_JOB_DESCRIPTION: '#job-details',
     DETAIL_SHOW_MORE: '.inline-show-more-text__button',
 
@@ -35,7 +37,26 @@ export const JobSelectors = {
     // People connections
     DETAIL_CONNECTIONS: '.job-details-people-who-can-help__connections-card-summary',
 
+    // "How you match" — skills on / missing from the member's profile
+    DETAIL_SKILLS_MATCH: '.job-details-how-you-match-card__container',
+    DETAIL_SKILLS_MATCH_ITEM: '.job-details-how-you-match-card__skills-item-wrapper',
+    DETAIL_SKILLS_MATCH_ITEM_LIST: '.job-details-how-you-match-card__skills-item-subtitle',
+
+    // "Meet the hiring team" — one entry per recruiter or hiring manager
+    DETAIL_HIRING_TEAM_MEMBER: '.hirer-card__hirer-information',
+    DETAIL_HIRING_TEAM_NAME: '.jobs-poster__name',
+    DETAIL_HIRING_TEAM_DEGREE: '.hirer-card__connection-degree',
+    DETAIL_HIRING_TEAM_HEADLINE: '.text-body-small',
+
     // Pagination (jobs uses different classes than people search)
     PAGINATION: '.jobs-search-pagination__pages',
-    PAGINATION_BUTTON: '.jobs-search-pagination__indicator-button'
+    PAGINATION_BUTTON: '.jobs-search-pagination__indicator-button',
+
+    // My Jobs (/my-items/saved-jobs/) — one card per saved, in-progress, applied or archived job
+    MY_JOBS_CARD: 'li.reusable-search__result-container',
+    MY_JOBS_TITLE_LINK: 'a[href*="/jobs/view/"]',
+    MY_JOBS_COMPANY: '.entity-result__primary-subtitle',
+    MY_JOBS_LOCATION: '.entity-result__secondary-subtitle',
+    MY_JOBS_INSIGHT: '.entity-result__simple-insight-text',
+    MY_JOBS_NEXT_BUTTON: 'button.artdeco-pagination__button--next'
 };
@@ -3,5 +3,34 @@
 // avoiding LinkedIn's generated CSS class names which change frequently.
 export const Selectors = {
     RESULT_CARD: 'div[role="listitem"]',
-    TITLE_LINK: 'a[data-view-name="search-result-lockup-title"]'
+    TITLE_LINK: 'a[data-view-name="search-result-lockup-title"]',
+
+    // Company People tab (/company/<slug>/people/) — the grid grows with "Show more results"
+    COMPANY_PEOPLE_CARD: 'li.org-people-profile-card__profile-card-spacing',
+    COMPANY_PEOPLE_NAME: '.artdeco-entity-lockup__title',
+    COMPANY_PEOPLE_LINK: 'a[href*="/in/"]',
+    COMPANY_PEOPLE_HEADLINE: '.artdeco-entity-lockup__subtitle',
+    COMPANY_PEOPLE_DEGREE: '.artdeco-entity-lockup__degree',
+    COMPANY_PEOPLE_SHOW_MORE: 'button.scaffold-finite-scroll__load-button',
+
+    // My Network connections list (/mynetwork/invite-connect/connections/) — grows on scroll
+    CONNECTION_CARD: 'li.mn-connection-card',
+    CONNECTION_LINK: 'a.mn-connection-card__link',
+    CONNECTION_NAME: '.mn-connection-card__name',
+    CONNECTION_OCCUPATION: '.mn-connection-card__occupation',
+    CONNECTION_TIME: 'time.time-badge',
+    CONNECTION_SHOW_MORE: 'button.scaffold-finite-scroll__load-button',
+
+    // Profile page (deep visit) — sections are found by the id of their anchor element
+    PROFILE_NAME: 'main h1',
+    PROFILE_SECTION_IDS: {
+        about: 'about',
+        experience: 'experience',
+        education: 'education',
+        skills: 'skills'
+    },
+    PROFILE_ITEM: 'li.artdeco-list__item',
+    PROFILE_SUB_ITEMS: '.pvs-entity__sub-components',
+    PROFILE_TEXT: 'span[aria-hidden="true"]',
+    PROFILE_ABOUT_TEXT: '.inline-show-more-text span[aria-hidden="true"]'
 };
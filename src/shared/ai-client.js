@@ -31,6 +31,7 @@ ALWAYS provide a brief reason explaining your decision. For rejections, explain
 
 STAGE 2 - FULL EVALUATION (complete job description):
 When you receive full job details after a "maybe" decision, use the full_evaluation tool to make a final accept/reject based on comprehensive analysis of requirements, responsibilities, qualifications, and company info.
+If the job has a "How You Match" section, it lists which of the job's skills the user's LinkedIn profile has and which it lacks — use it when judging fit.
 
 ALWAYS provide a reason for your decision, especially for rejections. Be specific about what criteria the job fails to meet.
 
@@ -9,6 +9,36 @@ export const CONFIG = {
     MAX_JOB_REVIEW_TIME: 8,  // Maximum seconds to spend "reviewing" each job detail
     MIN_JOB_PAUSE: 1,       // Minimum seconds to pause between jobs
     MAX_JOB_PAUSE: 3,       // Maximum seconds to pause between jobs
+    MIN_PROFILE_VISIT_TIME: 8,   // Minimum seconds to spend on each visited profile
+    MAX_PROFILE_VISIT_TIME: 20,  // Maximum seconds to spend on each visited profile
+    MIN_COMPANY_VISIT_TIME: 5,   // Minimum seconds to spend on each visited company About page
+    MAX_COMPANY_VISIT_TIME: 15,  // Maximum seconds to spend on each visited company About page
+
+    // Export options
+    CSV_BOM: false,              // Prefix CSV files with a UTF-8 BOM (helps Excel detect encoding)
+    CSV_LONG_FIELDS: 'include',  // Long job text fields in CSV: 'include', 'truncate' or 'sidecar'
+    XLSX_EXTRA_SHEETS: true,     // Add Rejected, Summary and Run Metadata sheets to XLSX
+    FILENAME_PATTERN: '{date}_{time}_{mode}_{tag}_LinkedIn',  // Export file names, see Filename
+    APPLY_URL_MODE: 'off',       // Resolve external apply URLs: 'off', 'data' or 'click', see ApplyLinkResolver
+
+    // User-defined Markdown export templates per mode (stored separately).
+    // An empty template means the built-in layout is used.
+    MARKDOWN_TEMPLATES: {
+        people: '',
+        jobs: '',
+        companies: ''
+    },
+
+    // Named XLSX/CSV column profiles per mode (stored separately), see ExportProfiles
+    EXPORT_PROFILES: {
+        people: { active: '', profiles: {} },
+        jobs: { active: '', profiles: {} },
+        companies: { active: '', profiles: {} }
+    },
+
+    // User-edited skills dictionary (stored separately), see SkillExtractor.
+    // Empty means the built-in dictionary is used.
+    SKILLS_DICTIONARY: '',
 
     // AI filtering configuration (stored separately)
     ANTHROPIC_API_KEY: '',  // User's Anthropic API key
@@ -50,6 +80,33 @@ export const CONFIG = {
                 if (parsed.MAX_JOB_PAUSE !== undefined) {
                     this.MAX_JOB_PAUSE = parsed.MAX_JOB_PAUSE;
                 }
+                if (parsed.MIN_PROFILE_VISIT_TIME !== undefined) {
+                    this.MIN_PROFILE_VISIT_TIME = parsed.MIN_PROFILE_VISIT_TIME;
+                }
+                if (parsed.MAX_PROFILE_VISIT_TIME !== undefined) {
+                    this.MAX_PROFILE_VISIT_TIME = parsed.MAX_PROFILE_VISIT_TIME;
+                }
+                if (parsed.MIN_COMPANY_VISIT_TIME !== undefined) {
+                    this.MIN_COMPANY_VISIT_TIME = parsed.MIN_COMPANY_VISIT_TIME;
+                }
+                if (parsed.MAX_COMPANY_VISIT_TIME !== undefined) {
+                    this.MAX_COMPANY_VISIT_TIME = parsed.MAX_COMPANY_VISIT_TIME;
+                }
+                if (parsed.CSV_BOM !== undefined) {
+                    this.CSV_BOM = parsed.CSV_BOM;
+                }
+                if (parsed.CSV_LONG_FIELDS !== undefined) {
+                    this.CSV_LONG_FIELDS = parsed.CSV_LONG_FIELDS;
+                }
+                if (parsed.XLSX_EXTRA_SHEETS !== undefined) {
+                    this.XLSX_EXTRA_SHEETS = parsed.XLSX_EXTRA_SHEETS;
+                }
+                if (parsed.FILENAME_PATTERN) {
+                    this.FILENAME_PATTERN = parsed.FILENAME_PATTERN;
+                }
+                if (parsed.APPLY_URL_MODE !== undefined) {
+                    this.APPLY_URL_MODE = parsed.APPLY_URL_MODE;
+                }
             } catch (error) {
                 console.warn('[LiSeSca] Failed to parse saved config, using defaults:', error);
             }
@@ -83,6 +140,50 @@ export const CONFIG = {
             }
         }
 
+        // Load Markdown templates (separate storage key)
+        var templatesSaved = GM_getValue('lisesca_templates', null);
+        if (templatesSaved) {
+            try {
+                var templatesParsed = JSON.parse(templatesSaved);
+                if (templatesParsed.people !== undefined) {
+                    this.MARKDOWN_TEMPLATES.people = templatesParsed.people;
+                }
+                if (templatesParsed.jobs !== undefined) {
+                    this.MARKDOWN_TEMPLATES.jobs = templatesParsed.jobs;
+                }
+                if (templatesParsed.companies !== undefined) {
+                    this.MARKDOWN_TEMPLATES.companies = templatesParsed.companies;
+                }
+            } catch (error) {
+                console.warn('[LiSeSca] Failed to parse saved Markdown templates:', error);
+            }
+        }
+
+        // Load export column profiles (separate storage key)
+        var profilesSaved = GM_getValue('lisesca_export_profiles', null);
+        if (profilesSaved) {
+            try {
+                var profilesParsed = JSON.parse(profilesSaved);
+                if (profilesParsed.people !== undefined) {
+                    this.EXPORT_PROFILES.people = profilesParsed.people;
+                }
+                if (profilesParsed.jobs !== undefined) {
+                    this.EXPORT_PROFILES.jobs = profilesParsed.jobs;
+                }
+                if (profilesParsed.companies !== undefined) {
+                    this.EXPORT_PROFILES.companies = profilesParsed.companies;
+                }
+            } catch (error) {
+                console.warn('[LiSeSca] Failed to parse saved export profiles:', error);
+            }
+        }
+
+        // Load skills dictionary (separate storage key)
+        var skillsSaved = GM_getValue('lisesca_skills', null);
+        if (skillsSaved !== null) {
+            this.SKILLS_DICTIONARY = skillsSaved;
+        }
+
         console.log('[LiSeSca] Config loaded:', {
             MIN_PAGE_TIME: this.MIN_PAGE_TIME,
             MAX_PAGE_TIME: this.MAX_PAGE_TIME,
@@ -90,6 +191,10 @@ export const CONFIG = {
             MAX_JOB_REVIEW_TIME: this.MAX_JOB_REVIEW_TIME,
             MIN_JOB_PAUSE: this.MIN_JOB_PAUSE,
             MAX_JOB_PAUSE: this.MAX_JOB_PAUSE,
+            MIN_PROFILE_VISIT_TIME: this.MIN_PROFILE_VISIT_TIME,
+            MAX_PROFILE_VISIT_TIME: this.MAX_PROFILE_VISIT_TIME,
+            MIN_COMPANY_VISIT_TIME: this.MIN_COMPANY_VISIT_TIME,
+            MAX_COMPANY_VISIT_TIME: this.MAX_COMPANY_VISIT_TIME,
             AI_MODEL: this.AI_MODEL,
             AI_CONFIGURED: this.isAIConfigured(),
             PEOPLE_AI_CONFIGURED: this.isPeopleAIConfigured()
@@ -97,7 +202,7 @@ export const CONFIG = {
     },
 
     /**
-     * Save the current timing configuration to persistent storage.
+     * Save the current timing and export configuration to persistent storage.
      */
     save: function() {
         var configData = JSON.stringify({
@@ -106,7 +211,16 @@ export const CONFIG = {
             MIN_JOB_REVIEW_TIME: this.MIN_JOB_REVIEW_TIME,
             MAX_JOB_REVIEW_TIME: this.MAX_JOB_REVIEW_TIME,
             MIN_JOB_PAUSE: this.MIN_JOB_PAUSE,
-            MAX_JOB_PAUSE: this.MAX_JOB_PAUSE
+            MAX_JOB_PAUSE: this.MAX_JOB_PAUSE,
+            MIN_PROFILE_VISIT_TIME: this.MIN_PROFILE_VISIT_TIME,
+            MAX_PROFILE_VISIT_TIME: this.MAX_PROFILE_VISIT_TIME,
+            MIN_COMPANY_VISIT_TIME: this.MIN_COMPANY_VISIT_TIME,
+            MAX_COMPANY_VISIT_TIME: this.MAX_COMPANY_VISIT_TIME,
+            CSV_BOM: this.CSV_BOM,
+            CSV_LONG_FIELDS: this.CSV_LONG_FIELDS,
+            XLSX_EXTRA_SHEETS: this.XLSX_EXTRA_SHEETS,
+            FILENAME_PATTERN: this.FILENAME_PATTERN,
+            APPLY_URL_MODE: this.APPLY_URL_MODE
         });
         GM_setValue('lisesca_config', configData);
         console.log('[LiSeSca] Config saved.');
@@ -128,6 +242,30 @@ export const CONFIG = {
         console.log('[LiSeSca] AI config saved.');
     },
 
+    /**
+     * Save the Markdown export templates to persistent storage.
+     */
+    saveTemplates: function() {
+        GM_setValue('lisesca_templates', JSON.stringify(this.MARKDOWN_TEMPLATES));
+        console.log('[LiSeSca] Markdown templates saved.');
+    },
+
+    /**
+     * Save the export column profiles to persistent storage.
+     */
+    saveExportProfiles: function() {
+        GM_setValue('lisesca_export_profiles', JSON.stringify(this.EXPORT_PROFILES));
+        console.log('[LiSeSca] Export profiles saved.');
+    },
+
+    /**
+     * Save the skills dictionary to persistent storage.
+     */
+    saveSkillsDictionary: function() {
+        GM_setValue('lisesca_skills', this.SKILLS_DICTIONARY);
+        console.log('[LiSeSca] Skills dictionary saved.');
+    },
+
     /**
      * Determine the provider for a given model ID based on its prefix.
      * @param {string} modelId - The model identifier.
@@ -0,0 +1,155 @@
+// ===== EXPORT PROFILES =====
+// Named column selections for XLSX and CSV exports, kept per mode.
+// A profile is an ordered list of { key, header, enabled } entries that refer
+// by key to the default column definitions of the mode's output module, so
+// columns can be hidden, reordered and renamed.
+// Profiles live in CONFIG.EXPORT_PROFILES:
+//   { <mode>: { active: <name>, profiles: { <name>: [columns] } } }
+// An empty active name means the built-in layout (all default columns).
+import { CONFIG } from './config.js';
+
+export const ExportProfiles = {
+
+    /**
+     * Get the stored profile data of a mode, creating it if missing.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @returns {Object} { active, profiles }.
+     */
+    getModeData: function(mode) {
+        if (!CONFIG.EXPORT_PROFILES[mode]) {
+            CONFIG.EXPORT_PROFILES[mode] = { active: '', profiles: {} };
+        }
+        return CONFIG.EXPORT_PROFILES[mode];
+    },
+
+    /**
+     * List the saved profile names of a mode.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @returns {Array<string>} Profile names, sorted.
+     */
+    getProfileNames: function(mode) {
+        return Object.keys(this.getModeData(mode).profiles).sort();
+    },
+
+    /**
+     * Get the name of the active profile of a mode.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @returns {string} The profile name, or '' for the built-in layout.
+     */
+    getActiveName: function(mode) {
+        var data = this.getModeData(mode);
+        return data.profiles[data.active] ? data.active : '';
+    },
+
+    /**
+     * Merge saved profile columns with the default column definitions.
+     * Saved columns keep their order, header and enabled flag; columns that
+     * no longer exist are dropped; default columns missing from the profile
+     * (e.g. added in a newer version) are appended, enabled.
+     * @param {Array<Object>} defaultColumns - { key, header } definitions.
+     * @param {Array<Object>|null} savedColumns - { key, header, enabled } from a profile.
+     * @returns {Array<Object>} { key, header, defaultHeader, enabled } for every column.
+     */
+    normalizeColumns: function(defaultColumns, savedColumns) {
+        var defaultsByKey = {};
+        defaultColumns.forEach(function(column) {
+            defaultsByKey[column.key] = column;
+        });
+
+        var result = [];
+        var seen = {};
+        (savedColumns || []).forEach(function(saved) {
+            var column = defaultsByKey[saved.key];
+            if (!column || seen[saved.key]) {
+                return;
+            }
+            seen[saved.key] = true;
+            result.push({
+                key: saved.key,
+                header: saved.header || column.header,
+                defaultHeader: column.header,
+                enabled: saved.enabled !== false
+            });
+        });
+
+        defaultColumns.forEach(function(column) {
+            if (!seen[column.key]) {
+                result.push({
+                    key: column.key,
+                    header: column.header,
+                    defaultHeader: column.header,
+                    enabled: true
+                });
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Get the full, editable column list of a profile.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {string} name - Profile name, or '' for the built-in layout.
+     * @param {Array<Object>} defaultColumns - The mode's default column definitions.
+     * @returns {Array<Object>} { key, header, defaultHeader, enabled } entries.
+     */
+    getEditableColumns: function(mode, name, defaultColumns) {
+        var saved = name ? this.getModeData(mode).profiles[name] : null;
+        return this.normalizeColumns(defaultColumns, saved || null);
+    },
+
+    /**
+     * Get the columns to export for a mode, honoring its active profile.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {Array<Object>} defaultColumns - The mode's default column definitions.
+     * @returns {Array<Object>} Enabled { key, header } columns, in export order.
+     */
+    getActiveColumns: function(mode, defaultColumns) {
+        return this.getEditableColumns(mode, this.getActiveName(mode), defaultColumns)
+            .filter(function(column) {
+                return column.enabled;
+            })
+            .map(function(column) {
+                return { key: column.key, header: column.header };
+            });
+    },
+
+    /**
+     * Save a profile and make it the active one of its mode.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {string} name - Profile name.
+     * @param {Array<Object>} columns - { key, header, enabled } entries, in order.
+     */
+    saveProfile: function(mode, name, columns) {
+        var data = this.getModeData(mode);
+        data.profiles[name] = columns.map(function(column) {
+            return { key: column.key, header: column.header, enabled: column.enabled };
+        });
+        data.active = name;
+        CONFIG.saveExportProfiles();
+    },
+
+    /**
+     * Select the active profile of a mode.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {string} name - Profile name, or '' for the built-in layout.
+     */
+    setActive: function(mode, name) {
+        this.getModeData(mode).active = name;
+        CONFIG.saveExportProfiles();
+    },
+
+    /**
+     * Delete a profile. If it was active, the built-in layout becomes active.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {string} name - Profile name.
+     */
+    deleteProfile: function(mode, name) {
+        var data = this.getModeData(mode);
+        delete data.profiles[name];
+        if (data.active === name) {
+            data.active = '';
+        }
+        CONFIG.saveExportProfiles();
+    }
+};
@@ -0,0 +1,552 @@
+// ===== EXPORT =====
+// Format-independent export helpers shared by the people, job and company
+// output modules: CSV escaping, JSON export, export metadata, the XLSX
+// Summary and Run Metadata sheets, Markdown templates, file names and
+// downloads, plus the download of results, merges and rejected records in
+// the selected formats.
+// The download steps take the mode's output module, which provides:
+//   MODE ('people', 'jobs' or 'companies'), SHEET_NAME, COLUMNS,
+//   getExportColumns(), buildSheet(records, columns), buildFilename(extension, tag, count),
+//   and a generator per supported format (generateXLSX, generateCSV, ...).
+// Records that do not come from the current scrape session (the job
+// clipboard) are exported standalone: generateXLSX, generateHTML and
+// buildFilename then take a `standalone` flag and leave out everything read
+// from the session (search URL, run statistics, rejected records, Summary
+// and Run Metadata sheets).
+// SheetJS is loaded via @require from CDN.
+import { CONFIG } from './config.js';
+import { State } from './state.js';
+import { AIClient } from './ai-client.js';
+import { Template } from './template.js';
+import { XlsxWorkbook } from './xlsx-workbook.js';
+import { ResultMerge } from './result-merge.js';
+import { Filename } from './filename.js';
+
+export const Export = {
+
+    /** UTF-8 byte order mark, optionally prepended to CSV files so Excel detects the encoding */
+    UTF8_BOM: '\uFEFF',
+
+    /**
+     * Escape a value for CSV output (RFC 4180).
+     * @param {*} value - The cell value to escape.
+     * @returns {string} The CSV-safe string.
+     */
+    escapeCSVField: function(value) {
+        var str = String(value);
+        return '"' + str.replace(/"/g, '""') + '"';
+    },
+
+    /**
+     * Find the positions of the given keys in a column list.
+     * @param {Array<Object>} columns - { key, header } columns.
+     * @param {Array<string>} keys - Keys to look for.
+     * @returns {Array<number>} Column indexes.
+     */
+    findColumnIndexes: function(columns, keys) {
+        var indexes = [];
+        columns.forEach(function(column, index) {
+            if (keys.indexOf(column.key) !== -1) {
+                indexes.push(index);
+            }
+        });
+        return indexes;
+    },
+
+    /**
+     * Render a record for Markdown exports, using the user's template for the
+     * mode when one is set. Falls back to the built-in layout if the template
+     * is malformed. Only exports use this; AI prompts keep the built-in layout.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {Object} record - A profile, job or company data object.
+     * @param {Function} formatBuiltIn - Built-in formatter for the mode.
+     * @returns {string} The Markdown block.
+     */
+    renderMarkdownRecord: function(mode, record, formatBuiltIn) {
+        var template = CONFIG.MARKDOWN_TEMPLATES[mode];
+        if (template) {
+            try {
+                return Template.render(template, record).replace(/\s+$/, '');
+            } catch (error) {
+                console.warn('[LiSeSca] Invalid ' + mode + ' Markdown template, using built-in layout: '
+                    + error.message);
+            }
+        }
+        return formatBuiltIn(record);
+    },
+
+    /**
+     * Build the metadata header written at the top of JSON exports.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {boolean} [standalone] - True for records outside the scrape session (no search URL).
+     * @returns {Object} Metadata describing the search, the run and the AI settings.
+     */
+    buildExportMetadata: function(mode, standalone) {
+        var isJobs = (mode === 'jobs');
+        // Companies are not filtered by AI
+        var aiEnabled = isJobs ? State.getAIEnabled() : (mode === 'people' && State.getPeopleAIEnabled());
+        return {
+            generator: 'LiSeSca',
+            version: CONFIG.VERSION,
+            mode: mode,
+            searchUrl: standalone ? '' : State.get(State.KEYS.SEARCH_URL, ''),
+            scrapedAt: new Date().toISOString(),
+            ai: {
+                enabled: aiEnabled,
+                fullEvaluation: isJobs && aiEnabled && State.getFullAIEnabled(),
+                model: aiEnabled ? AIClient.getModel() : '',
+                criteria: aiEnabled ? (isJobs ? CONFIG.JOB_CRITERIA : CONFIG.PEOPLE_CRITERIA) : ''
+            }
+        };
+    },
+
+    /**
+     * Build the metadata lines shown at the top of the HTML report.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {number} count - Number of records in the report.
+     * @param {boolean} [standalone] - True for records outside the scrape session.
+     * @returns {Array<Array>} [label, value] pairs.
+     */
+    buildReportMetadata: function(mode, count, standalone) {
+        var metadata = this.buildExportMetadata(mode, standalone);
+        return [
+            ['Records', count],
+            ['Scraped', metadata.scrapedAt],
+            ['Search', metadata.searchUrl],
+            ['AI model', metadata.ai.model],
+            ['Generated by', metadata.generator + ' ' + metadata.version]
+        ];
+    },
+
+    /** Readable names of common LinkedIn search URL parameters */
+    SEARCH_FILTER_LABELS: {
+        keywords: 'Keywords',
+        location: 'Location',
+        geoId: 'Location ID',
+        geoUrn: 'Locations',
+        distance: 'Distance',
+        f_TPR: 'Date posted',
+        f_WT: 'Workplace type',
+        f_E: 'Experience level',
+        f_JT: 'Job type',
+        f_AL: 'Easy Apply',
+        f_C: 'Company',
+        f_I: 'Industry',
+        f_F: 'Job function',
+        f_SB2: 'Salary',
+        sortBy: 'Sort by',
+        network: 'Connection degree',
+        currentCompany: 'Current company',
+        pastCompany: 'Past company',
+        industry: 'Industry',
+        schoolFilter: 'School',
+        title: 'Title'
+    },
+
+    /** URL parameters that carry navigation state rather than search filters */
+    IGNORED_SEARCH_PARAMS: ['origin', 'refresh', 'currentJobId', 'sid', 'start', 'page',
+        'position', 'pageNum', 'spellCorrectionEnabled', 'trk'],
+
+    /**
+     * Extract the search filters from a LinkedIn search URL.
+     * @param {string} searchUrl - The search URL.
+     * @returns {Array<Array>} [label, value] pairs, in URL order.
+     */
+    parseSearchFilters: function(searchUrl) {
+        var self = this;
+        var pairs = [];
+        var url;
+        try {
+            url = new URL(searchUrl);
+        } catch (error) {
+            return pairs;
+        }
+        url.searchParams.forEach(function(value, key) {
+            if (self.IGNORED_SEARCH_PARAMS.indexOf(key) === -1 && value !== '') {
+                pairs.push([self.SEARCH_FILTER_LABELS[key] || key, value]);
+            }
+        });
+        return pairs;
+    },
+
+    /** Summary label of the saved record count, per mode */
+    SAVED_LABELS: {
+        people: 'Profiles Saved',
+        jobs: 'Jobs Saved',
+        companies: 'Companies Saved'
+    },
+
+    /** Run Metadata name of each mode */
+    MODE_NAMES: {
+        people: 'People search',
+        jobs: 'Job search',
+        companies: 'Company search'
+    },
+
+    /**
+     * Build the rows of the XLSX Summary sheet, mirroring the summary panel.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {number} savedCount - Number of records in the export.
+     * @returns {Array<Array>} [label, value] pairs.
+     */
+    buildSummaryPairs: function(mode, savedCount) {
+        var isJobs = (mode === 'jobs');
+        var stats = State.getRunStats() || {};
+        var pairs = [];
+
+        if (stats.pages !== undefined) {
+            pairs.push(['Pages Scanned', stats.pages]);
+        }
+        if (isJobs && stats.processed !== undefined) {
+            pairs.push(['Total Processed', stats.processed]);
+        }
+        pairs.push([this.SAVED_LABELS[mode], savedCount]);
+        if (stats.visitProfiles) {
+            pairs.push(['Profiles Visited', stats.visited]);
+        }
+        if (stats.visitCompanies) {
+            pairs.push(['Company Pages Visited', stats.visited]);
+        }
+        if (stats.visitJobs) {
+            pairs.push(['Jobs Opened', stats.visited]);
+        }
+
+        pairs.push(['AI Filtering', stats.aiEnabled ? 'On' : 'Off']);
+        if (stats.aiEnabled) {
+            if (isJobs && stats.fullAIEnabled) {
+                pairs.push(['AI Triaged (Cards)', stats.aiTriaged]);
+                pairs.push(['AI Fully Evaluated', stats.aiFullEvaluated]);
+            } else {
+                pairs.push(['AI Evaluated', stats.aiEvaluated]);
+            }
+            pairs.push([isJobs ? 'AI Accepted' : 'AI Accepted (Score ≥3)', stats.aiAccepted]);
+            pairs.push(['AI Rejected', State.getRejected().length]);
+        }
+        if (stats.interrupted !== undefined) {
+            pairs.push(['Stopped Early', stats.interrupted ? 'Yes' : 'No']);
+        }
+        return pairs;
+    },
+
+    /**
+     * Build the rows of the XLSX Run Metadata sheet.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @returns {Array<Array>} [label, value] pairs.
+     */
+    buildRunMetadataPairs: function(mode) {
+        var isJobs = (mode === 'jobs');
+        var metadata = this.buildExportMetadata(mode);
+        var stats = State.getRunStats() || {};
+        var targetPages = State.get(State.KEYS.TARGET_PAGE_COUNT, '');
+
+        var pairs = [
+            ['Generated By', metadata.generator + ' ' + metadata.version],
+            ['Mode', this.MODE_NAMES[mode]],
+            ['Search URL', metadata.searchUrl]
+        ];
+        this.parseSearchFilters(metadata.searchUrl).forEach(function(filter) {
+            pairs.push(['Filter: ' + filter[0], filter[1]]);
+        });
+        pairs.push(['Start Page', State.get(State.KEYS.START_PAGE, '')]);
+        pairs.push(['Pages Requested', targetPages >= 9999 ? 'All' : targetPages]);
+        if (isJobs) {
+            pairs.push(['Include Viewed', State.getIncludeViewed() ? 'Yes' : 'No']);
+        }
+        pairs.push(['AI Filtering', metadata.ai.enabled ? 'On' : 'Off']);
+        if (isJobs && metadata.ai.enabled) {
+            pairs.push(['Full AI Evaluation', metadata.ai.fullEvaluation ? 'On' : 'Off']);
+        }
+        if (metadata.ai.enabled) {
+            pairs.push(['AI Model', metadata.ai.model]);
+            pairs.push(['AI Criteria', metadata.ai.criteria]);
+        }
+        pairs.push(['Scrape Started', State.get(State.KEYS.SESSION_STARTED_AT, '')]);
+        pairs.push(['Scrape Finished', stats.finishedAt || '']);
+        pairs.push(['Exported', metadata.scrapedAt]);
+        return pairs;
+    },
+
+    /**
+     * Append the Summary and Run Metadata sheets to a workbook.
+     * @param {Object} workbook - The SheetJS workbook.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {number} savedCount - Number of records in the export.
+     */
+    appendRunSheets: function(workbook, mode, savedCount) {
+        XLSX.utils.book_append_sheet(workbook,
+            XlsxWorkbook.buildKeyValueSheet(this.buildSummaryPairs(mode, savedCount)), 'Summary');
+        XLSX.utils.book_append_sheet(workbook,
+            XlsxWorkbook.buildKeyValueSheet(this.buildRunMetadataPairs(mode)), 'Run Metadata');
+    },
+
+    /**
+     * Generate a pretty-printed JSON document with a metadata header.
+     * Records are written as-is, so every extracted field is preserved.
+     * @param {Array} records - Array of profile, job or company data objects.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {boolean} [standalone] - True for records outside the scrape session.
+     * @returns {string} The complete JSON content.
+     */
+    generateJSON: function(records, mode, standalone) {
+        var doc = {
+            metadata: this.buildExportMetadata(mode, standalone),
+            results: records
+        };
+        return JSON.stringify(doc, null, 2) + '\n';
+    },
+
+    /**
+     * Generate JSON Lines content: one record per line, no metadata.
+     * @param {Array} records - Array of profile or job data objects.
+     * @returns {string} The complete JSONL content.
+     */
+    generateJSONL: function(records) {
+        return records.map(function(record) {
+            return JSON.stringify(record);
+        }).join('\n') + '\n';
+    },
+
+    /**
+     * Build an export filename from the configured pattern.
+     * Search tokens come from the session's search URL, {pages} from the
+     * finished run's statistics; both stay empty for standalone exports.
+     * @param {string} modeLabel - 'PEOPLE', 'JOBS' or 'COMPANIES'.
+     * @param {string} extension - File extension (default: 'md').
+     * @param {string} [tag] - Optional tag for auxiliary files (e.g. 'REJECTED').
+     * @param {number} [count] - Records in the file (default: the buffer size).
+     * @param {boolean} [standalone] - True for records outside the scrape session.
+     * @returns {string} The generated filename.
+     */
+    formatFilename: function(modeLabel, extension, tag, count, standalone) {
+        var runStats = standalone ? null : State.getRunStats();
+        return Filename.build(CONFIG.FILENAME_PATTERN, {
+            mode: modeLabel,
+            extension: extension || 'md',
+            tag: tag,
+            count: count !== undefined ? count : State.getBuffer().length,
+            pages: runStats ? runStats.pages : '',
+            searchUrl: standalone ? '' : State.get(State.KEYS.SEARCH_URL, '')
+        }, new Date());
+    },
+
+    /**
+     * Trigger a file download in the browser.
+     * @param {string|Uint8Array} content - The file content.
+     * @param {string} filename - The desired filename.
+     * @param {string} mimeType - The MIME type for the Blob.
+     */
+    downloadFile: function(content, filename, mimeType) {
+        var type = mimeType || 'text/markdown;charset=utf-8';
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+
+        setTimeout(function() {
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        }, 1000);
+
+        console.log('[LiSeSca] File download triggered: ' + filename);
+    },
+
+    /** Plural record name of each mode, for log messages */
+    RECORD_NAMES: {
+        people: 'profiles',
+        jobs: 'jobs',
+        companies: 'companies'
+    },
+
+    /** MIME type of XLSX files */
+    XLSX_MIME_TYPE: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+
+    /**
+     * Export file types, in download order. `method` names the output module's
+     * generator (formats it lacks are skipped); JSON and JSON Lines are built here.
+     * The CSV sidecar is only written when long job fields go to a sidecar file.
+     * Generators marked `describesRun` take the standalone flag.
+     */
+    FILE_TYPES: [
+        { format: 'xlsx', label: 'XLSX', method: 'generateXLSX', extension: 'xlsx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', describesRun: true },
+        { format: 'csv', label: 'CSV', method: 'generateCSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+        { format: 'csv', label: 'CSV sidecar', method: 'generateCSVSidecar', extension: 'json', tag: 'DETAILS',
+            mimeType: 'application/json;charset=utf-8', sidecar: true },
+        { format: 'md', label: 'Markdown', method: 'generateMarkdown', extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+        { format: 'mdzip', label: 'Markdown bundle', method: 'generateMarkdownBundle', extension: 'zip',
+            mimeType: 'application/zip' },
+        { format: 'html', label: 'HTML report', method: 'generateHTML', extension: 'html',
+            mimeType: 'text/html;charset=utf-8', describesRun: true },
+        { format: 'vcf', label: 'vCard', method: 'generateVCard', extension: 'vcf', mimeType: 'text/vcard;charset=utf-8' },
+        { format: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8' },
+        { format: 'jsonl', label: 'JSON Lines', extension: 'jsonl', mimeType: 'application/x-ndjson;charset=utf-8' }
+    ],
+
+    /**
+     * Generate the content of one export file.
+     * @param {Object} output - The mode's output module.
+     * @param {Object} type - An entry of FILE_TYPES.
+     * @param {Array} records - The records to export.
+     * @param {boolean} [standalone] - True for records outside the scrape session.
+     * @returns {string|Uint8Array|Promise<Uint8Array>} The file content.
+     */
+    generateFile: function(output, type, records, standalone) {
+        if (type.format === 'json') {
+            return this.generateJSON(records, output.MODE, standalone);
+        }
+        if (type.format === 'jsonl') {
+            return this.generateJSONL(records);
+        }
+        var content = type.describesRun ? output[type.method](records, standalone) : output[type.method](records);
+        return (type.method === 'generateCSV' && CONFIG.CSV_BOM) ? this.UTF8_BOM + content : content;
+    },
+
+    /**
+     * Generate a file after a delay and download it. Downloads are spaced
+     * out so the browser does not block them. Failures are logged, including
+     * errors thrown while building the content (e.g. by the XLSX sheet builders).
+     * @param {number} delayMs - Delay before generating.
+     * @param {string} label - Format name for the error log.
+     * @param {function(): (string|Uint8Array|Promise)} generate - Builds the content.
+     * @param {string} filename - The file name.
+     * @param {string} mimeType - The MIME type.
+     */
+    downloadLater: function(delayMs, label, generate, filename, mimeType) {
+        var self = this;
+        setTimeout(function() {
+            Promise.resolve().then(generate).then(function(content) {
+                self.downloadFile(content, filename, mimeType);
+            }).catch(function(error) {
+                console.error('[LiSeSca] ' + label + ' generation failed:', error);
+            });
+        }, delayMs);
+    },
+
+    /**
+     * Download records in the formats selected in the panel.
+     * @param {Object} output - The mode's output module.
+     * @param {Array} records - The records to export.
+     * @param {string} [tag] - Optional tag for the file names (e.g. 'CLIPBOARD').
+     * @param {boolean} [standalone] - True for records outside the scrape session (see the module header).
+     */
+    downloadResults: function(output, records, tag, standalone) {
+        var recordName = this.RECORD_NAMES[output.MODE];
+        if (!records || records.length === 0) {
+            console.warn('[LiSeSca] No ' + recordName + ' to download.');
+            return;
+        }
+
+        var self = this;
+        var formats = State.getFormats();
+        console.log('[LiSeSca] Downloading ' + recordName + ' in formats: ' + formats.join(', '));
+
+        var delayMs = 0;
+        this.FILE_TYPES.forEach(function(type) {
+            if (formats.indexOf(type.format) === -1 || (type.method && !output[type.method])
+                || (type.sidecar && CONFIG.CSV_LONG_FIELDS !== 'sidecar')) {
+                return;
+            }
+            self.downloadLater(delayMs, type.label, function() {
+                return self.generateFile(output, type, records, standalone);
+            }, output.buildFilename(type.extension, type.tag || tag || null, records.length, standalone), type.mimeType);
+            delayMs += 200;
+        });
+    },
+
+    /**
+     * Download the audit file of records rejected by AI.
+     * Honors the XLSX and Markdown format selections; falls back to XLSX
+     * if neither is selected.
+     * @param {Object} output - The mode's output module (with generateRejectedXLSX).
+     * @param {Array} records - The rejected records.
+     */
+    downloadRejected: function(output, records) {
+        if (!records || records.length === 0) {
+            console.warn('[LiSeSca] No rejected ' + this.RECORD_NAMES[output.MODE] + ' to download.');
+            return;
+        }
+
+        var formats = State.getFormats();
+        var wantMarkdown = formats.indexOf('md') !== -1;
+        var wantXLSX = formats.indexOf('xlsx') !== -1 || !wantMarkdown;
+        var delayMs = 0;
+
+        if (wantXLSX) {
+            this.downloadLater(delayMs, 'Rejected XLSX', function() {
+                return output.generateRejectedXLSX(records);
+            }, output.buildFilename('xlsx', 'REJECTED', records.length), this.XLSX_MIME_TYPE);
+            delayMs += 200;
+        }
+
+        // Rejected records carry only the basics, which the Markdown formatters handle gracefully
+        if (wantMarkdown) {
+            this.downloadLater(delayMs, 'Rejected Markdown', function() {
+                return output.generateMarkdown(records);
+            }, output.buildFilename('md', 'REJECTED', records.length), 'text/markdown;charset=utf-8');
+        }
+    },
+
+    /**
+     * Generate an XLSX workbook of merged records, with a Merge Status column.
+     * @param {Object} output - The mode's output module.
+     * @param {Array} records - Merged records (with mergeStatus).
+     * @param {number} savedCount - Number of records saved in this run.
+     * @returns {Promise<Uint8Array>} The binary XLSX file content.
+     */
+    generateMergedXLSX: function(output, records, savedCount) {
+        var columns = [{ key: ResultMerge.STATUS_FIELD, header: ResultMerge.STATUS_HEADER }]
+            .concat(output.getExportColumns());
+        var workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, output.buildSheet(records, columns), output.SHEET_NAME);
+
+        if (CONFIG.XLSX_EXTRA_SHEETS) {
+            this.appendRunSheets(workbook, output.MODE, savedCount);
+        }
+
+        return XlsxWorkbook.write(workbook);
+    },
+
+    /**
+     * Merge records into a previous export and download the merged file,
+     * in the format of that export (XLSX, JSON or JSON Lines).
+     * @param {Object} output - The mode's output module.
+     * @param {Array} records - The records of this run.
+     * @param {File} file - The previous export chosen by the user.
+     * @returns {Promise<Object>} The merge counts ({ new, updated, unchanged }).
+     */
+    downloadMerged: function(output, records, file) {
+        var self = this;
+        var headerMap = ResultMerge.buildHeaderMap([output.COLUMNS, output.getExportColumns()]);
+        var compareKeys = output.COLUMNS.map(function(column) {
+            return column.key;
+        });
+
+        return ResultMerge.readFile(file, output.SHEET_NAME, headerMap).then(function(existing) {
+            var result = ResultMerge.merge(output.MODE, existing.records, records, compareKeys);
+            var count = result.records.length;
+            console.log('[LiSeSca] Merged into ' + file.name + ': ' + result.counts.new + ' new, '
+                + result.counts.updated + ' updated, ' + result.counts.unchanged + ' unchanged.');
+
+            if (existing.type === 'xlsx') {
+                return self.generateMergedXLSX(output, result.records, records.length).then(function(xlsxData) {
+                    self.downloadFile(xlsxData, output.buildFilename('xlsx', 'MERGED', count), self.XLSX_MIME_TYPE);
+                    return result.counts;
+                });
+            }
+            if (existing.type === 'jsonl') {
+                self.downloadFile(self.generateJSONL(result.records),
+                    output.buildFilename('jsonl', 'MERGED', count), 'application/x-ndjson;charset=utf-8');
+            } else {
+                self.downloadFile(self.generateJSON(result.records, output.MODE),
+                    output.buildFilename('json', 'MERGED', count), 'application/json;charset=utf-8');
+            }
+            return result.counts;
+        });
+    }
+};
@@ -0,0 +1,118 @@
+// ===== FILENAME =====
+// Builds export file names from a user-configurable pattern.
+// Supported tokens:
+//   {date} YYYY-MM-DD, {time} HH_MM, {mode} PEOPLE/JOBS/COMPANIES,
+//   {keywords}, {location}, {geoId} from the search URL,
+//   {pages} pages scanned, {count} records in the export,
+//   {tag} REJECTED/DETAILS/MERGED for auxiliary files, CLIPBOARD for captured jobs,
+//   MYJOBS for the My Jobs tracker (empty otherwise).
+// Separators left dangling by empty tokens are removed, so the default
+// pattern reproduces the classic YYYY-MM-DD_HH_MM_JOBS_LinkedIn names.
+export const Filename = {
+    DEFAULT_PATTERN: '{date}_{time}_{mode}_{tag}_LinkedIn',
+
+    TOKENS: ['date', 'time', 'mode', 'keywords', 'location', 'geoId', 'pages', 'count', 'tag'],
+
+    /** Maximum length of the name without extension */
+    MAX_LENGTH: 150,
+
+    /**
+     * Read the keywords, location and geo ID from a LinkedIn search URL.
+     * People searches carry locations as a geoUrn list; its first ID is used.
+     * @param {string} searchUrl - The search URL.
+     * @returns {Object} { keywords, location, geoId } (empty strings if absent).
+     */
+    getSearchValues: function(searchUrl) {
+        var values = { keywords: '', location: '', geoId: '' };
+        var url;
+        try {
+            url = new URL(searchUrl);
+        } catch (error) {
+            return values;
+        }
+        values.keywords = url.searchParams.get('keywords') || '';
+        values.location = url.searchParams.get('location') || '';
+        values.geoId = url.searchParams.get('geoId') || '';
+        if (!values.geoId) {
+            var geoMatch = (url.searchParams.get('geoUrn') || '').match(/\d+/);
+            values.geoId = geoMatch ? geoMatch[0] : '';
+        }
+        return values;
+    },
+
+    /**
+     * Make text safe for use in a file name on all common file systems.
+     * Reserved characters, commas and whitespace become '-'.
+     * @param {*} value - The text.
+     * @returns {string} The sanitized text.
+     */
+    sanitize: function(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/[\\\/:*?"<>|,;\u0000-\u001f\u007f]/g, '-')
+            .replace(/\s+/g, '-')
+            .replace(/-{2,}/g, '-');
+    },
+
+    /**
+     * List the tokens in a pattern that are not supported.
+     * @param {string} pattern - The file name pattern.
+     * @returns {Array<string>} Unknown token names.
+     */
+    findUnknownTokens: function(pattern) {
+        var self = this;
+        var unknown = [];
+        String(pattern || '').replace(/\{([^{}]*)\}/g, function(match, name) {
+            if (self.TOKENS.indexOf(name) === -1 && unknown.indexOf(name) === -1) {
+                unknown.push(name);
+            }
+            return match;
+        });
+        return unknown;
+    },
+
+    /**
+     * Build a file name from a pattern.
+     * A non-empty tag is appended if the pattern has no {tag} token, so
+     * auxiliary files never overwrite the main export.
+     * Unknown tokens (the settings dialog rejects them, but a stored pattern
+     * may predate a rename) are dropped rather than kept as literal braces.
+     * @param {string} pattern - The file name pattern (empty for the default).
+     * @param {Object} values - { mode, tag, extension, count, pages, searchUrl }.
+     * @param {Date} now - The export time.
+     * @returns {string} The file name, with extension.
+     */
+    build: function(pattern, values, now) {
+        var self = this;
+        var source = pattern || this.DEFAULT_PATTERN;
+        var search = this.getSearchValues(values.searchUrl);
+        var tokens = {
+            date: now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0')
+                + '-' + String(now.getDate()).padStart(2, '0'),
+            time: String(now.getHours()).padStart(2, '0') + '_' + String(now.getMinutes()).padStart(2, '0'),
+            mode: values.mode || '',
+            keywords: search.keywords,
+            location: search.location,
+            geoId: search.geoId,
+            pages: values.pages !== undefined && values.pages !== null ? values.pages : '',
+            count: values.count !== undefined && values.count !== null ? values.count : '',
+            tag: values.tag || ''
+        };
+
+        if (tokens.tag && source.indexOf('{tag}') === -1) {
+            source += '_{tag}';
+        }
+
+        var name = source.replace(/\{([^{}]*)\}/g, function(match, token) {
+            return Object.prototype.hasOwnProperty.call(tokens, token) ? self.sanitize(tokens[token]) : '';
+        });
+
+        name = this.sanitize(name)
+            .replace(/([_.-])\1+/g, '$1')
+            .replace(/[_-]+(?=[_-])/g, '')
+            .replace(/^[_.\s-]+|[_.\s-]+$/g, '')
+            .slice(0, this.MAX_LENGTH)
+            .replace(/[_.\s-]+$/, '');
+
+        return (name || 'LinkedIn') + '.' + (values.extension || 'md');
+    }
+};
@@ -0,0 +1,154 @@
+// ===== GAZETTEER =====
+// Offline place names used by LocationParser: countries with common aliases,
+// first-level regions of frequently scraped countries, LinkedIn metro areas
+// and multi-country areas. Names are as LinkedIn writes them (English).
+export const Gazetteer = {
+    /** Countries: [canonical name, ...aliases] */
+    COUNTRIES: [
+        ['Afghanistan'], ['Albania'], ['Algeria'], ['Andorra'], ['Angola'], ['Argentina'], ['Armenia'],
+        ['Australia'], ['Austria', 'Österreich'], ['Azerbaijan'], ['Bahamas', 'The Bahamas'], ['Bahrain'],
+        ['Bangladesh'], ['Barbados'], ['Belarus'], ['Belgium', 'België', 'Belgique'], ['Belize'], ['Benin'],
+        ['Bhutan'], ['Bolivia'], ['Bosnia and Herzegovina', 'Bosnia & Herzegovina'], ['Botswana'],
+        ['Brazil', 'Brasil'], ['Brunei'], ['Bulgaria'], ['Burkina Faso'], ['Burundi'], ['Cambodia'],
+        ['Cameroon'], ['Canada'], ['Cape Verde', 'Cabo Verde'], ['Central African Republic'], ['Chad'],
+        ['Chile'], ['China', "People's Republic of China", 'PRC'], ['Colombia'], ['Comoros'], ['Congo'],
+        ['Costa Rica'], ["Côte d'Ivoire", 'Ivory Coast'], ['Croatia'], ['Cuba'], ['Cyprus'],
+        ['Czechia', 'Czech Republic'], ['Democratic Republic of the Congo', 'DR Congo', 'DRC'],
+        ['Denmark', 'Danmark'], ['Djibouti'], ['Dominica'], ['Dominican Republic'], ['Ecuador'],
+        ['Egypt'], ['El Salvador'], ['Equatorial Guinea'], ['Eritrea'], ['Estonia'], ['Eswatini', 'Swaziland'],
+        ['Ethiopia'], ['Fiji'], ['Finland', 'Suomi'], ['France'], ['Gabon'], ['Gambia', 'The Gambia'],
+        ['Georgia'], ['Germany', 'Deutschland'], ['Ghana'], ['Greece'], ['Grenada'], ['Guatemala'],
+        ['Guinea'], ['Guinea-Bissau'], ['Guyana'], ['Haiti'], ['Honduras'], ['Hong Kong', 'Hong Kong SAR'],
+        ['Hungary'], ['Iceland'], ['India'], ['Indonesia'], ['Iran'], ['Iraq'], ['Ireland', 'Republic of Ireland'],
+        ['Israel'], ['Italy', 'Italia'], ['Jamaica'], ['Japan'], ['Jordan'], ['Kazakhstan'], ['Kenya'],
+        ['Kosovo'], ['Kuwait'], ['Kyrgyzstan'], ['Laos'], ['Latvia'], ['Lebanon'], ['Lesotho'], ['Liberia'],
+        ['Libya'], ['Liechtenstein'], ['Lithuania'], ['Luxembourg'], ['Macao', 'Macau'], ['Madagascar'],
+        ['Malawi'], ['Malaysia'], ['Maldives'], ['Mali'], ['Malta'], ['Mauritania'], ['Mauritius'],
+        ['Mexico', 'México'], ['Moldova'], ['Monaco'], ['Mongolia'], ['Montenegro'], ['Morocco'],
+        ['Mozambique'], ['Myanmar', 'Burma'], ['Namibia'], ['Nepal'], ['Netherlands', 'The Netherlands',
+            'Nederland', 'Holland'], ['New Zealand'], ['Nicaragua'], ['Niger'], ['Nigeria'],
+        ['North Macedonia', 'Macedonia'], ['Norway', 'Norge'], ['Oman'], ['Pakistan'], ['Palestine'],
+        ['Panama'], ['Papua New Guinea'], ['Paraguay'], ['Peru'], ['Philippines'], ['Poland', 'Polska'],
+        ['Portugal'], ['Puerto Rico'], ['Qatar'], ['Romania'], ['Russia', 'Russian Federation'], ['Rwanda'],
+        ['Saudi Arabia'], ['Senegal'], ['Serbia'], ['Seychelles'], ['Sierra Leone'], ['Singapore'],
+        ['Slovakia'], ['Slovenia'], ['Somalia'], ['South Africa'], ['South Korea', 'Korea',
+            'Republic of Korea'], ['South Sudan'], ['Spain', 'España'], ['Sri Lanka'], ['Sudan'], ['Suriname'],
+        ['Sweden', 'Sverige'], ['Switzerland', 'Schweiz', 'Suisse'], ['Syria'], ['Taiwan'], ['Tajikistan'],
+        ['Tanzania'], ['Thailand'], ['Togo'], ['Trinidad and Tobago'], ['Tunisia'], ['Turkey', 'Türkiye'],
+        ['Turkmenistan'], ['Uganda'], ['Ukraine'], ['United Arab Emirates', 'UAE'],
+        ['United Kingdom', 'UK', 'U.K.', 'Great Britain', 'Britain'],
+        ['United States', 'USA', 'US', 'U.S.', 'U.S.A.', 'United States of America', 'America'],
+        ['Uruguay'], ['Uzbekistan'], ['Venezuela'], ['Vietnam', 'Viet Nam'], ['Yemen'], ['Zambia'],
+        ['Zimbabwe']
+    ],
+
+    /** First-level regions: { country: [[name, ...abbreviations/aliases]] } */
+    REGIONS: {
+        'United States': [
+            ['Alabama', 'AL'], ['Alaska', 'AK'], ['Arizona', 'AZ'], ['Arkansas', 'AR'], ['California', 'CA'],
+            ['Colorado', 'CO'], ['Connecticut', 'CT'], ['Delaware', 'DE'], ['District of Columbia', 'DC', 'D.C.'],
+            ['Florida', 'FL'], ['Georgia', 'GA'], ['Hawaii', 'HI'], ['Idaho', 'ID'], ['Illinois', 'IL'],
+            ['Indiana', 'IN'], ['Iowa', 'IA'], ['Kansas', 'KS'], ['Kentucky', 'KY'], ['Louisiana', 'LA'],
+            ['Maine', 'ME'], ['Maryland', 'MD'], ['Massachusetts', 'MA'], ['Michigan', 'MI'],
+            ['Minnesota', 'MN'], ['Mississippi', 'MS'], ['Missouri', 'MO'], ['Montana', 'MT'],
+            ['Nebraska', 'NE'], ['Nevada', 'NV'], ['New Hampshire', 'NH'], ['New Jersey', 'NJ'],
+            ['New Mexico', 'NM'], ['New York', 'NY'], ['North Carolina', 'NC'], ['North Dakota', 'ND'],
+            ['Ohio', 'OH'], ['Oklahoma', 'OK'], ['Oregon', 'OR'], ['Pennsylvania', 'PA'],
+            ['Rhode Island', 'RI'], ['South Carolina', 'SC'], ['South Dakota', 'SD'], ['Tennessee', 'TN'],
+            ['Texas', 'TX'], ['Utah', 'UT'], ['Vermont', 'VT'], ['Virginia', 'VA'], ['Washington', 'WA'],
+            ['West Virginia', 'WV'], ['Wisconsin', 'WI'], ['Wyoming', 'WY']
+        ],
+        'Canada': [
+            ['Alberta', 'AB'], ['British Columbia', 'BC'], ['Manitoba', 'MB'], ['New Brunswick', 'NB'],
+            ['Newfoundland and Labrador', 'NL'], ['Nova Scotia', 'NS'], ['Ontario', 'ON'],
+            ['Prince Edward Island', 'PE', 'PEI'], ['Quebec', 'QC', 'Québec'], ['Saskatchewan', 'SK'],
+            ['Northwest Territories', 'NT'], ['Nunavut', 'NU'], ['Yukon', 'YT']
+        ],
+        'Australia': [
+            ['New South Wales', 'NSW'], ['Victoria', 'VIC'], ['Queensland', 'QLD'],
+            ['Western Australia', 'WA'], ['South Australia', 'SA'], ['Tasmania', 'TAS'],
+            ['Australian Capital Territory', 'ACT'], ['Northern Territory', 'NT']
+        ],
+        'United Kingdom': [
+            ['England'], ['Scotland'], ['Wales'], ['Northern Ireland']
+        ],
+        'Germany': [
+            ['Baden-Württemberg'], ['Bavaria', 'Bayern'], ['Berlin'], ['Brandenburg'], ['Bremen'],
+            ['Hamburg'], ['Hesse', 'Hessen'], ['Lower Saxony', 'Niedersachsen'],
+            ['Mecklenburg-West Pomerania', 'Mecklenburg-Vorpommern'],
+            ['North Rhine-Westphalia', 'Nordrhein-Westfalen'], ['Rhineland-Palatinate', 'Rheinland-Pfalz'],
+            ['Saarland'], ['Saxony', 'Sachsen'], ['Saxony-Anhalt', 'Sachsen-Anhalt'],
+            ['Schleswig-Holstein'], ['Thuringia', 'Thüringen']
+        ],
+        'India': [
+            ['Andhra Pradesh'], ['Assam'], ['Bihar'], ['Delhi', 'National Capital Territory of Delhi'],
+            ['Goa'], ['Gujarat'], ['Haryana'], ['Karnataka'], ['Kerala'], ['Madhya Pradesh'],
+            ['Maharashtra'], ['Odisha'], ['Punjab'], ['Rajasthan'], ['Tamil Nadu'], ['Telangana'],
+            ['Uttar Pradesh'], ['Uttarakhand'], ['West Bengal']
+        ],
+        'Poland': [
+            ['Lower Silesian Voivodeship', 'Dolnośląskie'], ['Kuyavian-Pomeranian Voivodeship', 'Kujawsko-pomorskie'],
+            ['Lublin Voivodeship', 'Lubelskie'], ['Lubusz Voivodeship', 'Lubuskie'],
+            ['Łódź Voivodeship', 'Łódzkie'], ['Lesser Poland Voivodeship', 'Małopolskie'],
+            ['Masovian Voivodeship', 'Mazowieckie'], ['Opole Voivodeship', 'Opolskie'],
+            ['Subcarpathian Voivodeship', 'Podkarpackie'], ['Podlaskie Voivodeship', 'Podlaskie'],
+            ['Pomeranian Voivodeship', 'Pomorskie'], ['Silesian Voivodeship', 'Śląskie'],
+            ['Świętokrzyskie Voivodeship', 'Świętokrzyskie'], ['Warmian-Masurian Voivodeship', 'Warmińsko-mazurskie'],
+            ['Greater Poland Voivodeship', 'Wielkopolskie'], ['West Pomeranian Voivodeship', 'Zachodniopomorskie']
+        ]
+    },
+
+    /** LinkedIn metro areas: { name: { region, country } } */
+    METRO_AREAS: {
+        'San Francisco Bay Area': { region: 'California', country: 'United States' },
+        'New York City Metropolitan Area': { region: 'New York', country: 'United States' },
+        'Greater Seattle Area': { region: 'Washington', country: 'United States' },
+        'Greater Boston': { region: 'Massachusetts', country: 'United States' },
+        'Greater Chicago Area': { region: 'Illinois', country: 'United States' },
+        'Los Angeles Metropolitan Area': { region: 'California', country: 'United States' },
+        'Greater Los Angeles Area': { region: 'California', country: 'United States' },
+        'Washington DC-Baltimore Area': { region: '', country: 'United States' },
+        'Dallas-Fort Worth Metroplex': { region: 'Texas', country: 'United States' },
+        'Austin, Texas Metropolitan Area': { region: 'Texas', country: 'United States' },
+        'Atlanta Metropolitan Area': { region: 'Georgia', country: 'United States' },
+        'Denver Metropolitan Area': { region: 'Colorado', country: 'United States' },
+        'Greater Toronto Area': { region: 'Ontario', country: 'Canada' },
+        'Greater Vancouver Metropolitan Area': { region: 'British Columbia', country: 'Canada' },
+        'Greater Montreal Metropolitan Area': { region: 'Quebec', country: 'Canada' },
+        'Greater London': { region: 'England', country: 'United Kingdom' },
+        'London Area': { region: 'England', country: 'United Kingdom' },
+        'Greater Manchester': { region: 'England', country: 'United Kingdom' },
+        'Berlin Metropolitan Area': { region: 'Berlin', country: 'Germany' },
+        'Greater Munich Metropolitan Area': { region: 'Bavaria', country: 'Germany' },
+        'Greater Hamburg Area': { region: 'Hamburg', country: 'Germany' },
+        'Frankfurt Rhine-Main Metropolitan Area': { region: 'Hesse', country: 'Germany' },
+        'Greater Paris Metropolitan Region': { region: 'Île-de-France', country: 'France' },
+        'Randstad': { region: '', country: 'Netherlands' },
+        'Greater Madrid Metropolitan Area': { region: 'Community of Madrid', country: 'Spain' },
+        'Greater Barcelona Metropolitan Area': { region: 'Catalonia', country: 'Spain' },
+        'Greater Dublin': { region: '', country: 'Ireland' },
+        'Warsaw Metropolitan Area': { region: 'Masovian Voivodeship', country: 'Poland' },
+        'Greater Sydney Area': { region: 'New South Wales', country: 'Australia' },
+        'Greater Melbourne Area': { region: 'Victoria', country: 'Australia' },
+        'Greater Bengaluru Area': { region: 'Karnataka', country: 'India' },
+        'Mumbai Metropolitan Region': { region: 'Maharashtra', country: 'India' },
+        'Greater Delhi Area': { region: 'Delhi', country: 'India' },
+        'Greater Hyderabad Area': { region: 'Telangana', country: 'India' },
+        'Greater Tel Aviv Area': { region: '', country: 'Israel' }
+    },
+
+    /** Cities of US states named like a country: "Atlanta, Georgia" is the state, "Tbilisi, Georgia" the country */
+    STATE_CITIES: {
+        'Georgia': ['Atlanta', 'Alpharetta', 'Athens', 'Augusta', 'Columbus', 'Duluth', 'Macon', 'Marietta',
+            'Norcross', 'Roswell', 'Sandy Springs', 'Savannah', 'Smyrna']
+    },
+
+    /** Regions that are also a city: a lone "Berlin, Germany" names both */
+    CITY_REGIONS: ['Berlin', 'Hamburg', 'Bremen', 'Delhi'],
+
+    /** Areas spanning several countries; kept as the region with no country */
+    MULTI_COUNTRY_AREAS: [
+        'Worldwide', 'European Union', 'European Economic Area', 'Europe', 'EMEA', 'APAC', 'LATAM',
+        'Latin America', 'North America', 'Asia Pacific', 'Middle East', 'Nordics', 'DACH', 'Benelux'
+    ]
+};
@@ -0,0 +1,341 @@
+// ===== HTML REPORT =====
+// Builds a single self-contained HTML file (inline CSS and script, no
+// external resources) presenting scraped records as a sortable, filterable
+// table. Rows with details expand to show Markdown rendered as HTML.
+// The file works offline, so it can be emailed and opened on a phone.
+export const HtmlReport = {
+
+    /**
+     * Escape text for safe inclusion in HTML content and attributes.
+     * @param {*} value - The value to escape.
+     * @returns {string} The escaped text.
+     */
+    escapeHtml: function(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Render inline Markdown (code, links, bold, italic) to HTML.
+     * The text is escaped first, so raw HTML in the source is never live.
+     * Code spans and links are set aside before the emphasis rules run, so
+     * underscores or asterisks in a URL never end up inside an href.
+     * @param {string} text - A single line of Markdown.
+     * @returns {string} The HTML fragment.
+     */
+    renderInline: function(text) {
+        var self = this;
+        var held = [];
+
+        /** Keep a rendered fragment out of reach of the rules that follow */
+        function hold(html) {
+            held.push(html);
+            return '\u0000' + (held.length - 1) + '\u0000';
+        }
+
+        var html = this.escapeHtml(text).replace(/\u0000/g, '')
+            // Backslash escapes (Turndown emits these) become entities so
+            // the formatting rules below leave them alone
+            .replace(/\\([\\`*_{}[\]()#+\-.!~|])/g, function(match, ch) {
+                return '&#' + ch.charCodeAt(0) + ';';
+            })
+            .replace(/`([^`]+)`/g, function(match, code) {
+                return hold('<code>' + code + '</code>');
+            })
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, function(match, label, url) {
+                return hold('<a href="' + url + '" target="_blank" rel="noopener">'
+                    + self.renderEmphasis(label) + '</a>');
+            })
+            .replace(/(^|\s)(https?:\/\/[^\s<]+)/g, function(match, lead, url) {
+                return lead + hold('<a href="' + url + '" target="_blank" rel="noopener">' + url + '</a>');
+            });
+
+        return this.renderEmphasis(html).replace(/\u0000(\d+)\u0000/g, function(match, index) {
+            return held[index];
+        });
+    },
+
+    /**
+     * Render bold and italic Markdown markers in escaped text.
+     * @param {string} html - Escaped text.
+     * @returns {string} The HTML fragment.
+     */
+    renderEmphasis: function(html) {
+        return html
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>');
+    },
+
+    /**
+     * Convert Markdown to HTML.
+     * Covers what the scraper produces: ATX headings, bullet and numbered
+     * lists, horizontal rules, paragraphs and inline formatting.
+     * Single line breaks inside a paragraph are kept as <br>, matching
+     * how the "**Label:** value" lines of our Markdown exports read.
+     * @param {string} markdown - The Markdown source.
+     * @returns {string} The HTML fragment.
+     */
+    markdownToHtml: function(markdown) {
+        var self = this;
+        var lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        var html = [];
+        var paragraph = [];
+        var listType = null;
+
+        function closeParagraph() {
+            if (paragraph.length > 0) {
+                html.push('<p>' + paragraph.join('<br>') + '</p>');
+                paragraph = [];
+            }
+        }
+
+        function closeList() {
+            if (listType) {
+                html.push('</' + listType + '>');
+                listType = null;
+            }
+        }
+
+        function openList(type) {
+            if (listType !== type) {
+                closeList();
+                html.push('<' + type + '>');
+                listType = type;
+            }
+        }
+
+        lines.forEach(function(line) {
+            var trimmed = line.trim();
+            var match;
+
+            // Blank lines end a paragraph but not a list (loose lists)
+            if (trimmed === '') {
+                closeParagraph();
+                return;
+            }
+
+            if (/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+                closeParagraph();
+                closeList();
+                html.push('<hr>');
+                return;
+            }
+
+            match = trimmed.match(/^(#{1,6})\s+(.*)$/);
+            if (match) {
+                closeParagraph();
+                closeList();
+                var level = match[1].length;
+                html.push('<h' + level + '>' + self.renderInline(match[2]) + '</h' + level + '>');
+                return;
+            }
+
+            match = trimmed.match(/^[-*+]\s+(.*)$/);
+            if (match) {
+                closeParagraph();
+                openList('ul');
+                html.push('<li>' + self.renderInline(match[1]) + '</li>');
+                return;
+            }
+
+            match = trimmed.match(/^\d+[.)]\s+(.*)$/);
+            if (match) {
+                closeParagraph();
+                openList('ol');
+                html.push('<li>' + self.renderInline(match[1]) + '</li>');
+                return;
+            }
+
+            closeList();
+            paragraph.push(self.renderInline(trimmed));
+        });
+
+        closeParagraph();
+        closeList();
+        return html.join('\n');
+    },
+
+    /** Inline stylesheet of the report */
+    STYLES: [
+        'body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; font-size: 14px; color: #1d2226; margin: 0; padding: 16px; background: #f3f2ef; }',
+        'h1 { font-size: 20px; margin: 0 0 8px 0; }',
+        '.meta { margin: 0 0 12px 0; font-size: 12px; color: #555; }',
+        '.meta div { margin: 2px 0; word-break: break-all; }',
+        '.controls { display: flex; gap: 10px; align-items: center; margin-bottom: 10px; }',
+        '.controls input { flex: 1; max-width: 400px; padding: 8px; font-size: 14px; border: 1px solid #ccc; border-radius: 4px; }',
+        '.count { font-size: 12px; color: #555; }',
+        '.table-wrap { overflow-x: auto; background: #fff; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.15); }',
+        'table { border-collapse: collapse; width: 100%; }',
+        'th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #e6e6e6; vertical-align: top; }',
+        'th { position: sticky; top: 0; background: #0a66c2; color: #fff; cursor: pointer; user-select: none; white-space: nowrap; }',
+        'th.asc::after { content: " \\25B2"; }',
+        'th.desc::after { content: " \\25BC"; }',
+        'tr.main.expandable { cursor: pointer; }',
+        'tr.main.expandable td:first-child::before { content: "\\25B8 "; color: #888; }',
+        'tbody.open tr.main.expandable td:first-child::before { content: "\\25BE "; }',
+        'tr.main:hover { background: #f5f9fd; }',
+        'tr.details { display: none; }',
+        'tbody.open tr.details { display: table-row; }',
+        'tr.details td { background: #fafafa; }',
+        '.md { max-width: 900px; line-height: 1.45; }',
+        '.md h1 { font-size: 18px; } .md h2 { font-size: 16px; } .md h3, .md h4, .md h5, .md h6 { font-size: 14px; }',
+        'a { color: #0a66c2; }',
+        '.badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; font-weight: 600; white-space: nowrap; }',
+        '.badge-good { background: #d7f0dc; color: #1b6e2d; }',
+        '.badge-neutral { background: #fcefc7; color: #7a5b00; }',
+        '.badge-bad { background: #f8d7d7; color: #a12020; }'
+    ].join('\n'),
+
+    /** Inline script: sorting by column, text filtering, expanding rows */
+    SCRIPT: [
+        '(function() {',
+        '    var table = document.getElementById("report");',
+        '    var records = Array.prototype.slice.call(table.querySelectorAll("tbody.record"));',
+        '    var filter = document.getElementById("filter");',
+        '    var count = document.getElementById("count");',
+        '    var sortCol = -1;',
+        '    var sortAsc = true;',
+        '    function sortValue(record, col) {',
+        '        var cell = record.rows[0].cells[col];',
+        '        var value = cell.getAttribute("data-sort");',
+        '        if (value === null) { value = cell.textContent; }',
+        '        value = value.trim();',
+        '        return (value !== "" && isFinite(value)) ? parseFloat(value) : value.toLowerCase();',
+        '    }',
+        '    function compare(a, b) {',
+        '        if (typeof a !== typeof b) { return typeof a === "number" ? -1 : 1; }',
+        '        return a < b ? -1 : (a > b ? 1 : 0);',
+        '    }',
+        '    table.tHead.addEventListener("click", function(event) {',
+        '        var th = event.target.closest("th");',
+        '        if (!th) { return; }',
+        '        var col = th.cellIndex;',
+        '        sortAsc = (col === sortCol) ? !sortAsc : true;',
+        '        sortCol = col;',
+        '        records.sort(function(a, b) {',
+        '            var result = compare(sortValue(a, col), sortValue(b, col));',
+        '            return sortAsc ? result : -result;',
+        '        });',
+        '        records.forEach(function(record) { table.appendChild(record); });',
+        '        Array.prototype.forEach.call(table.tHead.rows[0].cells, function(cell) {',
+        '            cell.className = (cell === th) ? (sortAsc ? "asc" : "desc") : "";',
+        '        });',
+        '    });',
+        '    function applyFilter() {',
+        '        var terms = filter.value.toLowerCase().split(/\\s+/).filter(Boolean);',
+        '        var shown = 0;',
+        '        records.forEach(function(record) {',
+        '            var text = record.textContent.toLowerCase();',
+        '            var match = terms.every(function(term) { return text.indexOf(term) !== -1; });',
+        '            record.style.display = match ? "" : "none";',
+        '            if (match) { shown++; }',
+        '        });',
+        '        count.textContent = shown + " of " + records.length;',
+        '    }',
+        '    filter.addEventListener("input", applyFilter);',
+        '    table.addEventListener("click", function(event) {',
+        '        if (event.target.closest("a")) { return; }',
+        '        var row = event.target.closest("tr.main.expandable");',
+        '        if (row) { row.parentNode.classList.toggle("open"); }',
+        '    });',
+        '    applyFilter();',
+        '})();'
+    ].join('\n'),
+
+    /**
+     * Render one table cell.
+     * A cell is either a plain string or an object with text plus an
+     * optional href (rendered as a link), tone (rendered as a badge:
+     * 'good', 'neutral' or 'bad') and sort (value used for sorting).
+     * @param {string|Object} cell - The cell definition.
+     * @returns {string} The <td> HTML.
+     */
+    renderCell: function(cell) {
+        if (cell === null || typeof cell !== 'object') {
+            return '<td>' + this.escapeHtml(cell) + '</td>';
+        }
+
+        var sortAttr = (cell.sort !== undefined) ? ' data-sort="' + this.escapeHtml(cell.sort) + '"' : '';
+        var content = this.escapeHtml(cell.text);
+        if (cell.href) {
+            content = '<a href="' + this.escapeHtml(cell.href) + '" target="_blank" rel="noopener">'
+                + content + '</a>';
+        } else if (cell.tone && cell.text) {
+            content = '<span class="badge badge-' + cell.tone + '">' + content + '</span>';
+        }
+        return '<td' + sortAttr + '>' + content + '</td>';
+    },
+
+    /**
+     * Generate the complete HTML report.
+     * @param {Object} options - Report definition:
+     *   title    {string}             Page title and heading.
+     *   metadata {Array<Array>}       [label, value] pairs shown under the heading.
+     *   columns  {Array<string>}      Column headers.
+     *   rows     {Array<Object>}      { cells: [...], details: markdown or '' }.
+     * @returns {string} The complete HTML document.
+     */
+    generate: function(options) {
+        var self = this;
+        var html = [];
+
+        html.push('<!DOCTYPE html>');
+        html.push('<html lang="en">');
+        html.push('<head>');
+        html.push('<meta charset="utf-8">');
+        html.push('<meta name="viewport" content="width=device-width, initial-scale=1">');
+        html.push('<title>' + this.escapeHtml(options.title) + '</title>');
+        html.push('<style>\n' + this.STYLES + '\n</style>');
+        html.push('</head>');
+        html.push('<body>');
+        html.push('<h1>' + this.escapeHtml(options.title) + '</h1>');
+
+        html.push('<div class="meta">');
+        (options.metadata || []).forEach(function(pair) {
+            if (pair[1] !== '' && pair[1] !== null && pair[1] !== undefined) {
+                html.push('<div><strong>' + self.escapeHtml(pair[0]) + ':</strong> '
+                    + self.escapeHtml(pair[1]) + '</div>');
+            }
+        });
+        html.push('</div>');
+
+        html.push('<div class="controls">');
+        html.push('<input type="search" id="filter" placeholder="Filter rows...">');
+        html.push('<span class="count" id="count"></span>');
+        html.push('</div>');
+
+        html.push('<div class="table-wrap">');
+        html.push('<table id="report">');
+        html.push('<thead><tr>' + options.columns.map(function(header) {
+            return '<th>' + self.escapeHtml(header) + '</th>';
+        }).join('') + '</tr></thead>');
+
+        options.rows.forEach(function(row) {
+            var hasDetails = !!row.details;
+            html.push('<tbody class="record">');
+            html.push('<tr class="main' + (hasDetails ? ' expandable' : '') + '">'
+                + row.cells.map(function(cell) {
+                    return self.renderCell(cell);
+                }).join('') + '</tr>');
+            if (hasDetails) {
+                html.push('<tr class="details"><td colspan="' + options.columns.length + '">'
+                    + '<div class="md">' + self.markdownToHtml(row.details) + '</div></td></tr>');
+            }
+            html.push('</tbody>');
+        });
+
+        html.push('</table>');
+        html.push('</div>');
+        html.push('<script>\n' + this.SCRIPT + '\n</script>');
+        html.push('</body>');
+        html.push('</html>');
+
+        return html.join('\n') + '\n';
+    }
+};
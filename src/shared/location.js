@@ -0,0 +1,211 @@
+// ===== LOCATION PARSING =====
+// Splits LinkedIn's free-text locations ("Austin, TX", "Munich, Bavaria,
+// Germany", "Greater London", "United States (Remote)") into city, region,
+// country and metro area using the offline Gazetteer, and derives a remote
+// flag from the text and the job's workplace type.
+import { Gazetteer } from './gazetteer.js';
+
+export const LocationParser = {
+    /** Workplace type LinkedIn appends to some card locations */
+    WORKPLACE_SUFFIX: /\s*\((remote|hybrid|on-site|onsite)\)\s*$/i,
+
+    /** Names that look like a metro area even if not in the gazetteer */
+    METRO_PATTERN: /^greater\s|\s(metropolitan|metro)\s(area|region)$|\sarea$|\smetroplex$/i,
+
+    /** Lookup tables built from the gazetteer, see getIndex() */
+    index: null,
+
+    /**
+     * Normalize a place name for lookup.
+     * @param {string} text - The name.
+     * @returns {string} Lowercased name with single spaces.
+     */
+    normalizeName: function(text) {
+        return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    },
+
+    /**
+     * Build (once) the lowercase lookup tables of the gazetteer.
+     * @returns {Object} { countries, regions, metros, multiCountry }
+     */
+    getIndex: function() {
+        if (this.index) {
+            return this.index;
+        }
+        var self = this;
+        var index = { countries: {}, regions: {}, metros: {}, multiCountry: {} };
+
+        Gazetteer.COUNTRIES.forEach(function(names) {
+            names.forEach(function(name) {
+                index.countries[self.normalizeName(name)] = names[0];
+            });
+        });
+        Object.keys(Gazetteer.REGIONS).forEach(function(country) {
+            var table = {};
+            Gazetteer.REGIONS[country].forEach(function(names) {
+                names.forEach(function(name) {
+                    table[self.normalizeName(name)] = names[0];
+                });
+            });
+            index.regions[country] = table;
+        });
+        Object.keys(Gazetteer.METRO_AREAS).forEach(function(name) {
+            index.metros[self.normalizeName(name)] = name;
+        });
+        Gazetteer.MULTI_COUNTRY_AREAS.forEach(function(name) {
+            index.multiCountry[self.normalizeName(name)] = name;
+        });
+
+        this.index = index;
+        return index;
+    },
+
+    /**
+     * Find a country by name or alias.
+     * @param {string} text - A location part.
+     * @returns {string} The canonical country name, or ''.
+     */
+    findCountry: function(text) {
+        return this.getIndex().countries[this.normalizeName(text)] || '';
+    },
+
+    /**
+     * Find a first-level region by name or abbreviation.
+     * Without a known country, countries are tried in gazetteer order, so
+     * ambiguous abbreviations such as "WA" resolve to the United States.
+     * @param {string} text - A location part.
+     * @param {string} country - The country, if already known.
+     * @returns {Object|null} { region, country }, or null.
+     */
+    findRegion: function(text, country) {
+        var regions = this.getIndex().regions;
+        var key = this.normalizeName(text);
+        var countries = country ? [country] : Object.keys(regions);
+        for (var i = 0; i < countries.length; i++) {
+            var table = regions[countries[i]];
+            if (table && table[key]) {
+                return { region: table[key], country: countries[i] };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Recognize a metro area, from the gazetteer or by its wording.
+     * @param {string} text - A location or location part.
+     * @returns {Object|null} { metroArea, region, country } (region/country '' if unknown), or null.
+     */
+    findMetro: function(text) {
+        var name = this.getIndex().metros[this.normalizeName(text)];
+        if (name) {
+            return {
+                metroArea: name,
+                region: Gazetteer.METRO_AREAS[name].region,
+                country: Gazetteer.METRO_AREAS[name].country
+            };
+        }
+        if (this.METRO_PATTERN.test(String(text || '').trim())) {
+            return { metroArea: String(text).trim(), region: '', country: '' };
+        }
+        return null;
+    },
+
+    /**
+     * Tell whether "City, X" names a known city of the US state X, where X is
+     * also a country ("Atlanta, Georgia" but not "Tbilisi, Georgia").
+     * @param {Array<string>} parts - The location parts.
+     * @returns {boolean} True if the last part is to be read as the state.
+     */
+    isStateCity: function(parts) {
+        if (parts.length !== 2) {
+            return false;
+        }
+        var self = this;
+        var state = this.findRegion(parts[1], 'United States');
+        var cities = state ? (Gazetteer.STATE_CITIES[state.region] || []) : [];
+        return cities.some(function(city) {
+            return self.normalizeName(city) === self.normalizeName(parts[0]);
+        });
+    },
+
+    /**
+     * Parse a location into its parts.
+     * @param {string} text - The location as shown by LinkedIn.
+     * @param {string} [workplaceType] - The job's workplace type (e.g. "Remote").
+     * @returns {Object} { city, region, country, metroArea, isRemote }
+     */
+    parse: function(text, workplaceType) {
+        var self = this;
+        var result = { city: '', region: '', country: '', metroArea: '', isRemote: /remote/i.test(workplaceType || '') };
+        var value = String(text || '').trim();
+
+        var suffix = value.match(this.WORKPLACE_SUFFIX);
+        if (suffix) {
+            result.isRemote = result.isRemote || /remote/i.test(suffix[1]);
+            value = value.slice(0, suffix.index).trim();
+        }
+
+        var parts = value.split(',').map(function(part) {
+            return part.trim();
+        }).filter(function(part) {
+            if (/^remote$/i.test(part)) {
+                result.isRemote = true;
+                return false;
+            }
+            return part !== '';
+        });
+        if (parts.length === 0) {
+            return result;
+        }
+
+        // Metro area names may themselves contain a comma
+        var wholeMetro = this.getIndex().metros[this.normalizeName(parts.join(', '))];
+        if (wholeMetro) {
+            return Object.assign(result, this.findMetro(wholeMetro));
+        }
+
+        var last = parts[parts.length - 1];
+        var multiCountry = this.getIndex().multiCountry[this.normalizeName(last)];
+        if (this.findCountry(last) && !this.isStateCity(parts)) {
+            result.country = this.findCountry(last);
+            parts.pop();
+        } else if (multiCountry) {
+            result.region = multiCountry;
+            parts.pop();
+        }
+
+        parts = parts.filter(function(part) {
+            // "Greater Poland Voivodeship" is a region, not a metro area
+            var metro = (result.metroArea || self.findRegion(part, result.country)) ? null : self.findMetro(part);
+            if (!metro) {
+                return true;
+            }
+            result.metroArea = metro.metroArea;
+            result.region = result.region || metro.region;
+            result.country = result.country || metro.country;
+            return false;
+        });
+
+        if (parts.length === 1) {
+            var region = this.findRegion(parts[0], result.country);
+            if (region) {
+                result.region = region.region;
+                result.country = result.country || region.country;
+                if (Gazetteer.CITY_REGIONS.indexOf(region.region) !== -1) {
+                    result.city = region.region;
+                }
+            } else {
+                result.city = parts[0];
+            }
+        } else if (parts.length > 1) {
+            var lastRegion = this.findRegion(parts[parts.length - 1], result.country);
+            result.city = parts[0];
+            result.region = lastRegion ? lastRegion.region : parts[parts.length - 1];
+            if (lastRegion) {
+                result.country = result.country || lastRegion.country;
+            }
+        }
+
+        return result;
+    }
+};
@@ -0,0 +1,129 @@
+// ===== MARKDOWN BUNDLE =====
+// Packs one Markdown note per record into a ZIP archive, each note starting
+// with YAML front matter, plus an index note linking them all.
+// Meant for dropping results straight into a notes vault.
+// JSZip is loaded via @require from CDN.
+export const MarkdownBundle = {
+    /** Name of the index note at the root of the archive */
+    INDEX_FILENAME: 'index.md',
+
+    /** Maximum length of a note filename (without extension) */
+    MAX_FILENAME_LENGTH: 100,
+
+    /**
+     * Format a scalar or a list of scalars as a YAML value.
+     * Strings are always double-quoted so colons, hashes and leading
+     * dashes in LinkedIn text cannot break the front matter.
+     * Lists use the inline form, e.g. ["Python", "SQL"]; missing values
+     * (e.g. an unknown salary) are written as null.
+     * @param {*} value - The value to format.
+     * @returns {string} The YAML representation.
+     */
+    toYAMLValue: function(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(this.toYAMLValue, this).join(', ') + ']';
+        }
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return String(value);
+        }
+        var str = String(value);
+        str = str.replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\r?\n/g, '\\n');
+        return '"' + str + '"';
+    },
+
+    /**
+     * Build a YAML front matter block from a flat object.
+     * @param {Object} fields - Key/value pairs, in output order.
+     * @returns {string} The front matter, including the '---' delimiters.
+     */
+    buildFrontMatter: function(fields) {
+        var self = this;
+        var lines = ['---'];
+        Object.keys(fields).forEach(function(key) {
+            lines.push(key + ': ' + self.toYAMLValue(fields[key]));
+        });
+        lines.push('---');
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Start the map of note names taken in a new archive.
+     * The index note's name is taken from the start, so no record overwrites it.
+     * @returns {Object} The map, for buildFileName.
+     */
+    createUsedNames: function() {
+        var usedNames = {};
+        usedNames[this.INDEX_FILENAME.replace(/\.md$/, '').toLowerCase()] = true;
+        return usedNames;
+    },
+
+    /**
+     * Build a unique, filesystem-safe note filename from descriptive parts.
+     * Empty parts are skipped; duplicates get a numeric suffix.
+     * @param {Array<string>} parts - e.g. [title, company, jobId].
+     * @param {Object} usedNames - Map of names already taken in this archive, from createUsedNames (updated).
+     * @returns {string} The filename including the '.md' extension.
+     */
+    buildFileName: function(parts, usedNames) {
+        var cleaned = parts.map(function(part) {
+            return String(part || '')
+                .replace(/[\\/:*?"<>|#^[\]]/g, '')
+                .replace(/\s+/g, ' ')
+                .trim();
+        }).filter(function(part) {
+            return part.length > 0;
+        });
+
+        var base = cleaned.join(' - ').substring(0, this.MAX_FILENAME_LENGTH).trim() || 'untitled';
+        var name = base;
+        var counter = 2;
+        while (usedNames[name.toLowerCase()]) {
+            name = base + ' (' + counter + ')';
+            counter++;
+        }
+        usedNames[name.toLowerCase()] = true;
+        return name + '.md';
+    },
+
+    /**
+     * Build the index note linking every note in the bundle.
+     * @param {string} title - Heading of the index note.
+     * @param {Array<Object>} notes - Notes with fileName and title.
+     * @returns {string} The index Markdown.
+     */
+    buildIndex: function(title, notes) {
+        var lines = ['# ' + title, ''];
+        lines.push(notes.length + ' notes, generated ' + new Date().toISOString() + '.');
+        lines.push('');
+        notes.forEach(function(note) {
+            lines.push('- [' + note.title.replace(/[[\]]/g, '') + '](' + encodeURI(note.fileName) + ')');
+        });
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Generate the ZIP archive.
+     * @param {Array<Object>} notes - { fileName, title, frontMatter, body } per record.
+     * @param {string} indexTitle - Heading of the index note.
+     * @returns {Promise<Uint8Array>} The binary ZIP content.
+     */
+    generateZip: function(notes, indexTitle) {
+        if (typeof JSZip === 'undefined') {
+            return Promise.reject(new Error('JSZip not available.'));
+        }
+
+        var self = this;
+        var zip = new JSZip();
+        notes.forEach(function(note) {
+            zip.file(note.fileName, self.buildFrontMatter(note.frontMatter) + '\n' + note.body + '\n');
+        });
+        zip.file(this.INDEX_FILENAME, this.buildIndex(indexTitle, notes));
+
+        return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+    }
+};
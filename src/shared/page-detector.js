@@ -1,24 +1,70 @@
 // ===== PAGE DETECTION =====
-// Detects whether we are on a people search page, a jobs page, or neither.
+// Detects whether we are on a people search page, a company's People tab,
+// the own connections list, a company search page, a jobs page, a single
+// job view page, the My Jobs tracker, or none of these.
 // Used to adapt the UI and dispatch to the correct controller.
 export const PageDetector = {
 
+    /** Standalone job page, e.g. https://www.linkedin.com/jobs/view/4012345678/ */
+    JOB_VIEW_PATTERN: /linkedin\.com\/jobs\/view\/(\d+)/,
+
+    /** Company People tab, e.g. https://www.linkedin.com/company/acme/people/?keywords=engineer */
+    COMPANY_PEOPLE_PATTERN: /linkedin\.com\/company\/[^/?#]+\/people/,
+
+    /** Own connections list, e.g. https://www.linkedin.com/mynetwork/invite-connect/connections/ */
+    CONNECTIONS_PATTERN: /linkedin\.com\/mynetwork\/invite-connect\/connections/,
+
+    /** Member profile page, e.g. https://www.linkedin.com/in/jane-doe/ (profile visits only, no panel) */
+    PROFILE_PATTERN: /linkedin\.com\/in\/[^/?#]+/,
+
     /**
-     * Determine the current page type based on the URL.
-     * @returns {string} 'people', 'jobs', or 'unknown'.
+     * Determine the page type of a URL.
+     * @param {string} url - The URL to analyze.
+     * @returns {string} 'people', 'companyPeople', 'connections', 'companies', 'jobs', 'jobview', 'myJobs', or 'unknown'.
      */
-    getPageType: function() {
-        var href = window.location.href;
-        if (href.indexOf('linkedin.com/search/results/people') !== -1) {
+    getPageTypeFromUrl: function(url) {
+        if (url.indexOf('linkedin.com/search/results/people') !== -1) {
             return 'people';
         }
-        if (href.indexOf('linkedin.com/jobs/search') !== -1 ||
-            href.indexOf('linkedin.com/jobs/collections') !== -1) {
+        if (this.COMPANY_PEOPLE_PATTERN.test(url)) {
+            return 'companyPeople';
+        }
+        if (this.CONNECTIONS_PATTERN.test(url)) {
+            return 'connections';
+        }
+        if (url.indexOf('linkedin.com/search/results/companies') !== -1) {
+            return 'companies';
+        }
+        if (url.indexOf('linkedin.com/jobs/search') !== -1 ||
+            url.indexOf('linkedin.com/jobs/collections') !== -1) {
             return 'jobs';
         }
+        if (this.JOB_VIEW_PATTERN.test(url)) {
+            return 'jobview';
+        }
+        if (url.indexOf('linkedin.com/my-items/saved-jobs') !== -1) {
+            return 'myJobs';
+        }
         return 'unknown';
     },
 
+    /**
+     * Determine the current page type based on the URL.
+     * @returns {string} 'people', 'companyPeople', 'connections', 'companies', 'jobs', 'jobview', 'myJobs', or 'unknown'.
+     */
+    getPageType: function() {
+        return this.getPageTypeFromUrl(window.location.href);
+    },
+
+    /**
+     * Get the job ID of the standalone job page being viewed.
+     * @returns {string} The job ID, or '' if not on a job view page.
+     */
+    getJobViewId: function() {
+        var match = window.location.href.match(this.JOB_VIEW_PATTERN);
+        return match ? match[1] : '';
+    },
+
     /**
      * Check if we are on a LinkedIn people search page.
      * @returns {boolean}
@@ -27,11 +73,79 @@ export const PageDetector = {
         return this.getPageType() === 'people';
     },
 
+    /**
+     * Check if we are on a company's People tab.
+     * @returns {boolean}
+     */
+    isOnCompanyPeoplePage: function() {
+        return this.getPageType() === 'companyPeople';
+    },
+
+    /**
+     * Check if we are on the own connections list in My Network.
+     * @returns {boolean}
+     */
+    isOnConnectionsPage: function() {
+        return this.getPageType() === 'connections';
+    },
+
+    /**
+     * Check if we are on a people list that grows in place (a company's
+     * People tab or the connections list) instead of paginating.
+     * @returns {boolean}
+     */
+    isOnPeopleGridPage: function() {
+        var pageType = this.getPageType();
+        return pageType === 'companyPeople' || pageType === 'connections';
+    },
+
+    /**
+     * Check if we are on a page listing people (people search, a company's
+     * People tab or the connections list).
+     * @returns {boolean}
+     */
+    isOnPeoplePage: function() {
+        var pageType = this.getPageType();
+        return pageType === 'people' || pageType === 'companyPeople' || pageType === 'connections';
+    },
+
+    /**
+     * Check if we are on a LinkedIn company search page.
+     * @returns {boolean}
+     */
+    isOnCompanySearchPage: function() {
+        return this.getPageType() === 'companies';
+    },
+
     /**
      * Check if we are on a LinkedIn jobs page.
      * @returns {boolean}
      */
     isOnJobsPage: function() {
         return this.getPageType() === 'jobs';
+    },
+
+    /**
+     * Check if we are on a standalone LinkedIn job page.
+     * @returns {boolean}
+     */
+    isOnJobViewPage: function() {
+        return this.getPageType() === 'jobview';
+    },
+
+    /**
+     * Check if we are on the My Jobs tracker (any of its tabs).
+     * @returns {boolean}
+     */
+    isOnMyJobsPage: function() {
+        return this.getPageType() === 'myJobs';
+    },
+
+    /**
+     * Check if we are on a member's profile page.
+     * @returns {boolean}
+     */
+    isOnProfilePage: function() {
+        return this.PROFILE_PATTERN.test(window.location.href);
     }
 };
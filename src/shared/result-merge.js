@@ -0,0 +1,303 @@
+// ===== RESULT MERGE =====
+// Merges newly scraped records into a previous LiSeSca export (XLSX, JSON or
+// JSON Lines) so a cumulative tracker file can be kept up to date.
+// Records are matched by jobId (jobs), cleaned profile URL (people) or
+// cleaned company URL (companies) and flagged in a mergeStatus field:
+//   new       - only in the new results
+//   updated   - in both, and an exported field changed
+//   unchanged - in both without changes, or only in the existing file
+// Existing rows keep their order; new rows are appended.
+// SheetJS is loaded via @require from CDN (only needed by readFile).
+export const ResultMerge = {
+    /** Record field and column header holding the merge status */
+    STATUS_FIELD: 'mergeStatus',
+    STATUS_HEADER: 'Merge Status',
+
+    /** Fields that change between runs without the record changing */
+    VOLATILE_FIELDS: ['postedDate', 'postedAt', 'aiEvaluatedAt', 'profileVisitedAt', 'aboutVisitedAt', 'mergeStatus'],
+
+    /**
+     * Reduce a LinkedIn profile URL to a stable key.
+     * Drops the query string, fragment, trailing slash and letter case, and
+     * unifies the host so http/https and locale subdomains match.
+     * @param {string} url - A profile URL.
+     * @returns {string} The cleaned URL, or '' if empty.
+     */
+    cleanProfileUrl: function(url) {
+        var value = String(url || '').trim();
+        if (!value) {
+            return '';
+        }
+        var match = value.match(/linkedin\.com\/in\/([^\/?#]+)/i);
+        if (match) {
+            var slug = match[1];
+            try {
+                slug = decodeURIComponent(slug);
+            } catch (error) {
+                // Keep the raw slug if it is not valid percent-encoding
+            }
+            return 'https://www.linkedin.com/in/' + slug.toLowerCase();
+        }
+        return value.split(/[?#]/)[0].replace(/\/+$/, '').toLowerCase();
+    },
+
+    /**
+     * Get the de-duplication key of a record.
+     * Jobs without a jobId fall back to the ID in their job link.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {Object} record - A job, profile or company record.
+     * @returns {string} The key, or '' if the record cannot be matched.
+     */
+    recordKey: function(mode, record) {
+        if (mode === 'jobs') {
+            if (record.jobId !== undefined && record.jobId !== null && String(record.jobId).trim() !== '') {
+                return String(record.jobId).trim();
+            }
+            var match = String(record.jobLink || '').match(/\/jobs\/view\/(\d+)|currentJobId=(\d+)/);
+            return match ? (match[1] || match[2]) : '';
+        }
+        if (mode === 'companies') {
+            return this.cleanProfileUrl(record.companyUrl);
+        }
+        return this.cleanProfileUrl(record.profileUrl);
+    },
+
+    /**
+     * Build a lookup from column header (or field key) to field key.
+     * Lookups are case-insensitive so renamed profile headers and the
+     * built-in headers are both recognized.
+     * @param {Array<Array<Object>>} columnSets - Lists of { key, header } columns.
+     * @returns {Object} Lowercased header/key → field key.
+     */
+    buildHeaderMap: function(columnSets) {
+        var map = {};
+        map[this.STATUS_HEADER.toLowerCase()] = this.STATUS_FIELD;
+        map[this.STATUS_FIELD.toLowerCase()] = this.STATUS_FIELD;
+        columnSets.forEach(function(columns) {
+            columns.forEach(function(column) {
+                map[String(column.key).toLowerCase()] = column.key;
+                map[String(column.header).trim().toLowerCase()] = column.key;
+            });
+        });
+        return map;
+    },
+
+    /**
+     * Convert a sheet table (array of rows, header first) into records.
+     * Columns with unknown headers are ignored; blank rows are skipped.
+     * @param {Array<Array>} table - Rows of cell values.
+     * @param {Object} headerMap - Result of buildHeaderMap().
+     * @returns {Array<Object>} The records.
+     */
+    tableToRecords: function(table, headerMap) {
+        if (!table || table.length === 0) {
+            throw new Error('The sheet is empty.');
+        }
+        var keys = table[0].map(function(header) {
+            return headerMap[String(header).trim().toLowerCase()] || null;
+        });
+        var known = keys.filter(function(key) {
+            return key && key !== 'mergeStatus';
+        });
+        if (known.length === 0) {
+            throw new Error('No LiSeSca columns found in the sheet.');
+        }
+
+        var records = [];
+        table.slice(1).forEach(function(row) {
+            var record = {};
+            var hasValue = false;
+            keys.forEach(function(key, index) {
+                var value = row[index];
+                if (!key || value === undefined || value === null || value === '') {
+                    return;
+                }
+                record[key] = value;
+                hasValue = true;
+            });
+            if (hasValue) {
+                records.push(record);
+            }
+        });
+        return records;
+    },
+
+    /**
+     * Parse a LiSeSca JSON export ({ metadata, results }), a plain JSON
+     * array, or JSON Lines.
+     * @param {string} text - The file content.
+     * @returns {Array<Object>} The records.
+     */
+    parseJSON: function(text) {
+        var content = String(text || '').replace(/^\uFEFF/, '').trim();
+        var doc;
+        try {
+            doc = JSON.parse(content);
+        } catch (error) {
+            doc = null;
+        }
+
+        if (Array.isArray(doc)) {
+            return doc;
+        }
+        if (doc && Array.isArray(doc.results)) {
+            return doc.results;
+        }
+
+        try {
+            return content.split(/\r?\n/).filter(function(line) {
+                return line.trim() !== '';
+            }).map(function(line) {
+                return JSON.parse(line);
+            });
+        } catch (error) {
+            throw new Error('Not a LiSeSca JSON or JSON Lines export.');
+        }
+    },
+
+    /**
+     * Normalize a field value for comparison.
+     * Lists of plain values compare as the comma-separated text they are
+     * exported as.
+     * @param {*} value - A field value.
+     * @returns {string} Trimmed string with LF line breaks.
+     */
+    normalizeValue: function(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        var isPlainList = Array.isArray(value) && value.every(function(item) {
+            return item === null || typeof item !== 'object';
+        });
+        if (isPlainList) {
+            return value.join(', ');
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return String(value).replace(/\r\n?/g, '\n').trim();
+    },
+
+    /**
+     * Copy a record, taking non-empty values from an update.
+     * @param {Object} base - The existing record.
+     * @param {Object} update - The newly scraped record.
+     * @returns {Object} The merged record.
+     */
+    mergeRecord: function(base, update) {
+        var self = this;
+        var merged = Object.assign({}, base);
+        Object.keys(update).forEach(function(key) {
+            if (self.normalizeValue(update[key]) !== '') {
+                merged[key] = update[key];
+            }
+        });
+        return merged;
+    },
+
+    /**
+     * Merge new records into existing ones.
+     * A matched record is 'updated' when any compared field present in the
+     * existing record differs after the merge; volatile fields are ignored.
+     * Duplicates (same key) within either list are folded into the first one.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {Array<Object>} existing - Records from the previous export.
+     * @param {Array<Object>} incoming - Newly scraped records.
+     * @param {Array<string>} compareKeys - Fields that make a record 'updated'.
+     * @returns {Object} { records, counts: { new, updated, unchanged } }.
+     */
+    merge: function(mode, existing, incoming, compareKeys) {
+        var self = this;
+        var records = [];
+        var indexByKey = {};
+        var originals = {};
+        var statuses = [];
+
+        var keys = compareKeys.filter(function(key) {
+            return self.VOLATILE_FIELDS.indexOf(key) === -1;
+        });
+
+        existing.forEach(function(record) {
+            var key = self.recordKey(mode, record);
+            if (key && indexByKey[key] !== undefined) {
+                records[indexByKey[key]] = self.mergeRecord(records[indexByKey[key]], record);
+                originals[key] = records[indexByKey[key]];
+                return;
+            }
+            if (key) {
+                indexByKey[key] = records.length;
+                originals[key] = record;
+            }
+            records.push(record);
+            statuses.push('unchanged');
+        });
+
+        incoming.forEach(function(record) {
+            var key = self.recordKey(mode, record);
+            if (!key || indexByKey[key] === undefined) {
+                if (key) {
+                    indexByKey[key] = records.length;
+                }
+                records.push(record);
+                statuses.push('new');
+                return;
+            }
+
+            var index = indexByKey[key];
+            var merged = self.mergeRecord(records[index], record);
+            records[index] = merged;
+
+            if (statuses[index] === 'new') {
+                return;
+            }
+            var original = originals[key];
+            var changed = keys.some(function(field) {
+                return Object.prototype.hasOwnProperty.call(original, field)
+                    && self.normalizeValue(original[field]) !== self.normalizeValue(merged[field]);
+            });
+            statuses[index] = changed ? 'updated' : 'unchanged';
+        });
+
+        var counts = { new: 0, updated: 0, unchanged: 0 };
+        var result = records.map(function(record, index) {
+            counts[statuses[index]]++;
+            var flagged = Object.assign({}, record);
+            flagged[self.STATUS_FIELD] = statuses[index];
+            return flagged;
+        });
+
+        return { records: result, counts: counts };
+    },
+
+    /**
+     * Read the records of a previous export chosen by the user.
+     * XLSX files are read from the sheet named mainSheetName, or the first
+     * sheet if there is none with that name.
+     * @param {File} file - The selected file.
+     * @param {string} mainSheetName - Name of the results sheet.
+     * @param {Object} headerMap - Result of buildHeaderMap().
+     * @returns {Promise<Object>} { type: 'xlsx'|'json'|'jsonl', records }.
+     */
+    readFile: function(file, mainSheetName, headerMap) {
+        var self = this;
+        var name = String(file.name || '').toLowerCase();
+
+        if (/\.xlsx?$/.test(name)) {
+            return file.arrayBuffer().then(function(data) {
+                var workbook = XLSX.read(new Uint8Array(data), { type: 'array' });
+                var sheetName = workbook.SheetNames.indexOf(mainSheetName) !== -1
+                    ? mainSheetName
+                    : workbook.SheetNames[0];
+                var table = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '' });
+                return { type: 'xlsx', records: self.tableToRecords(table, headerMap) };
+            });
+        }
+
+        return file.text().then(function(text) {
+            return {
+                type: /\.jsonl$/.test(name) ? 'jsonl' : 'json',
+                records: self.parseJSON(text)
+            };
+        });
+    }
+};
@@ -0,0 +1,136 @@
+// ===== SESSION FLOW =====
+// Steps shared by the scrape controllers that are not tied to one mode:
+// ending a session after an unexpected error, and the deep-visit loop that
+// opens each buffered record's own page after the last list page (member
+// profiles, company About pages, job pages).
+// Each visit is a full page load, so the loop keeps its position in State
+// (VISIT_PHASE, VISIT_INDEX) and is resumed by the controller on the next
+// load. What differs per mode is passed in as a visit object:
+//   {
+//     label:    'Profile', 'Company' or 'Job' (status and log text),
+//     getUrl:   function(record) → page to open ('' skips the record),
+//     isOnPage: function(record) → whether that page opened (optional),
+//     extract:  function(record, statusPrefix) → Promise of the details (null if unreadable),
+//     merge:    function(record, details) → the record to keep,
+//     finish:   function() → called once every record was handled
+//   }
+import { State } from './state.js';
+import { UI } from '../ui/ui.js';
+import { Emulator } from '../people/emulator.js';
+
+export const Session = {
+
+    /**
+     * End the session after an unexpected error, downloading what was collected.
+     * @param {Error} error - The error.
+     * @param {function(Array)} download - Downloads the buffered records in the mode's formats.
+     */
+    abortWithError: function(error, download) {
+        console.error('[LiSeSca] Scrape cycle error:', error);
+        UI.showStatus('Error: ' + error.message);
+
+        var buffer = State.getBuffer();
+        if (buffer.length > 0) {
+            download(buffer);
+        }
+        State.clear();
+        setTimeout(function() {
+            UI.showIdleState();
+        }, 5000);
+    },
+
+    /**
+     * Start the deep visits: open each buffered record's page in turn.
+     * @param {Object} visit - The visit steps (see the module header).
+     */
+    startVisits: function(visit) {
+        console.log('[LiSeSca] List pages done. Opening ' + State.getBuffer().length
+            + ' ' + visit.label.toLowerCase() + ' pages.');
+        State.set(State.KEYS.VISIT_PHASE, 'visiting');
+        State.set(State.KEYS.VISIT_INDEX, 0);
+        this.visitNext(visit);
+    },
+
+    /**
+     * Navigate to the page of the next buffered record that has one, or
+     * finish when all were handled.
+     * @param {Object} visit - The visit steps (see the module header).
+     */
+    visitNext: function(visit) {
+        if (!State.isScraping()) {
+            return;
+        }
+
+        var buffer = State.getBuffer();
+        var index = State.get(State.KEYS.VISIT_INDEX, 0);
+        while (index < buffer.length && !visit.getUrl(buffer[index])) {
+            index++;
+        }
+        if (index >= buffer.length) {
+            console.log('[LiSeSca] All ' + visit.label.toLowerCase() + ' pages visited.');
+            State.set(State.KEYS.VISIT_PHASE, 'done');
+            visit.finish();
+            return;
+        }
+
+        State.set(State.KEYS.VISIT_INDEX, index);
+        UI.showStatus('Opening ' + visit.label.toLowerCase() + ' ' + (index + 1) + ' of ' + buffer.length + '...');
+
+        var url = visit.getUrl(buffer[index]);
+        setTimeout(function() {
+            if (State.isScraping()) {
+                window.location.href = url;
+            }
+        }, Emulator.getRandomInt(1000, 2500));
+    },
+
+    /**
+     * Continue the deep visits after a page load: read the page being shown,
+     * merge it into its buffered record, move on.
+     * @param {Object} visit - The visit steps (see the module header).
+     */
+    resumeVisit: function(visit) {
+        var self = this;
+        var buffer = State.getBuffer();
+        var index = State.get(State.KEYS.VISIT_INDEX, 0);
+        var record = buffer[index];
+
+        /** Advance to the next record, whatever happened to this one */
+        function next() {
+            State.set(State.KEYS.VISIT_INDEX, index + 1);
+            self.visitNext(visit);
+        }
+
+        if (!record) {
+            this.visitNext(visit);
+            return;
+        }
+        if (visit.isOnPage && !visit.isOnPage(record)) {
+            console.warn('[LiSeSca] ' + visit.label + ' page ' + visit.getUrl(record) + ' did not open (now on '
+                + window.location.href + '). Skipping.');
+            next();
+            return;
+        }
+
+        var statusPrefix = visit.label + ' ' + (index + 1) + ' of ' + buffer.length;
+
+        Promise.resolve().then(function() {
+            return visit.extract(record, statusPrefix);
+        }).then(function(details) {
+            if (!State.isScraping()) {
+                return;
+            }
+            if (details) {
+                console.log('[LiSeSca] Read ' + statusPrefix.toLowerCase() + '.');
+                State.updateBufferItem(index, visit.merge(record, details));
+            } else {
+                console.warn('[LiSeSca] Could not read ' + visit.label.toLowerCase() + ' page '
+                    + visit.getUrl(record) + '. Skipping.');
+            }
+            next();
+        }).catch(function(error) {
+            console.error('[LiSeSca] ' + visit.label + ' page visit error:', error);
+            next();
+        });
+    }
+};
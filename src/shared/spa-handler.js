@@ -83,16 +83,9 @@ export const SpaHandler = {
     /**
      * Determine page type from a URL string (for analyzing old URL).
      * @param {string} url - The URL to analyze.
-     * @returns {string} 'people', 'jobs', or 'unknown'.
+     * @returns {string} 'people', 'companyPeople', 'connections', 'companies', 'jobs', 'jobview', 'myJobs', or 'unknown'.
      */
     getPageTypeFromUrl: function(url) {
-        if (url.indexOf('linkedin.com/search/results/people') !== -1) {
-            return 'people';
-        }
-        if (url.indexOf('linkedin.com/jobs/search') !== -1 ||
-            url.indexOf('linkedin.com/jobs/collections') !== -1) {
-            return 'jobs';
-        }
-        return 'unknown';
+        return PageDetector.getPageTypeFromUrl(url);
     }
 };
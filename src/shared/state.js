@@ -10,18 +10,28 @@ export const State = {
         TARGET_PAGE_COUNT: 'lisesca_targetPageCount',
         START_PAGE: 'lisesca_startPage',
         SCRAPED_BUFFER: 'lisesca_scrapedBuffer',
+        REJECTED_BUFFER: 'lisesca_rejectedBuffer',  // items rejected by AI (audit trail)
         SEARCH_URL: 'lisesca_searchUrl',
+        SESSION_STARTED_AT: 'lisesca_sessionStartedAt', // ISO timestamp of the GO click
+        RUN_STATS: 'lisesca_runStats',                  // JSON of the final summary stats
         FORMATS: 'lisesca_formats',
         INCLUDE_VIEWED: 'lisesca_includeViewed',
         AI_ENABLED: 'lisesca_aiEnabled',          // AI job filtering toggle
         INCLUDE_FIRST_ON_PAGE: 'lisesca_includeFirstOnPage', // Include first job card on each page
         FULL_AI_ENABLED: 'lisesca_fullAIEnabled', // Full AI evaluation toggle (three-tier)
         PEOPLE_AI_ENABLED: 'lisesca_peopleAIEnabled',          // AI people scoring toggle
+        VISIT_PROFILES: 'lisesca_visitProfiles',               // Profile deep-visit toggle
+        VISIT_COMPANIES: 'lisesca_visitCompanies',             // Company About page visit toggle
+        VISIT_JOBS: 'lisesca_visitJobs',                       // My Jobs: open each job for full details
         // Job-specific state keys
-        SCRAPE_MODE: 'lisesca_scrapeMode',       // 'people' or 'jobs'
+        SCRAPE_MODE: 'lisesca_scrapeMode',       // 'people', 'jobs', 'companies' or 'myJobs'
         JOB_INDEX: 'lisesca_jobIndex',            // current job index on page (0-based)
         JOB_IDS_ON_PAGE: 'lisesca_jobIdsOnPage',  // JSON array of job IDs for current page
         JOB_TOTAL: 'lisesca_jobTotal',            // total jobs count for "All" mode
+        // Deep-visit state keys (member profiles in people mode, About pages in companies mode,
+        // job pages in myJobs mode; see Session)
+        VISIT_PHASE: 'lisesca_visitPhase', // '', 'visiting' or 'done'
+        VISIT_INDEX: 'lisesca_visitIndex', // buffer index of the record being visited
         // AI evaluation statistics
         JOBS_PROCESSED: 'lisesca_jobsProcessed',        // count of all jobs processed (saved + skipped)
         AI_JOBS_EVALUATED: 'lisesca_aiJobsEvaluated',  // count of jobs evaluated by AI
@@ -29,7 +39,10 @@ export const State = {
         AI_JOBS_FULL_EVALUATED: 'lisesca_aiJobsFullEvaluated', // count of jobs fully evaluated by AI
         AI_JOBS_ACCEPTED: 'lisesca_aiJobsAccepted',    // count of jobs accepted by AI
         AI_PEOPLE_EVALUATED: 'lisesca_aiPeopleEvaluated', // count of people evaluated by AI
-        AI_PEOPLE_ACCEPTED: 'lisesca_aiPeopleAccepted'    // count of people accepted by AI
+        AI_PEOPLE_ACCEPTED: 'lisesca_aiPeopleAccepted',   // count of people accepted by AI
+        // Kept across sessions (not removed by clear)
+        LAST_ITEMS: 'lisesca_lastItems',  // last scraped item per mode, for template preview
+        JOB_CLIPBOARD: 'lisesca_jobClipboard' // jobs captured one by one on job pages
     },
 
     /**
@@ -60,7 +73,7 @@ export const State = {
     },
 
     /**
-     * Get the current scrape mode ('people' or 'jobs').
+     * Get the current scrape mode ('people', 'jobs', 'companies' or 'myJobs').
      * @returns {string} The scrape mode, or 'people' as default.
      */
     getScrapeMode: function() {
@@ -92,7 +105,7 @@ export const State = {
      * @param {number} targetPageCount - How many pages to scrape (9999 for "all").
      * @param {number} startPage - The page number where scraping begins.
      * @param {string} searchUrl - The base search URL (without page parameter).
-     * @param {string} scrapeMode - 'people' or 'jobs'.
+     * @param {string} scrapeMode - 'people', 'jobs', 'companies' or 'myJobs'.
      */
     startSession: function(targetPageCount, startPage, searchUrl, scrapeMode) {
         this.set(this.KEYS.IS_SCRAPING, true);
@@ -100,12 +113,18 @@ export const State = {
         this.set(this.KEYS.TARGET_PAGE_COUNT, targetPageCount);
         this.set(this.KEYS.START_PAGE, startPage);
         this.set(this.KEYS.SEARCH_URL, searchUrl);
+        this.set(this.KEYS.SESSION_STARTED_AT, new Date().toISOString());
+        GM_deleteValue(this.KEYS.RUN_STATS);
         this.set(this.KEYS.SCRAPED_BUFFER, JSON.stringify([]));
+        this.set(this.KEYS.REJECTED_BUFFER, JSON.stringify([]));
         this.set(this.KEYS.SCRAPE_MODE, scrapeMode || 'people');
         // Reset job-specific state
         this.set(this.KEYS.JOB_INDEX, 0);
         this.set(this.KEYS.JOB_IDS_ON_PAGE, JSON.stringify([]));
         this.set(this.KEYS.JOB_TOTAL, 0);
+        // Reset deep-visit state
+        this.set(this.KEYS.VISIT_PHASE, '');
+        this.set(this.KEYS.VISIT_INDEX, 0);
         // Reset processing and AI evaluation counters
         this.set(this.KEYS.JOBS_PROCESSED, 0);
         this.set(this.KEYS.AI_JOBS_EVALUATED, 0);
@@ -129,27 +148,156 @@ export const State = {
         const updated = buffer.concat(newItems);
         this.set(this.KEYS.SCRAPED_BUFFER, JSON.stringify(updated));
         console.log('[LiSeSca] Buffer updated: ' + updated.length + ' total items.');
+        if (newItems.length > 0) {
+            // My Jobs records are jobs, previewed with the job template
+            var mode = this.getScrapeMode();
+            this.saveLastItem(mode === 'myJobs' ? 'jobs' : mode, newItems[newItems.length - 1]);
+        }
     },
 
     /**
-     * Read selected export formats from the UI checkboxes.
-     * @returns {Array<string>} Array of format identifiers (e.g. ['xlsx', 'csv']).
+     * Replace one item of the persistent buffer, e.g. with its enriched version.
+     * @param {number} index - The item's position in the buffer.
+     * @param {Object} item - The new data object.
      */
-    readFormatsFromUI: function() {
-        var formats = [];
-        var xlsxCheck = document.getElementById('lisesca-fmt-xlsx');
-        var csvCheck = document.getElementById('lisesca-fmt-csv');
-        var mdCheck = document.getElementById('lisesca-fmt-md');
+    updateBufferItem: function(index, item) {
+        var buffer = this.getBuffer();
+        if (index < 0 || index >= buffer.length) {
+            return;
+        }
+        buffer[index] = item;
+        this.set(this.KEYS.SCRAPED_BUFFER, JSON.stringify(buffer));
+    },
+
+    /**
+     * Save the final statistics of the session (as shown in the summary panel).
+     * @param {Object} stats - The summary stats, plus interrupted and finishedAt.
+     */
+    saveRunStats: function(stats) {
+        this.set(this.KEYS.RUN_STATS, JSON.stringify(stats));
+    },
+
+    /**
+     * Retrieve the final statistics of the session.
+     * @returns {Object|null} The stats, or null if the session has not finished.
+     */
+    getRunStats: function() {
+        try {
+            return JSON.parse(this.get(this.KEYS.RUN_STATS, 'null'));
+        } catch (error) {
+            console.error('[LiSeSca] Failed to parse run stats:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Remember the most recently scraped item of a mode.
+     * Used as sample data for the Markdown template preview.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @param {Object} item - The scraped data object.
+     */
+    saveLastItem: function(mode, item) {
+        var items = {};
+        try {
+            items = JSON.parse(this.get(this.KEYS.LAST_ITEMS, '{}'));
+        } catch (error) {
+            items = {};
+        }
+        items[mode] = item;
+        this.set(this.KEYS.LAST_ITEMS, JSON.stringify(items));
+    },
+
+    /**
+     * Retrieve the most recently scraped item of a mode.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @returns {Object|null} The item, or null if none was scraped yet.
+     */
+    getLastItem: function(mode) {
+        try {
+            var items = JSON.parse(this.get(this.KEYS.LAST_ITEMS, '{}'));
+            return items[mode] || null;
+        } catch (error) {
+            console.error('[LiSeSca] Failed to parse last items:', error);
+            return null;
+        }
+    },
 
-        if (xlsxCheck && xlsxCheck.checked) {
-            formats.push('xlsx');
+    /**
+     * Get the jobs captured on standalone job pages.
+     * @returns {Array} Array of job data objects, oldest first.
+     */
+    getJobClipboard: function() {
+        var raw = this.get(this.KEYS.JOB_CLIPBOARD, '[]');
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            console.warn('[LiSeSca] Failed to parse job clipboard, resetting:', error);
+            return [];
         }
-        if (csvCheck && csvCheck.checked) {
-            formats.push('csv');
+    },
+
+    /**
+     * Add a captured job to the clipboard.
+     * A job captured again replaces its earlier copy in place.
+     * @param {Object} job - The job data object.
+     * @returns {boolean} True if the job was new, false if it replaced an earlier copy.
+     */
+    addToJobClipboard: function(job) {
+        var clipboard = this.getJobClipboard();
+        var index = -1;
+        for (var i = 0; i < clipboard.length; i++) {
+            if (clipboard[i].jobId === job.jobId) {
+                index = i;
+                break;
+            }
         }
-        if (mdCheck && mdCheck.checked) {
-            formats.push('md');
+        if (index === -1) {
+            clipboard.push(job);
+        } else {
+            clipboard[index] = job;
         }
+        this.set(this.KEYS.JOB_CLIPBOARD, JSON.stringify(clipboard));
+        this.saveLastItem('jobs', job);
+        console.log('[LiSeSca] Job clipboard updated: ' + clipboard.length + ' total jobs.');
+        return index === -1;
+    },
+
+    /**
+     * Remove all jobs from the clipboard.
+     */
+    clearJobClipboard: function() {
+        GM_deleteValue(this.KEYS.JOB_CLIPBOARD);
+        console.log('[LiSeSca] Job clipboard cleared.');
+    },
+
+    /**
+     * Append AI-rejected items to the persistent rejected buffer.
+     * Kept separately from the main buffer so false negatives can be audited.
+     * @param {Array} newItems - Array of rejected data objects (profiles or job basics).
+     */
+    appendRejected: function(newItems) {
+        var rejected = this.getRejected();
+        var updated = rejected.concat(newItems);
+        this.set(this.KEYS.REJECTED_BUFFER, JSON.stringify(updated));
+        console.log('[LiSeSca] Rejected buffer updated: ' + updated.length + ' total items.');
+    },
+
+    /** Export format identifiers, in download order. Each has a 'lisesca-fmt-<id>' checkbox. */
+    EXPORT_FORMATS: ['xlsx', 'csv', 'md', 'mdzip', 'html', 'json', 'jsonl', 'vcf'],
+
+    /**
+     * Read selected export formats from the UI checkboxes.
+     * Formats without a checkbox on the current page are skipped.
+     * @returns {Array<string>} Array of format identifiers (e.g. ['xlsx', 'csv']).
+     */
+    readFormatsFromUI: function() {
+        var formats = [];
+        this.EXPORT_FORMATS.forEach(function(format) {
+            var check = document.getElementById('lisesca-fmt-' + format);
+            if (check && check.checked) {
+                formats.push(format);
+            }
+        });
         return formats;
     },
 
@@ -263,6 +411,101 @@ export const State = {
         return this.get(this.KEYS.PEOPLE_AI_ENABLED, false);
     },
 
+    /**
+     * Read the "Visit profiles" preference from the UI checkbox.
+     * @returns {boolean} True if profiles should be visited after the search pages.
+     */
+    readVisitProfilesFromUI: function() {
+        var visitCheck = document.getElementById('lisesca-visit-profiles');
+        if (!visitCheck) {
+            return false;
+        }
+        return visitCheck.checked;
+    },
+
+    /**
+     * Save the "Visit profiles" preference to persistent storage.
+     * @param {boolean} visitProfiles - True to visit each saved profile.
+     */
+    saveVisitProfiles: function(visitProfiles) {
+        this.set(this.KEYS.VISIT_PROFILES, visitProfiles === true);
+    },
+
+    /**
+     * Retrieve the saved "Visit profiles" preference.
+     * Defaults to false if not set.
+     * @returns {boolean}
+     */
+    getVisitProfiles: function() {
+        return this.get(this.KEYS.VISIT_PROFILES, false);
+    },
+
+    /**
+     * Read the "Visit company pages" preference from the UI checkbox.
+     * @returns {boolean} True if each saved company's About page should be visited.
+     */
+    readVisitCompaniesFromUI: function() {
+        var visitCheck = document.getElementById('lisesca-visit-companies');
+        if (!visitCheck) {
+            return false;
+        }
+        return visitCheck.checked;
+    },
+
+    /**
+     * Save the "Visit company pages" preference to persistent storage.
+     * @param {boolean} visitCompanies - True to visit each saved company's About page.
+     */
+    saveVisitCompanies: function(visitCompanies) {
+        this.set(this.KEYS.VISIT_COMPANIES, visitCompanies === true);
+    },
+
+    /**
+     * Retrieve the saved "Visit company pages" preference.
+     * Defaults to false if not set.
+     * @returns {boolean}
+     */
+    getVisitCompanies: function() {
+        return this.get(this.KEYS.VISIT_COMPANIES, false);
+    },
+
+    /**
+     * Read the "Open each job" preference (My Jobs pages) from the UI checkbox.
+     * @returns {boolean} True if each saved job's page should be opened for its full details.
+     */
+    readVisitJobsFromUI: function() {
+        var visitCheck = document.getElementById('lisesca-visit-jobs');
+        if (!visitCheck) {
+            return false;
+        }
+        return visitCheck.checked;
+    },
+
+    /**
+     * Save the "Open each job" preference to persistent storage.
+     * @param {boolean} visitJobs - True to open each saved job's page.
+     */
+    saveVisitJobs: function(visitJobs) {
+        this.set(this.KEYS.VISIT_JOBS, visitJobs === true);
+    },
+
+    /**
+     * Retrieve the saved "Open each job" preference.
+     * Defaults to false if not set.
+     * @returns {boolean}
+     */
+    getVisitJobs: function() {
+        return this.get(this.KEYS.VISIT_JOBS, false);
+    },
+
+    /**
+     * Get the deep-visit phase of the session (profile, About page or job page visits).
+     * @returns {string} '' (not started), 'visiting' or 'done'.
+     */
+    getVisitPhase: function() {
+        return this.get(this.KEYS.VISIT_PHASE, '');
+    },
+
     /**
      * Read the "AI job selection" preference from the UI checkbox.
      * @returns {boolean} True if AI filtering is enabled.
@@ -447,6 +690,20 @@ export const State = {
         }
     },
 
+    /**
+     * Get the items rejected by AI in this session.
+     * @returns {Array} Array of rejected data objects.
+     */
+    getRejected: function() {
+        var raw = this.get(this.KEYS.REJECTED_BUFFER, '[]');
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            console.warn('[LiSeSca] Failed to parse rejected buffer, resetting:', error);
+            return [];
+        }
+    },
+
     /**
      * Get the stored job IDs for the current page.
      * @returns {Array<string>} Array of job ID strings.
@@ -478,12 +735,17 @@ export const State = {
         GM_deleteValue(this.KEYS.TARGET_PAGE_COUNT);
         GM_deleteValue(this.KEYS.START_PAGE);
         GM_deleteValue(this.KEYS.SCRAPED_BUFFER);
+        GM_deleteValue(this.KEYS.REJECTED_BUFFER);
         GM_deleteValue(this.KEYS.SEARCH_URL);
+        GM_deleteValue(this.KEYS.SESSION_STARTED_AT);
+        GM_deleteValue(this.KEYS.RUN_STATS);
         GM_deleteValue(this.KEYS.FORMATS);
         GM_deleteValue(this.KEYS.SCRAPE_MODE);
         GM_deleteValue(this.KEYS.JOB_INDEX);
         GM_deleteValue(this.KEYS.JOB_IDS_ON_PAGE);
         GM_deleteValue(this.KEYS.JOB_TOTAL);
+        GM_deleteValue(this.KEYS.VISIT_PHASE);
+        GM_deleteValue(this.KEYS.VISIT_INDEX);
         GM_deleteValue(this.KEYS.JOBS_PROCESSED);
         GM_deleteValue(this.KEYS.AI_JOBS_EVALUATED);
         GM_deleteValue(this.KEYS.AI_JOBS_TRIAGED);
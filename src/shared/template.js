@@ -0,0 +1,203 @@
+// ===== TEMPLATE ENGINE =====
+// Minimal Mustache/Handlebars-style renderer for user-defined Markdown
+// export templates. Supported syntax:
+//   {{field}}  {{a.b}}                 value (empty when missing)
+//   {{#if field}}...{{else}}...{{/if}}  conditional (empty string/array = false)
+//   {{#unless field}}...{{/unless}}     inverted conditional
+//   {{#each list}}...{{/each}}          loop; inside, {{this}} is the item,
+//                                       {{@index}} its 0-based position and
+//                                       {{@number}} its 1-based position
+// Output is not escaped: templates produce Markdown, not HTML.
+// A block tag alone on its line removes that whole line from the output,
+// so templates can be laid out readably without leaving blank lines.
+export const Template = {
+
+    /**
+     * Split a template into a tree of nodes.
+     * @param {string} source - The template text.
+     * @returns {Array<Object>} The node tree.
+     * @throws {Error} When block tags are unbalanced or malformed.
+     */
+    parse: function(source) {
+        // Standalone block tags swallow their line's indentation and newline
+        var text = String(source || '').replace(
+            /^[ \t]*(\{\{\s*(?:#|\/|else\b)[^}]*\}\})[ \t]*(?:\r?\n|(?![\s\S]))/gm, '$1');
+
+        var root = { children: [] };
+        var stack = [root];
+        var current = root.children;
+        var tagRegex = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+        var lastIndex = 0;
+        var match;
+
+        while ((match = tagRegex.exec(text)) !== null) {
+            if (match.index > lastIndex) {
+                current.push({ type: 'text', value: text.substring(lastIndex, match.index) });
+            }
+            lastIndex = tagRegex.lastIndex;
+
+            var tag = match[1];
+            var block = tag.match(/^#(if|unless|each)\s+(\S+)$/);
+            var parent = stack[stack.length - 1];
+
+            if (block) {
+                var node = { type: block[1], path: block[2], children: [], elseChildren: [] };
+                current.push(node);
+                stack.push(node);
+                current = node.children;
+            } else if (tag === 'else') {
+                if (parent === root || parent.type === 'each' || parent.inElse) {
+                    throw new Error('Unexpected {{else}}.');
+                }
+                parent.inElse = true;
+                current = parent.elseChildren;
+            } else if (tag.charAt(0) === '/') {
+                var closing = tag.substring(1).trim();
+                if (parent === root) {
+                    throw new Error('Unexpected {{/' + closing + '}}.');
+                }
+                if (closing !== parent.type) {
+                    throw new Error('Expected {{/' + parent.type + '}} but found {{/' + closing + '}}.');
+                }
+                delete parent.inElse;
+                stack.pop();
+                var outer = stack[stack.length - 1];
+                current = outer.inElse ? outer.elseChildren : outer.children;
+            } else if (/^[@\w.]+$/.test(tag)) {
+                current.push({ type: 'var', path: tag });
+            } else {
+                throw new Error('Invalid tag {{' + tag + '}}.');
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error('Unclosed {{#' + stack[stack.length - 1].type + '}}.');
+        }
+        if (lastIndex < text.length) {
+            current.push({ type: 'text', value: text.substring(lastIndex) });
+        }
+        return root.children;
+    },
+
+    /**
+     * Look up a dotted path, searching the scopes from innermost outwards.
+     * @param {string} path - e.g. 'company', 'this', '@index', 'a.b'.
+     * @param {Array<Object>} scopes - Scope chain, innermost last.
+     * @returns {*} The value, or undefined.
+     */
+    lookup: function(path, scopes) {
+        var scope = scopes[scopes.length - 1];
+        if (path === 'this' || path === '.') {
+            return scope.item;
+        }
+        if (path.charAt(0) === '@') {
+            return scope.meta[path];
+        }
+
+        var parts = path.split('.');
+        for (var i = scopes.length - 1; i >= 0; i--) {
+            var value = scopes[i].item;
+            if (value === null || typeof value !== 'object' || !(parts[0] in value)) {
+                continue;
+            }
+            for (var j = 0; j < parts.length; j++) {
+                if (value === null || value === undefined) {
+                    return undefined;
+                }
+                value = value[parts[j]];
+            }
+            return value;
+        }
+        return undefined;
+    },
+
+    /**
+     * Decide whether a value counts as present for {{#if}}.
+     * @param {*} value - The value.
+     * @returns {boolean}
+     */
+    isTruthy: function(value) {
+        if (Array.isArray(value)) {
+            return value.length > 0;
+        }
+        return !!value;
+    },
+
+    /**
+     * Convert a value to output text.
+     * Arrays are joined with ', ' so simple lists work without a loop.
+     * @param {*} value - The value.
+     * @returns {string}
+     */
+    stringify: function(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (Array.isArray(value)) {
+            return value.map(this.stringify, this).join(', ');
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    },
+
+    /**
+     * Render a node list against a scope chain.
+     * @param {Array<Object>} nodes - Parsed nodes.
+     * @param {Array<Object>} scopes - Scope chain, innermost last.
+     * @returns {string}
+     */
+    renderNodes: function(nodes, scopes) {
+        var self = this;
+        return nodes.map(function(node) {
+            if (node.type === 'text') {
+                return node.value;
+            }
+            var value = self.lookup(node.path, scopes);
+            if (node.type === 'var') {
+                return self.stringify(value);
+            }
+            if (node.type === 'if' || node.type === 'unless') {
+                var condition = self.isTruthy(value);
+                if (node.type === 'unless') {
+                    condition = !condition;
+                }
+                return self.renderNodes(condition ? node.children : node.elseChildren, scopes);
+            }
+            // each
+            if (!Array.isArray(value)) {
+                return '';
+            }
+            return value.map(function(item, index) {
+                var scope = { item: item, meta: { '@index': index, '@number': index + 1 } };
+                return self.renderNodes(node.children, scopes.concat([scope]));
+            }).join('');
+        }).join('');
+    },
+
+    /**
+     * Render a template with the given data.
+     * @param {string} source - The template text.
+     * @param {Object} data - The record to render.
+     * @returns {string} The rendered text.
+     * @throws {Error} When the template is malformed.
+     */
+    render: function(source, data) {
+        return this.renderNodes(this.parse(source), [{ item: data || {}, meta: {} }]);
+    },
+
+    /**
+     * Check a template for syntax errors.
+     * @param {string} source - The template text.
+     * @returns {string|null} The error message, or null if the template is valid.
+     */
+    validate: function(source) {
+        try {
+            this.parse(source);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+};
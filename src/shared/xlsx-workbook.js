@@ -0,0 +1,131 @@
+// ===== XLSX WORKBOOK =====
+// Helpers for building formatted XLSX workbooks with SheetJS: sized columns,
+// autofilter, clickable hyperlinks, key/value sheets and a frozen header row.
+// SheetJS community edition cannot write frozen panes, so write() patches the
+// sheet XML of the generated file with JSZip. If that fails, the unpatched
+// (still valid) workbook is returned.
+// SheetJS and JSZip are loaded via @require from CDN.
+export const XlsxWorkbook = {
+    /** Column width bounds, in characters */
+    MIN_COLUMN_WIDTH: 8,
+    MAX_COLUMN_WIDTH: 60,
+
+    /** Rows sampled when measuring column widths */
+    WIDTH_SAMPLE_ROWS: 200,
+
+    /**
+     * Compute column widths from the header and a sample of rows.
+     * Multi-line cells are measured by their longest line.
+     * @param {Array<string>} headers - Header cells.
+     * @param {Array<Array>} rows - Data rows.
+     * @returns {Array<Object>} SheetJS '!cols' entries ({ wch }).
+     */
+    measureColumns: function(headers, rows) {
+        var self = this;
+        var sample = rows.slice(0, this.WIDTH_SAMPLE_ROWS);
+        return headers.map(function(header, col) {
+            var width = String(header).length + 2;  // room for the autofilter button
+            sample.forEach(function(row) {
+                var value = row[col];
+                if (value === null || value === undefined) {
+                    return;
+                }
+                String(value).split('\n').forEach(function(line) {
+                    width = Math.max(width, line.length);
+                });
+            });
+            return { wch: Math.min(self.MAX_COLUMN_WIDTH, Math.max(self.MIN_COLUMN_WIDTH, width)) };
+        });
+    },
+
+    /**
+     * Build a table worksheet with a header row, column widths, autofilter
+     * and hyperlinks.
+     * @param {Array<string>} headers - Header cells.
+     * @param {Array<Array>} rows - Data rows.
+     * @param {Array<number>} linkColumns - Indexes of columns holding URLs to make clickable.
+     * @returns {Object} The SheetJS worksheet.
+     */
+    buildTableSheet: function(headers, rows, linkColumns) {
+        var worksheet = XLSX.utils.aoa_to_sheet([headers].concat(rows));
+        worksheet['!cols'] = this.measureColumns(headers, rows);
+        worksheet['!autofilter'] = {
+            ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: headers.length - 1 } })
+        };
+
+        (linkColumns || []).forEach(function(col) {
+            rows.forEach(function(row, index) {
+                var cell = worksheet[XLSX.utils.encode_cell({ r: index + 1, c: col })];
+                if (cell && /^https?:\/\//.test(String(cell.v))) {
+                    cell.l = { Target: String(cell.v) };
+                }
+            });
+        });
+
+        return worksheet;
+    },
+
+    /**
+     * Build a two-column "Field / Value" worksheet.
+     * @param {Array<Array>} pairs - [label, value] rows.
+     * @returns {Object} The SheetJS worksheet.
+     */
+    buildKeyValueSheet: function(pairs) {
+        var worksheet = XLSX.utils.aoa_to_sheet([['Field', 'Value']].concat(pairs));
+        worksheet['!cols'] = [{ wch: 28 }, { wch: 80 }];
+        return worksheet;
+    },
+
+    /**
+     * Freeze the first row in a worksheet's XML.
+     * Adds a frozen pane to the existing <sheetView>, or inserts a
+     * <sheetViews> block where the schema expects it.
+     * @param {string} xml - The sheet XML.
+     * @returns {string} The patched XML (unchanged if it already has a pane).
+     */
+    freezeHeaderRowXml: function(xml) {
+        if (/<pane\b/.test(xml)) {
+            return xml;
+        }
+        var pane = '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+            + '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>';
+
+        if (/<sheetView\b[^>]*\/>/.test(xml)) {
+            return xml.replace(/<sheetView\b([^>]*?)\s*\/>/, '<sheetView$1>' + pane + '</sheetView>');
+        }
+        if (/<sheetView\b[^>]*>/.test(xml)) {
+            return xml.replace(/(<sheetView\b[^>]*>)/, '$1' + pane);
+        }
+        var views = '<sheetViews><sheetView workbookViewId="0">' + pane + '</sheetView></sheetViews>';
+        return xml.replace(/(<sheetFormatPr\b|<cols\b|<sheetData\b)/, views + '$1');
+    },
+
+    /**
+     * Write a workbook to binary XLSX with the header row of every sheet frozen.
+     * @param {Object} workbook - The SheetJS workbook.
+     * @returns {Promise<Uint8Array>} The binary XLSX file content.
+     */
+    write: function(workbook) {
+        var self = this;
+        var xlsxData = new Uint8Array(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+
+        if (typeof JSZip === 'undefined') {
+            console.warn('[LiSeSca] JSZip not available, header rows not frozen.');
+            return Promise.resolve(xlsxData);
+        }
+
+        return JSZip.loadAsync(xlsxData).then(function(zip) {
+            var sheets = zip.file(/^xl\/worksheets\/sheet\d+\.xml$/);
+            return Promise.all(sheets.map(function(sheet) {
+                return sheet.async('string').then(function(xml) {
+                    zip.file(sheet.name, self.freezeHeaderRowXml(xml));
+                });
+            })).then(function() {
+                return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+            });
+        }).catch(function(error) {
+            console.warn('[LiSeSca] Could not freeze header rows, using plain workbook:', error);
+            return xlsxData;
+        });
+    }
+};
@@ -1,22 +1,33 @@
 // ===== USER INTERFACE =====
 // Creates and manages the floating overlay panel with scrape controls.
-// Adapts to the current page type: green SCRAPE button for people search,
-// blue SCRAPE button for jobs search, with different page count options.
+// Adapts to the current page type: green SCRAPE button for people and
+// company search, blue SCRAPE button for jobs search, with different page
+// count options.
 import { CONFIG } from '../shared/config.js';
 import { State } from '../shared/state.js';
 import { PageDetector } from '../shared/page-detector.js';
 import { JobPaginator } from '../jobs/paginator.js';
 import { AIClient } from '../shared/ai-client.js';
-
-// Controller and JobController are used in event handlers (runtime calls, not import-time)
+import { Template } from '../shared/template.js';
+import { Output } from '../people/output.js';
+import { JobOutput } from '../jobs/output.js';
+import { CompanyOutput } from '../companies/output.js';
+import { Export } from '../shared/export.js';
+import { ExportProfiles } from '../shared/export-profiles.js';
+import { Filename } from '../shared/filename.js';
+import { SkillExtractor } from '../jobs/skills.js';
+
+// Controller, JobController, CompanyController and MyJobsController are used in event handlers (runtime calls, not import-time)
 // They will be available in the bundled IIFE scope when Rollup bundles the code.
 // We import them here to satisfy the ES module system.
 // Note: This creates a circular dependency which Rollup handles correctly for IIFE output.
-let Controller, JobController;
+let Controller, JobController, CompanyController, MyJobsController;
 
-export function setControllers(ctrl, jobCtrl) {
+export function setControllers(ctrl, jobCtrl, companyCtrl, myJobsCtrl) {
     Controller = ctrl;
     JobController = jobCtrl;
+    CompanyController = companyCtrl;
+    MyJobsController = myJobsCtrl;
 }
 
 export const UI = {
@@ -151,7 +162,8 @@ export const UI = {
 
             .lisesca-fmt-row {
                 display: flex;
-                gap: 10px;
+                flex-wrap: wrap;
+                gap: 6px 10px;
                 margin-bottom: 8px;
             }
 
@@ -204,6 +216,26 @@ export const UI = {
                 background: #388bfd;
             }
 
+            /* Job clipboard buttons on standalone job pages */
+            .lisesca-clipboard-row {
+                display: flex;
+                gap: 6px;
+            }
+            .lisesca-clipboard-btn {
+                flex: 1;
+                background: #21262d;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 5px;
+                padding: 5px 8px;
+                font-size: 12px;
+                cursor: pointer;
+                transition: background 0.15s;
+            }
+            .lisesca-clipboard-btn:hover {
+                background: #30363d;
+            }
+
             /* Status display area (shown during scraping) */
             .lisesca-status {
                 display: none;
@@ -319,6 +351,8 @@ export const UI = {
                 box-shadow: 0 8px 24px rgba(0, 0, 0, 0.6);
                 padding: 20px 24px;
                 min-width: 280px;
+                max-height: 90vh;
+                overflow-y: auto;
                 font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
                 font-size: 13px;
             }
@@ -375,6 +409,25 @@ export const UI = {
                 border-color: #58a6ff;
             }
 
+            .lisesca-config-row select {
+                width: 100%;
+                background: #0d1117;
+                color: #e1e4e8;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 5px 8px;
+                font-size: 13px;
+                box-sizing: border-box;
+            }
+
+            /* Checkbox options inside the config panel */
+            .lisesca-config-row .lisesca-checkbox-label {
+                display: flex;
+                font-size: 12px;
+                color: #c9d1d9;
+                margin-bottom: 0;
+            }
+
             .lisesca-config-error {
                 color: #f85149;
                 font-size: 11px;
@@ -563,6 +616,7 @@ export const UI = {
                 cursor: not-allowed;
             }
 
+            .lisesca-config-row .lisesca-hint,
             .lisesca-ai-config-row .lisesca-hint {
                 font-size: 10px;
                 color: #6e7681;
@@ -631,6 +685,106 @@ export const UI = {
                 background: #30363d;
             }
 
+            /* ---- Markdown template editor (reuses the AI config overlay styles) ---- */
+            .lisesca-ai-config-panel.lisesca-template-panel {
+                width: 640px;
+            }
+            .lisesca-ai-config-row select {
+                width: 100%;
+                background: #0d1117;
+                color: #e1e4e8;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 8px 10px;
+                font-size: 13px;
+                box-sizing: border-box;
+            }
+            .lisesca-template-panel textarea {
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                font-size: 12px;
+            }
+            .lisesca-template-actions {
+                display: flex;
+                gap: 8px;
+                margin-top: 6px;
+            }
+            .lisesca-template-actions button {
+                background: #21262d;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 4px 10px;
+                font-size: 12px;
+                cursor: pointer;
+            }
+            .lisesca-template-actions button:hover {
+                background: #30363d;
+            }
+            /* ---- Export column chooser ---- */
+            .lisesca-columns-profile-row {
+                display: flex;
+                gap: 8px;
+                align-items: center;
+            }
+            .lisesca-columns-profile-row select {
+                flex: 1;
+            }
+            .lisesca-columns-list {
+                max-height: 300px;
+                overflow-y: auto;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 4px;
+            }
+            .lisesca-column-item {
+                display: flex;
+                gap: 6px;
+                align-items: center;
+                padding: 2px 0;
+            }
+            .lisesca-column-item input[type="text"] {
+                flex: 1;
+                width: auto;
+                min-width: 0;
+                background: #0d1117;
+                color: #e1e4e8;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 3px 6px;
+                font-size: 12px;
+            }
+            .lisesca-column-item.lisesca-column-off input[type="text"] {
+                color: #6e7681;
+            }
+            .lisesca-column-item button {
+                background: #21262d;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 2px 6px;
+                font-size: 11px;
+                cursor: pointer;
+            }
+            .lisesca-column-item button:disabled {
+                color: #484f58;
+                cursor: default;
+            }
+
+            .lisesca-template-preview {
+                background: #0d1117;
+                border: 1px solid #30363d;
+                border-radius: 4px;
+                padding: 8px 10px;
+                margin: 0;
+                max-height: 240px;
+                overflow: auto;
+                white-space: pre-wrap;
+                word-break: break-word;
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                font-size: 11px;
+                color: #c9d1d9;
+            }
+
             /* ---- Summary overlay ---- */
             .lisesca-summary-overlay {
                 display: none;
@@ -756,6 +910,59 @@ export const UI = {
                 background: #388bfd;
             }
 
+            .lisesca-summary-merge {
+                width: 100%;
+                background: transparent;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 6px;
+                padding: 10px;
+                font-size: 13px;
+                font-weight: 500;
+                cursor: pointer;
+                transition: all 0.15s;
+            }
+            .lisesca-summary-merge:hover:not(:disabled) {
+                background: #21262d;
+                border-color: #8b949e;
+            }
+            .lisesca-summary-merge:disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+            .lisesca-summary-merge-status {
+                font-size: 12px;
+                color: #8b949e;
+                text-align: center;
+            }
+            .lisesca-summary-merge-status:empty {
+                display: none;
+            }
+            .lisesca-summary-merge-status.lisesca-error {
+                color: #f85149;
+            }
+
+            .lisesca-summary-rejected {
+                display: none;
+                width: 100%;
+                background: transparent;
+                color: #c9d1d9;
+                border: 1px solid #30363d;
+                border-radius: 6px;
+                padding: 10px;
+                font-size: 13px;
+                font-weight: 500;
+                cursor: pointer;
+                transition: all 0.15s;
+            }
+            .lisesca-summary-rejected.lisesca-visible {
+                display: block;
+            }
+            .lisesca-summary-rejected:hover {
+                background: #21262d;
+                border-color: #8b949e;
+            }
+
             .lisesca-summary-clear {
                 width: 100%;
                 background: transparent;
@@ -787,12 +994,19 @@ export const UI = {
 
     /**
      * Build and inject the floating panel, adapting to the current page type.
-     * People search: green SCRAPE button, page options 1/10/50/All.
+     * People search, company People tab, connections and company search: green SCRAPE button, page options 1/10/50/All.
      * Jobs search: blue SCRAPE button, page options 1/3/5/10.
+     * My Jobs: blue SCRAPE button, page options 1/10/50/All.
+     * Job view: blue CAPTURE button with the job clipboard (see appendJobViewMenu).
      */
     createPanel: function() {
         var pageType = PageDetector.getPageType();
         var isJobs = (pageType === 'jobs');
+        var isJobView = (pageType === 'jobview');
+        var isCompanyPeople = (pageType === 'companyPeople');
+        var isConnections = (pageType === 'connections');
+        var isCompanies = (pageType === 'companies');
+        var isMyJobs = (pageType === 'myJobs');
 
         // Create the main container
         this.panel = document.createElement('div');
@@ -804,8 +1018,8 @@ export const UI = {
 
         // SCRAPE button — color depends on page type
         var scrapeBtn = document.createElement('button');
-        scrapeBtn.className = 'lisesca-scrape-btn' + (isJobs ? ' lisesca-scrape-btn--jobs' : '');
-        scrapeBtn.textContent = 'SCRAPE';
+        scrapeBtn.className = 'lisesca-scrape-btn' + ((isJobs || isJobView || isMyJobs) ? ' lisesca-scrape-btn--jobs' : '');
+        scrapeBtn.textContent = isJobView ? 'CAPTURE' : 'SCRAPE';
         scrapeBtn.addEventListener('click', function() {
             UI.toggleMenu();
         });
@@ -830,6 +1044,11 @@ export const UI = {
         var label = document.createElement('div');
         label.className = 'lisesca-menu-label';
         label.textContent = 'Pages to scrape:';
+        if (isCompanyPeople) {
+            label.title = 'A page is the first set of people or one "Show more results" load';
+        } else if (isConnections) {
+            label.title = 'A page is the first set of connections or one load of more on scrolling';
+        }
 
         // Page count selector — different options for people vs jobs
         var select = document.createElement('select');
@@ -880,6 +1099,10 @@ export const UI = {
             option.textContent = opt.text;
             select.appendChild(option);
         });
+        // The connections list and the job tracker are usually exported as a whole
+        if (isConnections || isMyJobs) {
+            select.value = 'all';
+        }
 
         // --- Format selection checkboxes ---
         var fmtLabel = document.createElement('div');
@@ -890,39 +1113,21 @@ export const UI = {
         fmtRow.className = 'lisesca-fmt-row';
 
         // XLSX checkbox (checked by default)
-        var xlsxLabel = document.createElement('label');
-        xlsxLabel.className = 'lisesca-checkbox-label';
-        var xlsxCheck = document.createElement('input');
-        xlsxCheck.type = 'checkbox';
-        xlsxCheck.id = 'lisesca-fmt-xlsx';
-        xlsxCheck.checked = true;
-        xlsxLabel.appendChild(xlsxCheck);
-        xlsxLabel.appendChild(document.createTextNode('XLSX'));
-        fmtRow.appendChild(xlsxLabel);
-
-        // CSV checkbox — only for people search (not useful for jobs)
-        if (!isJobs) {
-            var csvLabel = document.createElement('label');
-            csvLabel.className = 'lisesca-checkbox-label';
-            var csvCheck = document.createElement('input');
-            csvCheck.type = 'checkbox';
-            csvCheck.id = 'lisesca-fmt-csv';
-            csvCheck.checked = false;
-            csvLabel.appendChild(csvCheck);
-            csvLabel.appendChild(document.createTextNode('CSV'));
-            fmtRow.appendChild(csvLabel);
-        }
-
-        // Markdown checkbox (unchecked by default)
-        var mdLabel = document.createElement('label');
-        mdLabel.className = 'lisesca-checkbox-label';
-        var mdCheck = document.createElement('input');
-        mdCheck.type = 'checkbox';
-        mdCheck.id = 'lisesca-fmt-md';
-        mdCheck.checked = false;
-        mdLabel.appendChild(mdCheck);
-        mdLabel.appendChild(document.createTextNode('Markdown'));
-        fmtRow.appendChild(mdLabel);
+        fmtRow.appendChild(this._createFormatCheckbox('xlsx', 'XLSX', true));
+
+        fmtRow.appendChild(this._createFormatCheckbox('csv', 'CSV', false));
+
+        // Markdown, Markdown bundle, HTML, JSON and JSON Lines checkboxes (unchecked by default)
+        fmtRow.appendChild(this._createFormatCheckbox('md', 'Markdown', false));
+        fmtRow.appendChild(this._createFormatCheckbox('mdzip', 'MD bundle', false));
+        fmtRow.appendChild(this._createFormatCheckbox('html', 'HTML', false));
+        fmtRow.appendChild(this._createFormatCheckbox('json', 'JSON', false));
+        fmtRow.appendChild(this._createFormatCheckbox('jsonl', 'JSONL', false));
+
+        // vCard is only meaningful for people
+        if (!isJobs && !isJobView && !isCompanies && !isMyJobs) {
+            fmtRow.appendChild(this._createFormatCheckbox('vcf', 'vCard', false));
+        }
 
         var includeViewedRow = null;
         var includeViewedCheck = null;
@@ -933,6 +1138,9 @@ export const UI = {
         var fullAICheck = null;
         var peopleAIEnabledRow = null;
         var peopleAIEnabledCheck = null;
+        var visitProfilesRow = null;
+        var visitCompaniesRow = null;
+        var visitJobsRow = null;
         if (isJobs) {
             includeViewedRow = document.createElement('div');
             includeViewedRow.className = 'lisesca-toggle-row';
@@ -1053,7 +1261,47 @@ export const UI = {
                     }
                 }
             });
-        } else {
+        } else if (isCompanies) {
+            // Company enrichment toggle: open each saved company's About page after the search pages
+            visitCompaniesRow = document.createElement('div');
+            visitCompaniesRow.className = 'lisesca-toggle-row';
+
+            var visitCompaniesLabel = document.createElement('label');
+            visitCompaniesLabel.className = 'lisesca-checkbox-label';
+            visitCompaniesLabel.title = 'Open each saved company\'s About page to read website, size, headquarters, founded year and specialties';
+
+            var visitCompaniesCheck = document.createElement('input');
+            visitCompaniesCheck.type = 'checkbox';
+            visitCompaniesCheck.id = 'lisesca-visit-companies';
+            visitCompaniesCheck.checked = State.getVisitCompanies();
+            visitCompaniesCheck.addEventListener('change', function() {
+                State.saveVisitCompanies(visitCompaniesCheck.checked);
+            });
+
+            visitCompaniesLabel.appendChild(visitCompaniesCheck);
+            visitCompaniesLabel.appendChild(document.createTextNode('Visit company pages'));
+            visitCompaniesRow.appendChild(visitCompaniesLabel);
+        } else if (isMyJobs) {
+            // Job enrichment toggle: open each saved job's page after the list pages
+            visitJobsRow = document.createElement('div');
+            visitJobsRow.className = 'lisesca-toggle-row';
+
+            var visitJobsLabel = document.createElement('label');
+            visitJobsLabel.className = 'lisesca-checkbox-label';
+            visitJobsLabel.title = 'Open each job to read the description, salary, skills and hiring team, as in a job search scrape';
+
+            var visitJobsCheck = document.createElement('input');
+            visitJobsCheck.type = 'checkbox';
+            visitJobsCheck.id = 'lisesca-visit-jobs';
+            visitJobsCheck.checked = State.getVisitJobs();
+            visitJobsCheck.addEventListener('change', function() {
+                State.saveVisitJobs(visitJobsCheck.checked);
+            });
+
+            visitJobsLabel.appendChild(visitJobsCheck);
+            visitJobsLabel.appendChild(document.createTextNode('Open each job'));
+            visitJobsRow.appendChild(visitJobsLabel);
+        } else if (!isJobView) {
             // AI people rating toggle
             peopleAIEnabledRow = document.createElement('div');
             peopleAIEnabledRow.className = 'lisesca-toggle-row';
@@ -1079,6 +1327,26 @@ export const UI = {
             peopleAIEnabledLabel.appendChild(peopleAIEnabledCheck);
             peopleAIEnabledLabel.appendChild(document.createTextNode('AI Rating'));
             peopleAIEnabledRow.appendChild(peopleAIEnabledLabel);
+
+            // Profile deep-visit toggle: open each saved profile after the search pages
+            visitProfilesRow = document.createElement('div');
+            visitProfilesRow.className = 'lisesca-toggle-row';
+
+            var visitProfilesLabel = document.createElement('label');
+            visitProfilesLabel.className = 'lisesca-checkbox-label';
+            visitProfilesLabel.title = 'Open each saved profile to read experience, education, skills and About';
+
+            var visitProfilesCheck = document.createElement('input');
+            visitProfilesCheck.type = 'checkbox';
+            visitProfilesCheck.id = 'lisesca-visit-profiles';
+            visitProfilesCheck.checked = State.getVisitProfiles();
+            visitProfilesCheck.addEventListener('change', function() {
+                State.saveVisitProfiles(visitProfilesCheck.checked);
+            });
+
+            visitProfilesLabel.appendChild(visitProfilesCheck);
+            visitProfilesLabel.appendChild(document.createTextNode('Visit profiles'));
+            visitProfilesRow.appendChild(visitProfilesLabel);
         }
 
         // GO button — dispatches to the correct controller
@@ -1094,31 +1362,48 @@ export const UI = {
                 State.saveIncludeViewed(State.readIncludeViewedFromUI());
                 State.saveIncludeFirstOnPage(State.readIncludeFirstOnPageFromUI());
                 JobController.startScraping(selectedValue);
+            } else if (isCompanies) {
+                CompanyController.startScraping(selectedValue);
+            } else if (isMyJobs) {
+                MyJobsController.startScraping(selectedValue);
             } else {
                 Controller.startScraping(selectedValue);
             }
         });
 
-        this.menu.appendChild(label);
-        this.menu.appendChild(select);
-        this.menu.appendChild(fmtLabel);
-        this.menu.appendChild(fmtRow);
-        if (includeViewedRow) {
-            this.menu.appendChild(includeViewedRow);
-        }
-        if (includeFirstRow) {
-            this.menu.appendChild(includeFirstRow);
-        }
-        if (aiEnabledRow) {
-            this.menu.appendChild(aiEnabledRow);
-        }
-        if (fullAIRow) {
-            this.menu.appendChild(fullAIRow);
-        }
-        if (peopleAIEnabledRow) {
-            this.menu.appendChild(peopleAIEnabledRow);
+        if (isJobView) {
+            this.appendJobViewMenu(fmtLabel, fmtRow);
+        } else {
+            this.menu.appendChild(label);
+            this.menu.appendChild(select);
+            this.menu.appendChild(fmtLabel);
+            this.menu.appendChild(fmtRow);
+            if (includeViewedRow) {
+                this.menu.appendChild(includeViewedRow);
+            }
+            if (includeFirstRow) {
+                this.menu.appendChild(includeFirstRow);
+            }
+            if (aiEnabledRow) {
+                this.menu.appendChild(aiEnabledRow);
+            }
+            if (fullAIRow) {
+                this.menu.appendChild(fullAIRow);
+            }
+            if (peopleAIEnabledRow) {
+                this.menu.appendChild(peopleAIEnabledRow);
+            }
+            if (visitProfilesRow) {
+                this.menu.appendChild(visitProfilesRow);
+            }
+            if (visitCompaniesRow) {
+                this.menu.appendChild(visitCompaniesRow);
+            }
+            if (visitJobsRow) {
+                this.menu.appendChild(visitJobsRow);
+            }
+            this.menu.appendChild(goBtn);
         }
-        this.menu.appendChild(goBtn);
 
         // --- Status area ---
         this.statusArea = document.createElement('div');
@@ -1144,12 +1429,7 @@ export const UI = {
         stopBtn.textContent = 'STOP';
         stopBtn.addEventListener('click', function() {
             // Dispatch to the correct controller based on active scrape mode
-            var mode = State.getScrapeMode();
-            if (mode === 'jobs') {
-                JobController.stopScraping();
-            } else {
-                Controller.stopScraping();
-            }
+            UI.getActiveController().stopScraping();
         });
 
         this.statusArea.appendChild(progressText);
@@ -1198,6 +1478,116 @@ export const UI = {
         console.log('[LiSeSca] UI panel injected (' + pageType + ' mode).');
     },
 
+    /**
+     * Fill the dropdown menu of a standalone job page: capture the job into
+     * the job clipboard, and export or clear the clipboard.
+     * @param {Element} fmtLabel - The "Save as:" label.
+     * @param {Element} fmtRow - The export format checkboxes.
+     */
+    appendJobViewMenu: function(fmtLabel, fmtRow) {
+        var captureBtn = document.createElement('button');
+        captureBtn.className = 'lisesca-go-btn';
+        captureBtn.textContent = 'Capture this job';
+
+        // Full AI evaluation of the captured job (verdict recorded, job kept either way)
+        var aiRow = document.createElement('div');
+        aiRow.className = 'lisesca-toggle-row';
+        aiRow.style.marginTop = '8px';
+
+        var aiLabel = document.createElement('label');
+        aiLabel.className = 'lisesca-checkbox-label';
+        var aiConfigured = CONFIG.isAIConfigured();
+        if (!aiConfigured) {
+            aiLabel.classList.add('lisesca-disabled');
+        }
+
+        var aiCheck = document.createElement('input');
+        aiCheck.type = 'checkbox';
+        aiCheck.id = 'lisesca-capture-ai';
+        aiCheck.checked = aiConfigured && State.getFullAIEnabled();
+        aiCheck.disabled = !aiConfigured;
+        aiCheck.addEventListener('change', function() {
+            State.saveFullAIEnabled(aiCheck.checked);
+        });
+
+        aiLabel.appendChild(aiCheck);
+        aiLabel.appendChild(document.createTextNode('AI evaluation'));
+        aiRow.appendChild(aiLabel);
+
+        captureBtn.addEventListener('click', function() {
+            JobController.captureJobView(aiCheck.checked);
+        });
+
+        var info = document.createElement('div');
+        info.className = 'lisesca-menu-label';
+        info.id = 'lisesca-clipboard-info';
+
+        var buttonRow = document.createElement('div');
+        buttonRow.className = 'lisesca-clipboard-row';
+
+        var exportBtn = document.createElement('button');
+        exportBtn.className = 'lisesca-clipboard-btn';
+        exportBtn.textContent = 'Export clipboard';
+        exportBtn.addEventListener('click', function() {
+            JobController.exportClipboard();
+        });
+
+        var clearBtn = document.createElement('button');
+        clearBtn.className = 'lisesca-clipboard-btn';
+        clearBtn.textContent = 'Clear clipboard';
+        clearBtn.addEventListener('click', function() {
+            var count = State.getJobClipboard().length;
+            if (count > 0 && confirm('Remove all ' + count + ' jobs from the clipboard?')) {
+                JobController.clearClipboard();
+            }
+        });
+
+        buttonRow.appendChild(exportBtn);
+        buttonRow.appendChild(clearBtn);
+
+        this.menu.appendChild(captureBtn);
+        this.menu.appendChild(aiRow);
+        this.menu.appendChild(info);
+        this.menu.appendChild(fmtLabel);
+        this.menu.appendChild(fmtRow);
+        this.menu.appendChild(buttonRow);
+        this.updateClipboardInfo('');
+    },
+
+    /**
+     * Show the job clipboard size, with an optional message about the last action.
+     * @param {string} message - E.g. "Captured: Data Engineer" (empty for the size only).
+     */
+    updateClipboardInfo: function(message) {
+        var info = document.getElementById('lisesca-clipboard-info');
+        if (!info) {
+            return;
+        }
+        var count = State.getJobClipboard().length;
+        var size = 'Clipboard: ' + count + (count === 1 ? ' job' : ' jobs');
+        info.textContent = message ? (message + ' · ' + size) : size;
+    },
+
+    /**
+     * Create a labelled checkbox for one export format.
+     * The checkbox id is 'lisesca-fmt-' + format, read by State.readFormatsFromUI().
+     * @param {string} format - Format identifier (e.g. 'xlsx').
+     * @param {string} text - Label text shown next to the checkbox.
+     * @param {boolean} checked - Initial checked state.
+     * @returns {HTMLElement} The label element wrapping the checkbox.
+     */
+    _createFormatCheckbox: function(format, text, checked) {
+        var label = document.createElement('label');
+        label.className = 'lisesca-checkbox-label';
+        var check = document.createElement('input');
+        check.type = 'checkbox';
+        check.id = 'lisesca-fmt-' + format;
+        check.checked = checked;
+        label.appendChild(check);
+        label.appendChild(document.createTextNode(text));
+        return label;
+    },
+
     /**
      * Toggle the dropdown menu open/closed.
      */
@@ -1207,6 +1597,7 @@ export const UI = {
             this.updateJobsAllLabel();
             this.updateAIToggleState();
             this.updatePeopleAIToggleState();
+            this.updateClipboardInfo('');
             this.menu.classList.add('lisesca-open');
         } else {
             this.menu.classList.remove('lisesca-open');
@@ -1507,6 +1898,229 @@ export const UI = {
         jobPauseMaxRow.appendChild(jobPauseMaxLabel);
         jobPauseMaxRow.appendChild(jobPauseMaxInput);
 
+        // --- Profile visit timing section ---
+        var profileSectionLabel = document.createElement('div');
+        profileSectionLabel.className = 'lisesca-config-section';
+        profileSectionLabel.textContent = 'Profile visit timing';
+
+        var profileVisitMinRow = document.createElement('div');
+        profileVisitMinRow.className = 'lisesca-config-row';
+
+        var profileVisitMinLabel = document.createElement('label');
+        profileVisitMinLabel.textContent = 'Min time per profile (seconds):';
+        profileVisitMinLabel.htmlFor = 'lisesca-config-profile-visit-min';
+
+        var profileVisitMinInput = document.createElement('input');
+        profileVisitMinInput.type = 'number';
+        profileVisitMinInput.id = 'lisesca-config-profile-visit-min';
+        profileVisitMinInput.min = '3';
+        profileVisitMinInput.max = '60';
+        profileVisitMinInput.value = CONFIG.MIN_PROFILE_VISIT_TIME.toString();
+
+        profileVisitMinRow.appendChild(profileVisitMinLabel);
+        profileVisitMinRow.appendChild(profileVisitMinInput);
+
+        var profileVisitMaxRow = document.createElement('div');
+        profileVisitMaxRow.className = 'lisesca-config-row';
+
+        var profileVisitMaxLabel = document.createElement('label');
+        profileVisitMaxLabel.textContent = 'Max time per profile (seconds):';
+        profileVisitMaxLabel.htmlFor = 'lisesca-config-profile-visit-max';
+
+        var profileVisitMaxInput = document.createElement('input');
+        profileVisitMaxInput.type = 'number';
+        profileVisitMaxInput.id = 'lisesca-config-profile-visit-max';
+        profileVisitMaxInput.min = '5';
+        profileVisitMaxInput.max = '120';
+        profileVisitMaxInput.value = CONFIG.MAX_PROFILE_VISIT_TIME.toString();
+
+        profileVisitMaxRow.appendChild(profileVisitMaxLabel);
+        profileVisitMaxRow.appendChild(profileVisitMaxInput);
+
+        // --- Company visit timing section ---
+        var companySectionLabel = document.createElement('div');
+        companySectionLabel.className = 'lisesca-config-section';
+        companySectionLabel.textContent = 'Company visit timing';
+
+        var companyVisitMinRow = document.createElement('div');
+        companyVisitMinRow.className = 'lisesca-config-row';
+
+        var companyVisitMinLabel = document.createElement('label');
+        companyVisitMinLabel.textContent = 'Min time per company (seconds):';
+        companyVisitMinLabel.htmlFor = 'lisesca-config-company-visit-min';
+
+        var companyVisitMinInput = document.createElement('input');
+        companyVisitMinInput.type = 'number';
+        companyVisitMinInput.id = 'lisesca-config-company-visit-min';
+        companyVisitMinInput.min = '3';
+        companyVisitMinInput.max = '60';
+        companyVisitMinInput.value = CONFIG.MIN_COMPANY_VISIT_TIME.toString();
+
+        companyVisitMinRow.appendChild(companyVisitMinLabel);
+        companyVisitMinRow.appendChild(companyVisitMinInput);
+
+        var companyVisitMaxRow = document.createElement('div');
+        companyVisitMaxRow.className = 'lisesca-config-row';
+
+        var companyVisitMaxLabel = document.createElement('label');
+        companyVisitMaxLabel.textContent = 'Max time per company (seconds):';
+        companyVisitMaxLabel.htmlFor = 'lisesca-config-company-visit-max';
+
+        var companyVisitMaxInput = document.createElement('input');
+        companyVisitMaxInput.type = 'number';
+        companyVisitMaxInput.id = 'lisesca-config-company-visit-max';
+        companyVisitMaxInput.min = '5';
+        companyVisitMaxInput.max = '120';
+        companyVisitMaxInput.value = CONFIG.MAX_COMPANY_VISIT_TIME.toString();
+
+        companyVisitMaxRow.appendChild(companyVisitMaxLabel);
+        companyVisitMaxRow.appendChild(companyVisitMaxInput);
+
+        // --- Export options section ---
+        var exportSectionLabel = document.createElement('div');
+        exportSectionLabel.className = 'lisesca-config-section';
+        exportSectionLabel.textContent = 'Export options';
+
+        var csvBomRow = document.createElement('div');
+        csvBomRow.className = 'lisesca-config-row';
+
+        var csvBomLabel = document.createElement('label');
+        csvBomLabel.className = 'lisesca-checkbox-label';
+
+        var csvBomCheck = document.createElement('input');
+        csvBomCheck.type = 'checkbox';
+        csvBomCheck.id = 'lisesca-config-csv-bom';
+        csvBomCheck.checked = CONFIG.CSV_BOM;
+
+        csvBomLabel.appendChild(csvBomCheck);
+        csvBomLabel.appendChild(document.createTextNode('Add UTF-8 BOM to CSV (for Excel)'));
+        csvBomRow.appendChild(csvBomLabel);
+
+        var xlsxSheetsRow = document.createElement('div');
+        xlsxSheetsRow.className = 'lisesca-config-row';
+
+        var xlsxSheetsLabel = document.createElement('label');
+        xlsxSheetsLabel.className = 'lisesca-checkbox-label';
+
+        var xlsxSheetsCheck = document.createElement('input');
+        xlsxSheetsCheck.type = 'checkbox';
+        xlsxSheetsCheck.id = 'lisesca-config-xlsx-sheets';
+        xlsxSheetsCheck.checked = CONFIG.XLSX_EXTRA_SHEETS;
+
+        xlsxSheetsLabel.appendChild(xlsxSheetsCheck);
+        xlsxSheetsLabel.appendChild(document.createTextNode('Add Rejected, Summary and Run Metadata sheets to XLSX'));
+        xlsxSheetsRow.appendChild(xlsxSheetsLabel);
+
+        var csvLongRow = document.createElement('div');
+        csvLongRow.className = 'lisesca-config-row';
+
+        var csvLongLabel = document.createElement('label');
+        csvLongLabel.textContent = 'Long job fields in CSV (description, company, insights):';
+        csvLongLabel.htmlFor = 'lisesca-config-csv-long';
+
+        var csvLongSelect = document.createElement('select');
+        csvLongSelect.id = 'lisesca-config-csv-long';
+        [
+            { value: 'include', text: 'Include in full' },
+            { value: 'truncate', text: 'Truncate' },
+            { value: 'sidecar', text: 'Move to sidecar JSON file' }
+        ].forEach(function(opt) {
+            var option = document.createElement('option');
+            option.value = opt.value;
+            option.textContent = opt.text;
+            csvLongSelect.appendChild(option);
+        });
+        csvLongSelect.value = CONFIG.CSV_LONG_FIELDS;
+
+        csvLongRow.appendChild(csvLongLabel);
+        csvLongRow.appendChild(csvLongSelect);
+
+        var applyUrlRow = document.createElement('div');
+        applyUrlRow.className = 'lisesca-config-row';
+
+        var applyUrlLabel = document.createElement('label');
+        applyUrlLabel.textContent = 'Apply link of jobs applied for on the company site:';
+        applyUrlLabel.htmlFor = 'lisesca-config-apply-url';
+
+        var applyUrlSelect = document.createElement('select');
+        applyUrlSelect.id = 'lisesca-config-apply-url';
+        [
+            { value: 'off', text: 'Keep "External Apply"' },
+            { value: 'data', text: 'Resolve from job posting data' },
+            { value: 'click', text: 'Resolve from posting data, else via Apply button' }
+        ].forEach(function(opt) {
+            var option = document.createElement('option');
+            option.value = opt.value;
+            option.textContent = opt.text;
+            applyUrlSelect.appendChild(option);
+        });
+        applyUrlSelect.value = CONFIG.APPLY_URL_MODE;
+
+        applyUrlRow.appendChild(applyUrlLabel);
+        applyUrlRow.appendChild(applyUrlSelect);
+
+        var filenameRow = document.createElement('div');
+        filenameRow.className = 'lisesca-config-row';
+
+        var filenameLabel = document.createElement('label');
+        filenameLabel.textContent = 'File name pattern:';
+        filenameLabel.htmlFor = 'lisesca-config-filename';
+
+        var filenameInput = document.createElement('input');
+        filenameInput.type = 'text';
+        filenameInput.id = 'lisesca-config-filename';
+        filenameInput.placeholder = Filename.DEFAULT_PATTERN;
+        filenameInput.value = CONFIG.FILENAME_PATTERN;
+
+        var filenameHint = document.createElement('div');
+        filenameHint.className = 'lisesca-hint';
+        filenameHint.textContent = 'Tokens: ' + Filename.TOKENS.map(function(token) {
+            return '{' + token + '}';
+        }).join(' ') + '. Empty for the default.';
+
+        filenameRow.appendChild(filenameLabel);
+        filenameRow.appendChild(filenameInput);
+        filenameRow.appendChild(filenameHint);
+
+        var templatesBtnRow = document.createElement('div');
+        templatesBtnRow.className = 'lisesca-config-row';
+
+        var templatesBtn = document.createElement('button');
+        templatesBtn.className = 'lisesca-ai-config-btn';
+        templatesBtn.textContent = 'Markdown templates...';
+        templatesBtn.addEventListener('click', function() {
+            UI.hideConfig();
+            UI.showTemplateEditor();
+        });
+
+        templatesBtnRow.appendChild(templatesBtn);
+
+        var columnsBtnRow = document.createElement('div');
+        columnsBtnRow.className = 'lisesca-config-row';
+
+        var columnsBtn = document.createElement('button');
+        columnsBtn.className = 'lisesca-ai-config-btn';
+        columnsBtn.textContent = 'XLSX/CSV columns...';
+        columnsBtn.addEventListener('click', function() {
+            UI.hideConfig();
+            UI.showColumnsEditor();
+        });
+
+        columnsBtnRow.appendChild(columnsBtn);
+
+        var skillsBtnRow = document.createElement('div');
+        skillsBtnRow.className = 'lisesca-config-row';
+
+        var skillsBtn = document.createElement('button');
+        skillsBtn.className = 'lisesca-ai-config-btn';
+        skillsBtn.textContent = 'Skills dictionary...';
+        skillsBtn.addEventListener('click', function() {
+            UI.hideConfig();
+            UI.showSkillsEditor();
+        });
+
+        skillsBtnRow.appendChild(skillsBtn);
+
         // --- AI Filtering section ---
         var aiSectionLabel = document.createElement('div');
         aiSectionLabel.className = 'lisesca-config-section';
@@ -1564,6 +2178,21 @@ export const UI = {
         panel.appendChild(jobReviewMaxRow);
         panel.appendChild(jobPauseMinRow);
         panel.appendChild(jobPauseMaxRow);
+        panel.appendChild(applyUrlRow);
+        panel.appendChild(profileSectionLabel);
+        panel.appendChild(profileVisitMinRow);
+        panel.appendChild(profileVisitMaxRow);
+        panel.appendChild(companySectionLabel);
+        panel.appendChild(companyVisitMinRow);
+        panel.appendChild(companyVisitMaxRow);
+        panel.appendChild(exportSectionLabel);
+        panel.appendChild(xlsxSheetsRow);
+        panel.appendChild(csvBomRow);
+        panel.appendChild(csvLongRow);
+        panel.appendChild(filenameRow);
+        panel.appendChild(columnsBtnRow);
+        panel.appendChild(templatesBtnRow);
+        panel.appendChild(skillsBtnRow);
         panel.appendChild(aiSectionLabel);
         panel.appendChild(aiConfigBtnRow);
         panel.appendChild(errorDiv);
@@ -1590,6 +2219,15 @@ export const UI = {
         document.getElementById('lisesca-config-job-review-max').value = CONFIG.MAX_JOB_REVIEW_TIME.toString();
         document.getElementById('lisesca-config-job-pause-min').value = CONFIG.MIN_JOB_PAUSE.toString();
         document.getElementById('lisesca-config-job-pause-max').value = CONFIG.MAX_JOB_PAUSE.toString();
+        document.getElementById('lisesca-config-profile-visit-min').value = CONFIG.MIN_PROFILE_VISIT_TIME.toString();
+        document.getElementById('lisesca-config-profile-visit-max').value = CONFIG.MAX_PROFILE_VISIT_TIME.toString();
+        document.getElementById('lisesca-config-company-visit-min').value = CONFIG.MIN_COMPANY_VISIT_TIME.toString();
+        document.getElementById('lisesca-config-company-visit-max').value = CONFIG.MAX_COMPANY_VISIT_TIME.toString();
+        document.getElementById('lisesca-config-xlsx-sheets').checked = CONFIG.XLSX_EXTRA_SHEETS;
+        document.getElementById('lisesca-config-csv-bom').checked = CONFIG.CSV_BOM;
+        document.getElementById('lisesca-config-csv-long').value = CONFIG.CSV_LONG_FIELDS;
+        document.getElementById('lisesca-config-apply-url').value = CONFIG.APPLY_URL_MODE;
+        document.getElementById('lisesca-config-filename').value = CONFIG.FILENAME_PATTERN;
         document.getElementById('lisesca-config-error').textContent = '';
         this.configOverlay.classList.add('lisesca-visible');
     },
@@ -1614,10 +2252,16 @@ export const UI = {
         var jobReviewMax = parseInt(document.getElementById('lisesca-config-job-review-max').value, 10);
         var jobPauseMin = parseInt(document.getElementById('lisesca-config-job-pause-min').value, 10);
         var jobPauseMax = parseInt(document.getElementById('lisesca-config-job-pause-max').value, 10);
+        var profileVisitMin = parseInt(document.getElementById('lisesca-config-profile-visit-min').value, 10);
+        var profileVisitMax = parseInt(document.getElementById('lisesca-config-profile-visit-max').value, 10);
+        var companyVisitMin = parseInt(document.getElementById('lisesca-config-company-visit-min').value, 10);
+        var companyVisitMax = parseInt(document.getElementById('lisesca-config-company-visit-max').value, 10);
 
         // --- Validate all values ---
         if (isNaN(minVal) || isNaN(maxVal) || isNaN(jobReviewMin)
-            || isNaN(jobReviewMax) || isNaN(jobPauseMin) || isNaN(jobPauseMax)) {
+            || isNaN(jobReviewMax) || isNaN(jobPauseMin) || isNaN(jobPauseMax)
+            || isNaN(profileVisitMin) || isNaN(profileVisitMax)
+            || isNaN(companyVisitMin) || isNaN(companyVisitMax)) {
             errorDiv.textContent = 'Please enter valid numbers in all fields.';
             return;
         }
@@ -1664,23 +2308,862 @@ export const UI = {
             return;
         }
 
-        // --- Apply all values ---
-        CONFIG.MIN_PAGE_TIME = minVal;
-        CONFIG.MAX_PAGE_TIME = maxVal;
-        CONFIG.MIN_JOB_REVIEW_TIME = jobReviewMin;
-        CONFIG.MAX_JOB_REVIEW_TIME = jobReviewMax;
+        // Profile visit timing validation
+        if (profileVisitMin < 3 || profileVisitMin > 60) {
+            errorDiv.textContent = 'Min time per profile must be between 3 and 60 seconds.';
+            return;
+        }
+        if (profileVisitMax < 5 || profileVisitMax > 120) {
+            errorDiv.textContent = 'Max time per profile must be between 5 and 120 seconds.';
+            return;
+        }
+        if (profileVisitMax <= profileVisitMin) {
+            errorDiv.textContent = 'Max time per profile must be greater than minimum.';
+            return;
+        }
+
+        // Company visit timing validation
+        if (companyVisitMin < 3 || companyVisitMin > 60) {
+            errorDiv.textContent = 'Min time per company must be between 3 and 60 seconds.';
+            return;
+        }
+        if (companyVisitMax < 5 || companyVisitMax > 120) {
+            errorDiv.textContent = 'Max time per company must be between 5 and 120 seconds.';
+            return;
+        }
+        if (companyVisitMax <= companyVisitMin) {
+            errorDiv.textContent = 'Max time per company must be greater than minimum.';
+            return;
+        }
+
+        // File name pattern validation
+        var filenamePattern = document.getElementById('lisesca-config-filename').value.trim()
+            || Filename.DEFAULT_PATTERN;
+        var unknownTokens = Filename.findUnknownTokens(filenamePattern);
+        if (unknownTokens.length > 0) {
+            errorDiv.textContent = 'Unknown file name token: {' + unknownTokens[0] + '}.';
+            return;
+        }
+
+        // --- Apply all values ---
+        CONFIG.MIN_PAGE_TIME = minVal;
+        CONFIG.MAX_PAGE_TIME = maxVal;
+        CONFIG.MIN_JOB_REVIEW_TIME = jobReviewMin;
+        CONFIG.MAX_JOB_REVIEW_TIME = jobReviewMax;
         CONFIG.MIN_JOB_PAUSE = jobPauseMin;
         CONFIG.MAX_JOB_PAUSE = jobPauseMax;
+        CONFIG.MIN_PROFILE_VISIT_TIME = profileVisitMin;
+        CONFIG.MAX_PROFILE_VISIT_TIME = profileVisitMax;
+        CONFIG.MIN_COMPANY_VISIT_TIME = companyVisitMin;
+        CONFIG.MAX_COMPANY_VISIT_TIME = companyVisitMax;
+        CONFIG.XLSX_EXTRA_SHEETS = document.getElementById('lisesca-config-xlsx-sheets').checked;
+        CONFIG.CSV_BOM = document.getElementById('lisesca-config-csv-bom').checked;
+        CONFIG.CSV_LONG_FIELDS = document.getElementById('lisesca-config-csv-long').value;
+        CONFIG.APPLY_URL_MODE = document.getElementById('lisesca-config-apply-url').value;
+        CONFIG.FILENAME_PATTERN = filenamePattern;
         CONFIG.save();
 
         console.log('[LiSeSca] Config updated:', {
             pageTime: minVal + '-' + maxVal + 's',
             jobReview: jobReviewMin + '-' + jobReviewMax + 's',
-            jobPause: jobPauseMin + '-' + jobPauseMax + 's'
+            jobPause: jobPauseMin + '-' + jobPauseMax + 's',
+            profileVisit: profileVisitMin + '-' + profileVisitMax + 's',
+            companyVisit: companyVisitMin + '-' + companyVisitMax + 's'
         });
         this.hideConfig();
     },
 
+    // --- Export column chooser ---
+    columnsOverlay: null,
+
+    /** Mode currently shown in the column chooser */
+    columnsMode: 'jobs',
+
+    /** Column list being edited: { key, header, defaultHeader, enabled } */
+    columnsDraft: null,
+
+    /**
+     * Get the default column definitions of a mode.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     * @returns {Array<Object>} { key, header } definitions.
+     */
+    getDefaultColumns: function(mode) {
+        if (mode === 'jobs') {
+            return JobOutput.COLUMNS;
+        }
+        return (mode === 'companies') ? CompanyOutput.COLUMNS : Output.COLUMNS;
+    },
+
+    /**
+     * Get the export mode matching the current page, for the editors.
+     * @returns {string} 'people', 'jobs' or 'companies'.
+     */
+    getPageMode: function() {
+        if (PageDetector.isOnCompanySearchPage()) {
+            return 'companies';
+        }
+        return PageDetector.isOnPeoplePage() ? 'people' : 'jobs';
+    },
+
+    /**
+     * Create the XLSX/CSV column chooser overlay.
+     */
+    createColumnsPanel: function() {
+        this.columnsOverlay = document.createElement('div');
+        this.columnsOverlay.className = 'lisesca-ai-config-overlay';
+
+        var panel = document.createElement('div');
+        panel.className = 'lisesca-ai-config-panel';
+
+        var title = document.createElement('div');
+        title.className = 'lisesca-ai-config-title';
+        title.textContent = 'XLSX/CSV Columns';
+
+        // Mode selector
+        var modeRow = document.createElement('div');
+        modeRow.className = 'lisesca-ai-config-row';
+
+        var modeLabel = document.createElement('label');
+        modeLabel.textContent = 'Columns for:';
+        modeLabel.htmlFor = 'lisesca-columns-mode';
+
+        var modeSelect = document.createElement('select');
+        modeSelect.id = 'lisesca-columns-mode';
+        [
+            { value: 'jobs', text: 'Job search' },
+            { value: 'people', text: 'People search' },
+            { value: 'companies', text: 'Company search' }
+        ].forEach(function(opt) {
+            var option = document.createElement('option');
+            option.value = opt.value;
+            option.textContent = opt.text;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.addEventListener('change', function() {
+            UI.loadColumnsMode(modeSelect.value);
+        });
+
+        modeRow.appendChild(modeLabel);
+        modeRow.appendChild(modeSelect);
+
+        // Profile selector
+        var profileRow = document.createElement('div');
+        profileRow.className = 'lisesca-ai-config-row';
+
+        var profileLabel = document.createElement('label');
+        profileLabel.textContent = 'Profile:';
+        profileLabel.htmlFor = 'lisesca-columns-profile';
+
+        var profileContainer = document.createElement('div');
+        profileContainer.className = 'lisesca-columns-profile-row';
+
+        var profileSelect = document.createElement('select');
+        profileSelect.id = 'lisesca-columns-profile';
+        profileSelect.addEventListener('change', function() {
+            UI.loadColumnsProfile(profileSelect.value);
+        });
+
+        var deleteBtn = document.createElement('button');
+        deleteBtn.className = 'lisesca-model-refresh';
+        deleteBtn.id = 'lisesca-columns-delete';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', function() {
+            UI.deleteColumnsProfile();
+        });
+
+        profileContainer.appendChild(profileSelect);
+        profileContainer.appendChild(deleteBtn);
+        profileRow.appendChild(profileLabel);
+        profileRow.appendChild(profileContainer);
+
+        // Column list
+        var listRow = document.createElement('div');
+        listRow.className = 'lisesca-ai-config-row';
+
+        var listLabel = document.createElement('label');
+        listLabel.textContent = 'Tick to include, edit to rename, arrows to reorder:';
+
+        var list = document.createElement('div');
+        list.className = 'lisesca-columns-list';
+        list.id = 'lisesca-columns-list';
+
+        listRow.appendChild(listLabel);
+        listRow.appendChild(list);
+
+        // Profile name
+        var nameRow = document.createElement('div');
+        nameRow.className = 'lisesca-ai-config-row';
+
+        var nameLabel = document.createElement('label');
+        nameLabel.textContent = 'Save as profile:';
+        nameLabel.htmlFor = 'lisesca-columns-name';
+
+        var nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.id = 'lisesca-columns-name';
+        nameInput.placeholder = 'e.g. Short list';
+
+        var nameHint = document.createElement('div');
+        nameHint.className = 'lisesca-hint';
+        nameHint.textContent = 'Saving makes the profile active for this mode. '
+            + 'Select "All columns" and save to go back to the built-in layout.';
+
+        nameRow.appendChild(nameLabel);
+        nameRow.appendChild(nameInput);
+        nameRow.appendChild(nameHint);
+
+        var errorDiv = document.createElement('div');
+        errorDiv.className = 'lisesca-ai-config-error';
+        errorDiv.id = 'lisesca-columns-error';
+
+        // Buttons
+        var buttonsRow = document.createElement('div');
+        buttonsRow.className = 'lisesca-ai-config-buttons';
+
+        var saveBtn = document.createElement('button');
+        saveBtn.className = 'lisesca-ai-config-save';
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', function() {
+            UI.saveColumns();
+        });
+
+        var cancelBtn = document.createElement('button');
+        cancelBtn.className = 'lisesca-ai-config-cancel';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', function() {
+            UI.hideColumnsEditor();
+        });
+
+        buttonsRow.appendChild(saveBtn);
+        buttonsRow.appendChild(cancelBtn);
+
+        panel.appendChild(title);
+        panel.appendChild(modeRow);
+        panel.appendChild(profileRow);
+        panel.appendChild(listRow);
+        panel.appendChild(nameRow);
+        panel.appendChild(errorDiv);
+        panel.appendChild(buttonsRow);
+
+        this.columnsOverlay.appendChild(panel);
+
+        this.columnsOverlay.addEventListener('click', function(event) {
+            if (event.target === UI.columnsOverlay) {
+                UI.hideColumnsEditor();
+            }
+        });
+
+        document.body.appendChild(this.columnsOverlay);
+    },
+
+    /**
+     * Show the column chooser, starting on the mode of the current page.
+     */
+    showColumnsEditor: function() {
+        var mode = this.getPageMode();
+        document.getElementById('lisesca-columns-mode').value = mode;
+        this.loadColumnsMode(mode);
+        this.columnsOverlay.classList.add('lisesca-visible');
+    },
+
+    /**
+     * Hide the column chooser, discarding unsaved changes.
+     */
+    hideColumnsEditor: function() {
+        this.columnsOverlay.classList.remove('lisesca-visible');
+        this.columnsDraft = null;
+    },
+
+    /**
+     * Show the profiles of a mode, selecting its active profile.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     */
+    loadColumnsMode: function(mode) {
+        this.columnsMode = mode;
+        var select = document.getElementById('lisesca-columns-profile');
+        select.innerHTML = '';
+
+        var builtIn = document.createElement('option');
+        builtIn.value = '';
+        builtIn.textContent = 'All columns (built-in)';
+        select.appendChild(builtIn);
+
+        ExportProfiles.getProfileNames(mode).forEach(function(name) {
+            var option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+
+        var active = ExportProfiles.getActiveName(mode);
+        select.value = active;
+        this.loadColumnsProfile(active);
+    },
+
+    /**
+     * Load a profile's columns into the editor.
+     * @param {string} name - Profile name, or '' for the built-in layout.
+     */
+    loadColumnsProfile: function(name) {
+        var mode = this.columnsMode;
+        this.columnsDraft = ExportProfiles.getEditableColumns(mode, name, this.getDefaultColumns(mode));
+        document.getElementById('lisesca-columns-name').value = name;
+        document.getElementById('lisesca-columns-delete').disabled = !name;
+        document.getElementById('lisesca-columns-error').textContent = '';
+        this.renderColumnList();
+    },
+
+    /**
+     * Render the editable column list from the draft.
+     */
+    renderColumnList: function() {
+        var list = document.getElementById('lisesca-columns-list');
+        var draft = this.columnsDraft;
+        list.innerHTML = '';
+
+        draft.forEach(function(column, index) {
+            var item = document.createElement('div');
+            item.className = 'lisesca-column-item' + (column.enabled ? '' : ' lisesca-column-off');
+
+            var check = document.createElement('input');
+            check.type = 'checkbox';
+            check.checked = column.enabled;
+            check.addEventListener('change', function() {
+                column.enabled = check.checked;
+                item.classList.toggle('lisesca-column-off', !column.enabled);
+            });
+
+            var headerInput = document.createElement('input');
+            headerInput.type = 'text';
+            headerInput.value = column.header;
+            headerInput.placeholder = column.defaultHeader;
+            headerInput.title = 'Field: ' + column.key;
+            headerInput.addEventListener('input', function() {
+                column.header = headerInput.value;
+            });
+
+            var upBtn = document.createElement('button');
+            upBtn.textContent = '\u25B2';
+            upBtn.disabled = (index === 0);
+            upBtn.addEventListener('click', function() {
+                UI.moveColumn(index, -1);
+            });
+
+            var downBtn = document.createElement('button');
+            downBtn.textContent = '\u25BC';
+            downBtn.disabled = (index === draft.length - 1);
+            downBtn.addEventListener('click', function() {
+                UI.moveColumn(index, 1);
+            });
+
+            item.appendChild(check);
+            item.appendChild(headerInput);
+            item.appendChild(upBtn);
+            item.appendChild(downBtn);
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Move a column up or down in the draft.
+     * @param {number} index - Current position.
+     * @param {number} delta - -1 to move up, 1 to move down.
+     */
+    moveColumn: function(index, delta) {
+        var draft = this.columnsDraft;
+        var target = index + delta;
+        if (target < 0 || target >= draft.length) {
+            return;
+        }
+        var moved = draft.splice(index, 1)[0];
+        draft.splice(target, 0, moved);
+        this.renderColumnList();
+    },
+
+    /**
+     * Delete the selected profile.
+     */
+    deleteColumnsProfile: function() {
+        var name = document.getElementById('lisesca-columns-profile').value;
+        if (!name) {
+            return;
+        }
+        ExportProfiles.deleteProfile(this.columnsMode, name);
+        console.log('[LiSeSca] Export profile deleted: ' + name);
+        this.loadColumnsMode(this.columnsMode);
+    },
+
+    /**
+     * Validate and save the edited columns as a named profile, or switch
+     * back to the built-in layout when no name is given and nothing changed.
+     */
+    saveColumns: function() {
+        var errorDiv = document.getElementById('lisesca-columns-error');
+        var mode = this.columnsMode;
+        var name = document.getElementById('lisesca-columns-name').value.trim();
+        var draft = this.columnsDraft;
+
+        var enabledCount = draft.filter(function(column) {
+            return column.enabled;
+        }).length;
+        if (enabledCount === 0) {
+            errorDiv.textContent = 'Select at least one column.';
+            return;
+        }
+
+        draft.forEach(function(column) {
+            column.header = column.header.trim() || column.defaultHeader;
+        });
+
+        if (!name) {
+            var builtIn = ExportProfiles.getEditableColumns(mode, '', this.getDefaultColumns(mode));
+            if (JSON.stringify(builtIn) !== JSON.stringify(draft)) {
+                errorDiv.textContent = 'Enter a profile name to save this column selection.';
+                return;
+            }
+            ExportProfiles.setActive(mode, '');
+        } else {
+            ExportProfiles.saveProfile(mode, name, draft);
+        }
+
+        console.log('[LiSeSca] Active ' + mode + ' export profile: ' + (name || '(built-in)'));
+        this.hideColumnsEditor();
+    },
+
+    // --- Markdown template editor ---
+    templateOverlay: null,
+
+    /** Unsaved template text per mode while the editor is open */
+    templateDrafts: null,
+
+    /** Mode currently shown in the template editor */
+    templateMode: 'jobs',
+
+    /**
+     * Create the Markdown template editor overlay.
+     * One template per mode; the preview renders the last scraped item of
+     * the selected mode as the user types.
+     */
+    createTemplatePanel: function() {
+        this.templateOverlay = document.createElement('div');
+        this.templateOverlay.className = 'lisesca-ai-config-overlay';
+
+        var panel = document.createElement('div');
+        panel.className = 'lisesca-ai-config-panel lisesca-template-panel';
+
+        var title = document.createElement('div');
+        title.className = 'lisesca-ai-config-title';
+        title.textContent = 'Markdown Templates';
+
+        // Mode selector
+        var modeRow = document.createElement('div');
+        modeRow.className = 'lisesca-ai-config-row';
+
+        var modeLabel = document.createElement('label');
+        modeLabel.textContent = 'Template for:';
+        modeLabel.htmlFor = 'lisesca-template-mode';
+
+        var modeSelect = document.createElement('select');
+        modeSelect.id = 'lisesca-template-mode';
+        [
+            { value: 'jobs', text: 'Job search' },
+            { value: 'people', text: 'People search' },
+            { value: 'companies', text: 'Company search' }
+        ].forEach(function(opt) {
+            var option = document.createElement('option');
+            option.value = opt.value;
+            option.textContent = opt.text;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.addEventListener('change', function() {
+            UI.switchTemplateMode(modeSelect.value);
+        });
+
+        modeRow.appendChild(modeLabel);
+        modeRow.appendChild(modeSelect);
+
+        // Template text
+        var textRow = document.createElement('div');
+        textRow.className = 'lisesca-ai-config-row';
+
+        var textLabel = document.createElement('label');
+        textLabel.textContent = 'Template (leave empty for the built-in layout):';
+        textLabel.htmlFor = 'lisesca-template-text';
+
+        var textArea = document.createElement('textarea');
+        textArea.id = 'lisesca-template-text';
+        textArea.spellcheck = false;
+        textArea.addEventListener('input', function() {
+            UI.templateDrafts[UI.templateMode] = textArea.value;
+            UI.updateTemplatePreview();
+        });
+
+        var textHint = document.createElement('div');
+        textHint.className = 'lisesca-hint';
+        textHint.textContent = 'Syntax: {{field}}, {{#if field}}...{{else}}...{{/if}}, '
+            + '{{#unless field}}...{{/unless}}, {{#each list}}{{this}}{{/each}}';
+
+        var actions = document.createElement('div');
+        actions.className = 'lisesca-template-actions';
+
+        var exampleBtn = document.createElement('button');
+        exampleBtn.textContent = 'Load example';
+        exampleBtn.addEventListener('click', function() {
+            var examples = {
+                people: Output.EXAMPLE_MARKDOWN_TEMPLATE,
+                jobs: JobOutput.EXAMPLE_MARKDOWN_TEMPLATE,
+                companies: CompanyOutput.EXAMPLE_MARKDOWN_TEMPLATE
+            };
+            UI.setTemplateText(examples[UI.templateMode]);
+        });
+
+        var clearBtn = document.createElement('button');
+        clearBtn.textContent = 'Use built-in layout';
+        clearBtn.addEventListener('click', function() {
+            UI.setTemplateText('');
+        });
+
+        actions.appendChild(exampleBtn);
+        actions.appendChild(clearBtn);
+
+        textRow.appendChild(textLabel);
+        textRow.appendChild(textArea);
+        textRow.appendChild(textHint);
+        textRow.appendChild(actions);
+
+        // Live preview
+        var previewRow = document.createElement('div');
+        previewRow.className = 'lisesca-ai-config-row';
+
+        var previewLabel = document.createElement('label');
+        previewLabel.textContent = 'Preview (last scraped item):';
+
+        var preview = document.createElement('pre');
+        preview.className = 'lisesca-template-preview';
+        preview.id = 'lisesca-template-preview';
+
+        var fieldsHint = document.createElement('div');
+        fieldsHint.className = 'lisesca-hint';
+        fieldsHint.id = 'lisesca-template-fields';
+
+        previewRow.appendChild(previewLabel);
+        previewRow.appendChild(preview);
+        previewRow.appendChild(fieldsHint);
+
+        var errorDiv = document.createElement('div');
+        errorDiv.className = 'lisesca-ai-config-error';
+        errorDiv.id = 'lisesca-template-error';
+
+        // Buttons
+        var buttonsRow = document.createElement('div');
+        buttonsRow.className = 'lisesca-ai-config-buttons';
+
+        var saveBtn = document.createElement('button');
+        saveBtn.className = 'lisesca-ai-config-save';
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', function() {
+            UI.saveTemplates();
+        });
+
+        var cancelBtn = document.createElement('button');
+        cancelBtn.className = 'lisesca-ai-config-cancel';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', function() {
+            UI.hideTemplateEditor();
+        });
+
+        buttonsRow.appendChild(saveBtn);
+        buttonsRow.appendChild(cancelBtn);
+
+        panel.appendChild(title);
+        panel.appendChild(modeRow);
+        panel.appendChild(textRow);
+        panel.appendChild(previewRow);
+        panel.appendChild(errorDiv);
+        panel.appendChild(buttonsRow);
+
+        this.templateOverlay.appendChild(panel);
+
+        this.templateOverlay.addEventListener('click', function(event) {
+            if (event.target === UI.templateOverlay) {
+                UI.hideTemplateEditor();
+            }
+        });
+
+        document.body.appendChild(this.templateOverlay);
+    },
+
+    /**
+     * Show the template editor, starting on the mode of the current page.
+     */
+    showTemplateEditor: function() {
+        this.templateDrafts = {
+            people: CONFIG.MARKDOWN_TEMPLATES.people || '',
+            jobs: CONFIG.MARKDOWN_TEMPLATES.jobs || '',
+            companies: CONFIG.MARKDOWN_TEMPLATES.companies || ''
+        };
+        var mode = this.getPageMode();
+        document.getElementById('lisesca-template-mode').value = mode;
+        document.getElementById('lisesca-template-error').textContent = '';
+        this.switchTemplateMode(mode);
+        this.templateOverlay.classList.add('lisesca-visible');
+    },
+
+    /**
+     * Hide the template editor, discarding unsaved drafts.
+     */
+    hideTemplateEditor: function() {
+        this.templateOverlay.classList.remove('lisesca-visible');
+        this.templateDrafts = null;
+    },
+
+    /**
+     * Show the draft template of another mode in the editor.
+     * @param {string} mode - 'people', 'jobs' or 'companies'.
+     */
+    switchTemplateMode: function(mode) {
+        this.templateMode = mode;
+        document.getElementById('lisesca-template-text').value = this.templateDrafts[mode];
+        this.updateTemplatePreview();
+    },
+
+    /**
+     * Replace the template text of the current mode.
+     * @param {string} text - The new template text.
+     */
+    setTemplateText: function(text) {
+        this.templateDrafts[this.templateMode] = text;
+        document.getElementById('lisesca-template-text').value = text;
+        this.updateTemplatePreview();
+    },
+
+    /**
+     * Re-render the preview from the current draft and the last scraped item.
+     */
+    updateTemplatePreview: function() {
+        var preview = document.getElementById('lisesca-template-preview');
+        var fieldsHint = document.getElementById('lisesca-template-fields');
+        var mode = this.templateMode;
+        var template = this.templateDrafts[mode];
+        var item = State.getLastItem(mode);
+
+        if (!item) {
+            preview.textContent = '(Nothing scraped in this mode yet. Run a scrape to get a preview.)';
+            fieldsHint.textContent = '';
+            return;
+        }
+        fieldsHint.textContent = 'Fields: ' + Object.keys(item).join(', ');
+
+        if (!template) {
+            if (mode === 'jobs') {
+                preview.textContent = JobOutput.formatJobMarkdown(item);
+            } else if (mode === 'companies') {
+                preview.textContent = CompanyOutput.formatCompanyMarkdown(item);
+            } else {
+                preview.textContent = Output.formatProfile(item);
+            }
+            return;
+        }
+
+        try {
+            preview.textContent = Template.render(template, item);
+        } catch (error) {
+            preview.textContent = 'Template error: ' + error.message;
+        }
+    },
+
+    /**
+     * Validate and save the templates of all modes.
+     */
+    saveTemplates: function() {
+        var errorDiv = document.getElementById('lisesca-template-error');
+        var drafts = this.templateDrafts;
+
+        var peopleError = Template.validate(drafts.people);
+        if (peopleError) {
+            errorDiv.textContent = 'People template: ' + peopleError;
+            return;
+        }
+        var jobsError = Template.validate(drafts.jobs);
+        if (jobsError) {
+            errorDiv.textContent = 'Job template: ' + jobsError;
+            return;
+        }
+        var companiesError = Template.validate(drafts.companies);
+        if (companiesError) {
+            errorDiv.textContent = 'Company template: ' + companiesError;
+            return;
+        }
+
+        CONFIG.MARKDOWN_TEMPLATES.people = drafts.people.trim() ? drafts.people : '';
+        CONFIG.MARKDOWN_TEMPLATES.jobs = drafts.jobs.trim() ? drafts.jobs : '';
+        CONFIG.MARKDOWN_TEMPLATES.companies = drafts.companies.trim() ? drafts.companies : '';
+        CONFIG.saveTemplates();
+        this.hideTemplateEditor();
+    },
+
+    // --- Skills dictionary editor ---
+    skillsOverlay: null,
+
+    /**
+     * Create the skills dictionary editor overlay.
+     * Reuses the template editor styles; the summary line counts the
+     * skills of the dictionary as it is typed.
+     */
+    createSkillsPanel: function() {
+        this.skillsOverlay = document.createElement('div');
+        this.skillsOverlay.className = 'lisesca-ai-config-overlay';
+
+        var panel = document.createElement('div');
+        panel.className = 'lisesca-ai-config-panel lisesca-template-panel';
+
+        var title = document.createElement('div');
+        title.className = 'lisesca-ai-config-title';
+        title.textContent = 'Skills Dictionary';
+
+        var textRow = document.createElement('div');
+        textRow.className = 'lisesca-ai-config-row';
+
+        var textLabel = document.createElement('label');
+        textLabel.textContent = 'Skills tagged in job descriptions (leave empty for the built-in list):';
+        textLabel.htmlFor = 'lisesca-skills-text';
+
+        var textArea = document.createElement('textarea');
+        textArea.id = 'lisesca-skills-text';
+        textArea.spellcheck = false;
+        textArea.rows = 16;
+        textArea.addEventListener('input', function() {
+            UI.updateSkillsSummary();
+        });
+
+        var textHint = document.createElement('div');
+        textHint.className = 'lisesca-hint';
+        textHint.textContent = 'One skill per line as "Name: alias, alias"; "# Category" starts a category. '
+            + 'Matching ignores case, except for aliases in double quotes such as "Go".';
+
+        var summary = document.createElement('div');
+        summary.className = 'lisesca-hint';
+        summary.id = 'lisesca-skills-summary';
+
+        var actions = document.createElement('div');
+        actions.className = 'lisesca-template-actions';
+
+        var defaultBtn = document.createElement('button');
+        defaultBtn.textContent = 'Load built-in list';
+        defaultBtn.addEventListener('click', function() {
+            textArea.value = SkillExtractor.DEFAULT_DICTIONARY;
+            UI.updateSkillsSummary();
+        });
+
+        actions.appendChild(defaultBtn);
+
+        textRow.appendChild(textLabel);
+        textRow.appendChild(textArea);
+        textRow.appendChild(textHint);
+        textRow.appendChild(summary);
+        textRow.appendChild(actions);
+
+        var errorDiv = document.createElement('div');
+        errorDiv.className = 'lisesca-ai-config-error';
+        errorDiv.id = 'lisesca-skills-error';
+
+        var buttonsRow = document.createElement('div');
+        buttonsRow.className = 'lisesca-ai-config-buttons';
+
+        var saveBtn = document.createElement('button');
+        saveBtn.className = 'lisesca-ai-config-save';
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', function() {
+            UI.saveSkillsDictionary();
+        });
+
+        var cancelBtn = document.createElement('button');
+        cancelBtn.className = 'lisesca-ai-config-cancel';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', function() {
+            UI.hideSkillsEditor();
+        });
+
+        buttonsRow.appendChild(saveBtn);
+        buttonsRow.appendChild(cancelBtn);
+
+        panel.appendChild(title);
+        panel.appendChild(textRow);
+        panel.appendChild(errorDiv);
+        panel.appendChild(buttonsRow);
+
+        this.skillsOverlay.appendChild(panel);
+
+        this.skillsOverlay.addEventListener('click', function(event) {
+            if (event.target === UI.skillsOverlay) {
+                UI.hideSkillsEditor();
+            }
+        });
+
+        document.body.appendChild(this.skillsOverlay);
+    },
+
+    /**
+     * Show the skills dictionary editor with the saved dictionary.
+     */
+    showSkillsEditor: function() {
+        var text = CONFIG.SKILLS_DICTIONARY || SkillExtractor.DEFAULT_DICTIONARY;
+        document.getElementById('lisesca-skills-text').value = text;
+        document.getElementById('lisesca-skills-error').textContent = '';
+        this.updateSkillsSummary();
+        this.skillsOverlay.classList.add('lisesca-visible');
+    },
+
+    /**
+     * Hide the skills dictionary editor, discarding unsaved edits.
+     */
+    hideSkillsEditor: function() {
+        this.skillsOverlay.classList.remove('lisesca-visible');
+    },
+
+    /**
+     * Show how many skills and categories the edited dictionary has.
+     */
+    updateSkillsSummary: function() {
+        var summary = document.getElementById('lisesca-skills-summary');
+        var text = document.getElementById('lisesca-skills-text').value;
+        if (!text.trim()) {
+            summary.textContent = 'The built-in list will be used.';
+            return;
+        }
+        try {
+            var skills = SkillExtractor.parseDictionary(text);
+            var categories = {};
+            skills.forEach(function(skill) {
+                categories[skill.category] = true;
+            });
+            summary.textContent = skills.length + ' skills in ' + Object.keys(categories).length + ' categories.';
+        } catch (error) {
+            summary.textContent = error.message;
+        }
+    },
+
+    /**
+     * Validate and save the skills dictionary.
+     * Text identical to the built-in list is stored as empty, so later
+     * versions of the built-in list are picked up.
+     */
+    saveSkillsDictionary: function() {
+        var errorDiv = document.getElementById('lisesca-skills-error');
+        var text = document.getElementById('lisesca-skills-text').value;
+
+        var error = SkillExtractor.validate(text);
+        if (error) {
+            errorDiv.textContent = error;
+            return;
+        }
+
+        var isDefault = !text.trim() || text.trim() === SkillExtractor.DEFAULT_DICTIONARY.trim();
+        CONFIG.SKILLS_DICTIONARY = isDefault ? '' : text;
+        CONFIG.saveSkillsDictionary();
+        this.hideSkillsEditor();
+    },
+
     // --- AI Configuration panel methods ---
 
     /**
@@ -2183,11 +3666,48 @@ export const UI = {
         downloadBtn.id = 'lisesca-summary-download';
         downloadBtn.innerHTML = '⬇️ Download Results';
         downloadBtn.addEventListener('click', function() {
+            UI.getActiveController().downloadResults();
+        });
+
+        // Merge into a previous export chosen by the user
+        var mergeInput = document.createElement('input');
+        mergeInput.type = 'file';
+        mergeInput.id = 'lisesca-summary-merge-file';
+        mergeInput.accept = '.xlsx,.json,.jsonl';
+        mergeInput.style.display = 'none';
+        mergeInput.addEventListener('change', function() {
+            var file = mergeInput.files[0];
+            mergeInput.value = '';
+            if (file) {
+                UI.mergeIntoFile(file);
+            }
+        });
+
+        var mergeBtn = document.createElement('button');
+        mergeBtn.className = 'lisesca-summary-merge';
+        mergeBtn.id = 'lisesca-summary-merge';
+        mergeBtn.textContent = 'Append to existing...';
+        mergeBtn.title = 'Merge the results into a previous XLSX or JSON export';
+        mergeBtn.addEventListener('click', function() {
+            mergeInput.click();
+        });
+
+        var mergeStatus = document.createElement('div');
+        mergeStatus.className = 'lisesca-summary-merge-status';
+        mergeStatus.id = 'lisesca-summary-merge-status';
+
+        // Audit download for items the AI rejected (hidden when there are none,
+        // so never shown for company runs)
+        var rejectedBtn = document.createElement('button');
+        rejectedBtn.className = 'lisesca-summary-rejected';
+        rejectedBtn.id = 'lisesca-summary-rejected';
+        rejectedBtn.textContent = 'Download rejected';
+        rejectedBtn.addEventListener('click', function() {
             var mode = State.getScrapeMode();
             if (mode === 'jobs') {
-                JobController.downloadResults();
+                JobController.downloadRejected();
             } else {
-                Controller.downloadResults();
+                Controller.downloadRejected();
             }
         });
 
@@ -2201,6 +3721,10 @@ export const UI = {
         });
 
         buttonsDiv.appendChild(downloadBtn);
+        buttonsDiv.appendChild(mergeBtn);
+        buttonsDiv.appendChild(mergeInput);
+        buttonsDiv.appendChild(mergeStatus);
+        buttonsDiv.appendChild(rejectedBtn);
         buttonsDiv.appendChild(clearBtn);
 
         panel.appendChild(title);
@@ -2212,6 +3736,44 @@ export const UI = {
         document.body.appendChild(this.summaryOverlay);
     },
 
+    /**
+     * Get the controller of the active scrape mode.
+     * @returns {Object} Controller, JobController, CompanyController or MyJobsController.
+     */
+    getActiveController: function() {
+        var mode = State.getScrapeMode();
+        if (mode === 'jobs') {
+            return JobController;
+        }
+        if (mode === 'companies') {
+            return CompanyController;
+        }
+        if (mode === 'myJobs') {
+            return MyJobsController;
+        }
+        return Controller;
+    },
+
+    /**
+     * Merge the results into a previous export and report the outcome
+     * below the merge button.
+     * @param {File} file - The previous XLSX, JSON or JSON Lines export.
+     */
+    mergeIntoFile: function(file) {
+        var statusEl = document.getElementById('lisesca-summary-merge-status');
+        statusEl.classList.remove('lisesca-error');
+        statusEl.textContent = 'Merging into ' + file.name + '...';
+
+        this.getActiveController().mergeResults(file).then(function(counts) {
+            statusEl.textContent = counts.new + ' new, ' + counts.updated + ' updated, '
+                + counts.unchanged + ' unchanged';
+        }).catch(function(error) {
+            console.error('[LiSeSca] Merge failed:', error);
+            statusEl.classList.add('lisesca-error');
+            statusEl.textContent = 'Could not merge: ' + error.message;
+        });
+    },
+
     /**
      * Helper to create a row in the summary panel
      */
@@ -2281,6 +3843,28 @@ export const UI = {
             }
         }
 
+        // Merging needs saved results
+        var mergeBtn = document.getElementById('lisesca-summary-merge');
+        if (mergeBtn) {
+            mergeBtn.disabled = stats.saved === 0;
+        }
+        var mergeStatus = document.getElementById('lisesca-summary-merge-status');
+        if (mergeStatus) {
+            mergeStatus.textContent = '';
+            mergeStatus.classList.remove('lisesca-error');
+        }
+
+        // Offer the rejected-items audit file only when AI rejected something
+        var rejectedBtn = document.getElementById('lisesca-summary-rejected');
+        if (rejectedBtn) {
+            if (stats.rejected > 0) {
+                rejectedBtn.textContent = 'Download rejected (' + stats.rejected + ')';
+                rejectedBtn.classList.add('lisesca-visible');
+            } else {
+                rejectedBtn.classList.remove('lisesca-visible');
+            }
+        }
+
         // Base stats section
         var baseSection = document.createElement('div');
         baseSection.className = 'lisesca-summary-section';
@@ -2292,10 +3876,19 @@ export const UI = {
         }
         
         baseSection.appendChild(this._createSummaryRow(
-            stats.type === 'jobs' ? 'Jobs Saved' : 'Profiles Saved', 
+            Export.SAVED_LABELS[stats.type] || Export.SAVED_LABELS.people,
             stats.saved, 
             stats.saved > 0 ? 'lisesca-success' : ''
         ));
+        if (stats.visitProfiles) {
+            baseSection.appendChild(this._createSummaryRow('Profiles Visited', stats.visited));
+        }
+        if (stats.visitCompanies) {
+            baseSection.appendChild(this._createSummaryRow('Company Pages Visited', stats.visited));
+        }
+        if (stats.visitJobs) {
+            baseSection.appendChild(this._createSummaryRow('Jobs Opened', stats.visited));
+        }
         
         container.appendChild(baseSection);
 
@@ -2325,6 +3918,7 @@ export const UI = {
                 aiSection.appendChild(this._createSummaryRow('Evaluated', stats.aiEvaluated));
                 aiSection.appendChild(this._createSummaryRow('Accepted (Score ≥3)', stats.aiAccepted, 'lisesca-highlight'));
             }
+            aiSection.appendChild(this._createSummaryRow('Rejected', stats.rejected || 0));
             
             container.appendChild(aiSection);
         }
@@ -2399,6 +3993,20 @@ export const UI = {
         this.aiConfigOverlay = null;
     },
 
+    /**
+     * Remove the template, column and skills editor overlays from the DOM.
+     */
+    removeEditorPanels: function() {
+        [this.templateOverlay, this.columnsOverlay, this.skillsOverlay].forEach(function(overlay) {
+            if (overlay && overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+        });
+        this.templateOverlay = null;
+        this.columnsOverlay = null;
+        this.skillsOverlay = null;
+    },
+
     /**
      * Remove existing panels and create fresh ones for the current page type.
      * Used when SPA navigation changes the page type.
@@ -2407,11 +4015,15 @@ export const UI = {
         this.removePanel();
         this.removeConfigPanel();
         this.removeAIConfigPanel();
+        this.removeEditorPanels();
         this.removeSummaryPanel();
-        
+
         this.createPanel();
         this.createConfigPanel();
         this.createAIConfigPanel();
+        this.createTemplatePanel();
+        this.createColumnsPanel();
+        this.createSkillsPanel();
         this.createSummaryPanel();
         console.log('[LiSeSca] UI panels rebuilt for new page.');
     }
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+
+import { ApplyLinkResolver } from '../src/jobs/apply-link.js';
+
+function testCleanUrl() {
+    assert.equal(
+        ApplyLinkResolver.cleanUrl('https://boards.greenhouse.io/acme/jobs/123?gh_src=abc1&utm_source=LinkedIn&utm_medium=jobs'),
+        'https://boards.greenhouse.io/acme/jobs/123'
+    );
+    assert.equal(
+        ApplyLinkResolver.cleanUrl('https://jobs.lever.co/acme/42/apply?lever-source=LinkedIn&team=Core'),
+        'https://jobs.lever.co/acme/42/apply?team=Core'
+    );
+    // Source parameters naming another site are kept
+    assert.equal(
+        ApplyLinkResolver.cleanUrl('https://acme.wd5.myworkdayjobs.com/en-US/careers/job/Berlin/Engineer_R123?source=careersite'),
+        'https://acme.wd5.myworkdayjobs.com/en-US/careers/job/Berlin/Engineer_R123?source=careersite'
+    );
+}
+
+function testRedirects() {
+    var wrapped = 'https://www.linkedin.com/redir/redirect?url='
+        + encodeURIComponent('https://careers.acme.com/job/1?trk=public&id=1') + '&urlhash=x';
+    assert.equal(ApplyLinkResolver.cleanUrl(wrapped), 'https://careers.acme.com/job/1?id=1');
+}
+
+function testInvalidUrls() {
+    assert.equal(ApplyLinkResolver.cleanUrl(''), '');
+    assert.equal(ApplyLinkResolver.cleanUrl('External Apply'), '');
+    assert.equal(ApplyLinkResolver.cleanUrl('javascript:void(0)'), '');
+}
+
+function testFindProperty() {
+    var data = {
+        data: { entityUrn: 'urn:li:fs_normalized_jobPosting:1' },
+        included: [
+            { title: 'Engineer' },
+            { applyMethod: { $type: 'com.linkedin.voyager.jobs.OffsiteApply', companyApplyUrl: 'https://acme.com/apply' } }
+        ]
+    };
+    assert.equal(ApplyLinkResolver.findProperty(data, 'companyApplyUrl'), 'https://acme.com/apply');
+    assert.equal(ApplyLinkResolver.findProperty(data, 'missing'), undefined);
+}
+
+testCleanUrl();
+testRedirects();
+testInvalidUrls();
+testFindProperty();
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+
+import { PageDetector } from '../src/shared/page-detector.js';
+import { Selectors } from '../src/selectors/people.js';
+import { CompanyPeople } from '../src/people/company-people.js';
+import { fakeCard } from './helpers/fake-dom.js';
+
+/**
+ * Build a stand-in for a People tab card.
+ * @param {Object} parts - { name, href, headline, degree }; without href the card has no profile link.
+ * @returns {Object} An object answering the card's querySelector calls.
+ */
+function peopleCard(parts) {
+    return fakeCard({
+        [Selectors.COMPANY_PEOPLE_NAME]: '\n  ' + parts.name + '  ',
+        [Selectors.COMPANY_PEOPLE_LINK]: parts.href && { href: parts.href, textContent: parts.name },
+        [Selectors.COMPANY_PEOPLE_HEADLINE]: parts.headline && ' ' + parts.headline + ' ',
+        [Selectors.COMPANY_PEOPLE_DEGREE]: parts.degree
+    });
+}
+
+function testPageTypes() {
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/company/acme/people/'), 'companyPeople');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/company/acme/people/?keywords=engineer'), 'companyPeople');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/company/acme/'), 'unknown');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/company/acme/jobs/'), 'unknown');
+}
+
+function testParseDegree() {
+    assert.equal(CompanyPeople.parseDegree('· 2nd'), 2);
+    assert.equal(CompanyPeople.parseDegree('3rd+'), 3);
+    assert.equal(CompanyPeople.parseDegree(''), 0);
+    assert.equal(CompanyPeople.parseDegree(undefined), 0);
+}
+
+function testExtractCard() {
+    assert.deepEqual(CompanyPeople.extractCard(peopleCard({
+        name: 'Jane Doe',
+        href: 'https://www.linkedin.com/in/jane-doe?miniProfileUrn=urn%3Ali%3Afs_miniProfile%3A123',
+        headline: 'VP Engineering at Acme',
+        degree: '· 2nd'
+    })), {
+        fullName: 'Jane Doe',
+        connectionDegree: 2,
+        description: 'VP Engineering at Acme',
+        location: '',
+        city: '',
+        region: '',
+        country: '',
+        metroArea: '',
+        profileUrl: 'https://www.linkedin.com/in/jane-doe'
+    });
+
+    // Members outside the network have no profile link
+    assert.equal(CompanyPeople.extractCard(peopleCard({ name: 'LinkedIn Member', headline: 'Engineer' })), null);
+}
+
+function testExtractNewCardsAndShowMore() {
+    var cards = [
+        peopleCard({ name: 'Jane Doe', href: 'https://www.linkedin.com/in/jane-doe' }),
+        peopleCard({ name: 'LinkedIn Member' })
+    ];
+    var button = {
+        disabled: false,
+        click: function() {
+            cards.push(peopleCard({ name: 'John Roe', href: 'https://www.linkedin.com/in/john-roe/', degree: '3rd+' }));
+            button.disabled = true;
+        }
+    };
+    globalThis.document = {
+        querySelectorAll: function(selector) {
+            return selector === Selectors.COMPANY_PEOPLE_CARD ? cards.slice() : [];
+        },
+        querySelector: function(selector) {
+            return selector === Selectors.COMPANY_PEOPLE_SHOW_MORE ? button : null;
+        }
+    };
+
+    return CompanyPeople.extractNewCards(0).then(function(result) {
+        assert.equal(result.cardCount, 2);
+        assert.deepEqual(result.profiles.map(function(profile) {
+            return profile.fullName;
+        }), ['Jane Doe']);
+        return CompanyPeople.showMore(result.cardCount);
+    }).then(function(loaded) {
+        assert.equal(loaded, true);
+        // Only the cards added by "Show more results" are read again
+        return CompanyPeople.extractNewCards(2);
+    }).then(function(result) {
+        assert.equal(result.cardCount, 3);
+        assert.equal(result.profiles.length, 1);
+        assert.equal(result.profiles[0].profileUrl, 'https://www.linkedin.com/in/john-roe/');
+        assert.equal(result.profiles[0].connectionDegree, 3);
+
+        // A disabled button means the list is complete
+        assert.equal(CompanyPeople.getShowMoreButton(), null);
+        return CompanyPeople.showMore(3);
+    }).then(function(loaded) {
+        assert.equal(loaded, false);
+        delete globalThis.document;
+    });
+}
+
+testPageTypes();
+testParseDegree();
+testExtractCard();
+testExtractNewCardsAndShowMore();
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+
+import { PageDetector } from '../src/shared/page-detector.js';
+import { CompanyExtractor } from '../src/companies/extractor.js';
+import { CompanyOutput } from '../src/companies/output.js';
+import { ResultMerge } from '../src/shared/result-merge.js';
+
+function testPageTypes() {
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/search/results/companies/?keywords=robotics'), 'companies');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/search/results/people/?keywords=robotics'), 'people');
+    // About pages are only visited during the enrichment step
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/company/acme/about/'), 'unknown');
+}
+
+function testParseCardLines() {
+    assert.deepEqual(CompanyExtractor.parseCardLines(['Software Development • San Francisco, CA', '1.2K followers']), {
+        industry: 'Software Development',
+        location: 'San Francisco, CA',
+        followers: '1.2K followers',
+        followerCount: 1200
+    });
+    assert.deepEqual(CompanyExtractor.parseCardLines(['Robotics Engineering', '12,345 followers', 'Robots for every warehouse']), {
+        industry: 'Robotics Engineering',
+        location: '',
+        followers: '12,345 followers',
+        followerCount: 12345
+    });
+    assert.deepEqual(CompanyExtractor.parseCardLines([]), {
+        industry: '',
+        location: '',
+        followers: '',
+        followerCount: null
+    });
+}
+
+function testParseFollowerCount() {
+    assert.equal(CompanyExtractor.parseFollowerCount('3M followers'), 3000000);
+    assert.equal(CompanyExtractor.parseFollowerCount('850 followers'), 850);
+    assert.equal(CompanyExtractor.parseFollowerCount('followers'), null);
+    assert.equal(CompanyExtractor.parseFollowerCount(undefined), null);
+}
+
+function testCleanCompanyUrl() {
+    assert.equal(CompanyExtractor.cleanCompanyUrl('https://www.linkedin.com/company/acme/?trk=search'), 'https://www.linkedin.com/company/acme/');
+    assert.equal(CompanyExtractor.cleanCompanyUrl('https://www.linkedin.com/school/tu-berlin/life/'), 'https://www.linkedin.com/school/tu-berlin/');
+    assert.equal(CompanyExtractor.cleanCompanyUrl('https://www.linkedin.com/in/jane-doe/'), '');
+    assert.equal(CompanyExtractor.getAboutUrl('https://www.linkedin.com/company/acme/'), 'https://www.linkedin.com/company/acme/about/');
+}
+
+function testIsAboutPage() {
+    var acme = 'https://www.linkedin.com/company/acme/';
+    assert.equal(CompanyExtractor.isAboutPage(acme, 'https://www.linkedin.com/company/acme/about/'), true);
+    assert.equal(CompanyExtractor.isAboutPage(acme, 'https://de.linkedin.com/company/Acme/about?trk=x'), true);
+    assert.equal(CompanyExtractor.isAboutPage(acme, 'https://www.linkedin.com/company/acme/'), false);
+    assert.equal(CompanyExtractor.isAboutPage(acme, 'https://www.linkedin.com/company/acme-labs/about/'), false);
+    assert.equal(CompanyExtractor.isAboutPage(acme, 'https://www.linkedin.com/checkpoint/challenge/'), false);
+    assert.equal(CompanyExtractor.isAboutPage('', 'https://www.linkedin.com/company/acme/about/'), false);
+}
+
+function testBuildAboutFields() {
+    var fields = CompanyExtractor.buildAboutFields([
+        ['Website', 'https://acme.example'],
+        ['Industry', 'Industrial Machinery Manufacturing'],
+        ['Company size', '1,001-5,000 employees'],
+        ['Company size', '2,310 associated members'],
+        ['Headquarters', 'Munich, Bavaria'],
+        ['Founded', '1998'],
+        ['Specialties', 'Robotics, Research and Development, and Field Service']
+    ], new Date('2026-03-01T10:00:00Z'));
+
+    assert.deepEqual(fields, {
+        website: 'https://acme.example',
+        companySize: '1,001-5,000 employees',
+        employeeCountMin: 1001,
+        employeeCountMax: 5000,
+        headquarters: 'Munich, Bavaria',
+        foundedYear: 1998,
+        specialties: ['Robotics', 'Research and Development', 'Field Service'],
+        aboutVisitedAt: '2026-03-01T10:00:00.000Z',
+        industry: 'Industrial Machinery Manufacturing'
+    });
+
+    // Pages without details keep the search card's industry
+    assert.equal('industry' in CompanyExtractor.buildAboutFields([], new Date()), false);
+}
+
+function testCompanyToRow() {
+    var columns = [
+        { key: 'companyName', header: 'Company' },
+        { key: 'specialties', header: 'Specialties' },
+        { key: 'foundedYear', header: 'Founded' },
+        { key: 'website', header: 'Website' }
+    ];
+    assert.deepEqual(CompanyOutput.companyToRow({
+        companyName: 'Acme',
+        specialties: ['Robotics', 'Field Service'],
+        foundedYear: null
+    }, columns), ['Acme', 'Robotics, Field Service', '', '']);
+}
+
+function testRecordKey() {
+    assert.equal(
+        ResultMerge.recordKey('companies', { companyUrl: 'https://www.linkedin.com/company/Acme/?trk=x' }),
+        ResultMerge.recordKey('companies', { companyUrl: 'https://www.linkedin.com/company/acme' })
+    );
+    assert.equal(ResultMerge.recordKey('companies', {}), '');
+}
+
+testPageTypes();
+testParseCardLines();
+testParseFollowerCount();
+testCleanCompanyUrl();
+testIsAboutPage();
+testBuildAboutFields();
+testCompanyToRow();
+testRecordKey();
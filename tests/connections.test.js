@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+
+import { PageDetector } from '../src/shared/page-detector.js';
+import { Selectors } from '../src/selectors/people.js';
+import { Connections } from '../src/people/connections.js';
+import { Extractor } from '../src/people/extractor.js';
+import { fakeCard } from './helpers/fake-dom.js';
+
+/**
+ * Build a stand-in for a connections list card.
+ * @param {Object} parts - { name, href, occupation, time }; without href the card has no profile link.
+ * @returns {Object} An object answering the card's querySelector calls.
+ */
+function connectionCard(parts) {
+    return fakeCard({
+        [Selectors.CONNECTION_NAME]: '\n  ' + parts.name + '  ',
+        [Selectors.CONNECTION_LINK]: parts.href && { href: parts.href, textContent: parts.name },
+        [Selectors.CONNECTION_OCCUPATION]: parts.occupation && ' ' + parts.occupation + ' ',
+        [Selectors.CONNECTION_TIME]: parts.time
+    });
+}
+
+function testPageTypes() {
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/mynetwork/invite-connect/connections/'), 'connections');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/mynetwork/'), 'unknown');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/mynetwork/invitation-manager/'), 'unknown');
+}
+
+function testParseConnectedOn() {
+    assert.deepEqual(Connections.parseConnectedOn('\n Connected on March 3, 2024 '), {
+        connectedOn: 'March 3, 2024',
+        connectedAt: '2024-03-03'
+    });
+    assert.deepEqual(Connections.parseConnectedOn('Connected on Sept. 12, 2019'), {
+        connectedOn: 'Sept. 12, 2019',
+        connectedAt: '2019-09-12'
+    });
+    // Dates in other display languages are kept as shown
+    assert.deepEqual(Connections.parseConnectedOn('Vernetzt am 3. März 2024'), {
+        connectedOn: 'Vernetzt am 3. März 2024',
+        connectedAt: ''
+    });
+    assert.deepEqual(Connections.parseConnectedOn(undefined), { connectedOn: '', connectedAt: '' });
+}
+
+function testExtractCard() {
+    assert.deepEqual(Connections.extractCard(connectionCard({
+        name: 'Jane Doe',
+        href: 'https://www.linkedin.com/in/jane-doe/?lipi=urn%3Ali%3Apage%3Ad_flagship3',
+        occupation: 'Partner at Fintech Ventures',
+        time: 'Connected on January 15, 2023'
+    })), {
+        fullName: 'Jane Doe',
+        connectionDegree: 1,
+        description: 'Partner at Fintech Ventures',
+        location: '',
+        city: '',
+        region: '',
+        country: '',
+        metroArea: '',
+        profileUrl: 'https://www.linkedin.com/in/jane-doe/',
+        connectedOn: 'January 15, 2023',
+        connectedAt: '2023-01-15'
+    });
+
+    assert.equal(Connections.extractCard(connectionCard({ name: 'No Link' })), null);
+}
+
+function testFormatCardForAI() {
+    var text = Extractor.formatCardForAI({
+        fullName: 'Jane Doe',
+        description: 'Partner at Fintech Ventures',
+        connectionDegree: 1,
+        connectedOn: 'January 15, 2023',
+        profileUrl: 'https://www.linkedin.com/in/jane-doe/'
+    });
+    assert.ok(text.indexOf('**Connected on:** January 15, 2023') !== -1);
+}
+
+function testExtractNewCardsAndScrollLoad() {
+    var cards = [
+        connectionCard({ name: 'Jane Doe', href: 'https://www.linkedin.com/in/jane-doe/' }),
+        connectionCard({ name: 'John Roe', href: 'https://www.linkedin.com/in/john-roe/' })
+    ];
+    var scrolls = 0;
+    globalThis.window = {
+        scrollTo: function() {
+            scrolls++;
+            if (scrolls === 1) {
+                cards.push(connectionCard({ name: 'Ann Poe', href: 'https://www.linkedin.com/in/ann-poe/' }));
+            }
+        }
+    };
+    globalThis.document = {
+        documentElement: { scrollHeight: 4000 },
+        querySelectorAll: function(selector) {
+            return selector === Selectors.CONNECTION_CARD ? cards.slice() : [];
+        },
+        querySelector: function() {
+            return null;
+        }
+    };
+
+    return Connections.extractNewCards(0).then(function(result) {
+        assert.equal(result.cardCount, 2);
+        assert.equal(result.profiles.length, 2);
+        // Without a "Show more results" button, scrolling loads more
+        return Connections.showMore(result.cardCount);
+    }).then(function(loaded) {
+        assert.equal(loaded, true);
+        assert.equal(scrolls, 1);
+        return Connections.extractNewCards(2);
+    }).then(function(result) {
+        assert.equal(result.cardCount, 3);
+        assert.deepEqual(result.profiles.map(function(profile) {
+            return profile.fullName;
+        }), ['Ann Poe']);
+        delete globalThis.document;
+        delete globalThis.window;
+    });
+}
+
+testPageTypes();
+testParseConnectedOn();
+testExtractCard();
+testFormatCardForAI();
+testExtractNewCardsAndScrollLoad();
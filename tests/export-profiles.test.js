@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+
+import { ExportProfiles } from '../src/shared/export-profiles.js';
+import { CONFIG } from '../src/shared/config.js';
+
+var DEFAULT_COLUMNS = [
+    { key: 'jobTitle', header: 'Job Title' },
+    { key: 'company', header: 'Company' },
+    { key: 'location', header: 'Location' }
+];
+
+function testBuiltInLayoutUsesAllDefaults() {
+    CONFIG.EXPORT_PROFILES = { people: { active: '', profiles: {} }, jobs: { active: '', profiles: {} } };
+
+    assert.deepEqual(ExportProfiles.getActiveColumns('jobs', DEFAULT_COLUMNS), DEFAULT_COLUMNS);
+}
+
+function testProfileOrderRenameAndHide() {
+    CONFIG.EXPORT_PROFILES = {
+        people: { active: '', profiles: {} },
+        jobs: {
+            active: 'Short',
+            profiles: {
+                Short: [
+                    { key: 'company', header: 'Employer', enabled: true },
+                    { key: 'jobTitle', header: 'Job Title', enabled: true },
+                    { key: 'location', header: 'Location', enabled: false }
+                ]
+            }
+        }
+    };
+
+    assert.deepEqual(ExportProfiles.getActiveColumns('jobs', DEFAULT_COLUMNS), [
+        { key: 'company', header: 'Employer' },
+        { key: 'jobTitle', header: 'Job Title' }
+    ]);
+}
+
+function testNormalizeDropsStaleAndAppendsNewColumns() {
+    var saved = [
+        { key: 'removedField', header: 'Gone', enabled: true },
+        { key: 'location', header: '', enabled: false },
+        { key: 'jobTitle', header: 'Title', enabled: true }
+    ];
+
+    assert.deepEqual(ExportProfiles.normalizeColumns(DEFAULT_COLUMNS, saved), [
+        { key: 'location', header: 'Location', defaultHeader: 'Location', enabled: false },
+        { key: 'jobTitle', header: 'Title', defaultHeader: 'Job Title', enabled: true },
+        { key: 'company', header: 'Company', defaultHeader: 'Company', enabled: true }
+    ]);
+}
+
+function testMissingActiveProfileFallsBackToBuiltIn() {
+    CONFIG.EXPORT_PROFILES = { people: { active: 'Deleted', profiles: {} }, jobs: { active: '', profiles: {} } };
+
+    assert.equal(ExportProfiles.getActiveName('people'), '');
+    assert.equal(ExportProfiles.getActiveColumns('people', DEFAULT_COLUMNS).length, 3);
+}
+
+testBuiltInLayoutUsesAllDefaults();
+testProfileOrderRenameAndHide();
+testNormalizeDropsStaleAndAppendsNewColumns();
+testMissingActiveProfileFallsBackToBuiltIn();
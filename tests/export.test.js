@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../src/shared/config.js';
+import { State } from '../src/shared/state.js';
+import { Export } from '../src/shared/export.js';
+import { Filename } from '../src/shared/filename.js';
+
+// In-memory stand-in for Tampermonkey storage
+var storage = {};
+globalThis.GM_getValue = function(key, defaultValue) {
+    return Object.prototype.hasOwnProperty.call(storage, key) ? storage[key] : defaultValue;
+};
+globalThis.GM_setValue = function(key, value) {
+    storage[key] = value;
+};
+
+// Downloads are recorded instead of handed to the browser
+var downloads = [];
+Export.downloadFile = function(content, filename, mimeType) {
+    downloads.push({ content: content, filename: filename, mimeType: mimeType });
+};
+
+/** A minimal output module: no vCard or XLSX, and a failing bundle and HTML report */
+var fakeOutput = {
+    MODE: 'jobs',
+    buildFilename: function(extension, tag) {
+        return 'JOBS' + (tag ? '_' + tag : '') + '.' + extension;
+    },
+    generateCSV: function(records) {
+        return records.length + ' rows';
+    },
+    generateCSVSidecar: function() {
+        return '{}';
+    },
+    generateMarkdown: function() {
+        return '# Jobs';
+    },
+    generateMarkdownBundle: function() {
+        return Promise.reject(new Error('JSZip not available.'));
+    },
+    generateHTML: function() {
+        throw new Error('Sheet builder failed.');
+    }
+};
+
+/**
+ * Download records and wait until every spaced-out download has run.
+ * @param {Array<string>} formats - The selected formats.
+ * @param {string} [tag] - File name tag.
+ * @returns {Promise<Array>} The recorded downloads.
+ */
+function download(formats, tag) {
+    downloads = [];
+    State.saveFormats(formats);
+    Export.downloadResults(fakeOutput, [{ jobId: '1' }, { jobId: '2' }], tag);
+    return new Promise(function(resolve) {
+        setTimeout(function() {
+            resolve(downloads);
+        }, 200 * formats.length + 100);
+    });
+}
+
+function testSelectedFormats() {
+    return download(['vcf', 'jsonl', 'csv', 'xlsx', 'md']).then(function(files) {
+        // Formats the mode cannot write are skipped; the rest follow FILE_TYPES order
+        assert.deepEqual(files.map(function(file) {
+            return file.filename;
+        }), ['JOBS.csv', 'JOBS.md', 'JOBS.jsonl']);
+        assert.equal(files[0].content, '2 rows');
+        assert.equal(files[0].mimeType, 'text/csv;charset=utf-8');
+        assert.equal(files[2].content, '{"jobId":"1"}\n{"jobId":"2"}\n');
+    });
+}
+
+function testTagsBomAndSidecar() {
+    CONFIG.CSV_BOM = true;
+    CONFIG.CSV_LONG_FIELDS = 'sidecar';
+    return download(['csv', 'json'], 'CLIPBOARD').then(function(files) {
+        CONFIG.CSV_BOM = false;
+        CONFIG.CSV_LONG_FIELDS = 'include';
+        assert.deepEqual(files.map(function(file) {
+            return file.filename;
+        }), ['JOBS_CLIPBOARD.csv', 'JOBS_DETAILS.json', 'JOBS_CLIPBOARD.json']);
+        assert.equal(files[0].content, Export.UTF8_BOM + '2 rows');
+        assert.equal(JSON.parse(files[2].content).results.length, 2);
+    });
+}
+
+function testFailuresAreLogged() {
+    var logged = [];
+    var consoleError = console.error;
+    console.error = function(message) {
+        logged.push(message);
+    };
+    return download(['mdzip', 'html']).then(function(files) {
+        console.error = consoleError;
+        assert.deepEqual(files, []);
+        // Rejected promises and errors thrown while building are both logged
+        assert.deepEqual(logged, [
+            '[LiSeSca] Markdown bundle generation failed:',
+            '[LiSeSca] HTML report generation failed:'
+        ]);
+    });
+}
+
+function testStandaloneIgnoresSession() {
+    State.set(State.KEYS.SEARCH_URL, 'https://www.linkedin.com/jobs/search/?keywords=nurse');
+    State.saveRunStats({ pages: 3 });
+    CONFIG.FILENAME_PATTERN = '{mode}_{keywords}_{pages}_{tag}';
+
+    assert.equal(Export.formatFilename('JOBS', 'json', 'CLIPBOARD', 2), 'JOBS_nurse_3_CLIPBOARD.json');
+    assert.equal(Export.formatFilename('JOBS', 'json', 'CLIPBOARD', 2, true), 'JOBS_CLIPBOARD.json');
+    assert.equal(Export.buildExportMetadata('jobs').searchUrl,
+        'https://www.linkedin.com/jobs/search/?keywords=nurse');
+    assert.equal(JSON.parse(Export.generateJSON([], 'jobs', true)).metadata.searchUrl, '');
+
+    CONFIG.FILENAME_PATTERN = Filename.DEFAULT_PATTERN;
+}
+
+testStandaloneIgnoresSession();
+
+testSelectedFormats()
+    .then(testTagsBomAndSidecar)
+    .then(testFailuresAreLogged);
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+
+import { Filename } from '../src/shared/filename.js';
+
+var NOW = new Date(2025, 2, 7, 9, 5);
+var JOBS_URL = 'https://www.linkedin.com/jobs/search/?keywords=Product%20Manager&location=Berlin%2C%20Germany&geoId=103035651&f_TPR=r86400';
+
+function testDefaultPattern() {
+    assert.equal(Filename.build('', { mode: 'JOBS', extension: 'xlsx' }, NOW), '2025-03-07_09_05_JOBS_LinkedIn.xlsx');
+    assert.equal(Filename.build(Filename.DEFAULT_PATTERN, { mode: 'PEOPLE', tag: 'REJECTED', extension: 'md' }, NOW),
+        '2025-03-07_09_05_PEOPLE_REJECTED_LinkedIn.md');
+}
+
+function testSearchTokens() {
+    var values = { mode: 'JOBS', extension: 'csv', searchUrl: JOBS_URL, pages: 3, count: 42 };
+
+    assert.equal(Filename.build('{keywords}_{location}_{geoId}_{pages}p_{count}', values, NOW),
+        'Product-Manager_Berlin-Germany_103035651_3p_42.csv');
+    assert.equal(Filename.getSearchValues('https://www.linkedin.com/search/results/people/?geoUrn=%5B%22101282230%22%5D').geoId,
+        '101282230');
+    // Empty tokens leave no doubled or dangling separators
+    assert.equal(Filename.build('{date}_{keywords}_{mode}', { mode: 'JOBS', extension: 'md' }, NOW), '2025-03-07_JOBS.md');
+}
+
+function testTagIsAlwaysKept() {
+    assert.equal(Filename.build('{keywords}', { tag: 'DETAILS', extension: 'json', searchUrl: JOBS_URL }, NOW),
+        'Product-Manager_DETAILS.json');
+}
+
+function testSanitization() {
+    assert.equal(Filename.sanitize('a/b\\c:d*e?"f"<g>|h'), 'a-b-c-d-e-f-g-h');
+    assert.equal(Filename.build('{mode}', { extension: 'md' }, NOW), 'LinkedIn.md');
+    assert.equal(Filename.build('x'.repeat(300), { extension: 'md' }, NOW).length, Filename.MAX_LENGTH + 3);
+}
+
+function testUnknownTokens() {
+    assert.deepEqual(Filename.findUnknownTokens('{date}_{query}_{date}_{nope}'), ['query', 'nope']);
+    assert.deepEqual(Filename.findUnknownTokens(Filename.DEFAULT_PATTERN), []);
+    // Unknown tokens never reach the file name
+    assert.equal(Filename.build('{date}_{query}_{mode}', { mode: 'JOBS', extension: 'csv' }, NOW), '2025-03-07_JOBS.csv');
+}
+
+testDefaultPattern();
+testSearchTokens();
+testTagIsAlwaysKept();
+testSanitization();
+testUnknownTokens();
@@ -0,0 +1,27 @@
+// ===== FAKE DOM =====
+// Stand-ins for page elements, for tests that run without a browser.
+
+/**
+ * Build a stand-in for an element that answers querySelector calls.
+ * @param {Object} elements - Maps selectors to what they find: a string becomes
+ *     an element with that textContent, an object is used as the element, and
+ *     an empty value leaves the selector without a match.
+ * @param {Object} [props] - Further properties of the element itself, e.g. textContent.
+ * @returns {Object} The element-like object.
+ */
+export function fakeCard(elements, props) {
+    var found = {};
+    Object.keys(elements).forEach(function(selector) {
+        var value = elements[selector];
+        if (typeof value === 'string' && value) {
+            found[selector] = { textContent: value };
+        } else if (value && typeof value === 'object') {
+            found[selector] = value;
+        }
+    });
+    return Object.assign({
+        querySelector: function(selector) {
+            return found[selector] || null;
+        }
+    }, props);
+}
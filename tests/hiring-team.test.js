@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+
+import { JobExtractor } from '../src/jobs/extractor.js';
+import { JobOutput } from '../src/jobs/output.js';
+import { ResultMerge } from '../src/shared/result-merge.js';
+
+var TEAM = [
+    { name: 'Jane Doe', headline: 'Technical Recruiter', profileUrl: 'https://www.linkedin.com/in/janedoe', connectionDegree: 2 },
+    { name: 'John Roe', headline: '', profileUrl: '', connectionDegree: 0 }
+];
+
+function testFlatten() {
+    assert.deepEqual(JobExtractor.flattenHiringTeam(TEAM), {
+        hiringTeamNames: 'Jane Doe; John Roe',
+        hiringTeamHeadlines: 'Technical Recruiter; ',
+        hiringTeamProfileUrls: 'https://www.linkedin.com/in/janedoe; ',
+        hiringTeamDegrees: '2; '
+    });
+    assert.deepEqual(JobExtractor.flattenHiringTeam([]), {
+        hiringTeamNames: '',
+        hiringTeamHeadlines: '',
+        hiringTeamProfileUrls: '',
+        hiringTeamDegrees: ''
+    });
+}
+
+function testMarkdown() {
+    assert.equal(JobOutput.formatHiringTeamMember(TEAM[0]),
+        '[Jane Doe](https://www.linkedin.com/in/janedoe) — Technical Recruiter (2nd)');
+    assert.equal(JobOutput.formatHiringTeamMember(TEAM[1]), 'John Roe');
+
+    var markdown = JobOutput.formatJobMarkdown({ jobTitle: 'Engineer', hiringTeam: TEAM });
+    assert.match(markdown, /## Hiring Team\n\n- \[Jane Doe\]/);
+    assert.doesNotMatch(JobOutput.formatJobMarkdown({ jobTitle: 'Engineer', hiringTeam: [] }), /Hiring Team/);
+}
+
+function testMergeComparison() {
+    // Lists of members compare by content, not as "[object Object]"
+    assert.notEqual(ResultMerge.normalizeValue(TEAM), ResultMerge.normalizeValue([TEAM[0]]));
+    assert.equal(ResultMerge.normalizeValue(['Python', 'SQL']), 'Python, SQL');
+}
+
+testFlatten();
+testMarkdown();
+testMergeComparison();
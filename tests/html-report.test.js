@@ -0,0 +1,20 @@
+import assert from 'node:assert/strict';
+
+import { HtmlReport } from '../src/shared/html-report.js';
+
+function testRenderInline() {
+    assert.equal(HtmlReport.renderInline('**Salary:** _competitive_'),
+        '<strong>Salary:</strong> <em>competitive</em>');
+    assert.equal(HtmlReport.renderInline('Run `make_all_targets` first'),
+        'Run <code>make_all_targets</code> first');
+}
+
+function testLinksKeepTheirUrls() {
+    assert.equal(HtmlReport.renderInline('See https://x.com/_ref_ now'),
+        'See <a href="https://x.com/_ref_" target="_blank" rel="noopener">https://x.com/_ref_</a> now');
+    assert.equal(HtmlReport.renderInline('[**Apply**](https://x.com/a_b_c) _today_'),
+        '<a href="https://x.com/a_b_c" target="_blank" rel="noopener"><strong>Apply</strong></a> <em>today</em>');
+}
+
+testRenderInline();
+testLinksKeepTheirUrls();
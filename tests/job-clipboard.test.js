@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+
+import { PageDetector } from '../src/shared/page-detector.js';
+import { State } from '../src/shared/state.js';
+
+// In-memory stand-in for Tampermonkey storage
+var storage = {};
+globalThis.GM_getValue = function(key, defaultValue) {
+    return Object.prototype.hasOwnProperty.call(storage, key) ? storage[key] : defaultValue;
+};
+globalThis.GM_setValue = function(key, value) {
+    storage[key] = value;
+};
+globalThis.GM_deleteValue = function(key) {
+    delete storage[key];
+};
+
+function testPageTypes() {
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/jobs/view/4012345678/'), 'jobview');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/jobs/view/4012345678/?trk=share'), 'jobview');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/jobs/search/?currentJobId=4012345678'), 'jobs');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/jobs/collections/recommended/'), 'jobs');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/search/results/people/?keywords=cto'), 'people');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/jobs/'), 'unknown');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/feed/'), 'unknown');
+}
+
+function testClipboardAddsAndReplaces() {
+    storage = {};
+    assert.deepEqual(State.getJobClipboard(), []);
+
+    assert.equal(State.addToJobClipboard({ jobId: '1', jobTitle: 'Engineer' }), true);
+    assert.equal(State.addToJobClipboard({ jobId: '2', jobTitle: 'Designer' }), true);
+    // Capturing a job again updates it in place
+    assert.equal(State.addToJobClipboard({ jobId: '1', jobTitle: 'Senior Engineer' }), false);
+
+    assert.deepEqual(State.getJobClipboard().map(function(job) {
+        return job.jobTitle;
+    }), ['Senior Engineer', 'Designer']);
+    assert.equal(State.getLastItem('jobs').jobTitle, 'Senior Engineer');
+}
+
+function testClipboardSurvivesSessionClear() {
+    storage = {};
+    State.addToJobClipboard({ jobId: '1', jobTitle: 'Engineer' });
+    State.clear();
+    assert.equal(State.getJobClipboard().length, 1);
+
+    State.clearJobClipboard();
+    assert.deepEqual(State.getJobClipboard(), []);
+}
+
+testPageTypes();
+testClipboardAddsAndReplaces();
+testClipboardSurvivesSessionClear();
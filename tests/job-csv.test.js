@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+
+import { JobOutput } from '../src/jobs/output.js';
+
+// In-memory stand-in for Tampermonkey storage (default export profile)
+globalThis.GM_getValue = function(key, defaultValue) {
+    return defaultValue;
+};
+
+var LONG_TEXT = 'Build "reliable" pipelines, end to end.\r\nSecond line\rThird line\n' + 'x'.repeat(600);
+
+var JOBS = [
+    {
+        jobId: '4012345678',
+        jobTitle: 'Data Engineer',
+        company: 'Acme, Inc.',
+        isRemote: true,
+        applicantsMin: 25,
+        skills: ['SQL', 'Python'],
+        jobDescription: LONG_TEXT,
+        aboutCompany: 'Short about.'
+    },
+    { jobId: '4012345679', jobTitle: 'Analyst', company: 'Globex', applicantsMin: null }
+];
+
+/**
+ * Split CSV content into rows of unquoted cells.
+ * Every cell is expected to be quoted, as the exports write them.
+ * @param {string} csv - The CSV content.
+ * @returns {Array<Array<string>>} The rows.
+ */
+function parseCSV(csv) {
+    var rows = [];
+    var row = [];
+    var pattern = /"((?:[^"]|"")*)"(,|\r\n)/g;
+    var match;
+    var end = 0;
+    while ((match = pattern.exec(csv)) !== null) {
+        assert.equal(match.index, end, 'unquoted content at offset ' + end);
+        row.push(match[1].replace(/""/g, '"'));
+        if (match[2] === '\r\n') {
+            rows.push(row);
+            row = [];
+        }
+        end = pattern.lastIndex;
+    }
+    assert.equal(end, csv.length, 'CSV does not end with a complete record');
+    return rows;
+}
+
+/**
+ * Read a cell of a parsed CSV by its column header.
+ * @param {Array<Array<string>>} rows - Parsed rows, header first.
+ * @param {number} index - Data row index.
+ * @param {string} header - The column header.
+ * @returns {string|undefined} The cell, or undefined if the column is absent.
+ */
+function cell(rows, index, header) {
+    var column = rows[0].indexOf(header);
+    return column === -1 ? undefined : rows[index + 1][column];
+}
+
+function testIncludeMode() {
+    var csv = JobOutput.generateCSV(JOBS, 'include');
+    var rows = parseCSV(csv);
+
+    assert.equal(rows.length, JOBS.length + 1);
+    assert.equal(rows[0][rows[0].length - 1], 'Job ID');
+    assert.equal(cell(rows, 0, 'Job ID'), '4012345678');
+    assert.equal(cell(rows, 0, 'Company'), 'Acme, Inc.');
+    assert.equal(cell(rows, 0, 'Remote'), 'true');
+    assert.equal(cell(rows, 0, 'Skills'), 'SQL, Python');
+    // Missing values are empty cells, never "null" or "undefined"
+    assert.equal(cell(rows, 1, 'Applicants (min)'), '');
+    assert.equal(cell(rows, 1, 'About the Job'), '');
+
+    // Line breaks inside a field become LF; only records end with CRLF
+    var description = cell(rows, 0, 'About the Job');
+    assert.equal(description, LONG_TEXT.replace(/\r\n?/g, '\n'));
+    assert.equal(csv.split('\r\n').length, JOBS.length + 2);
+    assert.equal(JobOutput.generateCSV(JOBS), csv);
+}
+
+function testTruncateMode() {
+    var rows = parseCSV(JobOutput.generateCSV(JOBS, 'truncate'));
+    var description = cell(rows, 0, 'About the Job');
+
+    assert.equal(description.slice(-1), '…');
+    assert.ok(description.length <= JobOutput.CSV_TRUNCATE_LENGTH + 1);
+    assert.ok(description.indexOf('Build "reliable" pipelines') === 0);
+    // Short fields are left alone
+    assert.equal(cell(rows, 0, 'About the Company'), 'Short about.');
+    // The records themselves are not modified
+    assert.equal(JOBS[0].jobDescription, LONG_TEXT);
+}
+
+function testSidecarMode() {
+    var rows = parseCSV(JobOutput.generateCSV(JOBS, 'sidecar'));
+    JobOutput.LONG_TEXT_FIELDS.forEach(function(field) {
+        var header = JobOutput.COLUMNS.filter(function(column) {
+            return column.key === field;
+        })[0].header;
+        assert.equal(rows[0].indexOf(header), -1, header + ' should be left out');
+    });
+    assert.equal(cell(rows, 0, 'Job ID'), '4012345678');
+
+    var sidecar = JSON.parse(JobOutput.generateCSVSidecar(JOBS));
+    assert.deepEqual(Object.keys(sidecar), ['4012345678', '4012345679']);
+    assert.equal(sidecar['4012345678'].jobTitle, 'Data Engineer');
+    assert.equal(sidecar['4012345678'].jobDescription, LONG_TEXT);
+    assert.equal(sidecar['4012345679'].premiumInsights, '');
+}
+
+testIncludeMode();
+testTruncateMode();
+testSidecarMode();
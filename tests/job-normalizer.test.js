@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+
+import { JobNormalizer } from '../src/jobs/normalizer.js';
+
+var SCRAPED_AT = new Date(2025, 2, 15, 10, 30);
+
+function testPostedAt() {
+    assert.equal(JobNormalizer.parsePostedAt('2 weeks ago', SCRAPED_AT), '2025-03-01');
+    assert.equal(JobNormalizer.parsePostedAt('Reposted 3 days ago', SCRAPED_AT), '2025-03-12');
+    assert.equal(JobNormalizer.parsePostedAt('11 hours ago', SCRAPED_AT), '2025-03-14');
+    assert.equal(JobNormalizer.parsePostedAt('1 month ago', SCRAPED_AT), '2025-02-15');
+    assert.equal(JobNormalizer.parsePostedAt('an hour ago', SCRAPED_AT), '2025-03-15');
+    assert.equal(JobNormalizer.parsePostedAt('Just now', SCRAPED_AT), '2025-03-15');
+    assert.equal(JobNormalizer.parsePostedAt('Promoted by hirer', SCRAPED_AT), '');
+    assert.equal(JobNormalizer.parsePostedAt('', SCRAPED_AT), '');
+}
+
+function testReposted() {
+    assert.equal(JobNormalizer.isReposted('Reposted 1 week ago'), true);
+    assert.equal(JobNormalizer.isReposted('1 week ago'), false);
+}
+
+function testApplicants() {
+    assert.equal(JobNormalizer.parseApplicantsMin('Over 100 applicants'), 100);
+    assert.equal(JobNormalizer.parseApplicantsMin('1,234 people clicked apply'), 1234);
+    assert.equal(JobNormalizer.parseApplicantsMin('Be among the first 25 applicants'), 0);
+    assert.equal(JobNormalizer.parseApplicantsMin(''), null);
+}
+
+function testEmployeeCount() {
+    assert.deepEqual(JobNormalizer.parseEmployeeCount('1,001-5,000 employees'), { min: 1001, max: 5000 });
+    assert.deepEqual(JobNormalizer.parseEmployeeCount('11–50 employees'), { min: 11, max: 50 });
+    assert.deepEqual(JobNormalizer.parseEmployeeCount('10,001+ employees'), { min: 10001, max: null });
+    assert.deepEqual(JobNormalizer.parseEmployeeCount(''), { min: null, max: null });
+}
+
+function testNormalize() {
+    var job = { postedDate: 'Reposted 2 days ago', applicants: 'Over 200 applicants', employeeCount: '51-200 employees' };
+
+    assert.deepEqual(JobNormalizer.normalize(job, SCRAPED_AT), {
+        postedAt: '2025-03-13',
+        reposted: true,
+        applicantsMin: 200,
+        employeeCountMin: 51,
+        employeeCountMax: 200
+    });
+}
+
+testPostedAt();
+testReposted();
+testApplicants();
+testEmployeeCount();
+testNormalize();
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../src/shared/config.js';
+import { State } from '../src/shared/state.js';
+import { Export } from '../src/shared/export.js';
+
+// In-memory stand-in for Tampermonkey storage
+var storage = {};
+globalThis.GM_getValue = function(key, defaultValue) {
+    return Object.prototype.hasOwnProperty.call(storage, key) ? storage[key] : defaultValue;
+};
+globalThis.GM_setValue = function(key, value) {
+    storage[key] = value;
+};
+
+var SEARCH_URL = 'https://www.linkedin.com/jobs/search/?keywords=Data%20Engineer';
+
+var JOBS = [
+    { jobId: '4012345678', jobTitle: 'Data Engineer', jobDescription: 'Line one\nLine "two"\r\nLine three', viewed: false },
+    { jobId: '4012345679', jobTitle: 'Analyst', salaryMin: null, skills: ['SQL', 'Python'] }
+];
+
+function testJSONDocument() {
+    State.set(State.KEYS.SEARCH_URL, SEARCH_URL);
+    var doc = JSON.parse(Export.generateJSON(JOBS, 'jobs'));
+
+    assert.deepEqual(Object.keys(doc), ['metadata', 'results']);
+    assert.equal(doc.metadata.generator, 'LiSeSca');
+    assert.equal(doc.metadata.version, CONFIG.VERSION);
+    assert.equal(doc.metadata.mode, 'jobs');
+    assert.equal(doc.metadata.searchUrl, SEARCH_URL);
+    assert.ok(!isNaN(Date.parse(doc.metadata.scrapedAt)));
+    assert.deepEqual(doc.metadata.ai, { enabled: false, fullEvaluation: false, model: '', criteria: '' });
+
+    // Every field is kept as extracted, including multi-line text and nulls
+    assert.deepEqual(doc.results, JOBS);
+}
+
+function testJSONLines() {
+    var jsonl = Export.generateJSONL(JOBS);
+    var lines = jsonl.split('\n');
+
+    // One record per line, newline-terminated; line breaks in fields stay escaped
+    assert.equal(lines.length, JOBS.length + 1);
+    assert.equal(lines[JOBS.length], '');
+    assert.deepEqual(lines.slice(0, JOBS.length).map(function(line) {
+        return JSON.parse(line);
+    }), JOBS);
+}
+
+testJSONDocument();
+testJSONLines();
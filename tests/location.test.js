@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+
+import { LocationParser } from '../src/shared/location.js';
+
+function testCityRegionCountry() {
+    assert.deepEqual(LocationParser.parse('Austin, TX'), {
+        city: 'Austin',
+        region: 'Texas',
+        country: 'United States',
+        metroArea: '',
+        isRemote: false
+    });
+    assert.deepEqual(LocationParser.parse('Munich, Bavaria, Germany'), {
+        city: 'Munich',
+        region: 'Bavaria',
+        country: 'Germany',
+        metroArea: '',
+        isRemote: false
+    });
+
+    // A US state named like a country is read as the state after one of its cities
+    assert.deepEqual(LocationParser.parse('Atlanta, Georgia'), {
+        city: 'Atlanta',
+        region: 'Georgia',
+        country: 'United States',
+        metroArea: '',
+        isRemote: false
+    });
+    assert.equal(LocationParser.parse('Georgia').country, 'Georgia');
+    assert.deepEqual(LocationParser.parse('Tbilisi, Georgia'), {
+        city: 'Tbilisi',
+        region: '',
+        country: 'Georgia',
+        metroArea: '',
+        isRemote: false
+    });
+    var atlantaGA = LocationParser.parse('Atlanta, GA');
+    assert.deepEqual([atlantaGA.region, atlantaGA.country], ['Georgia', 'United States']);
+
+    var toronto = LocationParser.parse('Toronto, ON');
+    assert.deepEqual([toronto.region, toronto.country], ['Ontario', 'Canada']);
+
+    // Unknown regions are kept as written
+    var paris = LocationParser.parse('Paris, Île-de-France, France');
+    assert.deepEqual([paris.city, paris.region, paris.country], ['Paris', 'Île-de-France', 'France']);
+
+    // City states are both city and region
+    var berlin = LocationParser.parse('Berlin, Germany');
+    assert.deepEqual([berlin.city, berlin.region], ['Berlin', 'Berlin']);
+
+    assert.equal(LocationParser.parse('Germany').country, 'Germany');
+    assert.equal(LocationParser.parse('London').city, 'London');
+}
+
+function testMetroAreas() {
+    assert.deepEqual(LocationParser.parse('Greater London'), {
+        city: '',
+        region: 'England',
+        country: 'United Kingdom',
+        metroArea: 'Greater London',
+        isRemote: false
+    });
+    var bayArea = LocationParser.parse('San Francisco Bay Area');
+    assert.deepEqual([bayArea.metroArea, bayArea.region, bayArea.country],
+        ['San Francisco Bay Area', 'California', 'United States']);
+
+    // "Greater ..." regions are not metro areas
+    var poznan = LocationParser.parse('Poznań, Greater Poland Voivodeship, Poland');
+    assert.deepEqual([poznan.city, poznan.region, poznan.metroArea], ['Poznań', 'Greater Poland Voivodeship', '']);
+}
+
+function testRemote() {
+    var remote = LocationParser.parse('United States (Remote)');
+    assert.deepEqual([remote.country, remote.isRemote], ['United States', true]);
+
+    assert.equal(LocationParser.parse('Warsaw, Poland (Hybrid)').isRemote, false);
+    assert.equal(LocationParser.parse('Poland', 'Remote').isRemote, true);
+    assert.equal(LocationParser.parse('Remote').isRemote, true);
+
+    var emea = LocationParser.parse('EMEA', 'Remote');
+    assert.deepEqual([emea.region, emea.country, emea.isRemote], ['EMEA', '', true]);
+}
+
+function testEmpty() {
+    assert.deepEqual(LocationParser.parse(''), {
+        city: '',
+        region: '',
+        country: '',
+        metroArea: '',
+        isRemote: false
+    });
+}
+
+testCityRegionCountry();
+testMetroAreas();
+testRemote();
+testEmpty();
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+
+import { MarkdownBundle } from '../src/shared/markdown-bundle.js';
+import { JobOutput } from '../src/jobs/output.js';
+
+globalThis.GM_getValue = function(key, defaultValue) {
+    return defaultValue;
+};
+
+// Records the files added to the archive instead of zipping them
+globalThis.JSZip = function() {
+    this.files = {};
+    JSZip.last = this;
+};
+JSZip.prototype.file = function(name, content) {
+    this.files[name] = content;
+};
+JSZip.prototype.generateAsync = function() {
+    return Promise.resolve(new Uint8Array(0));
+};
+
+function testYAMLValues() {
+    assert.equal(MarkdownBundle.toYAMLValue('Berlin, Germany'), '"Berlin, Germany"');
+    // Colons, hashes, quotes and line breaks cannot break out of the string
+    assert.equal(MarkdownBundle.toYAMLValue('C# dev: "senior"\r\nremote'), '"C# dev: \\"senior\\"\\nremote"');
+    assert.equal(MarkdownBundle.toYAMLValue('back\\slash'), '"back\\\\slash"');
+    assert.equal(MarkdownBundle.toYAMLValue(90000), '90000');
+    assert.equal(MarkdownBundle.toYAMLValue(false), 'false');
+    assert.equal(MarkdownBundle.toYAMLValue(['Python', 'SQL']), '["Python", "SQL"]');
+    assert.equal(MarkdownBundle.toYAMLValue([]), '[]');
+    // Missing values are null, not an empty string
+    assert.equal(MarkdownBundle.toYAMLValue(undefined), 'null');
+    assert.equal(MarkdownBundle.toYAMLValue(null), 'null');
+}
+
+function testFrontMatter() {
+    assert.equal(MarkdownBundle.buildFrontMatter({ title: 'Analyst', salary_min: undefined, skills: ['SQL'] }),
+        '---\ntitle: "Analyst"\nsalary_min: null\nskills: ["SQL"]\n---\n');
+}
+
+function testFileNames() {
+    var usedNames = MarkdownBundle.createUsedNames();
+
+    assert.equal(MarkdownBundle.buildFileName(['Data Engineer', 'Acme', '4012345678'], usedNames),
+        'Data Engineer - Acme - 4012345678.md');
+    // Characters that are unsafe in file names or note links are dropped; empty parts are skipped
+    assert.equal(MarkdownBundle.buildFileName(['C#/C++ Dev: "Lead"?', '', '  Globex  '], usedNames),
+        'CC++ Dev Lead - Globex.md');
+    assert.equal(MarkdownBundle.buildFileName(['', null], usedNames), 'untitled.md');
+    // Duplicates get a numeric suffix, ignoring case
+    assert.equal(MarkdownBundle.buildFileName(['data engineer', 'acme', '4012345678'], usedNames),
+        'data engineer - acme - 4012345678 (2).md');
+    // A record named like the index note does not overwrite it
+    assert.equal(MarkdownBundle.buildFileName(['Index'], usedNames), 'Index (2).md');
+
+    var long = MarkdownBundle.buildFileName(['x'.repeat(300)], MarkdownBundle.createUsedNames());
+    assert.equal(long, 'x'.repeat(MarkdownBundle.MAX_FILENAME_LENGTH) + '.md');
+}
+
+function testIndex() {
+    var index = MarkdownBundle.buildIndex('LinkedIn Jobs', [
+        { fileName: 'Data Engineer - Acme.md', title: 'Data Engineer [Remote] — Acme' }
+    ]);
+    var lines = index.split('\n');
+    assert.equal(lines[0], '# LinkedIn Jobs');
+    assert.ok(/^1 notes, generated \d{4}-\d\d-\d\dT/.test(lines[2]));
+    assert.equal(lines[4], '- [Data Engineer Remote — Acme](Data%20Engineer%20-%20Acme.md)');
+}
+
+function testJobsBundle() {
+    var jobs = [
+        { jobId: '1', jobTitle: 'Index', company: '', salaryMin: 90000, skills: ['SQL'] },
+        { jobId: '2', jobTitle: 'Analyst', company: 'Globex', jobDescription: 'Line one\nLine two' }
+    ];
+    return JobOutput.generateMarkdownBundle(jobs).then(function() {
+        var files = JSZip.last.files;
+        assert.deepEqual(Object.keys(files).sort(), ['Analyst - Globex - 2.md', 'Index - 1.md', 'index.md']);
+
+        var note = files['Analyst - Globex - 2.md'];
+        assert.ok(note.indexOf('---\ntitle: "Analyst"\ncompany: "Globex"\n') === 0);
+        assert.ok(note.indexOf('\nsalary_min: null\nsalary_max: null\n') !== -1);
+        assert.ok(note.indexOf('\njob_id: "2"\n') !== -1);
+        assert.ok(note.indexOf('Line one\nLine two') !== -1);
+        assert.ok(files['Index - 1.md'].indexOf('\nsalary_min: 90000\n') !== -1);
+        assert.ok(files['index.md'].indexOf('(Index%20-%201.md)') !== -1);
+    });
+}
+
+testYAMLValues();
+testFrontMatter();
+testFileNames();
+testIndex();
+testJobsBundle();
@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+
+import { PageDetector } from '../src/shared/page-detector.js';
+import { JobSelectors } from '../src/selectors/jobs.js';
+import { MyJobs } from '../src/jobs/my-jobs.js';
+import { JobOutput } from '../src/jobs/output.js';
+import { fakeCard } from './helpers/fake-dom.js';
+
+var BASE = 'https://www.linkedin.com/my-items/saved-jobs/';
+
+/**
+ * Build a stand-in for a My Jobs card.
+ * @param {Object} parts - { href, title, company, location, insight }; without href the card has no job link.
+ * @returns {Object} An object answering the card's querySelector calls.
+ */
+function jobCard(parts) {
+    return fakeCard({
+        // LinkedIn repeats the title in a visually hidden span
+        [JobSelectors.MY_JOBS_TITLE_LINK]: parts.href && {
+            href: parts.href,
+            textContent: '\n  ' + parts.title + '\n  ' + parts.title + '\n'
+        },
+        [JobSelectors.MY_JOBS_COMPANY]: ' ' + parts.company + ' ',
+        [JobSelectors.MY_JOBS_LOCATION]: ' ' + parts.location + ' ',
+        [JobSelectors.MY_JOBS_INSIGHT]: parts.insight && '\n ' + parts.insight + ' \n'
+    });
+}
+
+function testPageTypes() {
+    assert.equal(PageDetector.getPageTypeFromUrl(BASE), 'myJobs');
+    assert.equal(PageDetector.getPageTypeFromUrl(BASE + '?cardType=APPLIED&start=10'), 'myJobs');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/jobs/view/4012345678/'), 'jobview');
+    assert.equal(PageDetector.getPageTypeFromUrl('https://www.linkedin.com/my-items/saved-posts/'), 'unknown');
+}
+
+function testUrls() {
+    assert.equal(MyJobs.getTrackerStatus(BASE), 'Saved');
+    assert.equal(MyJobs.getTrackerStatus(BASE + '?cardType=IN_PROGRESS'), 'In Progress');
+    assert.equal(MyJobs.getTrackerStatus(BASE + '?cardType=applied'), 'Applied');
+    assert.equal(MyJobs.getTrackerStatus(BASE + '?cardType=ARCHIVED'), 'Archived');
+    assert.equal(MyJobs.getTrackerStatus(BASE + '?cardType=OTHER'), 'Saved');
+
+    assert.equal(MyJobs.getCurrentPage(BASE + '?cardType=APPLIED'), 1);
+    assert.equal(MyJobs.getCurrentPage(BASE + '?cardType=APPLIED&start=20'), 3);
+
+    var baseUrl = MyJobs.getBaseUrl(BASE + '?cardType=APPLIED&start=20');
+    assert.equal(baseUrl, BASE + '?cardType=APPLIED');
+    assert.equal(MyJobs.getPageUrl(baseUrl, 2), BASE + '?cardType=APPLIED&start=10');
+    assert.equal(MyJobs.getPageUrl(baseUrl, 1), baseUrl);
+}
+
+function testParseAppliedAt() {
+    var now = new Date(2026, 2, 15, 12, 0, 0);
+    assert.equal(MyJobs.expandShortUnits('Applied 3d ago'), 'Applied 3 day ago');
+    assert.equal(MyJobs.expandShortUnits('Applied 2mo ago'), 'Applied 2 month ago');
+    // Spelled-out units are left alone
+    assert.equal(MyJobs.expandShortUnits('Applied 3 days ago'), 'Applied 3 days ago');
+
+    assert.equal(MyJobs.parseAppliedAt('Applied 3d ago', now), '2026-03-12');
+    assert.equal(MyJobs.parseAppliedAt('Applied 2 weeks ago', now), '2026-03-01');
+    assert.equal(MyJobs.parseAppliedAt('Applied today', now), '2026-03-15');
+    assert.equal(MyJobs.parseAppliedAt('Applied yesterday', now), '2026-03-14');
+    assert.equal(MyJobs.parseAppliedAt('Posted 3d ago', now), '');
+    assert.equal(MyJobs.parseAppliedAt('', now), '');
+}
+
+function testExtractCard() {
+    var now = new Date(2026, 2, 15, 12, 0, 0);
+    var job = MyJobs.extractCard(jobCard({
+        href: 'https://www.linkedin.com/jobs/view/4012345678/?refId=abc&trackingId=xyz',
+        title: 'Senior Data Engineer',
+        company: 'Acme Analytics',
+        location: 'Austin, TX (Hybrid)',
+        insight: 'Applied 1w ago'
+    }), 'Applied', now);
+
+    assert.equal(job.jobId, '4012345678');
+    assert.equal(job.jobTitle, 'Senior Data Engineer');
+    assert.equal(job.company, 'Acme Analytics');
+    assert.equal(job.location, 'Austin, TX (Hybrid)');
+    assert.equal(job.jobLink, 'https://www.linkedin.com/jobs/view/4012345678/');
+    assert.equal(job.trackerStatus, 'Applied');
+    assert.equal(job.statusText, 'Applied 1w ago');
+    assert.equal(job.appliedAt, '2026-03-08');
+    assert.equal(job.city, 'Austin');
+
+    var saved = MyJobs.extractCard(jobCard({
+        href: 'https://www.linkedin.com/jobs/view/4099999999/',
+        title: 'Data Analyst',
+        company: 'Beta Corp',
+        location: 'Remote'
+    }), 'Saved', now);
+    assert.equal(saved.statusText, '');
+    assert.equal(saved.appliedAt, '');
+
+    assert.equal(MyJobs.extractCard(jobCard({ company: 'No Link', location: '' }), 'Saved', now), null);
+}
+
+function testMarkdownTrackerLine() {
+    var markdown = JobOutput.formatJobMarkdown({
+        jobTitle: 'Senior Data Engineer',
+        company: 'Acme Analytics',
+        trackerStatus: 'Applied',
+        statusText: 'Applied 1w ago'
+    });
+    assert.ok(markdown.indexOf('**Tracker Status:** Applied (Applied 1w ago)') !== -1);
+}
+
+testPageTypes();
+testUrls();
+testParseAppliedAt();
+testExtractCard();
+testMarkdownTrackerLine();
@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+
+import { ProfileExtractor } from '../src/people/profile-extractor.js';
+import { Output } from '../src/people/output.js';
+
+function testSingleRole() {
+    assert.deepEqual(ProfileExtractor.parseExperienceItem(
+        ['Head of Data', 'Acme GmbH · Full-time', 'Mar 2021 - Present · 3 yrs 2 mos', 'Berlin, Germany · Hybrid'], []
+    ), [{
+        title: 'Head of Data',
+        company: 'Acme GmbH',
+        dateRange: 'Mar 2021 - Present',
+        duration: '3 yrs 2 mos',
+        location: 'Berlin, Germany',
+        current: true
+    }]);
+}
+
+function testGroupedRoles() {
+    var entries = ProfileExtractor.parseExperienceItem(
+        ['Globex', 'Full-time · 6 yrs', 'London, United Kingdom'],
+        [
+            ['Engineering Manager', 'Jan 2019 - Dec 2021 · 3 yrs'],
+            ['Senior Engineer', 'Full-time', 'Jan 2016 - Dec 2018 · 3 yrs', 'London'],
+            // Sub-items without dates are descriptions, not roles
+            ['Led the payments team.']
+        ]
+    );
+    assert.deepEqual(entries.map(function(entry) {
+        return [entry.title, entry.company, entry.dateRange, entry.location, entry.current];
+    }), [
+        ['Engineering Manager', 'Globex', 'Jan 2019 - Dec 2021', '', false],
+        ['Senior Engineer', 'Globex', 'Jan 2016 - Dec 2018', 'London', false]
+    ]);
+
+    // A single role whose description sits in the sub-items
+    assert.equal(ProfileExtractor.parseExperienceItem(
+        ['Analyst', 'Initech', '2014 - 2016'], [['Built reports.']]
+    )[0].company, 'Initech');
+}
+
+function testEducation() {
+    assert.deepEqual(ProfileExtractor.parseEducationTexts(['TU Berlin', 'MSc, Computer Science', '2010 - 2012']),
+        { school: 'TU Berlin', degree: 'MSc, Computer Science', dateRange: '2010 - 2012' });
+    assert.deepEqual(ProfileExtractor.parseEducationTexts(['Stanford University', '2008 - 2010']),
+        { school: 'Stanford University', degree: '', dateRange: '2008 - 2010' });
+    assert.equal(ProfileExtractor.parseEducationTexts([]), null);
+}
+
+function testBuildFields() {
+    var fields = ProfileExtractor.buildFields({
+        experience: [
+            { title: 'Advisor', company: 'Side Co', dateRange: '2015 - 2018', current: false },
+            { title: 'CTO', company: 'Acme', dateRange: 'Jan 2020 - Present', current: true }
+        ],
+        education: [{ school: 'TU Berlin', degree: 'MSc', dateRange: '2010 - 2012' }],
+        skills: ['Python', 'Leadership'],
+        about: 'Builder of teams.'
+    }, new Date('2025-03-07T09:05:00Z'));
+
+    assert.equal(fields.currentTitle, 'CTO');
+    assert.equal(fields.currentCompany, 'Acme');
+    assert.equal(fields.experienceHistory, 'Advisor at Side Co (2015 - 2018); CTO at Acme (Jan 2020 - Present)');
+    assert.equal(fields.educationHistory, 'MSc, TU Berlin (2010 - 2012)');
+    assert.equal(fields.profileVisitedAt, '2025-03-07T09:05:00.000Z');
+
+    var empty = ProfileExtractor.buildFields({ experience: [], education: [], skills: [], about: '' }, new Date());
+    assert.equal(empty.currentTitle, '');
+    assert.equal(empty.experienceHistory, '');
+}
+
+function testOutput() {
+    var profile = Object.assign({
+        fullName: 'Jane Doe',
+        location: 'Berlin',
+        profileUrl: 'https://www.linkedin.com/in/jane-doe'
+    }, ProfileExtractor.buildFields({
+        experience: [{ title: 'CTO', company: 'Acme', dateRange: 'Jan 2020 - Present', location: 'Berlin', current: true }],
+        education: [],
+        skills: ['Python', 'Leadership'],
+        about: 'Builder of teams.'
+    }, new Date()));
+
+    var markdown = Output.formatProfile(profile);
+    assert.match(markdown, /\*\*Current:\*\* CTO at Acme\n\*\*Skills:\*\* Python, Leadership\n\n## Experience\n\n- CTO at Acme \(Jan 2020 - Present\), Berlin\n\n## About\n\nBuilder of teams\.$/);
+    assert.doesNotMatch(Output.formatProfile({ fullName: 'John Roe' }), /Current|Experience/);
+
+    var columns = [{ key: 'profileSkills', header: 'Skills' }, { key: 'currentCompany', header: 'Current Company' }];
+    assert.deepEqual(Output.profileToRow(profile, columns), ['Python, Leadership', 'Acme']);
+}
+
+testSingleRole();
+testGroupedRoles();
+testEducation();
+testBuildFields();
+testOutput();
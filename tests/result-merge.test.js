@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+
+import { ResultMerge } from '../src/shared/result-merge.js';
+
+var JOB_COLUMNS = [
+    { key: 'jobId', header: 'Job ID' },
+    { key: 'jobTitle', header: 'Job Title' },
+    { key: 'applicants', header: 'Applicants' },
+    { key: 'postedDate', header: 'Posted' }
+];
+
+function testKeys() {
+    assert.equal(ResultMerge.cleanProfileUrl('http://de.linkedin.com/in/Jane-Doe/?miniProfileUrn=x'),
+        'https://www.linkedin.com/in/jane-doe');
+    assert.equal(ResultMerge.cleanProfileUrl('https://www.linkedin.com/in/j%C3%BCrgen'),
+        'https://www.linkedin.com/in/jürgen');
+    assert.equal(ResultMerge.recordKey('jobs', { jobId: 123 }), '123');
+    assert.equal(ResultMerge.recordKey('jobs', { jobLink: 'https://www.linkedin.com/jobs/view/456/' }), '456');
+    assert.equal(ResultMerge.recordKey('jobs', {}), '');
+}
+
+function testTableToRecords() {
+    var headerMap = ResultMerge.buildHeaderMap([JOB_COLUMNS, [{ key: 'jobTitle', header: 'Role' }]]);
+    var records = ResultMerge.tableToRecords([
+        ['Merge Status', 'Job ID', 'Role', 'Notes'],
+        ['new', '1', 'Engineer', 'mine'],
+        ['', '', '', '']
+    ], headerMap);
+
+    assert.deepEqual(records, [{ mergeStatus: 'new', jobId: '1', jobTitle: 'Engineer' }]);
+    assert.throws(function() {
+        ResultMerge.tableToRecords([['Foo', 'Bar']], headerMap);
+    }, /No LiSeSca columns/);
+}
+
+function testParseJSON() {
+    assert.deepEqual(ResultMerge.parseJSON('{"metadata":{},"results":[{"jobId":"1"}]}'), [{ jobId: '1' }]);
+    assert.deepEqual(ResultMerge.parseJSON('{"jobId":"1"}\n{"jobId":"2"}\n'), [{ jobId: '1' }, { jobId: '2' }]);
+    assert.throws(function() {
+        ResultMerge.parseJSON('not json');
+    }, /Not a LiSeSca/);
+}
+
+function testMerge() {
+    var keys = JOB_COLUMNS.map(function(column) {
+        return column.key;
+    });
+    var existing = [
+        { jobId: '1', jobTitle: 'Engineer', applicants: 10, postedDate: '1 day ago', mergeStatus: 'new' },
+        { jobId: '2', jobTitle: 'Manager', applicants: '5' },
+        { jobId: '3', jobTitle: 'Designer' }
+    ];
+    var incoming = [
+        { jobId: '2', jobTitle: 'Manager', applicants: '5', postedDate: '3 days ago', jobDescription: 'Text' },
+        { jobId: '1', jobTitle: 'Engineer', applicants: '25' },
+        { jobId: '4', jobTitle: 'Analyst' },
+        { jobId: '4', jobTitle: 'Analyst', applicants: '3' }
+    ];
+    var result = ResultMerge.merge('jobs', existing, incoming, keys);
+
+    assert.deepEqual(result.counts, { new: 1, updated: 1, unchanged: 2 });
+    assert.deepEqual(result.records.map(function(record) {
+        return record.jobId + ':' + record.mergeStatus;
+    }), ['1:updated', '2:unchanged', '3:unchanged', '4:new']);
+    assert.equal(result.records[0].applicants, '25');
+    assert.equal(result.records[1].jobDescription, 'Text');
+    assert.equal(result.records[3].applicants, '3');
+}
+
+testKeys();
+testTableToRecords();
+testParseJSON();
+testMerge();
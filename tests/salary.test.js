@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+
+import { SalaryParser } from '../src/jobs/salary.js';
+
+function testLinkedInInsights() {
+    assert.deepEqual(SalaryParser.parse('$120K/yr - $150K/yr'), {
+        salaryMin: 120000,
+        salaryMax: 150000,
+        salaryCurrency: 'USD',
+        salaryPeriod: 'year',
+        salaryRaw: '$120K/yr - $150K/yr'
+    });
+    assert.deepEqual(SalaryParser.parse('$45/hr - $60.50/hr'), {
+        salaryMin: 45,
+        salaryMax: 60.5,
+        salaryCurrency: 'USD',
+        salaryPeriod: 'hour',
+        salaryRaw: '$45/hr - $60.50/hr'
+    });
+    assert.equal(SalaryParser.parse('CA$90,000/yr').salaryCurrency, 'CAD');
+    assert.equal(SalaryParser.parse('€60K/yr').salaryMax, 60000);
+    assert.equal(SalaryParser.parse('Full-time'), null);
+}
+
+function testFormats() {
+    var european = SalaryParser.parse('120.000 € - 140.000,50 €');
+    assert.equal(european.salaryMin, 120000);
+    assert.equal(european.salaryMax, 140000.5);
+    assert.equal(european.salaryCurrency, 'EUR');
+
+    var spaced = SalaryParser.parse('PLN 15 000 - 20 000 monthly');
+    assert.deepEqual([spaced.salaryMin, spaced.salaryMax, spaced.salaryPeriod], [15000, 20000, 'month']);
+
+    // A shared "K" suffix applies to both ends
+    var shared = SalaryParser.parse('$120-150K');
+    assert.deepEqual([shared.salaryMin, shared.salaryMax], [120000, 150000]);
+}
+
+function testDescriptionText() {
+    var range = SalaryParser.findInText('The base pay range for this role is $152,000—$228,000 USD per year.');
+    assert.deepEqual([range.salaryMin, range.salaryMax, range.salaryPeriod], [152000, 228000, 'year']);
+
+    var keyword = SalaryParser.findInText('We raised $20M last year. Salary: £65,000 plus bonus.');
+    assert.deepEqual([keyword.salaryMin, keyword.salaryCurrency], [65000, 'GBP']);
+
+    assert.equal(SalaryParser.findInText('We raised $20M from investors and have 5 offices.'), null);
+    assert.equal(SalaryParser.findInText('5+ years of experience'), null);
+    // Words that only contain "base" or "earn" are no pay context
+    assert.equal(SalaryParser.findInText('Our database serves $5,000 customers.'), null);
+    assert.equal(SalaryParser.findInText('A team based in Austin with a $40,000 budget.'), null);
+    assert.equal(SalaryParser.findInText('You will learn our codebase and cut $30,000 in costs.'), null);
+    var earnings = SalaryParser.findInText('Expected earnings: $90,000 in the first year.');
+    assert.equal(earnings.salaryMin, 90000);
+}
+
+function testEmptyFields() {
+    assert.deepEqual(SalaryParser.toFields(null), {
+        salaryMin: null,
+        salaryMax: null,
+        salaryCurrency: '',
+        salaryPeriod: '',
+        salaryRaw: ''
+    });
+}
+
+testLinkedInInsights();
+testFormats();
+testDescriptionText();
+testEmptyFields();
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+
+import { State } from '../src/shared/state.js';
+import { Session } from '../src/shared/session.js';
+
+// In-memory stand-in for Tampermonkey storage
+var storage = {};
+globalThis.GM_getValue = function(key, defaultValue) {
+    return Object.prototype.hasOwnProperty.call(storage, key) ? storage[key] : defaultValue;
+};
+globalThis.GM_setValue = function(key, value) {
+    storage[key] = value;
+};
+globalThis.GM_deleteValue = function(key) {
+    delete storage[key];
+};
+globalThis.window = { location: { href: 'https://www.linkedin.com/feed/' } };
+
+/**
+ * Put a visiting session with the given buffer into storage.
+ * @param {Array} buffer - The buffered records.
+ * @param {number} index - The record being visited.
+ */
+function startVisiting(buffer, index) {
+    storage = {};
+    State.set(State.KEYS.IS_SCRAPING, true);
+    State.set(State.KEYS.SCRAPED_BUFFER, JSON.stringify(buffer));
+    State.set(State.KEYS.VISIT_PHASE, 'visiting');
+    State.set(State.KEYS.VISIT_INDEX, index);
+}
+
+/**
+ * Build a visit object that records what the loop did.
+ * @param {boolean} onPage - What isOnPage answers.
+ * @param {Object|null} details - What extract resolves to.
+ * @returns {Object} The visit object, with a `finished` promise and an `extracted` count.
+ */
+function fakeVisit(onPage, details) {
+    var visit = {
+        label: 'Job',
+        extracted: 0,
+        getUrl: function(record) {
+            return record.url || '';
+        },
+        isOnPage: function() {
+            return onPage;
+        },
+        extract: function() {
+            visit.extracted++;
+            return Promise.resolve(details);
+        },
+        merge: function(record, read) {
+            return Object.assign({}, record, read, { kept: record.kept });
+        }
+    };
+    visit.finished = new Promise(function(resolve) {
+        visit.finish = resolve;
+    });
+    return visit;
+}
+
+function testResumeMergesAndFinishes() {
+    startVisiting([{ url: 'https://x.test/1', kept: 'Applied', title: 'Card title' }], 0);
+    var visit = fakeVisit(true, { title: 'Page title', kept: 'overwritten' });
+
+    Session.resumeVisit(visit);
+    return visit.finished.then(function() {
+        assert.equal(visit.extracted, 1);
+        assert.deepEqual(State.getBuffer(), [{ url: 'https://x.test/1', kept: 'Applied', title: 'Page title' }]);
+        assert.equal(State.getVisitPhase(), 'done');
+    });
+}
+
+function testWrongPageIsSkipped() {
+    startVisiting([{ url: 'https://x.test/1', title: 'Card title' }], 0);
+    var visit = fakeVisit(false, { title: 'Page title' });
+
+    Session.resumeVisit(visit);
+    return visit.finished.then(function() {
+        assert.equal(visit.extracted, 0);
+        assert.equal(State.getBuffer()[0].title, 'Card title');
+    });
+}
+
+function testRecordsWithoutUrlAreSkipped() {
+    startVisiting([{ title: 'A' }, { title: 'B' }], 0);
+    var visit = fakeVisit(true, null);
+
+    Session.visitNext(visit);
+    return visit.finished.then(function() {
+        assert.equal(visit.extracted, 0);
+        assert.equal(State.getVisitPhase(), 'done');
+    });
+}
+
+testResumeMergesAndFinishes()
+    .then(testWrongPageIsSkipped)
+    .then(testRecordsWithoutUrlAreSkipped)
+    .then(function() {
+        delete globalThis.window;
+    });
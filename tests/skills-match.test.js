@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+
+import { JobSelectors } from '../src/selectors/jobs.js';
+import { JobExtractor } from '../src/jobs/extractor.js';
+import { JobOutput } from '../src/jobs/output.js';
+import { fakeCard } from './helpers/fake-dom.js';
+
+/**
+ * Minimal stand-in for a "How you match" item element.
+ * @param {string} title - The item title.
+ * @param {string} list - The skill list text.
+ * @returns {Object} An element-like object.
+ */
+function fakeItem(title, list) {
+    return fakeCard({
+        [JobSelectors.DETAIL_SKILLS_MATCH_ITEM_LIST]: list
+    }, { textContent: title + ' ' + list });
+}
+
+/**
+ * Install a fake document whose skills module holds the given items.
+ * @param {Array<Object>|null} items - Items from fakeItem, or null for no module.
+ */
+function setSkillsModule(items) {
+    var section = items && {
+        textContent: items.map(function(item) {
+            return item.textContent;
+        }).join(' '),
+        querySelectorAll: function() {
+            return items;
+        }
+    };
+    globalThis.document = {
+        querySelector: function(selector) {
+            return selector === JobSelectors.DETAIL_SKILLS_MATCH ? section : null;
+        }
+    };
+}
+
+function testParseSkillList() {
+    assert.deepEqual(JobExtractor.parseSkillList('Python, SQL, and Data Analysis'), ['Python', 'SQL', 'Data Analysis']);
+    assert.deepEqual(JobExtractor.parseSkillList('Go and Kubernetes'), ['Go', 'Kubernetes']);
+    assert.deepEqual(JobExtractor.parseSkillList('Java, Spring, +4 more'), ['Java', 'Spring']);
+    assert.deepEqual(JobExtractor.parseSkillList(''), []);
+}
+
+function testExtractSkillsMatch() {
+    setSkillsModule([
+        fakeItem('3 skills on your profile', 'Python, SQL, and Data Analysis'),
+        fakeItem('7 skills missing on your profile', 'Tableau, dbt, +5 more')
+    ]);
+    assert.deepEqual(JobExtractor.extractDetailSkillsMatch(), {
+        matchedSkills: ['Python', 'SQL', 'Data Analysis'],
+        missingSkills: ['Tableau', 'dbt'],
+        skillsMatchRatio: 0.3
+    });
+
+    setSkillsModule(null);
+    assert.deepEqual(JobExtractor.extractDetailSkillsMatch(), {
+        matchedSkills: [],
+        missingSkills: [],
+        skillsMatchRatio: null
+    });
+    delete globalThis.document;
+}
+
+function testMarkdown() {
+    var markdown = JobOutput.formatJobMarkdown({
+        jobTitle: 'Data Analyst',
+        matchedSkills: ['Python', 'SQL'],
+        missingSkills: ['Tableau'],
+        skillsMatchRatio: 0.67
+    });
+    assert.match(markdown, /## How You Match\n\n\*\*Skills Match:\*\* 67%\n/);
+    assert.match(markdown, /\*\*Skills on your profile:\*\* Python, SQL\n\*\*Skills missing from your profile:\*\* Tableau/);
+    assert.doesNotMatch(JobOutput.formatJobMarkdown({ jobTitle: 'Data Analyst', skillsMatchRatio: null }), /How You Match/);
+}
+
+testParseSkillList();
+testExtractSkillsMatch();
+testMarkdown();
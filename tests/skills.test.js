@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../src/shared/config.js';
+import { SkillExtractor } from '../src/jobs/skills.js';
+
+function testParseDictionary() {
+    var skills = SkillExtractor.parseDictionary('# Languages\nPython\nGo: Golang, "Go"\n\n# Tools\nKubernetes: K8s');
+    assert.deepEqual(skills.map(function(skill) {
+        return [skill.name, skill.category, skill.patterns.length];
+    }), [
+        ['Python', 'Languages', 1],
+        ['Go', 'Languages', 2],
+        ['Kubernetes', 'Tools', 2]
+    ]);
+
+    assert.equal(SkillExtractor.validate(SkillExtractor.DEFAULT_DICTIONARY), null);
+    assert.match(SkillExtractor.validate('Python\n: alias'), /^Line 2:/);
+}
+
+function testFindSkills() {
+    var text = 'You know Python, C/C++ and C#, JavaScript (Node.js, React) and run it on k8s in AWS. '
+        + 'Experience with ASP.NET is a plus. Golang preferred.';
+    assert.deepEqual(SkillExtractor.findSkills(text), [
+        'Python', 'JavaScript', 'C', 'C++', 'C#', 'Go', 'React', 'Node.js', '.NET', 'AWS', 'Kubernetes'
+    ]);
+
+    // "Java" is not part of "JavaScript"; exact-case aliases skip ordinary words
+    assert.deepEqual(SkillExtractor.findSkills('JavaScript only. We go live in spring and excel at R&D.'), ['JavaScript']);
+}
+
+function testUserDictionary() {
+    CONFIG.SKILLS_DICTIONARY = '# Domain\nPayments: PCI DSS, card processing';
+    assert.deepEqual(SkillExtractor.findSkills('Knowledge of PCI  DSS and Python'), ['Payments']);
+    CONFIG.SKILLS_DICTIONARY = '';
+    assert.deepEqual(SkillExtractor.findSkills('Knowledge of PCI DSS and Python'), ['Python']);
+}
+
+function testSeniority() {
+    assert.equal(SkillExtractor.detectSeniority('Sr. Backend Engineer'), 'senior');
+    assert.equal(SkillExtractor.detectSeniority('Staff Software Engineer'), 'lead');
+    assert.equal(SkillExtractor.detectSeniority('Principal Product Manager'), 'principal');
+    assert.equal(SkillExtractor.detectSeniority('Junior Data Analyst'), 'junior');
+    assert.equal(SkillExtractor.detectSeniority('Software Engineering Intern'), 'intern');
+    assert.equal(SkillExtractor.detectSeniority('Data Analyst', 'Internship'), 'intern');
+    assert.equal(SkillExtractor.detectSeniority('Software Engineer', 'Full-time'), '');
+}
+
+function testYearsExperience() {
+    assert.equal(SkillExtractor.parseYearsExperience('5+ years of experience with Go'), 5);
+    assert.equal(SkillExtractor.parseYearsExperience('3-5 years of relevant experience'), 3);
+    assert.equal(SkillExtractor.parseYearsExperience('at least three years’ professional experience'), 3);
+    assert.equal(SkillExtractor.parseYearsExperience('2 or more years of hands-on experience'), 2);
+    assert.equal(SkillExtractor.parseYearsExperience('Our team has 100 years of experience'), null);
+    assert.equal(SkillExtractor.parseYearsExperience('No requirements.'), null);
+}
+
+function testAnalyze() {
+    assert.deepEqual(SkillExtractor.analyze({
+        jobTitle: 'Senior Python Developer',
+        employmentType: 'Full-time',
+        jobDescription: 'We need 4+ years of experience with Python and Docker.'
+    }), {
+        skills: ['Python', 'Docker'],
+        seniority: 'senior',
+        yearsExperienceRequired: 4
+    });
+}
+
+testParseDictionary();
+testFindSkills();
+testUserDictionary();
+testSeniority();
+testYearsExperience();
+testAnalyze();
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+
+import { Template } from '../src/shared/template.js';
+
+function testVariables() {
+    var job = { jobTitle: 'Engineer', company: 'Acme', meta: { id: 7 } };
+
+    assert.equal(Template.render('# {{jobTitle}} at {{ company }}', job), '# Engineer at Acme');
+    assert.equal(Template.render('{{meta.id}}/{{missing}}/{{meta.none.deep}}', job), '7//');
+    assert.equal(Template.render('{{tags}}', { tags: ['a', 'b'] }), 'a, b');
+}
+
+function testConditionals() {
+    var template = '{{#if applicants}}Applicants: {{applicants}}{{else}}No data{{/if}}';
+
+    assert.equal(Template.render(template, { applicants: '12' }), 'Applicants: 12');
+    assert.equal(Template.render(template, { applicants: '' }), 'No data');
+    assert.equal(Template.render('{{#unless a}}none{{/unless}}', { a: [] }), 'none');
+    assert.equal(Template.render('{{#if a}}{{#if b}}ab{{else}}a{{/if}}{{else}}-{{/if}}', { a: 1 }), 'a');
+}
+
+function testLoops() {
+    var data = { company: 'Acme', skills: ['Go', 'SQL'], team: [{ name: 'Ann' }, { name: 'Bob' }] };
+
+    assert.equal(Template.render('{{#each skills}}[{{@number}}:{{this}}]{{/each}}', data), '[1:Go][2:SQL]');
+    // Outer fields stay reachable inside a loop
+    assert.equal(Template.render('{{#each team}}{{name}}@{{company}} {{/each}}', data), 'Ann@Acme Bob@Acme ');
+    assert.equal(Template.render('{{#each missing}}x{{/each}}', data), '');
+}
+
+function testStandaloneBlockLines() {
+    var template = '# {{title}}\n{{#if location}}\nLocation: {{location}}\n{{/if}}\nEnd\n';
+
+    assert.equal(Template.render(template, { title: 'T', location: 'Berlin' }), '# T\nLocation: Berlin\nEnd\n');
+    assert.equal(Template.render(template, { title: 'T' }), '# T\nEnd\n');
+}
+
+function testValidation() {
+    assert.equal(Template.validate('{{#if a}}x{{/if}}'), null);
+    assert.match(Template.validate('{{#if a}}x'), /Unclosed/);
+    assert.match(Template.validate('{{#if a}}x{{/each}}'), /Expected/);
+    assert.match(Template.validate('{{/if}}'), /Unexpected/);
+    assert.match(Template.validate('{{a b}}'), /Invalid tag/);
+    assert.throws(function() {
+        Template.render('{{#each a}}{{else}}{{/each}}', {});
+    });
+}
+
+testVariables();
+testConditionals();
+testLoops();
+testStandaloneBlockLines();
+testValidation();
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+
+import { Output } from '../src/people/output.js';
+
+/**
+ * Count the UTF-8 octets of a string.
+ * @param {string} text - The text.
+ * @returns {number} The octet count.
+ */
+function octets(text) {
+    return Buffer.byteLength(text, 'utf8');
+}
+
+function testEscaping() {
+    assert.equal(Output.escapeVCardText('Müller, Anna; PhD'), 'Müller\\, Anna\\; PhD');
+    assert.equal(Output.escapeVCardText('C:\\path'), 'C:\\\\path');
+    // Every line break style becomes a literal \n, so a value stays on one content line
+    assert.equal(Output.escapeVCardText('one\r\ntwo\rthree\nfour'), 'one\\ntwo\\nthree\\nfour');
+    assert.equal(Output.escapeVCardText(null), '');
+    assert.equal(Output.escapeVCardText(3), '3');
+}
+
+function testFolding() {
+    assert.equal(Output.foldVCardLine('FN:Jane Doe'), 'FN:Jane Doe');
+
+    var ascii = 'NOTE:' + 'a'.repeat(200);
+    var folded = Output.foldVCardLine(ascii);
+    var lines = folded.split('\r\n');
+    assert.equal(lines[0].length, 75);
+    lines.forEach(function(line, index) {
+        assert.ok(octets(line) <= 75);
+        if (index > 0) {
+            assert.equal(line[0], ' ');
+        }
+    });
+    // Unfolding (dropping CRLF + space) gives back the original line
+    assert.equal(folded.replace(/\r\n /g, ''), ascii);
+
+    // Multi-byte characters are never split across lines
+    var accented = 'NOTE:' + 'é'.repeat(60) + '😀'.repeat(20);
+    var foldedAccented = Output.foldVCardLine(accented);
+    foldedAccented.split('\r\n').forEach(function(line) {
+        assert.ok(octets(line) <= 75);
+        assert.ok(line.indexOf('\uFFFD') === -1);
+    });
+    assert.equal(foldedAccented.replace(/\r\n /g, ''), accented);
+}
+
+function testProfileToVCard() {
+    var vcard = Output.profileToVCard({
+        fullName: 'Anna Maria Müller',
+        headline: 'Head of Data, Acme',
+        location: 'Berlin, Germany',
+        profileUrl: 'https://www.linkedin.com/in/anna-mueller/',
+        connectionDegree: 2,
+        aiScore: 4,
+        aiLabel: 'Strong',
+        aiReason: 'Leads a data team;\nhires often'
+    });
+
+    assert.ok(vcard.slice(-2) === '\r\n');
+    var lines = vcard.replace(/\r\n /g, '').split('\r\n');
+    assert.deepEqual(lines, [
+        'BEGIN:VCARD',
+        'VERSION:4.0',
+        'FN:Anna Maria Müller',
+        'N:Müller;Anna Maria;;;',
+        'TITLE:Head of Data\\, Acme',
+        'ADR:;;;Berlin\\, Germany;;;',
+        'URL:https://www.linkedin.com/in/anna-mueller/',
+        'NOTE:Head of Data\\, Acme\\nLinkedIn connection: 2nd\\nAI score: 4/5 (Strong)\\nAI reason: Leads a data team\\;\\nhires often',
+        'END:VCARD',
+        ''
+    ]);
+}
+
+function testMinimalProfile() {
+    var lines = Output.profileToVCard({ fullName: 'Cher' }).split('\r\n');
+    assert.deepEqual(lines, ['BEGIN:VCARD', 'VERSION:4.0', 'FN:Cher', 'N:Cher;;;;', 'END:VCARD', '']);
+
+    assert.equal(Output.profileToVCard({}).split('\r\n')[2], 'FN:(unnamed)');
+}
+
+function testGenerateVCard() {
+    var file = Output.generateVCard([{ fullName: 'Jane Doe' }, { fullName: 'John Roe' }]);
+    assert.equal(file.match(/BEGIN:VCARD\r\n/g).length, 2);
+    assert.equal(file.match(/END:VCARD\r\n/g).length, 2);
+    assert.equal(Output.generateVCard([]), '');
+}
+
+testEscaping();
+testFolding();
+testProfileToVCard();
+testMinimalProfile();
+testGenerateVCard();
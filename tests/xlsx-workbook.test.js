@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+
+import { XlsxWorkbook } from '../src/shared/xlsx-workbook.js';
+
+var FROZEN_PANE = '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>';
+
+function testFreezeExistingSheetView() {
+    var xml = '<worksheet><dimension ref="A1:B2"/><sheetViews><sheetView workbookViewId="0"/></sheetViews>'
+        + '<sheetData/></worksheet>';
+    var patched = XlsxWorkbook.freezeHeaderRowXml(xml);
+
+    assert.ok(patched.indexOf('<sheetView workbookViewId="0">' + FROZEN_PANE) !== -1);
+    assert.ok(patched.indexOf('</sheetView></sheetViews>') !== -1);
+    // Idempotent
+    assert.equal(XlsxWorkbook.freezeHeaderRowXml(patched), patched);
+}
+
+function testFreezeInsertsSheetViewsBeforeColumns() {
+    var xml = '<worksheet><dimension ref="A1:B2"/><cols><col min="1" max="1"/></cols><sheetData/></worksheet>';
+    var patched = XlsxWorkbook.freezeHeaderRowXml(xml);
+
+    assert.ok(patched.indexOf('<dimension ref="A1:B2"/><sheetViews><sheetView workbookViewId="0">' + FROZEN_PANE) !== -1);
+    assert.ok(patched.indexOf('</sheetViews><cols>') !== -1);
+}
+
+function testColumnWidthsAreClamped() {
+    var widths = XlsxWorkbook.measureColumns(['ID', 'Description'], [
+        [1, 'short\n' + 'x'.repeat(200)],
+        [22, null]
+    ]);
+
+    assert.deepEqual(widths, [{ wch: XlsxWorkbook.MIN_COLUMN_WIDTH }, { wch: XlsxWorkbook.MAX_COLUMN_WIDTH }]);
+}
+
+testFreezeExistingSheetView();
+testFreezeInsertsSheetViewsBeforeColumns();
+testColumnWidthsAreClamped();